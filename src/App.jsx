@@ -1,16 +1,29 @@
-import { useState } from "react";
+import { useRef, useState } from "react";
 
+import CrsSelect from "./components/CrsSelect";
 import DataDisplay from "./components/DataDisplay";
+import DiagnosticsPanel from "./components/DiagnosticsPanel";
+import ElevationProfile from "./components/ElevationProfile";
+import GridAnalysis from "./components/GridAnalysis";
+import Jurisdictions from "./components/Jurisdictions";
 import MapComponent from "./components/Map";
+import ProvenanceBadge from "./components/ProvenanceBadge";
+import ProvenanceNote from "./components/ProvenanceNote";
 import {
   fetchElevationData,
   fetchPopulationEstimate,
   fetchWeatherData,
 } from "./utils/apiService";
+import { isGeographicCrs, toCrs, WGS84_CODE } from "./utils/crs";
 import {
+  calculateCentroid,
+  calculatePoleOfInaccessibility,
   calculatePolygonArea,
   calculatePolygonPerimeter,
+  calculateShapeMetrics,
+  countVertices,
 } from "./utils/geoUtils";
+import { isAbortError } from "./utils/providers";
 
 function App() {
   const [polygonCoords, setPolygonCoords] = useState([]);
@@ -18,10 +31,30 @@ function App() {
   const [weatherData, setWeatherData] = useState(null);
   const [populationData, setPopulationData] = useState(null);
   const [elevationData, setElevationData] = useState(null);
+  const [provenance, setProvenance] = useState({});
   const [isLoading, setIsLoading] = useState(false);
+  const [displayCrs, setDisplayCrs] = useState(WGS84_CODE);
+  const [choropleth, setChoropleth] = useState(null);
+  const [landUseOverlay, setLandUseOverlay] = useState(null);
+  const [shapeOverlays, setShapeOverlays] = useState({
+    convexHull: false,
+    rectangle: false,
+  });
+  const [profileLine, setProfileLine] = useState(null);
+  const [profileMarker, setProfileMarker] = useState(null);
+  const [loadedArea, setLoadedArea] = useState(null);
+  const analysisRef = useRef(null);
+
+  // Abort the analysis in progress so that only the latest one updates the state
+  const startAnalysis = () => {
+    analysisRef.current?.abort();
+    analysisRef.current = new AbortController();
+    return analysisRef.current;
+  };
 
   // Function called when a polygon is drawn
   const handlePolygonDrawn = async (coords) => {
+    const analysis = startAnalysis();
     setPolygonCoords(coords);
     setIsLoading(true);
 
@@ -30,38 +63,101 @@ function App() {
       const area = calculatePolygonArea(coords);
       const perimeter = calculatePolygonPerimeter(coords);
 
-      // Calculate polygon center
-      const centerLat =
-        coords.reduce((sum, point) => sum + point[0], 0) / coords.length;
-      const centerLng =
-        coords.reduce((sum, point) => sum + point[1], 0) / coords.length;
+      // Calculate the area-weighted centroid and a guaranteed interior point
+      const centroid = calculateCentroid(coords);
+      const pole = calculatePoleOfInaccessibility(coords);
+      const shape = calculateShapeMetrics(coords);
 
       // Fetch external data
-      const [weather, population, elevation] = await Promise.all([
-        fetchWeatherData(coords),
-        fetchPopulationEstimate(coords),
-        fetchElevationData(coords),
-      ]);
+      await loadAreaData(coords, { signal: analysis.signal });
 
       // Enhanced metrics
       setPolygonMetrics({
         area: area,
         perimeter: perimeter,
-        vertexCount: coords.length,
-        center: { lat: centerLat.toFixed(6), lng: centerLng.toFixed(6) },
+        vertexCount: countVertices(coords),
+        centroid: centroid,
+        labelPoint: pole.location,
+        shape: shape,
       });
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error("Error retrieving data:", error);
+      }
+    } finally {
+      if (analysisRef.current === analysis) {
+        setIsLoading(false);
+      }
+    }
+  };
+
+  // Fetch weather, population and elevation for an area and store them
+  const loadAreaData = async (coords, options) => {
+    const [weather, population, elevation] = await Promise.all([
+      fetchWeatherData(coords, options),
+      fetchPopulationEstimate(coords, options),
+      fetchElevationData(coords, options),
+    ]);
+
+    // Discard the results of an analysis superseded in the meantime
+    options.signal?.throwIfAborted();
+
+    setWeatherData(weather.data);
+    setPopulationData(population.data);
+    setElevationData(elevation.data);
+    setProvenance({
+      weather: weather.provenance,
+      population: population.provenance,
+      elevation: elevation.provenance,
+    });
+  };
 
-      // Store data for later use
-      setWeatherData(weather);
-      setPopulationData(population);
-      setElevationData(elevation);
+  // Fetch the area data again, bypassing the response cache
+  const handleRefresh = async () => {
+    const analysis = startAnalysis();
+    setIsLoading(true);
+
+    try {
+      await loadAreaData(polygonCoords, {
+        forceRefresh: true,
+        signal: analysis.signal,
+      });
     } catch (error) {
-      console.error("Error retrieving data:", error);
+      if (!isAbortError(error)) {
+        console.error("Error refreshing data:", error);
+      }
     } finally {
-      setIsLoading(false);
+      if (analysisRef.current === analysis) {
+        setIsLoading(false);
+      }
     }
   };
 
+  // Format a [lat, lng] point in the selected coordinate system
+  const formatPoint = (point) => {
+    const [x, y] = toCrs(point, displayCrs);
+    return isGeographicCrs(displayCrs)
+      ? `${y.toFixed(6)}, ${x.toFixed(6)}`
+      : `X ${x.toFixed(2)}, Y ${y.toFixed(2)}`;
+  };
+
+  // Outlines drawn over the map for the selected shape descriptors
+  const mapOverlays = polygonMetrics?.shape
+    ? [
+        shapeOverlays.convexHull && {
+          key: "convexHull",
+          geometry: polygonMetrics.shape.convexHull,
+          color: "#7c3aed",
+        },
+        shapeOverlays.rectangle &&
+          polygonMetrics.shape.minimumRectangle && {
+            key: "rectangle",
+            geometry: polygonMetrics.shape.minimumRectangle.corners,
+            color: "#db2777",
+          },
+      ].filter(Boolean)
+    : [];
+
   // Format large numbers with thousands separators
   const formatNumber = (num) => {
     return new Intl.NumberFormat("en-US").format(num);
@@ -88,7 +184,16 @@ function App() {
               </p>
             </div>
 
-            <MapComponent onPolygonDrawn={handlePolygonDrawn} />
+            <MapComponent
+              onPolygonDrawn={handlePolygonDrawn}
+              onLineDrawn={setProfileLine}
+              profileMarker={profileMarker}
+              overlays={mapOverlays}
+              choropleth={choropleth}
+              landUse={landUseOverlay}
+              loadedArea={loadedArea}
+              onAreaSelected={setLoadedArea}
+            />
           </div>
 
           <div className="space-y-6">
@@ -145,19 +250,134 @@ function App() {
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
                         </svg>
-                        Center:
+                        Centroid:
                       </span>
                       <span className="font-medium text-gray-800 text-sm">
-                        {polygonMetrics.center.lat}, {polygonMetrics.center.lng}
+                        {formatPoint(polygonMetrics.centroid)}
                       </span>
                     </div>
+                    <div className="flex justify-between items-center">
+                      <span
+                        className="text-gray-600 flex items-center"
+                        title="Pole of inaccessibility, always inside the polygon"
+                      >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1.5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+                        </svg>
+                        Label Point:
+                      </span>
+                      <span className="font-medium text-gray-800 text-sm">
+                        {formatPoint(polygonMetrics.labelPoint)}
+                      </span>
+                    </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-600 text-sm">
+                        Coordinate System:
+                      </span>
+                      <CrsSelect
+                        className="p-1 border rounded text-sm max-w-[60%]"
+                        value={displayCrs}
+                        onChange={setDisplayCrs}
+                      />
+                    </div>
                   </div>
+
+                  {polygonMetrics.shape && (
+                    <div className="mt-4 pt-3 border-t space-y-2 text-sm">
+                      <h3 className="font-semibold text-gray-700">Shape</h3>
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Convex Hull Area:</span>
+                        <span className="font-medium text-gray-800">
+                          {(polygonMetrics.shape.convexHullArea / 1000000).toFixed(2)} km²
+                        </span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-600" title="Area divided by convex hull area">
+                          Solidity:
+                        </span>
+                        <span className="font-medium text-gray-800">
+                          {polygonMetrics.shape.solidity.toFixed(3)}
+                        </span>
+                      </div>
+                      {polygonMetrics.shape.minimumRectangle && (
+                        <>
+                          <div className="flex justify-between">
+                            <span className="text-gray-600" title="Minimum rotated rectangle">
+                              Min. Rectangle:
+                            </span>
+                            <span className="font-medium text-gray-800">
+                              {(polygonMetrics.shape.minimumRectangle.length / 1000).toFixed(2)} ×{" "}
+                              {(polygonMetrics.shape.minimumRectangle.width / 1000).toFixed(2)} km
+                            </span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-600" title="Bearing of the long side from north">
+                              Orientation:
+                            </span>
+                            <span className="font-medium text-gray-800">
+                              {polygonMetrics.shape.minimumRectangle.orientation.toFixed(1)}°
+                            </span>
+                          </div>
+                        </>
+                      )}
+                      <div className="flex justify-between">
+                        <span className="text-gray-600" title="4πA / P², 1 for a circle">
+                          Polsby-Popper:
+                        </span>
+                        <span className="font-medium text-gray-800">
+                          {polygonMetrics.shape.polsbyPopper.toFixed(3)}
+                        </span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-600" title="Area divided by the smallest enclosing circle area, 1 for a circle">
+                          Reock:
+                        </span>
+                        <span className="font-medium text-gray-800">
+                          {polygonMetrics.shape.reock.toFixed(3)}
+                        </span>
+                      </div>
+                      {polygonMetrics.shape.longestChord && (
+                        <div className="flex justify-between">
+                          <span className="text-gray-600" title="Longest straight segment inside the polygon between two vertices, approximate (≈) for large concave polygons">
+                            Longest Chord:
+                          </span>
+                          <span className="font-medium text-gray-800">
+                            {polygonMetrics.shape.longestChord.approximate && "≈ "}
+                            {(polygonMetrics.shape.longestChord.length / 1000).toFixed(2)} km
+                          </span>
+                        </div>
+                      )}
+                      <div className="flex gap-4 pt-1">
+                        <label className="flex items-center gap-1.5 text-gray-600">
+                          <input
+                            type="checkbox"
+                            checked={shapeOverlays.convexHull}
+                            onChange={(e) =>
+                              setShapeOverlays({ ...shapeOverlays, convexHull: e.target.checked })
+                            }
+                          />
+                          Show hull
+                        </label>
+                        <label className="flex items-center gap-1.5 text-gray-600">
+                          <input
+                            type="checkbox"
+                            checked={shapeOverlays.rectangle}
+                            onChange={(e) =>
+                              setShapeOverlays({ ...shapeOverlays, rectangle: e.target.checked })
+                            }
+                          />
+                          Show rectangle
+                        </label>
+                      </div>
+                    </div>
+                  )}
                 </div>
 
                 {elevationData && (
                   <div className="bg-white p-5 rounded-xl shadow-lg border border-gray-100 hover:shadow-xl transition-shadow">
-                    <h2 className="text-xl font-semibold mb-4 text-gray-800 border-b pb-2">
+                    <h2 className="text-xl font-semibold mb-4 text-gray-800 border-b pb-2 flex justify-between items-center">
                       Topography
+                      <ProvenanceBadge provenance={provenance.elevation} />
                     </h2>
                     <div className="space-y-3.5">
                       <div className="flex justify-between items-center">
@@ -165,22 +385,58 @@ function App() {
                           <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1.5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h11M9 21V3m12 10h-7" />
                           </svg>
-                          Average Elevation:
+                          Mean Elevation:
+                        </span>
+                        <span className="font-medium text-gray-800">
+                          {elevationData.mean} m
+                        </span>
+                      </div>
+                      <div className="flex justify-between items-center">
+                        <span className="text-gray-600 flex items-center">
+                          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1.5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h11M9 21V3m12 10h-7" />
+                          </svg>
+                          Median:
                         </span>
                         <span className="font-medium text-gray-800">
-                          {elevationData.centerElevation !== null
-                            ? `${elevationData.centerElevation} ${elevationData.unit}`
-                            : "Not available"}
+                          {elevationData.median} m
                         </span>
                       </div>
+                      <div className="flex justify-between items-center">
+                        <span className="text-gray-600 flex items-center">
+                          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1.5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h11M9 21V3m12 10h-7" />
+                          </svg>
+                          Min / Max:
+                        </span>
+                        <span className="font-medium text-gray-800">
+                          {elevationData.min} – {elevationData.max} m
+                        </span>
+                      </div>
+                      <div className="flex justify-between items-center">
+                        <span className="text-gray-600 flex items-center">
+                          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1.5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h11M9 21V3m12 10h-7" />
+                          </svg>
+                          Std. Deviation:
+                        </span>
+                        <span className="font-medium text-gray-800">
+                          {elevationData.stdDev} m
+                        </span>
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        Sampled at {elevationData.sampleCount} points inside the area
+                      </div>
                     </div>
+                    <ProvenanceNote provenance={provenance.elevation} className="mt-4" />
                   </div>
                 )}
 
                 {populationData && (
                   <div className="bg-white p-5 rounded-xl shadow-lg border border-gray-100 hover:shadow-xl transition-shadow">
-                    <h2 className="text-xl font-semibold mb-4 text-gray-800 border-b pb-2">
+                    <h2 className="text-xl font-semibold mb-4 text-gray-800 border-b pb-2 flex justify-between items-center">
                       Demographics
+                      <ProvenanceBadge provenance={provenance.population} />
                     </h2>
                     <div className="space-y-3.5">
                       <div className="flex justify-between items-center">
@@ -206,13 +462,15 @@ function App() {
                         </span>
                       </div>
                     </div>
+                    <ProvenanceNote provenance={provenance.population} className="mt-4" />
                   </div>
                 )}
 
                 {weatherData && (
                   <div className="bg-white p-5 rounded-xl shadow-lg border border-gray-100 hover:shadow-xl transition-shadow">
-                    <h2 className="text-xl font-semibold mb-4 text-gray-800 border-b pb-2">
+                    <h2 className="text-xl font-semibold mb-4 text-gray-800 border-b pb-2 flex justify-between items-center">
                       Weather
+                      <ProvenanceBadge provenance={provenance.weather} />
                     </h2>
                     <div className="space-y-3.5">
                       <div className="flex justify-between items-center">
@@ -249,8 +507,17 @@ function App() {
                         </span>
                       </div>
                     </div>
+                    <ProvenanceNote provenance={provenance.weather} className="mt-4" />
                   </div>
                 )}
+
+                <button
+                  className="w-full px-3 py-2 rounded-lg border border-gray-200 bg-white text-sm text-gray-700 hover:bg-gray-50"
+                  title="Fetch the data again instead of using cached responses"
+                  onClick={handleRefresh}
+                >
+                  Force refresh
+                </button>
               </>
             ) : (
               <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
@@ -262,13 +529,40 @@ function App() {
                   <li>Draw your shape by clicking on the map</li>
                   <li>Finish the drawing with a double-click</li>
                   <li>Data for the area will automatically display</li>
+                  <li>
+                    Click drawn shapes to select them, combine polygons
+                    (union, intersection, difference) or buffer any shape
+                  </li>
                 </ol>
               </div>
             )}
           </div>
         </div>
 
-        <DataDisplay polygonData={polygonCoords} />
+        <DataDisplay
+          polygonData={polygonCoords}
+          onLandUseChange={setLandUseOverlay}
+        />
+
+        <Jurisdictions
+          polygonData={polygonCoords}
+          onLoadBoundary={setLoadedArea}
+        />
+
+        {profileLine && (
+          <ElevationProfile
+            line={profileLine}
+            onHover={setProfileMarker}
+            onClose={() => setProfileLine(null)}
+          />
+        )}
+
+        <GridAnalysis
+          polygonData={polygonCoords}
+          onChoroplethChange={setChoropleth}
+        />
+
+        <DiagnosticsPanel />
 
         <div className="bg-white p-6 rounded-lg shadow-md">
           <h2 className="text-2xl font-bold mb-4">About this application</h2>
@@ -0,0 +1,30 @@
+import { listCrs } from "../utils/crs";
+
+// Coordinate reference systems grouped by family
+const crsGroups = listCrs().reduce((groups, crs) => {
+  groups[crs.group] = [...(groups[crs.group] || []), crs];
+  return groups;
+}, {});
+
+// Dropdown to choose a coordinate reference system
+const CrsSelect = ({ value, onChange, className = "p-1 border rounded" }) => {
+  return (
+    <select
+      className={className}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      {Object.entries(crsGroups).map(([group, systems]) => (
+        <optgroup key={group} label={group}>
+          {systems.map(({ code, name }) => (
+            <option key={code} value={code}>
+              {name} ({code})
+            </option>
+          ))}
+        </optgroup>
+      ))}
+    </select>
+  );
+};
+
+export default CrsSelect;
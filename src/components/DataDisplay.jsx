@@ -12,13 +12,26 @@ import {
   Title,
   Tooltip,
 } from "chart.js";
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import { Bar, Doughnut, Pie } from "react-chartjs-2";
 import {
+  CLIMATE_PERIODS,
   fetchClimateData,
+  fetchElevationData,
   fetchLandUseData,
   fetchPopulationEstimate,
+  fetchWeatherForecast,
+  POPULATION_YEARS,
 } from "../utils/apiService";
+import ProvenanceBadge from "./ProvenanceBadge";
+import ProvenanceNote from "./ProvenanceNote";
+import { hasPolygon } from "../utils/geoUtils";
+import {
+  getLandUseLegend,
+  getLandUseTaxonomy,
+  listLandUseTaxonomies,
+} from "../utils/landUseTaxonomy";
+import { isAbortError } from "../utils/providers";
 
 // Registration of necessary elements for Chart.js
 ChartJS.register(
@@ -35,18 +48,84 @@ ChartJS.register(
   ArcElement
 );
 
-const DataDisplay = ({ polygonData }) => {
+// Share and measured area of each land use class, or of each first-level group
+const landUseEntries = (data, byGroup) =>
+  getLandUseLegend(getLandUseTaxonomy(data.taxonomy), byGroup).map((entry) => ({
+    ...entry,
+    share: entry.members.reduce((sum, key) => sum + (data.shares[key] || 0), 0),
+    area:
+      data.areas &&
+      entry.members.reduce((sum, key) => sum + (data.areas[key] || 0), 0),
+  }));
+
+// Age groups run from the youngest to the oldest, colored along the same scale
+const ageGroupColor = (index, count) =>
+  `hsla(${210 - (index / Math.max(count - 1, 1)) * 180}, 70%, 55%, 0.6)`;
+
+// National averages break the population down by age only, not by sex
+const hasSexBreakdown = (data) =>
+  Boolean(data?.ageGroups?.every(({ male }) => male !== null));
+
+// Forecast times are shown in the local time of the area
+const formatLocalTime = (time, utcOffset, format) =>
+  new Date(time + utcOffset * 1000).toLocaleString("en-GB", {
+    timeZone: "UTC",
+    ...format,
+  });
+
+const DataDisplay = ({ polygonData, onLandUseChange }) => {
   const [chartData, setChartData] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [dataType, setDataType] = useState("landUse");
   const [chartType, setChartType] = useState("pie");
   const [error, setError] = useState(null);
-  const [dataSource, setDataSource] = useState(null);
+  const [provenance, setProvenance] = useState(null);
+  const [refreshCount, setRefreshCount] = useState(0);
+  const [landUseData, setLandUseData] = useState(null);
+  const [showLandUse, setShowLandUse] = useState(false);
+  const [taxonomyId, setTaxonomyId] = useState(() => getLandUseTaxonomy().id);
+  const [groupLandUse, setGroupLandUse] = useState(false);
+  const [forecastData, setForecastData] = useState(null);
+  const [forecastDay, setForecastDay] = useState(null);
+  const [climateData, setClimateData] = useState(null);
+  const [climatePeriod, setClimatePeriod] = useState(
+    CLIMATE_PERIODS[CLIMATE_PERIODS.length - 1]
+  );
+  const [climateView, setClimateView] = useState("normals");
+  const [populationData, setPopulationData] = useState(null);
+  const [populationYear, setPopulationYear] = useState(
+    POPULATION_YEARS[POPULATION_YEARS.length - 1]
+  );
+  const [populationView, setPopulationView] = useState("age");
+  const [progress, setProgress] = useState(null);
+  const forceRefreshRef = useRef(false);
 
   useEffect(() => {
-    if (polygonData && polygonData.length > 0) {
+    if (hasPolygon(polygonData)) {
       setIsLoading(true);
       setError(null);
+      setLandUseData(null);
+      setForecastData(null);
+      setForecastDay(null);
+      setClimateData(null);
+      setPopulationData(null);
+      setProgress(null);
+
+      // A refresh request bypasses the response cache once, and a new
+      // polygon or data type aborts the request in progress
+      const controller = new AbortController();
+      const options = {
+        forceRefresh: forceRefreshRef.current,
+        signal: controller.signal,
+      };
+      forceRefreshRef.current = false;
+
+      // Only the latest request may update the state
+      const load = async (fetcher) => {
+        const data = await fetcher(polygonData, options);
+        controller.signal.throwIfAborted();
+        return data;
+      };
 
       // Fetching real data based on the requested type
       const fetchData = async () => {
@@ -55,119 +134,212 @@ const DataDisplay = ({ polygonData }) => {
 
           switch (dataType) {
             case "landUse":
-              result = await fetchLandUseData(polygonData);
-              generateLandUseChart(result);
-              setDataSource(result.dataSource || "Unknown source");
+              result = await load((polygon, options) =>
+                fetchLandUseData(polygon, {
+                  ...options,
+                  params: { taxonomy: taxonomyId },
+                })
+              );
+              setLandUseData(result.data);
               break;
             case "population":
-              result = await fetchPopulationEstimate(polygonData);
-
-              // Generating demographic data by age group
-              const totalPop = result.population;
-              const ageDistribution = generateAgeDistribution(totalPop);
-              generatePopulationChart(ageDistribution);
-              setDataSource(
-                result.dataSource || result.note || "Unknown source"
+              // WorldPop computes the breakdown in a queued task: report its progress
+              result = await load((polygon, options) =>
+                fetchPopulationEstimate(polygon, {
+                  ...options,
+                  params: { year: populationYear, ageSex: true },
+                  onProgress: (update) =>
+                    !controller.signal.aborted && setProgress(update),
+                })
               );
+              setPopulationData(result.data);
               break;
             case "climate":
-              result = await fetchClimateData(polygonData);
-              generateClimateChart(result);
-              setDataSource(result.dataSource || "Unknown source");
+              result = await load((polygon, options) =>
+                fetchClimateData(polygon, {
+                  ...options,
+                  params: { period: climatePeriod },
+                })
+              );
+              setClimateData(result.data);
+              break;
+            case "forecast":
+              result = await load(fetchWeatherForecast);
+              setForecastData(result.data);
+              break;
+            case "topography":
+              result = await load(fetchElevationData);
+              generateTopographyChart(result.data);
               break;
             default:
               setError("Unsupported data type");
           }
+
+          setProvenance(result?.provenance || null);
         } catch (err) {
+          if (isAbortError(err)) return;
+
           console.error("Error fetching data:", err);
           setError("Unable to fetch data");
         } finally {
-          setIsLoading(false);
+          if (!controller.signal.aborted) {
+            setIsLoading(false);
+          }
         }
       };
 
       fetchData();
+
+      return () => controller.abort();
     }
-  }, [polygonData, dataType]);
-
-  // Generating a plausible age distribution for a given population
-  const generateAgeDistribution = (totalPopulation) => {
-    // Typical age distribution (approximate percentages)
-    const distribution = {
-      "0-14 years": Math.random() * 10 + 15, // 15-25%
-      "15-29 years": Math.random() * 10 + 15, // 15-25%
-      "30-44 years": Math.random() * 8 + 16, // 16-24%
-      "45-59 years": Math.random() * 8 + 14, // 14-22%
-      "60-74 years": Math.random() * 8 + 10, // 10-18%
-      "75+ years": Math.random() * 8 + 4, // 4-12%
-    };
+  }, [
+    polygonData,
+    dataType,
+    taxonomyId,
+    climatePeriod,
+    populationYear,
+    refreshCount,
+  ]);
+
+  // Draw the land use chart by class or by group
+  useEffect(() => {
+    if (landUseData) {
+      generateLandUseChart(landUseData, groupLandUse);
+    }
+  }, [landUseData, groupLandUse]);
+
+  // Draw the age groups, or the age pyramid by sex
+  useEffect(() => {
+    if (populationData) {
+      generatePopulationChart(populationData, populationView);
+    }
+  }, [populationData, populationView]);
+
+  // Draw the climate normals, or their anomaly over the recent decade
+  useEffect(() => {
+    if (climateData) {
+      if (climateView === "anomaly") {
+        generateAnomalyChart(climateData);
+      } else {
+        generateClimateChart(climateData);
+      }
+    }
+  }, [climateData, climateView]);
 
-    // Normalizing so the sum equals 100%
-    const total = Object.values(distribution).reduce((a, b) => a + b, 0);
-    const normalizedDistribution = {};
+  // Draw the hourly forecast, for every day or for the selected one
+  useEffect(() => {
+    if (forecastData) {
+      generateForecastChart(forecastData, forecastDay);
+    }
+  }, [forecastData, forecastDay]);
 
-    Object.keys(distribution).forEach((key) => {
-      normalizedDistribution[key] = Math.round(
-        (distribution[key] / total) * totalPopulation
-      );
+  // Show the classified land use surfaces on the map while the land use view is open
+  useEffect(() => {
+    const features =
+      showLandUse && dataType === "landUse" && landUseData?.features;
+    if (!features) {
+      onLandUseChange?.(null);
+      return;
+    }
+
+    // Surfaces take the color of their class, or of its group
+    const entries = landUseEntries(landUseData, groupLandUse);
+    onLandUseChange?.({
+      id: Date.now(),
+      features: {
+        ...features,
+        features: features.features.map((feature) => {
+          const entry = entries.find(({ members }) =>
+            members.includes(feature.properties.category)
+          );
+          return {
+            ...feature,
+            properties: {
+              ...feature.properties,
+              color: entry.color,
+              label: `${entry.label}: ${entry.share}%`,
+            },
+          };
+        }),
+      },
     });
+  }, [showLandUse, dataType, landUseData, groupLandUse, onLandUseChange]);
 
-    return normalizedDistribution;
+  // Fetch the current data type again, bypassing the response cache
+  const handleRefresh = () => {
+    forceRefreshRef.current = true;
+    setRefreshCount((count) => count + 1);
   };
 
-  // Generating the land use chart
-  const generateLandUseChart = (data) => {
+  // Generating the land use chart from the classes of the taxonomy
+  const generateLandUseChart = (data, byGroup) => {
     if (!data) return;
 
+    // Classes absent from the area are left out of the legend
+    const entries = landUseEntries(data, byGroup).filter(
+      ({ share }) => share > 0
+    );
+
     const chartData = {
-      labels: ["Urban areas", "Agriculture", "Forests", "Water", "Others"],
+      labels: entries.map(({ label }) => label),
       datasets: [
         {
           label: "Land use (%)",
-          data: [
-            data.urban || 0,
-            data.agriculture || 0,
-            data.forest || 0,
-            data.water || 0,
-            data.other || 0,
-          ],
-          backgroundColor: [
-            "rgba(255, 99, 132, 0.6)",
-            "rgba(75, 192, 192, 0.6)",
-            "rgba(54, 162, 235, 0.6)",
-            "rgba(153, 102, 255, 0.6)",
-            "rgba(255, 159, 64, 0.6)",
-          ],
+          data: entries.map(({ share }) => share),
+          // Taxonomy colors are #rrggbb, drawn at 60% opacity
+          backgroundColor: entries.map(({ color }) => `${color}99`),
         },
       ],
+      landUseEntries: entries,
     };
 
     setChartData(chartData);
   };
 
-  // Generating the population chart
-  const generatePopulationChart = (data) => {
-    if (!data) return;
+  // Generating the population chart from the age groups of the source
+  const generatePopulationChart = (data, view) => {
+    // Sources without a breakdown only give the total, shown as text
+    if (!data?.ageGroups) {
+      setChartData(null);
+      return;
+    }
 
-    const chartData = {
-      labels: Object.keys(data),
+    const { ageGroups } = data;
+
+    if (view === "ageSex" && hasSexBreakdown(data)) {
+      // Pyramid: oldest groups on top, men to the left of the axis
+      const groups = [...ageGroups].reverse();
+      setChartData({
+        labels: groups.map(({ label }) => label),
+        datasets: [
+          {
+            label: "Male",
+            data: groups.map(({ male }) => -male),
+            backgroundColor: "rgba(54, 162, 235, 0.6)",
+          },
+          {
+            label: "Female",
+            data: groups.map(({ female }) => female),
+            backgroundColor: "rgba(255, 99, 132, 0.6)",
+          },
+        ],
+        isPyramid: true,
+      });
+      return;
+    }
+
+    setChartData({
+      labels: ageGroups.map(({ label }) => label),
       datasets: [
         {
           label: "Population by age group",
-          data: Object.values(data),
-          backgroundColor: [
-            "rgba(255, 99, 132, 0.6)",
-            "rgba(54, 162, 235, 0.6)",
-            "rgba(255, 206, 86, 0.6)",
-            "rgba(75, 192, 192, 0.6)",
-            "rgba(153, 102, 255, 0.6)",
-            "rgba(255, 159, 64, 0.6)",
-          ],
+          data: ageGroups.map(({ population }) => population),
+          backgroundColor: ageGroups.map((_, index) =>
+            ageGroupColor(index, ageGroups.length)
+          ),
         },
       ],
-    };
-
-    setChartData(chartData);
+    });
   };
 
   // Generating the climate chart
@@ -180,7 +352,7 @@ const DataDisplay = ({ polygonData }) => {
       labels: months,
       datasets: [
         {
-          label: "Average temperature (°C)",
+          label: `Average temperature ${data.period} (°C)`,
           data: temperatures,
           backgroundColor: "rgba(255, 99, 132, 0.5)",
           borderColor: "rgba(255, 99, 132, 1)",
@@ -191,7 +363,7 @@ const DataDisplay = ({ polygonData }) => {
           pointRadius: 3,
         },
         {
-          label: "Precipitation (mm)",
+          label: `Precipitation ${data.period} (mm)`,
           data: precipitation,
           backgroundColor: "rgba(54, 162, 235, 0.5)",
           borderColor: "rgba(54, 162, 235, 1)",
@@ -208,6 +380,168 @@ const DataDisplay = ({ polygonData }) => {
     });
   };
 
+  // Generating the forecast timeline: temperature, precipitation probability, wind and gusts
+  const generateForecastChart = (data, day) => {
+    const { utcOffset } = data;
+    const steps = day
+      ? data.hourly.filter(
+          ({ time }) =>
+            new Date(time + utcOffset * 1000).toISOString().slice(0, 10) === day
+        )
+      : data.hourly;
+
+    setChartData({
+      labels: steps.map(({ time }) =>
+        formatLocalTime(
+          time,
+          utcOffset,
+          day
+            ? { hour: "2-digit", minute: "2-digit" }
+            : { weekday: "short", hour: "2-digit", minute: "2-digit" }
+        )
+      ),
+      datasets: [
+        {
+          label: "Temperature (°C)",
+          data: steps.map(({ temperature }) => temperature),
+          backgroundColor: "rgba(255, 99, 132, 0.5)",
+          borderColor: "rgba(255, 99, 132, 1)",
+          borderWidth: 2,
+          type: "line",
+          yAxisID: "y",
+          tension: 0.3,
+          pointRadius: 0,
+        },
+        {
+          label: "Precipitation probability (%)",
+          data: steps.map(
+            ({ precipitationProbability }) => precipitationProbability
+          ),
+          backgroundColor: "rgba(54, 162, 235, 0.4)",
+          borderColor: "rgba(54, 162, 235, 1)",
+          borderWidth: 1,
+          type: "bar",
+          yAxisID: "y1",
+        },
+        {
+          label: "Wind (m/s)",
+          data: steps.map(({ windSpeed }) => windSpeed),
+          borderColor: "rgba(75, 192, 192, 1)",
+          backgroundColor: "rgba(75, 192, 192, 0.5)",
+          borderWidth: 2,
+          type: "line",
+          yAxisID: "y2",
+          tension: 0.3,
+          pointRadius: 0,
+        },
+        {
+          label: "Gusts (m/s)",
+          data: steps.map(({ windGust }) => windGust),
+          borderColor: "rgba(75, 192, 192, 1)",
+          backgroundColor: "rgba(75, 192, 192, 0.2)",
+          borderWidth: 1,
+          borderDash: [4, 4],
+          type: "line",
+          yAxisID: "y2",
+          tension: 0.3,
+          pointRadius: 0,
+        },
+      ],
+      isForecast: true,
+    });
+  };
+
+  // Generating the anomaly chart: recent decade minus the reference period
+  const generateAnomalyChart = (data) => {
+    const { months, anomaly } = data;
+
+    setChartData({
+      labels: months,
+      datasets: [
+        {
+          label: "Temperature anomaly (°C)",
+          data: anomaly.temperatures,
+          // Warmer months in red, cooler months in blue
+          backgroundColor: anomaly.temperatures.map((value) =>
+            value >= 0 ? "rgba(255, 99, 132, 0.6)" : "rgba(54, 162, 235, 0.6)"
+          ),
+          borderWidth: 0,
+          type: "bar",
+          yAxisID: "y",
+        },
+        {
+          label: "Precipitation change (%)",
+          data: anomaly.precipitation,
+          backgroundColor: "rgba(75, 192, 192, 0.5)",
+          borderColor: "rgba(75, 192, 192, 1)",
+          borderWidth: 2,
+          type: "line",
+          yAxisID: "y1",
+          tension: 0.3,
+          pointRadius: 3,
+        },
+      ],
+      isAnomaly: true,
+    });
+  };
+
+  // Generating the hypsometric histogram: share of the area in each elevation band
+  const generateTopographyChart = (data) => {
+    if (!data) return;
+
+    const { samples, min, max } = data;
+    const binCount =
+      max > min ? Math.min(10, Math.ceil(Math.sqrt(samples.length))) : 1;
+    const binWidth = (max - min) / binCount || 1;
+    const counts = new Array(binCount).fill(0);
+
+    // Each sample stands for the same surface, so counts are area shares
+    samples.forEach((elevation) => {
+      counts[
+        Math.min(binCount - 1, Math.floor((elevation - min) / binWidth))
+      ]++;
+    });
+
+    const shares = counts.map((count) => (count / samples.length) * 100);
+    let above = 100;
+    const areaAbove = shares.map((share) => {
+      const value = above;
+      above -= share;
+      return Math.round(value * 10) / 10;
+    });
+
+    setChartData({
+      labels: counts.map(
+        (_, index) =>
+          `${Math.round(min + index * binWidth)}–${Math.round(
+            min + (index + 1) * binWidth
+          )} m`
+      ),
+      datasets: [
+        {
+          label: "Share of the area (%)",
+          data: shares.map((share) => Math.round(share * 10) / 10),
+          backgroundColor: "rgba(120, 113, 108, 0.6)",
+          borderColor: "rgba(87, 83, 78, 1)",
+          borderWidth: 1,
+          type: "bar",
+        },
+        {
+          label: "Area above the band's base (%)",
+          data: areaAbove,
+          borderColor: "rgba(22, 163, 74, 1)",
+          backgroundColor: "rgba(22, 163, 74, 0.3)",
+          borderWidth: 2,
+          type: "line",
+          tension: 0.3,
+          pointRadius: 3,
+        },
+      ],
+      isTopography: true,
+      stats: data,
+    });
+  };
+
   // Options for standard charts (non-climate)
   const options = {
     responsive: true,
@@ -220,7 +554,11 @@ const DataDisplay = ({ polygonData }) => {
         display: true,
         text:
           dataType === "population"
-            ? "Demographic data"
+            ? `Population ${populationData?.year ?? ""} by age group${
+                populationData?.medianAge
+                  ? ` (national median age ${populationData.medianAge})`
+                  : ""
+              }`
             : dataType === "landUse"
             ? "Land use (%)"
             : "Climate data",
@@ -246,9 +584,16 @@ const DataDisplay = ({ polygonData }) => {
             }
 
             if (dataType === "population") {
-              return label + new Intl.NumberFormat("en-US").format(value);
+              return label + new Intl.NumberFormat("en-US").format(context.raw);
             } else if (dataType === "landUse") {
-              return label + value + "%";
+              // Measured surfaces also give the area of each class
+              const { area } = chartData.landUseEntries[context.dataIndex];
+              return (
+                label +
+                value +
+                "%" +
+                (area !== undefined ? ` (${area.toFixed(2)} km²)` : "")
+              );
             } else {
               return label + value;
             }
@@ -268,7 +613,9 @@ const DataDisplay = ({ polygonData }) => {
       },
       title: {
         display: true,
-        text: "Monthly climate data",
+        text: climateData
+          ? `Monthly climate normals ${climateData.period}`
+          : "Monthly climate data",
         font: {
           size: 16,
         },
@@ -302,9 +649,225 @@ const DataDisplay = ({ polygonData }) => {
     },
   };
 
+  // Options for the age pyramid (horizontal bars stacked on either side of the axis)
+  const formatPopulation = (value) =>
+    new Intl.NumberFormat("en-US").format(Math.abs(value));
+  const pyramidOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    indexAxis: "y",
+    interaction: {
+      mode: "index",
+      intersect: false,
+    },
+    plugins: {
+      legend: {
+        position: "top",
+      },
+      title: {
+        display: true,
+        text: `Age pyramid ${populationData?.year ?? ""}`,
+        font: {
+          size: 16,
+        },
+      },
+      tooltip: {
+        callbacks: {
+          label: (context) =>
+            `${context.dataset.label}: ${formatPopulation(context.raw)}`,
+        },
+      },
+    },
+    scales: {
+      x: {
+        stacked: true,
+        ticks: {
+          callback: formatPopulation,
+        },
+      },
+      y: {
+        stacked: true,
+        title: {
+          display: true,
+          text: "Age",
+        },
+      },
+    },
+  };
+
+  // Options for the anomaly chart (temperature and precipitation change axes)
+  const formatSigned = (value, unit) =>
+    `${value > 0 ? "+" : ""}${value}${unit}`;
+  const anomalyOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: "top",
+      },
+      title: {
+        display: true,
+        text: climateData
+          ? `${climateData.recent.period} vs ${
+              climateData.period
+            }: ${formatSigned(
+              climateData.anomaly.annualTemperature,
+              " °C"
+            )}, precipitation ${formatSigned(
+              climateData.anomaly.annualPrecipitation,
+              "%"
+            )}`
+          : "Climate anomaly",
+        font: {
+          size: 16,
+        },
+      },
+    },
+    scales: {
+      y: {
+        type: "linear",
+        position: "left",
+        title: {
+          display: true,
+          text: "Temperature anomaly (°C)",
+        },
+      },
+      y1: {
+        type: "linear",
+        position: "right",
+        grid: {
+          drawOnChartArea: false,
+        },
+        title: {
+          display: true,
+          text: "Precipitation change (%)",
+        },
+      },
+    },
+  };
+
+  // Options for the forecast timeline (temperature, probability and wind axes)
+  const forecastOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: {
+      mode: "index",
+      intersect: false,
+    },
+    plugins: {
+      legend: {
+        position: "top",
+      },
+      title: {
+        display: true,
+        text: forecastData?.location
+          ? `Forecast for ${forecastData.location} (local time)`
+          : "Forecast (local time)",
+        font: {
+          size: 16,
+        },
+      },
+    },
+    scales: {
+      x: {
+        ticks: {
+          maxTicksLimit: 14,
+        },
+      },
+      y: {
+        type: "linear",
+        position: "left",
+        title: {
+          display: true,
+          text: "Temperature (°C)",
+        },
+      },
+      y1: {
+        type: "linear",
+        position: "right",
+        min: 0,
+        max: 100,
+        grid: {
+          drawOnChartArea: false,
+        },
+        title: {
+          display: true,
+          text: "Precipitation (%)",
+        },
+      },
+      y2: {
+        type: "linear",
+        position: "right",
+        min: 0,
+        grid: {
+          drawOnChartArea: false,
+        },
+        title: {
+          display: true,
+          text: "Wind (m/s)",
+        },
+      },
+    },
+  };
+
+  // Options for the hypsometric histogram (percentages of the area)
+  const topographyOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: "top",
+      },
+      title: {
+        display: true,
+        // A simulated estimate is one regional value, without zonal statistics
+        text: !chartData?.stats
+          ? "Hypsometry"
+          : provenance?.simulated
+          ? `Regional estimate: ${chartData.stats.mean} m (no measured relief)`
+          : `Hypsometry: mean ${chartData.stats.mean} m, median ${chartData.stats.median} m, σ ${chartData.stats.stdDev} m`,
+        font: {
+          size: 16,
+        },
+      },
+    },
+    scales: {
+      y: {
+        min: 0,
+        max: 100,
+        title: {
+          display: true,
+          text: "Area (%)",
+        },
+      },
+      x: {
+        title: {
+          display: true,
+          text: "Elevation",
+        },
+      },
+    },
+  };
+
   const renderChart = () => {
     if (!chartData) return null;
 
+    if (chartData.isPyramid) {
+      return <Bar data={chartData} options={pyramidOptions} />;
+    }
+
+    if (chartData.isAnomaly) {
+      return <Bar data={chartData} options={anomalyOptions} />;
+    }
+
+    if (chartData.isForecast) {
+      return <Bar data={chartData} options={forecastOptions} />;
+    }
+
+    if (chartData.isTopography) {
+      return <Bar data={chartData} options={topographyOptions} />;
+    }
+
     // If it's climate data, use Chart.js directly for a mixed chart
     if (chartData.isClimate) {
       return <Bar data={chartData} options={climateOptions} />;
@@ -327,7 +890,7 @@ const DataDisplay = ({ polygonData }) => {
     <div className="w-full p-4 bg-white rounded-lg shadow-md">
       <div className="flex justify-between items-center mb-4">
         <h2 className="text-xl font-bold">Analysis of the selected area</h2>
-        {polygonData && polygonData.length > 0 && !isLoading && (
+        {hasPolygon(polygonData) && !isLoading && (
           <div className="flex gap-2">
             <select
               className="p-2 border rounded"
@@ -336,9 +899,81 @@ const DataDisplay = ({ polygonData }) => {
             >
               <option value="landUse">Land use</option>
               <option value="population">Population</option>
+              <option value="forecast">Forecast</option>
               <option value="climate">Climate</option>
+              <option value="topography">Topography</option>
             </select>
-            {dataType !== "climate" && (
+            {dataType === "landUse" && (
+              <select
+                className="p-2 border rounded"
+                value={taxonomyId}
+                onChange={(e) => setTaxonomyId(e.target.value)}
+                title="Land use classification"
+              >
+                {listLandUseTaxonomies().map(({ id, name }) => (
+                  <option key={id} value={id}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            )}
+            {dataType === "climate" && (
+              <>
+                <select
+                  className="p-2 border rounded"
+                  value={climatePeriod}
+                  onChange={(e) => setClimatePeriod(e.target.value)}
+                  title="Reference period"
+                >
+                  {CLIMATE_PERIODS.map((period) => (
+                    <option key={period} value={period}>
+                      {period.replace("-", "–")}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  className="p-2 border rounded"
+                  value={climateView}
+                  onChange={(e) => setClimateView(e.target.value)}
+                >
+                  <option value="normals">Normals</option>
+                  <option value="anomaly">Recent anomaly</option>
+                </select>
+              </>
+            )}
+            {dataType === "population" && (
+              <>
+                <select
+                  className="p-2 border rounded"
+                  value={populationYear}
+                  onChange={(e) => setPopulationYear(Number(e.target.value))}
+                  title="Year of the population estimates"
+                >
+                  {[...POPULATION_YEARS].reverse().map((year) => (
+                    <option key={year} value={year}>
+                      {year}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  className="p-2 border rounded"
+                  value={populationView}
+                  onChange={(e) => setPopulationView(e.target.value)}
+                >
+                  <option value="age">By age</option>
+                  <option
+                    value="ageSex"
+                    disabled={
+                      populationData && !hasSexBreakdown(populationData)
+                    }
+                  >
+                    By age and sex
+                  </option>
+                </select>
+              </>
+            )}
+            {(dataType === "landUse" ||
+              (dataType === "population" && !chartData?.isPyramid)) && (
               <select
                 className="p-2 border rounded"
                 value={chartType}
@@ -353,13 +988,31 @@ const DataDisplay = ({ polygonData }) => {
         )}
       </div>
 
-      {!polygonData || polygonData.length === 0 ? (
+      {!hasPolygon(polygonData) ? (
         <div className="h-64 flex items-center justify-center text-gray-500">
           Draw a polygon on the map to display data
         </div>
       ) : isLoading ? (
-        <div className="h-64 flex items-center justify-center">
+        <div className="h-64 flex flex-col items-center justify-center gap-3">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-700"></div>
+          {progress && (
+            <div className="w-48 text-xs text-gray-600 text-center">
+              <div className="h-1.5 bg-gray-200 rounded mb-1">
+                <div
+                  className="h-1.5 bg-blue-600 rounded"
+                  style={{
+                    width: `${Math.min(
+                      100,
+                      (progress.elapsed / progress.timeout) * 100
+                    )}%`,
+                  }}
+                ></div>
+              </div>
+              WorldPop task {progress.status},{" "}
+              {Math.round(progress.elapsed / 1000)} s of{" "}
+              {progress.timeout / 1000} s
+            </div>
+          )}
         </div>
       ) : error ? (
         <div className="h-64 flex items-center justify-center text-red-500">
@@ -367,12 +1020,99 @@ const DataDisplay = ({ polygonData }) => {
         </div>
       ) : (
         <>
-          <div className="h-64 mb-2">{renderChart()}</div>
-          {dataSource && (
-            <div className="text-xs text-gray-500 text-right mt-2">
-              Source: {dataSource}
+          {dataType === "population" &&
+          populationData &&
+          !populationData.ageGroups ? (
+            <div className="h-64 mb-2 flex flex-col items-center justify-center text-gray-700">
+              <p className="text-3xl font-bold">
+                {new Intl.NumberFormat("en-US").format(
+                  populationData.population
+                )}
+              </p>
+              <p className="text-sm">
+                inhabitants, {populationData.density} per km²
+              </p>
+              <p className="text-xs text-gray-500 mt-2">
+                This source does not break the population down by age
+              </p>
+            </div>
+          ) : (
+            <div className="h-64 mb-2">{renderChart()}</div>
+          )}
+          {dataType === "forecast" && forecastData && (
+            <div className="flex gap-2 overflow-x-auto pb-1 mt-4 text-xs">
+              <button
+                className={`px-3 py-2 rounded border ${
+                  forecastDay === null
+                    ? "bg-blue-50 border-blue-300"
+                    : "hover:bg-gray-50"
+                }`}
+                onClick={() => setForecastDay(null)}
+              >
+                All days
+              </button>
+              {forecastData.daily.map((day) => (
+                <button
+                  key={day.date}
+                  className={`px-3 py-2 rounded border text-left whitespace-nowrap ${
+                    forecastDay === day.date
+                      ? "bg-blue-50 border-blue-300"
+                      : "hover:bg-gray-50"
+                  }`}
+                  onClick={() => setForecastDay(day.date)}
+                >
+                  <div className="font-semibold text-gray-800">
+                    {new Date(day.date).toLocaleDateString("en-GB", {
+                      timeZone: "UTC",
+                      weekday: "short",
+                      day: "numeric",
+                      month: "short",
+                    })}
+                  </div>
+                  <div>
+                    {day.temperatureMin}° / {day.temperatureMax}°C
+                  </div>
+                  <div className="text-blue-700">
+                    {day.precipitationProbability}% · {day.precipitation} mm
+                  </div>
+                  <div className="text-teal-700">Gusts {day.windGust} m/s</div>
+                </button>
+              ))}
             </div>
           )}
+          <div className="flex flex-wrap justify-end items-center gap-2 mt-2">
+            {dataType === "landUse" && landUseData?.features && (
+              <label className="flex items-center gap-1.5 text-xs text-gray-600 mr-auto">
+                <input
+                  type="checkbox"
+                  checked={showLandUse}
+                  onChange={(e) => setShowLandUse(e.target.checked)}
+                />
+                Show on map
+              </label>
+            )}
+            {dataType === "landUse" &&
+              landUseData &&
+              getLandUseTaxonomy(landUseData.taxonomy).groups.length > 0 && (
+                <label className="flex items-center gap-1.5 text-xs text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={groupLandUse}
+                    onChange={(e) => setGroupLandUse(e.target.checked)}
+                  />
+                  Group classes
+                </label>
+              )}
+            <ProvenanceNote provenance={provenance} />
+            <ProvenanceBadge provenance={provenance} />
+            <button
+              className="text-xs text-blue-600 hover:underline"
+              title="Fetch the data again instead of using a cached response"
+              onClick={handleRefresh}
+            >
+              Force refresh
+            </button>
+          </div>
         </>
       )}
     </div>
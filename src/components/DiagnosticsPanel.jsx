@@ -0,0 +1,132 @@
+import { useEffect, useState } from "react";
+import { CAPABILITIES, listProviders } from "../utils/providers";
+import {
+  getDailyUsage,
+  getHostStatus,
+  subscribeToScheduler,
+} from "../utils/scheduler";
+
+// Share of the daily quota above which a provider is flagged
+const QUOTA_WARNING_RATIO = 0.8;
+
+const quotaColor = (ratio) => {
+  if (ratio >= 1) return "bg-red-500";
+  if (ratio >= QUOTA_WARNING_RATIO) return "bg-amber-500";
+  return "bg-green-500";
+};
+
+// Daily API usage per provider and request queues per host
+const DiagnosticsPanel = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [, setVersion] = useState(0);
+
+  // Re-render whenever the scheduler counts a call or moves a queue
+  useEffect(
+    () => subscribeToScheduler(() => setVersion((version) => version + 1)),
+    []
+  );
+
+  // Only providers that call an API: local estimates have no quota and no usage
+  const providers = Object.values(CAPABILITIES)
+    .flatMap((capability) => listProviders(capability))
+    .map((provider) => ({ ...provider, usage: getDailyUsage(provider.id) }))
+    .filter(({ dailyQuota, usage }) => dailyQuota || usage > 0);
+
+  const nearLimit = providers.filter(
+    ({ dailyQuota, usage }) =>
+      dailyQuota && usage / dailyQuota >= QUOTA_WARNING_RATIO
+  );
+
+  return (
+    <div className="w-full p-4 bg-white rounded-lg shadow-md">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-bold flex items-center gap-2">
+          API diagnostics
+          {nearLimit.length > 0 && (
+            <span className="px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 text-xs font-medium">
+              {nearLimit.length} near quota
+            </span>
+          )}
+        </h2>
+        <button
+          className="px-3 py-2 rounded border hover:bg-gray-50 text-sm"
+          onClick={() => setIsOpen(!isOpen)}
+        >
+          {isOpen ? "Hide" : "Show"}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div className="grid md:grid-cols-2 gap-6 mt-4 text-sm">
+          <div>
+            <h3 className="font-semibold text-gray-700 mb-2">
+              Calls today (UTC)
+            </h3>
+            <div className="space-y-2">
+              {providers.map(({ id, name, available, dailyQuota, usage }) => (
+                <div key={id}>
+                  <div className="flex justify-between">
+                    <span className={available ? "" : "text-gray-400"}>
+                      {name}
+                      {!available && " (no key)"}
+                    </span>
+                    <span className="font-medium text-gray-800">
+                      {usage} / {dailyQuota || "∞"}
+                    </span>
+                  </div>
+                  {dailyQuota && (
+                    <div className="h-1.5 bg-gray-200 rounded">
+                      <div
+                        className={`h-1.5 rounded ${quotaColor(
+                          usage / dailyQuota
+                        )}`}
+                        style={{
+                          width: `${Math.min(
+                            100,
+                            (usage / dailyQuota) * 100
+                          )}%`,
+                        }}
+                      />
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h3 className="font-semibold text-gray-700 mb-2">Hosts</h3>
+            {getHostStatus().length === 0 ? (
+              <p className="text-gray-500">No request sent yet.</p>
+            ) : (
+              <table className="w-full">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="font-normal">Host</th>
+                    <th className="font-normal text-right">Active</th>
+                    <th className="font-normal text-right">Queued</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {getHostStatus().map(({ host, active, queued, limit }) => (
+                    <tr key={host}>
+                      <td className="truncate max-w-0 w-full pr-2" title={host}>
+                        {host}
+                      </td>
+                      <td className="text-right">
+                        {active}/{limit}
+                      </td>
+                      <td className="text-right">{queued}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiagnosticsPanel;
@@ -0,0 +1,189 @@
+import {
+  CategoryScale,
+  Chart as ChartJS,
+  Filler,
+  LinearScale,
+  LineElement,
+  PointElement,
+  Tooltip,
+} from "chart.js";
+import { useEffect, useState } from "react";
+import { Line } from "react-chartjs-2";
+import { fetchElevationProfile } from "../utils/apiService";
+import { isAbortError } from "../utils/providers";
+import ProvenanceBadge from "./ProvenanceBadge";
+import ProvenanceNote from "./ProvenanceNote";
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Filler,
+  Tooltip
+);
+
+// Distance-versus-elevation chart of a drawn line, with its climbing figures
+const ElevationProfile = ({ line, onHover, onClose }) => {
+  const [profile, setProfile] = useState(null);
+  const [provenance, setProvenance] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!line) return;
+
+    // A new line aborts the profile in progress
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+
+    const loadProfile = async () => {
+      try {
+        const result = await fetchElevationProfile(line, {
+          signal: controller.signal,
+        });
+        controller.signal.throwIfAborted();
+
+        setProfile(result.data);
+        setProvenance(result.provenance);
+      } catch (err) {
+        if (isAbortError(err)) return;
+
+        console.error("Error fetching elevation profile:", err);
+        setError("Unable to compute the elevation profile");
+      } finally {
+        if (!controller.signal.aborted) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    loadProfile();
+
+    return () => controller.abort();
+  }, [line]);
+
+  // Hide the map marker when the profile goes away
+  useEffect(() => () => onHover(null), [onHover]);
+
+  const chartData = profile && {
+    datasets: [
+      {
+        label: "Elevation (m)",
+        data: profile.points.map(({ distance, elevation }) => ({
+          x: distance / 1000,
+          y: elevation,
+        })),
+        borderColor: "rgba(87, 83, 78, 1)",
+        backgroundColor: "rgba(120, 113, 108, 0.3)",
+        borderWidth: 2,
+        fill: true,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+        spanGaps: true,
+      },
+    ],
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: {
+      mode: "index",
+      intersect: false,
+    },
+    plugins: {
+      legend: {
+        display: false,
+      },
+      tooltip: {
+        callbacks: {
+          title: (items) => `${items[0].parsed.x.toFixed(2)} km`,
+          label: (item) => `Elevation: ${item.parsed.y} m`,
+        },
+      },
+    },
+    scales: {
+      x: {
+        type: "linear",
+        title: {
+          display: true,
+          text: "Distance (km)",
+        },
+      },
+      y: {
+        title: {
+          display: true,
+          text: "Elevation (m)",
+        },
+      },
+    },
+    // Track the hovered position on the map
+    onHover: (event, elements) => {
+      const point = elements.length > 0 && profile.points[elements[0].index];
+      onHover(point ? [point.lat, point.lng] : null);
+    },
+  };
+
+  const stats = profile && [
+    { label: "Length", value: `${(profile.length / 1000).toFixed(2)} km` },
+    { label: "Ascent", value: `+${profile.ascent} m` },
+    { label: "Descent", value: `−${profile.descent} m` },
+    { label: "Max grade", value: `${profile.maxGrade}%` },
+    {
+      label: "Min / Max",
+      value: `${profile.minElevation} – ${profile.maxElevation} m`,
+    },
+  ];
+
+  return (
+    <div className="w-full p-4 bg-white rounded-lg shadow-md">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold flex items-center gap-2">
+          Elevation profile
+          {!isLoading && <ProvenanceBadge provenance={provenance} />}
+        </h2>
+        <button
+          className="text-gray-500 hover:text-gray-800"
+          onClick={onClose}
+          title="Close the profile"
+        >
+          ✕
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="h-64 flex items-center justify-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-700"></div>
+        </div>
+      ) : error ? (
+        <div className="h-64 flex items-center justify-center text-red-500">
+          <p>{error}</p>
+        </div>
+      ) : (
+        profile && (
+          <>
+            <div className="flex flex-wrap gap-x-6 gap-y-1 mb-3 text-sm">
+              {stats.map(({ label, value }) => (
+                <div key={label}>
+                  <span className="text-gray-600">{label}: </span>
+                  <span className="font-medium text-gray-800">{value}</span>
+                </div>
+              ))}
+            </div>
+            <div className="h-64" onMouseLeave={() => onHover(null)}>
+              <Line data={chartData} options={options} />
+            </div>
+            <ProvenanceNote
+              provenance={provenance}
+              className="text-right mt-2"
+            />
+          </>
+        )
+      )}
+    </div>
+  );
+};
+
+export default ElevationProfile;
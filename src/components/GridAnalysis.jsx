@@ -0,0 +1,273 @@
+import { useEffect, useRef, useState } from "react";
+import { analyzeGridCells, GRID_VARIABLES } from "../utils/apiService";
+import { createGrid, GRID_TYPES, hasPolygon } from "../utils/geoUtils";
+import { isAbortError } from "../utils/providers";
+
+// Variables offered for the grid analysis, with their display unit
+const variables = [
+  { key: GRID_VARIABLES.ELEVATION, label: "Elevation", unit: "m" },
+  { key: GRID_VARIABLES.TEMPERATURE, label: "Temperature", unit: "°C" },
+  {
+    key: GRID_VARIABLES.POPULATION_DENSITY,
+    label: "Population density",
+    unit: "inhab./km²",
+  },
+];
+
+// Sequential color scale, from low to high values
+const palette = ["#ffffb2", "#fecc5c", "#fd8d3c", "#f03b20", "#bd0026"];
+const noDataColor = "#d1d5db";
+
+// Split the value range into equal intervals, one per palette color
+const computeClasses = (values) => {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const step = (max - min) / palette.length;
+
+  return palette.map((color, index) => ({
+    color,
+    from: min + step * index,
+    to: index === palette.length - 1 ? max : min + step * (index + 1),
+  }));
+};
+
+// Cover the analyzed area with cells and map a variable measured in each one
+const GridAnalysis = ({ polygonData, onChoroplethChange }) => {
+  const [gridType, setGridType] = useState(GRID_TYPES.SQUARE);
+  const [cellSize, setCellSize] = useState(1000);
+  const [variable, setVariable] = useState(GRID_VARIABLES.ELEVATION);
+  const [progress, setProgress] = useState(null);
+  const [classes, setClasses] = useState(null);
+  const [simulatedCount, setSimulatedCount] = useState(0);
+  const [error, setError] = useState(null);
+  const analysisRef = useRef(null);
+
+  // A new area invalidates the previous grid and aborts its analysis
+  useEffect(() => {
+    analysisRef.current?.abort();
+    setProgress(null);
+    setClasses(null);
+    setError(null);
+    onChoroplethChange(null);
+  }, [polygonData, onChoroplethChange]);
+
+  // Stop measuring cells when the component goes away
+  useEffect(() => () => analysisRef.current?.abort(), []);
+
+  const handleAnalyze = async () => {
+    analysisRef.current?.abort();
+    const analysis = new AbortController();
+    analysisRef.current = analysis;
+
+    setError(null);
+    setClasses(null);
+    onChoroplethChange(null);
+
+    // An empty field would be read as 0 and text as NaN
+    const size = Number(cellSize);
+    if (cellSize === "" || !Number.isFinite(size) || size <= 0) {
+      setError("Enter a cell size greater than 0 meters.");
+      return;
+    }
+
+    let grid;
+    try {
+      grid = createGrid(polygonData, size, { type: gridType });
+    } catch (err) {
+      console.error("Error creating grid:", err);
+      setError(
+        err.name === "GridSizeError"
+          ? "Too many cells, increase the cell size."
+          : `Unable to create the grid: ${err.message}`
+      );
+      return;
+    }
+
+    if (grid.features.length === 0) {
+      setError("The grid is empty.");
+      return;
+    }
+
+    setProgress({ done: 0, total: grid.features.length });
+
+    try {
+      const result = await analyzeGridCells(
+        grid,
+        variable,
+        (done, total) => {
+          if (!analysis.signal.aborted) {
+            setProgress({ done, total });
+          }
+        },
+        { signal: analysis.signal }
+      );
+      analysis.signal.throwIfAborted();
+
+      const { unit } = variables.find(({ key }) => key === variable);
+      const values = result.features
+        .map(({ properties }) => properties.value)
+        .filter((value) => value !== null);
+
+      if (values.length === 0) {
+        setError("No data available for these cells.");
+        return;
+      }
+
+      const valueClasses = computeClasses(values);
+      const colorOf = (value) =>
+        value === null
+          ? noDataColor
+          : valueClasses.find(({ to }) => value <= to)?.color ||
+            palette[palette.length - 1];
+
+      setClasses(valueClasses);
+      setSimulatedCount(
+        result.features.filter(({ properties }) => properties.simulated).length
+      );
+      onChoroplethChange({
+        id: Date.now(),
+        cells: {
+          ...result,
+          features: result.features.map((feature) => ({
+            ...feature,
+            properties: {
+              ...feature.properties,
+              color: colorOf(feature.properties.value),
+              label:
+                feature.properties.value === null
+                  ? "No data"
+                  : `${feature.properties.value.toFixed(1)} ${unit}${
+                      feature.properties.simulated ? " (simulated)" : ""
+                    }`,
+            },
+          })),
+        },
+      });
+    } catch (err) {
+      if (isAbortError(err)) return;
+
+      console.error("Error analyzing grid:", err);
+      setError("Unable to analyze the grid");
+    } finally {
+      if (analysisRef.current === analysis) {
+        setProgress(null);
+      }
+    }
+  };
+
+  const handleClear = () => {
+    setClasses(null);
+    onChoroplethChange(null);
+  };
+
+  if (!hasPolygon(polygonData)) {
+    return null;
+  }
+
+  return (
+    <div className="w-full p-4 bg-white rounded-lg shadow-md">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h2 className="text-xl font-bold">Grid analysis</h2>
+        <div className="flex flex-wrap gap-2 items-center">
+          <select
+            className="p-2 border rounded"
+            value={gridType}
+            onChange={(e) => setGridType(e.target.value)}
+          >
+            <option value={GRID_TYPES.SQUARE}>Squares</option>
+            <option value={GRID_TYPES.HEXAGON}>Hexagons</option>
+          </select>
+          <label className="flex items-center gap-1 text-sm text-gray-600">
+            Cell size (m)
+            <input
+              type="number"
+              min="1"
+              className="w-24 p-2 border rounded"
+              value={cellSize}
+              onChange={(e) => setCellSize(e.target.value)}
+            />
+          </label>
+          <select
+            className="p-2 border rounded"
+            value={variable}
+            onChange={(e) => setVariable(e.target.value)}
+          >
+            {variables.map(({ key, label }) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <button
+            className="px-3 py-2 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            disabled={progress !== null}
+            onClick={handleAnalyze}
+          >
+            Analyze cells
+          </button>
+          {classes && (
+            <button
+              className="px-3 py-2 rounded border hover:bg-gray-50"
+              onClick={handleClear}
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+
+      {progress && (
+        <div className="mb-2">
+          <div className="text-sm text-gray-600 mb-1">
+            Analyzing cell {progress.done} of {progress.total}...
+          </div>
+          <div className="h-2 bg-gray-200 rounded">
+            <div
+              className="h-2 bg-blue-600 rounded"
+              style={{ width: `${(progress.done / progress.total) * 100}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-500">{error}</p>}
+
+      {classes && (
+        <div className="flex flex-wrap gap-3 text-sm text-gray-700">
+          {classes.map(({ color, from, to }) => (
+            <div key={color} className="flex items-center gap-1.5">
+              <span
+                className="inline-block w-4 h-4 rounded border border-gray-300"
+                style={{ backgroundColor: color }}
+              />
+              {from.toFixed(1)} – {to.toFixed(1)}
+            </div>
+          ))}
+          <div className="flex items-center gap-1.5">
+            <span
+              className="inline-block w-4 h-4 rounded border border-gray-300"
+              style={{ backgroundColor: noDataColor }}
+            />
+            No data
+          </div>
+        </div>
+      )}
+
+      {classes && simulatedCount > 0 && (
+        <p className="text-xs text-red-700 mt-2">
+          {simulatedCount} of the cell values are simulated estimates, not
+          measurements.
+        </p>
+      )}
+
+      {!progress && !classes && !error && (
+        <p className="text-sm text-gray-500">
+          Cover the area with cells clipped to the polygon and measure the
+          selected variable in each one to see how it varies inside the area.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default GridAnalysis;
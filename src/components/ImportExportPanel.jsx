@@ -0,0 +1,125 @@
+import L from "leaflet";
+import { useEffect, useRef, useState } from "react";
+import { WGS84_CODE } from "../utils/crs";
+import CrsSelect from "./CrsSelect";
+
+// Panel to import and export drawn features as GeoJSON in a chosen CRS
+const ImportExportPanel = ({ onImport, onExport }) => {
+  const panelRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [crsCode, setCrsCode] = useState(WGS84_CODE);
+  const [status, setStatus] = useState(null);
+
+  // Prevent clicks and scrolls in the panel from reaching the map
+  useEffect(() => {
+    if (!panelRef.current) return;
+
+    L.DomEvent.disableClickPropagation(panelRef.current);
+    L.DomEvent.disableScrollPropagation(panelRef.current);
+  }, []);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const geojson = JSON.parse(await file.text());
+      const { count, crs } = onImport(geojson, crsCode);
+      setStatus({
+        type: "success",
+        text: `${count} feature${count > 1 ? "s" : ""} imported from ${crs}`,
+      });
+    } catch (err) {
+      console.error("Error importing file:", err);
+      setStatus({
+        type: "error",
+        text:
+          err.name === "UnsupportedCrsError"
+            ? `Unsupported CRS declared in the file: ${err.code}`
+            : "Unable to import this file",
+      });
+    } finally {
+      // Allow importing the same file again
+      e.target.value = "";
+    }
+  };
+
+  const handleExport = () => {
+    try {
+      const count = onExport(crsCode);
+      setStatus(
+        count > 0
+          ? { type: "success", text: `${count} feature(s) exported` }
+          : { type: "error", text: "Nothing to export" }
+      );
+    } catch (err) {
+      console.error("Error exporting features:", err);
+      setStatus({ type: "error", text: "Unable to export the features" });
+    }
+  };
+
+  return (
+    <div
+      ref={panelRef}
+      className="absolute top-20 right-3 z-[1000] bg-white rounded-lg shadow-lg border border-gray-200 text-sm"
+    >
+      <button
+        className="w-full px-3 py-2 font-medium text-gray-800 text-left"
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        Import / Export {isOpen ? "▴" : "▾"}
+      </button>
+
+      {isOpen && (
+        <div className="w-64 px-3 pb-3 space-y-2">
+          <label className="block text-xs text-gray-600">
+            Coordinate system
+            <CrsSelect
+              className="w-full p-1 border rounded text-sm"
+              value={crsCode}
+              onChange={setCrsCode}
+            />
+          </label>
+          <p className="text-xs text-gray-500">
+            On import, a CRS declared in the file takes precedence and must be
+            one of the listed systems. Export uses the selected features, or all
+            features if none is selected.
+          </p>
+          <div className="flex gap-2">
+            <button
+              className="flex-1 px-2 py-1 rounded border hover:bg-blue-50 hover:border-blue-300"
+              onClick={() => fileInputRef.current.click()}
+            >
+              Import GeoJSON
+            </button>
+            <button
+              className="flex-1 px-2 py-1 rounded border hover:bg-blue-50 hover:border-blue-300"
+              onClick={handleExport}
+            >
+              Export
+            </button>
+          </div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".geojson,.json,application/geo+json,application/json"
+            className="hidden"
+            onChange={handleFileChange}
+          />
+          {status && (
+            <p
+              className={`text-xs ${
+                status.type === "error" ? "text-red-600" : "text-green-700"
+              }`}
+            >
+              {status.text}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportExportPanel;
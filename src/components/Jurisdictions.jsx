@@ -0,0 +1,162 @@
+import { useEffect, useState } from "react";
+import {
+  ADMIN_LEVELS,
+  fetchAdministrativeBoundaries,
+  fetchBoundaryGeometry,
+} from "../utils/apiService";
+import { hasPolygon } from "../utils/geoUtils";
+import { isAbortError } from "../utils/providers";
+import ProvenanceBadge from "./ProvenanceBadge";
+import ProvenanceNote from "./ProvenanceNote";
+
+// Usual meaning of the OpenStreetMap admin levels (it varies between countries)
+const levelLabels = {
+  2: "Country",
+  4: "Region",
+  6: "Department",
+  8: "Municipality",
+};
+
+// Administrative units intersected by the area, with the share of the area in each
+const Jurisdictions = ({ polygonData, onLoadBoundary }) => {
+  const [boundaries, setBoundaries] = useState(null);
+  const [provenance, setProvenance] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadingId, setLoadingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!hasPolygon(polygonData)) {
+      setBoundaries(null);
+      return;
+    }
+
+    // A new area aborts the lookup in progress
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+
+    const loadBoundaries = async () => {
+      try {
+        const result = await fetchAdministrativeBoundaries(polygonData, {
+          signal: controller.signal,
+        });
+        controller.signal.throwIfAborted();
+
+        setBoundaries(result.data.boundaries);
+        setProvenance(result.provenance);
+      } catch (err) {
+        if (isAbortError(err)) return;
+
+        console.error("Error fetching administrative boundaries:", err);
+        setBoundaries(null);
+        setProvenance(null);
+        setError("No administrative boundary found for this area");
+      } finally {
+        if (!controller.signal.aborted) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    loadBoundaries();
+
+    return () => controller.abort();
+  }, [polygonData]);
+
+  // Fetch the outline of a unit and hand it over as the new analyzed area
+  const handleLoad = async (boundary) => {
+    setLoadingId(boundary.id);
+    setError(null);
+
+    try {
+      const result = await fetchBoundaryGeometry(polygonData, boundary.id);
+      onLoadBoundary({
+        id: Date.now(),
+        name: boundary.name,
+        geometry: result.data.geometry,
+      });
+    } catch (err) {
+      console.error("Error fetching boundary geometry:", err);
+      setError(`Unable to load the outline of ${boundary.name}`);
+    } finally {
+      setLoadingId(null);
+    }
+  };
+
+  if (!hasPolygon(polygonData)) return null;
+
+  return (
+    <div className="w-full p-4 bg-white rounded-lg shadow-md">
+      <h2 className="text-xl font-bold flex items-center gap-2 mb-4">
+        Jurisdictions
+        {!isLoading && <ProvenanceBadge provenance={provenance} />}
+      </h2>
+
+      {isLoading ? (
+        <div className="h-24 flex items-center justify-center">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-700"></div>
+        </div>
+      ) : (
+        <>
+          {error && <p className="text-sm text-red-500 mb-3">{error}</p>}
+          {boundaries && (
+            <div className="space-y-4">
+              {ADMIN_LEVELS.map((level) => {
+                const units = boundaries.filter(
+                  ({ adminLevel }) => adminLevel === level
+                );
+                if (units.length === 0) return null;
+
+                return (
+                  <div key={level}>
+                    <h3 className="text-sm font-semibold text-gray-600 mb-1">
+                      {levelLabels[level]}
+                    </h3>
+                    <ul className="space-y-1.5">
+                      {units.map((boundary) => (
+                        <li
+                          key={boundary.id}
+                          className="flex items-center gap-3 text-sm"
+                        >
+                          <span className="w-48 truncate font-medium text-gray-800">
+                            {boundary.name}
+                            {boundary.code && (
+                              <span className="ml-1 text-xs text-gray-500">
+                                {boundary.code}
+                              </span>
+                            )}
+                          </span>
+                          <div className="flex-1 h-2 bg-gray-200 rounded">
+                            <div
+                              className="h-2 bg-blue-600 rounded"
+                              style={{ width: `${boundary.share}%` }}
+                            ></div>
+                          </div>
+                          <span className="w-32 text-right text-gray-600">
+                            {boundary.share}% · {boundary.area} km²
+                          </span>
+                          <button
+                            className="text-xs text-blue-600 hover:underline disabled:text-gray-400"
+                            title="Load this boundary on the map as the analyzed area"
+                            disabled={loadingId !== null}
+                            onClick={() => handleLoad(boundary)}
+                          >
+                            {loadingId === boundary.id ? "Loading…" : "Analyze"}
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+          <ProvenanceNote provenance={provenance} className="text-right mt-3" />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Jurisdictions;
@@ -1,17 +1,37 @@
 import L from "leaflet";
 import "leaflet-draw/dist/leaflet.draw.css";
 import "leaflet/dist/leaflet.css";
-import { useEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import {
   FeatureGroup,
+  CircleMarker,
+  GeoJSON,
   LayersControl,
   MapContainer,
+  Polygon,
   TileLayer,
   useMap,
 } from "react-leaflet";
 
 // Direct import of leaflet-draw
 import "leaflet-draw";
+import {
+  detectGeoJSONCrs,
+  reprojectGeoJSON,
+  WGS84_CODE,
+  withCrsMember,
+} from "../utils/crs";
+import { repairPolygon, validatePolygon } from "../utils/geometryValidation";
+import {
+  bufferGeometry,
+  combinePolygons,
+  normalizePolygons,
+} from "../utils/geoUtils";
+import ImportExportPanel from "./ImportExportPanel";
+import SearchControl from "./SearchControl";
+import SelectionPanel from "./SelectionPanel";
+import SimplifyPanel from "./SimplifyPanel";
+import ValidationPanel from "./ValidationPanel";
 
 // List of available basemaps
 const basemaps = {
@@ -48,10 +68,85 @@ const basemaps = {
   },
 };
 
+// Style applied to polygons and lines selected for geometry operations
+const selectedStyle = { color: "#f59e0b", dashArray: null };
+
+// Highlight a selected layer and return the style needed to restore it
+const highlightLayer = (layer) => {
+  if (!layer.setStyle) {
+    // Markers have no vector style, fade them instead
+    layer.setOpacity(0.6);
+    return { opacity: 1 };
+  }
+
+  const style = {
+    color: layer.options.color,
+    dashArray: layer.options.dashArray,
+  };
+  layer.setStyle(selectedStyle);
+  return style;
+};
+
+const restoreLayer = (layer, style) => {
+  if (layer.setStyle) {
+    layer.setStyle(style);
+  } else {
+    layer.setOpacity(style.opacity);
+  }
+};
+
+const isPolygonLayer = (layer) => layer instanceof L.Polygon;
+
+// Single lines can be profiled, multi-part lines only buffered
+const isLineLayer = (layer) =>
+  layer instanceof L.Polyline &&
+  !isPolygonLayer(layer) &&
+  layer.toGeoJSON().geometry.type === "LineString";
+
 // Internal component to access the map instance
-const DrawControl = ({ onPolygonDrawn }) => {
+const DrawControl = ({ onPolygonDrawn, onLineDrawn, loadedArea }) => {
   const map = useMap();
   const featureGroupRef = useRef(null);
+  const isEditingRef = useRef(false);
+  const [pendingValidation, setPendingValidation] = useState(null);
+  const [selection, setSelection] = useState([]);
+  const selectionRef = useRef([]);
+  const [selectionMessage, setSelectionMessage] = useState(null);
+  const [simplifyTarget, setSimplifyTarget] = useState(null);
+  const loadedAreaRef = useRef(null);
+
+  // Add or remove a layer from the selection
+  const toggleSelection = useCallback((layer) => {
+    const current = selectionRef.current;
+    const existing = current.find((item) => item.layer === layer);
+    let next;
+
+    if (existing) {
+      restoreLayer(layer, existing.style);
+      next = current.filter((item) => item !== existing);
+    } else {
+      next = [...current, { layer, style: highlightLayer(layer) }];
+    }
+
+    selectionRef.current = next;
+    setSelection(next);
+    setSelectionMessage(null);
+  }, []);
+
+  // Check a polygon layer before running the analysis
+  const submitPolygon = useCallback(
+    (layer, geometry) => {
+      const validation = validatePolygon(geometry);
+      if (!validation.valid) {
+        setPendingValidation({ layer, geometry, issues: validation.issues });
+        return;
+      }
+
+      // Pass the geometry to the parent component
+      onPolygonDrawn(geometry);
+    },
+    [onPolygonDrawn]
+  );
 
   useEffect(() => {
     if (!featureGroupRef.current) return;
@@ -62,8 +157,6 @@ const DrawControl = ({ onPolygonDrawn }) => {
         rectangle: false,
         circle: false,
         circlemarker: false,
-        marker: false,
-        polyline: false,
       },
       edit: {
         featureGroup: featureGroupRef.current,
@@ -74,7 +167,7 @@ const DrawControl = ({ onPolygonDrawn }) => {
     map.addControl(drawControl);
 
     // Handle the drawing finished event
-    map.on(L.Draw.Event.CREATED, (e) => {
+    const handleCreated = (e) => {
       const { layerType, layer } = e;
 
       if (layerType === "polygon") {
@@ -86,18 +179,307 @@ const DrawControl = ({ onPolygonDrawn }) => {
           .getLatLngs()[0]
           .map((coord) => [coord.lat, coord.lng]);
 
-        // Pass the coordinates to the parent component
-        onPolygonDrawn(polygonCoords);
+        submitPolygon(layer, polygonCoords);
+      } else if (layerType === "polyline" || layerType === "marker") {
+        // Lines and points are not analyzed directly, select them to offer a buffer
+        featureGroupRef.current.addLayer(layer);
+        toggleSelection(layer);
+
+        // A drawn line opens its elevation profile
+        if (layerType === "polyline") {
+          onLineDrawn?.(layer.toGeoJSON().geometry);
+        }
       }
-    });
+    };
+
+    map.on(L.Draw.Event.CREATED, handleCreated);
 
     // Cleanup when the component is unmounted
     return () => {
+      map.off(L.Draw.Event.CREATED, handleCreated);
       map.removeControl(drawControl);
     };
-  }, [map, onPolygonDrawn]);
+  }, [map, submitPolygon, toggleSelection, onLineDrawn]);
+
+  // Toggle the selection of a layer when it is clicked outside edit mode
+  useEffect(() => {
+    const featureGroup = featureGroupRef.current;
+    if (!featureGroup) return;
+
+    const startEditing = () => {
+      isEditingRef.current = true;
+    };
+    const stopEditing = () => {
+      isEditingRef.current = false;
+    };
+
+    const handleClick = (e) => {
+      if (isEditingRef.current) return;
+
+      toggleSelection(e.layer);
+    };
+
+    // Forget deleted layers
+    const handleDeleted = (e) => {
+      const deletedLayers = e.layers.getLayers();
+      const next = selectionRef.current.filter(
+        (item) => !deletedLayers.includes(item.layer)
+      );
+      selectionRef.current = next;
+      setSelection(next);
+    };
+
+    featureGroup.on("click", handleClick);
+    map.on(L.Draw.Event.EDITSTART, startEditing);
+    map.on(L.Draw.Event.DELETESTART, startEditing);
+    map.on(L.Draw.Event.EDITSTOP, stopEditing);
+    map.on(L.Draw.Event.DELETESTOP, stopEditing);
+    map.on(L.Draw.Event.DELETED, handleDeleted);
+
+    return () => {
+      featureGroup.off("click", handleClick);
+      map.off(L.Draw.Event.EDITSTART, startEditing);
+      map.off(L.Draw.Event.DELETESTART, startEditing);
+      map.off(L.Draw.Event.EDITSTOP, stopEditing);
+      map.off(L.Draw.Event.DELETESTOP, stopEditing);
+      map.off(L.Draw.Event.DELETED, handleDeleted);
+    };
+  }, [map, toggleSelection]);
+
+  // Add a GeoJSON polygon or multipolygon to the drawn layers
+  const addGeometryLayer = useCallback((geometry) => {
+    const parts = normalizePolygons(geometry);
+    const layer = L.polygon(parts.length === 1 ? parts[0] : parts);
+    featureGroupRef.current.addLayer(layer);
+    return layer;
+  }, []);
+
+  // Add an area loaded from outside the map (an administrative boundary) and analyze it,
+  // once per loaded area
+  useEffect(() => {
+    if (!loadedArea || loadedAreaRef.current === loadedArea.id) return;
+    loadedAreaRef.current = loadedArea.id;
+
+    const layer = addGeometryLayer(loadedArea.geometry);
+    map.fitBounds(layer.getBounds());
+    submitPolygon(layer, loadedArea.geometry);
+  }, [loadedArea, map, addGeometryLayer, submitPolygon]);
+
+  const clearSelection = () => {
+    selectionRef.current.forEach(({ layer, style }) =>
+      restoreLayer(layer, style)
+    );
+    selectionRef.current = [];
+    setSelection([]);
+    setSelectionMessage(null);
+  };
+
+  // Combine the selected polygons and analyze the result
+  const handleCombine = (operation) => {
+    const result = combinePolygons(
+      operation,
+      selection
+        .filter(({ layer }) => isPolygonLayer(layer))
+        .map(({ layer }) => layer.toGeoJSON().geometry)
+    );
+
+    if (!result) {
+      setSelectionMessage("The result of this operation is empty.");
+      return;
+    }
 
-  return <FeatureGroup ref={featureGroupRef} />;
+    clearSelection();
+    addGeometryLayer(result);
+    onPolygonDrawn(result);
+  };
+
+  // Buffer the selected layer and analyze the buffered polygon
+  const handleBuffer = (distance, segments) => {
+    if (distance < 0 && !isPolygonLayer(selection[0].layer)) {
+      setSelectionMessage("Negative buffers only apply to polygons.");
+      return;
+    }
+
+    let result;
+    try {
+      result = bufferGeometry(
+        selection[0].layer.toGeoJSON().geometry,
+        distance,
+        { segments }
+      );
+    } catch (err) {
+      console.error("Error computing buffer:", err);
+      setSelectionMessage(`Unable to compute this buffer: ${err.message}`);
+      return;
+    }
+
+    if (!result) {
+      setSelectionMessage("The buffer is empty, try a smaller distance.");
+      return;
+    }
+
+    clearSelection();
+    addGeometryLayer(result);
+    onPolygonDrawn(result);
+  };
+
+  const handleSimplify = () => {
+    const { layer } = selection[0];
+    setSimplifyTarget({ layer, geometry: layer.toGeoJSON().geometry });
+  };
+
+  // Replace the polygon with its simplified version and analyze it
+  const handleAcceptSimplification = (simplified) => {
+    featureGroupRef.current.removeLayer(simplifyTarget.layer);
+    setSimplifyTarget(null);
+    clearSelection();
+    addGeometryLayer(simplified);
+    onPolygonDrawn(simplified);
+  };
+
+  const handleProfile = () => {
+    onLineDrawn?.(selection[0].layer.toGeoJSON().geometry);
+  };
+
+  const handleAnalyzeSelection = () => {
+    const geometry = selection[0].layer.toGeoJSON().geometry;
+    clearSelection();
+    onPolygonDrawn(geometry);
+  };
+
+  // Add the features of a GeoJSON file to the map, analyzing a single imported polygon
+  const handleImport = (geojson, crsCode) => {
+    const sourceCrs = detectGeoJSONCrs(geojson) || crsCode;
+    const data = reprojectGeoJSON(geojson, sourceCrs, WGS84_CODE);
+    const features =
+      data.type === "FeatureCollection"
+        ? data.features
+        : [
+            data.type === "Feature"
+              ? data
+              : { type: "Feature", geometry: data },
+          ];
+
+    const imported = features
+      .filter((feature) => feature.geometry)
+      .map((feature) => {
+        const layer = L.GeoJSON.geometryToLayer(feature);
+        featureGroupRef.current.addLayer(layer);
+        return { layer, geometry: feature.geometry };
+      });
+
+    if (imported.length === 0) {
+      throw new Error("The file contains no geometry");
+    }
+
+    map.fitBounds(
+      L.featureGroup(imported.map(({ layer }) => layer)).getBounds()
+    );
+
+    const polygons = imported.filter(({ layer }) => isPolygonLayer(layer));
+    if (polygons.length === 1) {
+      submitPolygon(polygons[0].layer, polygons[0].geometry);
+    }
+
+    return { count: imported.length, crs: sourceCrs };
+  };
+
+  // Download the selected features, or all drawn features, as GeoJSON in the given CRS
+  const handleExport = (crsCode) => {
+    const layers =
+      selection.length > 0
+        ? selection.map(({ layer }) => layer)
+        : featureGroupRef.current.getLayers();
+    if (layers.length === 0) return 0;
+
+    const collection = reprojectGeoJSON(
+      {
+        type: "FeatureCollection",
+        features: layers.map((layer) => layer.toGeoJSON()),
+      },
+      WGS84_CODE,
+      crsCode
+    );
+
+    const blob = new Blob(
+      [JSON.stringify(withCrsMember(collection, crsCode), null, 2)],
+      { type: "application/geo+json" }
+    );
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `features-${crsCode.replace(":", "-")}.geojson`;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    return layers.length;
+  };
+
+  // Replace the invalid layer with its repaired geometry and analyze it
+  const handleRepair = () => {
+    const { layer, geometry } = pendingValidation;
+    const repaired = repairPolygon(geometry);
+
+    featureGroupRef.current.removeLayer(layer);
+    setPendingValidation(null);
+
+    if (!repaired) return;
+
+    addGeometryLayer(repaired);
+    onPolygonDrawn(repaired);
+  };
+
+  const handleIgnore = () => {
+    onPolygonDrawn(pendingValidation.geometry);
+    setPendingValidation(null);
+  };
+
+  const handleDiscard = () => {
+    featureGroupRef.current.removeLayer(pendingValidation.layer);
+    setPendingValidation(null);
+  };
+
+  return (
+    <>
+      <FeatureGroup ref={featureGroupRef} />
+      <ImportExportPanel onImport={handleImport} onExport={handleExport} />
+      {pendingValidation && (
+        <ValidationPanel
+          layer={pendingValidation.layer}
+          issues={pendingValidation.issues}
+          onRepair={handleRepair}
+          onIgnore={handleIgnore}
+          onDiscard={handleDiscard}
+        />
+      )}
+      {simplifyTarget ? (
+        <SimplifyPanel
+          geometry={simplifyTarget.geometry}
+          onAccept={handleAcceptSimplification}
+          onCancel={() => setSimplifyTarget(null)}
+        />
+      ) : (
+        selection.length > 0 && (
+          <SelectionPanel
+            selectedCount={selection.length}
+            polygonCount={
+              selection.filter(({ layer }) => isPolygonLayer(layer)).length
+            }
+            lineCount={
+              selection.filter(({ layer }) => isLineLayer(layer)).length
+            }
+            message={selectionMessage}
+            onCombine={handleCombine}
+            onBuffer={handleBuffer}
+            onAnalyze={handleAnalyzeSelection}
+            onSimplify={handleSimplify}
+            onProfile={onLineDrawn && handleProfile}
+            onClear={clearSelection}
+          />
+        )
+      )}
+    </>
+  );
 };
 
 // Component for geolocation on load or on demand
@@ -161,6 +543,13 @@ const GeoLocationControl = ({ onLocationFound }) => {
 
 const MapComponent = ({
   onPolygonDrawn,
+  onLineDrawn,
+  profileMarker = null,
+  overlays = [],
+  choropleth = null,
+  landUse = null,
+  loadedArea = null,
+  onAreaSelected,
   defaultCenter = [48.856614, 2.3522219],
 }) => {
   const [selectedBasemap, setSelectedBasemap] = useState("osm");
@@ -213,8 +602,74 @@ const MapComponent = ({
         {/* Geolocation control */}
         <GeoLocationControl onLocationFound={handleLocationFound} />
 
+        {/* Place search */}
+        <SearchControl onAreaSelected={onAreaSelected} />
+
+        {/* Values measured in each grid cell */}
+        {choropleth && (
+          <GeoJSON
+            key={choropleth.id}
+            data={choropleth.cells}
+            style={(feature) => ({
+              color: "#374151",
+              weight: 1,
+              fillColor: feature.properties.color,
+              fillOpacity: 0.7,
+            })}
+            onEachFeature={(feature, layer) =>
+              layer.bindTooltip(feature.properties.label)
+            }
+          />
+        )}
+
+        {/* Land use surfaces measured in the analyzed area */}
+        {landUse && (
+          <GeoJSON
+            key={landUse.id}
+            data={landUse.features}
+            style={(feature) => ({
+              color: feature.properties.color,
+              weight: 1,
+              fillColor: feature.properties.color,
+              fillOpacity: 1,
+            })}
+            onEachFeature={(feature, layer) =>
+              layer.bindTooltip(feature.properties.label)
+            }
+          />
+        )}
+
+        {/* Analysis overlays (convex hull, minimum rectangle...) */}
+        {overlays.map(({ key, geometry, color }) => (
+          <Polygon
+            key={key}
+            positions={normalizePolygons(geometry)}
+            pathOptions={{ color, weight: 2, dashArray: "6 4", fill: false }}
+            interactive={false}
+          />
+        ))}
+
+        {/* Position hovered on the elevation profile */}
+        {profileMarker && (
+          <CircleMarker
+            center={profileMarker}
+            radius={6}
+            pathOptions={{
+              color: "#ffffff",
+              weight: 2,
+              fillColor: "#dc2626",
+              fillOpacity: 1,
+            }}
+            interactive={false}
+          />
+        )}
+
         {/* Polygon drawing tool */}
-        <DrawControl onPolygonDrawn={onPolygonDrawn} />
+        <DrawControl
+          onPolygonDrawn={onPolygonDrawn}
+          onLineDrawn={onLineDrawn}
+          loadedArea={loadedArea}
+        />
       </MapContainer>
     </div>
   );
@@ -0,0 +1,35 @@
+// Pills telling measured data from simulated estimates, and cached responses
+const ProvenanceBadge = ({ provenance, className = "" }) => {
+  if (!provenance) {
+    return null;
+  }
+
+  return (
+    <span className={`inline-flex items-center gap-1 ${className}`}>
+      <span
+        className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+          provenance.simulated
+            ? "bg-red-100 text-red-800"
+            : "bg-green-100 text-green-800"
+        }`}
+        title={
+          provenance.simulated
+            ? `Estimated locally by ${provenance.providerName}, not measured`
+            : `Measured data from ${provenance.providerName}`
+        }
+      >
+        {provenance.simulated ? "Simulated" : "Measured"}
+      </span>
+      {provenance.fromCache && (
+        <span
+          className="px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 text-xs font-medium"
+          title={`Stored ${new Date(provenance.timestamp).toLocaleString()}`}
+        >
+          Cached
+        </span>
+      )}
+    </span>
+  );
+};
+
+export default ProvenanceBadge;
@@ -0,0 +1,21 @@
+// One-line summary of where a result comes from and how far to trust it
+const ProvenanceNote = ({ provenance, className = "" }) => {
+  if (!provenance) {
+    return null;
+  }
+
+  const details = [
+    `Source: ${provenance.providerName}`,
+    provenance.resolution,
+    `${provenance.confidence} confidence`,
+    new Date(provenance.timestamp).toLocaleString(),
+  ].filter(Boolean);
+
+  return (
+    <p className={`text-xs text-gray-500 ${className}`}>
+      {details.join(" · ")}
+    </p>
+  );
+};
+
+export default ProvenanceNote;
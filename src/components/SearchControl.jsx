@@ -0,0 +1,228 @@
+import L from "leaflet";
+import { useEffect, useRef, useState } from "react";
+import { useMap } from "react-leaflet";
+import { fetchBoundaryGeometry, searchPlaces } from "../utils/apiService";
+import { isAbortError } from "../utils/providers";
+import ProvenanceBadge from "./ProvenanceBadge";
+
+// Suggestions while typing are only searched once typing pauses
+const SEARCH_DELAY = 500;
+const MIN_QUERY_LENGTH = 3;
+
+// Zoom used for results without an extent (addresses, points of interest)
+const PLACE_ZOOM = 14;
+
+// Place search box flying the map to the chosen result. Suggestions while typing
+// come from OpenCage or the bundled country names; Nominatim forbids autocomplete
+// and is only searched when the query is submitted with Enter
+const SearchControl = ({ onAreaSelected }) => {
+  const map = useMap();
+  const panelRef = useRef(null);
+  const [query, setQuery] = useState("");
+  const [search, setSearch] = useState({ query: "", autocomplete: true });
+  const [results, setResults] = useState([]);
+  const [provenance, setProvenance] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadingId, setLoadingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Prevent clicks and scrolls in the panel from reaching the map
+  useEffect(() => {
+    if (!panelRef.current) return;
+
+    L.DomEvent.disableClickPropagation(panelRef.current);
+    L.DomEvent.disableScrollPropagation(panelRef.current);
+  }, []);
+
+  useEffect(() => {
+    if (search.query.trim().length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setProvenance(null);
+      setError(null);
+      return;
+    }
+
+    // A new keystroke cancels the pending search and the one in progress
+    const controller = new AbortController();
+
+    const timer = setTimeout(
+      async () => {
+        setIsLoading(true);
+        setError(null);
+
+        try {
+          const result = await searchPlaces(search.query, {
+            autocomplete: search.autocomplete,
+            signal: controller.signal,
+          });
+          controller.signal.throwIfAborted();
+
+          setResults(result.data.results);
+          setProvenance(result.provenance);
+          setActiveIndex(-1);
+          if (result.data.results.length === 0) {
+            setError("No place found");
+          }
+        } catch (err) {
+          if (isAbortError(err)) return;
+
+          console.error("Error searching places:", err);
+          setResults([]);
+          setProvenance(null);
+          setError("Search is unavailable");
+        } finally {
+          if (!controller.signal.aborted) {
+            setIsLoading(false);
+          }
+        }
+      },
+      search.autocomplete ? SEARCH_DELAY : 0
+    );
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [search]);
+
+  const flyToResult = (result) => {
+    const { bounds } = result;
+
+    if (bounds) {
+      map.flyToBounds([
+        [bounds.south, bounds.west],
+        [bounds.north, bounds.east],
+      ]);
+    } else {
+      map.flyTo([result.lat, result.lng], PLACE_ZOOM);
+    }
+
+    setQuery(result.name);
+    setIsOpen(false);
+  };
+
+  // Hand the outline of an administrative result over as the analyzed area
+  const handleAnalyze = async (result) => {
+    setLoadingId(result.id);
+    setError(null);
+
+    try {
+      const geometry =
+        result.geometry ||
+        (await fetchBoundaryGeometry([], result.boundaryId)).data.geometry;
+
+      onAreaSelected({ id: Date.now(), name: result.name, geometry });
+      setIsOpen(false);
+    } catch (err) {
+      console.error("Error fetching boundary geometry:", err);
+      setError(`Unable to load the outline of ${result.name}`);
+    } finally {
+      setLoadingId(null);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") {
+      setIsOpen(false);
+      return;
+    }
+
+    // Enter without a highlighted suggestion runs the full search
+    if (e.key === "Enter" && (activeIndex < 0 || !isOpen)) {
+      setSearch({ query, autocomplete: false });
+      setIsOpen(true);
+      return;
+    }
+    if (results.length === 0) return;
+
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex((index) => (index + 1) % results.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((index) => (index <= 0 ? results.length : index) - 1);
+    } else if (e.key === "Enter") {
+      flyToResult(results[activeIndex]);
+    }
+  };
+
+  const canAnalyze = (result) =>
+    onAreaSelected && (result.geometry || result.boundaryId);
+
+  return (
+    <div
+      ref={panelRef}
+      className="absolute top-3 left-1/2 -translate-x-1/2 z-[1000] w-80 max-w-[60%] bg-white rounded-lg shadow-lg border border-gray-200 text-sm"
+    >
+      <div className="flex items-center gap-2 px-3 py-2">
+        <input
+          type="search"
+          className="flex-1 min-w-0 outline-none text-gray-800"
+          placeholder="Search a place, Enter for addresses"
+          aria-label="Search a place or an address"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setSearch({ query: e.target.value, autocomplete: true });
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
+        />
+        {isLoading && (
+          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-700"></div>
+        )}
+      </div>
+
+      {isOpen && (results.length > 0 || error) && (
+        <div className="border-t border-gray-200">
+          {error && <p className="px-3 py-2 text-red-500">{error}</p>}
+          <ul className="max-h-64 overflow-y-auto">
+            {results.map((result, index) => (
+              <li
+                key={result.id}
+                className={`flex items-center gap-2 px-3 py-1.5 cursor-pointer ${
+                  index === activeIndex ? "bg-blue-50" : "hover:bg-gray-50"
+                }`}
+                onMouseEnter={() => setActiveIndex(index)}
+                onClick={() => flyToResult(result)}
+              >
+                <span className="flex-1 min-w-0">
+                  <span className="block truncate text-gray-800">
+                    {result.name}
+                  </span>
+                  {result.type && (
+                    <span className="text-xs text-gray-500">{result.type}</span>
+                  )}
+                </span>
+                {canAnalyze(result) && (
+                  <button
+                    className="text-xs text-blue-600 hover:underline disabled:text-gray-400"
+                    title="Use this boundary as the analyzed area"
+                    disabled={loadingId !== null}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleAnalyze(result);
+                    }}
+                  >
+                    {loadingId === result.id ? "Loading…" : "Analyze"}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          {provenance && (
+            <div className="flex justify-end px-3 py-1.5 border-t border-gray-100">
+              <ProvenanceBadge provenance={provenance} />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchControl;
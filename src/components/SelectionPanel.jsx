@@ -0,0 +1,177 @@
+import L from "leaflet";
+import { useEffect, useRef, useState } from "react";
+import { BOOLEAN_OPERATIONS } from "../utils/geoUtils";
+
+// Boolean operations offered between selected polygons
+const operations = [
+  { key: BOOLEAN_OPERATIONS.UNION, label: "Union" },
+  { key: BOOLEAN_OPERATIONS.INTERSECTION, label: "Intersection" },
+  { key: BOOLEAN_OPERATIONS.DIFFERENCE, label: "Difference" },
+  { key: BOOLEAN_OPERATIONS.SYMMETRIC_DIFFERENCE, label: "Sym. difference" },
+];
+
+// Number of segments of a full circle accepted for buffers
+const MIN_BUFFER_SEGMENTS = 8;
+const MAX_BUFFER_SEGMENTS = 128;
+
+// Panel acting on the features selected on the map
+const SelectionPanel = ({
+  selectedCount,
+  polygonCount,
+  lineCount,
+  message,
+  onCombine,
+  onBuffer,
+  onAnalyze,
+  onSimplify,
+  onProfile,
+  onClear,
+}) => {
+  const panelRef = useRef(null);
+  const [bufferDistance, setBufferDistance] = useState(500);
+  const [bufferSegments, setBufferSegments] = useState(32);
+  const [bufferError, setBufferError] = useState(null);
+
+  // Prevent clicks and scrolls in the panel from reaching the map
+  useEffect(() => {
+    if (!panelRef.current) return;
+
+    L.DomEvent.disableClickPropagation(panelRef.current);
+    L.DomEvent.disableScrollPropagation(panelRef.current);
+  }, []);
+
+  // Empty fields would be read as 0 and text as NaN: check both before buffering
+  const handleBuffer = () => {
+    const distance = Number(bufferDistance);
+    const segments = Number(bufferSegments);
+
+    if (bufferDistance === "" || !Number.isFinite(distance) || distance === 0) {
+      setBufferError("Enter a non-zero distance in meters.");
+      return;
+    }
+    if (
+      !Number.isInteger(segments) ||
+      segments < MIN_BUFFER_SEGMENTS ||
+      segments > MAX_BUFFER_SEGMENTS
+    ) {
+      setBufferError(
+        `Segments must be a whole number between ${MIN_BUFFER_SEGMENTS} and ${MAX_BUFFER_SEGMENTS}.`
+      );
+      return;
+    }
+
+    setBufferError(null);
+    onBuffer(distance, segments);
+  };
+
+  return (
+    <div
+      ref={panelRef}
+      className="absolute top-3 left-14 z-[1000] w-64 bg-white rounded-lg shadow-lg border border-gray-200 p-3 text-sm"
+    >
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-gray-800">
+          {selectedCount} feature{selectedCount > 1 ? "s" : ""} selected
+        </h3>
+        <button
+          className="text-gray-500 hover:text-gray-800"
+          onClick={onClear}
+          title="Clear selection"
+        >
+          ✕
+        </button>
+      </div>
+
+      {selectedCount > 1 ? (
+        polygonCount > 1 ? (
+          <>
+            <div className="grid grid-cols-2 gap-2">
+              {operations.map(({ key, label }) => (
+                <button
+                  key={key}
+                  className="px-2 py-1 rounded border hover:bg-blue-50 hover:border-blue-300"
+                  onClick={() => onCombine(key)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Difference subtracts the other polygons from the first one
+              selected.
+            </p>
+          </>
+        ) : (
+          <p className="text-xs text-gray-500">
+            Select at least two polygons to combine them.
+          </p>
+        )
+      ) : (
+        <div className="space-y-2">
+          {polygonCount === 1 && (
+            <div className="flex gap-2">
+              <button
+                className="flex-1 px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700"
+                onClick={onAnalyze}
+              >
+                Analyze
+              </button>
+              <button
+                className="flex-1 px-2 py-1 rounded border hover:bg-blue-50 hover:border-blue-300"
+                onClick={onSimplify}
+              >
+                Simplify…
+              </button>
+            </div>
+          )}
+          {lineCount === 1 && onProfile && (
+            <button
+              className="w-full px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700"
+              onClick={onProfile}
+            >
+              Elevation profile
+            </button>
+          )}
+          <div className="flex gap-2 items-end">
+            <label className="flex-1 text-xs text-gray-600">
+              Distance (m)
+              <input
+                type="number"
+                className="w-full p-1 border rounded text-sm"
+                value={bufferDistance}
+                onChange={(e) => setBufferDistance(e.target.value)}
+              />
+            </label>
+            <label className="w-16 text-xs text-gray-600">
+              Segments
+              <input
+                type="number"
+                min={MIN_BUFFER_SEGMENTS}
+                max={MAX_BUFFER_SEGMENTS}
+                className="w-full p-1 border rounded text-sm"
+                value={bufferSegments}
+                onChange={(e) => setBufferSegments(e.target.value)}
+              />
+            </label>
+          </div>
+          <button
+            className="w-full px-2 py-1 rounded border hover:bg-blue-50 hover:border-blue-300"
+            onClick={handleBuffer}
+          >
+            Buffer
+          </button>
+          {polygonCount === 1 && (
+            <p className="text-xs text-gray-500">
+              Use a negative distance to shrink the polygon.
+            </p>
+          )}
+          {bufferError && <p className="text-xs text-red-600">{bufferError}</p>}
+        </div>
+      )}
+
+      {message && <p className="text-xs text-red-600 mt-2">{message}</p>}
+    </div>
+  );
+};
+
+export default SelectionPanel;
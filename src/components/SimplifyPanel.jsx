@@ -0,0 +1,148 @@
+import L from "leaflet";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { useMap } from "react-leaflet";
+import {
+  calculatePolygonArea,
+  countVertices,
+  normalizePolygons,
+  SIMPLIFICATION_METHODS,
+  simplifyPolygon,
+} from "../utils/geoUtils";
+
+// Tolerance range covered by the slider, as a share of the polygon size
+const MIN_TOLERANCE_RATIO = 0.0001;
+const MAX_TOLERANCE_RATIO = 0.1;
+
+// Panel previewing the simplification of a polygon before replacing it
+const SimplifyPanel = ({ geometry, onAccept, onCancel }) => {
+  const map = useMap();
+  const panelRef = useRef(null);
+  const [method, setMethod] = useState(SIMPLIFICATION_METHODS.DOUGLAS_PEUCKER);
+  const [sliderValue, setSliderValue] = useState(0);
+
+  // Prevent clicks and scrolls in the panel from reaching the map
+  useEffect(() => {
+    if (!panelRef.current) return;
+
+    L.DomEvent.disableClickPropagation(panelRef.current);
+    L.DomEvent.disableScrollPropagation(panelRef.current);
+  }, []);
+
+  const originalArea = useMemo(
+    () => calculatePolygonArea(geometry),
+    [geometry]
+  );
+  const originalVertices = useMemo(() => countVertices(geometry), [geometry]);
+
+  // Logarithmic slider: from 0.01% to 10% of the polygon size
+  const tolerance = useMemo(() => {
+    if (sliderValue === 0) return 0;
+
+    const size = Math.sqrt(originalArea);
+    const ratio =
+      MIN_TOLERANCE_RATIO *
+      Math.pow(MAX_TOLERANCE_RATIO / MIN_TOLERANCE_RATIO, sliderValue / 100);
+    return size * ratio;
+  }, [sliderValue, originalArea]);
+
+  const simplified = useMemo(
+    () => simplifyPolygon(geometry, tolerance, { method }),
+    [geometry, tolerance, method]
+  );
+
+  // Draw the simplified outline over the original polygon
+  useEffect(() => {
+    if (!simplified) return;
+
+    const parts = normalizePolygons(simplified);
+    const preview = L.polygon(parts.length === 1 ? parts[0] : parts, {
+      color: "#16a34a",
+      weight: 2,
+      dashArray: "4 4",
+      fill: false,
+      interactive: false,
+    }).addTo(map);
+
+    return () => {
+      preview.remove();
+    };
+  }, [map, simplified]);
+
+  const simplifiedVertices = simplified ? countVertices(simplified) : 0;
+  const simplifiedArea = simplified ? calculatePolygonArea(simplified) : 0;
+  const vertexReduction =
+    originalVertices > 0
+      ? ((originalVertices - simplifiedVertices) / originalVertices) * 100
+      : 0;
+  const areaChange =
+    originalArea > 0
+      ? ((simplifiedArea - originalArea) / originalArea) * 100
+      : 0;
+
+  return (
+    <div
+      ref={panelRef}
+      className="absolute top-3 left-14 z-[1000] w-72 bg-white rounded-lg shadow-lg border border-gray-200 p-3 text-sm"
+    >
+      <h3 className="font-semibold text-gray-800 mb-2">Simplify polygon</h3>
+
+      <select
+        className="w-full p-1 border rounded mb-2"
+        value={method}
+        onChange={(e) => setMethod(e.target.value)}
+      >
+        <option value={SIMPLIFICATION_METHODS.DOUGLAS_PEUCKER}>
+          Douglas-Peucker
+        </option>
+        <option value={SIMPLIFICATION_METHODS.VISVALINGAM}>Visvalingam</option>
+      </select>
+
+      <input
+        type="range"
+        min="0"
+        max="100"
+        className="w-full"
+        value={sliderValue}
+        onChange={(e) => setSliderValue(Number(e.target.value))}
+      />
+      <div className="text-xs text-gray-600 mb-2">
+        Tolerance: {tolerance.toFixed(1)} m
+      </div>
+
+      <div className="space-y-1 mb-3">
+        <div className="flex justify-between">
+          <span className="text-gray-600">Vertices:</span>
+          <span className="font-medium text-gray-800">
+            {originalVertices} → {simplifiedVertices} (−
+            {vertexReduction.toFixed(1)}%)
+          </span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-gray-600">Area change:</span>
+          <span className="font-medium text-gray-800">
+            {areaChange >= 0 ? "+" : ""}
+            {areaChange.toFixed(2)}%
+          </span>
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          className="flex-1 px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          disabled={!simplified || tolerance === 0}
+          onClick={() => onAccept(simplified)}
+        >
+          Accept
+        </button>
+        <button
+          className="flex-1 px-2 py-1 rounded border hover:bg-gray-50"
+          onClick={onCancel}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SimplifyPanel;
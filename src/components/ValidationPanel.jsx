@@ -0,0 +1,114 @@
+import L from "leaflet";
+import { useEffect, useRef } from "react";
+import { useMap } from "react-leaflet";
+import { ISSUE_TYPES } from "../utils/geometryValidation";
+
+// Readable labels for each validation issue
+const issueLabels = {
+  [ISSUE_TYPES.TOO_FEW_VERTICES]: "Fewer than 3 distinct vertices",
+  [ISSUE_TYPES.DUPLICATE_VERTEX]: "Duplicate vertex",
+  [ISSUE_TYPES.SELF_INTERSECTION]: "Self-intersection",
+  [ISSUE_TYPES.ZERO_AREA]: "Zero-area sliver",
+  [ISSUE_TYPES.WRONG_ORIENTATION]: "Wrong ring orientation",
+};
+
+// Panel listing the problems of an invalid polygon, with their location highlighted on the map
+const ValidationPanel = ({ layer, issues, onRepair, onIgnore, onDiscard }) => {
+  const map = useMap();
+  const panelRef = useRef(null);
+
+  // Prevent clicks and scrolls in the panel from reaching the map
+  useEffect(() => {
+    if (!panelRef.current) return;
+
+    L.DomEvent.disableClickPropagation(panelRef.current);
+    L.DomEvent.disableScrollPropagation(panelRef.current);
+  }, []);
+
+  // Highlight the invalid polygon and each issue location
+  useEffect(() => {
+    const previousStyle = {
+      color: layer.options.color,
+      dashArray: layer.options.dashArray,
+    };
+    layer.setStyle({ color: "#dc2626", dashArray: "6 4" });
+
+    const highlights = L.layerGroup(
+      issues
+        .filter((issue) => issue.location)
+        .map((issue) =>
+          L.circleMarker(issue.location, {
+            radius: 7,
+            color: "#dc2626",
+            weight: 2,
+            fillColor: "#f87171",
+            fillOpacity: 0.7,
+          }).bindTooltip(issueLabels[issue.type])
+        )
+    ).addTo(map);
+
+    return () => {
+      highlights.remove();
+      layer.setStyle(previousStyle);
+    };
+  }, [map, layer, issues]);
+
+  const formatLocation = (location) =>
+    location
+      ? `${location[0].toFixed(5)}, ${location[1].toFixed(5)}`
+      : "Unknown location";
+
+  return (
+    <div
+      ref={panelRef}
+      className="absolute bottom-6 left-3 z-[1000] w-72 bg-white rounded-lg shadow-lg border border-red-200 p-4 text-sm"
+    >
+      <h3 className="font-semibold text-red-700 mb-2">
+        Invalid polygon ({issues.length}{" "}
+        {issues.length > 1 ? "issues" : "issue"})
+      </h3>
+      <ul className="max-h-40 overflow-y-auto space-y-1 mb-3">
+        {issues.map((issue, index) => (
+          <li
+            key={index}
+            className="flex justify-between gap-2 cursor-pointer hover:bg-red-50 rounded px-1"
+            onClick={() => issue.location && map.panTo(issue.location)}
+          >
+            <span
+              className={
+                issue.severity === "error" ? "text-red-700" : "text-amber-700"
+              }
+            >
+              {issueLabels[issue.type]}
+            </span>
+            <span className="text-gray-500 text-xs">
+              {formatLocation(issue.location)}
+            </span>
+          </li>
+        ))}
+      </ul>
+      <div className="flex gap-2">
+        <button
+          className="flex-1 px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700"
+          onClick={onRepair}
+        >
+          Repair
+        </button>
+        <button
+          className="flex-1 px-2 py-1 rounded border hover:bg-gray-50"
+          onClick={onIgnore}
+        >
+          Analyze anyway
+        </button>
+        <button
+          className="px-2 py-1 rounded border text-red-600 hover:bg-red-50"
+          onClick={onDiscard}
+        >
+          Discard
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ValidationPanel;
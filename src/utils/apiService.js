@@ -1,460 +1,1492 @@
-import axios from "axios";
-import { coordsToGeoJSON } from "./geoUtils";
-
-/**
- * Récupère des données d'élévation pour un polygone depuis l'API Open-Elevation
- * @param {Array} polygonCoords - Coordonnées du polygone [lat, lng]
- * @returns {Promise} - Promise avec les données d'élévation
- */
-export const fetchElevationData = async (polygonCoords) => {
-  try {
-    // Calcule le centre du polygone pour obtenir l'élévation
-    const centerLat =
-      polygonCoords.reduce((sum, point) => sum + point[0], 0) /
-      polygonCoords.length;
-    const centerLng =
-      polygonCoords.reduce((sum, point) => sum + point[1], 0) /
-      polygonCoords.length;
-
-    // Utilise l'API Open-Elevation
-    const response = await axios.get(
-      `https://api.open-elevation.com/api/v1/lookup?locations=${centerLat},${centerLng}`
-    );
+import {
+  assembleRings,
+  BOOLEAN_OPERATIONS,
+  calculateBoundingBox,
+  calculateLineLength,
+  calculatePolygonArea,
+  combinePolygons,
+  coordsToGeoJSON,
+  isPointInPolygon,
+  polygonsToGeoJSON,
+  sampleLine,
+  samplePolygonPoints,
+  splitBoundingBox,
+} from "./geoUtils";
+import {
+  findCountryAt,
+  getCountryBoundary,
+  getCountryDemographics,
+  searchCountries,
+  toAlpha3,
+} from "./countries";
+import {
+  classifyTags,
+  getLandUseTaxonomy,
+  OTHER_CLASS,
+  toOverpassFilters,
+} from "./landUseTaxonomy";
+import {
+  CAPABILITIES,
+  CONFIDENCE,
+  fetchFromProviders,
+  registerProvider,
+} from "./providers";
+import { wait } from "./scheduler";
+
+// Points échantillonnés dans une zone ou le long d'une ligne, et points envoyés par requête
+const ELEVATION_SAMPLES = 200;
+const ELEVATION_BATCH_SIZE = 100;
+
+// Intervalle minimal d'un profil : la résolution des modèles de terrain (SRTM 30 m)
+const MIN_PROFILE_INTERVAL = 30;
+
+// Jours de prévision demandés (OpenWeatherMap en fournit 5 par pas de 3 heures)
+const FORECAST_DAYS = 7;
+
+// Période de référence par défaut des normales climatiques, et durée de la période
+// récente comparée à cette référence
+const DEFAULT_CLIMATE_PERIOD = "1991-2020";
+const RECENT_CLIMATE_YEARS = 10;
+
+// Année des estimations WorldPop par défaut, intervalle entre deux interrogations d'une
+// tâche et durée maximale d'attente de son résultat
+const DEFAULT_POPULATION_YEAR = 2020;
+const WORLDPOP_POLL_INTERVAL = 2000;
+const WORLDPOP_TIMEOUT = 120000;
+
+// Points échantillonnés pour estimer la part de la zone dans chaque entité administrative
+const ADMIN_BOUNDARY_SAMPLES = 64;
+
+// Décalage des identifiants des zones Overpass dérivées des relations et des chemins
+const OVERPASS_RELATION_AREA = 3600000000;
+const OVERPASS_WAY_AREA = 2400000000;
+
+// Résultats proposés par la recherche de lieux
+const SEARCH_RESULTS = 5;
+
+// Types de lieux OpenCage correspondant à une entité administrative
+const OPENCAGE_ADMINISTRATIVE_TYPES = [
+  "country",
+  "state",
+  "state_district",
+  "county",
+  "city",
+  "town",
+  "village",
+  "municipality",
+];
+
+// Mois affichés dans les graphiques
+const MONTH_LABELS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+// Attributs OpenStreetMap représentatifs des catégories de l'estimation régionale,
+// pour ranger l'estimation dans la nomenclature demandée
+const ESTIMATE_LAND_USE_TAGS = {
+  urban: { landuse: "residential" },
+  agriculture: { landuse: "farmland" },
+  forest: { natural: "wood" },
+  water: { natural: "water" },
+};
 
-    if (
-      response.data &&
-      response.data.results &&
-      response.data.results.length > 0
-    ) {
-      return {
-        centerElevation: response.data.results[0].elevation,
-        unit: "mètres",
-      };
-    }
+/**
+ * Récupère les statistiques d'élévation d'un polygone à partir d'une grille de points
+ * (Open-Elevation, puis Google Elevation, puis estimation par défaut)
+ * @param {Array|Object} polygonCoords - Coordonnées du polygone [lat, lng] ou géométrie GeoJSON
+ * @param {Object} options - Options de la requête (voir fetchFromProviders) ;
+ *                           options.params.maxSamples limite le nombre de points échantillonnés
+ * @returns {Promise} - Promise avec { data, provenance }, data étant les statistiques
+ *                      d'élévation (voir summarizeElevations)
+ */
+export const fetchElevationData = async (polygonCoords, options = {}) => {
+  const points = samplePolygonPoints(
+    polygonCoords,
+    options.params?.maxSamples || ELEVATION_SAMPLES
+  );
+
+  const { data, provenance } = await fetchFromProviders(
+    CAPABILITIES.ELEVATION,
+    polygonCoords,
+    { ...options, params: { points } }
+  );
+  return { data: summarizeElevations(data.elevations), provenance };
+};
 
-    throw new Error("Données d'élévation non disponibles");
-  } catch (error) {
-    console.error(
-      "Erreur lors de la récupération des données d'élévation:",
-      error
-    );
-    // Fallback vers Google Elevation API si disponible
-    try {
-      const GOOGLE_API_KEY = process.env.VITE_GOOGLE_API_KEY;
-      if (GOOGLE_API_KEY) {
-        const centerLat =
-          polygonCoords.reduce((sum, point) => sum + point[0], 0) /
-          polygonCoords.length;
-        const centerLng =
-          polygonCoords.reduce((sum, point) => sum + point[1], 0) /
-          polygonCoords.length;
-
-        const googleResponse = await axios.get(
-          `https://maps.googleapis.com/maps/api/elevation/json?locations=${centerLat},${centerLng}&key=${GOOGLE_API_KEY}`
-        );
+/**
+ * Récupère le profil d'élévation d'une ligne, échantillonnée à intervalle géodésique régulier
+ * (mêmes fournisseurs que fetchElevationData)
+ * @param {Array|Object} line - Sommets [lat, lng], ou LineString / Feature GeoJSON
+ * @param {Object} options - Options de la requête (voir fetchFromProviders) ;
+ *                           options.interval impose l'intervalle en mètres
+ * @returns {Promise} - Promise avec { data, provenance }, data étant le profil
+ *                      (voir summarizeProfile)
+ */
+export const fetchElevationProfile = async (
+  line,
+  { interval, ...options } = {}
+) => {
+  const length = calculateLineLength(line);
+  const samples = sampleLine(
+    line,
+    interval || Math.max(MIN_PROFILE_INTERVAL, length / (ELEVATION_SAMPLES - 1))
+  );
+
+  const { data, provenance } = await fetchFromProviders(
+    CAPABILITIES.ELEVATION,
+    line,
+    { ...options, params: { points: samples.map(({ point }) => point) } }
+  );
+  return { data: summarizeProfile(samples, data.elevations), provenance };
+};
 
-        if (
-          googleResponse.data &&
-          googleResponse.data.results &&
-          googleResponse.data.results.length > 0
-        ) {
-          return {
-            centerElevation: googleResponse.data.results[0].elevation,
-            unit: "mètres",
-          };
-        }
-      }
-    } catch (e) {
-      console.error(
-        "Erreur lors de la récupération des données d'élévation via Google API:",
-        e
-      );
-    }
+/**
+ * Récupère des informations météo actuelles pour une zone
+ * (OpenWeatherMap, puis WeatherAPI.com, puis simulation par défaut)
+ * @param {Array|Object} polygonCoords - Coordonnées du polygone [lat, lng] ou géométrie GeoJSON
+ * @param {Object} options - Options de la requête (voir fetchFromProviders)
+ * @returns {Promise} - Promise avec { data, provenance }, data étant les données météo
+ */
+export const fetchWeatherData = (polygonCoords, options) =>
+  fetchFromProviders(CAPABILITIES.WEATHER, polygonCoords, options);
 
-    // Estimation basée sur la latitude et longitude
-    return estimateElevationFromLocation(polygonCoords);
-  }
-};
+/**
+ * Récupère les prévisions météo heure par heure et jour par jour pour une zone,
+ * avec les mêmes fournisseurs que les conditions actuelles
+ * @param {Array|Object} polygonCoords - Coordonnées du polygone [lat, lng] ou géométrie GeoJSON
+ * @param {Object} options - Options de la requête (voir fetchFromProviders)
+ * @returns {Promise} - Promise avec { data, provenance }, data étant les prévisions
+ *                      (voir buildForecast)
+ */
+export const fetchWeatherForecast = (polygonCoords, options = {}) =>
+  fetchFromProviders(CAPABILITIES.WEATHER, polygonCoords, {
+    ...options,
+    params: { ...options.params, forecast: true },
+  });
+
+/**
+ * Périodes de référence disponibles pour les normales climatiques
+ */
+export const CLIMATE_PERIODS = ["1961-1990", "1991-2020"];
+
+/**
+ * Récupère les normales climatiques mensuelles d'une période de référence et leur
+ * écart avec la dernière décennie observée
+ * (WorldBank Climate Knowledge Portal, puis simulation par défaut)
+ * @param {Array|Object} polygonCoords - Coordonnées du polygone [lat, lng] ou géométrie GeoJSON
+ * @param {Object} options - Options de la requête (voir fetchFromProviders) ;
+ *                           options.params.period choisit la période (voir CLIMATE_PERIODS)
+ * @returns {Promise} - Promise avec { data, provenance }, data étant les données
+ *                      climatiques (voir buildClimateData)
+ */
+export const fetchClimateData = (polygonCoords, options = {}) =>
+  fetchFromProviders(CAPABILITIES.CLIMATE, polygonCoords, {
+    ...options,
+    params: {
+      ...options.params,
+      period: CLIMATE_PERIODS.includes(options.params?.period)
+        ? options.params.period
+        : DEFAULT_CLIMATE_PERIOD,
+    },
+  });
+
+// Années couvertes par les estimations WorldPop (grille mondiale 100 m)
+export const POPULATION_YEARS = Array.from(
+  { length: 21 },
+  (_, index) => 2000 + index
+);
 
 /**
- * Récupère des informations météo actuelles pour une zone via l'API OpenWeatherMap
- * @param {Array} polygonCoords - Coordonnées du polygone [lat, lng]
- * @returns {Promise} - Promise avec les données météo
+ * Récupère des données de population pour la zone
+ * (WorldPop, puis moyennes nationales intégrées, puis estimation par défaut)
+ * @param {Array|Object} polygonCoords - Coordonnées du polygone [lat, lng] ou géométrie GeoJSON
+ * @param {Object} options - Options de la requête (voir fetchFromProviders) ;
+ *                           options.params.year choisit l'année (voir POPULATION_YEARS) et
+ *                           options.params.ageSex demande la répartition par âge et par sexe
+ * @returns {Promise} - Promise avec { data, provenance }, data étant l'estimation de population
+ *                      { population, density, area, year, ageGroups } ; year n'est fourni que
+ *                      par WorldPop, ageGroups ({ label, population, male, female }) vaut null
+ *                      quand la source ne répartit pas et male / female null sans répartition par sexe
  */
-export const fetchWeatherData = async (polygonCoords) => {
-  try {
-    // Calcule le centre du polygone pour la météo
-    const centerLat =
-      polygonCoords.reduce((sum, point) => sum + point[0], 0) /
-      polygonCoords.length;
-    const centerLng =
-      polygonCoords.reduce((sum, point) => sum + point[1], 0) /
-      polygonCoords.length;
+export const fetchPopulationEstimate = (polygonCoords, options = {}) =>
+  fetchFromProviders(CAPABILITIES.POPULATION, polygonCoords, {
+    ...options,
+    params: {
+      ...options.params,
+      year: POPULATION_YEARS.includes(options.params?.year)
+        ? options.params.year
+        : DEFAULT_POPULATION_YEAR,
+      ageSex: Boolean(options.params?.ageSex),
+    },
+  });
+
+/**
+ * Récupère des données d'utilisation des terres pour la zone
+ * (OpenStreetMap via Overpass, puis estimation par défaut)
+ * @param {Array|Object} polygonCoords - Coordonnées du polygone [lat, lng] ou géométrie GeoJSON
+ * @param {Object} options - Options de la requête (voir fetchFromProviders) ;
+ *                           options.params.taxonomy choisit la nomenclature (voir landUseTaxonomy)
+ * @returns {Promise} - Promise avec { data, provenance }, data étant
+ *                      { taxonomy, shares: { classe: % }, areas, features, dataSource }
+ */
+export const fetchLandUseData = (polygonCoords, options = {}) =>
+  fetchFromProviders(CAPABILITIES.LAND_USE, polygonCoords, {
+    ...options,
+    params: {
+      ...options.params,
+      taxonomy: getLandUseTaxonomy(options.params?.taxonomy).id,
+    },
+  });
 
-    // API OpenWeatherMap
-    const API_KEY = import.meta.env.VITE_OPENWEATHER_API_KEY;
+// Niveaux administratifs OpenStreetMap recherchés : pays, région, département, commune
+export const ADMIN_LEVELS = [2, 4, 6, 8];
+
+/**
+ * Identifie les entités administratives que recoupe une zone et la part de la zone dans
+ * chacune, d'après des points répartis uniformément dans la zone
+ * (OpenStreetMap via Overpass, puis contours des pays intégrés)
+ * @param {Array|Object} polygonCoords - Coordonnées du polygone [lat, lng] ou géométrie GeoJSON
+ * @param {Object} options - Options de la requête (voir fetchFromProviders)
+ * @returns {Promise} - Promise avec { data, provenance }, data étant
+ *                      { boundaries: [{ id, name, adminLevel, code, share (%), area (km²) }], samples }
+ */
+export const fetchAdministrativeBoundaries = (polygonCoords, options = {}) =>
+  fetchFromProviders(CAPABILITIES.ADMIN_BOUNDARIES, polygonCoords, {
+    ...options,
+    params: {
+      ...options.params,
+      points: samplePolygonPoints(polygonCoords, ADMIN_BOUNDARY_SAMPLES),
+    },
+  });
+
+/**
+ * Récupère le contour d'une entité administrative listée par fetchAdministrativeBoundaries
+ * @param {Array|Object} polygonCoords - Zone dans laquelle l'entité a été trouvée
+ * @param {String} boundaryId - Identifiant de l'entité ("relation/…" ou "country/…")
+ * @param {Object} options - Options de la requête (voir fetchFromProviders)
+ * @returns {Promise} - Promise avec { data, provenance }, data étant
+ *                      { id, name, geometry } (géométrie GeoJSON Polygon ou MultiPolygon)
+ */
+export const fetchBoundaryGeometry = (
+  polygonCoords,
+  boundaryId,
+  options = {}
+) =>
+  fetchFromProviders(CAPABILITIES.ADMIN_BOUNDARIES, polygonCoords, {
+    ...options,
+    params: { ...options.params, boundary: boundaryId },
+  });
+
+/**
+ * Recherche des lieux et des adresses par leur nom
+ * (OpenCage si une clé est configurée, puis Nominatim, puis noms des pays intégrés)
+ * La politique d'usage de Nominatim interdit l'autocomplétion : les recherches
+ * faites pendant la saisie ne l'interrogent pas
+ * @param {String} query - Nom de lieu ou adresse
+ * @param {Object} options - Options de la requête (voir fetchFromProviders) ;
+ *                           options.autocomplete signale une recherche faite pendant la saisie
+ * @returns {Promise} - Promise avec { data, provenance }, data étant { results: [{ id, name, type,
+ *                      lat, lng, bounds, boundaryId, geometry }] } ; boundaryId (voir
+ *                      fetchBoundaryGeometry) et geometry ne sont renseignés que pour les
+ *                      entités administratives, geometry quand la source fournit le contour
+ */
+export const searchPlaces = (
+  query,
+  { autocomplete = false, ...options } = {}
+) =>
+  // La recherche ne porte pas sur une zone : la géométrie est vide
+  fetchFromProviders(CAPABILITIES.GEOCODING, [], {
+    ...options,
+    params: {
+      ...options.params,
+      query: query.trim(),
+      limit: SEARCH_RESULTS,
+      autocomplete,
+    },
+  });
 
-    if (!API_KEY) {
-      throw new Error("Clé API OpenWeatherMap manquante");
+// Fournisseurs intégrés, enregistrés dans leur ordre de priorité par défaut.
+// Les estimations locales terminent chaque chaîne et répondent toujours.
+
+// Élévation : chaque fournisseur renvoie l'élévation des points de params.points
+
+registerProvider({
+  id: "open-elevation",
+  name: "Open-Elevation",
+  capability: CAPABILITIES.ELEVATION,
+  resolution: "Points échantillonnés (SRTM 30 m)",
+  confidence: CONFIDENCE.HIGH,
+  dailyQuota: 1000, // Usage raisonnable de l'instance publique
+  fetch: async ({ params, http }) => {
+    const responses = await Promise.all(
+      chunk(params.points, ELEVATION_BATCH_SIZE).map(async (batch) => {
+        const { data } = await http.post(
+          "https://api.open-elevation.com/api/v1/lookup",
+          {
+            locations: batch.map(([latitude, longitude]) => ({
+              latitude,
+              longitude,
+            })),
+          }
+        );
+        return data.results;
+      })
+    );
+    return responses.flat();
+  },
+  normalize: (results) =>
+    toElevations(results.map(({ elevation }) => elevation)),
+});
+
+registerProvider({
+  id: "google-elevation",
+  name: "Google Elevation",
+  capability: CAPABILITIES.ELEVATION,
+  resolution: "Points échantillonnés",
+  confidence: CONFIDENCE.HIGH,
+  requiredKeys: ["VITE_GOOGLE_API_KEY"],
+  fetch: async ({ params, keys, http }) => {
+    const responses = await Promise.all(
+      chunk(params.points, ELEVATION_BATCH_SIZE).map(async (batch) => {
+        const locations = batch
+          .map(([lat, lng]) => `${lat.toFixed(6)},${lng.toFixed(6)}`)
+          .join("|");
+        const { data } = await http.get(
+          `https://maps.googleapis.com/maps/api/elevation/json?locations=${locations}&key=${keys.VITE_GOOGLE_API_KEY}`
+        );
+        if (data.status !== "OK") {
+          throw new Error(`Google Elevation : ${data.status}`);
+        }
+        return data.results;
+      })
+    );
+    return responses.flat();
+  },
+  normalize: (results) =>
+    toElevations(results.map(({ elevation }) => elevation)),
+});
+
+registerProvider({
+  id: "elevation-estimate",
+  name: "Estimation d'élévation",
+  capability: CAPABILITIES.ELEVATION,
+  simulated: true,
+  resolution: "Estimation régionale",
+  confidence: CONFIDENCE.LOW,
+  // Une seule estimation pour toute la zone : varier d'un point à l'autre inventerait un relief
+  fetch: async ({ center, params: { points } }) => {
+    if (points.length === 0) return [];
+
+    // Une ligne n'a pas de centre : l'estimation est prise en son point médian
+    const [lat, lng] = points[Math.floor(points.length / 2)];
+    const { centerElevation } = estimateElevationFromLocation({
+      center: center || { lat, lng },
+    });
+    return points.map(() => centerElevation);
+  },
+  normalize: toElevations,
+});
+
+// Météo
+
+registerProvider({
+  id: "openweathermap",
+  name: "OpenWeatherMap",
+  capability: CAPABILITIES.WEATHER,
+  resolution: "Point au centre de la zone",
+  confidence: CONFIDENCE.HIGH,
+  requiredKeys: ["VITE_OPENWEATHER_API_KEY"],
+  dailyQuota: 1000, // Offre gratuite
+  fetch: async ({ center, params, keys, http }) =>
+    (
+      await http.get(
+        `https://api.openweathermap.org/data/2.5/${
+          params.forecast ? "forecast" : "weather"
+        }?lat=${center.lat}&lon=${center.lng}&units=metric&appid=${
+          keys.VITE_OPENWEATHER_API_KEY
+        }`
+      )
+    ).data,
+  normalize: (data, { params }) =>
+    params.forecast
+      ? normalizeOpenWeatherForecast(data)
+      : {
+          temperature: data.main.temp,
+          humidity: data.main.humidity,
+          windSpeed: data.wind.speed,
+          description: data.weather[0].description,
+          icon: data.weather[0].icon,
+          pressure: data.main.pressure,
+          clouds: data.clouds?.all || 0,
+          rain: data.rain?.["1h"] || 0,
+          location: data.name,
+          country: data.sys.country,
+        },
+});
+
+registerProvider({
+  id: "weatherapi",
+  name: "WeatherAPI.com",
+  capability: CAPABILITIES.WEATHER,
+  resolution: "Point au centre de la zone",
+  confidence: CONFIDENCE.HIGH,
+  requiredKeys: ["VITE_WEATHERAPI_KEY"],
+  dailyQuota: 30000, // Offre gratuite : 1 million d'appels par mois
+  fetch: async ({ center, params, keys, http }) =>
+    (
+      await http.get(
+        params.forecast
+          ? `https://api.weatherapi.com/v1/forecast.json?key=${keys.VITE_WEATHERAPI_KEY}&q=${center.lat},${center.lng}&days=${FORECAST_DAYS}&aqi=no&alerts=no`
+          : `https://api.weatherapi.com/v1/current.json?key=${keys.VITE_WEATHERAPI_KEY}&q=${center.lat},${center.lng}&aqi=no`
+      )
+    ).data,
+  normalize: (data, { params }) =>
+    params.forecast
+      ? normalizeWeatherApiForecast(data)
+      : {
+          temperature: data.current.temp_c,
+          humidity: data.current.humidity,
+          windSpeed: data.current.wind_kph / 3.6, // Conversion en m/s
+          description: data.current.condition.text,
+          icon: data.current.condition.icon,
+          pressure: data.current.pressure_mb,
+          clouds: data.current.cloud,
+          rain: 0, // Non disponible directement
+          location: data.location.name,
+          country: data.location.country,
+        },
+});
+
+registerProvider({
+  id: "weather-simulation",
+  name: "Simulation météo",
+  capability: CAPABILITIES.WEATHER,
+  simulated: true,
+  resolution: "Estimation par latitude",
+  confidence: CONFIDENCE.LOW,
+  fetch: async (context) =>
+    context.params.forecast
+      ? generateForecastFromLocation(context)
+      : generateWeatherDataFromLocation(context),
+});
+
+// Climat
+
+registerProvider({
+  id: "worldbank-climate",
+  name: "WorldBank Climate Knowledge Portal",
+  capability: CAPABILITIES.CLIMATE,
+  resolution: "Moyenne nationale (CRU 0,5°)",
+  confidence: CONFIDENCE.MEDIUM,
+  fetch: async ({ center, http }) => {
+    // Les séries CRU du portail sont agrégées par pays : trouver celui du centre
+    // d'après les contours intégrés, sans appel réseau
+    const geocode = toAlpha3(await findCountryAt(center.lat, center.lng));
+    if (!geocode) {
+      throw new Error("Aucun pays trouvé au centre de la zone");
     }
 
-    const response = await axios.get(
-      `https://api.openweathermap.org/data/2.5/weather?lat=${centerLat}&lon=${centerLng}&units=metric&appid=${API_KEY}`
+    // Séries mensuelles de température moyenne (tas) et de précipitations (pr)
+    const [temperature, precipitation] = await Promise.all(
+      ["tas", "pr"].map(
+        async (variable) =>
+          (
+            await http.get(
+              `https://cckpapi.worldbank.org/cckp/v1/cru-x0.5_timeseries_${variable}_timeseries_monthly_1901-2022_mean_historical_cru_ts4.07_mean/${geocode}?_format=json`
+            )
+          ).data
+      )
     );
 
-    return {
-      temperature: response.data.main.temp,
-      humidity: response.data.main.humidity,
-      windSpeed: response.data.wind.speed,
-      description: response.data.weather[0].description,
-      icon: response.data.weather[0].icon,
-      pressure: response.data.main.pressure,
-      clouds: response.data.clouds?.all || 0,
-      rain: response.data.rain?.["1h"] || 0,
-      location: response.data.name,
-      country: response.data.sys.country,
-    };
-  } catch (error) {
-    console.error("Erreur lors de la récupération des données météo:", error);
-
-    // Essayer une autre API météo
-    try {
-      // Autre option : WeatherAPI.com
-      const WEATHERAPI_KEY = import.meta.env.VITE_WEATHERAPI_KEY;
-      const centerLat =
-        polygonCoords.reduce((sum, point) => sum + point[0], 0) /
-        polygonCoords.length;
-      const centerLng =
-        polygonCoords.reduce((sum, point) => sum + point[1], 0) /
-        polygonCoords.length;
-
-      if (WEATHERAPI_KEY) {
-        const alternateResponse = await axios.get(
-          `https://api.weatherapi.com/v1/current.json?key=${WEATHERAPI_KEY}&q=${centerLat},${centerLng}&aqi=no`
-        );
+    return { geocode, temperature, precipitation };
+  },
+  normalize: (response, { params }) =>
+    processClimateData(response, params.period),
+});
+
+registerProvider({
+  id: "climate-simulation",
+  name: "Simulation climatique",
+  capability: CAPABILITIES.CLIMATE,
+  simulated: true,
+  resolution: "Estimation par latitude",
+  confidence: CONFIDENCE.LOW,
+  fetch: async (context) => generateClimateDataFromLocation(context),
+});
+
+// Population
+
+registerProvider({
+  id: "worldpop",
+  name: "WorldPop",
+  capability: CAPABILITIES.POPULATION,
+  resolution: "Grille 100 m",
+  confidence: CONFIDENCE.HIGH,
+  // Le service de statistiques met le calcul en file d'attente : on soumet la zone
+  // (en formulaire, une géométrie détaillée dépassant la taille d'une URL) puis on
+  // interroge la tâche jusqu'à son résultat
+  fetch: async ({ geometry, params, signal, onProgress, http }) => {
+    const { data: task } = await http.post(
+      "https://api.worldpop.org/v1/services/stats",
+      new URLSearchParams({
+        dataset: params.ageSex ? "wpgpas" : "wpgppop",
+        year: params.year,
+        geojson: JSON.stringify({
+          type: "FeatureCollection",
+          features: [coordsToGeoJSON(geometry)],
+        }),
+        runasync: "true",
+      })
+    );
+    if (task?.error || !task?.taskid) {
+      throw new Error(task?.error_message || "Tâche WorldPop refusée");
+    }
 
-        return {
-          temperature: alternateResponse.data.current.temp_c,
-          humidity: alternateResponse.data.current.humidity,
-          windSpeed: alternateResponse.data.current.wind_kph / 3.6, // Conversion en m/s
-          description: alternateResponse.data.current.condition.text,
-          icon: alternateResponse.data.current.condition.icon,
-          pressure: alternateResponse.data.current.pressure_mb,
-          clouds: alternateResponse.data.current.cloud,
-          rain: 0, // Non disponible directement
-          location: alternateResponse.data.location.name,
-          country: alternateResponse.data.location.country,
-        };
-      }
-    } catch (err) {
-      console.error("Erreur avec l'API alternative:", err);
+    return pollWorldPopTask(task.taskid, { http, signal, onProgress });
+  },
+  normalize: (task, { area, params }) => {
+    const ageGroups = task?.data?.agesexpyramid
+      ? parseAgeSexPyramid(task.data.agesexpyramid)
+      : null;
+    const population =
+      task?.data?.total_population ??
+      ageGroups?.reduce((sum, group) => sum + group.population, 0);
+
+    if (!Number.isFinite(population)) {
+      return null;
     }
 
-    // Fallback vers des données simulées
-    return generateWeatherDataFromLocation(polygonCoords);
-  }
-};
+    return {
+      population: Math.round(population),
+      density: Math.round(population / area),
+      area: area.toFixed(2),
+      year: params.year,
+      ageGroups,
+    };
+  },
+});
+
+registerProvider({
+  id: "country-demographics",
+  name: "Moyennes nationales (données intégrées)",
+  capability: CAPABILITIES.POPULATION,
+  resolution: "Moyenne nationale",
+  confidence: CONFIDENCE.LOW,
+  // Densité nationale rapportée à la zone : une extrapolation, pas une mesure
+  simulated: true,
+  // Pays du point intérieur d'après les contours intégrés : aucun appel réseau
+  fetch: async ({ center }) =>
+    getCountryDemographics(await findCountryAt(center.lat, center.lng)),
+  normalize: (country, { area }) => {
+    if (!country) {
+      return null;
+    }
 
-/**
- * Récupère des données historiques climatiques via l'API NOAA
- * @param {Array} polygonCoords - Coordonnées du polygone [lat, lng]
- * @returns {Promise} - Promise avec les données climatiques
- */
-export const fetchClimateData = async (polygonCoords) => {
-  try {
-    // Calcule le centre du polygone
-    const centerLat =
-      polygonCoords.reduce((sum, point) => sum + point[0], 0) /
-      polygonCoords.length;
-    const centerLng =
-      polygonCoords.reduce((sum, point) => sum + point[1], 0) /
-      polygonCoords.length;
+    const population = Math.round(country.density * area);
 
-    // Arrondir aux 0.5 degrés les plus proches pour la compatibilité avec les données de grille
-    const roundedLat = Math.round(centerLat * 2) / 2;
-    const roundedLng = Math.round(centerLng * 2) / 2;
+    return {
+      population,
+      density: country.density,
+      area: area.toFixed(2),
+      country: country.name,
+      medianAge: country.medianAge,
+      ageGroups:
+        country.ageStructure?.map(({ label, share }) => ({
+          label,
+          population: Math.round((population * share) / 100),
+          male: null,
+          female: null,
+        })) || null,
+    };
+  },
+});
+
+registerProvider({
+  id: "population-estimate",
+  name: "Estimation de population",
+  capability: CAPABILITIES.POPULATION,
+  simulated: true,
+  resolution: "Estimation régionale",
+  confidence: CONFIDENCE.LOW,
+  fetch: async (context) => estimatePopulationFromLocation(context),
+});
+
+// Utilisation des terres
+
+registerProvider({
+  id: "overpass",
+  name: "OpenStreetMap (Overpass)",
+  capability: CAPABILITIES.LAND_USE,
+  resolution: "Surfaces OpenStreetMap découpées selon la zone",
+  confidence: CONFIDENCE.MEDIUM,
+  dailyQuota: 10000, // Limite recommandée pour overpass-api.de
+  fetch: async ({ geometry, area, params, http }) => {
+    // Éviter de surcharger l'API pour les grandes zones
+    if (area > 100) {
+      throw new Error("Zone trop grande pour l'API Overpass");
+    }
 
-    // Utilise l'API WorldBank Climate
-    const response = await axios.get(
-      `https://climateknowledgeportal.worldbank.org/api/data/get-download-data/historical/mavg/1901-2016/${roundedLat}/${roundedLng}`
+    // Chemins et relations (les nœuds n'ont pas de surface), dans une boîte
+    // de chaque côté de l'antiméridien si la zone le traverse
+    const boundingBoxes = splitBoundingBox(calculateBoundingBox(geometry));
+    const statements = toOverpassFilters(
+      getLandUseTaxonomy(params.taxonomy)
+    ).flatMap((filter) =>
+      boundingBoxes.flatMap(({ north, south, east, west }) =>
+        ["way", "relation"].map(
+          (type) => `${type}${filter}(${south},${west},${north},${east});`
+        )
+      )
     );
 
-    if (response.data && response.data.length > 0) {
-      // Transformation des données pour notre format
-      const processedData = processClimateData(response.data);
-      return processedData;
+    // Requête Overpass générée à partir des combinaisons de la nomenclature
+    const query = `
+      [out:json];
+      (
+        ${statements.join("\n        ")}
+      );
+      out geom;
+    `;
+
+    return (
+      await http.post("https://overpass-api.de/api/interpreter", query, {
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      })
+    ).data;
+  },
+  normalize: (data, { geometry, params }) => {
+    if (!data?.elements) {
+      return null;
     }
 
-    throw new Error("Données climatiques non disponibles");
-  } catch (error) {
-    console.error(
-      "Erreur lors de la récupération des données climatiques:",
-      error
+    const taxonomy = getLandUseTaxonomy(params.taxonomy);
+    const { areas, features } = measureLandUse(
+      geometry,
+      data.elements,
+      taxonomy
     );
 
-    // Fallback vers des données simulées basées sur la localisation
-    return generateClimateDataFromLocation(polygonCoords);
-  }
-};
+    // Si aucune surface classée ne recoupe la zone, passer à l'estimation
+    const classified = Object.values(areas).reduce(
+      (sum, area) => sum + area,
+      0
+    );
+    if (classified === 0) {
+      return null;
+    }
 
-/**
- * Récupère des données de population pour la zone en utilisant l'API WorldPop
- * @param {Array} polygonCoords - Coordonnées du polygone [lat, lng]
- * @returns {Promise} - Promise avec estimation de population
- */
-export const fetchPopulationEstimate = async (polygonCoords) => {
-  try {
-    const boundingBox = calculateBoundingBox(polygonCoords);
-    const area = calculatePolygonAreaInKm2(polygonCoords);
-    const geoJSON = coordsToGeoJSON(polygonCoords);
+    // Les pourcentages sont rapportés à l'aire de la zone dessinée
+    const totalArea = calculatePolygonArea(geometry);
 
-    // Essayer d'abord l'API World Population
-    const { north, south, east, west } = boundingBox;
-    const response = await axios.get(
-      `https://api.worldpop.org/v1/services/stats?dataset=wpgp&year=2020&geojson=${JSON.stringify(
-        geoJSON
-      )}`
+    return {
+      taxonomy: taxonomy.id,
+      shares: toLandUseShares(
+        Object.entries(areas).map(([key, area]) => [
+          key,
+          (area / totalArea) * 100,
+        ])
+      ),
+      areas: Object.fromEntries(
+        Object.entries(areas).map(([key, area]) => [key, area / 1000000])
+      ),
+      features,
+      dataSource: "OpenStreetMap",
+    };
+  },
+});
+
+registerProvider({
+  id: "land-use-estimate",
+  name: "Estimation d'utilisation des terres",
+  capability: CAPABILITIES.LAND_USE,
+  simulated: true,
+  resolution: "Estimation régionale",
+  confidence: CONFIDENCE.LOW,
+  fetch: async (context) => estimateLandUseFromLocation(context),
+  normalize: ({ dataSource, ...estimate }, { params }) => {
+    const taxonomy = getLandUseTaxonomy(params.taxonomy);
+
+    // Chaque catégorie estimée rejoint la classe de ses attributs représentatifs,
+    // les parts étant ramenées à un total de 100 %
+    const total = Object.values(estimate).reduce(
+      (sum, share) => sum + share,
+      0
     );
+    const shares = {};
+    Object.entries(estimate).forEach(([category, estimated]) => {
+      const share = (estimated / total) * 100;
+      const key =
+        (ESTIMATE_LAND_USE_TAGS[category] &&
+          classifyTags(taxonomy, ESTIMATE_LAND_USE_TAGS[category])) ||
+        OTHER_CLASS;
+      shares[key] = (shares[key] || 0) + share;
+    });
 
-    if (response.data && response.data.data) {
-      return {
-        population: Math.round(response.data.data.population),
-        density: Math.round(response.data.data.population / area),
-        area: area.toFixed(2),
-      };
+    return {
+      taxonomy: taxonomy.id,
+      shares: toLandUseShares(
+        Object.entries(shares).filter(([key]) => key !== OTHER_CLASS)
+      ),
+      dataSource,
+    };
+  },
+});
+
+// Limites administratives : params.points liste les points à situer, ou params.boundary
+// désigne l'entité dont on veut le contour
+
+registerProvider({
+  id: "overpass-admin",
+  name: "OpenStreetMap (Overpass)",
+  capability: CAPABILITIES.ADMIN_BOUNDARIES,
+  resolution: `Limites OpenStreetMap, part estimée sur ${ADMIN_BOUNDARY_SAMPLES} points`,
+  confidence: CONFIDENCE.HIGH,
+  dailyQuota: 10000, // Limite recommandée pour overpass-api.de
+  // Seuls les contours des relations OpenStreetMap se demandent à Overpass
+  accepts: ({ params }) =>
+    !params.boundary || params.boundary.startsWith("relation/"),
+  fetch: async ({ params, http }) => {
+    let query;
+
+    if (params.boundary) {
+      const [, id] = params.boundary.split("/");
+      query = `[out:json][timeout:60]; relation(${id}); out geom;`;
+    } else {
+      // Les entités contenant chaque point suivent un marqueur portant son rang
+      const levels = ADMIN_LEVELS.join("|");
+      query = `
+        [out:json][timeout:60];
+        ${params.points
+          .map(
+            ([lat, lng], index) =>
+              `is_in(${lat},${lng})->.p; make sample index=${index}; out; area.p["boundary"="administrative"]["admin_level"~"^(${levels})$"]; out tags;`
+          )
+          .join("\n        ")}
+      `;
+    }
+
+    return (
+      await http.post("https://overpass-api.de/api/interpreter", query, {
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      })
+    ).data;
+  },
+  normalize: (data, { area, params }) => {
+    if (!data?.elements) {
+      return null;
+    }
+
+    if (params.boundary) {
+      const element = data.elements.find(({ type }) => type === "relation");
+      const geometry =
+        element && polygonsToGeoJSON(osmElementToPolygons(element));
+      return geometry
+        ? {
+            id: params.boundary,
+            name: element.tags?.["name:en"] || element.tags?.name,
+            geometry,
+          }
+        : null;
     }
 
-    throw new Error("Données de population non disponibles");
-  } catch (error) {
-    console.error(
-      "Erreur lors de la récupération des données de population:",
-      error
+    const counts = new Map();
+    data.elements.forEach((element) => {
+      if (element.type !== "area") return;
+
+      const id =
+        element.id >= OVERPASS_RELATION_AREA
+          ? `relation/${element.id - OVERPASS_RELATION_AREA}`
+          : `way/${element.id - OVERPASS_WAY_AREA}`;
+      const entry = counts.get(id) || { tags: element.tags, count: 0 };
+      entry.count++;
+      counts.set(id, entry);
+    });
+
+    return summarizeBoundaries(
+      [...counts].map(([id, { tags, count }]) => ({
+        id,
+        name: tags["name:en"] || tags.name,
+        adminLevel: Number(tags.admin_level),
+        code: tags["ISO3166-1"] || tags["ISO3166-2"] || null,
+        count,
+      })),
+      params.points.length,
+      area
     );
+  },
+});
+
+registerProvider({
+  id: "country-boundaries",
+  name: "Contours des pays intégrés",
+  capability: CAPABILITIES.ADMIN_BOUNDARIES,
+  resolution: "Pays seulement, contours simplifiés",
+  confidence: CONFIDENCE.LOW,
+  accepts: ({ params }) =>
+    !params.boundary || params.boundary.startsWith("country/"),
+  // Pays de chaque point d'après les contours intégrés : aucun appel réseau
+  fetch: async ({ params }) => {
+    if (params.boundary) {
+      const [, code] = params.boundary.split("/");
+      return { code, geometry: await getCountryBoundary(code) };
+    }
 
-    // Essayer une autre source
-    try {
-      const geocodingAPIKey = import.meta.env.VITE_GEOCODING_API_KEY;
-      const centerLat =
-        polygonCoords.reduce((sum, point) => sum + point[0], 0) /
-        polygonCoords.length;
-      const centerLng =
-        polygonCoords.reduce((sum, point) => sum + point[1], 0) /
-        polygonCoords.length;
-
-      if (geocodingAPIKey) {
-        // Utiliser une API de géocodage inverse pour déterminer la localité
-        const reverseResponse = await axios.get(
-          `https://api.opencagedata.com/geocode/v1/json?q=${centerLat}+${centerLng}&key=${geocodingAPIKey}&no_annotations=1`
-        );
+    return Promise.all(
+      params.points.map(([lat, lng]) => findCountryAt(lat, lng))
+    );
+  },
+  normalize: (response, { area, params }) => {
+    if (params.boundary) {
+      return response?.geometry
+        ? {
+            id: params.boundary,
+            name: getCountryDemographics(response.code)?.name || response.code,
+            geometry: response.geometry,
+          }
+        : null;
+    }
 
-        if (
-          reverseResponse.data &&
-          reverseResponse.data.results &&
-          reverseResponse.data.results.length > 0
-        ) {
-          const locationData = reverseResponse.data.results[0];
+    const counts = {};
+    response.filter(Boolean).forEach((code) => {
+      counts[code] = (counts[code] || 0) + 1;
+    });
 
-          // Ensuite, estimer la population basée sur les informations de la localité
-          const area = calculatePolygonAreaInKm2(polygonCoords);
+    return summarizeBoundaries(
+      Object.entries(counts).map(([code, count]) => ({
+        id: `country/${code}`,
+        name: getCountryDemographics(code)?.name || code,
+        adminLevel: 2,
+        code,
+        count,
+      })),
+      params.points.length,
+      area
+    );
+  },
+});
+
+// Géocodage : params.query est le texte recherché
+
+registerProvider({
+  id: "opencage-geocoding",
+  name: "OpenCage",
+  capability: CAPABILITIES.GEOCODING,
+  resolution: "Adresse",
+  confidence: CONFIDENCE.HIGH,
+  requiredKeys: ["VITE_GEOCODING_API_KEY"],
+  dailyQuota: 2500, // Offre gratuite
+  fetch: async ({ params, keys, http }) =>
+    (
+      await http.get(
+        `https://api.opencagedata.com/geocode/v1/json?q=${encodeURIComponent(
+          params.query
+        )}&key=${keys.VITE_GEOCODING_API_KEY}&limit=${params.limit}&no_record=1`
+      )
+    ).data,
+  normalize: (data) =>
+    data?.results
+      ? {
+          results: data.results.map((result) => {
+            // Le lien OpenStreetMap des annotations désigne la relation de l'entité
+            const relation =
+              result.annotations?.OSM?.url?.match(/\/relation\/(\d+)/);
+            const administrative = OPENCAGE_ADMINISTRATIVE_TYPES.includes(
+              result.components?._type
+            );
 
-          // Si nous avons une information sur le pays, utiliser les données de densité par pays
-          if (locationData.components.country_code) {
-            const countryDensity = await getCountryPopulationDensity(
-              locationData.components.country_code
+            return {
+              id: result.annotations?.OSM?.url || result.formatted,
+              name: result.formatted,
+              type: result.components?._type,
+              lat: result.geometry.lat,
+              lng: result.geometry.lng,
+              bounds: result.bounds
+                ? {
+                    south: result.bounds.southwest.lat,
+                    west: result.bounds.southwest.lng,
+                    north: result.bounds.northeast.lat,
+                    east: result.bounds.northeast.lng,
+                  }
+                : null,
+              boundaryId:
+                administrative && relation ? `relation/${relation[1]}` : null,
+              geometry: null,
+            };
+          }),
+        }
+      : null,
+});
+
+registerProvider({
+  id: "nominatim-search",
+  name: "OpenStreetMap (Nominatim)",
+  capability: CAPABILITIES.GEOCODING,
+  resolution: "Adresse",
+  confidence: CONFIDENCE.HIGH,
+  // Recherches validées seulement : l'autocomplétion est interdite par la politique d'usage
+  accepts: ({ params }) => !params.autocomplete,
+  // Contours simplifiés (environ 500 m) renvoyés avec chaque résultat
+  fetch: async ({ params, http }) =>
+    (
+      await http.get(
+        `https://nominatim.openstreetmap.org/search?format=jsonv2&q=${encodeURIComponent(
+          params.query
+        )}&limit=${params.limit}&polygon_geojson=1&polygon_threshold=0.005`
+      )
+    ).data,
+  normalize: (data) =>
+    Array.isArray(data)
+      ? {
+          results: data.map((result) => {
+            const administrative =
+              result.category === "boundary" &&
+              result.type === "administrative";
+            const [south, north, west, east] = (result.boundingbox || []).map(
+              Number
             );
-            const estimatedPopulation = Math.round(countryDensity * area);
 
             return {
-              population: estimatedPopulation,
-              density: countryDensity,
-              area: area.toFixed(2),
-              country: locationData.components.country,
-              locality:
-                locationData.components.city ||
-                locationData.components.town ||
-                locationData.components.state,
+              id: `${result.osm_type}/${result.osm_id}`,
+              name: result.display_name,
+              type: administrative ? "administrative" : result.type,
+              lat: Number(result.lat),
+              lng: Number(result.lon),
+              bounds: result.boundingbox ? { south, west, north, east } : null,
+              boundaryId:
+                administrative && result.osm_type === "relation"
+                  ? `relation/${result.osm_id}`
+                  : null,
+              geometry:
+                administrative &&
+                ["Polygon", "MultiPolygon"].includes(result.geojson?.type)
+                  ? result.geojson
+                  : null,
             };
-          }
+          }),
         }
-      }
-    } catch (err) {
-      console.error("Erreur avec l'API alternative:", err);
-    }
+      : null,
+});
+
+registerProvider({
+  id: "country-names",
+  name: "Noms des pays intégrés",
+  capability: CAPABILITIES.GEOCODING,
+  resolution: "Pays seulement",
+  confidence: CONFIDENCE.MEDIUM,
+  fetch: async ({ params }) => searchCountries(params.query, params.limit),
+  normalize: (countries) => ({
+    results: countries.map(({ code, name, geometry, bbox }) => ({
+      id: `country/${code}`,
+      name,
+      type: "country",
+      lat: bbox ? (bbox.south + bbox.north) / 2 : null,
+      lng: bbox ? (bbox.west + bbox.east) / 2 : null,
+      bounds: bbox,
+      boundaryId: `country/${code}`,
+      geometry,
+    })),
+  }),
+});
 
-    // Fallback vers une estimation basée sur la localisation
-    return estimatePopulationFromLocation(polygonCoords);
-  }
+/**
+ * Variables mesurables cellule par cellule sur une grille
+ */
+export const GRID_VARIABLES = {
+  ELEVATION: "elevation",
+  TEMPERATURE: "temperature",
+  POPULATION_DENSITY: "populationDensity",
+};
+
+// Points d'élévation échantillonnés par cellule : les points de plusieurs cellules
+// sont regroupés dans une même requête, pour ménager le quota d'Open-Elevation
+const GRID_ELEVATION_SAMPLES = 25;
+
+// Service, champ et cellules par requête d'où est extraite la valeur de chaque variable
+const gridMeasures = {
+  [GRID_VARIABLES.ELEVATION]: {
+    fetchCells: fetchCellElevations,
+    field: "mean",
+    cellsPerRequest: ELEVATION_BATCH_SIZE / GRID_ELEVATION_SAMPLES,
+  },
+  [GRID_VARIABLES.TEMPERATURE]: {
+    fetch: fetchWeatherData,
+    field: "temperature",
+  },
+  [GRID_VARIABLES.POPULATION_DENSITY]: {
+    fetch: fetchPopulationEstimate,
+    field: "density",
+  },
 };
 
 /**
- * Récupère des données d'utilisation des terres pour la zone via l'API OpenStreetMap
- * @param {Array} polygonCoords - Coordonnées du polygone [lat, lng]
- * @returns {Promise} - Promise avec les données d'utilisation des terres
+ * Mesure une variable dans chaque cellule d'une grille
+ * Les cellules sont interrogées l'une après l'autre, ou par groupes quand une requête
+ * peut en mesurer plusieurs (élévation), pour ménager les API publiques
+ * @param {Object} grid - FeatureCollection des cellules (voir createGrid)
+ * @param {String} variable - Variable à mesurer (voir GRID_VARIABLES)
+ * @param {Function} onProgress - Appelée avec (cellules traitées, total) après chaque requête
+ * @param {Object} options - Options de la requête (voir fetchFromProviders)
+ * @returns {Promise} - Promise avec la FeatureCollection, la valeur de chaque cellule
+ *                      étant dans properties.value (null si indisponible) et
+ *                      properties.simulated indiquant une valeur simulée
  */
-export const fetchLandUseData = async (polygonCoords) => {
-  try {
-    const boundingBox = calculateBoundingBox(polygonCoords);
-    const { north, south, east, west } = boundingBox;
+export const analyzeGridCells = async (grid, variable, onProgress, options) => {
+  const measure = gridMeasures[variable];
+  if (!measure) {
+    throw new Error(`Variable non supportée : ${variable}`);
+  }
 
-    // Construire la requête Overpass API pour OpenStreetMap
-    const query = `
-      [out:json];
-      (
-        // Les zones urbaines
-        node["landuse"="residential"](${south},${west},${north},${east});
-        way["landuse"="residential"](${south},${west},${north},${east});
-        relation["landuse"="residential"](${south},${west},${north},${east});
-
-        // Les zones agricoles
-        node["landuse"="farmland"](${south},${west},${north},${east});
-        way["landuse"="farmland"](${south},${west},${north},${east});
-        relation["landuse"="farmland"](${south},${west},${north},${east});
-
-        // Les forêts
-        node["natural"="wood"](${south},${west},${north},${east});
-        way["natural"="wood"](${south},${west},${north},${east});
-        relation["natural"="wood"](${south},${west},${north},${east});
-
-        // L'eau
-        node["natural"="water"](${south},${west},${north},${east});
-        way["natural"="water"](${south},${west},${north},${east});
-        relation["natural"="water"](${south},${west},${north},${east});
-      );
-      out body;
-      >;
-      out skel qt;
-    `;
+  const features = [];
+  for (const cells of chunk(grid.features, measure.cellsPerRequest || 1)) {
+    const results = measure.fetchCells
+      ? await measure.fetchCells(cells, options)
+      : [await measure.fetch(cells[0], options)];
+
+    results.forEach(({ data, provenance }, index) => {
+      const value = parseFloat(data?.[measure.field]);
+      features.push({
+        ...cells[index],
+        properties: {
+          ...cells[index].properties,
+          value: Number.isFinite(value) ? value : null,
+          simulated: provenance.simulated,
+        },
+      });
+    });
 
-    // Si la zone est trop grande, on utilise une estimation
-    const areaInKm2 = calculatePolygonAreaInKm2(polygonCoords);
-    if (areaInKm2 > 100) {
-      // Éviter de surcharger l'API pour les grandes zones
-      return estimateLandUseFromLocation(polygonCoords);
+    if (onProgress) {
+      onProgress(features.length, grid.features.length);
     }
+  }
 
-    const response = await axios.post(
-      "https://overpass-api.de/api/interpreter",
-      query,
-      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
-    );
+  return { ...grid, features };
+};
 
-    if (response.data && response.data.elements) {
-      // Analyse des résultats pour déterminer la répartition
-      const elements = response.data.elements;
-
-      // Compter les éléments par type
-      let urban = 0;
-      let agriculture = 0;
-      let forest = 0;
-      let water = 0;
-
-      elements.forEach((element) => {
-        if (element.tags) {
-          if (element.tags.landuse === "residential") urban++;
-          if (element.tags.landuse === "farmland") agriculture++;
-          if (element.tags.natural === "wood") forest++;
-          if (element.tags.natural === "water") water++;
-        }
-      });
+// Fonctions utilitaires
+
+/**
+ * Met en forme des prévisions horaires et en déduit le résumé de chaque jour
+ * Les jours sont découpés selon l'heure locale de la zone ; les heures passées sont ignorées
+ * @param {Array} hourly - Pas de prévision { time (ms), temperature (°C),
+ *                         precipitationProbability (%), precipitation (mm),
+ *                         windSpeed (m/s), windGust (m/s), description }
+ * @param {Object} options - Métadonnées
+ * @param {Number} options.interval - Heures entre deux pas
+ * @param {Number} options.utcOffset - Décalage de l'heure locale sur UTC, en secondes
+ * @param {String} options.location - Nom du lieu (facultatif)
+ * @param {String} options.country - Pays (facultatif)
+ * @returns {Object} - { hourly, daily: [{ date, temperatureMin, temperatureMax,
+ *                      precipitationProbability, precipitation, windSpeed, windGust }],
+ *                      interval, utcOffset, location, country }
+ */
+function buildForecast(hourly, { interval, utcOffset, location, country }) {
+  const round = (value) => Math.round(value * 10) / 10;
+  const now = Date.now() - interval * 3600000;
+
+  const steps = hourly
+    .filter(({ time }) => time > now)
+    .map((step) => ({
+      ...step,
+      temperature: round(step.temperature),
+      precipitationProbability: Math.round(step.precipitationProbability),
+      precipitation: round(step.precipitation),
+      windSpeed: round(step.windSpeed),
+      windGust: round(Math.max(step.windGust, step.windSpeed)),
+    }));
+
+  // Regrouper les pas par date locale
+  const days = new Map();
+  steps.forEach((step) => {
+    const date = new Date(step.time + utcOffset * 1000)
+      .toISOString()
+      .slice(0, 10);
+    days.set(date, [...(days.get(date) || []), step]);
+  });
 
-      // Calculer les pourcentages (estimation approximative)
-      const total = urban + agriculture + forest + water;
+  const daily = Array.from(days.entries()).map(([date, daySteps]) => {
+    const values = (field) => daySteps.map((step) => step[field]);
+    return {
+      date,
+      temperatureMin: Math.min(...values("temperature")),
+      temperatureMax: Math.max(...values("temperature")),
+      precipitationProbability: Math.max(...values("precipitationProbability")),
+      precipitation: round(
+        values("precipitation").reduce((sum, value) => sum + value, 0)
+      ),
+      windSpeed: Math.max(...values("windSpeed")),
+      windGust: Math.max(...values("windGust")),
+    };
+  });
 
-      // Si aucune donnée n'est disponible, utiliser l'estimation
-      if (total === 0) {
-        return estimateLandUseFromLocation(polygonCoords);
-      }
+  return { hourly: steps, daily, interval, utcOffset, location, country };
+}
+
+/**
+ * Convertit les prévisions sur 5 jours d'OpenWeatherMap (pas de 3 heures)
+ * @param {Object} data - Réponse de /data/2.5/forecast
+ * @returns {Object} - Prévisions (voir buildForecast)
+ */
+function normalizeOpenWeatherForecast(data) {
+  return buildForecast(
+    data.list.map((entry) => ({
+      time: entry.dt * 1000,
+      temperature: entry.main.temp,
+      precipitationProbability: (entry.pop || 0) * 100,
+      precipitation: (entry.rain?.["3h"] || 0) + (entry.snow?.["3h"] || 0),
+      windSpeed: entry.wind.speed,
+      windGust: entry.wind.gust ?? entry.wind.speed,
+      description: entry.weather[0].description,
+    })),
+    {
+      interval: 3,
+      utcOffset: data.city.timezone,
+      location: data.city.name,
+      country: data.city.country,
+    }
+  );
+}
+
+/**
+ * Convertit les prévisions horaires de WeatherAPI.com
+ * @param {Object} data - Réponse de /v1/forecast.json
+ * @returns {Object} - Prévisions (voir buildForecast)
+ */
+function normalizeWeatherApiForecast(data) {
+  // L'heure locale ("2024-05-01 9:05") comparée à l'instant UTC donne le décalage,
+  // arrondi au quart d'heure
+  const [year, month, day, hour, minute] = data.location.localtime
+    .split(/[- :]/)
+    .map(Number);
+  const localAsUtc = Date.UTC(year, month - 1, day, hour, minute) / 1000;
+  const utcOffset =
+    Math.round((localAsUtc - data.location.localtime_epoch) / 900) * 900;
+
+  return buildForecast(
+    data.forecast.forecastday
+      .flatMap(({ hour: hours }) => hours)
+      .map((step) => ({
+        time: step.time_epoch * 1000,
+        temperature: step.temp_c,
+        precipitationProbability: Math.max(
+          step.chance_of_rain || 0,
+          step.chance_of_snow || 0
+        ),
+        precipitation: step.precip_mm,
+        windSpeed: step.wind_kph / 3.6, // Conversion en m/s
+        windGust: step.gust_kph / 3.6,
+        description: step.condition.text,
+      })),
+    {
+      interval: 1,
+      utcOffset,
+      location: data.location.name,
+      country: data.location.country,
+    }
+  );
+}
 
-      // Calculer les pourcentages
-      const urbanPercent = Math.round((urban / total) * 100);
-      const agriculturePercent = Math.round((agriculture / total) * 100);
-      const forestPercent = Math.round((forest / total) * 100);
-      const waterPercent = Math.round((water / total) * 100);
+/**
+ * Arrondit les parts de chaque classe et attribue le reste à la classe "autre"
+ * @param {Array} entries - Parts [clé, %] des classes mesurées ou estimées
+ * @returns {Object} - Parts entières { clé: %, other: % }
+ */
+function toLandUseShares(entries) {
+  const shares = Object.fromEntries(
+    entries.map(([key, share]) => [key, Math.round(share)])
+  );
+
+  // S'assurer que la somme est de 100%
+  const calculatedTotal = Object.values(shares).reduce(
+    (sum, share) => sum + share,
+    0
+  );
+  shares[OTHER_CLASS] = Math.max(0, 100 - calculatedTotal);
+
+  return shares;
+}
 
-      // S'assurer que la somme est de 100%
-      const calculatedTotal =
-        urbanPercent + agriculturePercent + forestPercent + waterPercent;
-      const otherPercent = 100 - calculatedTotal;
+/**
+ * Convertit le nombre de points d'échantillonnage situés dans chaque entité administrative
+ * en parts de la zone
+ * @param {Array} entries - Entités { id, name, adminLevel, code, count }
+ * @param {Number} sampleCount - Nombre de points échantillonnés
+ * @param {Number} area - Aire de la zone (km²)
+ * @returns {Object|null} - { boundaries, samples } triées par niveau puis par part,
+ *                          ou null si aucun point n'est situé
+ */
+function summarizeBoundaries(entries, sampleCount, area) {
+  if (entries.length === 0) {
+    return null;
+  }
 
+  const boundaries = entries
+    .map(({ count, ...entry }) => {
+      const share = (count / sampleCount) * 100;
       return {
-        urban: urbanPercent,
-        agriculture: agriculturePercent,
-        forest: forestPercent,
-        water: waterPercent,
-        other: otherPercent >= 0 ? otherPercent : 0,
-        dataSource: "OpenStreetMap",
+        ...entry,
+        share: Math.round(share * 10) / 10,
+        area: Math.round((share / 100) * area * 100) / 100,
       };
-    }
+    })
+    .sort((a, b) => a.adminLevel - b.adminLevel || b.share - a.share);
 
-    throw new Error("Données d'utilisation des terres non disponibles");
-  } catch (error) {
-    console.error(
-      "Erreur lors de la récupération des données d'utilisation des terres:",
-      error
+  return { boundaries, samples: sampleCount };
+}
+
+/**
+ * Reconstitue les polygones d'un chemin fermé ou d'une relation multipolygone
+ * renvoyés par Overpass avec leur géométrie (out geom)
+ * @param {Object} element - Élément Overpass
+ * @returns {Array} - Polygones normalisés [[extérieur, ...trous]] en [lat, lng]
+ */
+function osmElementToPolygons(element) {
+  const toLine = (points = []) =>
+    points.filter(Boolean).map(({ lat, lon }) => [lat, lon]);
+
+  if (element.type === "way") {
+    return assembleRings([toLine(element.geometry)]).map((ring) => [ring]);
+  }
+
+  if (element.type === "relation") {
+    const ways = (element.members || []).filter(
+      (member) => member.type === "way" && member.geometry
     );
-    return estimateLandUseFromLocation(polygonCoords);
+    const ringsWithRole = (isInner) =>
+      assembleRings(
+        ways
+          .filter((member) => (member.role === "inner") === isInner)
+          .map((member) => toLine(member.geometry))
+      );
+
+    // Chaque trou est rattaché à l'anneau extérieur qui le contient
+    const inners = ringsWithRole(true);
+    return ringsWithRole(false).map((outer) => [
+      outer,
+      ...inners.filter((inner) => isPointInPolygon(inner[0], outer)),
+    ]);
   }
-};
 
-// Fonctions utilitaires
+  return [];
+}
 
 /**
- * Calcule une boîte englobante pour un ensemble de coordonnées
- * @param {Array} coordinates - Tableau de coordonnées [lat, lng]
- * @returns {Object} - Objet contenant les limites nord, sud, est et ouest
+ * Mesure la surface de chaque classe d'utilisation des terres dans une zone
+ * Les objets sont fusionnés par classe, découpés selon la zone, et les chevauchements
+ * entre classes attribués selon la priorité de la nomenclature
+ * @param {Array|Object} geometry - Zone analysée ([lat, lng] ou GeoJSON)
+ * @param {Array} elements - Éléments Overpass avec leur géométrie
+ * @param {Object} taxonomy - Nomenclature (voir landUseTaxonomy)
+ * @returns {Object} - { areas: { classe: m² }, features: FeatureCollection des surfaces classées }
  */
-function calculateBoundingBox(coordinates) {
-  if (!coordinates || coordinates.length === 0) {
-    return { north: 0, south: 0, east: 0, west: 0 };
-  }
+function measureLandUse(geometry, elements, taxonomy) {
+  const polygonsByCategory = {};
+  elements.forEach((element) => {
+    const category = classifyTags(taxonomy, element.tags);
+    if (category) {
+      polygonsByCategory[category] = [
+        ...(polygonsByCategory[category] || []),
+        ...osmElementToPolygons(element),
+      ];
+    }
+  });
 
-  let north = coordinates[0][0];
-  let south = coordinates[0][0];
-  let east = coordinates[0][1];
-  let west = coordinates[0][1];
+  const areas = {};
+  const features = [];
+  let covered = null;
 
-  coordinates.forEach((coord) => {
-    north = Math.max(north, coord[0]);
-    south = Math.min(south, coord[0]);
-    east = Math.max(east, coord[1]);
-    west = Math.min(west, coord[1]);
+  taxonomy.priority.forEach((category) => {
+    const polygons = (polygonsByCategory[category] || []).map((polygon) =>
+      polygonsToGeoJSON([polygon])
+    );
+    const merged =
+      polygons.length > 0 &&
+      combinePolygons(BOOLEAN_OPERATIONS.INTERSECTION, [
+        geometry,
+        combinePolygons(BOOLEAN_OPERATIONS.UNION, polygons),
+      ]);
+
+    // Retirer la surface déjà attribuée à une catégorie prioritaire
+    const own =
+      merged && covered
+        ? combinePolygons(BOOLEAN_OPERATIONS.DIFFERENCE, [merged, covered])
+        : merged;
+
+    areas[category] = own ? calculatePolygonArea(own) : 0;
+    if (own) {
+      features.push({
+        type: "Feature",
+        properties: { category },
+        geometry: own,
+      });
+      covered = covered
+        ? combinePolygons(BOOLEAN_OPERATIONS.UNION, [covered, own])
+        : own;
+    }
   });
 
-  return { north, south, east, west };
+  return { areas, features: { type: "FeatureCollection", features } };
 }
 
 /**
- * Calcule l'aire approximative d'un polygone en km²
- * @param {Array} polygonCoords - Coordonnées du polygone [lat, lng]
- * @returns {Number} - Aire en km²
+ * Mesure l'élévation de plusieurs cellules de grille en une seule requête : les points
+ * échantillonnés dans chaque cellule sont envoyés ensemble puis répartis entre elles
+ * @param {Array} cells - Cellules (Features GeoJSON, voir createGrid)
+ * @param {Object} options - Options de la requête (voir fetchFromProviders)
+ * @returns {Promise} - Promise avec un résultat { data, provenance } par cellule, data étant
+ *                      les statistiques d'élévation de la cellule (voir summarizeElevations)
  */
-function calculatePolygonAreaInKm2(polygonCoords) {
-  // Implémentation simplifiée de la formule de l'aire de Gauss
-  if (!polygonCoords || polygonCoords.length < 3) {
-    return 0;
+async function fetchCellElevations(cells, options) {
+  const samples = cells.map((cell) =>
+    samplePolygonPoints(cell, GRID_ELEVATION_SAMPLES)
+  );
+  const geometry = {
+    type: "MultiPolygon",
+    coordinates: cells.flatMap(({ geometry: { type, coordinates } }) =>
+      type === "Polygon" ? [coordinates] : coordinates
+    ),
+  };
+
+  const { data, provenance } = await fetchFromProviders(
+    CAPABILITIES.ELEVATION,
+    geometry,
+    { ...options, params: { points: samples.flat() } }
+  );
+
+  let offset = 0;
+  return samples.map((points) => {
+    const elevations = data.elevations.slice(offset, offset + points.length);
+    offset += points.length;
+    return { data: summarizeElevations(elevations), provenance };
+  });
+}
+
+/**
+ * Découpe une liste en lots de taille fixe
+ * @param {Array} items - Éléments à découper
+ * @param {Number} size - Taille maximale d'un lot
+ * @returns {Array} - Lots d'éléments
+ */
+function chunk(items, size) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
   }
+  return batches;
+}
 
-  // Convertir en radians
-  const toRadians = (deg) => deg * (Math.PI / 180);
+/**
+ * Met en forme les élévations renvoyées par un fournisseur, dans l'ordre des points demandés
+ * @param {Array} values - Élévations brutes en mètres
+ * @returns {Object|null} - { elevations } (null pour un point sans valeur),
+ *                          ou null si aucune valeur n'est exploitable
+ */
+function toElevations(values) {
+  const elevations = values.map((value) =>
+    Number.isFinite(value) ? value : null
+  );
+  return elevations.some((value) => value !== null) ? { elevations } : null;
+}
 
-  // Rayon de la Terre en km
-  const earthRadius = 6371;
+/**
+ * Construit un profil d'élévation à partir des points échantillonnés le long d'une ligne
+ * @param {Array} samples - Points { point: [lat, lng], distance } (voir sampleLine)
+ * @param {Array} elevations - Élévation de chaque point en mètres (null si inconnue)
+ * @returns {Object} - { points: [{ lat, lng, distance, elevation }], length, ascent, descent,
+ *                     maxGrade (%), minElevation, maxElevation, unit }
+ */
+function summarizeProfile(samples, elevations) {
+  const points = samples.map(({ point: [lat, lng], distance }, index) => ({
+    lat,
+    lng,
+    distance,
+    elevation: elevations[index] ?? null,
+  }));
+
+  // Dénivelés et pente cumulés entre points connus successifs
+  let ascent = 0;
+  let descent = 0;
+  let maxGrade = 0;
+  let previous = null;
+  points.forEach((point) => {
+    if (point.elevation === null) return;
+
+    if (previous) {
+      const rise = point.elevation - previous.elevation;
+      const run = point.distance - previous.distance;
+      if (rise > 0) {
+        ascent += rise;
+      } else {
+        descent -= rise;
+      }
+      if (run > 0) {
+        maxGrade = Math.max(maxGrade, Math.abs(rise / run) * 100);
+      }
+    }
+    previous = point;
+  });
 
-  let area = 0;
-  const n = polygonCoords.length;
+  const known = points
+    .map(({ elevation }) => elevation)
+    .filter((elevation) => elevation !== null);
 
-  for (let i = 0; i < n; i++) {
-    const j = (i + 1) % n;
-    const lat1 = toRadians(polygonCoords[i][0]);
-    const lon1 = toRadians(polygonCoords[i][1]);
-    const lat2 = toRadians(polygonCoords[j][0]);
-    const lon2 = toRadians(polygonCoords[j][1]);
+  return {
+    points,
+    length: points.length > 0 ? points[points.length - 1].distance : 0,
+    ascent: Math.round(ascent),
+    descent: Math.round(descent),
+    maxGrade: Math.round(maxGrade * 10) / 10,
+    minElevation: Math.min(...known),
+    maxElevation: Math.max(...known),
+    unit: "mètres",
+  };
+}
 
-    area += lon1 * Math.sin(lat2) - lon2 * Math.sin(lat1);
+/**
+ * Calcule les statistiques zonales d'élévations échantillonnées sur une grille régulière
+ * (chaque point représente la même surface)
+ * @param {Array} elevations - Élévations des points en mètres
+ * @returns {Object|null} - { min, max, mean, median, stdDev, sampleCount, samples, unit },
+ *                          ou null si aucune valeur n'est exploitable
+ */
+function summarizeElevations(elevations) {
+  const samples = elevations
+    .filter((elevation) => Number.isFinite(elevation))
+    .sort((a, b) => a - b);
+  if (samples.length === 0) {
+    return null;
   }
 
-  area = Math.abs((area * earthRadius * earthRadius) / 2);
-  return area;
+  const count = samples.length;
+  const mean = samples.reduce((sum, value) => sum + value, 0) / count;
+  const middle = Math.floor(count / 2);
+  const median =
+    count % 2 === 0
+      ? (samples[middle - 1] + samples[middle]) / 2
+      : samples[middle];
+  const variance =
+    samples.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count;
+
+  return {
+    min: samples[0],
+    max: samples[count - 1],
+    mean: Math.round(mean * 10) / 10,
+    median,
+    stdDev: Math.round(Math.sqrt(variance) * 10) / 10,
+    sampleCount: count,
+    samples,
+    unit: "mètres",
+  };
 }
 
 /**
@@ -492,15 +1524,11 @@ function isLikelyOceanLocation(lat, lng) {
 
 /**
  * Estimation de la population basée sur la localisation
- * @param {Array} polygonCoords - Coordonnées du polygone [lat, lng]
+ * @param {Object} context - Contexte de la requête (centre { lat, lng } et aire en km²)
  * @returns {Object} - Données de population estimées
  */
-function estimatePopulationFromLocation(polygonCoords) {
-  const boundingBox = calculateBoundingBox(polygonCoords);
-  const area = calculatePolygonAreaInKm2(polygonCoords);
-
-  const centerLat = (boundingBox.north + boundingBox.south) / 2;
-  const centerLng = (boundingBox.east + boundingBox.west) / 2;
+function estimatePopulationFromLocation({ center, area }) {
+  const { lat: centerLat, lng: centerLng } = center;
 
   // Estimation de la densité basée sur la latitude
   let densityEstimate;
@@ -532,22 +1560,18 @@ function estimatePopulationFromLocation(polygonCoords) {
     population: estimatedPopulation,
     density: Math.round(densityEstimate),
     area: area.toFixed(2),
+    ageGroups: null,
     note: "Estimation basée sur la localisation géographique",
   };
 }
 
 /**
  * Estimation des données d'utilisation des terres basée sur la localisation
- * @param {Array} polygonCoords - Coordonnées du polygone [lat, lng]
+ * @param {Object} context - Contexte de la requête (centre { lat, lng } et aire en km²)
  * @returns {Object} - Données d'utilisation des terres
  */
-function estimateLandUseFromLocation(polygonCoords) {
-  const centerLat =
-    polygonCoords.reduce((sum, point) => sum + point[0], 0) /
-    polygonCoords.length;
-  const centerLng =
-    polygonCoords.reduce((sum, point) => sum + point[1], 0) /
-    polygonCoords.length;
+function estimateLandUseFromLocation({ center }) {
+  const { lat: centerLat, lng: centerLng } = center;
 
   // Vérifier si la zone est probablement un océan
   const isLikelyOcean = isLikelyOceanLocation(centerLat, centerLng);
@@ -609,13 +1633,11 @@ function estimateLandUseFromLocation(polygonCoords) {
 
 /**
  * Génère des données météo simulées basées sur la localisation
- * @param {Array} polygonCoords - Coordonnées du polygone [lat, lng]
+ * @param {Object} context - Contexte de la requête (centre { lat, lng } et aire en km²)
  * @returns {Object} - Données météo simulées
  */
-function generateWeatherDataFromLocation(polygonCoords) {
-  const centerLat =
-    polygonCoords.reduce((sum, point) => sum + point[0], 0) /
-    polygonCoords.length;
+function generateWeatherDataFromLocation({ center }) {
+  const { lat: centerLat } = center;
 
   // La température dépend fortement de la latitude
   let baseTemp = 25 - Math.abs(centerLat) * 0.5; // Plus chaud à l'équateur, plus froid aux pôles
@@ -644,17 +1666,66 @@ function generateWeatherDataFromLocation(polygonCoords) {
 }
 
 /**
- * Estime l'élévation basée sur la localisation
- * @param {Array} polygonCoords - Coordonnées du polygone [lat, lng]
+ * Génère des prévisions heure par heure plausibles pour les jours à venir :
+ * cycle diurne autour de la température estimée, averses et rafales aléatoires
+ * @param {Object} context - Contexte de la requête (centre { lat, lng })
+ * @returns {Object} - Prévisions simulées (voir buildForecast)
+ */
+function generateForecastFromLocation(context) {
+  const { temperature } = generateWeatherDataFromLocation(context);
+  const utcOffset = Math.round(context.center.lng / 15) * 3600;
+  const start = Math.floor(Date.now() / 3600000) * 3600000;
+
+  let dailyShift = 0;
+  let precipitationProbability = Math.random() * 40;
+  let windSpeed = Math.random() * 4 + 1;
+
+  const hourly = [];
+  for (let hour = 0; hour < FORECAST_DAYS * 24; hour++) {
+    const time = start + hour * 3600000;
+    const localHour = new Date(time + utcOffset * 1000).getUTCHours();
+
+    // Une tendance par jour, puis un maximum vers 15 h et un minimum avant l'aube
+    if (localHour === 0) {
+      dailyShift += (Math.random() - 0.5) * 4;
+    }
+    precipitationProbability = Math.min(
+      100,
+      Math.max(0, precipitationProbability + (Math.random() - 0.5) * 15)
+    );
+    windSpeed = Math.min(
+      15,
+      Math.max(0.5, windSpeed + (Math.random() - 0.5) * 1.5)
+    );
+
+    hourly.push({
+      time,
+      temperature:
+        temperature +
+        dailyShift +
+        5 * Math.cos(((localHour - 15) / 24) * 2 * Math.PI),
+      precipitationProbability,
+      precipitation: precipitationProbability > 60 ? Math.random() * 2 : 0,
+      windSpeed,
+      windGust: windSpeed * (1.3 + Math.random() * 0.5),
+      description: "Prévision estimée",
+    });
+  }
+
+  return {
+    ...buildForecast(hourly, { interval: 1, utcOffset }),
+    dataSource: "Simulation basée sur la localisation",
+  };
+}
+
+/**
+ * Estime l'élévation basée sur la localisation : valeur typique de la région, identique
+ * d'un appel à l'autre
+ * @param {Object} context - Contexte de la requête (centre { lat, lng } et aire en km²)
  * @returns {Object} - Données d'élévation estimées
  */
-function estimateElevationFromLocation(polygonCoords) {
-  const centerLat =
-    polygonCoords.reduce((sum, point) => sum + point[0], 0) /
-    polygonCoords.length;
-  const centerLng =
-    polygonCoords.reduce((sum, point) => sum + point[1], 0) /
-    polygonCoords.length;
+function estimateElevationFromLocation({ center }) {
+  const { lat: centerLat, lng: centerLng } = center;
 
   // Vérifier si la zone est probablement un océan
   const isLikelyOcean = isLikelyOceanLocation(centerLat, centerLng);
@@ -668,12 +1739,12 @@ function estimateElevationFromLocation(polygonCoords) {
   }
 
   // Estimation très approximative basée sur la continentalité et la latitude
-  let baseElevation = Math.random() * 200 + 50; // 50-250m pour les zones typiques
+  let baseElevation = 150; // Plaines et plateaux typiques (50-250 m)
 
   // Zones montagneuses connues (très approximatif)
   // Alpes
   if (centerLat > 43 && centerLat < 48 && centerLng > 5 && centerLng < 15) {
-    baseElevation = Math.random() * 2000 + 1000;
+    baseElevation = 2000;
   }
   // Himalaya
   else if (
@@ -682,7 +1753,7 @@ function estimateElevationFromLocation(polygonCoords) {
     centerLng > 70 &&
     centerLng < 95
   ) {
-    baseElevation = Math.random() * 4000 + 2000;
+    baseElevation = 4000;
   }
   // Andes
   else if (
@@ -691,7 +1762,7 @@ function estimateElevationFromLocation(polygonCoords) {
     centerLng > -80 &&
     centerLng < -65
   ) {
-    baseElevation = Math.random() * 3000 + 1500;
+    baseElevation = 3000;
   }
   // Rocheuses
   else if (
@@ -700,7 +1771,7 @@ function estimateElevationFromLocation(polygonCoords) {
     centerLng > -125 &&
     centerLng < -105
   ) {
-    baseElevation = Math.random() * 2000 + 1000;
+    baseElevation = 2000;
   }
 
   return {
@@ -712,44 +1783,27 @@ function estimateElevationFromLocation(polygonCoords) {
 
 /**
  * Génère des données climatiques basées sur la localisation
- * @param {Array} polygonCoords - Coordonnées du polygone
+ * @param {Object} context - Contexte de la requête (centre { lat, lng })
  * @returns {Object} - Données climatiques sur 12 mois
  */
-function generateClimateDataFromLocation(polygonCoords) {
-  const centerLat =
-    polygonCoords.reduce((sum, point) => sum + point[0], 0) /
-    polygonCoords.length;
+function generateClimateDataFromLocation({ center, params }) {
+  const { lat: centerLat } = center;
   const isNorthernHemisphere = centerLat >= 0;
 
-  const months = [
-    "Jan",
-    "Fév",
-    "Mar",
-    "Avr",
-    "Mai",
-    "Juin",
-    "Juil",
-    "Août",
-    "Sep",
-    "Oct",
-    "Nov",
-    "Déc",
-  ];
-
   // La différence entre min et max température dépend de la latitude
   const temperatureRange = Math.min(35, Math.abs(centerLat)) + 5;
   const baseTemperature = Math.max(5, 25 - Math.abs(centerLat) / 2);
 
   let temperatures = [];
   if (isNorthernHemisphere) {
-    temperatures = months.map((_, index) => {
+    temperatures = MONTH_LABELS.map((_, index) => {
       return (
         baseTemperature +
         (temperatureRange / 2) * Math.sin(((index - 3) / 12) * 2 * Math.PI)
       );
     });
   } else {
-    temperatures = months.map((_, index) => {
+    temperatures = MONTH_LABELS.map((_, index) => {
       return (
         baseTemperature +
         (temperatureRange / 2) * Math.sin(((index + 3) / 12) * 2 * Math.PI)
@@ -768,93 +1822,258 @@ function generateClimateDataFromLocation(polygonCoords) {
     return Math.max(5, baseRain + Math.random() * rainFactor);
   });
 
-  return {
-    months,
-    temperatures: temperatures.map((t) => Math.round(t * 10) / 10),
-    precipitation: precipitation.map((p) => Math.round(p)),
+  // Réchauffement plausible de la dernière décennie : environ 1 °C depuis
+  // 1961-1990, 0,4 °C depuis 1991-2020, et des précipitations à ±10 %
+  const warming =
+    (params.period === "1961-1990" ? 1 : 0.4) + (Math.random() - 0.5) * 0.4;
+  const rainChange = 1 + (Math.random() - 0.5) * 0.2;
+  const lastYear = new Date().getFullYear() - 2;
+
+  return buildClimateData({
+    period: params.period,
+    temperatures,
+    precipitation,
+    recentPeriod: `${lastYear - RECENT_CLIMATE_YEARS + 1}-${lastYear}`,
+    recentTemperatures: temperatures.map(
+      (temperature) => temperature + warming + (Math.random() - 0.5) * 0.6
+    ),
+    recentPrecipitation: precipitation.map(
+      (rain) => rain * rainChange * (0.9 + Math.random() * 0.2)
+    ),
     dataSource: "Données simulées basées sur la localisation",
-  };
+  });
 }
 
 /**
- * Récupère la densité de population d'un pays
- * @param {String} countryCode - Code ISO du pays (2 lettres)
- * @returns {Number} - Densité de population (habitants/km²)
- */
-async function getCountryPopulationDensity(countryCode) {
-  // Données de densité de population par pays (habitants/km²)
-  const densityData = {
-    af: 54.4, // Afghanistan
-    al: 104.8, // Albanie
-    dz: 15.9, // Algérie
-    us: 33.2, // États-Unis
-    fr: 117.6, // France
-    de: 235.6, // Allemagne
-    gb: 270.7, // Royaume-Uni
-    it: 201.3, // Italie
-    es: 92.9, // Espagne
-    ch: 207.3, // Suisse
-    ca: 3.9, // Canada
-    mx: 57.3, // Mexique
-    br: 24.7, // Brésil
-    ar: 15.6, // Argentine
-    au: 3.1, // Australie
-    nz: 17.9, // Nouvelle-Zélande
-    jp: 334.8, // Japon
-    cn: 147.8, // Chine
-    in: 393.3, // Inde
-    ru: 8.6, // Russie
-    // Et d'autres pays...
-  };
+ * Attend le résultat d'une tâche du service de statistiques WorldPop
+ * @param {String} taskId - Identifiant de la tâche renvoyé à la soumission
+ * @param {Object} options - Options
+ * @param {Object} options.http - Client HTTP du fournisseur
+ * @param {AbortSignal} options.signal - Signal d'annulation
+ * @param {Function} options.onProgress - Reçoit { status, elapsed, timeout } à chaque interrogation
+ * @returns {Promise} - Promise avec la tâche terminée (résultat dans task.data)
+ */
+async function pollWorldPopTask(taskId, { http, signal, onProgress }) {
+  const startedAt = Date.now();
 
-  // Convertir le code pays en minuscules
-  const code = countryCode.toLowerCase();
+  for (;;) {
+    const { data: task } = await http.get(
+      `https://api.worldpop.org/v1/tasks/${taskId}`
+    );
+    if (task?.error) {
+      throw new Error(task.error_message || "Échec de la tâche WorldPop");
+    }
+    if (task?.status === "finished") {
+      return task;
+    }
+
+    const elapsed = Date.now() - startedAt;
+    if (elapsed + WORLDPOP_POLL_INTERVAL > WORLDPOP_TIMEOUT) {
+      throw new Error(
+        `Tâche WorldPop non terminée après ${WORLDPOP_TIMEOUT / 1000} s`
+      );
+    }
 
-  // Si nous avons des données sur ce pays, les utiliser
-  if (densityData[code]) {
-    return densityData[code];
+    onProgress?.({
+      status: task?.status || "created",
+      elapsed,
+      timeout: WORLDPOP_TIMEOUT,
+    });
+    await wait(WORLDPOP_POLL_INTERVAL, signal);
   }
+}
 
-  // Sinon, retourner une valeur par défaut raisonnable
-  return 50; // Moyenne mondiale approximative
+/**
+ * Convertit la pyramide des âges WorldPop (jeu de données wpgpas) en groupes ordonnés
+ * @param {Array} pyramid - Classes { class, age: "5 to 9", male, female }
+ * @returns {Array} - Groupes { label, population, male, female } du plus jeune au plus âgé
+ */
+function parseAgeSexPyramid(pyramid) {
+  return [...pyramid]
+    .sort((a, b) => parseInt(a.class, 10) - parseInt(b.class, 10))
+    .map((entry) => {
+      const male = Math.round(Number(entry.male) || 0);
+      const female = Math.round(Number(entry.female) || 0);
+
+      return {
+        label: String(entry.age)
+          .replace(/\s+to\s+/, "–")
+          .replace(/\s+(and over|and above|plus)$/, "+"),
+        population: male + female,
+        male,
+        female,
+      };
+    });
 }
 
 /**
- * Traite les données climatiques brutes
- * @param {Array} rawData - Données brutes
- * @returns {Object} - Données formatées
- */
-function processClimateData(rawData) {
-  const months = [
-    "Jan",
-    "Fév",
-    "Mar",
-    "Avr",
-    "Mai",
-    "Juin",
-    "Juil",
-    "Août",
-    "Sep",
-    "Oct",
-    "Nov",
-    "Déc",
-  ];
-  const temperatures = Array(12).fill(0);
-  const precipitation = Array(12).fill(0);
-
-  // Traitement des données brutes (à adapter selon le format réel)
-  rawData.forEach((item) => {
-    const monthIndex = months.indexOf(item.month);
-    if (monthIndex >= 0) {
-      temperatures[monthIndex] = item.temperature;
-      precipitation[monthIndex] = item.precipitation;
+ * Lit une série mensuelle du Climate Knowledge Portal
+ * Format : { metadata, data: { [code pays]: { "AAAA-MM": valeur } } }
+ * @param {Object} payload - Réponse de l'API CCKP pour une variable
+ * @param {String} geocode - Code pays ISO alpha-3 demandé
+ * @returns {Map} - Valeurs par année : année => 12 valeurs mensuelles (null si absentes)
+ */
+function parseClimateSeries(payload, geocode) {
+  const values =
+    payload?.data?.[geocode] ?? Object.values(payload?.data || {})[0] ?? {};
+  const series = new Map();
+
+  Object.entries(values).forEach(([date, value]) => {
+    const [year, month] = date.split("-").map(Number);
+    const number = Number(value);
+    if (
+      value === null ||
+      !Number.isFinite(number) ||
+      !(month >= 1 && month <= 12)
+    ) {
+      return;
     }
+
+    if (!series.has(year)) {
+      series.set(year, Array(12).fill(null));
+    }
+    series.get(year)[month - 1] = number;
   });
 
-  return {
-    months,
+  return series;
+}
+
+/**
+ * Moyenne de chaque mois sur une période
+ * @param {Map} series - Valeurs par année (voir parseClimateSeries)
+ * @param {Number} startYear - Première année incluse
+ * @param {Number} endYear - Dernière année incluse
+ * @returns {Array} - 12 moyennes mensuelles (null si le mois n'a aucune valeur)
+ */
+function computeMonthlyNormals(series, startYear, endYear) {
+  return MONTH_LABELS.map((_, month) => {
+    const values = [];
+    for (let year = startYear; year <= endYear; year++) {
+      const value = series.get(year)?.[month];
+      if (value !== null && value !== undefined) {
+        values.push(value);
+      }
+    }
+    return values.length > 0
+      ? values.reduce((sum, value) => sum + value, 0) / values.length
+      : null;
+  });
+}
+
+/**
+ * Calcule les normales d'une période de référence et celles de la dernière décennie
+ * complète à partir des séries mensuelles du Climate Knowledge Portal
+ * @param {Object} response - { geocode, temperature, precipitation } (réponses CCKP)
+ * @param {String} period - Période de référence (voir CLIMATE_PERIODS)
+ * @returns {Object|null} - Données climatiques (voir buildClimateData), ou null si
+ *                          la série ne couvre pas la période
+ */
+function processClimateData({ geocode, temperature, precipitation }, period) {
+  const temperatureSeries = parseClimateSeries(temperature, geocode);
+  const precipitationSeries = parseClimateSeries(precipitation, geocode);
+
+  // La période récente se termine à la dernière année renseignée pour les 12 mois
+  const completeYears = [...temperatureSeries.keys()]
+    .filter((year) =>
+      temperatureSeries.get(year).every((value) => value !== null)
+    )
+    .sort((a, b) => a - b);
+  if (completeYears.length === 0) {
+    return null;
+  }
+  const lastYear = completeYears[completeYears.length - 1];
+  const firstRecentYear = lastYear - RECENT_CLIMATE_YEARS + 1;
+
+  const [startYear, endYear] = period.split("-").map(Number);
+  const temperatures = computeMonthlyNormals(
+    temperatureSeries,
+    startYear,
+    endYear
+  );
+  if (temperatures.includes(null)) {
+    return null;
+  }
+
+  return buildClimateData({
+    period,
     temperatures,
-    precipitation,
-    dataSource: "Données WorldBank Climate",
+    precipitation: computeMonthlyNormals(
+      precipitationSeries,
+      startYear,
+      endYear
+    ),
+    recentPeriod: `${firstRecentYear}-${lastYear}`,
+    recentTemperatures: computeMonthlyNormals(
+      temperatureSeries,
+      firstRecentYear,
+      lastYear
+    ),
+    recentPrecipitation: computeMonthlyNormals(
+      precipitationSeries,
+      firstRecentYear,
+      lastYear
+    ),
+    dataSource: `WorldBank CCKP, CRU TS 4.07 (${geocode})`,
+  });
+}
+
+/**
+ * Met en forme des normales climatiques et leur écart avec la période récente
+ * @param {Object} normals - Normales mensuelles
+ * @param {String} normals.period - Période de référence
+ * @param {Array} normals.temperatures - Températures moyennes de référence (°C)
+ * @param {Array} normals.precipitation - Précipitations de référence (mm)
+ * @param {String} normals.recentPeriod - Période récente comparée
+ * @param {Array} normals.recentTemperatures - Températures moyennes récentes (°C)
+ * @param {Array} normals.recentPrecipitation - Précipitations récentes (mm)
+ * @param {String} normals.dataSource - Source des données
+ * @returns {Object} - { months, period, temperatures, precipitation,
+ *                      recent: { period, temperatures, precipitation },
+ *                      anomaly: { temperatures (°C), precipitation (%),
+ *                      annualTemperature (°C), annualPrecipitation (%) }, dataSource }
+ */
+function buildClimateData({
+  period,
+  temperatures,
+  precipitation,
+  recentPeriod,
+  recentTemperatures,
+  recentPrecipitation,
+  dataSource,
+}) {
+  const round = (value) =>
+    value === null ? null : Math.round(value * 10) / 10;
+  const sum = (values) =>
+    values.reduce((total, value) => total + (value || 0), 0);
+  const difference = (recent, reference) =>
+    recent === null || reference === null ? null : recent - reference;
+  const relativeChange = (recent, reference) =>
+    recent === null || !reference ? null : (recent / reference - 1) * 100;
+
+  return {
+    months: MONTH_LABELS,
+    period,
+    temperatures: temperatures.map(round),
+    precipitation: precipitation.map(round),
+    recent: {
+      period: recentPeriod,
+      temperatures: recentTemperatures.map(round),
+      precipitation: recentPrecipitation.map(round),
+    },
+    anomaly: {
+      temperatures: recentTemperatures.map((value, month) =>
+        round(difference(value, temperatures[month]))
+      ),
+      precipitation: recentPrecipitation.map((value, month) =>
+        round(relativeChange(value, precipitation[month]))
+      ),
+      annualTemperature: round(
+        (sum(recentTemperatures) - sum(temperatures)) / 12
+      ),
+      annualPrecipitation: round(
+        relativeChange(sum(recentPrecipitation), sum(precipitation))
+      ),
+    },
+    dataSource,
   };
 }
@@ -0,0 +1,266 @@
+import { normalizePolygons } from "./geoUtils";
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Durée de validité des réponses en cache par type de données (ms)
+ * La météo change vite, l'élévation et la population presque jamais
+ */
+export const CACHE_TTL = {
+  weather: 10 * MINUTE,
+  climate: 30 * DAY,
+  landUse: 7 * DAY,
+  elevation: 90 * DAY,
+  population: 90 * DAY,
+  adminBoundaries: 30 * DAY,
+  geocoding: 30 * DAY,
+};
+
+const DEFAULT_TTL = DAY;
+
+// Nombre maximal de réponses gardées en mémoire
+const MAX_MEMORY_ENTRIES = 200;
+
+// Précision des coordonnées prises en compte dans l'empreinte (6 décimales ≈ 10 cm)
+const HASH_PRECISION = 6;
+
+const DB_NAME = "webgis-analyzer-cache";
+const DB_VERSION = 1;
+const STORE_NAME = "responses";
+
+/**
+ * Calcule une empreinte 53 bits d'une chaîne (cyrb53)
+ * @param {String} text - Chaîne à hacher
+ * @returns {String} - Empreinte hexadécimale
+ */
+const hashString = (text) => {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+};
+
+/**
+ * Met un anneau sous forme canonique : sens antihoraire, en commençant par le plus petit sommet
+ * @param {Array} ring - Anneau ouvert [[lat, lng], ...]
+ * @returns {Array} - Anneau canonique aux coordonnées arrondies
+ */
+const canonicalRing = (ring) => {
+  const rounded = ring.map(([lat, lng]) => [
+    Number(lat.toFixed(HASH_PRECISION)),
+    Number(lng.toFixed(HASH_PRECISION)),
+  ]);
+
+  // Aire signée dans le plan (lng, lat) pour connaître le sens de parcours
+  let signedArea = 0;
+  for (let i = 0; i < rounded.length; i++) {
+    const [lat1, lng1] = rounded[i];
+    const [lat2, lng2] = rounded[(i + 1) % rounded.length];
+    signedArea += lng1 * lat2 - lng2 * lat1;
+  }
+  const oriented = signedArea < 0 ? [...rounded].reverse() : rounded;
+
+  let start = 0;
+  oriented.forEach(([lat, lng], index) => {
+    const [minLat, minLng] = oriented[start];
+    if (lat < minLat || (lat === minLat && lng < minLng)) {
+      start = index;
+    }
+  });
+
+  return [...oriented.slice(start), ...oriented.slice(0, start)];
+};
+
+/**
+ * Calcule l'empreinte d'une géométrie, indépendante du sommet de départ,
+ * du sens de parcours et du format (anneau Leaflet ou GeoJSON)
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @returns {String} - Empreinte de la géométrie
+ */
+export const hashGeometry = (geometry) => {
+  const polygons = normalizePolygons(geometry).map((rings) =>
+    rings.map(canonicalRing)
+  );
+  return hashString(JSON.stringify(polygons));
+};
+
+/**
+ * Sérialise des paramètres avec des clés triées, pour qu'un même jeu
+ * de paramètres donne toujours la même clé
+ * @param {*} value - Paramètres
+ * @returns {String} - Représentation stable
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Construit la clé de cache d'une réponse
+ * @param {Object} request - Description de la requête
+ * @param {String} request.geometryHash - Empreinte de la géométrie (voir hashGeometry)
+ * @param {String} request.provider - Identifiant du fournisseur
+ * @param {Object} request.params - Paramètres de la requête
+ * @returns {String} - Clé de cache
+ */
+export const createCacheKey = ({ geometryHash, provider, params = {} }) =>
+  `${provider}:${geometryHash}:${hashString(stableStringify(params))}`;
+
+// Cache en mémoire : l'ordre d'insertion de la Map sert d'ordre LRU
+const memory = new Map();
+
+const rememberEntry = (entry) => {
+  memory.delete(entry.key);
+  memory.set(entry.key, entry);
+
+  while (memory.size > MAX_MEMORY_ENTRIES) {
+    memory.delete(memory.keys().next().value);
+  }
+};
+
+let databasePromise = null;
+
+/**
+ * Ouvre la base IndexedDB du cache et purge les entrées expirées
+ * @returns {Promise} - Promise avec la base, ou null si IndexedDB est indisponible
+ */
+const openDatabase = () => {
+  if (databasePromise) {
+    return databasePromise;
+  }
+
+  databasePromise = new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") {
+      resolve(null);
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, {
+        keyPath: "key",
+      });
+      store.createIndex("expiresAt", "expiresAt");
+    };
+    request.onsuccess = () => {
+      const database = request.result;
+      const expired = IDBKeyRange.upperBound(Date.now());
+      database
+        .transaction(STORE_NAME, "readwrite")
+        .objectStore(STORE_NAME)
+        .index("expiresAt")
+        .openCursor(expired).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      resolve(database);
+    };
+    request.onerror = () => {
+      console.warn("Cache persistant indisponible:", request.error);
+      resolve(null);
+    };
+  });
+
+  return databasePromise;
+};
+
+/**
+ * Exécute une opération sur le magasin IndexedDB du cache
+ * @param {String} mode - "readonly" ou "readwrite"
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise} - Promise avec le résultat de la requête, ou null en cas d'échec
+ */
+const runStoreRequest = async (mode, operation) => {
+  const database = await openDatabase();
+  if (!database) {
+    return null;
+  }
+
+  return new Promise((resolve) => {
+    try {
+      const request = operation(
+        database.transaction(STORE_NAME, mode).objectStore(STORE_NAME)
+      );
+      request.onsuccess = () => resolve(request.result ?? null);
+      request.onerror = () => {
+        console.warn("Erreur du cache persistant:", request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.warn("Erreur du cache persistant:", error);
+      resolve(null);
+    }
+  });
+};
+
+/**
+ * Lit une réponse en cache (mémoire, puis IndexedDB)
+ * @param {String} key - Clé de cache (voir createCacheKey)
+ * @returns {Promise} - Promise avec l'entrée { key, value, storedAt, expiresAt }, ou null si absente ou expirée
+ */
+export const getCachedResponse = async (key) => {
+  const now = Date.now();
+
+  const cached = memory.get(key);
+  if (cached) {
+    if (cached.expiresAt > now) {
+      rememberEntry(cached);
+      return cached;
+    }
+    memory.delete(key);
+  }
+
+  const stored = await runStoreRequest("readonly", (store) => store.get(key));
+  if (!stored || stored.expiresAt <= now) {
+    return null;
+  }
+
+  rememberEntry(stored);
+  return stored;
+};
+
+/**
+ * Enregistre une réponse en cache (mémoire et IndexedDB)
+ * @param {String} key - Clé de cache (voir createCacheKey)
+ * @param {*} value - Réponse à conserver (clonable)
+ * @param {Number} ttl - Durée de validité en millisecondes
+ * @returns {Promise} - Promise avec l'entrée enregistrée
+ */
+export const setCachedResponse = async (key, value, ttl = DEFAULT_TTL) => {
+  const storedAt = Date.now();
+  const entry = { key, value, storedAt, expiresAt: storedAt + ttl };
+
+  rememberEntry(entry);
+  await runStoreRequest("readwrite", (store) => store.put(entry));
+  return entry;
+};
+
+/**
+ * Vide le cache (mémoire et IndexedDB)
+ * @returns {Promise} - Promise résolue une fois le cache vidé
+ */
+export const clearCache = async () => {
+  memory.clear();
+  await runStoreRequest("readwrite", (store) => store.clear());
+};
@@ -0,0 +1,526 @@
+import { calculatePolygonArea, isPointInPolygon } from "./geoUtils";
+
+// Codes ISO 3166-1 alpha-2 et alpha-3 des pays et territoires (Kosovo : code d'usage XK / XKX)
+const ISO_CODES = `
+  AD:AND AE:ARE AF:AFG AG:ATG AI:AIA AL:ALB AM:ARM AO:AGO AQ:ATA AR:ARG
+  AS:ASM AT:AUT AU:AUS AW:ABW AX:ALA AZ:AZE BA:BIH BB:BRB BD:BGD BE:BEL
+  BF:BFA BG:BGR BH:BHR BI:BDI BJ:BEN BL:BLM BM:BMU BN:BRN BO:BOL BQ:BES
+  BR:BRA BS:BHS BT:BTN BV:BVT BW:BWA BY:BLR BZ:BLZ CA:CAN CC:CCK CD:COD
+  CF:CAF CG:COG CH:CHE CI:CIV CK:COK CL:CHL CM:CMR CN:CHN CO:COL CR:CRI
+  CU:CUB CV:CPV CW:CUW CX:CXR CY:CYP CZ:CZE DE:DEU DJ:DJI DK:DNK DM:DMA
+  DO:DOM DZ:DZA EC:ECU EE:EST EG:EGY EH:ESH ER:ERI ES:ESP ET:ETH FI:FIN
+  FJ:FJI FK:FLK FM:FSM FO:FRO FR:FRA GA:GAB GB:GBR GD:GRD GE:GEO GF:GUF
+  GG:GGY GH:GHA GI:GIB GL:GRL GM:GMB GN:GIN GP:GLP GQ:GNQ GR:GRC GS:SGS
+  GT:GTM GU:GUM GW:GNB GY:GUY HK:HKG HM:HMD HN:HND HR:HRV HT:HTI HU:HUN
+  ID:IDN IE:IRL IL:ISR IM:IMN IN:IND IO:IOT IQ:IRQ IR:IRN IS:ISL IT:ITA
+  JE:JEY JM:JAM JO:JOR JP:JPN KE:KEN KG:KGZ KH:KHM KI:KIR KM:COM KN:KNA
+  KP:PRK KR:KOR KW:KWT KY:CYM KZ:KAZ LA:LAO LB:LBN LC:LCA LI:LIE LK:LKA
+  LR:LBR LS:LSO LT:LTU LU:LUX LV:LVA LY:LBY MA:MAR MC:MCO MD:MDA ME:MNE
+  MF:MAF MG:MDG MH:MHL MK:MKD ML:MLI MM:MMR MN:MNG MO:MAC MP:MNP MQ:MTQ
+  MR:MRT MS:MSR MT:MLT MU:MUS MV:MDV MW:MWI MX:MEX MY:MYS MZ:MOZ NA:NAM
+  NC:NCL NE:NER NF:NFK NG:NGA NI:NIC NL:NLD NO:NOR NP:NPL NR:NRU NU:NIU
+  NZ:NZL OM:OMN PA:PAN PE:PER PF:PYF PG:PNG PH:PHL PK:PAK PL:POL PM:SPM
+  PN:PCN PR:PRI PS:PSE PT:PRT PW:PLW PY:PRY QA:QAT RE:REU RO:ROU RS:SRB
+  RU:RUS RW:RWA SA:SAU SB:SLB SC:SYC SD:SDN SE:SWE SG:SGP SH:SHN SI:SVN
+  SJ:SJM SK:SVK SL:SLE SM:SMR SN:SEN SO:SOM SR:SUR SS:SSD ST:STP SV:SLV
+  SX:SXM SY:SYR SZ:SWZ TC:TCA TD:TCD TF:ATF TG:TGO TH:THA TJ:TJK TK:TKL
+  TL:TLS TM:TKM TN:TUN TO:TON TR:TUR TT:TTO TV:TUV TW:TWN TZ:TZA UA:UKR
+  UG:UGA UM:UMI US:USA UY:URY UZ:UZB VA:VAT VC:VCT VE:VEN VG:VGB VI:VIR
+  VN:VNM VU:VUT WF:WLF WS:WSM XK:XKX YE:YEM YT:MYT ZA:ZAF ZM:ZMB ZW:ZWE
+`;
+
+const alpha3ByAlpha2 = new Map(
+  ISO_CODES.trim()
+    .split(/\s+/)
+    .map((pair) => pair.split(":"))
+);
+
+// Moyennes nationales (ONU, World Population Prospects 2022, arrondies ; petits territoires
+// d'après leurs instituts statistiques) : code alpha-2, densité (hab./km²), âge médian (années),
+// part des 0-14 ans et des 65 ans et plus (%), nom. "-" marque les âges des territoires
+// sans population permanente
+const DEMOGRAPHICS = `
+  AD 170 43.6 12.6 16.2 Andorra
+  AE 130 32.6 15.0 1.9 United Arab Emirates
+  AF 63 16.7 43.1 2.4 Afghanistan
+  AG 213 34.3 19.8 9.5 Antigua and Barbuda
+  AI 175 37.0 18.5 11.0 Anguilla
+  AL 98 37.8 16.5 16.5 Albania
+  AM 98 37.9 20.6 13.7 Armenia
+  AO 28 16.1 46.3 2.3 Angola
+  AQ 0 - - - Antarctica
+  AR 17 32.4 23.3 12.1 Argentina
+  AS 222 27.5 28.0 7.0 American Samoa
+  AT 109 43.5 14.4 19.6 Austria
+  AU 3 37.5 18.2 17.0 Australia
+  AW 590 41.0 16.5 16.5 Aruba
+  AX 19 44.0 16.5 23.5 Åland Islands
+  AZ 123 32.6 22.1 7.6 Azerbaijan
+  BA 63 43.3 14.9 18.9 Bosnia and Herzegovina
+  BB 653 40.6 16.5 17.6 Barbados
+  BD 1300 26.7 26.0 6.0 Bangladesh
+  BE 383 41.6 16.4 19.6 Belgium
+  BF 82 17.1 44.1 2.4 Burkina Faso
+  BG 63 44.7 14.6 23.5 Bulgaria
+  BH 1900 32.9 18.3 3.9 Bahrain
+  BI 493 16.2 45.8 2.3 Burundi
+  BJ 119 17.3 42.4 3.2 Benin
+  BL 436 45.0 15.0 17.0 Saint Barthélemy
+  BM 1190 43.5 14.5 21.0 Bermuda
+  BN 85 31.6 21.6 6.4 Brunei
+  BO 11 24.6 30.1 7.2 Bolivia
+  BQ 82 41.0 16.0 16.0 Caribbean Netherlands
+  BR 25 33.5 20.4 10.2 Brazil
+  BS 41 32.6 20.0 8.9 Bahamas
+  BT 20 29.0 22.3 6.7 Bhutan
+  BV 0 - - - Bouvet Island
+  BW 4 24.1 32.6 4.6 Botswana
+  BY 46 41.0 16.8 16.9 Belarus
+  BZ 18 25.2 28.5 4.5 Belize
+  CA 4 40.6 15.7 19.0 Canada
+  CC 43 35.0 20.0 12.0 Cocos (Keeling) Islands
+  CD 43 15.6 46.3 2.8 DR Congo
+  CF 9 14.4 47.6 2.8 Central African Republic
+  CG 17 18.7 41.4 2.7 Congo
+  CH 219 42.7 15.0 19.3 Switzerland
+  CI 87 18.3 41.4 2.5 Côte d'Ivoire
+  CK 72 37.0 22.0 13.0 Cook Islands
+  CL 26 35.5 18.3 13.2 Chile
+  CM 58 17.7 42.1 2.7 Cameroon
+  CN 150 38.4 17.0 14.0 China
+  CO 46 31.2 21.5 9.1 Colombia
+  CR 101 33.9 20.2 10.8 Costa Rica
+  CU 107 42.0 15.7 16.2 Cuba
+  CV 147 27.3 26.9 5.2 Cabo Verde
+  CW 428 42.0 17.0 18.0 Curaçao
+  CX 13 39.0 16.0 10.0 Christmas Island
+  CY 136 37.9 16.3 15.3 Cyprus
+  CZ 139 43.3 16.2 20.8 Czechia
+  DE 237 45.1 14.0 22.4 Germany
+  DJ 48 23.4 29.8 4.9 Djibouti
+  DK 145 41.9 16.2 20.6 Denmark
+  DM 97 34.0 20.0 11.0 Dominica
+  DO 233 28.2 26.3 7.9 Dominican Republic
+  DZ 19 28.3 30.5 6.6 Algeria
+  EC 72 28.1 25.7 7.8 Ecuador
+  EE 31 42.4 16.2 20.6 Estonia
+  EG 112 23.9 32.7 4.9 Egypt
+  EH 2 27.8 27.8 3.4 Western Sahara
+  ER 35 18.6 40.6 3.9 Eritrea
+  ES 96 44.5 13.9 20.3 Spain
+  ET 112 18.8 39.8 3.1 Ethiopia
+  FI 18 42.8 15.4 23.3 Finland
+  FJ 51 28.6 28.1 5.9 Fiji
+  FK 0.3 41.0 15.0 16.0 Falkland Islands
+  FM 162 25.0 30.0 5.5 Micronesia
+  FO 38 37.5 20.5 18.0 Faroe Islands
+  FR 119 42.3 17.4 21.4 France
+  GA 9 21.6 36.6 3.7 Gabon
+  GB 280 40.5 17.6 19.2 United Kingdom
+  GD 368 32.0 23.5 10.2 Grenada
+  GE 54 38.3 20.5 15.5 Georgia
+  GF 4 25.9 30.8 6.4 French Guiana
+  GG 820 44.0 14.0 21.0 Guernsey
+  GH 147 20.9 36.8 3.4 Ghana
+  GI 4850 39.0 18.0 17.0 Gibraltar
+  GL 0.14 35.3 19.6 11.0 Greenland
+  GM 261 17.8 42.6 2.4 Gambia
+  GN 56 18.2 41.3 3.0 Guinea
+  GP 233 45.2 17.4 22.7 Guadeloupe
+  GQ 60 21.8 36.9 2.9 Equatorial Guinea
+  GR 81 45.6 13.8 22.8 Greece
+  GS 0 - - - South Georgia and the South Sandwich Islands
+  GT 164 23.8 31.9 5.0 Guatemala
+  GU 320 31.7 23.6 12.0 Guam
+  GW 76 18.2 41.0 2.9 Guinea-Bissau
+  GY 4 26.7 28.0 7.0 Guyana
+  HK 6800 46.3 11.5 20.7 Hong Kong
+  HM 0 - - - Heard Island and McDonald Islands
+  HN 92 24.3 29.8 4.9 Honduras
+  HR 69 44.7 14.2 22.4 Croatia
+  HT 418 24.0 31.1 4.9 Haiti
+  HU 106 43.6 14.6 20.6 Hungary
+  ID 146 29.7 24.8 7.0 Indonesia
+  IE 73 38.6 19.7 15.1 Ireland
+  IL 437 30.0 27.8 12.4 Israel
+  IM 147 44.5 15.5 23.0 Isle of Man
+  IN 431 28.2 25.3 7.0 India
+  IO 0 - - - British Indian Ocean Territory
+  IQ 104 20.0 37.5 3.5 Iraq
+  IR 55 32.4 23.6 7.7 Iran
+  IS 4 37.5 18.2 15.2 Iceland
+  IT 195 47.3 12.7 24.1 Italy
+  JE 890 42.0 15.0 18.5 Jersey
+  JM 261 31.1 19.8 9.4 Jamaica
+  JO 127 23.5 32.0 3.9 Jordan
+  JP 331 48.4 11.6 29.9 Japan
+  KE 95 20.0 37.4 2.9 Kenya
+  KG 35 27.1 32.0 5.3 Kyrgyzstan
+  KH 95 26.4 29.0 6.0 Cambodia
+  KI 163 23.8 34.0 4.5 Kiribati
+  KM 440 20.3 37.3 3.1 Comoros
+  KN 185 35.4 19.4 11.5 Saint Kitts and Nevis
+  KP 216 35.6 19.4 12.3 North Korea
+  KR 515 44.5 11.6 17.5 South Korea
+  KW 240 30.2 20.7 4.7 Kuwait
+  KY 260 38.0 17.0 11.0 Cayman Islands
+  KZ 7 30.7 29.4 8.4 Kazakhstan
+  LA 33 24.4 30.1 4.6 Laos
+  LB 540 30.8 24.6 9.3 Lebanon
+  LC 295 36.0 17.5 11.0 Saint Lucia
+  LI 246 43.8 14.6 20.1 Liechtenstein
+  LK 353 33.7 23.2 11.9 Sri Lanka
+  LR 55 18.6 40.3 3.2 Liberia
+  LS 76 22.0 32.6 4.7 Lesotho
+  LT 45 43.9 15.0 20.6 Lithuania
+  LU 251 39.7 16.0 15.0 Luxembourg
+  LV 29 44.3 16.1 21.5 Latvia
+  LY 4 26.3 27.6 4.7 Libya
+  MA 84 29.5 26.3 7.8 Morocco
+  MC 19000 55.4 12.7 35.6 Monaco
+  MD 92 38.5 18.6 13.5 Moldova
+  ME 46 39.6 17.7 16.7 Montenegro
+  MF 600 35.0 24.0 10.0 Saint Martin
+  MG 52 19.1 39.3 3.1 Madagascar
+  MH 229 23.0 34.0 4.0 Marshall Islands
+  MK 82 40.4 15.8 15.6 North Macedonia
+  ML 18 15.1 47.1 2.4 Mali
+  MM 82 29.2 24.3 7.0 Myanmar
+  MN 2 28.4 32.2 4.6 Mongolia
+  MO 21000 39.5 15.5 14.0 Macao
+  MP 108 35.5 22.0 10.0 Northern Mariana Islands
+  MQ 330 47.3 14.2 24.1 Martinique
+  MR 5 19.0 39.4 3.2 Mauritania
+  MS 43 35.0 17.0 15.0 Montserrat
+  MT 1650 40.4 12.9 20.2 Malta
+  MU 637 37.5 16.2 13.0 Mauritius
+  MV 1740 30.3 19.6 4.5 Maldives
+  MW 216 17.3 41.9 2.7 Malawi
+  MX 65 29.2 24.7 8.4 Mexico
+  MY 104 30.3 22.6 7.6 Malaysia
+  MZ 42 16.9 43.3 2.9 Mozambique
+  NA 3 21.8 36.2 3.7 Namibia
+  NC 16 33.9 22.8 10.9 New Caledonia
+  NE 21 14.5 49.2 2.6 Niger
+  NF 61 50.0 14.0 25.0 Norfolk Island
+  NG 240 17.2 43.3 2.7 Nigeria
+  NI 57 26.4 28.7 5.6 Nicaragua
+  NL 520 42.0 15.6 20.2 Netherlands
+  NO 15 39.8 16.8 18.1 Norway
+  NP 209 24.6 28.3 6.0 Nepal
+  NR 630 25.0 35.0 2.0 Nauru
+  NU 7 36.0 24.0 16.0 Niue
+  NZ 19 37.3 19.2 16.2 New Zealand
+  OM 15 29.5 26.0 3.0 Oman
+  PA 59 29.7 24.9 9.1 Panama
+  PE 27 29.8 24.6 9.1 Peru
+  PF 77 33.6 20.4 10.4 French Polynesia
+  PG 22 21.3 35.3 3.4 Papua New Guinea
+  PH 385 24.9 30.0 5.5 Philippines
+  PK 306 20.4 36.6 4.3 Pakistan
+  PL 122 41.3 15.0 19.6 Poland
+  PM 24 48.0 14.0 25.0 Saint Pierre and Miquelon
+  PN 1 50.0 10.0 30.0 Pitcairn Islands
+  PR 365 44.5 12.1 23.5 Puerto Rico
+  PS 880 19.5 38.6 3.4 Palestine
+  PT 112 46.2 12.8 23.7 Portugal
+  PW 39 34.0 19.0 12.0 Palau
+  PY 17 26.5 28.3 6.8 Paraguay
+  QA 234 32.4 15.9 1.6 Qatar
+  RE 388 34.6 22.2 13.5 Réunion
+  RO 83 43.2 15.7 19.7 Romania
+  RS 87 42.6 14.5 21.4 Serbia
+  RU 9 39.6 18.0 16.0 Russia
+  RW 553 19.7 38.0 3.2 Rwanda
+  SA 17 29.3 24.5 2.9 Saudi Arabia
+  SB 26 19.4 38.8 3.6 Solomon Islands
+  SC 233 35.5 21.9 9.1 Seychelles
+  SD 27 18.6 40.4 3.7 Sudan
+  SE 25 40.8 17.4 20.3 Sweden
+  SG 8400 42.2 12.0 15.1 Singapore
+  SH 13 44.0 14.0 20.0 Saint Helena, Ascension and Tristan da Cunha
+  SI 105 45.3 15.0 21.5 Slovenia
+  SJ 0.05 36.0 15.0 8.0 Svalbard and Jan Mayen
+  SK 113 41.6 15.8 17.6 Slovakia
+  SL 117 19.0 39.2 2.8 Sierra Leone
+  SM 560 46.0 13.5 20.5 San Marino
+  SN 89 18.5 41.5 3.1 Senegal
+  SO 28 15.5 47.3 2.7 Somalia
+  SR 4 29.7 26.2 7.4 Suriname
+  SS 18 17.4 42.2 3.3 South Sudan
+  ST 236 18.9 40.8 3.0 São Tomé and Príncipe
+  SV 304 28.8 25.9 8.8 El Salvador
+  SX 1290 38.0 18.0 10.0 Sint Maarten
+  SY 121 22.5 29.6 4.6 Syria
+  SZ 69 22.2 34.9 3.6 Eswatini
+  TC 48 34.0 19.0 9.0 Turks and Caicos Islands
+  TD 14 14.8 47.2 2.3 Chad
+  TF 0 - - - French Southern Territories
+  TG 163 19.4 39.5 3.0 Togo
+  TH 140 40.0 15.8 14.5 Thailand
+  TJ 70 22.3 35.5 3.4 Tajikistan
+  TK 158 28.0 28.0 8.0 Tokelau
+  TL 89 20.3 36.9 4.4 Timor-Leste
+  TM 14 26.9 30.5 5.4 Turkmenistan
+  TN 77 33.0 24.1 9.3 Tunisia
+  TO 148 21.7 34.6 6.3 Tonga
+  TR 112 32.2 22.5 9.0 Türkiye
+  TT 298 37.6 19.1 12.9 Trinidad and Tobago
+  TV 377 26.0 31.0 6.5 Tuvalu
+  TW 650 43.5 12.6 17.6 Taiwan
+  TZ 74 17.2 43.4 3.0 Tanzania
+  UA 70 41.6 15.6 17.7 Ukraine
+  UG 239 16.7 44.1 1.9 Uganda
+  UM 0 - - - United States Minor Outlying Islands
+  US 37 38.1 17.8 17.3 United States
+  UY 20 35.5 19.1 15.6 Uruguay
+  UZ 82 27.8 30.1 5.4 Uzbekistan
+  VA 1900 60.0 0.0 30.0 Vatican City
+  VC 266 33.3 20.6 10.5 Saint Vincent and the Grenadines
+  VE 32 29.6 26.0 8.6 Venezuela
+  VG 205 38.0 16.5 11.0 British Virgin Islands
+  VI 285 42.0 18.5 21.0 United States Virgin Islands
+  VN 315 33.2 23.1 9.1 Vietnam
+  VU 27 21.0 38.0 4.0 Vanuatu
+  WF 81 35.0 22.0 13.0 Wallis and Futuna
+  WS 78 21.8 37.5 5.5 Samoa
+  XK 165 32.0 23.0 10.0 Kosovo
+  YE 64 18.8 39.2 2.7 Yemen
+  YT 740 17.5 43.0 3.0 Mayotte
+  ZA 49 28.0 28.3 6.2 South Africa
+  ZM 27 17.5 42.5 1.8 Zambia
+  ZW 42 18.4 40.7 3.3 Zimbabwe
+`;
+
+const demographicsByAlpha2 = new Map(
+  DEMOGRAPHICS.trim()
+    .split("\n")
+    .map((line) => {
+      const [code, density, medianAge, young, old, ...name] = line
+        .trim()
+        .split(/\s+/);
+      const youngShare = Number(young);
+      const oldShare = Number(old);
+      const inhabited = medianAge !== "-";
+
+      return [
+        code,
+        {
+          code,
+          name: name.join(" "),
+          density: Number(density),
+          medianAge: inhabited ? Number(medianAge) : null,
+          ageStructure: inhabited
+            ? [
+                { label: "0–14", share: youngShare },
+                {
+                  label: "15–64",
+                  share: Math.round((100 - youngShare - oldShare) * 10) / 10,
+                },
+                { label: "65+", share: oldShare },
+              ]
+            : null,
+        },
+      ];
+    })
+);
+
+// Écart toléré entre un point et le contour simplifié le plus proche (degrés), pour les
+// côtes et frontières que la simplification a déplacées
+const BOUNDARY_TOLERANCE = 0.5;
+
+// Contours chargés à la première recherche (module séparé pour alléger le chargement initial)
+let countryShapes = null;
+
+/**
+ * Convertit un code pays ISO 3166-1 alpha-2 en alpha-3
+ * @param {String} alpha2 - Code alpha-2, en majuscules ou minuscules (ex : "fr")
+ * @returns {String|null} - Code alpha-3 (ex : "FRA"), ou null si le code est inconnu
+ */
+export const toAlpha3 = (alpha2) =>
+  alpha3ByAlpha2.get(alpha2?.toUpperCase()) || null;
+
+/**
+ * Donne les moyennes démographiques nationales intégrées d'un pays
+ * @param {String} alpha2 - Code alpha-2, en majuscules ou minuscules
+ * @returns {Object|null} - { code, name, density (hab./km²), medianAge,
+ *                          ageStructure: [{ label, share (%) }] }, ou null si le pays est absent ;
+ *                          medianAge et ageStructure valent null sans population permanente
+ */
+export const getCountryDemographics = (alpha2) =>
+  demographicsByAlpha2.get(alpha2?.toUpperCase()) || null;
+
+/**
+ * Charge et prépare les contours simplifiés des pays
+ * @returns {Promise} - Promise avec les contours { code, geometry (MultiPolygon GeoJSON), rings, bbox,
+ *                      areas (aire de chaque partie, m²) }
+ */
+const loadCountryShapes = async () => {
+  if (!countryShapes) {
+    const { COUNTRY_BOUNDARIES } = await import("./countryBoundaries");
+
+    countryShapes = COUNTRY_BOUNDARIES.trim()
+      .split("\n")
+      .map((line) => {
+        const [code, outline] = [line.slice(0, 2), line.slice(3)];
+        const rings = outline.split("|").map((part) => {
+          const ring = part
+            .trim()
+            .split(/\s+/)
+            .map((vertex) => vertex.split(",").map(Number));
+          return [...ring, ring[0]];
+        });
+        const points = rings.flat();
+        const geometry = {
+          type: "MultiPolygon",
+          coordinates: rings.map((ring) => [ring]),
+        };
+
+        return {
+          code,
+          geometry,
+          rings,
+          bbox: {
+            west: Math.min(...points.map(([lng]) => lng)),
+            east: Math.max(...points.map(([lng]) => lng)),
+            south: Math.min(...points.map(([, lat]) => lat)),
+            north: Math.max(...points.map(([, lat]) => lat)),
+          },
+          areas: rings.map((ring) =>
+            calculatePolygonArea({ type: "Polygon", coordinates: [ring] })
+          ),
+        };
+      });
+  }
+
+  return countryShapes;
+};
+
+/**
+ * Distance approchée d'un point à un anneau, en degrés de latitude
+ * @param {Number} lat - Latitude du point
+ * @param {Number} lng - Longitude du point
+ * @param {Array} ring - Sommets [lng, lat] de l'anneau fermé
+ * @returns {Number} - Distance au segment le plus proche
+ */
+const distanceToRing = (lat, lng, ring) => {
+  // Longitudes ramenées à l'échelle des latitudes autour du point
+  const scale = Math.cos((lat * Math.PI) / 180);
+  let minimum = Infinity;
+
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [ax, ay] = [(ring[i][0] - lng) * scale, ring[i][1] - lat];
+    const [bx, by] = [(ring[i + 1][0] - lng) * scale, ring[i + 1][1] - lat];
+    const [dx, dy] = [bx - ax, by - ay];
+    const length = dx * dx + dy * dy;
+    const t =
+      length > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / length)) : 0;
+    minimum = Math.min(minimum, Math.hypot(ax + t * dx, ay + t * dy));
+  }
+
+  return minimum;
+};
+
+/**
+ * Retrouve le pays d'un point à partir des contours simplifiés intégrés, sans appel réseau
+ * La plus petite partie de contour contenant le point l'emporte (enclaves, exclaves comme
+ * Ceuta, chevauchements dus à la simplification) ; à défaut, le contour le plus proche dans
+ * la limite de BOUNDARY_TOLERANCE
+ * @param {Number} lat - Latitude
+ * @param {Number} lng - Longitude
+ * @returns {Promise} - Promise avec le code alpha-2 du pays, ou null en mer et hors des contours
+ */
+export const findCountryAt = async (lat, lng) => {
+  const shapes = (await loadCountryShapes()).filter(
+    ({ bbox }) =>
+      lat >= bbox.south - BOUNDARY_TOLERANCE &&
+      lat <= bbox.north + BOUNDARY_TOLERANCE &&
+      lng >= bbox.west - BOUNDARY_TOLERANCE &&
+      lng <= bbox.east + BOUNDARY_TOLERANCE
+  );
+
+  const containing = shapes
+    .flatMap(({ code, rings, areas }) =>
+      rings
+        .map((ring, index) => ({ code, ring, area: areas[index] }))
+        .filter(({ ring }) =>
+          isPointInPolygon([lat, lng], { type: "Polygon", coordinates: [ring] })
+        )
+    )
+    .sort((a, b) => a.area - b.area);
+  if (containing.length > 0) {
+    return containing[0].code;
+  }
+
+  let nearest = null;
+  let nearestDistance = BOUNDARY_TOLERANCE;
+  shapes.forEach(({ code, rings }) => {
+    rings.forEach((ring) => {
+      const distance = distanceToRing(lat, lng, ring);
+      if (distance < nearestDistance) {
+        nearest = code;
+        nearestDistance = distance;
+      }
+    });
+  });
+
+  return nearest;
+};
+
+/**
+ * Donne le contour simplifié intégré d'un pays
+ * @param {String} alpha2 - Code alpha-2, en majuscules ou minuscules
+ * @returns {Promise} - Promise avec la géométrie GeoJSON MultiPolygon, ou null si le pays est absent
+ */
+export const getCountryBoundary = async (alpha2) =>
+  (await loadCountryShapes()).find(({ code }) => code === alpha2?.toUpperCase())
+    ?.geometry || null;
+
+/**
+ * Ramène un nom à une forme comparable (minuscules, sans accents)
+ * @param {String} text - Nom
+ * @returns {String} - Nom normalisé
+ */
+const toSearchable = (text) =>
+  text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+/**
+ * Recherche des pays par leur nom, sans tenir compte de la casse ni des accents
+ * @param {String} query - Texte recherché
+ * @param {Number} limit - Nombre maximal de pays renvoyés
+ * @returns {Promise} - Promise avec les pays { code, name, geometry, bbox }, ceux dont
+ *                      le nom commence par le texte recherché en premier
+ */
+export const searchCountries = async (query, limit = 5) => {
+  const term = toSearchable(query.trim());
+  if (!term) {
+    return [];
+  }
+
+  const shapes = await loadCountryShapes();
+
+  return [...demographicsByAlpha2.values()]
+    .map(({ code, name }) => ({
+      code,
+      name,
+      position: toSearchable(name).indexOf(term),
+    }))
+    .filter(({ position }) => position >= 0)
+    .sort(
+      (a, b) =>
+        (a.position > 0) - (b.position > 0) || a.name.localeCompare(b.name)
+    )
+    .slice(0, limit)
+    .map(({ code, name }) => {
+      const shape = shapes.find((entry) => entry.code === code);
+      return {
+        code,
+        name,
+        geometry: shape?.geometry || null,
+        bbox: shape?.bbox || null,
+      };
+    });
+};
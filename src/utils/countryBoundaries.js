@@ -0,0 +1,260 @@
+// Contours simplifiés des pays et territoires, destinés à retrouver le pays d'un point hors ligne.
+// Source : World Borders 0.3 (thematicmapping.org, CC BY-SA 3.0) tel que redistribué par le
+// paquet npm world-countries 5.1.0 ; Kosovo, absent de cette source, vient de Natural Earth 1:50m.
+// Anneaux extérieurs simplifiés par Douglas-Peucker à 0,07° (distances est-ouest corrigées de
+// la latitude, soit 5 à 8 km) et arrondis au centième de degré ; un îlot plus petit que la
+// tolérance est remplacé par son rectangle englobant.
+// Une ligne par pays : code ISO 3166-1 alpha-2 puis sommets "lng,lat" de l'anneau extérieur,
+// les parties d'un même pays (îles, exclaves) étant séparées par "|"
+export const COUNTRY_BOUNDARIES = `
+AD 1.78,42.57 1.54,42.44 1.42,42.49 1.49,42.65
+AE 53.97,24.18 53.62,24.16 53.85,24.27 | 53.24,24.26 53.35,24.26 53.35,24.33 53.24,24.33 | 53.08,24.31 53.11,24.31 53.11,24.36 53.08,24.36 | 54.17,24.27 54.27,24.27 54.27,24.36 54.17,24.36 | 52.57,24.27 52.66,24.27 52.66,24.37 52.57,24.37 | 53.38,24.32 53.43,24.32 53.43,24.37 53.38,24.37 | 54.33,24.42 54.48,24.42 54.48,24.5 54.33,24.5 | 54.47,24.5 54.52,24.5 54.52,24.55 54.47,24.55 | 54.4,24.5 54.47,24.5 54.47,24.59 54.4,24.59 | 55.61,25.57 55.62,25.57 55.62,25.58 55.61,25.58 | 56.18,25.65 56.37,25.53 56.37,24.98 56.14,24.74 55.98,24.86 56.01,24.97 55.81,24.88 55.78,24.24 55.95,24.23 56.02,24.08 55.51,23.97 55.56,23.77 55.14,22.63 52.58,22.94 51.58,24.12 51.58,24.26 51.73,24.26 51.81,24 52.08,23.96 52.59,24.2 53.58,24.04 54.12,24.14 54.42,24.28 54.65,24.75 55.07,25.02 55.55,25.58 55.63,25.53 55.86,25.72 56.08,26.07 56.19,26.01
+AF 74.92,37.24 74.52,37.24 74.39,37.16 74.56,36.97 74.42,37 74.04,36.81 73.67,36.91 72.58,36.83 72.18,36.71 71.75,36.42 71.62,36.46 71.19,36.05 71.45,35.86 71.65,35.42 71.5,34.96 70.99,34.55 71.16,34.35 71.08,34.06 70.49,33.94 69.91,34.04 69.87,33.93 70.14,33.73 70.33,33.33 70.03,33.14 69.51,33.03 69.46,32.67 69.25,32.44 69.33,31.94 68.83,31.6 68.57,31.83 68.44,31.79 68.54,31.73 68.17,31.83 67.98,31.64 67.58,31.53 67.78,31.33 67.28,31.21 66.97,31.32 66.72,31.21 66.57,30.98 66.4,30.94 66.24,30.07 66.36,29.96 66.26,29.85 65.03,29.54 64.38,29.55 64.06,29.41 63.59,29.5 62.48,29.41 60.87,29.86 61.76,30.79 61.85,31.02 61.71,31.38 60.84,31.5 60.86,32.23 60.58,33.07 60.94,33.52 60.53,33.64 60.51,34.14 60.67,34.31 60.88,34.32 60.72,34.52 61.05,34.79 61.29,35.63 61.6,35.44 62.03,35.45 62.31,35.14 62.46,35.29 62.72,35.25 63.11,35.45 63.12,35.86 63.52,35.9 64.47,36.26 64.79,37.12 65.07,37.24 65.55,37.26 65.71,37.54 66.29,37.32 67,37.38 67.24,37.19 67.74,37.22 68,36.94 68.89,37.34 69.29,37.1 69.52,37.58 70.16,37.54 70.29,37.7 70.16,37.93 70.71,38.41 70.95,38.47 71.36,38.25 71.25,37.92 71.59,37.9 71.43,37.08 71.68,36.68 72.31,36.98 72.66,37.02 72.79,37.23 73.31,37.46 73.78,37.43 73.62,37.26 73.74,37.22 74.25,37.41 74.68,37.4
+AG -61.69,17.02 -61.83,17 -61.89,17.11 -61.79,17.16 | -61.73,17.61 -61.85,17.58 -61.87,17.7
+AI -63.17,18.16 -62.97,18.16 -62.97,18.28 -63.17,18.28
+AL 19.44,41.02 19.6,41.8 19.37,41.85 19.4,42.11 19.28,42.19 19.72,42.66 19.79,42.48 20.07,42.56 20.53,42.21 20.62,41.96 20.5,41.32 20.73,40.91 20.98,40.89 21.04,40.57 20.79,40.43 20.67,40.1 20.32,39.99 20.42,39.84 20.31,39.72 19.99,39.69 19.86,40.04 19.29,40.42 19.48,40.35 19.31,40.65 19.52,40.91
+AM 45.49,40.61 45.59,40.61 45.59,40.67 45.49,40.67 | 45.15,41.2 45.09,41.06 45.62,40.87 45.39,40.67 45.53,40.46 46,40.23 45.9,40.02 45.6,39.98 46.2,39.6 46.54,39.56 46.38,39.42 46.62,39.22 46.42,39.2 46.54,38.88 46.18,38.84 45.8,39.56 45.46,39.49 45.06,39.78 44.78,39.71 44.35,40.02 43.65,40.12 43.58,40.45 43.75,40.74 43.46,41.11 45.02,41.3
+AO 11.66,-16.8 11.78,-16.8 11.78,-16.54 11.66,-16.54 | 14,-5.85 16.58,-5.9 16.97,-7.01 16.94,-7.2 17.62,-8.1 18.12,-8.11 18.11,-8.03 18.53,-7.93 19.37,-8 19.37,-7.57 19.54,-7.46 19.54,-7 20.63,-6.91 20.55,-7.28 21.81,-7.31 21.75,-8 21.94,-8.5 21.79,-9.41 21.87,-9.67 22.16,-9.93 22.31,-10.36 22.32,-10.73 22.16,-10.86 22.25,-11.21 22.56,-11.03 23.08,-11.1 23.48,-10.96 23.86,-11.03 23.99,-10.87 24.08,-11.4 23.97,-11.66 24.05,-12.39 23.89,-12.77 24.02,-13.01 22,-13 22,-16.17 22.14,-16.49 23.48,-17.63 21.38,-18.01 21.16,-17.93 20.85,-18.02 20.34,-17.86 18.92,-17.82 18.45,-17.39 13.99,-17.42 13.47,-17.01 13.16,-16.95 12.56,-17.24 12.08,-17.14 11.75,-17.25 11.82,-16.5 11.73,-15.85 12.01,-15.59 12.28,-14.75 12.33,-14.11 12.5,-13.85 12.51,-13.43 12.94,-12.99 12.94,-12.82 13.19,-12.6 13.37,-12.6 13.66,-12.17 13.85,-11.01 12.98,-9.09 13.13,-8.87 13.02,-9.09 13.39,-8.74 13.39,-8.39 12.82,-6.95 12.24,-6.1 12.82,-6.01 12.98,-5.88 | 13.09,-4.66 12.82,-4.74 12.57,-5.03 12.53,-5.72 12.21,-5.77 12.23,-5.48 12.02,-5.03 12.21,-4.76 12.34,-4.79 12.4,-4.61 12.65,-4.56 12.78,-4.39
+AQ -60.22,-80.29 -60.91,-80.75 -61.84,-80.84 -64.18,-80.43 -65.13,-80.53 -66.07,-80.45 -67.03,-80.17 -66.82,-80.07 -64.93,-80.28 -62.55,-80.26 -60.7,-79.61 -60.17,-79.71 | 161.93,-79.06 162.17,-79.06 162.17,-78.98 161.93,-78.98 | -162.13,-78.74 -161.18,-78.84 -158.53,-79.71 -159.05,-79.88 -161.09,-79.84 -163.55,-79.39 -163.45,-78.96 -162.79,-78.73 | -39.97,-78.55 -37.46,-78.64 -41.62,-78.62 -41.09,-78.48 | -70.95,-79.65 -71.85,-79.51 -71.37,-79.06 -68.13,-78.47 -67.32,-78.5 | 166.35,-78.31 166.08,-78.1 166.77,-78.22 | 167.32,-78.25 166.87,-78.21 167.48,-78 | -44.11,-78.7 -45.26,-78.74 -45.58,-78.85 -43.79,-79 -43.84,-79.24 -44.58,-79.33 -43.47,-79.47 -43.35,-79.78 -43.66,-80.06 -44.57,-80.09 -44.29,-80.34 -46.6,-80.6 -52.06,-80.9 -54.26,-80.9 -54.91,-80.72 -54.04,-80.3 -52.43,-80.14 -50.67,-79.59 -50.18,-78.65 -48.27,-78.06 -46.62,-77.92 -44.84,-78.1 -43.89,-78.36 | -149.04,-77.44 -148.75,-77.44 -148.75,-77.4 -149.04,-77.4 | -149.52,-77.36 -148.82,-77.36 -148.82,-77.25 -149.52,-77.25 | -150.21,-77.37 -151.19,-77.27 -150.75,-77.2 | 167.72,-77.41 168.35,-77.36 169.45,-77.5 168.57,-77.69 167.55,-77.64 166.75,-77.86 166.88,-77.67 166.21,-77.54 166.42,-77.24 166.92,-77.18 | -147.25,-77.17 -147.29,-77.24 -147.53,-77.15 | -147.9,-77.43 -148.86,-77.27 -148.78,-77.11 -148.2,-77.09 -147.63,-77.25 | -147.84,-77.11 -147.62,-77.11 -147.62,-77.03 -147.84,-77.03 | -148.51,-76.91 -148.31,-77 -149.19,-76.95 | -149.48,-76.9 -149.18,-77.12 -150.74,-76.95 | -146.71,-76.98 -146.95,-76.82 -146.22,-76.9 | -148.53,-76.72 -148.17,-76.78 -148.86,-76.84 -149.17,-76.73 | -149.83,-76.66 -150.32,-76.78 -150.7,-76.72 | -148.77,-76.69 -148.37,-76.69 -148.37,-76.61 -148.77,-76.61 | -147.96,-76.69 -147.38,-76.69 -147.38,-76.56 -147.96,-76.56 | -147.62,-76.62 -147.34,-76.62 -147.34,-76.55 -147.62,-76.55 | -146.77,-76.71 -147.25,-76.58 -146.76,-76.57 | 168.36,-76.23 168.6,-76.23 168.6,-76.15 168.36,-76.15 | -146.59,-76.31 -147.28,-76.11 -146.78,-76.09 | -147,-75.86 -146.76,-75.86 -146.76,-75.8 -147,-75.8 | -145.15,-75.74 -145.87,-75.6 -145.57,-75.55 | -143.28,-75.53 -142.96,-75.53 -142.96,-75.46 -143.28,-75.46 | -132.37,-74.46 -132.66,-74.42 -132.31,-74.36 | -131.39,-74.35 -130.74,-74.42 -130.9,-74.54 -131.76,-74.48 -131.8,-74.31 | -127.39,-74.58 -128.16,-74.25 -127.06,-74.38 | -117.2,-74.34 -116.75,-74.34 -116.75,-74.23 -117.2,-74.23 | -20.47,-74.33 -20.17,-74.86 -21.6,-74.45 -20.47,-74.12 | -115.93,-73.96 -116.27,-74.15 -117.24,-74.19 -116.73,-73.97 -116.11,-73.89 | -122.15,-73.61 -120.55,-73.79 -119.17,-73.76 -118.55,-73.93 -119.46,-74.17 -122.44,-74.35 -122.4,-73.88 -123.16,-73.73 -122.95,-73.61 | 169.82,-73.6 169.39,-73.53 169.87,-73.29 | -126.12,-73.25 -125.5,-73.37 -125.13,-73.72 -124.23,-73.69 -123.72,-74.1 -124.98,-74.11 -126.48,-73.66 -127.12,-73.67 -127.24,-73.3 | -78.05,-73.44 -78.32,-73.24 -77.64,-73.3 | -73.89,-73.43 -74.05,-73.31 -73.5,-73.15 | -104.87,-73.24 -105.24,-73.05 -105.04,-72.95 -104.57,-73.17 | -89.75,-72.88 -89.46,-72.91 -89.7,-73.05 -90.38,-73.05 | -74.22,-72.98 -74.47,-73.65 -76.09,-73.21 -75.97,-73.09 -75.4,-73.06 -75.72,-72.95 -75.39,-72.82 | -93.76,-72.91 -94.14,-72.84 -93.81,-72.82 | -98.34,-72.73 -97.82,-72.73 -97.82,-72.64 -98.34,-72.64 | -93.48,-72.66 -93.17,-72.66 -93.17,-72.56 -93.48,-72.56 | -99.74,-72.62 -98.95,-72.65 -99.49,-72.81 -100.86,-72.67 -100.34,-72.56 | -91.34,-73.16 -91.62,-72.6 -90.81,-72.59 -90.85,-72.92 | -61.13,-72.56 -60.97,-72.56 -60.97,-72.5 -61.13,-72.5 | -95.33,-72.67 -94.93,-72.5 -94.7,-72.61 | -78.42,-72.57 -77.56,-72.51 -77.59,-72.91 -78.84,-73.19 -79.42,-72.96 -78.84,-72.77 -79.46,-72.57 -79.25,-72.4 -78.85,-72.39 | -68.98,-72.48 -68.6,-72.48 -68.6,-72.37 -68.98,-72.37 | -60.5,-72.26 -60.31,-72.26 -60.31,-72.18 -60.5,-72.18 | 68.48,-72.28 68.69,-72.09 68.82,-72.17 | 69.74,-72.04 69.96,-72.04 69.96,-71.89 69.74,-71.89 | -98.8,-71.89 -98.3,-71.87 -98.56,-72.13 -98.23,-72.11 -98.2,-72.2 -98.14,-71.89 -97.81,-71.91 -97.71,-72.18 -97.32,-71.85 -96.44,-71.92 -96.35,-72.01 -97.26,-72.22 -96.85,-72.26 -96,-72.08 -95.88,-72.22 -96.6,-72.29 -95.69,-72.34 -96.27,-72.56 -97.39,-72.56 -97.72,-72.45 -98.69,-72.57 -98.9,-72.46 -99.61,-72.46 -99.34,-72.34 -100.08,-72.37 -102.56,-72.12 -101.57,-71.94 -100.93,-71.94 -100.98,-72.03 -100.41,-71.88 -100.06,-71.94 -100.5,-72.01 -100.08,-72.02 -100.24,-72.13 -99.7,-71.96 -99.61,-72.14 -99.41,-72.05 -98.83,-72.13 -99.31,-71.94 -99.02,-71.77 | 0.45,-71.1 0.24,-71.03 0.49,-71.01 | -60.54,-71.06 -60.96,-70.95 -60.62,-70.89 | -8.04,-70.73 -7.73,-70.73 -7.73,-70.67 -8.04,-70.67 | -2.39,-70.75 -1.99,-70.82 -2.8,-71.04 -3.46,-70.69 -3.04,-70.64 | -73.69,-70.68 -73.71,-70.86 -74.31,-71.01 -76.39,-71.21 -76.64,-71.06 -76.05,-70.88 -75.32,-70.85 -75.01,-70.67 -74.53,-70.82 -74.45,-70.64 | 2.05,-70.7 1.95,-70.62 2.22,-70.64 | -60.82,-70.66 -61.16,-70.58 -60.76,-70.48 | -6.04,-70.58 -6.38,-70.48 -5.97,-70.42 | 2.96,-70.63 2.69,-70.44 3.33,-70.47 | 163.3,-70.38 163.48,-70.38 163.48,-70.34 163.3,-70.34 | -3.13,-70.5 -3.12,-70.31 -2.75,-70.29 -2.64,-70.42 | 72.23,-70.61 71.83,-70.56 71.69,-70.34 71.93,-70.29 | -1.97,-70.23 -1.77,-70.23 -1.77,-70.16 -1.97,-70.16 | 13.11,-70.06 12.94,-70.18 12.48,-70.11 | -61.38,-70.02 -61.53,-69.97 -61.31,-69.92 | 15.99,-70.17 15.36,-70.03 15.58,-69.9 16.12,-69.88 16.36,-70.04 | -74.84,-69.82 -74.45,-70.02 -74.8,-70.16 -75.86,-70.06 -75.62,-69.83 -75.42,-69.9 | 38.06,-69.68 38.26,-69.68 38.26,-69.63 38.06,-69.63 | -72.36,-69.76 -72.95,-69.6 -72.41,-69.5 -72.04,-69.69 | -62.04,-69.72 -62.33,-69.11 -61.72,-69.47 | 155.52,-69.15 155.92,-69.15 155.92,-68.99 155.52,-68.99 | 155.2,-69.05 154.95,-69.02 155.09,-68.92 | -63.63,-68.85 -63.41,-68.85 -63.41,-68.79 -63.63,-68.79 | -90.59,-68.93 -90.75,-68.8 -90.5,-68.81 | -70.16,-68.85 -70.08,-69.26 -69.72,-69.3 -69.06,-70.19 -68.38,-70.65 -68.07,-71.64 -68.39,-72.23 -69.07,-72.38 -69.26,-72.56 -72.38,-72.73 -73.16,-72.39 -72.64,-72.3 -70.8,-72.39 -70.62,-72.17 -71.31,-72.3 -72.06,-72.19 -71,-72 -71.84,-71.92 -72.33,-71.64 -72.87,-71.93 -73.88,-71.82 -73.58,-72.05 -74.09,-72.21 -75.47,-71.85 -75.14,-71.58 -74.44,-71.69 -74.39,-71.43 -73.53,-71.64 -73.64,-71.34 -72.84,-71.45 -72.56,-71.39 -72.44,-71.32 -73.15,-71.19 -72.93,-71.12 -71.63,-71.18 -71.24,-71.03 -70.61,-71.17 -71.02,-70.8 -72.46,-70.6 -72.33,-70.43 -71.39,-70.23 -71.81,-69.98 -71.65,-69.52 -72.12,-69.4 -72.25,-69.21 -71.42,-68.9 -70.52,-68.77 | -61.08,-68.76 -60.69,-68.76 -60.69,-68.65 -61.08,-68.65 | -67.51,-67.81 -67.72,-67.64 -67.08,-67.63 | 47.67,-67.59 47.87,-67.57 47.8,-67.64 47.41,-67.62 47.54,-67.51 | 59.27,-67.34 59.42,-67.34 59.42,-67.28 59.27,-67.28 | 164.56,-67.6 164.88,-67.6 164.88,-67.25 164.56,-67.25 | 58.53,-67.13 58.67,-67.13 58.67,-67.1 58.53,-67.1 | 58.77,-67.12 58.87,-67.12 58.87,-67.1 58.77,-67.1 | 50.13,-67.12 50.35,-67.12 50.35,-67.06 50.13,-67.06 | 48.79,-66.76 48.4,-66.89 48.29,-66.82 | 86.07,-67 85.37,-66.75 85.87,-66.77 | -67.24,-66.75 -67.3,-66.89 -67.54,-66.87 -67.46,-66.7 | 86.49,-66.77 86.37,-66.67 86.73,-66.71 | -68.1,-67.39 -68.04,-67.53 -68.39,-67.56 -68.56,-67.75 -68.9,-67.77 -69.23,-67.54 -67.76,-66.6 -67.58,-66.62 -67.92,-67.04 -67.67,-67.16 | 99.22,-66.75 99.53,-66.75 99.53,-66.58 99.22,-66.58 | 162.95,-66.76 163.14,-66.76 163.14,-66.56 162.95,-66.56 | 85.33,-66.63 85.15,-66.59 85.28,-66.52 | 98.6,-66.5 98.86,-66.5 98.86,-66.42 98.6,-66.42 | 97.23,-66.47 97.09,-66.42 97.32,-66.4 | 162.28,-66.44 162.61,-66.44 162.61,-66.17 162.28,-66.17 | 100.21,-66.19 100.36,-66.19 100.36,-66.12 100.21,-66.12 | 96.77,-66.26 96.26,-66.19 96.73,-66.1 | -66.8,-66.32 -66.56,-66.32 -66.56,-66.08 -66.8,-66.08 | 100.49,-66.15 100.76,-66.15 100.76,-66.04 100.49,-66.04 | 100.77,-66.03 100.84,-66.03 100.84,-66 100.77,-66 | 100.84,-66.01 100.96,-66.01 100.96,-65.96 100.84,-65.96 | 100.71,-65.86 101,-65.86 101,-65.8 100.71,-65.8 | 92.7,-65.8 92.27,-65.76 92.5,-65.67 | -65.67,-65.69 -66.16,-65.87 -65.92,-65.53 -65.59,-65.52 | 100.75,-65.68 100.25,-65.61 100.46,-65.46 100.98,-65.39 101.26,-65.5 | 103.24,-65.3 103.47,-65.45 103.15,-65.42 102.77,-65.14 103.2,-65.17 | -59.44,-65.26 -59.81,-65.11 -59.53,-65.11 | -63.55,-64.91 -63.1,-64.91 -63.1,-64.72 -63.55,-64.72 | -57.28,-64.55 -57.43,-64.45 -56.85,-64.34 | -63.31,-64.43 -63.09,-64.4 -63.22,-64.56 -62.76,-64.56 -63.3,-64.75 -63.66,-64.83 -64.22,-64.67 -63.49,-64.27 -63.1,-64.28 | -56.86,-64.32 -56.58,-64.32 -56.58,-64.21 -56.86,-64.21 | -62.3,-64.43 -62.7,-64.47 -62.48,-64.04 -62.25,-64.03 -62.01,-64.21 | -57.82,-63.96 -57.72,-64.08 -57.46,-63.91 -57.03,-64.17 -57.3,-64.39 -57.96,-64.44 -58.24,-64.33 -58.08,-64.08 -58.43,-64.09 -57.94,-63.8 | -57.57,-63.79 -57.05,-63.82 -57.35,-63.9 | -60.74,-63.87 -60.76,-63.66 -60.53,-63.65 | -55.98,-63.58 -56.19,-63.44 -55.71,-63.45 | -62.15,-63.32 -62.21,-63.21 -61.94,-63.28 | -56.95,-63.45 -56.79,-63.65 -57.14,-63.64 -57.15,-63.47 -57.38,-63.46 -58.6,-63.95 -58.88,-64.22 -58.78,-64.54 -59.49,-64.32 -59.51,-64.54 -59.69,-64.39 -59.95,-64.42 -61.62,-65.23 -61.95,-65.18 -62.12,-65.28 -62.06,-65.46 -61.68,-65.53 -62.12,-65.59 -62.37,-65.99 -61.87,-66.17 -61.35,-66.07 -61.32,-65.92 -61.07,-66.06 -61,-65.9 -60.61,-65.93 -60.94,-66.26 -61.15,-66.32 -61.42,-66.13 -61.73,-66.47 -62.06,-66.21 -62.74,-66.21 -62.89,-66.28 -62.44,-66.44 -62.61,-66.73 -63.16,-66.3 -63.68,-66.22 -63.59,-66.38 -63.86,-66.4 -63.8,-66.58 -64.1,-66.57 -64.2,-66.72 -63.78,-66.78 -63.74,-66.89 -64.84,-66.95 -64.77,-67.32 -65.41,-67.33 -65.61,-67.56 -65.29,-67.67 -65.62,-67.88 -65.33,-67.97 -65.72,-68.15 -65.28,-68.17 -64.97,-68.03 -64.77,-68.12 -65.6,-68.35 -65.09,-68.44 -65.44,-68.6 -65.31,-68.71 -64.39,-68.72 -63.86,-68.84 -64.38,-68.51 -63.61,-68.36 -62.73,-68.41 -62.91,-68.48 -63.38,-68.39 -63.97,-68.53 -63.21,-68.79 -63.71,-68.74 -63.37,-69.05 -63.65,-69.22 -63.24,-69.15 -63.12,-69.37 -62.48,-69.45 -62.63,-69.85 -61.94,-70.23 -62.5,-70.23 -62.5,-70.37 -62.19,-70.54 -61.48,-70.52 -62.21,-70.7 -62.14,-70.85 -61.9,-70.91 -61.79,-70.79 -61.38,-70.82 -60.95,-71.14 -60.96,-71.36 -61.26,-71.32 -61.11,-71.43 -61.93,-71.66 -61.26,-71.54 -60.9,-71.74 -61.15,-71.86 -62.55,-71.92 -62.25,-72 -62.55,-72.05 -61.34,-72.13 -60.87,-72 -60.85,-72.39 -61.55,-72.42 -61.29,-72.69 -60.63,-72.64 -60.62,-73.03 -59.77,-72.9 -59.85,-73.23 -60.21,-73.28 -60.46,-73.15 -60.6,-73.36 -61.42,-73.14 -61.92,-73.14 -61.44,-73.34 -61.84,-73.37 -61.61,-73.55 -61.36,-73.46 -60.82,-73.54 -60.91,-73.71 -60.59,-73.71 -60.98,-73.96 -61.76,-73.91 -61.04,-74.1 -61.76,-74.31 -61.89,-74.83 -62.53,-74.98 -62.62,-74.76 -63.25,-74.6 -63.05,-74.9 -63.99,-75.01 -63.26,-75.02 -63.1,-75.13 -64.45,-75.3 -63.13,-75.31 -63.43,-75.45 -66.31,-76.03 -69.39,-76.3 -70.48,-76.71 -75.44,-76.55 -76.17,-76.38 -76.38,-76.07 -77.16,-76.06 -77.77,-75.92 -78.49,-76.21 -78.42,-76.45 -75.63,-77.51 -74.48,-77.46 -72.96,-77.59 -73.37,-77.91 -74.92,-78.14 -81.41,-77.62 -80.61,-77.89 -81.47,-77.9 -77.59,-78.43 -77.64,-78.65 -79.11,-78.82 -81.09,-78.78 -83.11,-78.28 -84.11,-78.36 -82.89,-79.01 -82.41,-79.16 -81.52,-79.18 -80.64,-79.62 -80.32,-79.23 -77.25,-79.26 -76.32,-79.4 -76.08,-79.66 -76.98,-79.97 -78.07,-80.04 -79.85,-79.95 -78.34,-80.15 -76.09,-80.2 -74.69,-80.7 -67.85,-81.36 -59.65,-82.43 -58.42,-83.04 -53.73,-82.15 -48.13,-81.83 -43.08,-81.85 -41.49,-81.38 -28.32,-80.28 -28.16,-79.95 -30.21,-79.67 -27.1,-79.01 -33.27,-79.44 -36.1,-78.99 -36.01,-78.46 -33.89,-77.66 -32.53,-77.38 -31.55,-77.33 -28.31,-76.57 -27.22,-76.51 -26.61,-76.31 -26.04,-76.34 -24.56,-76.08 -21.91,-75.91 -20.78,-75.96 -19.82,-75.76 -17.76,-75.73 -18.25,-75.48 -17.15,-74.78 -13.7,-73.94 -14.6,-73.81 -15.42,-74.03 -16.33,-74.06 -16.92,-73.98 -16.07,-73.75 -16.9,-73.77 -16.02,-73.32 -15.28,-73.19 -14.47,-73.24 -13.77,-73.06 -14.47,-72.8 -13.41,-72.82 -11.66,-72.33 -11.33,-71.97 -12.14,-71.65 -12.28,-71.38 -11.56,-71.28 -11.59,-71.56 -11.02,-71.66 -10.05,-71.11 -10.43,-70.99 -9.88,-70.9 -9.46,-70.92 -9.67,-71.04 -8.93,-71.23 -8.37,-71.83 -7.34,-71.69 -7.71,-71.41 -7.03,-70.99 -6.02,-70.7 -5.44,-70.88 -6.1,-71.14 -6.01,-71.42 -4.72,-71.29 -3.1,-71.3 -2.26,-71.17 -2.09,-71.49 -1.05,-71.28 -0.78,-71.39 -0.92,-71.59 -0.3,-71.66 0.93,-71.17 4.4,-70.68 6.72,-70.58 7.56,-70.17 7.97,-70.18 8.67,-70.47 9.09,-70.32 8.68,-70.07 9.23,-70.1 10.66,-70.65 11.27,-70.71 12.05,-70.72 12.74,-70.28 14.17,-70.16 15.71,-70.28 18.04,-69.97 20.7,-70.36 23.25,-70.55 27.53,-70.16 29.49,-69.84 31.08,-69.77 32.9,-69.28 33.03,-69.06 33.45,-68.96 33.42,-68.65 34.14,-68.48 34.64,-68.53 34.87,-68.87 35.62,-69.16 36.41,-69.31 36.48,-69.45 36.09,-69.38 36.13,-69.53 36.72,-69.73 37.14,-69.4 37.92,-69.25 37.85,-69.53 37.16,-69.68 38,-69.74 38.24,-69.99 38.56,-69.5 38.65,-69.99 39.03,-69.74 39.7,-69.65 39.76,-68.95 41.1,-68.52 42.29,-68.36 42.85,-68.09 44.47,-67.98 45.01,-67.73 45.67,-67.77 46.31,-67.64 46.25,-67.36 46.55,-67.28 47.45,-67.42 47.01,-67.55 47.4,-67.72 48.22,-67.63 49.17,-67.38 48.68,-67.37 48.26,-67.17 49.16,-66.86 49.15,-67.09 49.83,-67.02 50.01,-67.16 50.69,-67.18 50.86,-67.14 50.46,-67.07 50.17,-66.74 50.41,-66.44 51.99,-65.98 53.78,-65.84 55.62,-66.01 56.27,-66.39 57.3,-66.55 57.34,-66.7 56.88,-66.7 56.73,-66.9 58.92,-67.18 59.11,-67.41 60.53,-67.37 62.73,-67.65 63.78,-67.52 68.3,-67.87 69.64,-67.75 69.67,-68.14 70.1,-68.52 69.39,-68.84 69.79,-68.93 69.29,-69.1 69.76,-69.23 69.74,-69.36 68.87,-69.38 68.8,-69.54 69.34,-69.64 69.21,-69.86 68.72,-70.03 68.09,-69.88 67.65,-70.39 67.95,-70.52 68.26,-70.44 68.21,-70.75 68.59,-70.77 68.85,-70.53 68.66,-70.37 69.14,-70.33 69.24,-70.67 68.76,-71.12 67.61,-71.58 67.9,-71.65 67.34,-72.06 68.94,-72.43 70.86,-71.93 71.45,-71.55 71.5,-70.95 71.83,-70.71 72.52,-70.64 72.5,-70.45 72.86,-70.43 72.62,-70.2 72.9,-70.02 74.07,-69.75 74.74,-69.67 74.99,-69.75 75.08,-69.56 75.82,-69.6 76.06,-69.39 76.52,-69.4 76.73,-69.27 77.75,-69.12 78.12,-68.46 79.13,-68.1 81.36,-67.8 81.46,-67.63 82.06,-67.67 81.47,-67.51 82.01,-67.25 82.33,-67.22 82.67,-67.39 83.4,-67.16 85.79,-67.18 87.5,-66.89 88.11,-66.65 88.23,-66.04 88.48,-66.08 88.74,-66.72 88.97,-66.76 92.01,-66.53 92.53,-66.64 93.8,-66.58 94.1,-66.68 94.64,-66.55 95.64,-66.68 97.09,-66.55 97.55,-66.61 97.56,-66.74 98.26,-66.52 98.86,-66.56 99.28,-66.88 100.95,-66.08 102.63,-65.9 104.15,-66.01 106.77,-66.41 107.8,-66.4 108.82,-66.83 110.63,-66.49 110.89,-66.06 113.32,-65.71 114.43,-66.18 114.52,-66.47 114.82,-66.53 115.55,-66.37 116.18,-66.37 116.72,-66.56 116.91,-66.81 117.77,-66.99 121.02,-66.83 122.18,-66.55 122.98,-66.65 122.99,-66.78 124.29,-66.51 124.61,-66.55 124.73,-66.74 125.19,-66.73 125.54,-66.42 126.36,-66.28 126.99,-66.45 126.93,-66.83 128.83,-67.14 129.3,-67.02 129.68,-66.48 130.35,-66.23 131.7,-66.24 133.53,-66.06 134.25,-66.2 134.44,-66 134.1,-65.65 134.1,-65.12 134.44,-64.93 134.99,-65.04 135.27,-65.44 134.95,-66.09 135.42,-66.05 136.52,-66.36 137.56,-66.35 141.35,-66.84 141.99,-66.78 142.57,-66.99 143.4,-66.85 143.87,-67.09 144.45,-67.02 144.59,-67.25 145.4,-67.02 145.88,-67.2 145.32,-67.61 146.64,-67.71 147.15,-67.99 146.95,-68.14 148.03,-67.84 148.65,-67.99 148.22,-68.13 148.81,-68.34 149.37,-68.38 149.72,-68.29 150.08,-68.45 150.56,-68.47 150.99,-68.39 151.19,-68.98 152.46,-68.77 153.42,-68.97 153.49,-68.85 153.77,-68.92 153.78,-68.34 154.69,-68.62 154.29,-68.86 154.86,-69.1 156.34,-69.24 157.16,-69.15 157.24,-68.94 157.56,-69.24 158.13,-69.27 159.67,-69.66 160.97,-70.26 161.68,-70.21 161.88,-70.35 162.04,-70.2 162.06,-70.43 162.21,-70.31 162.75,-70.28 163.52,-70.68 163.79,-70.63 163.55,-70.47 165.39,-70.56 165.8,-70.72 166.77,-70.61 166.9,-70.71 166.59,-70.67 166.61,-70.76 167.77,-70.78 168.23,-71.15 170.27,-71.66 170.22,-71.28 170.45,-71.35 170.99,-71.86 170.13,-72.05 169.87,-72.38 170.3,-72.3 170.32,-72.58 169.68,-73.05 169.27,-73.08 169.08,-73.53 168.65,-73.42 168.38,-73.63 167.56,-73.4 166.91,-73.68 165.88,-73.84 165.99,-73.93 165.56,-73.92 166.21,-74.04 166.13,-74.13 165.23,-74.05 164.99,-74.19 164.78,-74.14 165.33,-74.67 164.5,-74.63 164.54,-74.77 164.14,-74.62 163.66,-74.77 163.87,-74.95 162.54,-75.11 163.14,-75.94 162.34,-76.17 162.88,-76.25 162.62,-76.62 163.07,-76.73 162.33,-76.95 163.24,-77.04 163.9,-77.47 163.61,-77.7 164.31,-77.64 164.57,-77.74 164.21,-78.14 164.96,-78.04 165.02,-78.25 165.54,-78 165.68,-78.39 167.09,-78.5 167.27,-78.66 166.22,-78.52 164.49,-78.57 162.9,-78.81 162.78,-78.95 161.83,-78.87 161.73,-78.98 160.49,-79.02 160.04,-79.16 160.74,-79.45 159.09,-79.97 160.37,-79.91 160.52,-80.04 158.06,-80.28 158.81,-80.48 160.89,-80.38 160.95,-80.5 159.76,-80.57 161.18,-80.68 160.02,-80.8 160.84,-80.89 160.63,-81.21 162.07,-81.2 162.19,-81.3 160.39,-81.52 162.28,-81.66 163.78,-82.09 163.45,-82.27 165.32,-82.42 166.52,-82.79 167.3,-82.78 166.75,-82.98 168.45,-83.01 167.47,-83.44 169.25,-83.33 172.26,-83.57 171.91,-83.8 172.25,-83.71 173.35,-83.91 174.74,-83.83 178.19,-84.18 179.51,-84.16 180,-84.3 180,-90 -180,-90 -180,-84.31 -177.72,-84.5 -174.52,-84.44 -169.22,-84.66 -168.45,-84.84 -167.21,-84.79 -162.53,-85.25 -157.48,-85.45 -152.81,-85.33 -150.24,-85.46 -148.14,-85.09 -139.66,-85.25 -138.59,-84.98 -149.29,-84.56 -153.05,-84.01 -153.01,-83.09 -151.79,-82.58 -154.89,-81.91 -154.09,-81.58 -156.88,-81.29 -156.76,-81.14 -154.84,-81 -151.68,-81.13 -150.46,-81.34 -148.41,-81.36 -145.58,-80.38 -147.02,-79.85 -152.34,-79.18 -154.3,-79.06 -155.91,-78.72 -155.95,-78.64 -153.99,-78.46 -153.78,-78.26 -154.46,-78.1 -156.11,-78.15 -156.56,-78.29 -157.91,-78 -157.75,-77.11 -156.48,-77.36 -155.86,-77.08 -153.79,-77.17 -153.08,-77.29 -153.11,-77.5 -152.3,-77.46 -152.06,-77.33 -149.66,-77.76 -149.09,-77.7 -149.41,-77.57 -148.73,-77.63 -147.49,-77.3 -147.07,-77.37 -147.03,-77.22 -146.27,-77.47 -145.84,-77.11 -146.3,-77 -145.32,-77.04 -146.1,-76.84 -145.47,-76.75 -146.93,-76.45 -147.92,-76.42 -148.3,-76.5 -149.44,-76.42 -149.42,-76.32 -148.1,-76.1 -145.48,-76.44 -145.45,-76.31 -146.29,-76.1 -146.03,-75.91 -144.21,-75.84 -144.22,-75.67 -142.75,-75.64 -142.57,-75.48 -140.24,-75.47 -139.33,-75.11 -137.02,-75.01 -136.74,-74.75 -134.3,-74.53 -134.13,-74.73 -133.26,-74.85 -131.84,-74.72 -129.65,-74.86 -126.81,-74.63 -121.48,-74.74 -118.53,-74.61 -118.52,-74.43 -117.74,-74.31 -117.4,-74.53 -115.99,-74.53 -115.73,-74.41 -114.7,-74.47 -114.81,-74.1 -114,-73.89 -113.19,-74.17 -113.43,-74.47 -112.94,-74.44 -113.56,-74.63 -112.6,-74.69 -112.65,-74.86 -111.34,-74.76 -111.72,-74.59 -111.39,-74.46 -111.5,-74.19 -110.15,-74.28 -109.93,-74.76 -110.79,-74.97 -110.96,-75.16 -110.38,-75.31 -109.07,-75.13 -106.98,-75.35 -105.83,-75.13 -103.34,-75.03 -102.12,-75.07 -101.98,-75.22 -101.23,-75.3 -100.58,-75.2 -99.95,-75.26 -99.63,-74.96 -100.85,-74.81 -100.15,-74.76 -100.52,-74.67 -100.22,-74.5 -100.62,-74.42 -101.33,-74.48 -101.66,-74 -102.9,-73.88 -103.01,-73.63 -102.3,-73.59 -100.31,-73.75 -99.18,-73.62 -100.46,-73.37 -103.04,-73.33 -103.6,-72.89 -103.18,-72.73 -102.32,-72.8 -102.66,-73.01 -102.1,-73.08 -98.84,-72.97 -98.01,-73.03 -98.18,-73.16 -96.52,-73.31 -94.77,-73.23 -94.16,-73.32 -93.54,-73.18 -92.45,-73.15 -90.86,-73.33 -89.32,-73.05 -89.54,-72.63 -89.26,-72.64 -88.34,-72.82 -88.71,-73.18 -87.64,-73.16 -86.84,-73.34 -85.97,-73.04 -85.47,-73.35 -85.6,-73.56 -84.73,-73.68 -83.7,-73.65 -82.13,-73.94 -81.04,-73.72 -81.28,-73.37 -80.52,-73.45 -80.7,-73.05 -79.85,-73.12 -78.96,-73.39 -78.79,-73.69 -76.74,-73.54 -76.96,-73.87 -75.2,-73.66 -73.93,-73.71 -73.07,-73.49 -69.43,-73.2 -67.63,-72.85 -66.8,-72.41 -66.86,-71.9 -67.54,-71.45 -67.4,-71.04 -67.7,-70.59 -68.4,-70.11 -68.34,-69.68 -68.84,-69.42 -68.26,-69.38 -68.17,-69.26 -67.94,-69.36 -67.4,-69.35 -66.66,-69.02 -67.49,-68.82 -66.93,-68.77 -67.17,-68.29 -66.59,-68.24 -66.92,-68.22 -67.16,-68.01 -66.71,-67.81 -67.03,-67.79 -66.68,-67.74 -66.89,-67.67 -66.43,-67.53 -67.62,-67.55 -67.49,-67.08 -66.99,-66.9 -66.87,-67.08 -66.4,-66.89 -66.5,-66.62 -66.09,-66.56 -65.69,-66.13 -65.22,-66.17 -65.28,-65.98 -64.93,-65.93 -64.66,-66.04 -64.45,-65.98 -64.65,-65.73 -64.32,-65.78 -64.4,-65.62 -64.04,-65.68 -64.17,-65.54 -63.71,-65.5 -64.05,-65.42 -63.88,-65.02 -63.09,-65.13 -63.18,-64.94 -62.77,-64.85 -62.94,-64.8 -62.32,-64.86 -62.62,-64.75 -62.45,-64.59 -62.23,-64.76 -61.94,-64.69 -61.4,-64.37 -60.94,-64.28 -60.99,-64.04 -60.02,-63.94 -59.85,-63.77 -59.45,-63.89 -58.91,-63.53 -57.2,-63.21 | -55.47,-63.14 -55.02,-63.22 -55.12,-63.36 -55.87,-63.3 -56.35,-63.44 -56.54,-63.36 -56.01,-63.13 | -56.27,-63.17 -56.58,-63.03 -56.03,-63.01 | -60.75,-63.01 -60.46,-63.01 -60.46,-62.88 -60.75,-62.88 | -62.73,-63.1 -62.26,-63.1 -62.26,-62.88 -62.73,-62.88 | -61.36,-62.81 -61.47,-62.74 -61.15,-62.71 | -60.52,-62.55 -60.13,-62.46 -59.82,-62.61 -60.27,-62.76 -60.36,-62.61 -61.15,-62.65 -60.79,-62.45 | -59.67,-62.56 -59.98,-62.45 -59.57,-62.48 | -59.44,-62.45 -59.68,-62.36 -59.34,-62.37 | -58.99,-62.35 -59.21,-62.29 -58.88,-62.26 | -57.62,-61.91 -57.59,-62.01 -58.2,-62.17 -58.39,-62.05 -58.46,-62.22 -58.99,-62.21 -58.4,-61.94 | -54.05,-61.27 -54.2,-61.24 -54.03,-61.09 | -55.09,-61.1 -54.65,-61.09 -55.24,-61.28 -55.49,-61.13 | -44.78,-60.78 -44.42,-60.78 -44.42,-60.68 -44.78,-60.68 | -45.07,-60.73 -44.99,-60.73 -44.99,-60.62 -45.07,-60.62 | -45.55,-60.55 -45.15,-60.77 -46.02,-60.61 -45.93,-60.51
+AR -68.64,-54.89 -68.56,-54.89 -68.56,-54.8 -68.64,-54.8 | -63.81,-54.73 -64.68,-54.91 -64.76,-54.84 | -68.26,-52.99 -68.22,-53.12 -68.37,-53 -68.54,-53.23 -68.17,-53.29 -67.99,-53.59 -67.36,-54.03 -66.23,-54.54 -65.71,-54.67 -65.14,-54.66 -65.35,-54.93 -65.89,-54.89 -66.45,-55.05 -67.02,-54.91 -68.56,-54.85 -68.62,-52.64 | -61.88,-39.24 -62.1,-39.09 -61.89,-39.14 | -62.13,-39.07 -61.96,-39.07 -61.96,-39 -62.13,-39 | -65.75,-22.11 -64.67,-22.17 -64.32,-22.87 -63.94,-22 -62.81,-22 -62.77,-22.15 -62.25,-22.53 -61.99,-23.01 -61.12,-23.6 -61.01,-23.81 -60.29,-24.04 -60.04,-24.01 -58.8,-24.78 -57.87,-25.09 -57.56,-25.44 -57.58,-25.55 -57.81,-25.77 -57.86,-26 -58.14,-26.21 -58.18,-26.66 -58.65,-27.16 -58.6,-27.32 -57.79,-27.29 -57.13,-27.49 -56.55,-27.45 -56.38,-27.59 -56.14,-27.31 -55.74,-27.44 -55.42,-26.99 -54.97,-26.79 -54.7,-26.44 -54.6,-25.57 -54.45,-25.63 -54.1,-25.49 -53.89,-25.64 -53.66,-26.21 -53.7,-26.89 -53.84,-27.17 -54.36,-27.46 -54.81,-27.53 -55.02,-27.83 -55.77,-28.23 -55.69,-28.41 -55.89,-28.37 -56.42,-29.07 -57.1,-29.76 -57.29,-29.81 -57.33,-29.98 -57.89,-30.52 -57.8,-30.89 -58.08,-31.46 -57.98,-31.58 -58.03,-31.78 -58.2,-31.89 -58.1,-32.26 -58.22,-32.5 -58.15,-33.05 -58.43,-33.1 -58.53,-33.52 -58.38,-34.06 -58.47,-34.54 -57.19,-35.32 -57.13,-35.47 -57.38,-35.96 -57.1,-36.29 -56.74,-36.32 -56.68,-36.92 -57.49,-37.84 -57.57,-38.13 -58.3,-38.49 -59.79,-38.84 -61.09,-39 -61.82,-38.99 -62.38,-38.8 -62.33,-39.26 -62.02,-39.38 -62.28,-39.34 -62.07,-39.51 -62.12,-39.84 -62.27,-39.84 -62.49,-40.3 -62.26,-40.56 -62.34,-40.67 -62.18,-40.63 -62.39,-40.9 -63.04,-41.15 -63.77,-41.17 -64.8,-40.72 -65.13,-40.85 -65.01,-42.09 -64.46,-42.26 -64.61,-42.42 -64.45,-42.45 -64.12,-42.43 -64.06,-42.28 -64.33,-42.24 -63.75,-42.09 -63.58,-42.62 -63.69,-42.82 -64.09,-42.89 -64.4,-42.52 -64.96,-42.67 -64.99,-42.79 -64.3,-42.99 -64.92,-43.23 -65.32,-43.65 -65.25,-44.31 -65.69,-44.72 -65.72,-44.83 -65.53,-44.9 -65.6,-45.02 -66.18,-44.96 -66.95,-45.26 -67.58,-46 -67.51,-46.46 -66.82,-46.99 -65.99,-47.07 -65.78,-47.19 -65.87,-47.76 -66.24,-47.86 -65.96,-47.78 -65.79,-47.96 -65.96,-47.95 -65.96,-48.09 -67.09,-48.65 -67.58,-49.03 -67.83,-49.38 -67.6,-49.26 -67.9,-49.99 -68.27,-50.12 -68.59,-49.93 -69.01,-50.01 -68.58,-49.98 -68.37,-50.15 -68.94,-50.39 -69.15,-50.88 -69.41,-51.08 -69.18,-50.97 -68.97,-51.57 -69.61,-51.63 -68.99,-51.62 -68.38,-52.34 -70,-52 -71.91,-52 -72.4,-51.51 -72.25,-51.24 -72.4,-51.11 -72.29,-50.65 -72.76,-50.62 -73.17,-50.75 -73.28,-50.32 -73.53,-50.14 -73.44,-49.78 -73.58,-49.54 -73.46,-49.31 -73.14,-49.3 -72.99,-48.98 -72.56,-48.8 -72.6,-48.48 -72.29,-48.34 -72.32,-48.08 -72.54,-47.92 -72.36,-47.47 -71.87,-47.22 -71.94,-46.82 -71.67,-46.68 -71.75,-46.24 -71.91,-46.15 -71.6,-45.97 -71.78,-45.65 -71.3,-45.29 -71.57,-44.98 -72.06,-44.91 -72.08,-44.77 -71.28,-44.8 -71.11,-44.54 -71.2,-44.43 -71.86,-44.37 -71.65,-43.92 -71.81,-43.75 -71.7,-43.6 -71.95,-43.45 -71.73,-43.19 -72.14,-43.01 -72.13,-42.29 -72.01,-42.13 -71.73,-42.1 -71.92,-41.64 -71.84,-40.96 -71.95,-40.73 -71.66,-40.34 -71.82,-40.2 -71.63,-39.95 -71.7,-39.58 -71.49,-39.6 -71.4,-38.92 -70.93,-38.74 -70.82,-38.57 -71.18,-37.7 -71.19,-36.84 -71.04,-36.49 -70.71,-36.42 -70.7,-36.27 -70.42,-36.14 -70.34,-35.81 -70.42,-35.36 -70.57,-35.25 -70.37,-35.16 -70.05,-34.29 -69.81,-34.24 -69.91,-33.79 -69.8,-33.29 -70,-33.3 -70.1,-33.17 -69.99,-32.88 -70.14,-32.76 -70.15,-32.48 -70.32,-32.27 -70.23,-31.94 -70.43,-31.87 -70.59,-31.57 -70.56,-31.31 -70.47,-31.1 -70.3,-31.03 -70.21,-30.56 -69.83,-30.19 -70.03,-29.31 -69.79,-29.1 -69.66,-28.4 -69.19,-27.97 -68.81,-27.12 -68.41,-27.06 -68.29,-26.92 -68.58,-26.51 -68.56,-26.3 -68.4,-26.16 -68.6,-25.44 -68.5,-25.18 -68.35,-25.12 -68.56,-24.77 -68.25,-24.4 -67.34,-24.02 -67,-23 -67.18,-22.82 -67.02,-22.52 -66.77,-22.43 -66.74,-22.23 -66.35,-22.12 -66.22,-21.78
+AS -170.56,-14.3 -170.54,-14.3 -170.54,-14.28 -170.56,-14.28 | -170.83,-14.38 -170.56,-14.38 -170.56,-14.25 -170.83,-14.25 | -169.54,-14.28 -169.44,-14.28 -169.44,-14.23 -169.54,-14.23 | -169.64,-14.19 -169.62,-14.19 -169.62,-14.17 -169.64,-14.17 | -169.69,-14.19 -169.66,-14.19 -169.66,-14.17 -169.69,-14.17
+AT 13.83,48.77 14.18,48.6 14.7,48.58 15.03,49.02 16.1,48.75 16.54,48.81 16.9,48.72 16.84,48.37 17.17,48.01 17.07,47.73 16.45,47.7 16.71,47.54 16.45,47.42 16.51,47.01 16.3,47.01 15.99,46.75 14.87,46.62 14.54,46.41 12.44,46.69 12.16,46.93 12.19,47.09 11.17,46.97 11.01,46.77 10.5,46.86 10.39,47 10.11,46.85 9.6,47.06 9.57,47.54 9.78,47.59 10.23,47.38 10.17,47.27 10.47,47.44 10.48,47.59 11.1,47.4 11.68,47.58 12.74,47.68 13.02,47.47 13.1,47.64 12.91,47.72 13.01,47.85 12.76,48.12 13.39,48.37 13.44,48.57 13.73,48.52
+AU 158.83,-54.75 158.96,-54.75 158.96,-54.47 158.83,-54.47 | 147.36,-43.4 147.3,-43.51 147.12,-43.42 147.29,-43.26 | 147.43,-43.25 147.29,-43.16 147.36,-43.07 | 148.17,-42.66 148.01,-42.75 148.02,-42.62 | 148.23,-42.36 148.34,-42.36 148.34,-42.3 148.23,-42.3 | 145.11,-40.82 146.59,-41.19 146.72,-41.07 146.94,-41.17 146.82,-41.06 147.01,-40.98 147.42,-41.02 147.61,-40.84 147.87,-40.88 147.97,-40.74 148.22,-40.85 148.37,-42.22 148.28,-42.26 148.2,-41.94 148.08,-42.11 147.84,-42.87 148,-42.9 148,-43.23 147.79,-43.25 147.63,-43.07 147.69,-42.94 147.9,-43.03 147.83,-42.93 147.56,-42.83 147.44,-43.05 147.32,-42.85 147.25,-43.27 146.97,-43.13 147.1,-43.3 146.92,-43.62 146.04,-43.5 145.93,-43.37 146.24,-43.33 145.85,-43.31 145.5,-42.96 145.2,-42.31 145.22,-42.24 145.43,-42.38 145.47,-42.52 145.55,-42.34 145.28,-42.18 144.68,-41.22 144.7,-40.76 | 144.87,-40.73 145.02,-40.73 145.02,-40.62 144.87,-40.62 | 148.2,-40.59 148.1,-40.53 148.22,-40.5 | 144.72,-40.6 144.79,-40.6 144.79,-40.41 144.72,-40.41 | 144.94,-40.46 144.83,-40.43 144.95,-40.39 | 148.35,-40.32 148.48,-40.43 148.34,-40.5 147.99,-40.42 | 148.18,-40.26 147.76,-39.88 147.88,-39.75 148.28,-39.97 148.33,-40.22 | 143.96,-40.11 143.83,-39.92 143.97,-39.57 144.15,-39.93 | 147.31,-39.5 147.38,-39.5 147.38,-39.45 147.31,-39.45 | 147.29,-39.48 147.32,-39.48 147.32,-39.43 147.29,-39.43 | 146.47,-38.8 146.66,-38.8 146.66,-38.74 146.47,-38.74 | 145.31,-38.47 145.36,-38.57 145.11,-38.53 | 145.27,-38.43 145.5,-38.43 145.5,-38.3 145.27,-38.3 | 137.58,-35.65 137.59,-35.75 138.02,-35.75 138.11,-35.87 137.75,-35.87 137.47,-36.08 137.22,-35.98 136.71,-36.06 136.53,-35.91 136.61,-35.76 137.32,-35.59 | 136.43,-35.18 136.5,-35.18 136.5,-35.14 136.43,-35.14 | 136.08,-35.08 136.21,-35.08 136.21,-34.94 136.08,-34.94 | 118.42,-34.94 118.48,-34.94 118.48,-34.9 118.42,-34.9 | 137.33,-34.54 137.38,-34.54 137.38,-34.48 137.33,-34.48 | 122.22,-34.16 122.26,-34.16 122.26,-34.11 122.22,-34.11 | 123.17,-34.12 123.22,-34.12 123.22,-34.08 123.17,-34.08 | 134.47,-33.78 134.55,-33.78 134.55,-33.7 134.47,-33.7 | 133.53,-32.32 133.68,-32.32 133.68,-32.24 133.53,-32.24 | 115.64,-32.24 115.68,-32.24 115.68,-32.15 115.64,-32.15 | 159.04,-31.6 159.1,-31.6 159.1,-31.52 159.04,-31.52 | 153.45,-27.73 153.43,-27.42 153.54,-27.42 | 153.41,-27.25 153.36,-27.07 153.45,-27.02 | 113.21,-26.14 112.95,-25.79 112.95,-25.49 | 152.95,-25.34 153.01,-25.34 153.01,-25.27 152.95,-25.27 | 113.05,-25.28 113.1,-25.28 113.1,-25.1 113.05,-25.1 | 113.11,-25 113.16,-25 113.16,-24.76 113.11,-24.76 | 153.08,-25.8 152.94,-25.56 153.28,-24.7 153.37,-25.01 | 151.32,-23.88 151.39,-23.88 151.39,-23.75 151.32,-23.75 | 151.27,-23.78 151.02,-23.45 151.2,-23.53 | 150.95,-23.2 150.99,-23.2 150.99,-23.15 150.95,-23.15 | 149.71,-22.44 149.76,-22.44 149.76,-22.34 149.71,-22.34 | 150.46,-22.36 150.56,-22.36 150.56,-22.21 150.46,-22.21 | 149.87,-22.23 149.93,-22.23 149.93,-22.05 149.87,-22.05 | 150.29,-21.78 150.36,-21.78 150.36,-21.73 150.29,-21.73 | 150.24,-21.69 150.31,-21.69 150.31,-21.64 150.24,-21.64 | 115.45,-20.78 115.3,-20.87 115.43,-20.67 | 149.04,-20.53 149.08,-20.53 149.08,-20.49 149.04,-20.49 | 148.96,-20.33 149.04,-20.33 149.04,-20.16 148.96,-20.16 | 148.88,-20.18 148.98,-20.18 148.98,-20.05 148.88,-20.05 | 148.44,-20.05 148.48,-20.05 148.48,-19.97 148.44,-19.97 | 146.78,-19.18 146.87,-19.18 146.87,-19.1 146.78,-19.1 | 146.3,-18.49 146.08,-18.25 146.27,-18.31 | 139.58,-17.1 139.4,-17.09 139.5,-17 | 139.09,-16.86 139.16,-16.86 139.16,-16.81 139.09,-16.81 | 139.74,-16.5 139.14,-16.76 139.31,-16.46 | 136.61,-15.78 136.71,-15.78 136.71,-15.67 136.61,-15.67 | 136.73,-15.75 136.83,-15.75 136.83,-15.64 136.73,-15.64 | 137.07,-15.83 136.93,-15.7 137,-15.59 | 136.5,-15.65 136.61,-15.65 136.61,-15.51 136.5,-15.51 | 136.83,-15.64 136.88,-15.64 136.88,-15.5 136.83,-15.5 | 124.62,-15.41 124.52,-15.45 124.49,-15.29 | 124.34,-15.32 124.45,-15.32 124.45,-15.25 124.34,-15.25 | 124.79,-15.29 124.85,-15.29 124.85,-15.24 124.79,-15.24 | 128.11,-15.19 128.2,-15.19 128.2,-15.04 128.11,-15.04 | 124.86,-15.03 124.95,-15.03 124.95,-14.94 124.86,-14.94 | 128.34,-15.04 128.44,-15.04 128.44,-14.87 128.34,-14.87 | 135.7,-14.91 135.77,-14.91 135.77,-14.84 135.7,-14.84 | 129.58,-14.88 129.64,-14.88 129.64,-14.8 129.58,-14.8 | 129.5,-14.97 129.59,-14.97 129.59,-14.79 129.5,-14.79 | 125.08,-14.65 125.21,-14.65 125.21,-14.44 125.08,-14.44 | 126.5,-13.91 126.61,-13.91 126.61,-13.87 126.5,-13.87 | 136.29,-13.73 136.24,-13.85 136.11,-13.82 136.2,-13.66 | 136.71,-13.84 136.91,-13.77 136.7,-14.12 136.87,-14.21 136.97,-14.15 136.94,-14.28 136.38,-14.22 136.45,-13.84 136.71,-13.65 | 136.1,-13.53 136.18,-13.53 136.18,-13.36 136.1,-13.36 | 136.8,-12.14 136.83,-12.14 136.83,-12.07 136.8,-12.07 | 132.34,-12.14 132.42,-12.14 132.42,-12.07 132.34,-12.07 | 134.87,-12.12 134.93,-12.12 134.93,-12.06 134.87,-12.06 | 134.91,-12.06 134.99,-12.06 134.99,-12.01 134.91,-12.01 | 136.16,-12.08 136.32,-12.08 136.32,-11.98 136.16,-11.98 | 135.05,-11.95 135.13,-11.95 135.13,-11.91 135.05,-11.91 | 136.46,-11.91 136.5,-11.91 136.5,-11.8 136.46,-11.8 | 136.52,-11.81 136.63,-11.81 136.63,-11.74 136.52,-11.74 | 135.96,-11.72 136.06,-11.72 136.06,-11.65 135.96,-11.65 | 132.56,-11.72 132.51,-11.64 132.64,-11.65 | 133.35,-11.67 133.48,-11.67 133.48,-11.59 133.35,-11.59 | 136.18,-11.69 136.48,-11.69 136.48,-11.47 136.18,-11.47 | 133.39,-11.54 133.51,-11.54 133.51,-11.46 133.39,-11.46 | 130.49,-11.69 130.61,-11.82 130.02,-11.78 130.19,-11.67 130.17,-11.48 130.34,-11.32 | 130.57,-11.35 131,-11.35 131.14,-11.25 131.22,-11.41 131.27,-11.19 131.54,-11.46 130.96,-11.94 130.49,-11.64 130.37,-11.18 | 132.62,-11.28 132.51,-11.14 132.58,-11.02 | 136.5,-11.46 136.78,-11.46 136.78,-11.02 136.5,-11.02 | 142.51,-10.87 142.51,-10.95 142.6,-10.87 142.79,-11.09 142.87,-11.85 143.2,-11.99 143.08,-12.34 143.43,-12.61 143.36,-12.84 143.51,-12.88 143.6,-13.43 143.53,-13.76 143.78,-14.41 144.01,-14.49 144.51,-14.17 144.67,-14.56 145.32,-14.95 145.25,-15.45 145.46,-16.08 145.4,-16.46 145.81,-16.91 145.96,-16.9 145.88,-17.06 146.11,-17.68 146.01,-18.24 146.34,-18.54 146.28,-18.88 146.57,-19.14 147.14,-19.4 147.43,-19.41 147.41,-19.31 147.67,-19.83 147.82,-19.71 147.87,-19.86 148.22,-19.95 148.41,-20.21 148.46,-20.06 148.78,-20.23 148.94,-20.53 148.79,-20.46 148.69,-20.62 149.21,-21.08 149.7,-22.35 149.66,-22.5 149.81,-22.38 150.04,-22.65 149.92,-22.35 150.03,-22.15 150.2,-22.39 150.56,-22.58 150.53,-22.39 150.64,-22.34 150.82,-22.73 150.75,-23.13 150.87,-23.51 151.54,-24.09 151.68,-23.99 151.94,-24.22 152.13,-24.6 152.47,-24.81 152.67,-25.24 152.91,-25.29 152.92,-25.73 153.18,-25.95 153.07,-26.32 153.16,-27.08 153.03,-27.18 153.58,-28.2 153.63,-28.67 153.02,-30.57 153.05,-31.04 152.83,-31.7 152.51,-32.13 152.53,-32.4 152.14,-32.77 151.82,-32.88 151.45,-33.32 151.27,-33.97 151.1,-34.01 151.2,-34.06 150.84,-34.56 150.74,-34.87 150.84,-35.08 150.68,-35.04 150.16,-35.94 149.9,-36.92 149.97,-37.52 149.46,-37.78 148.31,-37.82 147.76,-37.98 146.87,-38.65 146.22,-38.71 146.29,-38.92 146.47,-38.81 146.39,-39.15 146.14,-38.84 145.9,-38.86 145.82,-38.65 145.6,-38.68 145.42,-38.55 145.56,-38.38 145.45,-38.23 145.26,-38.24 144.9,-38.5 144.76,-38.38 144.98,-38.34 145.13,-38.14 144.93,-37.87 144.37,-38.13 144.7,-38.15 144.66,-38.29 144.36,-38.32 143.54,-38.86 142.39,-38.36 141.74,-38.27 141.57,-38.42 141.1,-38.11 140.53,-38 139.81,-37.3 139.82,-36.55 139.65,-36.21 139.08,-35.68 139.67,-36.23 139.56,-35.99 139.1,-35.62 139.16,-35.51 139.23,-35.69 139.34,-35.69 139.36,-35.37 139.18,-35.32 138.97,-35.41 138.99,-35.56 138.73,-35.54 138.53,-35.66 138.09,-35.62 138.44,-35.35 138.51,-35.03 138.5,-34.73 138.1,-34.14 137.74,-35.14 136.83,-35.25 137.02,-34.9 137.44,-34.93 137.45,-34.15 137.95,-33.56 137.81,-33.27 138.05,-33.13 137.77,-32.52 137.78,-32.99 137.49,-33.13 137.21,-33.67 136.95,-33.68 136.42,-34.04 135.93,-34.54 135.8,-34.81 136.01,-34.74 135.95,-35.01 135.79,-34.86 135.64,-34.95 135.24,-34.57 135.11,-34.6 135.21,-34.43 135.39,-34.64 135.51,-34.62 135.39,-34.58 135.26,-34.01 134.84,-33.64 134.71,-33.18 134.27,-33.16 134.06,-32.72 134.21,-32.81 134.28,-32.72 134.18,-32.49 133.85,-32.55 133.95,-32.39 133.62,-32.1 133.42,-32.21 133.14,-32.19 132.76,-31.95 132.2,-32.03 131.15,-31.47 130.84,-31.61 128.99,-31.69 127.27,-32.28 125.97,-32.27 124.75,-32.9 124.28,-32.99 123.96,-33.56 123.54,-33.91 123.17,-34.02 123.03,-33.86 122.36,-33.91 122.12,-34.03 122,-33.82 120,-33.93 119.62,-34.1 119.33,-34.45 118.91,-34.45 118.28,-34.91 117.83,-35.03 117.93,-35.13 116.46,-35 115.97,-34.82 115.5,-34.39 115.01,-34.26 114.99,-33.52 115.36,-33.63 115.71,-33.27 115.59,-32.67 115.7,-32.52 115.71,-32.78 115.76,-32.57 115.74,-31.87 115.05,-30.51 114.89,-29.2 114.16,-28.1 114.12,-27.6 113.94,-27.2 113.22,-26.24 113.28,-26.02 113.33,-26.28 113.37,-26.12 113.51,-26.28 113.65,-26.66 113.86,-26.48 113.84,-26.3 113.55,-26.08 113.39,-25.72 113.47,-25.54 113.73,-25.88 113.71,-26.2 113.88,-26.03 114.07,-26.46 114.22,-26.31 114.26,-25.85 113.7,-25.12 113.39,-24.43 113.53,-23.76 113.77,-23.44 113.81,-22.93 113.66,-22.6 114.02,-21.85 114.18,-21.82 114.08,-22.16 114.15,-22.53 114.37,-22.44 114.65,-21.84 115.45,-21.52 115.93,-21.07 116.71,-20.65 117.69,-20.68 118.18,-20.34 118.8,-20.29 119.08,-19.97 119.58,-20.07 121.03,-19.59 121.49,-19.12 121.81,-18.46 122.35,-18.11 122.21,-17.9 122.17,-17.24 122.38,-17 122.58,-16.96 122.52,-16.85 122.75,-16.76 122.92,-16.42 123.06,-16.45 122.96,-16.59 123.58,-17.6 123.6,-16.99 123.92,-17.2 123.79,-17.01 123.89,-16.89 123.77,-16.89 123.61,-16.56 123.42,-16.5 123.64,-16.53 123.71,-16.43 123.57,-16.17 123.73,-16.14 123.89,-16.38 123.96,-16.25 124.24,-16.41 124.9,-16.42 124.4,-16.33 124.43,-16.1 124.59,-16.11 124.73,-15.81 124.53,-15.94 124.4,-15.87 124.45,-15.49 124.66,-15.48 124.7,-15.25 125.18,-15.52 125.07,-15.42 125.12,-15.32 124.9,-15.33 125.05,-15.16 124.88,-15.24 124.83,-15.16 125.08,-15 125.16,-15.16 125.16,-15.03 125.43,-15.14 125.18,-14.95 125.14,-14.74 125.34,-14.52 125.59,-14.55 125.61,-14.22 125.73,-14.28 125.64,-14.63 125.72,-14.4 125.9,-14.64 126.04,-14.52 126.15,-14.13 126.02,-13.92 126.22,-13.96 126.15,-14.06 126.29,-14.23 126.34,-14.05 126.5,-13.96 126.45,-14.08 126.6,-14.23 126.79,-13.97 126.74,-13.8 126.86,-13.75 127.02,-13.78 127.13,-13.98 127.15,-13.9 127.42,-13.95 128.17,-14.7 128.01,-15.5 128.13,-15.21 128.29,-15.41 128.19,-15.06 128.31,-14.91 128.45,-15.05 128.38,-14.8 128.53,-14.76 129.09,-14.9 129.19,-15.18 129.22,-14.84 129.33,-14.87 129.73,-15.2 129.64,-14.84 129.94,-14.77 129.67,-14.77 129.59,-14.62 129.79,-14.54 129.54,-14.55 129.37,-14.33 129.73,-13.99 129.89,-13.45 130.03,-13.52 130.26,-13.33 130.12,-13.16 130.14,-12.92 130.32,-12.9 130.36,-12.67 130.5,-12.6 130.7,-12.7 130.59,-12.63 130.58,-12.4 130.78,-12.43 130.9,-12.64 130.95,-12.54 130.82,-12.44 131.03,-12.36 131.03,-12.15 131.49,-12.3 132.06,-12.31 132.36,-12.2 132.38,-12.38 132.45,-12.15 132.75,-12.13 132.63,-12.04 132.69,-11.66 132.49,-11.48 132.09,-11.53 131.97,-11.35 131.77,-11.32 131.98,-11.13 132.17,-11.41 132.14,-11.13 132.34,-11.13 132.68,-11.51 132.92,-11.34 133.18,-11.72 133.35,-11.69 133.61,-11.84 133.91,-11.74 133.84,-11.85 134.06,-11.85 134.21,-12.06 134.77,-11.99 135.23,-12.29 135.33,-12.11 135.59,-12.1 135.67,-12.03 135.58,-12.06 135.6,-11.95 135.91,-11.76 135.67,-12.2 135.74,-12.28 136.02,-12.11 135.94,-12.22 136.07,-12.24 136.04,-12.47 136.29,-12.42 136.37,-12.24 136.18,-12.16 136.56,-11.93 136.67,-12.28 136.78,-12.17 136.98,-12.36 136.75,-12.54 136.62,-12.83 136.49,-12.78 136.55,-13.05 136.46,-13.25 136.37,-13.25 136.35,-13.05 136.2,-13.24 136.1,-13.18 135.92,-13.28 135.85,-13.6 136.02,-13.76 135.87,-14.19 135.37,-14.73 135.46,-14.94 136.21,-15.39 136.28,-15.57 136.77,-15.9 137.03,-15.91 137.73,-16.25 138.19,-16.7 139.02,-16.9 139.26,-17.34 140.02,-17.71 140.49,-17.64 140.86,-17.41 140.95,-17.01 141.21,-16.67 141.43,-16.08 141.46,-15.54 141.67,-15.04 141.52,-14.47 141.6,-14.13 141.47,-13.91 141.69,-13.26 141.58,-12.99 141.8,-12.69 141.94,-12.88 141.75,-12.47 141.59,-12.55 141.85,-11.98 142.03,-12.06 141.95,-11.92 142.14,-10.96 142.34,-10.9 142.45,-10.71 142.62,-10.75 | 142.27,-10.68 142.18,-10.77 142.12,-10.66 | 142.24,-10.64 142.33,-10.64 142.33,-10.58 142.24,-10.58 | 142.19,-10.58 142.24,-10.58 142.24,-10.53 142.19,-10.53 | 142.29,-10.55 142.33,-10.55 142.33,-10.51 142.29,-10.51 | 142.29,-10.26 142.23,-10.15 142.33,-10.17 | 142.09,-10.19 142.2,-10.19 142.2,-10.05 142.09,-10.05
+AW -70.06,12.41 -69.87,12.41 -69.87,12.63 -70.06,12.63
+AX 20,59.98 20.23,59.98 20.23,60.1 20,60.1 | 20.2,60.05 20.3,60.05 20.3,60.14 20.2,60.14 | 19.68,60.16 19.51,60.18 19.6,60.26 | 20.34,60.19 20.44,60.19 20.44,60.27 20.34,60.27 | 20.08,60.35 20.28,60.27 20.09,60.17 20.03,60.31 19.94,60.04 19.65,60.26 19.78,60.29 19.81,60.18 19.82,60.39
+AZ 45.08,39.77 45.46,39.49 45.82,39.55 46.18,38.84 45.44,39 45.31,39.2 45.14,39.22 44.78,39.71 | 45.19,40.97 45.25,40.97 45.25,41 45.19,41 | 44.98,41.03 45.06,41.03 45.06,41.09 44.98,41.09 | 46.57,41.87 46.76,41.86 47.16,41.56 47.29,41.31 47.77,41.2 48.61,41.82 49.53,40.66 50.03,40.58 50.36,40.37 50.37,40.26 49.96,40.35 49.49,40.15 49.28,39.5 49.41,39.38 49.26,39.32 49.14,38.98 49.14,39.1 48.96,39.17 48.89,38.44 48.62,38.4 48.02,38.84 48.31,39.01 48.12,39.26 48.36,39.39 47.99,39.71 46.85,39.16 46.54,38.88 46.42,39.2 46.62,39.22 46.38,39.42 46.54,39.56 46.2,39.6 45.59,39.98 45.9,40.02 46,40.23 45.53,40.46 45.39,40.67 45.62,40.87 45.09,41.06 45.22,41.14 45.02,41.3 45.34,41.46 46.52,41.05 46.69,41.31 46.33,41.48 46.19,41.7
+BA 17.65,42.89 17.65,43.05 17.3,43.28 17.26,43.46 16.14,44.2 16.13,44.5 15.74,44.81 15.82,45.21 16.02,45.21 16.29,45 16.53,45.22 16.91,45.27 17.85,45.05 18.25,45.14 18.63,45.08 18.86,44.86 19.37,44.89 19.1,44.36 19.62,44.05 19.52,43.96 19.24,44.01 19.49,43.76 19.48,43.57 18.95,43.51 19.07,43.25 18.91,43.36 18.7,43.26 18.48,42.96 18.58,42.65 18.46,42.57
+BB -59.53,13.05 -59.64,13.33 -59.43,13.16
+BD 91.9,21.48 91.88,21.76 91.98,21.62 | 90.47,21.8 90.5,21.8 90.5,21.82 90.47,21.82 | 90.41,21.82 90.46,21.82 90.46,21.85 90.41,21.85 | 89.04,21.71 89.15,21.71 89.15,21.91 89.04,21.91 | 90.74,21.89 90.76,21.89 90.76,21.92 90.74,21.92 | 91.82,21.72 91.89,21.72 91.89,21.93 91.82,21.93 | 90.63,21.91 90.67,21.91 90.67,21.96 90.63,21.96 | 90.68,21.94 90.7,21.94 90.7,21.97 90.68,21.97 | 90.5,21.85 90.6,21.85 90.6,21.98 90.5,21.98 | 90.31,21.84 90.39,21.84 90.39,22 90.31,22 | 90.39,21.9 90.48,21.9 90.48,22.04 90.39,22.04 | 90.34,21.97 90.39,21.97 90.39,22.05 90.34,22.05 | 90.48,21.99 90.61,21.99 90.61,22.17 90.48,22.17 | 90.51,22.16 90.53,22.16 90.53,22.18 90.51,22.18 | 90.91,22.11 90.96,22.11 90.96,22.21 90.91,22.21 | 90.97,22.18 91,22.18 91,22.26 90.97,22.26 | 90.94,22.22 90.99,22.22 90.99,22.36 90.94,22.36 | 90.98,22.37 91.01,22.37 91.01,22.41 90.98,22.41 | 90.6,22.31 90.66,22.31 90.66,22.45 90.6,22.45 | 91.02,22.4 91.05,22.4 91.05,22.45 91.02,22.45 | 91.17,22.39 91.21,22.39 91.21,22.46 91.17,22.46 | 90.99,22.42 91.01,22.42 91.01,22.48 90.99,22.48 | 90.65,22.42 90.67,22.42 90.67,22.48 90.65,22.48 | 91.03,22.08 91.09,22.53 91.17,22.22 | 91.4,22.35 91.57,22.35 91.57,22.62 91.4,22.62 | 91.3,22.61 91.34,22.61 91.34,22.64 91.3,22.64 | 90.76,22.06 90.6,22.03 90.68,22.39 90.55,22.63 90.6,22.78 90.88,22.46 | 90.55,22.72 90.47,22.87 90.69,22.85 | 90.66,22.96 90.5,22.96 90.57,23.04 | 90.46,23.01 90.51,23.01 90.51,23.06 90.46,23.06 | 90.52,23.05 90.55,23.05 90.55,23.07 90.52,23.07 | 90.42,23.3 90.59,23.3 90.59,23.38 90.42,23.38 | 90.65,23.48 90.69,23.48 90.69,23.51 90.65,23.51 | 90.56,23.56 90.59,23.56 90.59,23.59 90.56,23.59 | 88.43,26.55 88.86,26.24 89.05,26.27 88.94,26.45 89.07,26.39 89.13,26.16 89.34,26.02 89.55,26.02 89.6,26.23 89.74,26.16 89.85,25.91 89.85,25.29 90.44,25.15 92.05,25.19 92.48,24.93 92.4,24.84 92.25,24.9 92.14,24.41 91.92,24.33 91.89,24.15 91.37,24.1 91.16,23.72 91.34,23.1 91.43,23.26 91.61,22.94 91.82,23.09 91.77,23.27 91.96,23.5 91.95,23.73 92.03,23.65 92.29,23.7 92.67,21.3 92.6,21.25 92.38,21.47 92.22,21.36 92.33,20.74 92.05,21.16 91.96,21.45 92.04,21.66 91.9,21.77 91.7,22.49 91.46,22.79 91.23,22.59 90.97,22.57 90.83,22.69 90.62,23.06 90.6,23.46 90.72,23.54 90.6,23.49 90.59,23.6 90.47,23.58 90.58,23.54 90.55,23.38 90.31,23.41 90.61,23.22 90.45,23.06 90.42,22.77 90.6,22.46 90.56,22.21 90.43,22.07 90.4,22.26 90.27,21.85 90.12,21.81 89.99,22.03 90.08,22.16 89.95,21.97 89.87,22.24 90,22.48 89.84,22.27 89.88,21.89 89.58,21.7 89.62,22.32 89.54,21.99 89.48,22.29 89.47,21.78 89.37,21.73 89.35,21.97 89.2,21.65 88.86,22.97 88.99,23.21 88.72,23.25 88.79,23.49 88.56,23.65 88.6,23.86 88.74,23.92 88.75,24.22 88.13,24.51 88.04,24.68 88.14,24.92 88.34,24.87 88.45,25.19 88.94,25.17 89.01,25.29 88.8,25.51 88.56,25.5 88.28,25.8 88.11,25.84 88.18,26.15 88.53,26.36 88.34,26.47 88.4,26.63
+BE 4.3,51.26 4.25,51.38 4.43,51.36 4.48,51.48 4.79,51.5 4.93,51.4 5.04,51.49 5.24,51.26 5.51,51.29 5.86,51.15 5.69,50.76 6.27,50.62 6.4,50.32 6.13,50.13 5.97,50.17 5.77,49.95 5.86,49.57 5.48,49.5 4.87,49.8 4.83,50.17 4.51,49.95 4.15,49.98 4.19,50.24 4.04,50.36 3.3,50.52 3.15,50.79 2.9,50.7 2.65,50.82 2.54,51.09 3.13,51.32 3.37,51.37 3.44,51.24 3.61,51.3 3.9,51.21 4.24,51.35
+BF -2.83,11 -2.93,10.71 -2.77,10.22 -2.75,9.4 -3.21,9.9 -3.76,9.93 -4.13,9.83 -4.31,9.6 -4.7,9.7 -5.13,10.3 -5.4,10.3 -5.52,10.42 -5.41,10.85 -5.49,11.08 -5.3,11.14 -5.21,11.46 -5.27,11.84 -4.63,12.07 -4.42,12.3 -4.37,12.54 -4.47,12.72 -4.26,12.72 -4.19,12.83 -4.34,13.12 -3.96,13.5 -3.44,13.17 -3.44,13.27 -3.23,13.29 -3.26,13.7 -2.88,13.66 -2.84,14.01 -2.6,14.21 -2.47,14.29 -2.01,14.19 -1.98,14.47 -1.68,14.5 -1.07,14.78 -0.73,15.08 -0.39,15.01 -0.25,15.08 0.24,14.92 0.17,14.52 0.41,14.25 0.35,14.12 0.6,13.7 1.29,13.35 0.99,13.37 0.99,13.05 1.58,12.63 2.14,12.69 2.24,12.42 2.06,12.36 2.4,11.9 2.01,11.42 1.44,11.46 0.92,11 0.5,10.94 -0.29,11.17 -0.62,10.91 -0.99,11.01
+BG 27.88,42.84 27.9,42.7 27.73,42.71 27.45,42.47 27.7,42.4 28.01,41.98 27.57,41.91 27.23,42.11 26.62,41.97 26.36,41.71 26.07,41.71 26.14,41.35 25.28,41.24 24.26,41.57 23.64,41.38 22.94,41.34 23.01,41.76 22.37,42.32 22.56,42.48 22.44,42.82 22.75,42.89 23,43.19 22.54,43.47 22.37,43.83 22.68,44.22 23.04,44.08 22.84,43.91 22.97,43.82 23.42,43.86 24.18,43.68 24.53,43.76 25.4,43.62 25.77,43.71 26.3,44.03 27.27,44.13 27.4,44.02 27.93,44 28.18,43.79 28.58,43.75 28.55,43.45 28.09,43.37
+BH 50.78,25.64 50.82,25.64 50.82,25.66 50.78,25.66 | 50.8,25.68 50.81,25.68 50.81,25.69 50.8,25.69 | 50.74,25.57 50.8,25.57 50.8,25.73 50.74,25.73 | 50.53,26.23 50.57,25.81 50.46,25.97 | 50.6,26.24 50.66,26.24 50.66,26.29 50.6,26.29
+BI 29.23,-3.75 29.24,-3.06 28.99,-2.81 29.06,-2.6 29.33,-2.65 29.37,-2.83 29.74,-2.8 29.91,-2.69 29.95,-2.31 30.15,-2.43 30.39,-2.3 30.57,-2.4 30.42,-2.86 30.84,-2.98 30.83,-3.26 30.45,-3.55 30.4,-3.79 30.03,-4.27 29.77,-4.44 29.42,-4.45
+BJ 2.48,6.34 1.64,6.22 1.8,6.28 1.58,6.68 1.55,7 1.64,7 1.62,9.05 1.34,9.54 1.35,10 0.78,10.38 0.79,10.52 0.99,11.08 1.44,11.46 2.02,11.43 2.31,11.69 2.38,12.24 2.84,12.4 3.6,11.69 3.48,11.43 3.74,11.12 3.85,10.58 3.79,10.41 3.68,10.45 3.58,10.28 3.68,10.17 3.61,9.95 3.35,9.81 3.36,9.68 3.14,9.44 3.1,9.09 2.79,9.04 2.69,7.91 2.76,6.57 2.72,6.37
+BL -62.87,17.88 -62.79,17.88 -62.79,17.93 -62.87,17.93
+BM -64.88,32.28 -64.84,32.28 -64.84,32.31 -64.88,32.31 | -64.69,32.35 -64.64,32.35 -64.64,32.37 -64.69,32.37 | -64.86,32.26 -64.67,32.26 -64.67,32.38 -64.86,32.38
+BN 115.22,4.8 115.34,4.31 115.1,4.38 115.03,4.66 115.03,4.82 115.15,4.9 | 114.98,4.89 114.78,4.73 114.81,4.15 114.62,4.02 114.1,4.59 114.52,4.69 114.96,5.02 115.11,5.04
+BO -65.19,-22.09 -65.75,-22.11 -66.22,-21.78 -66.31,-22.08 -66.74,-22.23 -66.77,-22.43 -67.02,-22.52 -67.18,-22.82 -67.58,-22.9 -67.88,-22.83 -67.85,-22.55 -68.19,-21.61 -68.19,-21.3 -68.56,-20.9 -68.47,-20.63 -68.76,-20.41 -68.78,-20.1 -68.57,-20.06 -68.52,-19.92 -68.7,-19.73 -68.44,-19.43 -68.91,-19.06 -69.15,-18.16 -69.07,-18.04 -69.3,-17.97 -69.5,-17.38 -69.66,-17.29 -69.01,-16.66 -68.99,-16.42 -68.82,-16.34 -69.21,-16.16 -69.42,-15.62 -69.14,-15.25 -69.38,-14.97 -69.37,-14.8 -68.98,-14.38 -69,-14.24 -68.85,-14.2 -69.06,-13.71 -68.96,-13.5 -68.97,-12.87 -68.67,-12.5 -69.57,-10.95 -68.58,-11.11 -68.28,-10.98 -68.06,-10.68 -67.7,-10.69 -67.58,-10.5 -67.08,-10.27 -66.63,-9.91 -66.08,-9.78 -65.57,-9.84 -65.44,-9.68 -65.3,-9.84 -65.29,-10.2 -65.45,-10.48 -65.3,-10.97 -65.39,-11.27 -64.99,-12.01 -64.51,-12.24 -64.39,-12.46 -63.93,-12.55 -63.67,-12.47 -63.33,-12.7 -63.08,-12.65 -62.77,-13.01 -62.11,-13.15 -61.83,-13.54 -61.04,-13.49 -60.47,-13.81 -60.26,-15.09 -60.57,-15.1 -60.23,-15.48 -60.16,-16.26 -58.33,-16.28 -58.48,-16.67 -58.4,-17.25 -57.74,-17.59 -57.52,-18.2 -57.77,-18.91 -57.7,-19.04 -58.12,-19.74 -57.85,-19.98 -58.11,-20.15 -58.15,-19.83 -59.1,-19.35 -60.02,-19.3 -61.74,-19.64 -62.27,-20.56 -62.26,-21.06 -62.64,-22.24 -62.81,-22 -63.94,-22 -64.32,-22.87 -64.59,-22.21
+BQ -68.21,12.23 -68.42,12.26 -68.25,12.02 | -63,17.46 -62.95,17.46 -62.95,17.53 -63,17.53 | -63.25,17.61 -63.22,17.61 -63.22,17.65 -63.25,17.65
+BR -48.55,-27.82 -48.52,-27.43 -48.42,-27.39 | -48.58,-26.39 -48.71,-26.31 -48.54,-26.17 | -48.33,-25.49 -48.24,-25.49 -48.24,-25.34 -48.33,-25.34 | -47.9,-25.05 -47.61,-25.05 -47.61,-24.78 -47.9,-24.78 | -46.42,-23.99 -46.28,-23.99 -46.28,-23.92 -46.42,-23.92 | -45.14,-23.82 -45.1,-23.82 -45.1,-23.8 -45.14,-23.8 | -45.22,-23.78 -45.22,-23.96 -45.44,-23.93 -45.32,-23.73 | -44.09,-23.17 -44.37,-23.17 -44.23,-23.07 | -29.85,-20.5 -29.84,-20.5 -29.84,-20.49 -29.85,-20.49 | -30.34,-20.52 -30.3,-20.52 -30.3,-20.48 -30.34,-20.48 | -38.99,-13.68 -38.89,-13.68 -38.89,-13.57 -38.99,-13.57 | -38.94,-13.56 -39.03,-13.39 -38.91,-13.39 | -38.75,-13.11 -38.64,-12.89 -38.59,-12.99 | -37.15,-11.13 -37.03,-11.13 -37.03,-10.95 -37.15,-10.95 | -34.89,-7.08 -34.87,-7.08 -34.87,-7.05 -34.89,-7.05 | -34.87,-7.02 -34.85,-7.02 -34.85,-6.99 -34.87,-6.99 | -32.46,-3.88 -32.38,-3.88 -32.38,-3.84 -32.46,-3.84 | -44.66,-3.01 -44.57,-3.01 -44.57,-2.89 -44.66,-2.89 | -44.59,-3.06 -44.48,-3.06 -44.48,-2.71 -44.59,-2.71 | -42.18,-2.76 -42.03,-2.76 -42.03,-2.68 -42.18,-2.68 | -43.74,-2.35 -43.62,-2.35 -43.62,-2.25 -43.74,-2.25 | -50.86,-1.91 -50.85,-2 -50.99,-1.99 -51.15,-1.83 | -49.02,-1.83 -49.16,-1.86 -49.06,-1.72 | -48.96,-1.8 -49.05,-1.71 -48.9,-1.58 | -44.65,-1.62 -44.79,-1.66 -44.71,-1.56 | -52.02,-1.58 -52.2,-1.65 -52.17,-1.5 -52.04,-1.44 -51.91,-1.52 | -48.7,-1.49 -48.61,-1.49 -48.61,-1.38 -48.7,-1.38 | -48.59,-1.53 -48.52,-1.53 -48.52,-1.37 -48.59,-1.37 | -52.46,-1.53 -52.17,-1.53 -52.17,-1.36 -52.46,-1.36 | -44.99,-1.4 -44.98,-1.26 -44.88,-1.28 | -45.69,-1.36 -45.61,-1.36 -45.61,-1.13 -45.69,-1.13 | -48.34,-1.21 -48.47,-1.16 -48.41,-1.07 -48.32,-1.08 | -46.55,-1.02 -46.44,-1.02 -46.44,-0.88 -46.55,-0.88 | -51.19,-1.09 -50.92,-1.09 -50.92,-0.87 -51.19,-0.87 | -51.38,-1.21 -51.2,-0.84 -51.24,-1.14 | -50.97,-0.85 -50.84,-0.85 -50.84,-0.72 -50.97,-0.72 | -47.97,-0.73 -47.88,-0.73 -47.88,-0.64 -47.97,-0.64 | -47.72,-0.71 -47.64,-0.71 -47.64,-0.57 -47.72,-0.57 | -51.13,-0.96 -51.07,-0.69 -50.82,-0.57 -50.82,-0.69 | -51.1,-0.66 -51.01,-0.66 -51.01,-0.56 -51.1,-0.56 | -51.9,-1.48 -51.88,-1.18 -51.66,-1.08 -51.61,-0.73 -51.38,-0.54 -51.2,-0.53 -51.15,-0.67 -51.27,-1.01 | -51.43,-0.54 -51.24,-0.54 -51.24,-0.45 -51.43,-0.45 | -51.01,-0.55 -51.07,-0.48 -50.9,-0.38 | -50.96,-0.57 -50.88,-0.39 -50.78,-0.38 | -51.11,-0.54 -51.03,-0.28 -50.95,-0.35 | -51.03,-0.34 -50.88,-0.34 -50.88,-0.25 -51.03,-0.25 | -50.8,-0.36 -50.91,-0.35 -50.75,-0.23 | -51.38,-0.48 -51.1,-0.12 -51.14,-0.29 | -49.71,-0.23 -49.19,-0.14 -48.37,-0.29 -48.63,-1.06 -48.86,-1.48 -49.17,-1.61 -49.51,-1.62 -49.67,-1.78 -49.75,-1.63 -49.81,-1.82 -50.05,-1.71 -50.37,-1.83 -50.58,-1.8 -50.82,-1.34 -50.78,-1.15 -50.55,-1.07 -50.72,-1.09 -50.8,-0.97 -50.73,-0.59 -50.54,-0.68 -50.73,-0.5 -50.66,-0.28 -50.35,-0.1 | -50.56,-0.06 -50.86,-0.28 -51.03,-0.22 -50.97,-0.09 | -50.9,-0.05 -50.83,0.06 -50.7,0.02 | -49.53,-0.13 -49.85,-0.06 -49.5,0.07 -49.38,-0.07 | -50.46,-0.02 -50.64,0.17 -50.47,0.15 | -50.27,0.23 -50.08,0.23 -50.08,0.34 -50.27,0.34 | -49.64,0.23 -49.98,-0.07 -50.39,0.11 -50.38,0.2 -50.03,0.3 -49.71,0.34 | -50.42,0.21 -50.54,0.23 -50.37,0.62 -50.32,0.31 | -50.24,0.35 -50.31,0.51 -50.06,0.65 -50.02,0.54 | -50.01,0.88 -50.27,0.75 -50.2,0.88 | -50.09,0.88 -50.03,0.88 -50.03,0.93 -50.09,0.93 | -50.01,0.94 -50.07,0.98 -49.95,1.05 | -50.4,1.88 -50.51,2.02 -50.39,2.14 -50.3,1.97 | -50.48,2.12 -50.52,2.2 -50.41,2.19 | -60.1,5.22 -59.98,5.02 -60.15,4.52 -59.68,4.39 -59.73,4.21 -59.57,3.9 -59.83,3.52 -59.99,2.69 -59.89,2.36 -59.73,2.28 -59.75,1.87 -59.24,1.38 -58.81,1.19 -58.52,1.27 -58.5,1.45 -58.3,1.58 -58.01,1.51 -57.97,1.62 -57.55,1.7 -57.42,1.91 -57.1,2.02 -56.78,1.87 -56.47,1.94 -55.97,1.85 -55.9,2.05 -56.12,2.25 -55.97,2.53 -55.71,2.4 -54.97,2.55 -54.87,2.44 -54.69,2.45 -54.68,2.32 -54.12,2.11 -53.75,2.37 -53.53,2.25 -53.33,2.35 -53.24,2.21 -52.95,2.18 -52.59,2.47 -52.34,3.16 -51.77,3.98 -51.54,4.15 -51.45,3.97 -51.54,4.39 -51.08,3.9 -51.02,3.13 -50.68,2.16 -50.45,1.83 -49.93,1.71 -49.89,1.32 -50.12,1.21 -49.92,1.25 -49.9,1.17 -50.45,0.66 -50.77,0.19 -51.26,-0.14 -51.7,-0.75 -51.71,-1.03 -51.92,-1.17 -51.94,-1.34 -52.07,-1.42 -52.23,-1.35 -52.71,-1.6 -52.29,-1.53 -52.21,-1.69 -50.85,-0.92 -50.82,-1.44 -50.66,-1.77 -50.81,-1.9 -51.34,-1.65 -51.52,-2.05 -51.45,-2.27 -51.38,-2.33 -51.48,-2.07 -51.31,-1.76 -50.99,-2.03 -51.03,-2.35 -50.85,-2.51 -51,-2.37 -50.98,-2.07 -50.92,-1.99 -50.71,-2.22 -50.82,-1.96 -50.68,-1.81 -50.42,-1.95 -50,-1.82 -49.64,-1.88 -49.29,-1.71 -49.51,-2.26 -49.49,-2.56 -49.19,-1.9 -48.96,-1.83 -48.7,-1.47 -48.43,-1.66 -48.41,-1.5 -48.18,-1.47 -48.49,-1.47 -48.49,-1.31 -48.34,-1.32 -48.31,-0.98 -48.06,-0.71 -47.96,-0.78 -47.75,-0.64 -47.73,-0.76 -47.54,-0.64 -47.39,-0.81 -47.46,-0.6 -47.29,-0.6 -47.07,-0.75 -46.95,-0.7 -46.95,-0.91 -46.82,-0.71 -46.79,-0.84 -46.62,-0.83 -46.6,-1.03 -46.19,-0.96 -46.26,-1.18 -46.13,-1.11 -46.04,-1.21 -45.97,-1.07 -45.85,-1.27 -45.74,-1.18 -45.7,-1.37 -45.61,-1.27 -45.45,-1.31 -45.46,-1.55 -45.33,-1.31 -45.35,-1.74 -45.16,-1.48 -44.87,-1.42 -44.95,-1.6 -44.82,-1.58 -44.7,-1.82 -44.54,-1.83 -44.5,-2.04 -44.66,-2.33 -44.49,-2.14 -44.36,-2.34 -44.58,-2.56 -44.69,-2.99 -44.62,-3.05 -44.79,-3.3 -44.42,-2.93 -44.36,-2.53 -44.06,-2.41 -44.04,-2.55 -44.34,-2.78 -44.18,-2.76 -44.2,-2.87 -43.93,-2.55 -43.45,-2.54 -43.48,-2.39 -43.35,-2.37 -42.24,-2.84 -41.95,-2.85 -41.98,-2.76 -41.83,-2.73 -41.25,-3.02 -41.22,-2.88 -40,-2.85 -38.49,-3.73 -37.65,-4.59 -37.32,-4.7 -37.17,-4.92 -36.88,-4.95 -36.69,-5.1 -35.97,-5.05 -35.48,-5.17 -35.23,-5.58 -34.86,-6.97 -34.91,-7.13 -34.84,-6.98 -34.79,-7.17 -34.89,-7.54 -34.8,-7.63 -34.89,-7.8 -34.84,-8.06 -35.33,-9.23 -36.39,-10.49 -37.02,-10.94 -37.15,-10.75 -37.04,-10.84 -37.07,-10.97 -37.16,-11.1 -37.28,-11.03 -37.21,-11.22 -37.38,-11.43 -37.35,-11.19 -37.66,-12.06 -38.32,-12.94 -38.54,-13.02 -38.51,-12.73 -38.69,-12.58 -38.81,-12.85 -38.86,-12.66 -38.92,-12.74 -38.73,-12.87 -39.08,-13.54 -39.01,-13.51 -38.96,-13.68 -39.07,-14.15 -38.92,-13.92 -39.07,-14.64 -38.87,-15.87 -39.21,-17.15 -39.13,-17.68 -39.64,-18.22 -39.75,-18.71 -39.7,-19.39 -39.8,-19.63 -40.01,-19.74 -40.24,-20.28 -40.35,-20.23 -40.28,-20.34 -40.41,-20.6 -40.76,-20.86 -40.96,-21.24 -41.04,-21.58 -40.97,-21.99 -41.76,-22.35 -41.99,-22.57 -42.03,-22.92 -43.09,-22.95 -43.08,-22.67 -43.26,-22.74 -43.14,-22.95 -43.22,-23 -44,-23.1 -43.6,-23.02 -43.86,-22.9 -44.19,-23.05 -44.33,-22.92 -44.66,-23.05 -44.71,-23.22 -44.5,-23.29 -44.58,-23.36 -44.92,-23.35 -45.41,-23.63 -45.42,-23.83 -45.89,-23.77 -46.29,-24.03 -46.38,-23.87 -46.44,-24.02 -48.03,-25.02 -47.91,-25.15 -48.21,-25.46 -48.14,-25.27 -48.4,-25.3 -48.48,-25.48 -48.72,-25.42 -48.36,-25.58 -48.77,-25.88 -48.58,-25.87 -48.58,-26.18 -48.73,-26.22 -48.8,-26.07 -48.61,-26.44 -48.61,-27.11 -48.49,-27.21 -48.62,-27.24 -48.65,-28.23 -48.76,-28.49 -48.87,-28.35 -48.77,-28.52 -49.75,-29.37 -50.75,-31.08 -52.07,-32.17 -52.09,-31.82 -51.85,-31.87 -51.25,-31.47 -51.16,-31.08 -50.98,-31.14 -50.96,-30.93 -50.71,-30.76 -50.69,-30.47 -50.57,-30.46 -50.61,-30.19 -50.91,-30.32 -50.93,-30.42 -51.28,-30.01 -51.27,-30.8 -51.37,-30.64 -51.46,-31.07 -51.96,-31.34 -52.06,-31.67 -52.22,-31.75 -52.25,-32.06 -52.09,-32.17 -52.37,-32.49 -52.64,-33.13 -53.39,-33.74 -53.53,-33.66 -53.52,-33.14 -53.09,-32.73 -53.55,-32.45 -53.88,-31.97 -54.29,-31.8 -54.59,-31.46 -55.24,-31.25 -55.58,-30.85 -55.84,-31.07 -56.01,-31.08 -56,-30.8 -56.81,-30.11 -57.07,-30.11 -57.22,-30.29 -57.61,-30.18 -56.43,-29.07 -55.89,-28.37 -55.69,-28.41 -55.77,-28.23 -55.02,-27.83 -54.81,-27.53 -54.36,-27.46 -53.84,-27.17 -53.7,-26.89 -53.65,-26.24 -53.89,-25.63 -54.1,-25.49 -54.45,-25.63 -54.6,-25.57 -54.24,-24.05 -54.63,-23.8 -55.03,-23.99 -55.41,-23.96 -55.61,-22.63 -55.85,-22.29 -56.21,-22.27 -56.4,-22.07 -56.63,-22.25 -56.88,-22.27 -57.99,-22.09 -57.81,-20.97 -58.16,-20.17 -57.85,-19.98 -58.12,-19.74 -57.7,-19.04 -57.77,-18.91 -57.52,-18.2 -57.74,-17.59 -58.4,-17.25 -58.48,-16.67 -58.33,-16.28 -60.16,-16.26 -60.23,-15.48 -60.57,-15.1 -60.26,-15.09 -60.47,-13.81 -61.04,-13.49 -61.83,-13.54 -62.11,-13.15 -62.77,-13.01 -63.08,-12.65 -63.33,-12.7 -63.67,-12.47 -63.93,-12.55 -64.39,-12.46 -64.51,-12.24 -64.99,-12.01 -65.39,-11.27 -65.3,-10.97 -65.45,-10.48 -65.29,-10.2 -65.39,-9.69 -65.57,-9.84 -66.08,-9.78 -66.63,-9.91 -67.08,-10.27 -67.58,-10.5 -67.7,-10.69 -68.06,-10.68 -68.28,-10.98 -68.62,-11.12 -69.41,-10.94 -69.93,-10.91 -70.33,-11.07 -70.53,-10.93 -70.63,-11.01 -70.63,-9.84 -70.51,-9.43 -71.3,-10 -72.19,-10 -72.31,-9.53 -73.21,-9.41 -72.97,-9.14 -72.96,-8.98 -73.53,-8.36 -73.64,-8.02 -73.77,-7.95 -73.7,-7.78 -74.01,-7.55 -73.93,-7.36 -73.7,-7.31 -73.8,-7.08 -73.74,-6.88 -73.12,-6.45 -73.23,-6.09 -72.96,-5.65 -72.85,-5.12 -71.9,-4.52 -70.95,-4.38 -70.77,-4.15 -70.32,-4.14 -70.2,-4.33 -69.95,-4.26 -69.38,-1.34 -69.61,-0.52 -70.06,-0.16 -70.04,0.59 -69.46,0.74 -69.12,0.65 -69.27,1.04 -69.84,1.07 -69.85,1.71 -69.56,1.78 -68.15,1.72 -68.26,1.85 -68.2,1.98 -67.91,1.75 -67.42,2.14 -67.07,1.63 -67.08,1.17 -66.87,1.22 -66.31,0.75 -66.12,0.73 -65.59,0.99 -65.51,0.86 -65.58,0.72 -65.49,0.66 -65.32,0.92 -65.19,0.93 -65.12,1.13 -64.72,1.25 -64.4,1.51 -64.26,1.48 -64.08,1.64 -64,1.95 -63.4,2.15 -63.36,2.27 -63.37,2.42 -64.04,2.47 -63.99,2.72 -64.21,3.19 -64.19,3.59 -64.64,3.98 -64.8,4.28 -64.58,4.12 -64.13,4.11 -64.02,3.89 -63.84,3.96 -63.48,3.86 -63.34,3.96 -62.88,3.56 -62.73,3.68 -62.75,4.03 -62.44,4.18 -62.14,4.09 -61.55,4.25 -61.5,4.4 -60.99,4.52 -60.65,4.84 -60.58,4.96 -60.73,5.2
+BS -73.04,21.14 -73.16,20.97 -73.69,20.94 -73.53,21.19 -73.26,21.13 -73.02,21.33 | -73.07,21.43 -72.91,21.43 -72.91,21.54 -73.07,21.54 | -72.83,22.38 -72.79,22.28 -73.16,22.37 | -73.62,22.58 -73.59,22.58 -73.59,22.61 -73.62,22.61 | -73.55,22.6 -73.46,22.6 -73.46,22.62 -73.55,22.62 | -74.39,22.54 -74.28,22.54 -74.28,22.67 -74.39,22.67 | -73.85,22.72 -73.87,22.47 -74.28,22.17 -73.87,22.51 -74.04,22.62 | -74.07,22.66 -74.34,22.83 -74.02,22.72 | -73.82,23.07 -73.67,23.07 -73.67,23.1 -73.82,23.1 | -75.65,23.4 -75.52,23.4 -75.52,23.46 -75.65,23.46 | -75.02,23.11 -74.85,23 -74.85,22.86 -74.97,23.07 -75.17,23.14 -75.07,23.11 -75.12,23.33 -75.31,23.67 | -76.03,23.49 -75.77,23.49 -75.77,23.68 -76.03,23.68 | -74.95,23.64 -74.78,23.64 -74.78,23.72 -74.95,23.72 | -76.4,23.97 -76.32,23.97 -76.32,24.11 -76.4,24.11 | -74.54,23.95 -74.42,23.95 -74.42,24.14 -74.54,24.14 | -77.97,24.15 -77.8,24.15 -77.8,24.25 -77.97,24.25 | -78.02,24.22 -77.92,24.22 -77.92,24.28 -78.02,24.28 | -76.55,24.21 -76.46,24.21 -76.46,24.29 -76.55,24.29 | -77.74,24.03 -77.58,24.17 -77.57,23.74 -77.77,23.74 -77.57,23.84 -77.73,23.79 -77.88,24.07 -77.63,24.25 | -77.81,24.31 -77.68,24.31 -77.68,24.37 -77.81,24.37 | -75.31,24.21 -75.29,24.14 -75.52,24.14 -75.46,24.29 -75.74,24.7 | -77.56,24.99 -77.26,24.99 -77.26,25.08 -77.56,25.08 | -78.19,25.2 -77.98,25.15 -77.72,24.51 -78.02,24.27 -78.44,24.61 -78.31,24.71 -78.33,24.59 -78.19,24.6 -78.31,24.72 -78.18,24.92 | -76.53,25.4 -76.12,25.13 -76.17,24.69 -76.34,24.82 -76.21,24.87 -76.16,25.13 -76.72,25.44 -76.74,25.56 | -77.89,25.7 -77.82,25.7 -77.82,25.79 -77.89,25.79 | -77.58,26.27 -77.54,26.27 -77.54,26.34 -77.58,26.34 | -77.92,26.75 -77.94,26.64 -78.71,26.49 -78.98,26.7 -78.7,26.58 -78.52,26.73 | -77.74,26.91 -77.54,26.89 -77.04,26.51 -77.2,25.88 -77.4,26.03 -77.22,26.15 -77.15,26.55 -77.35,26.61 -77.54,26.86 -77.95,26.9
+BT 90.47,28.07 91.09,27.97 91.3,28.08 91.67,27.94 91.62,27.56 91.77,27.43 92.01,27.47 92.12,27.29 92.01,27.1 92.1,26.88 90.69,26.77 90.39,26.9 89.76,26.7 89.37,26.86 89.12,26.83 88.89,26.98 88.8,27.25 89.59,28.14 90.02,28.33 90.38,28.25 90.35,28.1
+BV 3.34,-54.46 3.48,-54.46 3.48,-54.38 3.34,-54.38
+BW 26.96,-23.75 26.85,-24.26 26.41,-24.63 25.87,-24.74 25.67,-25.47 25.41,-25.74 24.66,-25.82 24.19,-25.62 23.91,-25.63 23.45,-25.28 23.01,-25.3 22.81,-25.56 22.71,-26 22.04,-26.63 21.77,-26.68 21.67,-26.86 20.64,-26.83 20.61,-26.45 20.86,-26.15 20.81,-25.88 20.39,-25.04 20,-24.77 20,-22.01 20.99,-22 20.99,-18.32 23.3,-18 23.62,-18.49 24.36,-17.95 24.56,-18.06 24.83,-17.84 25.26,-17.8 25.31,-18.07 25.97,-18.95 26.17,-19.53 26.73,-19.93 27.22,-20.09 27.29,-20.49 27.71,-20.51 27.69,-21.07 28.02,-21.57 29.06,-21.8 29.07,-22.04 29.37,-22.19 29.02,-22.23 28.91,-22.46 28.3,-22.61 27.78,-23.17 27.15,-23.52
+BY 26.61,55.67 26.99,55.83 27.6,55.79 28.12,56.17 28.31,56.05 28.65,56.09 28.75,55.95 29.06,56.03 29.41,55.96 29.49,55.69 29.95,55.85 30.49,55.8 30.93,55.6 30.81,55.29 31.03,55.04 30.78,54.79 31.1,54.65 31.33,54.24 31.84,54.06 31.76,53.8 32.48,53.71 32.44,53.58 32.74,53.47 32.72,53.36 32.14,53.09 31.4,53.2 31.27,53.02 31.58,52.8 31.59,52.32 31.78,52.11 30.94,52.07 30.56,51.64 30.55,51.25 30.18,51.49 29.67,51.5 29.34,51.37 29.12,51.64 28.75,51.41 28.63,51.57 28.26,51.66 28.09,51.56 27.85,51.62 27.75,51.47 27.71,51.6 27.28,51.6 27.2,51.76 25.78,51.94 24.4,51.89 24.04,51.61 23.67,51.64 23.57,51.54 23.64,52.08 23.17,52.28 23.94,52.75 23.5,53.95 24.39,53.89 25.47,54.31 25.53,54.15 25.79,54.16 25.72,54.33 25.55,54.33 25.79,54.87 26.82,55.28 26.46,55.34
+BZ -87.83,17.29 -87.8,17.29 -87.8,17.4 -87.83,17.4 | -87.82,17.43 -87.93,17.28 -87.92,17.42 -87.82,17.55 | -88.07,17.55 -88.04,17.55 -88.04,17.64 -88.07,17.64 | -88.17,17.66 -88.07,17.66 -88.07,17.74 -88.17,17.74 | -87.89,18.04 -88.01,17.9 -87.9,18.15 | -88.38,18.48 -88.32,18.36 -88.09,18.37 -88.08,18.22 -88.28,17.64 -88.21,16.97 -88.3,16.65 -88.53,16.3 -88.74,16.22 -88.91,15.89 -89.22,15.89 -89.14,17.96 -88.84,17.9 -88.49,18.47
+CA -65.64,43.42 -65.56,43.42 -65.56,43.52 -65.64,43.52 | -60.13,43.9 -59.72,43.9 -59.72,43.99 -60.13,43.99 | -66.32,44.25 -66.2,44.25 -66.2,44.4 -66.32,44.4 | -66.9,44.61 -66.73,44.61 -66.73,44.81 -66.9,44.81 | -61.22,45.56 -61.2,45.56 -61.2,45.57 -61.22,45.57 | -60.99,45.46 -61.1,45.55 -60.88,45.56 | -63.29,46.44 -63.24,46.44 -63.24,46.45 -63.29,46.45 | -71.13,46.85 -70.81,46.85 -70.81,47.03 -71.13,47.03 | -60.45,46.86 -60.32,46.86 -60.32,46.74 -60.61,46.2 -60.42,46.28 -61.11,45.96 -60.73,46.05 -61.1,45.86 -60.92,45.85 -61.15,45.7 -60.8,45.71 -60.41,45.98 -60.79,45.94 -60.3,46.21 -60.66,46.07 -60.35,46.31 -59.87,46.18 -59.84,45.94 -60.39,45.64 -61.34,45.57 -61.53,45.99 -61.45,46.15 -60.61,47.02 | -64.04,46.74 -63.74,46.44 -63.65,46.57 -63.22,46.41 -61.97,46.45 -62.36,46.36 -62.6,46.18 -62.46,46.01 -62.76,45.95 -62.97,46.07 -62.89,46.16 -63.12,46.21 -62.96,46.32 -63.26,46.14 -63.65,46.23 -63.75,46.39 -64.13,46.41 -64.11,46.62 -64.41,46.7 -64.02,47.04 | -55.97,47.26 -55.86,47.26 -55.86,47.29 -55.97,47.29 | -61.38,47.62 -61.86,47.42 -61.69,47.52 -61.96,47.28 -61.8,47.23 -62.01,47.23 -61.93,47.41 | -54.26,47.39 -54.37,47.41 -54.13,47.67 | -54.1,47.47 -54.06,47.47 -54.06,47.69 -54.1,47.69 | -55.9,47.6 -56.11,47.64 -55.93,47.69 | -64.7,47.73 -64.48,47.73 -64.48,47.92 -64.7,47.92 | -64.59,47.9 -64.47,47.9 -64.47,48.03 -64.59,48.03 | -53.71,48.15 -53.52,48.2 -53.63,48.08 -53.94,48.18 | -123.47,48.71 -123.6,48.95 -123.37,48.77 | -58.36,49.06 -58.33,49.06 -58.33,49.08 -58.36,49.08 | -123.71,48.86 -123.31,48.86 -123.31,49.11 -123.71,49.11 | -125.93,49.12 -125.79,49.12 -125.79,49.24 -125.93,49.24 | -126.13,49.39 -126.06,49.25 -126.24,49.29 | -123.43,49.33 -123.31,49.33 -123.31,49.42 -123.43,49.42 | -54.76,49.4 -54.64,49.4 -54.64,49.49 -54.76,49.49 | -124.38,49.44 -124.17,49.44 -124.17,49.52 -124.38,49.52 | -123.46,49.43 -123.32,49.43 -123.32,49.54 -123.46,49.54 | -55.74,49.51 -55.65,49.51 -55.65,49.56 -55.74,49.56 | -124.84,49.48 -124.69,49.48 -124.69,49.61 -124.84,49.61 | -55.72,49.57 -55.57,49.57 -55.57,49.64 -55.72,49.64 | -54.58,49.56 -54.86,49.48 -54.89,49.59 -54.54,49.66 | -54,49.65 -54.3,49.61 -54.14,49.75 | -124.2,49.65 -124.02,49.65 -124.02,49.78 -124.2,49.78 | -56.84,49.76 -56.78,49.76 -56.78,49.79 -56.84,49.79 | -124.45,49.72 -124.12,49.49 -124.65,49.74 | -126.68,49.58 -126.97,49.73 -126.94,49.83 -126.68,49.83 | -62.09,49.39 -61.82,49.31 -61.74,49.1 -62.73,49.15 -63.54,49.38 -63.88,49.66 -64.51,49.86 -64.14,49.95 -63.14,49.78 | -124.92,50.06 -125.07,50.11 -124.98,50.23 | -63.93,50.19 -63.85,50.19 -63.85,50.25 -63.93,50.25 | -125.17,49.98 -125.34,50.27 -125.17,50.21 | -124.97,50.11 -124.75,50.11 -124.75,50.3 -124.97,50.3 | -124.79,50.16 -124.66,50.16 -124.66,50.3 -124.79,50.3 | -125.76,50.38 -125.52,50.38 -125.52,50.43 -125.76,50.43 | -125.17,50.37 -125.14,50.12 -125.21,50.32 -125.4,50.32 -125.28,50.44 | -125.53,50.35 -125.33,50.35 -125.33,50.46 -125.53,50.46 | -125.95,50.41 -125.74,50.41 -125.74,50.47 -125.95,50.47 | -126.62,50.52 -126.22,50.52 -126.22,50.6 -126.62,50.6 | -126.55,50.58 -126.36,50.58 -126.36,50.63 -126.55,50.63 | -59.38,50.53 -59.3,50.53 -59.3,50.65 -59.38,50.65 | -127.14,50.61 -126.83,50.61 -126.83,50.67 -127.14,50.67 | -126.69,50.69 -126.54,50.69 -126.54,50.77 -126.69,50.77 | -55.56,50.7 -55.62,50.79 -55.45,50.8 | -126.27,50.65 -126.62,50.67 -126.27,50.83 | -126.73,50.77 -126.91,50.82 -126.64,50.85 | -127.23,50.64 -125.45,50.32 -124.79,49.46 -123.7,49.14 -123.85,49.15 -123.76,48.98 -123.29,48.41 -123.58,48.3 -125.1,48.72 -125.18,48.8 -124.84,49.02 -124.81,49.24 -124.91,49 -125.5,48.92 -125.77,49.1 -125.61,49.22 -125.75,49.15 -125.8,49.31 -126.02,49.26 -125.9,49.43 -126,49.32 -126.12,49.42 -126.58,49.41 -126.57,49.58 -126.1,49.68 -126.59,49.7 -126.8,49.91 -127.12,49.85 -127.16,50.1 -127.38,50.03 -127.55,50.13 -127.9,50.11 -127.79,50.22 -127.98,50.34 -127.92,50.46 -127.58,50.49 -127.45,50.37 -127.57,50.51 -127.41,50.59 -127.87,50.62 -127.6,50.54 -128.05,50.45 -128.41,50.78 -127.91,50.87 | -127.84,50.83 -127.65,50.83 -127.65,50.91 -127.84,50.91 | -55.64,50.88 -55.53,50.88 -55.53,50.99 -55.64,50.99 | -56,51.2 -55.97,51.2 -55.97,51.23 -56,51.23 | -58.57,51.22 -58.41,51.22 -58.41,51.27 -58.57,51.27 | -53.76,48.5 -54.13,48.35 -53.65,48.54 -53.59,48.43 -53.44,48.62 -53.23,48.56 -53.07,48.7 -52.98,48.6 -53.1,48.41 -53.62,48.17 -53.94,48.23 -53.91,48.08 -53.68,48.06 -53.92,48.02 -53.61,48.05 -53.85,47.79 -53.76,47.61 -53.55,47.53 -53.31,47.98 -52.92,48.17 -52.83,48.1 -53.26,47.55 -53.12,47.41 -52.78,47.8 -52.66,47.66 -52.94,46.79 -53.16,46.62 -53.36,46.74 -53.62,46.64 -53.59,47.16 -54.05,46.79 -54.19,46.82 -53.87,47.4 -53.98,47.76 -54.2,47.86 -54.48,47.39 -54.61,47.36 -54.42,47.6 -54.62,47.39 -54.86,47.39 -55.25,46.92 -55.69,46.86 -55.97,46.98 -55.49,47.13 -55.2,47.45 -54.85,47.56 -55.04,47.63 -54.94,47.78 -55.13,47.61 -55.43,47.71 -55.41,47.49 -55.59,47.4 -55.65,47.5 -55.93,47.44 -55.75,47.59 -56.17,47.5 -55.63,47.67 -55.92,47.66 -55.77,47.96 -56.16,47.63 -56.84,47.52 -58.04,47.7 -59.14,47.56 -59.3,47.61 -59.41,47.89 -58.42,48.49 -58.68,48.55 -59.26,48.48 -58.77,48.78 -58.96,48.61 -58.71,48.57 -58.4,49.13 -57.88,48.97 -58.14,49.12 -57.92,49.12 -58.1,49.17 -57.93,49.24 -58.2,49.24 -58.22,49.39 -58,49.56 -57.7,49.46 -57.95,49.67 -57.37,50.59 -57.15,50.62 -57.38,50.69 -56.93,50.92 -56.68,51.34 -55.9,51.63 -55.88,51.49 -55.64,51.48 -55.72,51.59 -55.41,51.56 -55.6,51.3 -56.09,51.37 -55.99,51.18 -55.76,51.21 -55.73,51.08 -56.07,50.72 -56.16,50.89 -56.16,50.62 -56.91,49.75 -56.78,49.73 -56.85,49.54 -56.15,50.15 -55.76,49.92 -55.49,50.01 -56.12,49.64 -55.83,49.69 -56.13,49.43 -55.83,49.52 -55.66,49.38 -55.52,49.49 -55.57,49.36 -55.37,49.5 -55.32,49.31 -55.31,49.53 -55.14,49.55 -55.38,49.04 -55.08,49.36 -54.82,49.27 -54.53,49.53 -54.49,49.26 -54.36,49.43 -54.18,49.37 -54.04,49.48 -53.77,49.4 -53.49,49.22 -53.59,49.04 -54.1,48.81 -53.8,48.81 -53.93,48.62 -53.6,48.69 -53.93,48.57 | -127.91,51.41 -128.15,51.65 -128,51.72 | -55.43,51.87 -55.27,51.87 -55.27,52 -55.43,52 | -128.05,51.75 -128.25,51.87 -127.98,52.06 | -79.25,52.07 -79.38,51.94 -79.65,51.99 | -131.13,51.94 -130.99,51.94 -130.99,52.15 -131.13,52.15 | -127.96,52.07 -128.12,52.14 -127.88,52.17 | -128.29,52.01 -128.15,52.01 -128.15,52.2 -128.29,52.2 | -128.51,52.13 -128.41,52.13 -128.41,52.23 -128.51,52.23 | -128.3,52.13 -128.38,52.22 -128.23,52.22 | -81.71,52.25 -81.47,52.25 -81.47,52.3 -81.71,52.3 | -127.92,52.17 -128.17,52.25 -127.97,52.3 | -128.21,52.28 -128.06,52.28 -128.06,52.42 -128.21,52.42 | -127.72,51.98 -127.9,51.97 -127.79,52.22 -127.23,52.42 | -128.67,52.27 -128.75,52.47 -128.62,52.45 | -128.47,52.49 -128.81,52.52 -128.54,52.65 | -131.46,52.63 -131.59,52.59 -131.71,52.71 -131.48,52.74 | -128.43,52.37 -128.38,52.8 -128.28,52.49 | -128.97,52.45 -129.28,52.82 -128.92,52.61 | -128.27,52.6 -128.33,52.78 -128.18,52.83 | -131.83,52.81 -131.64,52.81 -131.64,52.85 -131.83,52.85 | -128.54,52.64 -128.45,52.64 -128.45,52.87 -128.54,52.87 | -129.65,52.95 -129.55,52.95 -129.55,53.02 -129.65,53.02 | -129.64,53.01 -129.52,53.01 -129.52,53.06 -129.64,53.06 | -55.88,53.02 -55.75,53.02 -55.75,53.09 -55.88,53.09 | -129.74,53.06 -129.58,53.06 -129.58,53.14 -129.74,53.14 | -79.91,53.08 -79.9,53.17 -79.79,53.1 | -129.43,53.15 -129.29,52.97 -129.54,53.13 | -81.11,53.2 -80.76,52.93 -80.71,52.69 -82.06,53.03 -81.85,53.18 | -131.76,53.2 -131.59,53.04 -131.96,53.05 -131.62,52.92 -131.98,52.88 -131.4,52.38 -131.24,52.44 -131.33,52.28 -131.14,52.31 -131.03,52.17 -131.26,52.12 -132.08,52.73 -131.95,52.78 -132.13,52.75 -132.32,52.9 -132.11,53 -132.55,53.09 | -55.8,53.29 -55.78,53.29 -55.78,53.3 -55.8,53.3 | -128.69,53.16 -128.52,52.91 -128.59,52.61 -128.75,52.6 -128.65,52.96 -128.88,52.65 -129.12,52.86 -128.84,53.04 -129.01,53.14 -128.86,53.03 -129.07,52.9 -129.19,53.01 -129.07,53.3 | -129.15,53.1 -129.33,53.14 -129.27,53.33 | -79.94,53.27 -80.09,53.33 -79.94,53.37 | -129.43,53.3 -129.3,53.3 -129.3,53.41 -129.43,53.41 | -55.79,53.39 -55.98,53.46 -55.76,53.47 | -128.94,53.32 -129.14,53.35 -129.02,53.54 | -79.77,53.51 -79.7,53.51 -79.7,53.55 -79.77,53.55 | -130.02,53.48 -129.88,53.48 -129.88,53.55 -130.02,53.55 | -129.88,53.39 -129.73,53.2 -129.93,53.16 -130.52,53.62 | -129.09,53.45 -129.15,53.64 -128.82,53.71 | -130.09,53.57 -130.4,53.68 -130.26,53.8 | -57.01,53.75 -56.84,53.75 -56.84,53.8 -57.01,53.8 | -129.83,53.72 -129.42,53.41 -129.51,53.22 -130.28,53.83 -130.19,53.92 | -79.93,53.9 -79.86,53.9 -79.86,53.94 -79.93,53.94 | -130.22,53.99 -130.12,53.99 -130.12,54.08 -130.22,54.08 | -130.26,54 -130.34,53.84 -130.35,53.99 -130.55,53.9 -130.67,53.96 -130.71,53.86 -130.41,54.1 | -58.56,54.05 -58.37,54.05 -58.37,54.12 -58.56,54.12 | -132.81,54.12 -132.57,54.11 -132.66,53.94 -132.3,54.11 -132.15,53.99 -132.23,53.78 -132.66,53.68 -132.42,53.61 -132.16,53.72 -132.07,54.02 -131.66,54.15 -131.98,53.25 -132.46,53.15 -132.68,53.26 -132.54,53.33 -132.73,53.34 -132.41,53.34 -132.97,53.56 -133.07,54.17 | -130.26,54.12 -130.15,54.12 -130.15,54.19 -130.26,54.19 | -79.49,54.17 -79.41,54.17 -79.41,54.2 -79.49,54.2 | -130.8,54.11 -130.64,54.11 -130.64,54.21 -130.8,54.21 | -130.47,54.24 -130.35,54.24 -130.35,54.33 -130.47,54.33 | -130.36,54.24 -130.25,54.24 -130.25,54.33 -130.36,54.33 | -130.77,54.35 -130.68,54.35 -130.68,54.41 -130.77,54.41 | -57.37,54.5 -57.24,54.5 -57.24,54.59 -57.37,54.59 | -130.95,54.45 -130.93,54.62 -130.75,54.63 | -79.73,54.75 -79.59,54.75 -79.59,54.8 -79.73,54.8 | -130.27,54.72 -130.38,54.7 -130.22,54.81 | -130.61,54.7 -130.44,54.7 -130.44,54.81 -130.61,54.81 | -57.94,54.91 -57.88,54.79 -58.22,54.84 | -79.78,54.77 -79.02,54.77 -79.02,54.95 -79.78,54.95 | -58.76,54.91 -58.65,54.91 -58.65,55.01 -58.76,55.01 | -130.46,54.76 -130.15,54.76 -130.15,55.02 -130.46,55.02 | -83.04,55.26 -82.96,55.26 -82.96,55.28 -83.04,55.28 | -77.64,55.42 -77.2,55.42 -77.2,55.66 -77.64,55.66 | -61.07,55.87 -60.91,55.87 -60.91,55.95 -61.07,55.95 | -60.86,55.86 -60.87,55.95 -60.69,55.92 | -79.14,55.79 -78.94,55.79 -78.94,56.08 -79.14,56.08 | -60.94,56.01 -61.23,56.09 -61.09,56.17 | -61.8,56.31 -61.41,56.31 -61.41,56.42 -61.8,56.42 | -78.84,56.13 -78.67,56.44 -78.68,56.18 | -79.64,56.27 -79.49,56.27 -79.49,56.45 -79.64,56.45 | -79.62,56.39 -80.11,56.2 -79.54,56.53 | -61.44,56.54 -61.15,56.44 -61.63,56.47 | -79.02,56.43 -79.2,55.89 -78.98,56.39 -79.28,55.86 -79.15,56.23 -79.48,55.86 -79.78,55.79 -79.51,56.13 -79.87,55.85 -79.99,55.9 -79.47,56.55 -79.51,56.19 -79.29,56.57 | -79.28,56.62 -79.14,56.62 -79.14,56.68 -79.28,56.68 | -61.23,56.58 -61.06,56.58 -61.06,56.69 -61.23,56.69 | -79.59,56.62 -79.47,56.62 -79.47,56.82 -79.59,56.82 | -79.96,56.74 -79.81,56.74 -79.81,56.87 -79.96,56.87 | -79.75,56.91 -79.76,56.78 -79.9,56.88 | -61.43,56.93 -61.36,56.85 -61.59,56.77 -61.39,56.78 -61.41,56.62 -61.64,56.73 | -76.71,57.07 -76.62,57.07 -76.62,57.21 -76.71,57.21 | -61.77,57.29 -61.59,57.29 -61.59,57.37 -61.77,57.37 | -76.82,57.29 -76.71,57.29 -76.71,57.43 -76.82,57.43 | -61.66,57.39 -61.9,57.44 -61.65,57.53 | -61.88,57.46 -62.02,57.54 -61.78,57.55 | -79.84,57.42 -79.7,57.42 -79.7,57.62 -79.84,57.62 | -61.69,57.71 -61.9,57.77 -61.71,57.83 | -61.95,57.79 -62.11,57.84 -61.93,57.91 | -77.95,58.24 -77.67,58.24 -77.67,58.33 -77.95,58.33 | -67.68,58.28 -67.52,58.28 -67.52,58.37 -67.68,58.37 | -78.7,58.54 -78.45,58.54 -78.45,58.69 -78.7,58.69 | -69.19,59.06 -69.36,58.95 -69.36,59.14 | -80.56,59.37 -80.47,59.37 -80.47,59.48 -80.56,59.48 | -80.34,59.61 -80.15,59.61 -80.15,59.73 -80.34,59.73 | -64.02,59.71 -64.2,59.73 -64.06,59.86 | -80.09,59.75 -80.1,59.84 -79.88,59.85 | -64.43,60.37 -64.45,60.28 -64.87,60.46 | -68.25,60.23 -68.38,60.3 -68.12,60.58 -67.8,60.46 | -64.71,60.58 -64.59,60.58 -64.59,60.69 -64.71,60.69 | -78.7,60.7 -78.22,60.7 -78.22,60.83 -78.7,60.83 | -70.03,60.93 -69.93,60.93 -69.93,61.03 -70.03,61.03 | -64.72,61.54 -64.88,61.32 -65.49,61.61 -65.02,61.69 -64.72,61.66 | -65.7,61.78 -65.95,61.79 -65.78,61.87 | -93.23,61.83 -92.96,61.83 -92.96,61.93 -93.23,61.93 | -64.92,61.72 -65.25,61.9 -64.98,61.89 | -66.02,62.08 -65.84,62.08 -65.84,62.15 -66.02,62.15 | -92.37,62.35 -92.14,62.35 -92.14,62.42 -92.37,62.42 | -79.54,62.41 -79.26,62.16 -79.66,61.64 -79.85,61.57 -80.28,61.81 -80.02,62.36 | -92.6,62.38 -92.4,62.38 -92.4,62.43 -92.6,62.43 | -64.65,62.54 -64.38,62.53 -64.59,62.37 -64.97,62.47 | -78.11,62.54 -77.84,62.54 -77.84,62.59 -78.11,62.59 | -77.83,62.53 -77.62,62.53 -77.62,62.6 -77.83,62.6 | -64.98,62.53 -65.14,62.55 -64.91,62.6 | -91.69,62.62 -91.57,62.62 -91.57,62.67 -91.69,62.67 | -91.27,62.65 -90.98,62.65 -90.98,62.69 -91.27,62.69 | -74.65,62.6 -73.96,62.6 -73.96,62.75 -74.65,62.75 | -70.71,62.81 -70.21,62.58 -70.77,62.56 -70.85,62.77 -71.24,62.88 | -66.6,62.83 -66.37,62.83 -66.37,62.91 -66.6,62.91 | -81.87,62.93 -81.94,62.71 -83.09,62.18 -83.34,62.25 -83.7,62.14 -83.95,62.43 -83.31,62.92 -83.04,62.84 -82.27,62.99 | -67.07,62.98 -66.83,62.98 -66.83,63.11 -67.07,63.11 | -67.88,63.16 -67.74,63.16 -67.74,63.25 -67.88,63.25 | -68.11,63.18 -67.92,63.18 -67.92,63.32 -68.11,63.32 | -78.08,63.47 -77.68,63.43 -77.49,63.27 -77.96,63.09 -78.56,63.4 | -90.76,63.44 -90.6,63.44 -90.6,63.5 -90.76,63.5 | -78.6,63.46 -78.46,63.46 -78.46,63.53 -78.6,63.53 | -90.97,63.49 -90.67,63.49 -90.67,63.55 -90.97,63.55 | -65.05,63.39 -64.84,63.39 -64.84,63.57 -65.05,63.57 | -72.29,63.52 -72.13,63.52 -72.13,63.59 -72.29,63.59 | -91.54,63.55 -91.3,63.55 -91.3,63.61 -91.54,63.61 | -64.22,63.48 -64.08,63.48 -64.08,63.64 -64.22,63.64 | -68.82,63.62 -68.65,63.62 -68.65,63.67 -68.82,63.67 | -64.5,63.27 -64.06,63.27 -64.06,63.68 -64.5,63.68 | -71.87,63.61 -71.78,63.61 -71.78,63.7 -71.87,63.7 | -76.81,63.6 -76.54,63.46 -76.71,63.37 -77.46,63.64 | -72.59,63.64 -72.78,63.66 -72.48,63.71 | -64.21,63.67 -64.03,63.67 -64.03,63.76 -64.21,63.76 | -72.74,63.69 -72.63,63.69 -72.63,63.77 -72.74,63.77 | -64.38,63.71 -64.25,63.71 -64.25,63.81 -64.38,63.81 | -64.17,63.86 -64.23,63.77 -64.4,63.85 | -93.09,63.87 -92.95,63.87 -92.95,63.91 -93.09,63.91 | -64.58,63.78 -64.46,63.67 -64.92,63.82 -64.56,63.91 | -77.74,63.93 -77.98,63.98 -77.56,64.03 | -89.87,64.05 -89.8,64.05 -89.8,64.1 -89.87,64.1 | -65.06,64.08 -64.87,64.08 -64.87,64.13 -65.06,64.13 | -64.6,64.11 -64.45,64.11 -64.45,64.17 -64.6,64.17 | -73.4,64.14 -73.17,64.14 -73.17,64.21 -73.4,64.21 | -81.54,64.19 -81.38,64.19 -81.38,64.24 -81.54,64.24 | -64.65,64.21 -64.46,64.21 -64.46,64.27 -64.65,64.27 | -75.71,64.3 -75.49,64.3 -75.49,64.35 -75.71,64.35 | -65.11,64.21 -64.88,64.21 -64.88,64.36 -65.11,64.36 | -73.97,64.3 -73.87,64.3 -73.87,64.37 -73.97,64.37 | -73.83,64.27 -73.69,64.27 -73.69,64.41 -73.83,64.41 | -64.96,64.31 -64.77,64.31 -64.77,64.42 -64.96,64.42 | -74.44,64.41 -74.17,64.41 -74.17,64.5 -74.44,64.5 | -73.78,64.43 -73.67,64.43 -73.67,64.51 -73.78,64.51 | -74.36,64.48 -74.17,64.48 -74.17,64.56 -74.36,64.56 | -73.68,64.31 -73.49,64.31 -73.49,64.57 -73.68,64.57 | -65.49,64.52 -65.69,64.54 -65.44,64.7 -65.21,64.64 | -63.42,64.92 -63.26,64.92 -63.26,65 -63.42,65 | -63.31,65.25 -63.17,65.25 -63.17,65.32 -63.31,65.32 | -67.01,65.28 -66.91,65.28 -66.91,65.36 -67.01,65.36 | -89.1,65.39 -89,65.39 -89,65.41 -89.1,65.41 | -88.51,65.45 -88.39,65.45 -88.39,65.48 -88.51,65.48 | -62.9,65.52 -62.75,65.52 -62.75,65.62 -62.9,65.62 | -83.94,65.66 -83.86,65.66 -83.86,65.71 -83.94,65.71 | -67.72,65.69 -67.42,65.69 -67.42,65.74 -67.72,65.74 | -62.27,65.7 -62.22,65.61 -62.48,65.73 | -83.59,65.8 -83.28,65.8 -83.28,65.87 -83.59,65.87 | -65.66,65.81 -65.51,65.81 -65.51,65.91 -65.66,65.91 | -85.48,65.79 -85.16,65.78 -85.05,65.61 -85.31,65.54 -84.92,65.21 -84.44,65.46 -84.14,65.22 -83.41,65.14 -83.2,64.94 -81.76,64.5 -81.6,64.13 -81.99,63.99 -81.38,64.09 -80.94,63.99 -80.89,64.12 -80.17,63.77 -81.08,63.45 -82.05,63.69 -82.47,63.68 -82.36,63.91 -83.1,63.96 -83.02,64.19 -83.55,64.1 -83.64,63.77 -84.29,63.62 -84.56,63.34 -85.22,63.12 -85.59,63.17 -85.72,63.72 -87.14,63.56 -86.93,63.91 -86.19,64.1 -86.4,64.44 -86.1,65.53 -85.77,65.86 -85.49,65.93 | -62.3,65.85 -62.12,65.85 -62.12,65.95 -62.3,65.95 | -67.21,65.93 -67.13,65.93 -67.13,65.99 -67.21,65.99 | -83.6,65.98 -83.49,65.98 -83.49,66.02 -83.6,66.02 | -84.72,65.55 -85.17,65.99 -84.92,66.01 -84.59,65.69 | -83.65,66.03 -83.57,66.03 -83.57,66.08 -83.65,66.08 | -85.15,66.04 -85.01,66.04 -85.01,66.09 -85.15,66.09 | -83.7,66.08 -83.59,66.08 -83.59,66.13 -83.7,66.13 | -83.92,66.01 -83.73,65.8 -83.21,65.71 -83.38,65.62 -83.84,65.65 -83.79,65.79 -84.14,65.76 -84.47,66.13 | -84.68,66.14 -84.57,66.14 -84.57,66.18 -84.68,66.18 | -84.36,66.18 -84.26,66.18 -84.26,66.22 -84.36,66.22 | -62.43,66.22 -62.18,66.22 -62.18,66.28 -62.43,66.28 | -83.3,66.19 -82.9,66.19 -82.9,66.34 -83.3,66.34 | -66.96,66.28 -66.57,66.28 -66.57,66.41 -66.96,66.41 | -67.04,66.44 -66.87,66.44 -66.87,66.49 -67.04,66.49 | -107.95,66.85 -107.79,66.85 -107.79,67.01 -107.95,67.01 | -108.11,66.9 -107.94,66.9 -107.94,67.03 -108.11,67.03 | -63.17,66.95 -63,66.95 -63,67.03 -63.17,67.03 | -63.14,67.01 -62.91,67.01 -62.91,67.08 -63.14,67.08 | -62.64,67.06 -62.9,67.06 -62.64,67.17 -62.38,67.17 | -107.63,67.07 -107.4,67.07 -107.4,67.21 -107.63,67.21 | -95.55,67.2 -95.31,67.2 -95.31,67.26 -95.55,67.26 | -107.73,67.22 -107.64,67.22 -107.64,67.32 -107.73,67.32 | -63.83,67.26 -63.36,67.26 -63.36,67.35 -63.83,67.35 | -107.91,67.31 -108.07,67.43 -107.89,67.49 | -108.5,67.47 -108.28,67.47 -108.28,67.57 -108.5,67.57 | -108.28,67.45 -108.13,67.45 -108.13,67.57 -108.28,67.57 | -108.48,67.59 -108.32,67.59 -108.32,67.64 -108.48,67.64 | -64.04,67.5 -63.76,67.5 -63.76,67.66 -64.04,67.66 | -108.14,67.47 -107.92,67.47 -107.92,67.68 -108.14,67.68 | -97.56,67.62 -97.33,67.62 -97.33,67.73 -97.56,67.73 | -109.21,67.76 -109.04,67.76 -109.04,67.8 -109.21,67.8 | -96.2,67.77 -96,67.77 -96,67.84 -96.2,67.84 | -114.3,67.87 -113.92,67.87 -113.92,67.9 -114.3,67.9 | -97.98,67.85 -97.86,67.85 -97.86,67.91 -97.98,67.91 | -108.67,67.87 -108.36,67.87 -108.36,67.93 -108.67,67.93 | -113.6,67.9 -113.25,67.9 -113.25,67.93 -113.6,67.93 | -113.15,67.91 -112.89,67.91 -112.89,67.93 -113.15,67.93 | -111.09,67.85 -110.81,67.85 -110.81,67.96 -111.09,67.96 | -114.32,67.94 -114.12,67.94 -114.12,67.97 -114.32,67.97 | -108.26,67.87 -108.05,67.87 -108.05,67.97 -108.26,67.97 | -113.99,67.96 -113.72,67.96 -113.72,67.98 -113.99,67.98 | -109.2,67.87 -108.87,67.87 -108.87,67.99 -109.2,67.99 | -110.42,68.01 -110.31,68.01 -110.31,68.05 -110.42,68.05 | -99.08,67.98 -98.93,67.98 -98.93,68.08 -99.08,68.08 | -65.52,68.04 -65.38,68.04 -65.38,68.09 -65.52,68.09 | -108.54,68.03 -108.45,68.03 -108.45,68.09 -108.54,68.09 | -109.54,67.98 -109.31,67.98 -109.31,68.1 -109.54,68.1 | -108.41,68.05 -108.29,68.05 -108.29,68.1 -108.41,68.1 | -110.26,68.04 -109.88,68.04 -109.88,68.14 -110.26,68.14 | -112.92,68.13 -112.74,68.13 -112.74,68.17 -112.92,68.17 | -74.22,68.12 -73.43,67.98 -73.35,67.83 -74.54,67.8 -74.75,68.06 | -65.72,68.1 -65.49,68.1 -65.49,68.18 -65.72,68.18 | -107.55,68.14 -107.46,68.14 -107.46,68.19 -107.55,68.19 | -104.56,68.08 -104.37,68.08 -104.37,68.21 -104.56,68.21 | -107.45,68.17 -107.29,68.17 -107.29,68.21 -107.45,68.21 | -111.87,68.18 -111.75,68.18 -111.75,68.22 -111.87,68.22 | -98.7,68.17 -98.64,68.17 -98.64,68.22 -98.7,68.22 | -74.18,68.15 -74.05,68.15 -74.05,68.24 -74.18,68.24 | -108.68,68.15 -108.56,68.15 -108.56,68.24 -108.68,68.24 | -109.86,68.14 -109.57,68.14 -109.57,68.25 -109.86,68.25 | -66.31,68.15 -66.61,68.22 -66.22,68.24 | -96.46,68.2 -96.32,68.2 -96.32,68.26 -96.46,68.26 | -78.66,68.19 -78.52,68.19 -78.52,68.26 -78.66,68.26 | -86.43,68.07 -86.58,67.73 -86.99,68.07 -86.68,68.31 | -111.78,68.22 -111.5,68.22 -111.5,68.31 -111.78,68.31 | -75.58,68.3 -75,68.13 -75.2,67.44 -75.84,67.26 -76.66,67.22 -77.04,67.26 -77.25,67.45 -77.25,67.83 -76.73,68.24 | -79.02,68.17 -79.15,68.35 -78.8,68.28 | -100.23,68.28 -100.07,68.28 -100.07,68.37 -100.23,68.37 | -82.35,68.3 -82,68.3 -82,68.39 -82.35,68.39 | -111.15,68.4 -111.08,68.4 -111.08,68.45 -111.15,68.45 | -99.16,68.41 -99.05,68.41 -99.05,68.46 -99.16,68.46 | -74.4,68.24 -74.07,68.24 -74.07,68.46 -74.4,68.46 | -100.89,68.4 -100.71,68.4 -100.71,68.47 -100.89,68.47 | -110.86,68.47 -111.1,68.48 -110.82,68.55 | -110.76,68.52 -110.52,68.52 -110.52,68.57 -110.76,68.57 | -104.55,68.4 -105.08,68.55 -104.68,68.57 | -105.29,68.5 -105.06,68.5 -105.06,68.59 -105.29,68.59 | -113.97,68.58 -113.76,68.58 -113.76,68.62 -113.97,68.62 | -100.88,68.59 -100.73,68.59 -100.73,68.62 -100.88,68.62 | -78.47,68.56 -78.96,68.47 -78.67,68.58 -78.86,68.66 | -74.77,68.67 -74.52,68.56 -74.83,68.57 | -114.19,68.61 -114.04,68.61 -114.04,68.68 -114.19,68.68 | -74.81,68.32 -75.4,68.61 -75.25,68.72 -75,68.67 | -84.94,68.76 -84.8,68.76 -84.8,68.81 -84.94,68.81 | -68.46,68.7 -67.66,68.7 -67.66,68.81 -68.46,68.81 | -101.83,68.57 -102.32,68.67 -101.94,68.82 -101.69,68.77 | -102.71,68.81 -102.6,68.81 -102.6,68.84 -102.71,68.84 | -89.94,68.66 -89.94,68.85 -89.78,68.77 | -114.47,68.87 -114.32,68.87 -114.32,68.9 -114.47,68.9 | -67.96,68.85 -67.83,68.85 -67.83,68.95 -67.96,68.95 | -85.45,68.98 -85.34,68.98 -85.34,69.01 -85.45,69.01 | -90.08,68.91 -89.91,68.91 -89.91,69.01 -90.08,69.01 | -100.18,68.79 -100.62,68.76 -100.6,69 -100.13,68.91 | -85.17,69.01 -85.06,69.01 -85.06,69.06 -85.17,69.06 | -85.4,69.06 -85.24,69.06 -85.24,69.1 -85.4,69.1 | -100,68.94 -100.26,69.04 -100.05,69.1 | -90.28,69.04 -90.12,69.04 -90.12,69.14 -90.28,69.14 | -101.66,69.08 -101.7,69.21 -101.5,69.17 | -90.51,69.2 -90.78,69.33 -90.58,69.36 | -78.41,69.38 -78.21,69.29 -78.83,68.91 -79.4,68.87 | -135.57,69.3 -135.27,69.3 -135.27,69.4 -135.57,69.4 | -76.95,69.4 -76.64,69.37 -76.96,69.14 -77.38,69.25 -77.35,69.4 | -90.33,69.24 -90.51,69.36 -90.2,69.44 | -135.82,69.45 -135.57,69.45 -135.57,69.52 -135.82,69.52 | -101.05,69.5 -101.23,69.37 -101.39,69.54 | -96.66,69.57 -96.17,69.57 -96.1,69.47 -96.23,69.36 | -67.75,69.49 -67.31,69.49 -67.31,69.59 -67.75,69.59 | -96.9,69.54 -96.76,69.54 -96.76,69.6 -96.9,69.6 | -91.14,69.55 -90.92,69.55 -90.92,69.62 -91.14,69.62 | -134.02,69.56 -133.84,69.56 -133.84,69.62 -134.02,69.62 | -95.49,69.57 -95.52,69.33 -95.74,69.32 -95.82,69.56 -95.99,69.35 -95.92,69.6 | -138.87,69.59 -139.33,69.57 -139.12,69.65 | -135.59,69.57 -135.4,69.57 -135.4,69.65 -135.59,69.65 | -67.92,69.52 -68.25,69.6 -67.89,69.71 | -134.26,68.73 -134.83,68.98 -134.96,68.89 -135.91,68.91 -135.97,69.04 -135.52,69.02 -135.97,69.21 -135.49,69.11 -135.8,69.32 -135.17,69.26 -135.15,69.48 -134.44,69.45 -134.49,69.72 -134.11,69.54 -133.78,69.58 -134.67,69.02 | -102.24,69.65 -102.12,69.65 -102.12,69.74 -102.24,69.74 | -77.95,69.65 -78.88,69.48 -78.18,69.75 | -82.88,69.7 -82.45,69.7 -82.45,69.81 -82.88,69.81 | -79.42,69.78 -79.6,69.61 -80.07,69.64 -80.01,69.49 -80.81,69.68 -80.39,69.8 -79.97,69.72 | -83.67,69.72 -83.92,69.78 -83.53,69.79 | -82.69,69.78 -82.43,69.78 -82.43,69.88 -82.69,69.88 | -91.52,69.73 -91.74,69.79 -91.42,69.88 | -91.86,69.82 -91.64,69.82 -91.64,69.88 -91.86,69.88 | -97.4,69.69 -96.21,69.31 -96.22,69.05 -96.05,69.23 -95.82,68.87 -95.21,68.85 -96.53,68.44 -98.12,68.67 -98.38,68.86 -98.52,68.75 -98.85,68.93 -99.19,68.82 -99.43,68.89 -99.47,69.13 -98.39,69.31 -98.56,69.58 -98,69.44 -98.37,69.6 -98.03,69.88 | -97.49,69.85 -97.23,69.85 -97.23,69.96 -97.49,69.96 | -100.88,69.92 -100.81,69.92 -100.81,69.99 -100.88,69.99 | -87.09,70.15 -86.46,70.01 -87.14,69.99 -87.38,70.1 | -125.12,70.12 -124.96,70.12 -124.96,70.17 -125.12,70.17 | -124.76,70.16 -124.51,70.16 -124.51,70.21 -124.76,70.21 | -112.76,70.27 -112.64,70.27 -112.64,70.31 -112.76,70.31 | -113.2,70.28 -112.95,70.28 -112.95,70.31 -113.2,70.31 | -100.87,70.25 -100.74,70.25 -100.74,70.33 -100.87,70.33 | -116.83,70.47 -116.57,70.47 -116.57,70.51 -116.83,70.51 | -116.5,70.51 -116.13,70.51 -116.13,70.55 -116.5,70.55 | -116.77,70.53 -116.51,70.53 -116.51,70.56 -116.77,70.56 | -116.06,70.54 -115.81,70.54 -115.81,70.58 -116.06,70.58 | -117.3,70.54 -116.88,70.54 -116.88,70.59 -117.3,70.59 | -128.34,70.54 -128.08,70.54 -128.08,70.66 -128.34,70.66 | -100.68,70.45 -100.22,70.45 -100.22,70.68 -100.68,70.68 | -103.28,70.62 -103.17,70.62 -103.17,70.68 -103.28,70.68 | -103.46,70.69 -103.33,70.69 -103.33,70.74 -103.46,70.74 | -71.47,71.01 -71.4,70.91 -71.96,70.82 -72.23,70.93 -71.88,71.07 | -96.65,71.2 -96.47,71.2 -96.47,71.29 -96.65,71.29 | -99.01,71.27 -98.9,71.27 -98.9,71.35 -99.01,71.35 | -73.12,71.48 -72.82,71.44 -73.06,71.29 -73.37,71.49 -73.18,71.57 | -72.76,71.53 -73.04,71.58 -72.73,71.66 | -73.45,71.55 -73.15,71.55 -73.15,71.7 -73.45,71.7 | -97.05,71.7 -96.84,71.7 -96.84,71.76 -97.05,71.76 | -95.34,71.73 -95.49,71.75 -95.29,71.84 | -134.5,68.75 -134.23,68.69 -134.63,69.01 -134.15,69.26 -133.21,69.4 -132.89,69.65 -132.42,69.64 -132.4,69.75 -132.15,69.69 -131.41,69.96 -131.18,69.82 -130.54,70.17 -129.98,70.07 -129.67,70.27 -129.5,70.02 -130.93,69.56 -131.05,69.64 -132,69.53 -132.09,69.36 -132.76,69.25 -132.91,69.04 -133.46,68.89 -133.32,68.75 -132.92,68.69 -133.27,68.86 -132.47,68.81 -132.5,68.91 -132.78,68.86 -132.87,69.07 -132.32,69.23 -132.22,69.14 -131.65,69.47 -131.53,69.33 -131.25,69.5 -131.34,69.32 -131.23,69.58 -131.13,69.36 -131.14,69.61 -130.94,69.13 -130.37,69.69 -128.9,69.97 -129.17,69.82 -128.93,69.68 -128.31,69.96 -128.35,70.11 -127.52,70.22 -128.2,70.39 -128,70.59 -127.17,70.27 -126.26,69.53 -125.43,69.31 -125.09,69.45 -125.62,69.42 -125.12,69.49 -125.37,69.69 -124.82,69.72 -125.28,69.81 -124.8,70.01 -125.19,69.93 -125.2,70 -125,70.08 -124.56,70.01 -124.75,70.12 -124.44,70.15 -124.5,69.73 -124.04,69.7 -124.45,69.37 -123.47,69.38 -122.96,69.83 -122.04,69.81 -117.15,68.89 -115.96,68.8 -116.33,68.96 -115.83,68.99 -114.99,68.86 -114.11,68.51 -114.01,68.25 -115.24,68.18 -115.11,68.01 -115.54,67.91 -115.1,67.8 -112.4,67.68 -111.18,67.84 -111.01,67.77 -110.08,68.01 -109.73,67.72 -109.07,67.71 -108.83,67.35 -108.66,67.63 -108.48,67.35 -108.37,67.44 -108.02,67.29 -107.88,67.05 -108.23,67.02 -108.62,67.15 -107.24,66.35 -107.75,66.92 -107.64,67.07 -107.56,66.83 -107.42,66.97 -107.08,66.82 -107.58,67.5 -108.01,67.71 -107.65,67.94 -107.89,68.08 -107.78,68 -107.35,68.05 -106.61,68.25 -106.43,68.15 -106.47,68.34 -105.74,68.42 -105.64,68.63 -106.54,68.51 -106.54,68.29 -106.8,68.41 -107.26,68.26 -107.83,68.34 -107.6,68.17 -108.39,68.11 -108.4,68.29 -108.82,68.27 -108.31,68.61 -106.21,68.94 -105.49,68.73 -105.54,68.41 -104.61,68.24 -104.5,68.03 -103.77,68.03 -103.42,68.17 -103.37,68.01 -102.25,67.73 -101.52,67.68 -100.4,67.85 -98.99,67.72 -98.35,67.8 -98.72,67.95 -98.62,68.07 -97.51,67.6 -97.14,67.67 -97.24,67.93 -97.39,67.88 -97.68,68.02 -98.1,67.83 -98.7,68.38 -98.2,68.3 -97.74,68.37 -97.99,68.54 -97.52,68.42 -97.35,68.49 -97.08,68.26 -96.4,68.31 -96.71,68.01 -95.98,68.25 -96.46,67.48 -96.1,67.46 -96.11,67.21 -95.57,67.38 -95.83,67.16 -95.44,67.19 -95.34,66.97 -95.9,66.95 -95.95,67.07 -96.12,66.95 -96.46,67.06 -95.65,66.66 -96.09,66.92 -95.31,66.89 -95.22,66.97 -95.16,67.29 -95.71,67.73 -95.48,68.06 -94.72,68.05 -93.62,68.54 -93.64,68.96 -93.93,68.97 -93.93,68.82 -94.49,68.73 -94.6,68.96 -94.07,69.13 -94.32,69.15 -94.28,69.32 -93.53,69.44 -93.84,69.16 -93.36,69.37 -93.54,69.52 -94.28,69.44 -94.63,69.68 -94.85,69.57 -95.96,69.78 -96.53,70.13 -96.23,70.56 -95.79,70.54 -96.06,70.62 -95.82,70.71 -96.16,70.62 -96.61,70.79 -96.5,71.28 -96.05,71.42 -95.54,71.29 -95.89,71.61 -95.23,71.83 -94.61,71.86 -95.21,71.84 -95.2,71.95 -94.5,71.99 -94.42,71.66 -94.19,71.79 -93.71,71.76 -93.81,71.65 -92.97,71.34 -93.03,70.85 -92.2,70.61 -91.96,70.26 -91.74,70.36 -91.52,70.18 -91.97,70.12 -92.27,70.21 -92.45,70.07 -91.94,70.02 -92.78,69.72 -92.54,69.71 -92.92,69.67 -92.34,69.69 -91.8,69.5 -91.2,69.66 -91.55,69.51 -91.19,69.56 -90.31,69.45 -90.7,69.45 -90.82,69.25 -91.45,69.35 -90.44,68.87 -90.61,68.45 -90.27,68.24 -89.31,69.25 -88.97,69.24 -88.05,68.82 -87.79,68.33 -87.94,68.2 -88.22,68.37 -88.39,68.29 -88.37,67.96 -87.36,67.26 -87.51,67.11 -86.97,67.25 -86.87,67.4 -86.52,67.35 -86.53,67.68 -85.89,68.05 -85.66,68.73 -84.79,68.73 -85.14,68.95 -84.53,69.02 -85.47,69.27 -85.33,69.78 -85.57,69.86 -85.06,69.77 -84.38,69.86 -83.7,69.7 -82.25,69.64 -82.65,69.62 -82.5,69.49 -83.23,69.54 -82.24,69.4 -82.26,69.23 -81.33,69.18 -82.06,68.87 -81.38,68.87 -81.27,68.63 -81.97,68.42 -82.23,68.53 -82.23,68.46 -82.64,68.5 -82.34,68.16 -81.99,68.21 -82.1,67.9 -81.24,67.47 -81.51,66.99 -81.93,66.98 -82.59,66.56 -83.02,66.54 -83.45,66.35 -83.98,66.58 -83.92,66.88 -84.27,66.72 -84.37,66.97 -84.93,67.06 -84.64,66.98 -85.22,66.87 -84.6,66.94 -84.5,66.82 -84.69,66.84 -84.14,66.68 -83.68,66.2 -83.85,66.15 -84.52,66.4 -84.37,66.16 -85.23,66.26 -85.48,66.58 -86.78,66.53 -86.64,66.32 -85.9,66.17 -87.37,65.32 -88.03,65.35 -88.83,65.64 -88.51,65.64 -89.67,65.94 -90,65.94 -89.79,65.82 -91.43,65.95 -91.02,65.81 -90.99,65.92 -89.96,65.79 -89.05,65.33 -87.36,65.27 -86.93,65.14 -88.11,64.14 -88.74,63.97 -89.26,64.16 -89.02,63.95 -89.55,64.08 -89.49,63.94 -89.82,64.1 -89.78,64.24 -90.12,64.13 -89.81,63.94 -90.28,64 -89.96,63.81 -90.21,63.61 -90.62,63.7 -90.55,63.6 -90.93,63.56 -92.48,63.81 -92.1,63.7 -92.48,63.53 -91.76,63.71 -90.74,63.36 -90.63,63.06 -91.36,62.79 -92.44,62.82 -91.88,62.62 -91.95,62.53 -92.2,62.6 -92.71,62.47 -92.48,62.14 -93.12,62.33 -92.79,62.18 -93.11,62.16 -92.93,62.1 -93.14,62.01 -93.41,62.03 -93.3,61.89 -93.62,61.94 -93.26,61.74 -93.98,61.46 -93.82,61.35 -94.67,60.52 -94.82,59.95 -94.79,59.09 -94.44,58.72 -94.23,58.78 -94.36,58.22 -94.14,58.76 -93.15,58.74 -92.42,57.34 -92.88,56.91 -90.82,57.26 -88.82,56.82 -87.98,56.44 -87.36,55.96 -85.71,55.63 -85.12,55.34 -85.42,54.99 -85,55.3 -83.9,55.32 -83.56,55.13 -83.7,55.28 -82.34,55.07 -82.33,55.16 -82.22,54.79 -82.43,54.21 -82.13,53.82 -82.11,53.29 -82.3,53.02 -81.55,52.44 -81.56,52.32 -81.88,52.19 -81.48,52.23 -80.59,51.7 -80.43,51.36 -81.02,51.03 -80.4,51.34 -80.12,51.3 -79.33,50.72 -79.75,51.17 -79.67,51.4 -79.32,51.66 -78.85,51.17 -78.79,51.6 -79.04,51.77 -78.58,52.11 -78.51,52.46 -78.76,52.56 -78.74,52.87 -78.88,52.9 -78.9,53.27 -79.11,53.5 -78.92,53.56 -79.15,53.7 -78.9,53.82 -79.11,53.91 -78.96,54 -79.05,54.18 -79.35,54.2 -79.52,54.59 -79.76,54.65 -77.75,55.3 -76.68,56.03 -76.52,56.41 -76.53,57.11 -76.92,57.79 -77.47,58.2 -78.57,58.63 -78.57,58.96 -78.34,58.91 -77.68,59.4 -77.91,59.41 -77.77,59.71 -77.31,59.56 -77.54,59.75 -77.29,59.79 -77.43,59.91 -76.76,60.16 -77.59,60.06 -77.47,60.21 -77.75,60.41 -77.41,60.54 -77.83,60.64 -77.51,60.84 -78.19,60.79 -77.7,61.22 -77.76,61.41 -77.47,61.54 -77.99,61.71 -78.16,62.28 -77.35,62.56 -75.71,62.3 -75.89,62.16 -75.32,62.31 -74.57,62.1 -74.73,62.24 -73.68,62.48 -72.63,62.12 -72.72,61.85 -72.6,61.81 -72.59,61.92 -72.2,61.86 -72.01,61.68 -72.3,61.57 -71.93,61.71 -71.58,61.61 -71.89,61.43 -71.39,61.14 -70.55,61.02 -70.15,61.08 -69.93,60.81 -69.51,61.07 -69.37,60.8 -69.83,60.53 -69.62,60.07 -70.53,59.99 -70.95,60.06 -69.73,59.96 -69.6,59.83 -69.76,59.32 -69.41,59.35 -69.23,59.23 -69.53,59.18 -69.34,59.09 -69.55,58.81 -69.87,59.05 -69.82,58.82 -70.15,58.78 -69.82,58.59 -69.28,58.89 -68.76,58.91 -68.36,58.78 -68.2,58.44 -68.34,58.13 -69.37,57.77 -68.4,58.04 -68,58.58 -67.86,58.32 -68.13,58.07 -67.72,58.46 -67.71,57.92 -67.58,58.22 -66.94,58.5 -66.63,58.5 -66.39,58.85 -65.94,58.61 -66.06,58.32 -65.88,58.63 -66.1,58.77 -65.79,58.86 -65.99,58.9 -65.78,59.03 -65.32,59.04 -65.72,59.15 -65.58,59.38 -65.36,59.28 -65.56,59.49 -64.98,59.38 -65.41,59.51 -65.53,59.72 -65.33,59.85 -64.98,59.76 -65.23,59.89 -64.85,60.36 -64.43,60.26 -64.73,60.26 -64.38,60.16 -64.83,59.99 -64.37,60.12 -64.5,59.89 -64.17,60.02 -64.12,59.52 -64,59.63 -63.72,59.51 -64.06,59.38 -63.75,59.38 -63.81,59.24 -63.54,59.35 -63.36,59.2 -64.04,59.02 -63.13,59.06 -63.34,59.02 -63.16,58.93 -63.33,58.86 -63.03,58.87 -62.85,58.69 -63.59,58.3 -63.26,58.46 -62.56,58.48 -62.83,58.25 -62.58,58.21 -63.34,57.98 -62.45,58.18 -62.51,58.06 -62.38,58.11 -62.31,58.03 -62.67,57.93 -62.13,57.97 -61.88,57.63 -62.55,57.5 -61.89,57.41 -62.02,57.24 -61.36,57.09 -61.66,56.81 -61.91,56.8 -61.67,56.62 -62.5,56.78 -62.05,56.83 -62.57,56.79 -62.02,56.63 -62.22,56.61 -61.66,56.54 -62.14,56.45 -61.66,56.27 -62.08,56.28 -61.35,56.22 -61.45,56.06 -61.24,56.04 -61.5,56.01 -61.12,55.97 -61.1,55.85 -60.76,55.85 -60.88,55.73 -60.62,55.82 -60.67,55.59 -60.5,55.8 -60.33,55.78 -60.53,55.6 -60.32,55.57 -60.48,55.35 -60.32,55.49 -60.2,55.43 -60.68,54.99 -60.18,55.27 -60.29,55.02 -59.78,55.33 -59.73,55.2 -59.96,55.11 -59.43,55.14 -59.94,54.75 -59.16,55.24 -59.38,54.97 -59.02,55.16 -58.9,54.84 -57.35,54.58 -57.7,54.47 -57.42,54.46 -57.63,54.38 -59.58,54.05 -58.37,54.22 -58.63,54.04 -60.08,53.76 -60.13,53.53 -60.86,53.79 -60.88,53.71 -60.1,53.5 -60.41,53.36 -60.19,53.32 -60.42,53.27 -60.13,53.28 -59.78,53.48 -59.88,53.53 -59.08,53.68 -59.04,53.81 -58.55,54.01 -57.79,54.07 -58.42,54.14 -58.36,54.21 -57.47,54.19 -57.08,53.82 -57.55,53.59 -57.32,53.58 -57.34,53.44 -57.01,53.71 -56.48,53.78 -56.42,53.72 -56.68,53.67 -55.98,53.54 -56.26,53.54 -55.81,53.34 -55.75,53.14 -56.17,53.03 -55.83,52.92 -55.81,52.83 -56.06,52.77 -55.74,52.64 -56.5,52.59 -55.65,52.44 -55.78,52.33 -56.2,52.44 -55.71,52.25 -55.69,52.11 -56.95,51.42 -57.75,51.47 -58.02,51.31 -58.63,51.28 -58.62,51.15 -59,51.02 -59.02,50.75 -59.12,50.8 -60.01,50.25 -61.72,50.09 -61.58,50.19 -62.4,50.29 -65.28,50.31 -65.95,50.29 -66.09,50.19 -66.46,50.27 -67.15,49.81 -67.38,49.33 -68.12,49.27 -68.19,49.11 -68.59,49.05 -69.06,48.77 -69.44,48.3 -69.81,48.16 -69.93,47.77 -71.3,46.74 -70.49,47.03 -69.02,48.25 -67.53,48.86 -66.31,49.19 -65.5,49.26 -64.81,49.18 -64.22,48.9 -64.16,48.76 -64.55,48.88 -64.16,48.63 -64.25,48.49 -65.2,48.03 -65.46,48 -65.9,48.21 -66.84,47.99 -66.36,48.07 -65.79,47.89 -65.63,47.62 -65.2,47.82 -64.8,47.81 -64.67,47.73 -64.91,47.35 -65.37,47.09 -64.8,47.08 -64.9,46.84 -64.5,46.24 -63.78,46.12 -64.09,46.02 -63.66,45.82 -63.47,45.88 -63.52,45.81 -63.23,45.8 -63.35,45.74 -62.68,45.76 -62.46,45.61 -61.92,45.89 -61.88,45.69 -61.62,45.61 -61.47,45.68 -61.26,45.51 -61.46,45.35 -60.97,45.27 -62.85,44.72 -63.06,44.77 -63.05,44.68 -63.1,44.75 -63.44,44.59 -63.66,44.72 -63.52,44.51 -63.63,44.44 -63.93,44.51 -63.91,44.68 -64.08,44.47 -64.2,44.58 -64.34,44.41 -64.26,44.27 -64.62,44.13 -65.03,43.7 -65.33,43.67 -65.48,43.46 -65.57,43.57 -65.73,43.5 -65.91,43.83 -66.02,43.69 -66.17,43.86 -66.12,44.34 -65.84,44.58 -66.19,44.42 -64.86,45.14 -64.43,45.26 -64.49,45.34 -64.33,45.3 -64.38,45.13 -64.16,44.98 -64.15,45.19 -63.36,45.36 -64.53,45.41 -64.94,45.33 -64.28,45.8 -64.36,45.88 -64.48,45.75 -64.75,46.09 -64.58,45.83 -64.78,45.61 -65.9,45.21 -66.09,45.3 -66,45.46 -66.19,45.34 -66.15,45.19 -66.43,45.08 -67.34,45.15 -67.47,45.28 -67.41,45.59 -67.8,45.7 -67.79,47.07 -68.31,47.36 -68.9,47.19 -69.05,47.44 -69.23,47.47 -70.01,46.7 -70.29,46.2 -70.25,45.91 -70.69,45.57 -70.88,45.24 -71.31,45.3 -71.49,45.02 -74.99,44.99 -76.43,44.1 -76.8,43.63 -78.72,43.63 -79.18,43.47 -78.92,42.93 -78.99,42.82 -80.1,42.4 -81.25,42.22 -82.43,41.68 -83.07,41.86 -83.17,42.05 -83.09,42.3 -82.52,42.62 -82.13,43.59 -82.54,45.36 -83.6,45.83 -83.45,46.01 -83.58,46.11 -83.96,46.07 -84.13,46.53 -84.57,46.47 -84.86,46.9 -88.37,48.31 -89.36,47.98 -89.9,47.99 -90.16,48.12 -90.74,48.09 -90.87,48.24 -91.42,48.04 -92.05,48.35 -92.36,48.23 -92.46,48.39 -92.95,48.62 -93.78,48.52 -93.85,48.63 -94.61,48.72 -94.82,49.31 -95.15,49.38 -95.15,49 -122.76,49 -122.9,49.09 -123.09,49 -123.25,49.27 -122.92,49.29 -122.85,49.44 -122.93,49.33 -123.24,49.34 -123.16,49.7 -123.54,49.38 -124.07,49.63 -123.94,49.74 -123.78,49.5 -123.53,49.69 -123.8,49.64 -123.93,49.77 -123.82,50.15 -123.99,50.22 -123.81,50.1 -124,50.01 -123.93,49.83 -124.04,49.92 -124.09,49.8 -124.41,49.76 -124.83,50.06 -124.7,50 -124.6,50.24 -124.72,50.33 -124.35,50.5 -125.08,50.32 -124.81,50.92 -125.12,50.43 -125.55,50.49 -125.44,50.71 -125.71,50.43 -126.28,50.51 -126.27,50.63 -125.62,50.75 -125.51,50.93 -125.63,51.1 -125.73,50.74 -126.13,50.68 -126.2,50.86 -126.56,50.84 -126.18,50.95 -126.68,50.87 -127.16,50.93 -127.03,50.82 -127.54,51 -127.5,51.1 -126.82,51.06 -126.66,51.19 -127.21,51.06 -127.79,51.17 -127.6,51.29 -127.13,51.33 -127.78,51.32 -127.49,51.62 -126.62,51.68 -126.66,51.79 -126.69,51.66 -127.43,51.67 -127.35,51.86 -127.71,51.46 -127.88,51.67 -127.86,51.9 -127.17,52.31 -126.67,51.98 -126.94,52.3 -126.74,52.38 -127.08,52.33 -127.23,52.45 -126.97,52.83 -127.05,52.64 -127.62,52.29 -127.87,52.21 -127.88,52.51 -128.01,52.34 -127.88,52.58 -128.39,52.29 -128.13,52.88 -128.44,52.82 -128.97,53.55 -128.52,53.4 -128.15,53.45 -127.87,53.24 -128.13,53.48 -128.54,53.48 -128.81,53.62 -128.77,53.8 -128.47,53.83 -128.68,53.91 -128.6,54.03 -129.23,53.63 -129.27,53.38 -130.1,53.95 -130.05,54.15 -129.47,54.24 -130.12,54.15 -130.26,54.34 -130.48,54.36 -130.42,54.63 -129.96,54.32 -130.37,54.65 -129.91,54.61 -130.2,54.73 -130.17,54.85 -130.03,54.97 -129.62,55 -130,55.02 -129.47,55.47 -129.71,55.45 -129.79,55.57 -129.82,55.28 -130.11,55 -129.94,55.28 -130.09,56.12 -130.37,56.12 -131.56,56.6 -131.82,56.6 -131.86,56.8 -132.1,56.87 -132.03,57.04 -132.34,57.09 -132.23,57.2 -133.43,58.46 -134.25,58.86 -134.46,59.13 -134.95,59.28 -135.1,59.62 -135.47,59.8 -136.34,59.6 -136.23,59.53 -136.46,59.47 -136.58,59.16 -137.48,58.91 -137.59,59.24 -139.19,60.09 -139.07,60.35 -139.68,60.34 -139.98,60.19 -141,60.31 -141,69.64 -139.14,69.51 -138.6,69.25 -137.26,68.95 -136.03,68.87 -135.41,68.68 -135.15,68.66 -135.62,68.89 -135.24,68.93 -134.8,68.92 | -108.2,71.98 -108.06,71.98 -108.06,72.06 -108.2,72.06 | -85.85,72.29 -85.89,72.22 -86.11,72.29 | -79.08,72.33 -78.73,72.33 -78.73,72.45 -79.08,72.45 | -79.68,72.35 -79.43,72.35 -79.43,72.46 -79.68,72.46 | -80.13,72.41 -79.92,72.41 -79.92,72.53 -80.13,72.53 | -110.59,72.57 -110.47,72.57 -110.47,72.59 -110.59,72.59 | -110.49,72.6 -110.35,72.6 -110.35,72.62 -110.49,72.62 | -108.61,72.6 -108.49,72.6 -108.49,72.64 -108.61,72.64 | -110.41,72.63 -110.28,72.63 -110.28,72.65 -110.41,72.65 | -109.42,72.79 -109.21,72.79 -109.21,72.83 -109.42,72.83 | -95.85,72.8 -95.71,72.8 -95.71,72.88 -95.85,72.88 | -96.75,72.72 -97.01,72.78 -96.71,72.89 | -95.82,72.89 -95.7,72.89 -95.7,73.01 -95.82,73.01 | -95.89,73.05 -95.72,73.05 -95.72,73.14 -95.89,73.14 | -96.81,72.93 -97.14,73.09 -96.65,73.14 | -97.12,73.22 -96.89,73.22 -96.89,73.27 -97.12,73.27 | -114,72.8 -114.6,72.6 -114.39,72.56 -113.44,72.67 -113.6,72.78 -113.06,73.01 -111.53,72.8 -111.2,72.67 -111.9,72.36 -111.66,72.28 -111.29,72.46 -111.11,72.34 -110.7,72.58 -110.35,72.43 -110.38,72.56 -109.78,72.43 -110.29,72.67 -109.77,72.72 -110.76,72.97 -109.66,72.92 -109.04,72.57 -108.62,72.55 -108.24,71.72 -107.83,71.6 -107.25,71.9 -107.78,72.14 -108.29,73.15 -107.86,73.19 -108.07,73.35 -107.07,73.17 -106.76,73.29 -105.33,72.75 -105.02,72.07 -104.36,71.57 -104.59,71.07 -103.56,70.6 -102.93,70.49 -103.03,70.66 -101.93,70.26 -101.59,70.27 -101.54,70.11 -101,70.17 -100.87,69.79 -100.96,69.66 -101.33,69.67 -101.45,69.91 -101.69,69.68 -102.23,69.92 -102.68,69.76 -102.51,69.56 -102.81,69.53 -103.48,69.69 -103.02,69.49 -103.19,69.11 -102.84,69.38 -102.31,69.5 -101.93,69.41 -102.22,69.23 -101.75,69.18 -101.82,68.99 -102.89,68.8 -104.45,68.94 -104.58,68.86 -105.14,68.9 -104.92,69.07 -106.41,69.18 -106.32,69.39 -106.6,69.5 -107.34,69.02 -108.53,68.94 -109.1,68.71 -113.3,68.46 -113.03,68.49 -113.68,68.81 -113.52,69.18 -115.96,69.29 -116.53,69.41 -117.44,69.99 -115.17,70.28 -112.56,70.2 -111.49,70.34 -113.94,70.72 -115.14,70.6 -117.56,70.6 -118.37,71.02 -115.06,71.53 -117.38,71.38 -117.56,71.5 -117.54,71.37 -118.11,71.37 -118.29,71.48 -117.68,71.55 -117.7,71.67 -118.32,71.58 -118.84,71.66 -118.9,71.58 -119.13,71.77 -118.69,72.13 -118.11,72.23 -118.54,72.49 -117.35,72.92 -114.56,73.38 -113.96,73.15 | -95.71,73.6 -95.66,73.6 -95.66,73.62 -95.71,73.62 | -107.9,73.54 -108.04,73.62 -107.58,73.6 | -124.31,73.56 -124.33,73.64 -124.11,73.56 | -124.73,73.68 -124.56,73.68 -124.56,73.71 -124.73,73.71 | -105.09,73.74 -104.48,73.53 -105.28,72.85 -106.47,73.4 -107.04,73.48 -106.57,73.71 | -80.14,73.7 -78.17,73.67 -77.42,73.55 -76.06,72.9 -76.56,72.81 -78.24,72.89 -79.62,72.76 -80,72.86 -80.15,73.22 -80.88,73.33 -80.86,73.74 | -73.35,68.33 -73.62,68.25 -73.85,68.34 -73.76,68.69 -74.09,68.72 -73.99,68.49 -74.51,68.6 -74.55,68.83 -74.92,68.8 -74.72,68.93 -75.02,68.95 -74.64,69.02 -74.82,69.08 -75.14,68.88 -75.47,69.02 -75.6,68.88 -76.66,68.7 -76.63,69.02 -75.62,69.08 -75.6,69.24 -76.64,69.55 -76.19,69.67 -76.63,69.68 -76.71,69.56 -77.19,69.64 -76.79,69.72 -76.84,69.82 -77.31,69.83 -76.98,69.94 -77.63,69.74 -77.68,70.19 -78.4,70.21 -78.43,70.35 -79.07,70.47 -78.72,70.55 -79.01,70.68 -79.17,70.43 -79.4,70.49 -79.59,70.4 -78.94,70.31 -78.7,69.92 -79.68,69.85 -80.05,70 -81.75,70.13 -80.79,69.79 -80.95,69.71 -83.01,70.3 -81.73,69.94 -82.14,69.78 -83.07,70.01 -83.72,69.95 -85.67,70.1 -85.85,70.04 -85.24,69.99 -85.82,70 -86.55,70.23 -86.37,70.53 -86.65,70.32 -87,70.47 -86.99,70.28 -87.92,70.24 -88.9,70.53 -89.55,71.09 -88,70.93 -87,70.99 -87.84,71.26 -89.83,71.33 -90.05,71.95 -89.57,72.16 -89.96,72.32 -89.23,73.13 -88.41,73.52 -86.72,73.84 -85.07,73.8 -84.87,73.71 -85.93,73.36 -86.73,72.72 -86.24,72.42 -86.42,72.01 -84.83,71.27 -86.82,70.99 -84.96,71.19 -84.88,71.07 -85.15,71.08 -84.8,70.92 -84.63,71.67 -85.28,71.67 -86.05,72.01 -85.51,72.07 -85.49,72.26 -84.87,72.22 -84.19,71.93 -84.16,72.02 -84.93,72.28 -84.44,72.38 -84.86,72.37 -84.78,72.46 -85.14,72.36 -85.54,72.47 -85.69,72.89 -85.28,72.96 -83.95,72.75 -85.54,73.02 -85.45,73.12 -83.63,72.98 -85.17,73.21 -85.08,73.33 -84.79,73.39 -84.36,73.22 -84.66,73.39 -84.17,73.48 -83.6,73.3 -84,73.5 -83.74,73.57 -82.84,73.73 -81.57,73.72 -80.25,72.73 -81.38,72.24 -80.52,72.5 -80.91,72.18 -80.57,72.07 -81.08,72.05 -80.79,72.03 -80.97,71.88 -80.39,72.05 -80.26,72.29 -79.67,72.13 -80.17,72.32 -79.8,72.5 -79.75,72.22 -79.34,72.4 -79.01,72.27 -79.2,71.96 -78.5,71.87 -78.92,72.01 -78.85,72.17 -78.21,71.83 -77.9,71.77 -78.16,71.97 -77.79,71.79 -78.87,72.23 -78.6,72.36 -78.41,72.17 -78.41,72.33 -77,72.13 -78.39,72.37 -78.56,72.5 -77.61,72.75 -76.95,72.74 -76.11,72.47 -75.93,72.58 -75.22,72.5 -74.94,72.26 -75.24,72.12 -76.05,72.07 -76.31,71.88 -75.8,72.1 -75.22,72.07 -76.1,71.69 -75.04,72.13 -74.18,72.03 -74.24,71.82 -75.39,71.68 -74.93,71.66 -75.41,71.51 -74.63,71.66 -75.15,71.47 -74.84,71.52 -74.7,71.39 -75.08,71.18 -74.54,71.63 -74.11,71.74 -74.16,71.53 -73.72,71.78 -74.32,71.41 -74.03,71.44 -74.23,71.2 -73.59,71.57 -73.64,71.36 -73.38,71.39 -73.89,71.05 -73.35,71.35 -73.05,71.27 -73.38,70.98 -72.56,71.66 -71.55,71.5 -71.12,71.27 -71.46,71.06 -71.91,71.11 -72.65,70.83 -72.16,70.84 -72.57,70.61 -70.84,71.11 -70.61,71.06 -70.75,70.75 -71.18,70.58 -71.59,70.61 -71.8,70.43 -71.84,70.29 -71.51,70.58 -71.16,70.53 -71.54,70.02 -71,70.63 -69.9,70.88 -70.49,70.48 -69.45,70.79 -68.31,70.56 -68.46,70.37 -68.58,70.46 -68.68,70.33 -69.67,70.2 -70.19,70.03 -69.82,69.98 -70.47,69.84 -69.75,69.97 -69.65,70.14 -68.68,70.2 -69.4,69.83 -69.81,69.82 -69.99,69.61 -69.74,69.8 -69.4,69.78 -68.22,70.1 -68.04,70.3 -67.38,70.05 -67.13,69.73 -68,69.77 -68.33,69.63 -70.03,69.53 -68.67,69.59 -67.98,69.46 -67.26,69.47 -66.65,69.2 -67.52,69.16 -69.02,69.35 -69.25,69.26 -68.92,69.33 -68.08,69.22 -68.97,69.22 -68.5,69.2 -69,69.1 -69.03,68.97 -68.86,69.09 -68.18,69.15 -67.71,69.02 -68.55,68.98 -67.98,68.86 -68.49,68.89 -67.77,68.78 -69.38,68.82 -68.05,68.68 -68.9,68.6 -67.53,68.55 -67.61,68.38 -67.43,68.49 -67.32,68.41 -66.71,68.44 -67.88,68.27 -67.02,68.32 -67.6,68.16 -67.37,68.13 -67,68.29 -66.73,67.98 -66.59,68.14 -66.32,68.13 -66.48,68.08 -66.19,68.01 -66.75,67.88 -66.4,67.81 -65.92,68.16 -66.01,67.63 -65.81,67.97 -65.44,67.99 -65.62,67.79 -65.35,67.59 -65.42,67.9 -65.05,68.05 -64.72,67.99 -65.2,67.64 -64.51,67.81 -64.4,67.71 -64.64,67.66 -64.31,67.73 -64.04,67.53 -64.44,67.47 -64.01,67.46 -63.9,67.31 -64.8,67.36 -64.23,67.29 -64.78,67.19 -63.96,67.27 -64.61,67.13 -64.69,67 -64.51,67.13 -63.56,67.24 -63.77,66.96 -63.11,67.33 -63.24,66.96 -63.77,66.81 -63.44,66.91 -63.42,66.7 -63.22,66.9 -62.85,66.96 -62.9,66.64 -62.74,66.94 -62.31,66.73 -62.43,66.92 -62.1,67.05 -62.1,66.91 -61.75,66.95 -61.26,66.63 -61.45,66.54 -62.12,66.63 -61.58,66.49 -61.98,66.4 -61.46,66.37 -61.88,66.28 -62.46,66.42 -62.72,66.41 -62.32,66.3 -62.62,66.22 -62.9,66.33 -61.96,66.02 -62.78,66.03 -62.97,66.15 -62.32,65.83 -62.86,65.91 -62.57,65.76 -62.83,65.75 -62.65,65.59 -62.94,65.75 -62.96,65.58 -63.2,65.63 -63.44,65.85 -63.37,65.67 -63.72,65.68 -63.32,65.59 -63.62,65.54 -63.29,65.43 -63.66,65.47 -63.34,65.3 -63.55,64.89 -63.82,64.98 -63.66,65.04 -64.13,65.04 -64.13,65.19 -64.38,65.18 -64.24,65.43 -64.56,65.09 -64.9,65.28 -64.68,65.34 -64.91,65.34 -64.42,65.48 -65,65.37 -65.14,65.43 -64.71,65.65 -65.15,65.54 -65.3,65.63 -64.8,65.73 -65.17,65.66 -65.51,65.74 -65.36,65.9 -64.74,65.97 -64.72,66.22 -64.36,66.35 -64.93,66.08 -65.92,65.95 -65.48,66.39 -65.7,66.18 -66.07,66.12 -66.19,66.24 -66.5,66.21 -66.44,66.41 -66.77,66.38 -67.05,66.64 -66.88,66.57 -67.11,66.49 -67.34,66.6 -67.74,66.57 -67.15,66.44 -67.17,66.36 -67.41,66.43 -67.28,66.28 -67.99,66.51 -67.16,66.04 -67.19,65.91 -67.82,65.88 -68.24,66.18 -68.85,66.19 -68.05,66.06 -68.33,65.93 -67.82,65.77 -68.03,65.48 -67.71,65.64 -67.28,65.64 -67.46,65.5 -67.06,65.43 -67.42,65.34 -66.93,65.23 -67.1,65.06 -66.73,65.18 -66.7,64.76 -66.62,65.03 -66.15,64.87 -66.21,64.69 -66.02,64.85 -65.85,64.68 -65.95,64.89 -65.67,64.82 -65.71,64.49 -65.08,64.48 -65.21,64.3 -65.66,64.31 -65.25,64.21 -65.05,64.07 -65.21,64.03 -64.67,64.03 -64.98,63.81 -64.51,63.64 -64.48,63.28 -64.66,63.25 -65.3,63.81 -64.91,63.28 -65.15,63.28 -64.63,62.9 -65.25,62.99 -64.95,62.65 -65.19,62.56 -65.34,62.84 -65.91,62.93 -65.84,63.03 -66.01,62.98 -66.28,63.13 -66.1,62.95 -66.44,63.02 -66.64,63.37 -66.56,62.99 -66.81,63.27 -66.84,63.15 -67.02,63.24 -66.98,63.4 -67.18,63.28 -67.91,63.76 -67.72,63.36 -68.54,63.73 -68.99,63.76 -68.15,63.15 -67.61,63.09 -67.77,62.96 -67.55,63.05 -67.67,62.92 -67.4,62.97 -66.35,62.44 -66.48,62.34 -65.93,62.2 -66.13,62.09 -65.95,61.9 -66.29,61.86 -67.35,62.12 -68.56,62.25 -69.45,62.55 -69.48,62.76 -70.23,62.75 -71.15,62.99 -70.91,63.17 -71.24,63 -71.71,63.17 -71.8,63.38 -72.15,63.45 -71.62,63.42 -71.23,63.6 -71.58,63.58 -71.9,63.81 -71.93,63.65 -72.17,63.75 -72.32,63.68 -72.24,63.95 -72.53,63.79 -72.66,64.08 -72.72,63.96 -72.91,64.17 -73.38,64.27 -73.3,64.66 -73.46,64.5 -73.47,64.61 -73.75,64.54 -73.93,64.6 -74.06,64.33 -74.05,64.73 -74.39,64.57 -74.7,64.74 -74.48,64.84 -74.64,64.9 -74.73,64.77 -74.99,64.8 -74.47,64.56 -74.69,64.37 -75.82,64.61 -75.73,64.37 -76.71,64.3 -76.67,64.18 -77.75,64.34 -78.18,64.57 -78.15,64.96 -77.32,65.19 -77.42,65.46 -75.77,65.22 -75.42,65.04 -75.67,64.94 -75.37,64.71 -75.36,64.9 -75.57,64.88 -75.19,65.1 -75.36,65 -75.95,65.32 -75.19,65.25 -75.11,65.39 -74.52,65.33 -74.18,65.53 -73.5,65.47 -73.71,65.76 -74.47,66.15 -72.26,67.25 -72.99,68.21 -73.5,68.28 | -124.55,73.88 -124.41,73.88 -124.41,73.92 -124.55,73.92 | -99.8,73.89 -99.24,73.74 -97.76,73.91 -96.96,73.74 -97.18,73.56 -97.64,73.53 -97.17,73.35 -97.84,73.27 -98.45,72.87 -97.85,73.05 -97.23,72.94 -97.2,72.6 -96.52,72.71 -96.3,72.42 -96.87,72.32 -96.48,72.11 -96.87,72.04 -96.49,72.03 -96.76,71.91 -96.49,71.91 -97.5,71.61 -98.22,71.65 -98.27,71.9 -98.49,71.71 -98.04,71.53 -98.73,71.27 -99.24,71.34 -100.63,72.19 -100.97,72.17 -101.22,72.33 -101.78,72.3 -102.74,72.72 -102.51,73.03 -102.14,73.09 -101.3,72.71 -100.41,72.74 -100.45,73.02 -100.29,72.87 -100.03,72.93 -100.58,73.17 -100.38,73.29 -99.77,73.21 -100.38,73.4 -100.89,73.26 -101.62,73.49 -100.91,73.6 -100.43,73.41 -100.55,73.6 -101.12,73.73 -100.55,73.85 -100.06,73.76 -99.88,73.88 -100.27,73.9 | -89.99,73.99 -90.28,74.03 -89.97,74.06 | -98.92,73.81 -99.41,73.92 -97.64,74.08 -98.14,73.87 | -92.64,74.1 -92.33,73.94 -91.1,74.01 -90.24,73.85 -92.13,72.73 -94.32,72.76 -93.84,72.72 -93.46,72.46 -94.06,71.98 -95.21,71.99 -95.2,72.11 -94.75,72.15 -95.17,72.14 -95.13,72.46 -95.67,72.81 -95.67,73.72 -95.3,73.77 -94.62,73.65 -95.33,73.91 -94.73,74.1 -93.52,74.17 | -98.86,74.3 -98.51,74.3 -98.51,74.34 -98.86,74.34 | -120.15,74.27 -119.61,74.23 -119.74,74.03 -119.5,74.21 -119.15,74.21 -119.17,73.99 -118.67,74.22 -117.42,74.23 -115.32,73.47 -119.14,72.63 -119.31,72.35 -119.8,72.22 -120.25,72.26 -120.54,71.52 -121.43,71.38 -121.74,71.45 -122.78,71.09 -123.22,71.11 -123.95,71.66 -125.24,71.94 -124.95,71.96 -126,71.97 -125.03,72.57 -125.03,72.82 -124.48,72.93 -124.87,73.08 -123.77,73.76 -124.77,74.34 -121.56,74.55 | -97.79,74.45 -97.26,74.45 -97.26,74.63 -97.79,74.63 | -95.31,74.5 -95.87,74.57 -95.52,74.63 | -97.28,75.24 -97.15,75.24 -97.15,75.35 -97.28,75.35 | -103.92,75.05 -104.46,75.03 -104.86,75.16 -104.11,75.43 -103.58,75.16 | -101.04,75.55 -100.16,75.55 -100.16,75.62 -101.04,75.62 | -94.36,75.59 -93.49,75.26 -93.53,74.67 -94.64,74.62 -95.86,74.83 -96.07,75.02 -96.27,74.9 -96.62,74.99 -95.75,75.51 -94.92,75.64 | -95.91,75.56 -96.22,75.46 -96.44,75.56 -96.85,75.35 -97.05,75.49 -96.38,75.65 | -97,75.59 -96.72,75.59 -96.72,75.67 -97,75.67 | -96.72,75.73 -96.46,75.73 -96.46,75.83 -96.72,75.83 | -111.92,75.84 -111.58,75.84 -111.58,75.88 -111.92,75.88 | -122.7,75.86 -122.32,75.86 -122.32,75.92 -122.7,75.92 | -121.29,75.72 -120.87,75.72 -120.87,75.94 -121.29,75.94 | -95.9,75.89 -95.74,75.89 -95.74,75.97 -95.9,75.97 | -94.41,75.75 -94.9,75.94 -94.48,75.97 | -103.14,75.74 -103.04,75.9 -101.98,75.95 | -122.9,76.01 -122.63,76.01 -122.63,76.06 -122.9,76.06 | -102.39,76.08 -103.27,75.91 -103.97,75.94 | -118.32,75.57 -118.6,75.5 -119.41,75.61 -117.66,76.12 | -78.93,75.88 -79.75,75.88 -78.92,76.12 | -94.84,76.12 -95.01,76.05 -95.15,76.12 | -81.46,76.15 -81.2,76.15 -81.2,76.19 -81.46,76.19 | -102.53,76.22 -103.34,76.04 -104.48,76.14 -103.11,76.3 | -89.63,76.44 -89.38,76.44 -89.38,76.48 -89.63,76.48 | -84.14,76.42 -83.91,76.42 -83.91,76.51 -84.14,76.51 | -104.05,76.56 -103.79,76.62 -103,76.43 -103.55,76.31 -104.38,76.32 -104.64,76.6 -104.05,76.66 | -98.42,76.67 -97.69,76.49 -97.49,76.14 -97.94,75.74 -97.39,75.68 -97.28,75.4 -97.73,75.57 -98.04,75.48 -97.77,75.42 -98.13,75.3 -97.57,75.15 -97.86,75.11 -98.1,75.22 -97.96,75.02 -99.38,74.99 -99.28,75.12 -99.54,74.97 -100.39,75.03 -100.54,75.2 -99.99,75.24 -100.72,75.43 -100.01,75.46 -100.31,75.47 -99.82,75.66 -98.93,75.71 -102.53,75.51 -102.88,75.62 -102.02,75.7 -102.16,75.88 -101.18,75.78 -101.58,75.91 -101.32,76.02 -101.68,75.98 -101.91,76.08 -101.39,76.25 -102.17,76.24 -101.89,76.44 -101.32,76.41 -99.89,75.89 -99.44,75.97 -99.86,75.94 -100.13,76.15 -99.41,76.16 -100.44,76.21 -99.85,76.28 -100.98,76.5 -99.68,76.63 -99.08,76.4 -99.03,76.6 | -100.13,76.67 -99.43,76.67 -99.43,76.75 -100.13,76.75 | -121.18,76.72 -120.88,76.72 -120.88,76.76 -121.18,76.76 | -101.38,76.55 -101.69,76.59 -100.96,76.73 -100.25,76.73 | -89.93,76.48 -90.6,76.75 -89.83,76.81 | -108.65,76.81 -108.56,76.41 -108.08,76.28 -108.4,76.05 -107.63,75.99 -108.02,75.78 -107.19,75.9 -106.9,75.72 -106.59,76.06 -105.48,75.86 -106.01,75.05 -107.2,74.91 -107.77,75.1 -107.94,74.93 -108.37,74.91 -108.83,75.07 -111.68,74.49 -113.01,74.4 -113.7,74.45 -114.41,74.7 -112.87,74.98 -111.55,75.01 -111.05,75.27 -112.39,75.12 -112.68,75.28 -112.81,75.12 -113.92,75.05 -113.81,75.33 -113.34,75.41 -113.9,75.37 -114.08,75.46 -114.17,75.23 -114.62,75.27 -114.39,75.09 -115.05,74.96 -115.26,75.18 -115.69,74.96 -116.25,75.21 -116.72,75.12 -117.68,75.25 -117.24,75.47 -116.02,75.48 -115,75.69 -116.35,75.56 -117.25,75.6 -116.85,75.79 -114.82,75.88 -116.73,75.92 -116.3,76.19 -114.66,76.16 -115.92,76.28 -114.9,76.52 -114.15,76.45 -113.98,76.19 -113,76.27 -112.45,76.18 -111.73,75.92 -112.23,75.81 -111.45,75.84 -111.25,75.52 -108.9,75.48 -108.83,75.69 -110.06,75.89 -109.31,76.11 -110.39,76.39 -109.3,76.8 | -97.2,76.79 -97,76.79 -97,76.86 -97.2,76.86 | -113.47,76.77 -114.88,76.77 -113.89,76.89 | -109.31,76.89 -109.07,76.89 -109.07,76.94 -109.31,76.94 | -97.26,76.97 -97.47,76.98 -97.2,77.04 | -95.66,77.06 -93.65,76.91 -93.18,76.74 -93.55,76.39 -93.05,76.62 -91.41,76.69 -90.47,76.47 -91.4,76.46 -89.29,76.3 -89.38,76.18 -90.44,76.18 -90.09,76.12 -91.61,76.26 -90.85,76.06 -90.19,76.06 -91.16,76.02 -91.13,75.84 -90.79,75.99 -90.5,75.9 -90.02,76.01 -89.78,75.79 -89.59,75.86 -89.17,75.78 -89.26,75.63 -89.77,75.58 -89.22,75.58 -88.95,75.43 -88.74,75.68 -88.26,75.48 -87.72,75.58 -87.57,75.44 -87.25,75.62 -86.38,75.43 -86.54,75.36 -85.68,75.41 -86.11,75.51 -84.5,75.63 -83.88,75.82 -83.12,75.73 -81.54,75.81 -81.27,75.65 -80.07,75.58 -80.36,75.46 -79.57,75.45 -79.57,75.2 -80.44,75.04 -80.27,74.95 -79.61,75.02 -79.33,74.89 -79.93,74.81 -80.32,74.94 -80.23,74.58 -81.81,74.46 -82.91,74.55 -83.51,74.9 -83.47,74.58 -84.29,74.5 -84.9,74.5 -84.99,74.7 -85.21,74.49 -85.53,74.69 -85.6,74.5 -86.12,74.48 -86.2,74.62 -86.42,74.48 -86.79,74.62 -86.69,74.47 -88.5,74.5 -88.55,74.91 -88.85,74.66 -89.1,74.84 -89.49,74.55 -91.01,74.7 -90.77,74.88 -91.11,74.63 -91.54,74.65 -92.06,74.8 -92.06,75.15 -92.49,75.21 -92.11,75.86 -93.08,76.36 -95.38,76.23 -94.8,76.32 -96,76.44 -95.59,76.6 -96.02,76.55 -96.96,76.73 -96.86,76.81 -96.31,76.75 -96.81,76.98 | -113.5,77.08 -113.29,77.08 -113.29,77.13 -113.5,77.13 | -113.93,77.1 -113.66,77.1 -113.66,77.15 -113.93,77.15 | -104.43,77.07 -104,77.07 -104,77.17 -104.43,77.17 | -95.64,77.16 -95.21,77.16 -95.21,77.24 -95.64,77.24 | -90.93,77.25 -90.87,77.14 -91.3,77.22 | -116.35,77.54 -115.39,77.31 -116.28,77.18 -115.73,76.95 -116.37,76.93 -115.9,76.69 -117.05,76.53 -117.1,76.3 -117.58,76.27 -118.06,76.41 -117.84,76.82 -118.5,76.71 -118.5,76.51 -118.97,76.51 -118.57,76.34 -119.08,76.08 -119.65,76.3 -119.48,75.97 -119.87,75.86 -120.45,75.82 -120.86,76.2 -121,75.94 -122.13,76.04 -122.56,75.93 -122.62,76.17 -123.04,76.08 -122.6,76.35 -121.53,76.44 -120.4,76.8 -119.15,77.33 -117.87,77.39 -117.02,77.29 -116.65,77.39 -117.15,77.46 | -85.29,77.59 -84.81,77.5 -85.17,77.46 | -90.6,77.63 -89.64,77.34 -90.37,77.2 -91.15,77.36 -91.18,77.61 | -105.01,77.41 -104.4,77.17 -104.79,77.11 -105.25,77.19 -106.09,77.72 -105.47,77.71 | -95.41,77.76 -93.63,77.78 -93.1,77.66 -93.57,77.44 -95.86,77.46 -96.26,77.69 | -77.95,77.77 -77.57,77.77 -77.57,77.86 -77.95,77.86 | -101.71,77.9 -100.94,77.73 -102.07,77.68 -102.53,77.83 | -114.07,77.98 -113.58,77.81 -114.19,77.7 -115.12,77.96 -114.36,78.07 | -109.59,78.06 -110.9,77.86 -110.09,77.77 -110.2,77.51 -112.03,77.32 -113.2,77.52 -113.32,77.8 -112.29,78.01 | -101.65,78.14 -101.88,78.16 -101.71,78.23 | -103.28,78.12 -102.78,78.12 -102.78,78.27 -103.28,78.27 | -94.69,78.16 -94.31,78.16 -94.31,78.29 -94.69,78.29 | -88.41,78.24 -88.04,78.24 -88.04,78.46 -88.41,78.46 | -109.65,78.59 -109.43,78.3 -113.33,78.33 -110.64,78.75 | -74.71,78.68 -74.16,78.68 -74.16,78.78 -74.71,78.78 | -96.77,78.68 -94.88,78.39 -95.4,78.23 -94.89,78.1 -95.11,77.95 -97.1,77.8 -96.99,77.92 -97.78,78.03 -96.87,78.13 -98.05,78.3 -98.36,78.77 -97.66,78.81 | -86.32,78.88 -85.99,79.05 -85.17,79.02 | -103.59,79.33 -102.62,79.1 -102.56,78.87 -101.65,79.08 -100.99,78.94 -101.19,78.8 -100.35,78.83 -99.95,78.73 -99.53,78.58 -99.79,78.3 -98.95,78.06 -99.02,77.88 -99.91,77.78 -100.61,77.88 -101.04,78.2 -102.62,78.24 -102.81,78.38 -103.99,78.23 -104.82,78.36 -104.87,78.56 -103.52,78.5 -103.4,78.62 -104.04,78.63 -103.32,78.74 -104.2,78.77 -103.82,78.9 -104.2,78.99 -105.01,78.8 -104.68,79.02 -105.58,79.03 -105.48,79.31 | -99.47,80.11 -98.87,80.08 -98.64,79.79 -98.83,79.66 -100.16,79.9 -100.07,80.09 | -99.42,80.15 -99.11,80.15 -99.11,80.18 -99.42,80.18 | -96.15,80.61 -94.97,80.61 -94.97,80.7 -96.15,80.7 | -92.73,81.31 -91.86,81.17 -90.77,80.57 -89.24,80.52 -88.78,80.13 -88.15,80.09 -88.62,80.4 -87.68,80.41 -87.56,80.18 -88.07,80.12 -87.22,80.05 -87.49,79.83 -86.96,79.9 -87.46,79.53 -86.33,79.65 -86.07,79.43 -85.68,79.61 -84.9,79.27 -86.7,78.96 -86.98,79.06 -87.62,78.65 -87.72,79.08 -88.16,78.99 -87.91,78.55 -88.23,78.45 -88.8,78.61 -88.82,78.15 -89.98,78.61 -89.51,78.15 -90.21,78.34 -90.75,78.32 -90.47,78.14 -92.56,78.31 -92.97,78.49 -91.65,78.56 -93.27,78.58 -93.81,78.77 -93.04,78.77 -94.29,78.99 -93.3,79.17 -90.36,79.25 -92.24,79.21 -92.6,79.3 -91.13,79.39 -92.18,79.35 -93.09,79.48 -93.87,79.26 -94.39,79.42 -95.09,79.27 -95.74,79.54 -94.7,79.61 -94.32,79.78 -95.85,79.65 -96.8,80.09 -94.38,79.98 -94.73,80.11 -94.12,80.18 -95.37,80.12 -95.24,80.24 -95.93,80.19 -96.68,80.35 -95.44,80.34 -95.98,80.58 -93.79,80.53 -94.66,80.65 -94.11,80.72 -95.48,80.8 -95.48,80.9 -94.94,81.05 -94.43,80.97 -93.91,81.04 -94.31,81.12 -93.15,81.09 -93.26,81.21 -94.38,81.25 -94.24,81.35 | -91.96,81.55 -91.58,81.55 -91.58,81.61 -91.96,81.61 | -78.42,82.88 -78.12,82.88 -78.12,82.96 -78.42,82.96 | -70.11,83.11 -69.56,82.99 -66.3,82.93 -68.64,82.63 -65.77,82.84 -65.16,82.76 -64.88,82.91 -64.45,82.76 -63.49,82.83 -63.37,82.44 -61.53,82.48 -61.14,82.25 -64.21,81.74 -66.01,81.7 -65.34,81.69 -65.79,81.63 -68.23,81.56 -69.29,81.72 -68.58,81.51 -66.61,81.51 -70.21,81.18 -69.64,81.18 -70.02,81.1 -65.64,81.5 -64.54,81.54 -64.66,81.39 -67.61,80.93 -69.48,80.38 -70.28,80.35 -70.81,80.56 -70.15,80.19 -71.69,80.11 -72.39,80.22 -71.9,80.11 -72.34,80.06 -70.51,80.1 -71.42,79.93 -70.91,79.89 -71.18,79.78 -72.27,79.66 -72.93,79.82 -74.24,79.89 -74.85,79.84 -73.38,79.75 -73.3,79.51 -73.97,79.55 -74.2,79.44 -74.96,79.51 -75.06,79.37 -77.14,79.55 -75.89,79.35 -77.36,79.46 -77.16,79.32 -78.05,79.35 -77.49,79.24 -74.46,79.22 -74.58,79.02 -76.13,79.2 -78.25,79.17 -76.17,79.08 -78.89,79.06 -77.71,79.01 -78.25,78.77 -77.71,78.97 -76.75,79.03 -75.72,78.97 -76.44,78.84 -74.78,78.83 -75.05,78.53 -76.69,78.52 -75.03,78.33 -75.61,78.2 -76.89,78.22 -75.6,78.12 -75.92,77.96 -76.25,78.02 -76.93,77.9 -78.26,78 -77.72,77.6 -78.74,77.31 -78.76,77.38 -79.21,77.29 -80.75,77.33 -81.93,77.69 -81.73,77.43 -81.17,77.34 -82.15,77.3 -81.83,77.16 -80.96,77.27 -80.12,77.2 -80.37,77.07 -79.73,77.24 -79.25,77.22 -79.39,76.93 -78.72,76.82 -78.09,77.02 -77.78,76.79 -78.38,76.46 -78.79,76.57 -79.27,76.3 -81.05,76.13 -80.77,76.42 -81.28,76.53 -82.04,76.51 -81.79,76.69 -82.29,76.64 -82.73,76.82 -82.08,76.56 -82.26,76.4 -83,76.43 -83.4,76.76 -83.2,76.41 -84.31,76.66 -84.24,76.44 -84.97,76.58 -85.05,76.51 -84.38,76.31 -85.17,76.28 -86.37,76.39 -86.59,76.63 -86.34,76.51 -86.72,76.35 -87.54,76.62 -87.42,76.35 -88.39,76.39 -88.49,76.82 -88.61,76.4 -88.71,76.59 -88.9,76.41 -89.21,76.43 -89.68,76.57 -89.53,76.85 -88.43,77.12 -86.79,77.13 -87.25,77.3 -86.84,77.36 -87.71,77.36 -88.07,77.82 -87.23,77.9 -86.42,77.83 -85.79,77.42 -84.48,77.29 -84.55,77.4 -83.46,77.35 -83.84,77.46 -82.32,78.07 -83.9,77.49 -84.86,77.54 -84.49,77.75 -84.92,77.6 -85.31,77.66 -85.33,77.87 -84.33,77.9 -85.68,77.93 -84.29,78.08 -84.88,78.06 -84.99,78.16 -84.13,78.17 -84.97,78.2 -84.64,78.59 -85.49,78.1 -86.29,78.08 -85.83,78.38 -86.74,78.12 -87.53,78.13 -87.09,78.21 -87.51,78.22 -87.52,78.43 -86.62,78.8 -85.06,78.92 -83.75,78.84 -82.34,78.57 -82.23,78.74 -83.25,78.83 -81.71,78.84 -81.48,79.05 -82.5,78.88 -84.75,79.03 -84.5,79.14 -83.36,79.05 -84.33,79.19 -85.07,79.63 -86.49,79.76 -86.37,79.96 -85.25,79.92 -86.48,80.01 -86.51,80.3 -83.78,80.25 -81.71,79.59 -79.9,79.65 -81.52,79.73 -81.4,79.94 -83.2,80.32 -78.04,80.57 -79.96,80.61 -76.51,80.85 -78.93,80.88 -78.46,81.16 -76.75,81.44 -78.9,81.1 -79.5,81.19 -79.27,80.92 -80.92,80.66 -83.1,80.54 -81.76,80.81 -83.36,80.69 -83.26,80.84 -83.84,80.55 -85.07,80.51 -85.86,80.54 -85.56,80.62 -86.08,80.53 -86.74,80.6 -85.77,80.95 -82.36,81.18 -85.68,81.05 -87.59,80.63 -89.46,80.92 -86.67,81.01 -84.75,81.29 -89.82,81.01 -90.28,81.2 -88.94,81.25 -89.94,81.33 -88.55,81.53 -87.29,81.51 -88.35,81.58 -90.44,81.37 -90.85,81.45 -89.59,81.63 -90.3,81.7 -91.45,81.52 -91.96,81.66 -90.44,81.89 -89.7,81.92 -89.36,81.81 -88.08,82.1 -86.77,81.89 -86.79,82.06 -85.42,81.86 -85.65,82 -84.62,81.89 -86.88,82.2 -85.37,82.28 -85.91,82.44 -85.05,82.48 -83.52,82.32 -83.11,82.07 -81.88,82.04 -82.68,82.11 -82.65,82.28 -79.23,81.82 -82.71,82.38 -82.5,82.51 -81.54,82.5 -82.22,82.67 -80.58,82.54 -81.51,82.82 -79.86,82.64 -78.84,82.66 -80.43,82.89 -79.37,82.97 -78.14,82.82 -77.77,82.92 -75.89,82.59 -76.23,82.44 -75.4,82.61 -77.22,83.03 -74.44,83.03 -72.63,82.69 -73.65,82.93 -72.93,83.07 -71.61,83.1 -70.87,82.88 -71.47,83.02
+CC 96.9,-12.2 96.92,-12.2 96.92,-12.15 96.9,-12.15 | 96.82,-12.2 96.87,-12.2 96.87,-12.13 96.82,-12.13
+CD 12.74,-5.95 12.97,-5.95 12.97,-5.85 12.74,-5.85 | 25.89,5.19 26.13,5.25 26.49,5.05 26.86,5.03 27.14,5.2 27.67,4.89 27.79,4.6 28.36,4.29 28.78,4.56 29.22,4.34 29.49,4.68 29.81,4.57 29.79,4.38 30.21,3.96 30.55,3.86 30.56,3.61 30.79,3.66 30.93,3.51 30.76,3.07 30.88,2.85 30.73,2.45 30.89,2.33 30.99,2.41 31.3,2.16 31.04,1.77 29.96,0.83 29.96,0.49 29.72,0.07 29.6,-1.39 29.27,-1.63 29.13,-1.86 29.11,-2.25 28.86,-2.41 28.99,-2.81 29.24,-3.06 29.24,-3.92 29.43,-4.5 29.35,-4.94 29.63,-5.72 29.5,-5.98 29.55,-6.3 29.73,-6.63 30.31,-7.14 30.77,-8.19 28.9,-8.48 28.96,-8.67 28.87,-8.83 28.37,-9.26 28.52,-9.35 28.7,-9.79 28.59,-10.25 28.7,-10.65 28.55,-10.84 28.36,-11.55 28.5,-11.87 29.03,-12.38 29.49,-12.46 29.48,-12.24 29.81,-12.16 29.8,-13.45 29.64,-13.42 29.69,-13.27 29.59,-13.22 29.2,-13.44 29.02,-13.4 28.73,-12.9 28.56,-12.88 28.44,-12.52 27.87,-12.26 27.66,-12.3 27.48,-11.97 27.23,-11.78 27.2,-11.57 27.03,-11.6 26.87,-11.97 26,-11.9 25.36,-11.64 25.33,-11.19 24.45,-11.46 24.4,-11.11 24,-10.87 23.86,-11.03 23.48,-10.96 23.08,-11.1 22.56,-11.03 22.25,-11.21 22.16,-10.86 22.32,-10.73 22.31,-10.36 22.16,-9.93 21.87,-9.67 21.79,-9.41 21.94,-8.5 21.75,-8 21.86,-7.48 21.78,-7.28 20.55,-7.28 20.63,-6.91 19.54,-7 19.54,-7.46 19.37,-7.57 19.37,-8 18.53,-7.93 18.11,-8.03 18.12,-8.11 17.62,-8.1 16.94,-7.2 16.97,-7.01 16.58,-5.9 12.9,-5.81 12.44,-6.02 12.21,-5.77 12.53,-5.72 12.57,-5.03 13.1,-4.57 13.41,-4.88 13.7,-4.73 13.73,-4.45 13.96,-4.5 14.4,-4.28 14.49,-4.43 14.36,-4.56 14.42,-4.89 14.66,-4.91 15.21,-4.34 15.46,-4.27 15.54,-4.05 15.89,-3.94 16.23,-3.33 16.2,-2.18 16.53,-1.86 16.88,-1.24 17.33,-1 17.71,-0.54 17.72,-0.13 17.96,0.4 17.87,1 18.07,1.53 18.09,2.22 18.64,3.2 18.65,4.02 18.53,4.32 18.75,4.39 19.11,4.93 19.42,5.13 19.7,5.14 20.34,4.77 20.59,4.41 20.96,4.43 21.21,4.29 21.74,4.29 22.38,4.13 22.54,4.22 22.59,4.47 22.9,4.82 23.42,4.59 24.37,5.01 24.39,5.12 24.73,4.91 25.31,5.03 25.36,5.31 25.54,5.38
+CF 19.06,8.58 19.11,8.69 18.87,8.85 18.99,8.96 20.37,9.11 21.72,10.29 21.72,10.64 22.46,11 22.87,10.92 23.67,9.87 23.65,9.28 23.45,9.03 23.58,8.99 23.52,8.71 24.2,8.69 24.19,8.3 24.8,8.19 25.25,7.85 25.21,7.5 26.4,6.65 26.3,6.4 26.52,6.22 26.44,6.08 27.14,5.77 27.46,5.02 27.08,5.2 26.87,5.03 26.49,5.05 26.2,5.23 25.91,5.18 25.54,5.38 25.36,5.31 25.29,5.03 24.73,4.91 24.39,5.12 24.37,5.01 23.43,4.59 22.9,4.82 22.59,4.47 22.54,4.22 22.29,4.13 21.74,4.29 21.21,4.29 20.96,4.43 20.59,4.41 20.34,4.77 19.83,5.09 19.42,5.13 19.07,4.9 18.75,4.39 18.54,4.34 18.65,4.02 18.62,3.48 18.48,3.64 18.18,3.48 17.48,3.71 17.35,3.61 16.66,3.53 16.48,3.16 16.5,2.85 16.21,2.22 16.1,2.9 15.26,3.67 15.04,4.03 15.15,4.07 15.08,4.3 14.73,4.62 14.67,5.19 14.53,5.29 14.62,5.9 14.48,5.92 14.43,6.08 14.8,6.35 15.23,7.23 15.5,7.53 15.97,7.5 16.57,7.87 16.83,7.55 17.64,7.99 18.59,8.04
+CG 12.78,-4.39 12.65,-4.56 12.4,-4.61 12.34,-4.79 12.21,-4.76 12,-5.02 11.81,-4.78 11.78,-4.55 11.14,-3.93 11.23,-3.69 11.5,-3.51 11.74,-3.69 11.93,-3.64 11.84,-3.56 11.97,-3.31 11.7,-3.18 11.8,-3.01 11.64,-2.82 11.54,-2.86 11.65,-2.62 11.57,-2.33 12.05,-2.42 12.48,-2.33 12.44,-1.89 12.65,-1.82 12.82,-1.91 13,-2.37 13.48,-2.44 13.76,-2.09 13.87,-2.47 14.11,-2.49 14.26,-1.97 14.43,-1.89 14.42,-1 14.52,-0.61 14.42,-0.48 14.19,-0.44 14.13,-0.28 13.85,-0.2 13.96,0.34 14.09,0.54 14.34,0.62 14.49,0.91 14.19,1.39 13.8,1.44 13.19,1.22 13.25,1.4 13.14,1.7 13.29,2.16 14.56,2.17 14.89,2.02 15.7,1.93 16.07,1.65 16.16,1.73 16.08,2.16 16.21,2.22 16.5,2.85 16.59,3.48 17.48,3.71 18.18,3.48 18.49,3.64 18.62,3.48 18.64,3.2 18.09,2.22 18.07,1.53 17.87,1 17.96,0.4 17.72,-0.13 17.71,-0.54 17.33,-1 16.88,-1.24 16.53,-1.86 16.2,-2.18 16.23,-3.33 15.89,-3.94 15.54,-4.05 15.46,-4.27 15.21,-4.34 14.66,-4.91 14.42,-4.89 14.36,-4.56 14.49,-4.43 14.4,-4.28 13.96,-4.5 13.73,-4.45 13.7,-4.73 13.41,-4.88
+CH 7.7,47.54 8.58,47.59 8.62,47.66 8.41,47.7 8.57,47.81 8.89,47.65 9.26,47.66 9.65,47.46 9.47,47.06 9.88,47.02 10.11,46.85 10.4,47 10.48,46.56 10.12,46.61 10.08,46.22 9.95,46.38 9.58,46.3 9.29,46.5 9,45.83 8.83,46.1 8.45,46.25 8.44,46.46 7.86,45.92 7.54,45.98 7.1,45.88 6.78,46.15 6.8,46.43 6.63,46.46 6.3,46.39 6.25,46.22 6,46.15 6.13,46.59 6.97,47.29 6.99,47.5 7.25,47.42 7.56,47.58
+CI -3.17,5.09 -3.1,5.09 -3.1,5.12 -3.17,5.12 | -4.79,5.14 -4,5.14 -4,5.28 -4.79,5.28 | -4.79,5.17 -5.32,5.23 -5.36,5.12 -5.23,5.2 -5.01,5.13 -5.89,5.02 -6.91,4.66 -7.43,4.35 -7.56,4.38 -7.56,5.05 -7.37,5.33 -7.43,5.85 -7.76,5.95 -7.9,6.26 -8.17,6.28 -8.61,6.51 -8.31,6.86 -8.29,7.18 -8.47,7.56 -8.21,7.54 -8.05,8.03 -7.95,8.02 -8.02,8.18 -8.23,8.24 -8.24,8.45 -7.82,8.49 -7.65,8.38 -7.68,8.62 -7.95,8.8 -7.91,9.01 -7.73,9.09 -7.92,9.19 -7.88,9.36 -8.13,9.5 -8.16,9.94 -7.64,10.45 -7.01,10.14 -6.94,10.35 -6.65,10.36 -6.65,10.67 -6.42,10.55 -6.41,10.69 -6.24,10.74 -6.2,10.24 -6,10.19 -5.88,10.38 -5.57,10.46 -5.4,10.3 -5.13,10.3 -4.7,9.7 -4.31,9.6 -4.13,9.83 -3.63,9.95 -3.21,9.9 -2.78,9.4 -2.68,9.47 -2.77,9.06 -2.62,8.91 -2.49,8.2 -2.77,7.95 -3.25,6.61 -3.01,5.71 -2.76,5.58 -2.73,5.11 -3.14,5.14 -3.14,5.37 -3.26,5.34 -3.3,5.12 -3.98,5.24 -3.73,5.26 -3.81,5.38 -3.74,5.27 -4.47,5.3
+CK -157.96,-21.94 -157.88,-21.94 -157.88,-21.88 -157.96,-21.88 | -159.84,-21.26 -159.73,-21.26 -159.73,-21.19 -159.84,-21.19 | -157.34,-20.19 -157.31,-20.19 -157.31,-20.13 -157.34,-20.13 | -158.13,-20.02 -158.08,-20.02 -158.08,-19.97 -158.13,-19.97 | -158.29,-19.84 -158.26,-19.84 -158.26,-19.82 -158.29,-19.82 | -157.74,-19.86 -157.7,-19.86 -157.7,-19.77 -157.74,-19.77 | -158.96,-19.27 -158.92,-19.27 -158.92,-19.24 -158.96,-19.24 | -159.8,-18.89 -159.78,-18.89 -159.78,-18.84 -159.8,-18.84 | -163.17,-18.09 -163.15,-18.09 -163.15,-18.06 -163.17,-18.06 | -165.44,-11.55 -165.41,-11.55 -165.41,-11.53 -165.44,-11.53 | -165.85,-10.89 -165.83,-10.89 -165.83,-10.88 -165.85,-10.88 | -161.05,-10.43 -161.02,-10.43 -161.02,-10.39 -161.05,-10.39 | -161.01,-10.4 -160.97,-10.4 -160.97,-10.35 -161.01,-10.35 | -161.1,-10.05 -161.07,-10.05 -161.07,-10.01 -161.1,-10.01 | -158.01,-8.99 -157.94,-8.99 -157.94,-8.95 -158.01,-8.95
+CL -67.41,-55.9 -67.2,-55.9 -67.2,-55.81 -67.41,-55.81 | -67.86,-55.9 -67.49,-55.9 -67.49,-55.81 -67.86,-55.81 | -67.17,-55.92 -67.07,-55.92 -67.07,-55.8 -67.17,-55.8 | -67.24,-55.8 -67.16,-55.8 -67.16,-55.76 -67.24,-55.76 | -67.27,-55.72 -67.34,-55.79 -67.56,-55.71 -67.36,-55.57 | -67.74,-55.62 -67.59,-55.62 -67.59,-55.49 -67.74,-55.49 | -69.78,-55.41 -69.64,-55.41 -69.64,-55.34 -69.78,-55.34 | -69.99,-55.36 -70.11,-55.3 -69.94,-55.29 | -66.87,-55.33 -67.07,-55.28 -66.88,-55.23 | -66.57,-55.28 -66.63,-55.2 -66.42,-55.19 | -67.08,-55.12 -66.81,-55.12 -66.81,-54.99 -67.08,-54.99 | -68.4,-54.96 -68.33,-55.07 -68.6,-55.15 -69.06,-55.06 -68.21,-55.27 -68.75,-55.27 -68.16,-55.4 -67.96,-55.59 -68.08,-55.72 -68.38,-55.48 -68.94,-55.46 -68.8,-55.19 -69.03,-55.27 -69.43,-55.16 -69.29,-55.17 -69.39,-55.29 -69.17,-55.51 -69.43,-55.5 -69.39,-55.36 -69.71,-55.31 -69.5,-55.18 -69.85,-55.26 -70.03,-55.16 -69.79,-55.05 | -67.78,-54.92 -67.22,-54.95 -67.05,-55.14 -67.24,-55.31 -67.53,-55.17 -67.66,-55.27 -68.11,-55.23 -68.36,-54.94 | -70.51,-54.97 -70.73,-55.02 -70.29,-55.03 -70.26,-55.12 -70.53,-55.21 -71.02,-54.97 -70.35,-54.9 | -69.76,-55.04 -69.95,-54.97 -69.85,-54.88 -69.17,-54.96 | -70.75,-54.91 -70.39,-54.91 -70.39,-54.83 -70.75,-54.83 | -71.11,-54.87 -70.91,-54.92 -71.06,-54.96 -71.46,-54.88 | -72.1,-54.76 -71.92,-54.76 -71.92,-54.63 -72.1,-54.63 | -72.31,-54.37 -72.46,-54.43 -72.54,-54.34 | -70.52,-54.28 -70.22,-54.28 -70.22,-54.15 -70.52,-54.15 | -72.32,-54.26 -72.51,-54.2 -72.3,-54.07 | -73.19,-54.13 -73.47,-54.07 -73.25,-54.04 | -71.26,-54.08 -71.01,-54.1 -71.12,-54.39 -71.35,-54.31 -71.41,-54.12 -71.54,-54.26 -71.7,-54.16 -71.61,-53.95 | -71.67,-53.94 -71.74,-54.16 -71.95,-54.02 -71.74,-54.24 -71.85,-54.34 -72.26,-53.94 -72.06,-53.97 -71.94,-53.85 | -70.44,-53.86 -70.37,-54.04 -70.67,-53.93 -70.52,-54.23 -70.88,-54.05 -70.9,-53.88 -70.62,-53.86 -70.71,-53.69 -70.54,-53.56 | -73.83,-53.59 -73.86,-53.45 -73.69,-53.52 | -72.91,-53.43 -72.88,-53.68 -72.84,-53.46 -72.67,-53.61 -72.45,-53.59 -72.44,-53.75 -72.14,-53.8 -72.42,-53.9 -72.34,-54.05 -73.03,-54.09 -72.78,-54.02 -72.73,-53.84 -73.07,-53.81 -73.13,-54.01 -73.24,-53.71 -73.58,-53.76 -73.62,-53.62 -73.43,-53.56 -72.96,-53.67 -73.27,-53.63 -73.43,-53.47 -73.11,-53.52 -73.17,-53.41 | -73.46,-53.48 -73.49,-53.57 -73.8,-53.43 -73.44,-53.4 | -74.25,-53.33 -74.06,-53.33 -74.06,-53.23 -74.25,-53.23 | -73.41,-52.88 -73.44,-52.96 -73.75,-52.89 | -70.78,-52.9 -70.62,-52.9 -70.62,-52.82 -70.78,-52.82 | -74.36,-52.95 -73.61,-53.07 -73.52,-53.26 -73.46,-53.14 -73.09,-53.35 -73.49,-53.33 -73.89,-53.06 -74.31,-53.1 -74.74,-52.76 | -73.4,-52.74 -73.33,-52.74 -73.33,-52.7 -73.4,-52.7 | -70.92,-54.71 -71.05,-54.77 -71.01,-54.61 -71.29,-54.68 -71.34,-54.52 -71.49,-54.69 -71.95,-54.65 -72.01,-54.5 -71.68,-54.58 -71.85,-54.42 -71.56,-54.51 -71.62,-54.41 -71.36,-54.37 -70.97,-54.47 -70.81,-54.32 -70.61,-54.34 -70.75,-54.59 -70.59,-54.39 -70.13,-54.55 -70.57,-54.28 -70.86,-54.25 -70.88,-54.13 -70.14,-54.43 -70.06,-54.25 -69.77,-54.56 -69.86,-54.28 -69.26,-54.44 -69.38,-54.69 -69.16,-54.46 -68.99,-54.47 -70.07,-54.09 -70.16,-53.75 -69.35,-53.51 -69.35,-53.36 -69.89,-53.35 -70.22,-53.47 -70.45,-53.37 -70.44,-53.01 -70.19,-53.02 -70.1,-52.91 -70.42,-52.77 -70.15,-52.72 -69.92,-52.83 -69.42,-52.46 -69.15,-52.68 -68.81,-52.58 -68.62,-52.64 -68.64,-54.88 -68.89,-54.8 -68.75,-54.9 -69.11,-54.95 -69.66,-54.82 -69.63,-54.69 -69.74,-54.81 -70.28,-54.85 -70.23,-54.69 -70.36,-54.81 -70.76,-54.84 -70.46,-54.63 | -73.81,-52.7 -74.08,-52.61 -73.74,-52.4 | -74.74,-52.32 -74.82,-52.23 -74.62,-52.21 | -73.81,-52.4 -74.09,-52.16 -73.79,-52.26 | -74.19,-52.14 -73.94,-52.34 -74.19,-52.37 -74.15,-52.2 -74.42,-52.14 | -74.8,-52.19 -74.6,-52.19 -74.6,-52.06 -74.8,-52.06 | -74.41,-52.08 -74.35,-52.08 -74.35,-52.05 -74.41,-52.05 | -74.73,-52.09 -74.49,-52.09 -74.49,-51.92 -74.73,-51.92 | -73.69,-52.24 -74.1,-51.92 -73.77,-52.07 | -74.86,-52.14 -74.75,-51.83 -74.6,-51.84 | -75.12,-51.9 -74.96,-51.9 -74.96,-51.71 -75.12,-51.71 | -74.14,-51.95 -74.51,-51.71 -74.09,-51.88 | -73.94,-51.82 -73.77,-51.82 -73.77,-51.66 -73.94,-51.66 | -74.78,-51.82 -74.97,-52.12 -75.06,-51.97 -74.96,-51.81 -74.83,-51.84 -74.93,-51.64 -74.79,-51.65 | -74.06,-51.55 -73.94,-51.79 -74.24,-51.7 | -74.26,-51.45 -74.11,-51.45 -74.11,-51.28 -74.26,-51.28 | -75,-51.4 -75.31,-51.63 -75.21,-51.3 | -73.78,-51.37 -73.91,-51.3 -73.79,-51.26 | -74.05,-51.38 -74.1,-51.23 -73.97,-51.24 | -74.54,-51.28 -74.6,-51.41 -74.68,-51.33 -75.02,-51.47 -74.79,-51.21 | -75.03,-51.18 -74.86,-51.18 -74.86,-51.1 -75.03,-51.1 | -74.41,-51.21 -74.6,-51.08 -74.47,-51.03 | -74.35,-51.25 -74.19,-51.25 -74.19,-50.92 -74.35,-50.92 | -74.4,-50.86 -74.41,-51.09 -74.48,-51 -74.72,-51.11 -74.96,-50.97 -74.62,-50.9 -74.66,-50.73 | -74.69,-50.89 -74.93,-50.85 -74.95,-50.73 -74.75,-50.7 | -75.11,-50.81 -74.98,-50.81 -74.98,-50.65 -75.11,-50.65 | -74.69,-50.59 -74.58,-50.59 -74.58,-50.5 -74.69,-50.5 | -75.1,-50.52 -75.27,-50.58 -75.29,-50.79 -75.52,-50.66 -75.37,-50.62 -75.42,-50.47 | -74.36,-50.49 -74.19,-50.85 -74.52,-50.73 -74.42,-50.52 -74.67,-50.48 | -74.74,-50.5 -74.75,-50.39 -74.54,-50.38 | -75.05,-50.17 -74.82,-50.11 -74.81,-50.21 -75.21,-50.44 -75.32,-50.41 -75.2,-50.31 -75.46,-50.36 -75.37,-50.15 -75.14,-50.25 -75.4,-50.04 -75.14,-50.03 | -75.31,-49.67 -75.17,-49.9 -75.59,-49.78 -75.56,-49.62 | -75.58,-49.55 -75.47,-49.55 -75.47,-49.46 -75.58,-49.46 | -74.29,-49.56 -74.42,-49.63 -74.44,-49.43 | -74.92,-49.3 -75.24,-49.14 -74.97,-49.03 | -75.29,-49.1 -75.51,-49.27 -75.66,-49.22 -75.36,-48.99 | -75.28,-48.89 -75.26,-49.08 -75.32,-48.95 -75.5,-49.05 -75.66,-48.94 -75.55,-48.84 | -75.18,-49 -75.31,-48.8 -75.08,-48.89 | -74.98,-48.74 -74.99,-48.65 -74.83,-48.66 | -75.28,-48.71 -75.65,-48.77 -75.35,-48.64 | -75.12,-48.83 -75.25,-48.77 -75.07,-48.63 | -75.32,-48.6 -75.6,-48.69 -75.44,-48.61 -75.65,-48.62 -75.65,-48.48 -75.35,-48.43 | -74.41,-48.53 -74.5,-48.4 -74.3,-48.48 | -74.25,-48.49 -74.05,-48.49 -74.05,-48.37 -74.25,-48.37 | -74.26,-48.47 -74.49,-48.35 -74.31,-48.29 | -74.61,-48.46 -74.44,-49.23 -74.6,-49.71 -74.47,-49.62 -74.41,-49.73 -74.47,-49.94 -74.77,-50.05 -74.87,-50 -74.66,-49.96 -74.9,-49.95 -74.92,-49.68 -74.65,-49.36 -75,-49.51 -75.02,-49.9 -75.47,-49.33 -75.38,-49.28 -75.17,-49.5 -75.32,-49.27 -75.16,-49.34 -75.09,-49.2 -74.92,-49.34 -74.83,-49.1 -75.05,-48.8 -74.61,-48.7 -75,-48.6 -75.03,-48.5 -74.71,-48.45 -74.73,-48.12 | -74.42,-48.3 -74.54,-48.33 -74.6,-48.15 | -74.92,-48.16 -74.8,-48.18 -74.84,-48.36 -75.04,-48.44 -75.26,-48.07 | -75.24,-48.27 -75.07,-48.6 -75.23,-48.71 -75.3,-48.44 -75.56,-48.41 -75.34,-48.3 -75.54,-48.32 -75.59,-48.1 -75.34,-48.01 | -74.81,-47.9 -74.87,-48.07 -75.27,-48.03 -74.83,-47.81 | -73.92,-47.89 -73.8,-47.88 -73.88,-47.96 -74.5,-47.92 -74.28,-47.8 | -75.13,-47.85 -75.3,-47.77 -75.13,-47.7 | -75.08,-47.79 -74.9,-47.79 -74.9,-47.69 -75.08,-47.69 | -74.46,-47.18 -74.48,-47.08 -74.31,-47.06 | -74.15,-47.17 -74.18,-47.03 -73.98,-47.05 | -73.77,-46.21 -73.91,-46.02 -73.68,-46.08 | -73.68,-46.03 -73.82,-46 -73.78,-45.91 | -74.72,-45.85 -74.91,-46.1 -75.08,-46.09 -74.95,-46.01 -75.1,-45.87 | -73.95,-45.99 -73.7,-45.99 -73.7,-45.8 -73.95,-45.8 | -74.11,-45.92 -73.96,-45.92 -73.96,-45.74 -74.11,-45.74 | -74.88,-45.71 -74.75,-45.71 -74.75,-45.6 -74.88,-45.6 | -74.62,-45.76 -74.68,-45.64 -74.55,-45.58 | -73.99,-45.72 -74.03,-45.54 -73.9,-45.62 | -74.46,-45.78 -74.39,-45.44 -74.21,-45.64 | -73.65,-45.76 -73.78,-45.67 -73.7,-45.44 -73.58,-45.48 | -74.57,-45.59 -74.44,-45.59 -74.44,-45.42 -74.57,-45.42 | -74.02,-45.43 -73.82,-45.48 -73.87,-45.57 -74.14,-45.58 | -73.9,-45.43 -74.02,-45.4 -73.83,-45.37 | -74.34,-45.41 -74.53,-45.31 -74.39,-45.29 | -73.98,-45.27 -73.78,-45.34 -74.13,-45.33 -74.14,-45.23 | -74.42,-45.31 -74.27,-45.31 -74.27,-45.15 -74.42,-45.15 | -73.85,-45 -73.73,-45.28 -74.24,-45.16 -74.18,-45.03 | -73.98,-44.98 -74.37,-45.01 -74.17,-44.87 | -75.15,-44.93 -75.02,-44.93 -75.02,-44.78 -75.15,-44.78 | -74.03,-44.86 -74.19,-44.81 -73.97,-44.78 | -73.94,-44.97 -73.76,-44.97 -73.76,-44.77 -73.94,-44.77 | -73.65,-44.84 -73.75,-44.76 -73.61,-44.74 | -74.53,-44.86 -74.31,-44.86 -74.31,-44.71 -74.53,-44.71 | -74.67,-44.7 -74.45,-44.7 -74.45,-44.62 -74.67,-44.62 | -74.21,-44.78 -74.4,-44.63 -73.87,-44.69 | -74.83,-44.69 -74.73,-44.69 -74.73,-44.55 -74.83,-44.55 | -73.75,-44.74 -73.82,-44.57 -73.69,-44.54 -73.59,-44.71 | -74.3,-44.58 -74.3,-44.5 -74.14,-44.55 | -74.02,-44.56 -74.13,-44.45 -73.96,-44.48 | -74.41,-44.51 -74.5,-44.44 -74.22,-44.47 | -73.91,-44.47 -73.78,-44.47 -73.78,-44.37 -73.91,-44.37 | -72.72,-44.55 -72.98,-44.61 -72.84,-44.71 -73.22,-44.94 -73.41,-44.82 -73.21,-44.8 -73.39,-44.79 -73.46,-44.64 -73,-44.37 | -73.69,-44.44 -73.79,-44.38 -73.65,-44.35 | -74.11,-44.45 -73.93,-44.45 -73.93,-44.32 -74.11,-44.32 | -73.3,-44.39 -73.17,-44.39 -73.17,-44.31 -73.3,-44.31 | -73.85,-44.34 -73.97,-44.28 -73.8,-44.27 | -74.42,-44.31 -74.28,-44.31 -74.28,-44.25 -74.42,-44.25 | -73.76,-44.31 -73.66,-44.31 -73.66,-44.24 -73.76,-44.24 | -74.13,-44.33 -73.95,-44.33 -73.95,-44.15 -74.13,-44.15 | -74.39,-44.2 -74.26,-44.2 -74.26,-44.14 -74.39,-44.14 | -74.01,-44.2 -73.83,-44.2 -73.83,-44.1 -74.01,-44.1 | -74.32,-44.03 -74.2,-44.03 -74.2,-44.01 -74.32,-44.01 | -73.76,-44.14 -73.61,-44.14 -73.61,-43.94 -73.76,-43.94 | -73.16,-44.02 -73.27,-43.92 -73.15,-43.89 | -73.86,-43.77 -73.77,-43.89 -74.17,-43.88 | -74.86,-43.65 -74.63,-43.65 -74.63,-43.53 -74.86,-43.53 | -73.61,-43 -73.36,-43 -73.36,-42.91 -73.61,-42.91 | -73.75,-42.65 -73.59,-42.65 -73.59,-42.57 -73.75,-42.57 | -73.65,-42.56 -73.41,-42.56 -73.41,-42.37 -73.65,-42.37 | -73.19,-42.31 -73.06,-42.31 -73.06,-42.24 -73.19,-42.24 | -72.51,-42.15 -72.62,-42.1 -72.51,-42.06 | -73.89,-41.82 -74,-41.83 -73.87,-41.9 -73.5,-41.84 -73.37,-42.25 -73.67,-42.36 -73.62,-42.52 -73.82,-42.51 -73.5,-42.8 -73.65,-42.93 -73.49,-43.11 -73.77,-43.12 -73.71,-43.37 -73.86,-43.4 -74.41,-43.24 -74.18,-42.88 -74.06,-41.81 | -73.09,-41.87 -73,-41.87 -73,-41.74 -73.09,-41.74 | -80.77,-33.78 -80.7,-33.78 -80.7,-33.69 -80.77,-33.69 | -78.99,-33.67 -78.76,-33.67 -78.76,-33.58 -78.99,-33.58 | -109.24,-27.13 -109.45,-27.19 -109.39,-27.07 | -105.48,-26.46 -105.46,-26.46 -105.46,-26.45 -105.48,-26.45 | -79.91,-26.35 -79.87,-26.35 -79.87,-26.34 -79.91,-26.34 | -80.1,-26.26 -80.07,-26.26 -80.07,-26.25 -80.1,-26.25 | -69.48,-17.64 -69.3,-17.97 -69.07,-18.04 -69.15,-18.16 -68.91,-19.06 -68.44,-19.43 -68.7,-19.73 -68.52,-19.92 -68.57,-20.06 -68.78,-20.1 -68.76,-20.41 -68.47,-20.63 -68.56,-20.9 -68.19,-21.3 -68.19,-21.61 -67.85,-22.55 -67.88,-22.83 -67.58,-22.9 -67.18,-22.82 -67,-23 -67.34,-24.02 -68.25,-24.4 -68.56,-24.77 -68.35,-25.12 -68.5,-25.18 -68.6,-25.44 -68.4,-26.16 -68.56,-26.3 -68.58,-26.51 -68.29,-26.92 -68.41,-27.06 -68.81,-27.12 -69.19,-27.97 -69.66,-28.4 -69.79,-29.1 -70.03,-29.31 -69.83,-30.19 -70.13,-30.44 -70.3,-31.03 -70.53,-31.19 -70.59,-31.57 -70.43,-31.87 -70.23,-31.94 -70.32,-32.27 -70.15,-32.48 -70.14,-32.76 -69.99,-32.88 -70.1,-33.17 -69.77,-33.38 -69.91,-33.79 -69.81,-34.24 -70.05,-34.29 -70.37,-35.16 -70.57,-35.25 -70.42,-35.36 -70.34,-35.81 -70.42,-36.14 -70.7,-36.27 -70.71,-36.42 -71.04,-36.49 -71.19,-36.84 -71.18,-37.7 -70.82,-38.57 -70.93,-38.74 -71.4,-38.92 -71.49,-39.6 -71.7,-39.58 -71.63,-39.95 -71.82,-40.2 -71.66,-40.34 -71.95,-40.73 -71.84,-40.96 -71.92,-41.64 -71.73,-42.1 -72.01,-42.13 -72.13,-42.29 -72.14,-43.01 -71.73,-43.19 -71.95,-43.45 -71.7,-43.6 -71.81,-43.75 -71.65,-43.92 -71.86,-44.37 -71.2,-44.43 -71.11,-44.54 -71.28,-44.8 -72.08,-44.77 -72.06,-44.91 -71.57,-44.98 -71.3,-45.29 -71.78,-45.65 -71.6,-45.97 -71.91,-46.15 -71.75,-46.24 -71.67,-46.68 -71.94,-46.82 -71.87,-47.22 -72.36,-47.47 -72.54,-47.92 -72.32,-48.08 -72.29,-48.34 -72.6,-48.48 -72.56,-48.8 -72.99,-48.98 -73.14,-49.3 -73.46,-49.31 -73.58,-49.54 -73.44,-49.78 -73.53,-50.14 -73.28,-50.32 -73.17,-50.75 -72.76,-50.62 -72.29,-50.65 -72.4,-51.11 -72.25,-51.24 -72.4,-51.51 -71.91,-52 -70,-52 -68.43,-52.33 -69.26,-52.21 -69.67,-52.53 -70.81,-52.73 -70.97,-53.76 -71.28,-53.89 -72.11,-53.69 -72.45,-53.4 -72.12,-53.25 -72.24,-53.44 -72.11,-53.43 -71.86,-53.22 -71.79,-53.44 -72.01,-53.56 -71.8,-53.52 -71.74,-53.22 -71.34,-53.11 -71.17,-52.81 -71.6,-52.88 -72.02,-53.13 -72.55,-53.07 -72.19,-53.18 -72.53,-53.2 -72.51,-53.36 -72.65,-53.32 -72.4,-53.54 -73.3,-53.16 -72.94,-53.16 -72.71,-53.29 -72.79,-53.18 -72.65,-53.15 -72.94,-53.1 -72.92,-52.82 -72.72,-52.75 -72.42,-52.81 -72.16,-52.64 -71.63,-52.68 -71.53,-52.56 -72.3,-52.52 -72.42,-52.66 -72.55,-52.59 -72.4,-52.5 -72.8,-52.54 -72.9,-52.63 -72.68,-52.66 -73.01,-52.85 -72.98,-53.07 -73.45,-53.01 -73.24,-52.89 -73.56,-52.79 -73.24,-52.79 -73.1,-52.51 -72.89,-52.52 -73.15,-52.49 -73.27,-52.67 -73.37,-52.59 -73.69,-52.73 -73.55,-52.54 -73.73,-52.03 -73.33,-52.22 -72.99,-52.07 -72.86,-52.26 -72.78,-52.06 -72.88,-52.21 -72.94,-52.09 -72.85,-51.95 -72.7,-51.98 -72.57,-52.32 -72.9,-52.46 -72.49,-52.32 -72.67,-51.97 -72.47,-51.93 -72.47,-51.79 -72.72,-51.58 -73.24,-51.46 -72.56,-51.78 -72.72,-51.84 -73.28,-51.61 -72.99,-51.79 -73.2,-51.89 -72.92,-51.86 -73.24,-52.09 -73.39,-51.66 -73.28,-52.16 -73.55,-52.06 -73.65,-51.84 -73.4,-52.02 -73.59,-51.75 -73.46,-51.69 -73.7,-51.79 -73.91,-51.62 -73.89,-51.37 -73.6,-51.62 -73.71,-51.16 -74.09,-51.21 -74.25,-50.94 -73.85,-50.92 -73.75,-50.66 -73.53,-50.71 -73.72,-50.56 -73.57,-50.4 -73.83,-50.77 -74.05,-50.83 -74.29,-50.48 -73.88,-50.54 -74.69,-50.2 -74.36,-50.09 -73.87,-50.29 -74.37,-49.99 -74.27,-49.93 -73.89,-50.07 -74.3,-49.89 -74.34,-49.79 -74.06,-49.72 -74.3,-49.74 -74.33,-49.63 -73.96,-49.56 -73.71,-49.76 -73.88,-49.52 -74.11,-49.48 -74.07,-49.26 -73.84,-49.35 -74.03,-49.09 -73.83,-49.03 -74.04,-49.02 -74.21,-49.53 -74.37,-49.43 -74.45,-48.81 -74.37,-48.72 -74.06,-48.74 -74.31,-48.73 -74.4,-48.61 -74.2,-48.48 -74.05,-48.55 -74.02,-48.41 -74.65,-48.02 -74.42,-47.99 -74.21,-48.23 -74.32,-48 -73.77,-48.03 -73.55,-48.25 -73.27,-48.09 -73.48,-48.12 -73.65,-47.9 -73.22,-48 -73.71,-47.78 -73.72,-47.53 -73.77,-47.78 -73.93,-47.85 -74.74,-47.72 -74.55,-47.55 -74.23,-47.75 -74.25,-47.63 -74.04,-47.62 -74.06,-47.54 -74.31,-47.6 -74.53,-47.44 -74.32,-47.22 -74.17,-47.21 -74.11,-47.35 -73.93,-47.04 -74.14,-46.99 -74.27,-46.79 -74.62,-46.79 -74.5,-46.9 -75.01,-46.75 -74.94,-46.44 -75.19,-46.63 -75.6,-46.7 -75.64,-46.78 -75.42,-46.72 -75.41,-46.93 -75.57,-46.94 -75.72,-46.73 -75.64,-46.57 -74.82,-46.11 -74.68,-45.83 -74.36,-45.79 -74.14,-45.81 -73.97,-46.09 -74.31,-46.25 -74.49,-46.19 -74.34,-46.27 -74.05,-46.2 -73.85,-46.35 -74.02,-46.22 -73.88,-46.14 -73.77,-46.3 -74,-46.56 -73.84,-46.59 -73.43,-46.07 -73.69,-46.32 -73.66,-45.97 -73.4,-45.7 -73.18,-45.67 -73.4,-45.65 -73.59,-45.78 -73.52,-45.45 -73.22,-45.3 -73.01,-45.45 -72.83,-45.42 -73.25,-45.25 -73.45,-45.29 -73.3,-45.14 -73.39,-44.98 -72.77,-44.75 -72.61,-44.47 -72.61,-44.37 -72.74,-44.46 -73.29,-44.14 -73.02,-43.81 -72.85,-43.78 -73.04,-43.73 -73.12,-43.44 -72.87,-43.02 -72.75,-43.05 -72.86,-42.57 -72.81,-42.49 -72.54,-42.56 -72.85,-42.28 -72.59,-42.19 -72.42,-42.45 -72.46,-41.97 -72.75,-42.01 -72.86,-41.91 -72.35,-41.65 -72.31,-41.44 -72.4,-41.65 -72.57,-41.71 -72.95,-41.48 -73.2,-41.79 -73.75,-41.75 -73.49,-41.52 -73.7,-41.6 -73.87,-41.48 -74,-40.97 -73.75,-40.52 -73.71,-39.98 -73.4,-39.88 -73.22,-39.41 -73.52,-38.54 -73.45,-38.06 -73.67,-37.73 -73.68,-37.34 -73.59,-37.15 -73.44,-37.24 -73.2,-37.15 -73.13,-36.68 -72.98,-36.7 -72.8,-35.98 -72.59,-35.8 -72.65,-35.58 -72.21,-35.09 -72.02,-34.14 -71.66,-33.66 -71.76,-33.1 -71.57,-33.01 -71.41,-32.39 -71.54,-32.19 -71.7,-30.51 -71.65,-30.27 -71.41,-30.19 -71.29,-29.9 -71.31,-29.43 -71.52,-28.97 -71.16,-28.35 -71.08,-27.78 -70.91,-27.62 -70.97,-27.18 -70.79,-26.99 -70.64,-26.3 -70.73,-25.81 -70.45,-25.36 -70.58,-24.71 -70.39,-23.56 -70.48,-23.45 -70.62,-23.49 -70.57,-23.07 -70.39,-23.06 -70.29,-22.89 -70.05,-21.43 -70.21,-20.8 -70.12,-19.98 -70.34,-18.82 -70.31,-18.43 -70.41,-18.35 -69.97,-18.26 -69.77,-17.97 -69.81,-17.65 -69.5,-17.51
+CM 9.62,3.55 9.7,3.55 9.7,3.58 9.62,3.58 | 14.58,12.74 14.83,12.63 14.89,12.15 15.04,12.08 15.06,10.79 15.37,10.25 15.68,9.99 14.19,9.98 13.96,9.65 14.35,9.2 15.08,8.64 15.58,7.76 14.8,6.35 14.42,6.04 14.62,5.91 14.53,5.29 14.67,5.19 14.73,4.62 15.09,4.29 15.08,3.92 16.1,2.9 16.21,2.22 16.08,2.16 16.16,1.72 16.07,1.65 15.7,1.93 14.89,2.02 14.56,2.17 13.29,2.16 13.16,2.28 11.58,2.32 11.37,2.3 11.34,2.17 9.94,2.19 9.81,2.34 9.93,3.27 9.54,3.81 9.72,3.87 9.49,4.12 9.53,3.98 9.43,3.9 8.98,4.1 8.84,4.64 8.87,4.54 8.67,4.68 8.71,4.5 8.5,4.53 8.82,5.19 8.92,5.6 8.87,5.84 9.71,6.52 9.8,6.8 10.16,7.02 10.27,6.87 10.51,6.88 10.62,7.07 10.84,6.96 11.08,6.71 11.13,6.44 11.38,6.45 11.52,6.61 11.59,6.89 11.86,7.08 11.75,7.27 12.04,7.58 12.25,8.41 12.42,8.49 12.4,8.59 12.79,8.77 12.9,9.35 13.24,9.58 13.25,10.08 13.46,10.17 13.56,10.64 13.81,11.06 14,11.28 14.19,11.24 14.64,11.57 14.65,12.19 14.49,12.34 14.17,12.4 14.07,13.08 14.44,13.08
+CN 110.51,19.13 110.52,19.13 110.52,19.14 110.51,19.14 | 110.72,20.06 110.93,20 111.03,19.64 110.82,19.54 110.58,19.16 110.48,19.17 110.58,19.14 110.53,18.8 110.1,18.54 110.05,18.38 109.77,18.39 109.72,18.22 109.57,18.17 108.69,18.51 108.63,19.28 109.29,19.76 109.16,19.72 109.26,19.9 109.47,19.83 109.61,19.99 110.02,19.95 110.16,20.06 110.57,20.03 110.67,20.13 | 116.7,20.71 116.72,20.71 116.72,20.72 116.7,20.72 | 110.55,20.88 110.64,20.88 110.64,20.96 110.55,20.96 | 109.07,21.01 109.12,21.01 109.12,21.07 109.07,21.07 | 110.55,21.06 110.5,20.96 110.25,20.98 110.33,21.08 | 110.5,21.19 110.61,21.19 110.54,21.1 | 111.81,21.56 112.01,21.56 112.01,21.66 111.81,21.66 | 108.32,21.65 108.33,21.65 108.33,21.68 108.32,21.68 | 112.52,21.59 112.65,21.59 112.65,21.71 112.52,21.71 | 112.81,21.65 112.76,21.58 112.7,21.69 112.87,21.77 | 113.38,22.01 113.31,22.02 113.38,22.08 | 113.26,22.06 113.36,22.06 113.36,22.16 113.26,22.16 | 113.49,22.65 113.6,22.65 113.6,22.74 113.49,22.74 | 113.39,22.75 113.61,22.75 113.61,22.91 113.39,22.91 | 117.12,23.4 116.94,23.44 117.1,23.49 | 117.4,23.77 117.51,23.73 117.31,23.58 | 118.13,24.43 118.09,24.55 118.19,24.49 | 119.27,25.42 119.33,25.42 119.33,25.57 119.27,25.57 | 119.83,25.58 119.7,25.43 119.72,25.64 | 119.21,25.96 119.41,25.96 119.41,26.07 119.21,26.07 | 121.17,28.05 121.12,28.13 121.24,28.2 | 121.86,29.05 121.96,29.05 121.96,29.17 121.86,29.17 | 122.11,29.79 122.17,29.65 122.03,29.72 | 122.41,29.93 122.39,29.83 122.32,29.94 | 121.83,29.97 121.91,29.97 121.91,30.08 121.83,30.08 | 122.33,30.02 122.29,29.93 122.01,30 121.96,30.14 | 122.21,30.24 122.07,30.29 122.21,30.34 | 122.27,30.41 122.42,30.41 122.42,30.48 122.27,30.48 | 121.79,31.29 121.88,31.29 121.88,31.37 121.79,31.37 | 121.49,31.72 121.87,31.49 121.36,31.62 121.2,31.8 | 119.71,32.07 119.9,32.07 119.9,32.29 119.71,32.29 | 121.44,39.39 121.26,39.41 121.39,39.48 | 123.38,53.53 123.87,53.48 124.82,53.13 125.16,53.19 125.73,52.98 125.65,52.88 126.1,52.76 125.99,52.58 126.33,52.4 126.32,52.19 126.56,52.13 126.44,51.99 126.92,51.38 126.82,51.27 126.97,51.32 126.93,51.06 127.29,50.74 127.33,50.32 127.59,50.21 127.53,49.79 127.84,49.59 128.77,49.58 129.1,49.35 129.48,49.42 130.22,48.86 130.67,48.86 130.52,48.61 130.83,48.32 130.66,48.1 130.96,47.7 132.54,47.71 133.09,48.1 133.51,48.07 133.75,48.25 134.42,48.39 134.74,48.27 134.56,47.99 134.77,47.71 134.55,47.47 134.18,47.32 134.22,47.11 133.85,46.48 133.9,46.25 133.48,45.83 133.47,45.62 133.15,45.45 133.07,45.09 132.92,45.02 131.86,45.35 131.47,44.97 130.95,44.85 131.3,44.05 131.19,43.55 131.31,43.39 131.12,42.91 130.41,42.72 130.61,42.62 130.6,42.42 130.24,42.72 130.25,42.89 129.91,43.01 129.71,42.44 129.34,42.45 128.93,42.02 128.06,42 128.3,41.58 128.16,41.38 127.27,41.47 126.91,41.8 126.57,41.62 126.49,41.37 126.02,40.9 125.7,40.86 125.04,40.46 124.88,40.47 124.13,39.83 123.41,39.73 123.24,39.81 123.26,39.69 122.4,39.41 121.96,39.03 121.65,39 121.7,38.86 121.19,38.72 121.09,38.91 121.68,39.09 121.6,39.22 121.75,39.35 121.23,39.54 121.54,39.62 121.47,39.81 121.88,39.99 122.3,40.5 122.05,40.74 121.36,40.93 120.97,40.82 121.04,40.71 120.83,40.66 120.46,40.2 119.52,39.87 119.25,39.4 118.92,39.13 118.97,39.19 118.6,39.19 118.32,39.04 118.05,39.22 117.74,39.1 117.54,38.68 117.67,38.39 118.11,38.15 118.84,38.15 119.04,37.87 118.96,37.3 119.23,37.14 119.77,37.15 119.85,37.36 120.74,37.84 121.57,37.42 122.12,37.56 122.17,37.42 122.56,37.4 122.6,37.21 122.4,37.03 122.54,37.02 122.5,36.89 122.2,36.84 121.95,37 121.59,36.76 121.5,36.77 121.58,36.84 121.02,36.58 120.78,36.62 120.76,36.54 120.85,36.6 120.96,36.53 120.88,36.38 120.7,36.42 120.68,36.13 120.35,36.04 120.3,36.27 120.09,36.2 120.24,35.96 119.9,35.64 119.65,35.59 119.18,34.88 119.2,34.77 119.44,34.75 119.65,34.53 120.25,34.31 120.89,32.97 120.84,32.64 121.4,32.38 121.44,32.11 121.74,32 121.89,31.76 121.83,31.68 121.3,31.87 120.94,31.87 120.52,32.1 120.09,31.95 119.77,32.33 119.61,32.19 119.79,32.19 119.88,31.99 120.14,31.9 120.44,32.02 120.71,31.99 120.72,31.82 121.22,31.62 121.7,31.29 121.87,31.01 121.87,30.86 121.44,30.8 120.99,30.57 120.88,30.36 120.45,30.39 120.14,30.2 120.51,30.31 120.61,30.11 120.79,30.06 121.28,30.3 121.68,29.96 122.12,29.89 121.7,29.56 121.45,29.51 121.44,29.42 121.71,29.53 121.8,29.47 121.8,29.61 121.98,29.59 121.93,29.2 121.8,29.2 121.8,29.37 121.74,29.19 121.56,29.29 121.41,29.16 121.69,29.02 121.68,28.91 121.49,28.94 121.66,28.83 121.61,28.72 121.37,28.71 121.14,28.84 121.48,28.67 121.64,28.35 121.58,28.27 121.45,28.34 121.34,28.14 121.16,28.38 120.94,27.98 120.59,28.08 120.84,27.88 120.57,27.59 120.67,27.45 120.48,27.18 120.19,27.29 120.18,27.21 120.42,27.15 120.24,27.13 120.2,26.92 120.03,26.9 120.13,26.64 119.86,26.52 120.07,26.79 119.92,26.79 119.87,26.65 119.79,26.8 119.69,26.81 119.71,26.69 119.55,26.75 119.56,26.61 119.73,26.61 119.82,26.44 119.58,26.47 119.66,26.34 119.82,26.42 119.94,26.35 119.67,26.28 119.43,26 119.09,26.14 119.34,25.94 119.53,26.04 119.71,25.99 119.59,25.68 119.45,25.68 119.65,25.36 119.31,25.61 119.1,25.41 119.35,25.25 119.09,25.11 119.06,25.27 118.87,25.24 118.97,25.17 118.85,25.08 119.02,24.95 118.57,24.88 118.76,24.76 118.62,24.54 118.44,24.63 118.24,24.54 118.16,24.69 117.97,24.55 118.02,24.44 117.79,24.46 118.04,24.4 118.12,24.26 117.74,23.9 117.8,24.01 117.71,24.04 117.61,23.86 117.2,23.63 116.92,23.66 116.76,23.35 116.52,23.42 116.79,23.23 116.51,23.21 116.48,22.94 115.8,22.74 115.64,22.88 115.54,22.66 115.16,22.81 114.89,22.7 114.87,22.53 114.73,22.6 114.77,22.81 114.52,22.7 114.61,22.5 114.37,22.61 113.86,22.47 113.52,23.01 113.83,23.11 113.67,23.15 113.36,22.88 113.57,22.55 113.52,22.18 113.17,22.57 113.39,22.18 113.22,22.04 113.09,22.21 112.94,21.87 112.82,21.96 112.59,21.77 112.28,21.7 111.89,21.92 111.97,21.75 111.86,21.67 111.68,21.78 111.79,21.61 111.64,21.52 111.02,21.52 110.65,21.25 110.76,21.44 110.63,21.37 110.64,21.23 110.53,21.21 110.43,21.22 110.4,21.38 110.39,21.16 110.15,20.99 110.16,20.85 110.38,20.84 110.32,20.64 110.53,20.47 110.28,20.25 109.92,20.23 109.88,20.36 110.01,20.43 109.75,20.64 109.66,20.92 109.77,21.33 109.94,21.45 109.76,21.58 109.77,21.48 109.67,21.5 109.57,21.72 109.53,21.49 109.14,21.4 109.14,21.58 108.86,21.68 108.92,21.76 108.78,21.81 108.86,21.64 108.74,21.6 108.63,21.89 108.48,21.94 108.57,21.68 108.46,21.56 108.33,21.69 108.21,21.5 108.2,21.59 107.96,21.54 107.78,21.67 107.36,21.61 107.3,21.73 107.02,21.82 107.03,21.94 106.69,22.03 106.55,22.46 106.76,22.82 106.52,22.94 106.28,22.86 106.13,22.99 105.87,22.91 105.57,23.06 105.35,23.33 104.91,23.18 104.73,22.82 104.37,22.69 104.27,22.83 104.11,22.8 103.96,22.5 103.66,22.78 103.53,22.58 103.34,22.8 103.05,22.43 102.48,22.77 102.14,22.4 101.69,22.47 101.57,22.21 101.77,21.83 101.78,21.14 101.57,21.25 101.28,21.18 101.12,21.77 100.59,21.46 100.38,21.54 100.19,21.44 100.14,21.63 99.97,21.73 99.96,22.05 99.16,22.16 99.38,22.5 99.34,22.72 99.57,22.94 99.5,23.09 98.93,23.19 98.68,23.97 98.89,24.16 98.06,24.09 97.65,23.85 97.54,23.94 97.75,24.16 97.67,24.44 97.54,24.48 97.55,24.74 97.74,24.92 97.82,25.25 97.95,25.22 98.19,25.62 98.33,25.55 98.53,25.85 98.71,25.87 98.57,26.12 98.73,26.18 98.78,26.61 98.7,27.54 98.46,27.67 98.32,27.54 98.15,28.15 97.7,28.52 97.56,28.55 97.35,28.22 97.13,28.38 96.98,28.33 96.65,28.47 96.4,28.35 96.34,28.52 96.62,28.79 96.47,29.06 96.17,28.9 96.15,29.06 96.4,29.26 96.24,29.25 96.08,29.47 95.39,29.04 94.65,29.33 94.23,29.07 93.96,28.67 93.35,28.62 93.22,28.32 92.71,28.14 92.65,27.92 92.01,27.73 91.66,27.76 91.67,27.94 91.3,28.08 91.09,27.97 90.37,28.08 90.38,28.25 90,28.32 89.49,28.06 88.92,27.32 88.76,27.54 88.84,28 88.63,28.12 88.15,27.96 88.14,27.87 87.87,27.92 87.72,27.8 87.19,27.82 86.7,28.11 86.57,28.11 86.44,27.91 86.23,28.01 86.18,28.16 86.14,27.93 86.01,27.88 85.72,28.28 85.11,28.31 85.19,28.6 84.85,28.54 84.48,28.74 84.24,28.92 84.12,29.26 83.55,29.19 83.2,29.63 82.86,29.67 82.42,30.01 82.18,30.06 82.1,30.34 81.42,30.39 81.38,30.17 81.12,30.02 81,30.26 80.21,30.58 80.25,30.74 79.88,30.96 79.56,30.95 79.09,31.44 78.77,31.31 78.77,31.98 78.48,32.24 78.4,32.55 78.76,32.64 78.97,32.35 79.31,32.5 79.53,32.75 79.38,33.11 78.83,33.49 78.74,34.07 79.01,34.29 78.3,34.65 78.02,35.27 78.08,35.5 77.43,35.47 76.9,35.61 76.59,35.76 76.55,35.91 76.18,35.81 75.93,36.08 76.04,36.24 75.86,36.67 75.45,36.73 75.37,36.93 74.57,37.03 74.4,37.14 74.74,37.3 74.92,37.24 75.19,37.41 74.9,37.65 74.99,37.78 74.81,38.08 74.86,38.47 74.35,38.67 73.94,38.54 73.71,38.86 73.85,38.97 73.62,39.23 73.66,39.45 73.96,39.6 73.84,39.78 73.99,40.04 74.88,40.33 74.86,40.52 75.23,40.45 75.58,40.65 75.7,40.3 76.35,40.35 76.87,41.01 78.08,41.04 78.67,41.53 79.78,41.89 79.88,42.02 80.26,42.05 80.17,42.66 80.26,42.82 80.58,42.89 80.38,43.03 80.82,43.16 80.36,44.13 80.38,44.64 80.52,44.73 79.87,44.9 81.69,45.35 81.95,45.16 82.3,45.24 82.56,45.13 82.65,45.43 82.32,45.57 83.04,47.21 83.92,46.97 84.68,46.99 84.76,46.83 85.53,47.06 85.71,47.36 85.54,47.96 85.76,48.39 86.6,48.54 86.88,49.11 87.45,49.08 87.84,49.17 87.76,48.88 88.09,48.71 87.98,48.57 88.52,48.4 88.62,48.21 89.08,48 89.56,48.04 89.78,47.83 90.07,47.89 90.36,47.64 91.04,46.72 90.92,46.3 91.03,46.02 90.68,45.58 90.9,45.25 91.57,45.08 93.55,44.96 94.72,44.35 95.42,44.29 95.34,44.02 95.54,43.99 95.88,43.28 96.36,42.91 96.38,42.73 97.17,42.8 99.5,42.57 100.84,42.68 101.81,42.51 102.08,42.23 102.71,42.16 103.42,41.89 103.85,41.8 104.53,41.88 104.52,41.66 105.01,41.58 105.86,41.99 107.47,42.47 109.52,42.46 110.44,42.78 110.99,43.32 111.96,43.69 111.88,43.94 111.42,44.36 111.87,45.05 112.43,45.08 112.85,44.85 113.64,44.75 114.46,45.21 114.55,45.39 115.7,45.46 116.21,45.72 116.59,46.3 116.84,46.39 117.37,46.36 117.42,46.58 117.72,46.51 118.31,46.74 118.77,46.68 118.87,46.77 119.36,46.61 119.9,46.68 119.73,47.16 118.54,47.99 117.8,48.01 117.37,47.65 116.87,47.89 116.26,47.88 115.94,47.69 115.59,47.92 115.54,48.14 115.84,48.25 115.81,48.52 116.71,49.83 117.87,49.52 118.58,49.93 119.32,50.09 119.36,50.34 119.14,50.39 120.1,51.66 120.65,51.91 120.78,52.12 120.62,52.34 120.71,52.54 120.44,52.64 120.07,52.59 120.03,52.77 120.86,53.28
+CO -78.56,2.41 -78.54,2.41 -78.54,2.43 -78.56,2.43 | -78.22,2.5 -78.09,2.5 -78.09,2.65 -78.22,2.65 | -78.05,2.54 -77.95,2.54 -77.95,2.65 -78.05,2.65 | -77.86,2.57 -77.92,2.69 -77.79,2.59 | -77.89,2.59 -77.75,2.59 -77.75,2.72 -77.89,2.72 | -77.57,3.07 -77.66,3.08 -77.53,3.21 | -77.54,4.06 -77.44,4.06 -77.44,4.2 -77.54,4.2 | -77.54,4.19 -77.43,4.33 -77.32,4.25 | -71.56,12.45 -71.22,12.3 -71.12,12.02 -71.4,11.81 -71.98,11.66 -72.21,11.25 -72.49,11.12 -72.91,10.44 -73,9.77 -73.38,9.17 -73.01,9.3 -72.78,9.08 -72.66,8.64 -72.38,8.36 -72.33,8.1 -72.46,7.92 -72.47,7.49 -72.15,7.33 -72,7.02 -71.19,6.96 -70.72,7.1 -70.3,6.94 -70.12,6.98 -69.43,6.12 -69.25,6.08 -69.06,6.22 -68.64,6.13 -67.82,6.31 -67.45,6.19 -67.41,5.99 -67.62,5.79 -67.61,5.54 -67.85,5.31 -67.86,4.56 -67.62,3.76 -67.29,3.4 -67.83,2.83 -67.61,2.8 -67.19,2.39 -66.87,1.22 -67.08,1.17 -67.07,1.63 -67.42,2.14 -67.91,1.75 -68.2,1.98 -68.26,1.85 -68.15,1.72 -69.56,1.78 -69.85,1.71 -69.84,1.07 -69.27,1.04 -69.12,0.65 -69.46,0.74 -70.04,0.59 -70.06,-0.16 -69.61,-0.52 -69.38,-1.34 -69.96,-4.24 -70.32,-3.8 -70.52,-3.86 -70.72,-3.78 -70.07,-2.76 -70.29,-2.5 -70.58,-2.49 -70.86,-2.22 -71.36,-2.35 -71.7,-2.15 -71.89,-2.38 -72.23,-2.5 -72.6,-2.41 -72.88,-2.51 -73.11,-2.34 -73.13,-1.85 -73.49,-1.77 -73.44,-1.61 -73.56,-1.37 -74.23,-1.03 -74.38,-0.57 -74.71,-0.37 -74.78,-0.2 -75.15,-0.04 -75.28,-0.12 -75.74,0.04 -76.04,0.34 -76.24,0.4 -76.4,0.39 -76.41,0.27 -76.55,0.22 -77.38,0.38 -77.45,0.65 -77.68,0.84 -78.09,0.91 -79.05,1.63 -78.85,1.84 -78.58,1.77 -78.54,1.91 -78.69,2.2 -78.57,2.43 -77.99,2.52 -77.94,2.65 -77.87,2.56 -77.74,2.6 -77.78,2.76 -77.41,3.29 -77.54,3.25 -77.03,3.92 -77.27,3.84 -77.19,4.06 -77.26,4.1 -77.36,3.92 -77.43,4.03 -77.43,4.18 -77.24,4.26 -77.38,4.34 -77.35,5.24 -77.4,5.46 -77.53,5.52 -77.24,5.75 -77.49,6.19 -77.34,6.57 -77.89,7.23 -77.72,7.52 -77.75,7.72 -77.57,7.53 -77.22,7.94 -77.47,8.53 -77.35,8.66 -76.83,8.13 -76.92,7.93 -76.76,7.92 -76.77,8.4 -76.93,8.57 -76.32,8.94 -76.09,9.34 -75.63,9.45 -75.5,10.55 -75.23,10.72 -75.27,10.8 -74.86,11.13 -74.29,11 -74.59,10.88 -74.6,10.78 -74.39,10.74 -74.16,11.33 -73.28,11.3 -72.76,11.69 -72.26,11.89 -72.17,12.24 -71.96,12.26 -71.96,12.15 -71.63,12.42 -71.72,12.45 | -81.72,12.49 -81.68,12.49 -81.68,12.59 -81.72,12.59 | -81.39,13.32 -81.35,13.32 -81.35,13.38 -81.39,13.38
+CR -85.2,10.07 -85.1,10.07 -85.1,10.12 -85.2,10.12 | -85.09,11.01 -84.9,10.94 -84.67,11.08 -83.92,10.71 -83.67,10.79 -83.64,10.92 -83.34,10.3 -82.77,9.66 -82.56,9.56 -82.64,9.49 -82.83,9.61 -82.93,9.47 -82.93,9.06 -82.71,8.93 -82.91,8.76 -82.83,8.47 -83.03,8.31 -82.9,8.03 -83.34,8.73 -83.48,8.7 -83.29,8.53 -83.29,8.37 -83.73,8.58 -83.59,8.85 -83.62,9.04 -84.23,9.47 -84.62,9.58 -84.74,9.97 -85.24,10.2 -84.9,9.81 -85.14,9.59 -85.35,9.83 -85.66,9.91 -85.86,10.37 -85.63,10.63 -85.68,10.8 -85.91,10.89 -85.71,10.92 -85.61,11.21
+CU -78.46,20.51 -78.32,20.51 -78.32,20.61 -78.46,20.61 | -78.41,20.64 -78.38,20.64 -78.38,20.68 -78.41,20.68 | -78.55,20.69 -78.43,20.69 -78.43,20.73 -78.55,20.73 | -78.83,20.71 -78.75,20.71 -78.75,20.76 -78.83,20.76 | -75.58,20.73 -75.48,20.73 -75.48,20.8 -75.58,20.8 | -78.97,20.77 -78.85,20.77 -78.85,20.84 -78.97,20.84 | -79.08,20.84 -78.97,20.84 -78.97,20.9 -79.08,20.9 | -79.23,20.89 -79.08,20.89 -79.08,21.01 -79.23,21.01 | -79.45,21.1 -79.4,21.1 -79.4,21.13 -79.45,21.13 | -79.38,21.06 -79.29,21.06 -79.29,21.13 -79.38,21.13 | -81.56,21.6 -81.37,21.6 -81.37,21.71 -81.56,21.71 | -82.55,21.57 -82.9,21.43 -83.19,21.62 -82.94,21.58 -83.09,21.79 -82.97,21.94 -82.72,21.89 | -77.92,22.09 -77.65,22.07 -77.64,21.95 | -77.85,22.11 -78.04,22.19 -78,22.29 | -77.85,22.17 -77.77,22.17 -77.77,22.29 -77.85,22.29 | -78.12,22.41 -78.02,22.26 -78.31,22.4 | -78.34,22.53 -78.28,22.44 -78.43,22.41 -78.7,22.51 | -79.05,22.64 -78.95,22.64 -78.95,22.67 -79.05,22.67 | -79.63,22.61 -79.32,22.61 -79.32,22.81 -79.63,22.81 | -79.96,22.92 -79.88,22.92 -79.88,22.97 -79.96,22.97 | -80.35,22.96 -80.23,22.96 -80.23,23.01 -80.35,23.01 | -80.08,23.02 -80.05,23.02 -80.05,23.07 -80.08,23.07 | -80.22,23.06 -80.15,23.06 -80.15,23.12 -80.22,23.12 | -80.97,23.11 -80.8,23.11 -80.8,23.18 -80.97,23.18 | -82,23.19 -81.58,23.16 -81.5,23.06 -81.23,23.16 -81.13,23.02 -80.63,23.1 -80.28,22.91 -80.03,22.95 -79.26,22.37 -78.57,22.32 -77.75,21.8 -77.46,21.78 -77.36,21.64 -77.61,21.88 -77.54,21.92 -77.14,21.65 -77.16,21.58 -77.36,21.62 -77.26,21.47 -77.06,21.59 -76.9,21.31 -76.8,21.38 -76.54,21.18 -76.36,21.27 -76.02,21.08 -75.71,21.12 -75.58,21.01 -75.63,20.85 -75.77,20.83 -75.74,20.7 -74.96,20.69 -74.13,20.19 -74.28,20.06 -74.76,20.05 -75.09,19.89 -75.09,20.06 -75.36,19.88 -76.25,19.99 -77.72,19.83 -77.6,20.04 -77.12,20.36 -77.08,20.47 -77.24,20.66 -78.05,20.7 -78.5,21.03 -78.6,21.48 -78.75,21.64 -79.23,21.54 -79.99,21.72 -80.49,22.18 -80.59,22.05 -80.89,22.04 -81.82,22.18 -82.16,22.4 -81.65,22.49 -81.89,22.68 -82.76,22.7 -83.37,22.2 -83.93,22.16 -84.03,21.91 -84.5,21.77 -84.5,21.93 -84.93,21.84 -84.93,21.92 -84.51,22.05 -84.34,22.01 -84.4,22.33 -84.08,22.66 -83.23,23 -82.97,22.97 | -80.58,23.16 -80.49,23.16 -80.49,23.2 -80.58,23.2
+CV -24.37,14.81 -24.53,14.92 -24.38,15.05 -24.3,14.93 | -23.45,14.98 -23.68,14.94 -23.77,15.25 -23.7,15.29 | -22.71,16.04 -22.88,15.98 -22.96,16.09 -22.8,16.24 | -24.03,16.59 -24.27,16.59 -24.32,16.48 -24.43,16.64 | -24.93,16.8 -25.09,16.83 -24.93,16.92 | -25.28,16.91 -25.33,17.1 -25.1,17.19 -24.97,17.11
+CW -68.78,12.1 -69.17,12.39 -68.98,12.12
+CX 105.7,-10.51 105.63,-10.44 105.74,-10.38
+CY 33.65,35.35 34.59,35.69 33.92,35.27 34.09,34.96 33.68,34.97 33.61,34.82 33.06,34.68 33.03,34.56 32.4,34.75 32.27,35.04 32.55,35.17 32.88,35.16 32.92,35.39
+CZ 14.7,48.58 14.18,48.6 12.79,49.34 12.46,49.7 12.54,49.92 12.09,50.32 12.32,50.21 12.52,50.39 12.99,50.42 13.58,50.71 14.31,50.88 14.31,51.05 14.77,50.82 15.18,51.01 15.38,50.78 16.34,50.66 16.45,50.57 16.21,50.42 16.64,50.11 17,50.22 16.89,50.44 17.43,50.27 17.72,50.32 17.76,50.21 17.6,50.16 17.84,49.99 18.05,50.06 18.58,49.91 18.84,49.59 18.21,49.29 18.12,49.08 17.76,48.88 17.19,48.87 16.95,48.62 16.54,48.81 16.1,48.75 15.03,49.02
+DE 8.67,47.69 8.71,47.69 8.71,47.71 8.67,47.71 | 6.66,53.56 6.81,53.56 6.81,53.62 6.66,53.62 | 6.88,53.67 7.09,53.67 7.09,53.69 6.88,53.69 | 7.14,53.7 7.35,53.7 7.35,53.73 7.14,53.73 | 8.12,53.71 8.19,53.71 8.19,53.74 8.12,53.74 | 7.47,53.72 7.63,53.72 7.63,53.76 7.47,53.76 | 7.66,53.75 7.81,53.75 7.81,53.78 7.66,53.78 | 8.41,53.93 8.46,53.93 8.46,53.97 8.41,53.97 | 11.37,53.96 11.5,53.96 11.5,54.02 11.37,54.02 | 13.93,54.02 13.94,54.02 13.94,54.03 13.93,54.03 | 8.67,54.04 8.7,54.04 8.7,54.08 8.67,54.08 | 11.51,54.05 11.61,54.05 11.61,54.1 11.51,54.1 | 14,54.07 14.22,53.87 13.82,53.85 14.06,53.98 13.86,54 13.76,54.16 | 12.69,54.42 12.73,54.42 12.73,54.43 12.69,54.43 | 8.81,54.46 8.96,54.46 8.96,54.53 8.81,54.53 | 11.31,54.41 11.01,54.46 11.18,54.52 | 8.59,54.49 8.71,54.49 8.71,54.55 8.59,54.55 | 13.06,54.47 13.16,54.47 13.16,54.6 13.06,54.6 | 13.38,54.64 13.68,54.57 13.73,54.28 13.51,54.34 13.39,54.22 13.12,54.33 13.27,54.38 13.15,54.55 13.5,54.49 13.37,54.61 13.24,54.56 | 8.29,54.61 8.4,54.61 8.4,54.71 8.29,54.71 | 8.4,54.68 8.59,54.68 8.59,54.76 8.4,54.76 | 10.98,54.38 11.09,54.2 10.76,54.05 10.82,53.89 11.09,54.01 11.41,53.92 11.68,54.15 12.13,54.19 12.53,54.47 12.92,54.42 12.47,54.4 12.39,54.26 13.02,54.4 13.46,54.1 13.72,54.17 13.81,53.85 14.28,53.7 14.39,53.14 14.15,52.86 14.64,52.57 14.53,52.39 14.76,52.07 14.6,51.82 14.74,51.53 14.98,51.44 14.96,51.05 14.8,50.82 14.31,51.05 14.31,50.88 13.58,50.71 12.99,50.42 12.52,50.39 12.32,50.21 12.09,50.32 12.54,49.92 12.46,49.7 12.67,49.42 13.74,48.88 13.82,48.62 13.73,48.52 13.44,48.57 13.39,48.37 12.76,48.12 13.01,47.85 12.91,47.72 13.1,47.65 13.01,47.47 12.74,47.68 11.68,47.58 11.1,47.4 10.48,47.59 10.47,47.44 10.17,47.27 10.23,47.38 9.81,47.59 9.61,47.53 9.26,47.66 8.89,47.65 8.57,47.81 8.41,47.7 8.62,47.66 8.58,47.59 7.62,47.56 7.58,48.12 7.8,48.58 8.23,48.96 7.42,49.18 6.73,49.17 6.36,49.46 6.52,49.81 6.11,50.06 6.37,50.44 5.86,51.04 6.22,51.36 5.96,51.81 6.75,51.91 6.76,52.11 7.05,52.24 6.99,52.46 6.69,52.55 6.77,52.65 7.05,52.64 7.21,53.24 7.36,53.3 7.02,53.37 7.23,53.66 8.01,53.71 8.1,53.44 8.29,53.42 8.34,53.61 8.5,53.35 8.48,53.69 8.68,53.89 9.28,53.86 9.83,53.54 9.33,53.86 8.9,53.94 8.84,54.03 9.02,54.08 8.82,54.16 8.88,54.29 8.6,54.33 9.02,54.49 8.58,54.87 8.3,54.86 8.29,54.74 8.39,55.05 8.46,54.9 9.92,54.79 10.03,54.56 9.87,54.45 10.13,54.49 10.71,54.31
+DJ 42.87,11.59 43.16,11.57 43.25,11.47 42.94,11 42.63,11.1 42.01,10.94 41.79,11.01 41.83,11.74 42.46,12.53 42.7,12.36 43.12,12.71 43.33,12.48 43.38,12 42.78,11.74 42.67,11.56 42.51,11.57 42.62,11.47
+DK 11.51,54.83 11.71,54.88 11.79,54.64 11.46,54.62 10.99,54.79 11.16,54.96 | 12.04,54.89 12.17,54.84 11.96,54.56 11.71,54.94 | 10.18,54.82 10.44,54.82 10.44,54.98 10.18,54.98 | 12.56,54.96 12.12,54.9 12.31,55.04 | 10.62,54.95 10.5,55.01 10.63,55.04 | 9.79,55.07 10.07,54.87 9.79,54.91 9.63,55.05 | 10.76,54.78 10.68,54.91 10.95,55.16 | 15.05,54.99 14.68,55.1 14.75,55.3 15.14,55.14 | 8.36,55.33 8.47,55.33 8.47,55.47 8.36,55.47 | 10.75,55.48 10.78,55.12 10.5,55.03 10.15,55.08 9.68,55.5 10.31,55.62 10.48,55.44 10.62,55.62 | 12.51,55.55 12.68,55.55 12.68,55.7 12.51,55.7 | 10.63,55.87 10.53,55.77 10.52,55.98 | 12.57,55.99 12.6,55.7 12.19,55.48 12.46,55.29 12.01,55.16 12.18,55.12 12.07,54.97 11.73,55.06 11.73,55.2 11.25,55.2 11.09,55.66 10.87,55.73 11.34,55.75 11.52,55.9 11.27,55.99 11.76,55.96 11.79,55.66 11.91,55.93 12.06,55.65 12.04,55.92 11.86,55.97 12.29,56.13 | 11.5,56.67 11.65,56.67 11.65,56.72 11.5,56.72 | 8.92,56.92 8.77,56.69 8.51,56.74 8.65,56.89 | 9.97,57.07 10.31,56.98 10.31,56.75 9.87,56.65 10.34,56.7 10.19,56.47 10.31,56.58 10.79,56.53 10.92,56.34 10.55,56.1 10.4,56.29 10.19,55.83 9.87,55.85 10.05,55.81 9.99,55.7 9.55,55.71 9.82,55.6 9.59,55.42 9.69,55.2 9.46,55.12 9.73,54.99 9.74,54.83 9.61,54.93 9.34,54.81 8.69,54.9 8.68,55.11 8.46,55.12 8.51,55.2 8.69,55.14 8.62,55.43 8.09,55.55 8.13,55.99 8.19,55.81 8.4,55.9 8.26,56.08 8.11,56.02 8.17,56.65 8.73,56.48 8.68,56.62 9.08,56.81 9.06,56.57 9.27,56.63 9.32,56.53 9.18,56.92 | 10.85,57.22 11.2,57.22 11.2,57.33 10.85,57.33 | 10.43,57.59 10.54,57.23 10.34,56.99 10.01,57.09 9.12,57.05 8.67,56.95 8.42,56.68 8.59,56.69 8.55,56.58 8.24,56.71 8.62,57.12 9.39,57.15 9.96,57.59 10.58,57.75
+DM -61.36,15.2 -61.45,15.63 -61.25,15.46
+DO -71.54,17.54 -71.46,17.54 -71.46,17.62 -71.54,17.62 | -68.78,18.1 -68.57,18.1 -68.57,18.2 -68.78,18.2 | -70.78,19.85 -70.28,19.65 -69.94,19.67 -69.75,19.29 -69.22,19.36 -69.22,19.18 -69.61,19.23 -69.62,19.09 -68.73,18.95 -68.33,18.62 -68.45,18.36 -68.59,18.38 -68.7,18.2 -68.9,18.4 -69.88,18.47 -70.15,18.23 -70.51,18.19 -70.69,18.43 -70.94,18.25 -71.08,18.3 -71.06,18.14 -71.43,17.6 -71.77,18.04 -71.69,18.32 -72,18.6 -71.73,18.72 -71.78,18.96 -71.64,19.16 -71.74,19.29 -71.78,19.78 -71.58,19.91
+DZ 2.96,36.8 3.14,36.74 3.89,36.92 4.79,36.89 5.33,36.64 6.23,36.91 6.4,37.09 6.93,36.88 7.17,36.92 7.23,37.09 7.77,36.97 7.88,36.85 8.62,36.94 8.64,36.83 8.18,36.52 8.38,36.41 8.26,35.86 8.4,35.19 8.25,34.64 7.53,34.11 7.49,33.89 7.74,33.23 8.09,33.11 8.31,32.83 8.35,32.53 9.06,32.1 9.54,30.23 9.3,30.12 9.64,29.69 9.84,29.16 9.79,28.26 9.96,27.85 9.73,27.32 9.92,26.67 9.87,26.51 9.5,26.36 9.39,26.17 10.04,25.32 10.05,24.84 10.25,24.61 10.42,24.48 10.72,24.57 11.56,24.3 11.99,23.52 7.45,20.85 5.81,19.45 3.33,18.98 3.11,19.16 3.28,19.39 3.23,19.82 2.41,20.06 2.21,20.28 2.08,20.22 1.8,20.31 1.63,20.57 1.17,20.74 1.17,21.1 -4.53,24.82 -8.67,27.29 -8.67,28.71 -7.64,29.38 -7.43,29.4 -7.11,29.64 -6.59,29.57 -6.4,29.8 -5.54,29.9 -4.92,30.51 -4.4,30.65 -4.02,30.91 -3.63,30.97 -3.6,31.1 -3.83,31.16 -3.81,31.7 -3.51,31.67 -3,31.83 -2.85,32.09 -1.18,32.11 -1.3,32.16 -1.25,32.33 -1.01,32.51 -1.38,32.72 -1.67,33.26 -1.65,34.08 -1.79,34.38 -1.69,34.49 -1.86,34.61 -1.75,34.75 -2.21,35.09 -1.75,35.13 -0.79,35.76 -0.62,35.72 -0.37,35.9 -0.05,35.81 0.2,36.1 0.95,36.45 2.59,36.59
+EC -80.19,-3.03 -80.27,-3.01 -80.21,-2.72 -79.9,-2.72 | -79.89,-2.64 -79.82,-2.64 -79.82,-2.47 -79.89,-2.47 | -89.75,-1.41 -89.61,-1.41 -89.61,-1.34 -89.75,-1.34 | -90.43,-1.36 -90.48,-1.22 -90.37,-1.27 | -90.09,-0.84 -90.04,-0.84 -90.04,-0.8 -90.09,-0.8 | -89.44,-0.94 -89.62,-0.9 -89.26,-0.69 | -90.26,-0.75 -90.43,-0.77 -90.54,-0.58 -90.19,-0.54 | -91.5,-0.5 -91.66,-0.32 -91.47,-0.25 -91.4,-0.44 | -90.55,-0.3 -90.61,-0.38 -90.87,-0.27 -90.79,-0.15 | -91.22,-0.01 -91.17,-0.24 -90.81,-0.73 -90.93,-0.97 -91.38,-1.03 -91.48,-0.83 -91.08,-0.59 -91.41,-0.23 -91.42,-0.03 -91.61,-0.01 -91.38,0.13 | -90.46,0.27 -90.53,0.35 -90.41,0.33 | -90.8,0.55 -90.74,0.55 -90.74,0.65 -90.8,0.65 | -78.91,1.24 -79,1.27 -78.9,1.37 | -78.59,1.24 -78.09,0.91 -77.68,0.84 -77.45,0.65 -77.38,0.38 -76.55,0.22 -76.41,0.27 -76.4,0.39 -76.24,0.4 -76.04,0.34 -75.76,0.04 -75.29,-0.11 -75.63,-0.17 -75.25,-0.55 -75.22,-0.97 -75.4,-0.92 -75.56,-1.53 -76.07,-2.13 -76.66,-2.57 -77.86,-2.98 -78.21,-3.34 -78.23,-3.52 -78.34,-3.42 -78.67,-4.31 -78.67,-4.55 -78.88,-4.68 -79.05,-5.01 -79.29,-4.96 -79.64,-4.44 -79.81,-4.48 -80.13,-4.28 -80.36,-4.47 -80.48,-4.43 -80.34,-4.2 -80.47,-4.2 -80.47,-3.99 -80.32,-4.01 -80.15,-3.88 -80.34,-3.38 -79.95,-3.21 -79.73,-2.6 -79.85,-2.38 -79.76,-2.02 -79.89,-2.1 -79.9,-2.55 -80.06,-2.58 -80.02,-2.33 -80.26,-2.74 -80.89,-2.32 -80.98,-2.19 -80.78,-2.12 -80.73,-1.93 -80.86,-1.59 -80.76,-1.33 -80.92,-1.05 -80.84,-0.93 -80.58,-0.9 -80.43,-0.57 -80.26,-0.63 -80.38,-0.61 -80.5,-0.37 -80.07,0.06 -79.99,0.37 -80.11,0.68 -80.06,0.83 -79,1.17 -78.81,1.44
+EE 23.94,58.1 24.03,58.1 24.03,58.16 23.94,58.16 | 22.99,58.6 23.33,58.43 22.37,58.22 21.99,57.92 22.2,58.14 21.85,58.28 22.01,58.35 21.83,58.5 | 23.36,58.53 23.06,58.61 23.25,58.67 | 23.28,58.96 23.11,59.02 23.35,59.03 | 22.75,59 23.05,58.84 22.6,58.69 22.38,58.89 22.04,58.94 22.58,59.07 | 25.78,59.63 26.98,59.44 28.02,59.48 28.18,59.39 27.42,58.8 27.47,58.21 27.82,57.87 27.55,57.82 27.37,57.54 26.9,57.63 26.52,57.52 25.29,58.08 25.25,57.99 25.12,58.08 24.31,57.87 24.56,58.33 24.34,58.39 24.11,58.23 23.73,58.37 23.5,58.69 23.87,58.77 23.48,58.81 23.43,58.94 23.64,58.97 23.41,59.02 23.47,59.21 24.03,59.29 24.35,59.47 24.72,59.45 24.78,59.56 25.39,59.49 25.48,59.66 25.66,59.56
+EG 33.96,26.7 34,26.7 34,26.79 33.96,26.79 | 33.92,27.44 34.04,27.44 34.04,27.54 33.92,27.54 | 32.04,31.14 32.05,31.14 32.05,31.16 32.04,31.16 | 33.27,31.14 33.48,31.14 33.48,31.22 33.27,31.22 | 32.98,31.17 33.26,31.17 33.26,31.23 32.98,31.23 | 25.32,31.5 25.95,31.62 27.33,31.37 27.44,31.22 27.85,31.24 27.91,31.1 28.41,31.08 29.07,30.82 29.48,30.94 30.06,31.32 30.29,31.24 30.36,31.51 30.49,31.45 30.96,31.58 30.54,31.4 30.9,31.42 31.13,31.5 31.03,31.6 31.56,31.44 31.92,31.53 32.2,31.29 31.9,31.53 31.77,31.27 32.14,31.07 32.29,31.13 32.21,31.29 32.72,31.03 33.11,31.19 33.14,31.06 33.74,31.13 34.22,31.32 34.9,29.49 34.41,28.31 34.44,28 34.25,27.73 33.76,28.02 33.24,28.55 33.17,29 32.74,29.45 32.58,30 32.34,29.59 32.6,29.34 32.69,28.87 33.56,27.88 33.49,27.64 33.84,27.24 33.94,26.66 34.55,25.73 35.14,24.52 35.81,23.92 35.48,23.94 35.49,23.49 35.67,22.97 35.85,22.76 36.23,22.63 36.89,22 31.45,22 31.44,22.23 31.27,22 25,22 25,29.25 24.71,30.17 25.02,30.79 24.87,31.37 25.15,31.65
+EH -15.74,21.34 -16.95,21.34 -17.06,20.77 -16.92,21.94 -16.36,22.57 -16.08,23.32 -15.76,23.79 -15.78,23.91 -16,23.64 -15.91,23.82 -14.9,24.69 -14.79,25.43 -14.48,26.17 -13.57,26.73 -13.17,27.67 -8.67,27.67 -8.67,26 -12,26 -12,23.45 -12.57,23.29 -13.11,22.89 -13,21.34
+ER 40.09,15.85 40.16,15.64 40.3,15.7 40.42,15.57 39.98,15.61 39.95,15.68 40.08,15.67 39.93,15.79 | 39.98,15.99 40.11,15.99 40.11,16.1 39.98,16.1 | 38.8,17.65 39.14,16.77 39.27,15.99 39.46,15.52 39.62,15.48 39.71,15.09 39.82,15.08 39.77,15.4 39.88,15.49 40.17,14.97 40.3,14.91 40.46,15.01 40.81,14.71 41.17,14.63 41.68,13.94 41.95,13.86 42.28,13.58 42.37,13.21 42.72,13.05 42.8,12.85 43.08,12.83 43.12,12.71 42.82,12.54 42.81,12.43 42.7,12.36 42.5,12.52 42.4,12.47 41.96,12.88 41.76,13.24 41.22,13.61 40.81,14.15 40.16,14.46 39.92,14.43 39.53,14.57 39.26,14.47 39.02,14.66 38.89,14.5 38.45,14.42 38.26,14.68 38.04,14.72 37.91,14.88 37.57,14.1 37.29,14.45 37.13,14.43 37.01,14.26 36.54,14.26 36.44,15.15 36.97,16.27 36.9,16.52 37,17.07 37.42,17.03 37.51,17.32 38.06,17.55 38.26,17.53 38.6,17.99
+ES -17.91,27.77 -17.98,27.64 -18.17,27.74 -17.93,27.85 | -15.55,27.76 -15.82,27.91 -15.7,28.16 -15.44,28.13 -15.37,28.01 | -17.18,28.02 -17.32,28.17 -17.1,28.13 | -16.34,28.37 -16.42,28.15 -16.67,27.98 -16.91,28.34 -16.5,28.41 -16.27,28.57 -16.16,28.5 | -14.33,28.05 -14.44,28.07 -14.21,28.23 -14.01,28.71 -13.87,28.75 -13.92,28.25 | -17.83,28.45 -18,28.75 -17.9,28.85 -17.72,28.75 | -13.61,28.93 -13.77,28.84 -13.83,29.01 -13.44,29.23 -13.47,29.01 | -2.97,35.26 -2.91,35.26 -2.91,35.33 -2.97,35.33 | -5.4,35.84 -5.32,35.84 -5.32,35.92 -5.4,35.92 | -3.05,35.91 -3.03,35.91 -3.03,35.92 -3.05,35.92 | -6.97,37.16 -6.92,37.16 -6.92,37.21 -6.97,37.21 | 1.58,38.69 1.39,38.64 1.38,38.72 | 1.53,38.95 1.37,38.83 1.21,38.9 1.52,39.12 | 3.25,39.73 3.38,39.77 3.46,39.66 3.06,39.26 2.79,39.36 2.69,39.55 2.36,39.56 2.99,39.91 | 4.27,39.96 4.28,39.81 3.83,39.92 3.8,40.02 4.17,40.05 | -7.86,43.76 -7.46,43.73 -7.04,43.49 -6.94,43.58 -6.09,43.56 -5.85,43.65 -4.51,43.4 -3.59,43.51 -3.15,43.35 -2.74,43.43 -2.3,43.3 -1.79,43.39 -1.39,43.26 -1.43,43.05 -0.75,42.97 -0.55,42.78 -0.31,42.85 -0.05,42.69 0.68,42.69 0.72,42.86 1.36,42.72 1.45,42.44 1.72,42.51 2.02,42.35 2.27,42.44 2.54,42.33 3.05,42.47 3.32,42.32 3.12,42.22 3.2,41.89 2.94,41.72 2.27,41.46 2.11,41.29 0.99,41.05 0.7,40.81 0.9,40.72 0.54,40.57 -0.32,39.51 -0.18,39.03 0.22,38.76 -0.51,38.32 -0.86,37.72 -0.72,37.61 -1.33,37.56 -1.64,37.37 -2.13,36.73 -2.35,36.84 -2.77,36.68 -4.4,36.72 -4.63,36.51 -5.17,36.41 -5.43,36.07 -5.61,36.01 -6.05,36.19 -6.26,36.47 -6.17,36.51 -6.43,36.7 -6.36,36.86 -6.58,37.02 -6.96,37.22 -7.4,37.18 -7.52,37.55 -7.25,37.99 -7.01,38.03 -6.93,38.21 -7.09,38.17 -7.32,38.45 -7.26,38.73 -6.96,39.06 -7.24,39.21 -7.53,39.67 -7.02,39.67 -6.87,40.02 -7.03,40.19 -6.86,40.27 -6.8,40.52 -6.93,41.02 -6.19,41.58 -6.54,41.68 -6.59,41.95 -7.13,41.99 -7.41,41.82 -7.69,41.9 -8.14,41.81 -8.22,41.91 -8.08,42.05 -8.2,42.15 -8.87,41.88 -8.9,42.11 -8.58,42.35 -8.87,42.25 -8.66,42.43 -8.91,42.47 -8.72,42.7 -9.04,42.53 -8.91,42.79 -9.09,42.74 -9.19,42.95 -9.29,42.92 -9.17,43.19 -8.33,43.4
+ET 36.54,14.26 37.01,14.26 37.13,14.43 37.29,14.45 37.57,14.1 37.91,14.88 38.04,14.72 38.26,14.68 38.45,14.42 38.89,14.5 39.02,14.66 39.26,14.47 39.53,14.57 39.92,14.43 40.16,14.46 40.8,14.15 42.4,12.47 41.83,11.74 41.79,11.01 42.01,10.94 42.63,11.1 42.94,11 42.67,10.62 43.44,9.42 44.01,9.01 46.99,8.01 47.99,8 44.95,4.9 43.69,4.89 43.16,4.67 42.86,4.31 42.12,4.19 41.84,3.95 41.16,3.95 40.78,4.29 39.87,3.87 39.52,3.41 38.52,3.63 38.12,3.61 36.89,4.43 36.05,4.45 35.77,4.8 35.82,5.33 35.5,5.43 35.3,5.38 34.99,5.88 34.7,6.68 34.24,7.02 33.71,7.66 33.05,7.79 32.99,7.92 33.19,8.14 33.17,8.39 33.25,8.46 33.63,8.47 33.77,8.37 34.12,8.58 34.09,9.55 34.35,10.23 34.29,10.55 34.59,10.89 34.86,10.73 34.98,10.86 35.1,11.83 35.27,11.93 35.7,12.67 36.14,12.71
+FI 23.37,59.9 23.73,59.9 23.73,59.96 23.37,59.96 | 22.8,59.9 23.07,59.9 23.07,59.97 22.8,59.97 | 22.35,59.99 22.45,59.99 22.45,60.08 22.35,60.08 | 21.48,60.09 21.66,60.09 21.66,60.17 21.48,60.17 | 21.7,60.11 21.89,60.11 21.89,60.19 21.7,60.19 | 21.27,60.16 21.4,60.16 21.4,60.2 21.27,60.2 | 21.94,60.13 22.07,60.13 22.07,60.21 21.94,60.21 | 25.81,60.19 25.87,60.19 25.87,60.22 25.81,60.22 | 22.82,60.23 22.74,60 22.47,60 22.45,60.22 | 22.21,60.18 22.31,60.18 22.31,60.25 22.21,60.25 | 25.56,60.2 25.68,60.2 25.68,60.29 25.56,60.29 | 22.07,60.24 22.34,60.24 22.34,60.31 22.07,60.31 | 22.32,60.29 22.48,60.29 22.48,60.35 22.32,60.35 | 21.78,60.32 22,60.32 22,60.47 21.78,60.47 | 21.68,60.45 21.76,60.45 21.76,60.53 21.68,60.53 | 21.23,60.48 21.33,60.48 21.33,60.56 21.23,60.56 | 21.32,60.47 21.48,60.47 21.48,60.56 21.32,60.56 | 21.21,60.56 21.29,60.56 21.29,60.64 21.21,60.64 | 21.25,60.87 21.36,60.87 21.36,60.97 21.25,60.97 | 21.08,63.28 21.43,63.2 21.25,63.14 | 22.04,63.26 22.21,63.26 22.21,63.32 22.04,63.32 | 21.23,63.29 21.38,63.29 21.38,63.35 21.23,63.35 | 22.87,63.8 22.67,63.79 22.81,63.88 | 24.73,64.94 24.62,65.06 25.04,65.04 | 24.44,65.76 24.5,65.76 24.5,65.79 24.44,65.79 | 28.17,69.91 29.1,69.71 29.3,69.49 28.82,69.23 28.96,69.05 28.43,68.9 28.82,68.84 28.46,68.53 28.7,68.19 29.36,68.08 30.03,67.69 29.07,66.9 30.13,65.72 29.82,65.65 29.6,65.25 29.87,65.12 29.64,64.93 30.14,64.77 30.05,64.4 30.58,64.22 30.6,64.05 29.99,63.74 31.22,63.22 31.59,62.91 31.26,62.51 27.74,60.51 27.22,60.59 26.96,60.44 26.56,60.43 26.66,60.65 26.42,60.39 26.05,60.43 26.04,60.29 25.84,60.4 25.92,60.24 25.66,60.36 25.49,60.25 24.6,60.12 24.46,59.99 24.33,60.07 23.43,59.95 23.54,60.07 23.25,59.84 22.91,59.8 23.34,60.02 23.11,59.92 23.26,60.04 22.87,60.15 23.09,60.35 22.57,60.21 22.63,60.39 21.8,60.48 21.82,60.62 21.59,60.51 21.43,60.57 21.47,61.55 21.67,61.55 21.28,61.95 21.37,62.26 21.06,62.6 21.44,63.04 21.69,63.02 21.5,63.21 22.34,63.27 22.19,63.46 23.32,63.9 24.54,64.8 25.09,64.91 25.32,64.82 25.19,64.97 25.45,64.96 25.31,65.51 24.67,65.65 24.69,65.9 24.18,65.79 23.72,66.2 23.64,66.44 24.01,66.8 23.57,67.16 23.77,67.42 23.43,67.47 23.66,67.95 22.82,68.39 22.05,68.48 20.58,69.06 21.06,69.03 21.32,69.33 21.68,69.28 22.4,68.71 23.2,68.63 23.98,68.83 24.93,68.58 25.76,68.99 25.95,69.67 26.45,69.93 27.07,69.91 27.9,70.09
+FJ -178.74,-20.67 -178.71,-20.67 -178.71,-20.64 -178.74,-20.64 | -178.22,-19.85 -178.2,-19.85 -178.2,-19.83 -178.22,-19.83 | -178.43,-19.18 -178.39,-19.18 -178.39,-19.13 -178.43,-19.13 | 179.74,-19.2 179.8,-19.2 179.8,-19.12 179.74,-19.12 | -178.6,-19.18 -178.54,-19.18 -178.54,-19.11 -178.6,-19.11 | 178.5,-18.99 177.95,-19.13 178.31,-18.94 | -178.97,-18.99 -178.93,-18.99 -178.93,-18.93 -178.97,-18.93 | -179.87,-19.01 -179.78,-19.01 -179.78,-18.92 -179.87,-18.92 | 178.47,-18.93 178.54,-18.93 178.54,-18.86 178.47,-18.86 | -178.52,-18.67 -178.47,-18.67 -178.47,-18.64 -178.52,-18.64 | 179.91,-18.64 179.84,-18.58 179.96,-18.54 | 177.61,-18.59 177.66,-18.59 177.66,-18.49 177.61,-18.49 | 178.11,-18.42 178.16,-18.42 178.16,-18.35 178.11,-18.35 | -178.84,-18.25 -178.74,-18.25 -178.74,-18.18 -178.84,-18.18 | 179.24,-18.12 179.37,-18.12 179.37,-17.94 179.24,-17.94 | -179.08,-18 -178.99,-18 -178.99,-17.92 -179.08,-17.92 | -178.36,-17.97 -178.24,-17.97 -178.24,-17.88 -178.36,-17.88 | 179.39,-17.85 179.43,-17.85 179.43,-17.79 179.39,-17.79 | -179.33,-17.79 -179.28,-17.79 -179.28,-17.73 -179.33,-17.73 | 178.74,-17.75 178.85,-17.75 178.85,-17.62 178.74,-17.62 | -179.18,-17.48 -179.13,-17.48 -179.13,-17.43 -179.18,-17.43 | 178.28,-17.4 178.6,-17.64 178.68,-18.08 177.96,-18.27 177.3,-18.08 177.26,-17.87 177.43,-17.76 177.39,-17.63 177.51,-17.51 178.19,-17.3 | 177.1,-17.31 177.16,-17.31 177.16,-17.25 177.1,-17.25 | -179.16,-17.29 -179.12,-17.29 -179.12,-17.25 -179.16,-17.25 | 179.36,-17.4 179.45,-17.4 179.45,-17.24 179.36,-17.24 | -178.93,-17.26 -178.99,-17.32 -179.02,-17.15 | 177.18,-17.17 177.29,-17.17 177.29,-17.05 177.18,-17.05 | 178.27,-16.84 178.34,-16.84 178.34,-16.79 178.27,-16.79 | 179.88,-17.01 180,-17.01 180,-16.79 179.88,-16.79 | -179.99,-16.96 -180,-16.79 -179.86,-16.68 -179.82,-16.78 | 177.43,-16.84 177.59,-16.84 177.59,-16.68 177.43,-16.68 | 179.88,-16.66 179.95,-16.66 179.95,-16.61 179.88,-16.61 | 179.98,-16.54 180,-16.54 180,-16.49 179.98,-16.49 | -180,-16.54 -179.89,-16.54 -179.89,-16.43 -180,-16.43 | 179.96,-16.2 179.48,-16.7 179.56,-16.76 179.93,-16.46 179.9,-16.77 179.33,-16.8 179.27,-16.69 179.02,-16.93 178.87,-16.86 178.75,-17.01 178.48,-16.78 178.98,-16.47 | -180,-16.17 -179.94,-16.17 -179.94,-16.13 -180,-16.13 | 177.03,-12.52 177.13,-12.52 177.13,-12.48 177.03,-12.48
+FK -59.77,-52.28 -59.68,-52.28 -59.68,-52.17 -59.77,-52.17 | -58.53,-52.1 -58.42,-52.1 -58.42,-51.99 -58.53,-51.99 | -61.31,-51.87 -61.19,-51.87 -61.19,-51.8 -61.31,-51.8 | -61.03,-51.87 -60.87,-51.9 -61.12,-51.89 -60.97,-51.78 | -61.32,-51.76 -61.2,-51.76 -61.2,-51.68 -61.32,-51.68 | -59.21,-51.41 -60.37,-52.16 -60.62,-52.25 -60.98,-52.06 -60.75,-52.01 -60.84,-51.96 -60.44,-51.97 -60.44,-51.78 -60.35,-51.86 -60.18,-51.76 -60.64,-51.72 -60.16,-51.66 -60.64,-51.36 -60.13,-51.49 -60.02,-51.38 | -58.7,-51.34 -58.35,-51.36 -58.55,-51.43 -58.23,-51.65 -58.28,-51.42 -57.91,-51.38 -57.77,-51.54 -58.14,-51.55 -57.73,-51.7 -58.26,-51.76 -58.42,-51.9 -58.94,-51.8 -58.65,-52.07 -59.29,-52 -59.04,-52.14 -59.08,-52.23 -59.45,-52.14 -59.35,-52.34 -59.72,-52.12 -59.23,-51.72 -59.06,-51.69 -58.99,-51.81 -59.17,-51.58 -59.01,-51.57 -59.08,-51.41 -58.85,-51.29 | -60.03,-51.35 -59.9,-51.35 -59.9,-51.28 -60.03,-51.28 | -60.11,-51.41 -60.3,-51.27 -60.07,-51.31 | -59.51,-51.34 -59.81,-51.27 -59.48,-51.26
+FM 153.66,5.29 153.71,5.29 153.71,5.32 153.66,5.32 | 163.01,5.26 162.9,5.31 163.02,5.38 | 143.05,6.71 143.07,6.71 143.07,6.72 143.05,6.72 | 149.31,6.7 149.33,6.7 149.33,6.72 149.31,6.72 | 157.93,6.72 157.95,6.72 157.95,6.73 157.93,6.73 | 157.96,6.74 157.99,6.74 157.99,6.75 157.96,6.75 | 158.3,6.79 158.12,6.93 158.32,6.93 | 158.24,6.98 158.26,6.98 158.26,7 158.24,7 | 151.84,7.32 151.87,7.32 151.87,7.37 151.84,7.37 | 149.19,7.36 149.2,7.36 149.2,7.38 149.19,7.38 | 149.18,7.37 149.19,7.37 149.19,7.38 149.18,7.38 | 143.91,7.38 143.92,7.38 143.92,7.39 143.91,7.39 | 151.57,7.33 151.65,7.33 151.65,7.4 151.57,7.4 | 151.85,7.42 151.92,7.42 151.92,7.46 151.85,7.46 | 146.18,7.5 146.19,7.5 146.19,7.52 146.18,7.52 | 149.66,8.57 149.69,8.57 149.69,8.62 149.66,8.62 | 150.37,8.61 150.38,8.61 150.38,8.63 150.37,8.63 | 150.12,8.98 150.14,8.98 150.14,8.99 150.12,8.99 | 138.21,9.52 138.06,9.42 138.13,9.57
+FO -6.66,61.39 -6.96,61.62 -6.72,61.57 | -6.6,61.82 -6.65,61.74 -6.91,61.9 | -7.05,62.07 -7.2,62.02 -7.43,62.14 | -6.71,61.94 -7.23,62.17 -7.21,62.28 | -6.72,62.23 -6.62,62.23 -6.62,62.33 -6.72,62.33 | -6.66,62.09 -7.06,62.31 -6.6,62.2 | -6.59,62.17 -6.39,62.17 -6.39,62.36 -6.59,62.36 | -6.67,62.26 -6.56,62.26 -6.56,62.37 -6.67,62.37 | -6.55,62.28 -6.39,62.28 -6.39,62.4 -6.55,62.4
+FR 9.46,42.6 9.49,42.6 9.49,42.64 9.46,42.64 | 9.45,42.68 9.55,42.12 9.18,41.36 8.79,41.56 8.92,41.69 8.71,41.76 8.78,41.92 8.59,41.96 8.74,42.05 8.58,42.38 8.72,42.57 9.12,42.73 9.29,42.68 9.35,43 9.46,42.99 | -1.4,45.81 -1.17,45.81 -1.17,46.05 -1.4,46.05 | -1.55,46.16 -1.25,46.16 -1.25,46.26 -1.55,46.26 | -2.39,46.69 -2.27,46.69 -2.27,46.74 -2.39,46.74 | -2.28,46.91 -2.14,46.91 -2.14,47.03 -2.28,47.03 | -3.26,47.29 -3.06,47.29 -3.06,47.39 -3.26,47.39 | -5.13,48.44 -5.04,48.44 -5.04,48.48 -5.13,48.48 | -3.58,48.8 -3.56,48.8 -3.56,48.81 -3.58,48.81 | 2.54,51.09 2.65,50.82 2.9,50.7 3.15,50.79 3.3,50.52 4.17,50.28 4.15,49.98 4.51,49.95 4.83,50.17 4.87,49.8 5.48,49.5 6.42,49.48 6.73,49.17 7.42,49.18 8.23,48.96 7.8,48.58 7.58,48.12 7.59,47.58 7.38,47.43 6.99,47.5 6.97,47.29 6.13,46.59 6.12,46.26 5.97,46.21 6.15,46.15 6.25,46.36 6.49,46.45 6.8,46.43 6.78,46.15 7.04,45.93 6.81,45.73 7.16,45.38 7.06,45.22 6.62,45.11 6.75,44.92 7.03,44.83 6.88,44.38 7.71,44.08 7.53,43.79 6.79,43.42 6.64,43.18 6.17,43.05 5.36,43.22 5.32,43.37 5.04,43.35 5.23,43.47 5.03,43.56 5.04,43.44 4.84,43.39 4.7,43.58 4.77,43.37 4.65,43.36 3.96,43.54 3.08,43.07 2.96,42.84 3.18,42.44 2.95,42.48 2.67,42.34 2.27,42.44 2.02,42.35 1.72,42.51 1.74,42.62 1.45,42.6 1.36,42.72 0.72,42.86 0.68,42.69 -0.01,42.68 -0.31,42.85 -0.56,42.78 -0.75,42.97 -1.43,43.05 -1.39,43.26 -1.78,43.36 -1.44,43.64 -1.21,44.63 -1.04,44.68 -1.17,44.78 -1.25,44.66 -1.14,45.5 -1.06,45.57 -0.8,45.36 -0.54,44.9 -0.78,45.46 -1.24,45.7 -1.07,45.91 -1.11,46.32 -1.79,46.49 -2.13,46.84 -1.98,47.03 -2.17,47.13 -2.13,47.28 -1.73,47.21 -2,47.32 -2.54,47.3 -2.41,47.41 -2.49,47.49 -2.36,47.5 -2.83,47.5 -2.7,47.64 -3.13,47.6 -3.11,47.47 -3.22,47.65 -3.98,47.89 -4.37,47.8 -4.44,47.97 -4.73,48.04 -4.28,48.11 -4.44,48.24 -4.56,48.17 -4.56,48.34 -4.19,48.3 -4.76,48.34 -4.78,48.51 -4.35,48.67 -3.58,48.68 -3.54,48.83 -3.22,48.87 -2.69,48.5 -2.31,48.68 -1.98,48.51 -1.99,48.69 -1.37,48.64 -1.56,48.75 -1.61,49.22 -1.94,49.72 -1.26,49.68 -1.11,49.37 -0.23,49.28 0.42,49.45 0.08,49.51 0.19,49.71 1.46,50.12 1.63,50.88
+GA 8.95,-0.77 9.05,-0.77 9.05,-0.6 8.95,-0.6 | 9.54,0.27 9.55,0.27 9.55,0.29 9.54,0.29 | 12.52,2.28 13.3,2.23 13.14,1.7 13.25,1.4 13.19,1.22 13.8,1.44 14.19,1.39 14.48,0.92 14.35,0.63 14.09,0.54 13.89,0.22 13.95,0.02 13.85,-0.2 14.13,-0.28 14.19,-0.44 14.42,-0.48 14.52,-0.61 14.42,-1 14.43,-1.89 14.26,-1.97 14.11,-2.49 13.87,-2.47 13.76,-2.09 13.48,-2.44 13,-2.37 12.82,-1.91 12.65,-1.82 12.44,-1.89 12.48,-2.33 12.05,-2.42 11.57,-2.33 11.65,-2.62 11.54,-2.86 11.64,-2.82 11.8,-3.01 11.7,-3.18 11.97,-3.31 11.84,-3.56 11.93,-3.64 11.74,-3.69 11.5,-3.51 11.23,-3.69 11.14,-3.93 10.5,-3.17 9.7,-2.45 10.02,-2.64 10.13,-2.52 9.98,-2.56 9.87,-2.42 9.76,-2.48 9.62,-2.38 9.32,-1.91 9.54,-2.07 9.49,-1.86 9.26,-1.85 9.23,-1.61 8.98,-1.23 9.29,-1.64 9.51,-1.6 9.44,-1.51 9.28,-1.57 9.33,-1.28 9.22,-1.41 9.03,-1.3 8.7,-0.59 9.01,-0.82 9.31,-0.34 9.35,0.36 9.47,0.17 9.92,0.19 9.5,0.29 9.3,0.53 9.32,0.62 9.54,0.68 9.6,0.48 9.58,1 9.75,1.06 9.94,0.93 9.99,1 11.35,1 11.37,2.3
+GB -6.32,49.91 -6.28,49.91 -6.28,49.93 -6.32,49.93 | -1.06,50.69 -1.28,50.58 -1.57,50.66 -1.3,50.77 | -1.02,50.77 -0.94,50.77 -0.94,50.83 -1.02,50.83 | -4.67,51.16 -4.65,51.16 -4.65,51.2 -4.67,51.2 | 0.73,51.36 0.95,51.36 0.95,51.44 0.73,51.44 | -4.69,53.24 -4.56,53.24 -4.56,53.32 -4.69,53.32 | -4.15,53.23 -4.4,53.13 -4.57,53.39 -4.29,53.41 -4.05,53.3 | -6.35,55.24 -6.07,55.19 -5.69,54.81 -5.91,54.6 -5.58,54.68 -5.43,54.49 -5.51,54.36 -5.7,54.57 -5.56,54.28 -5.86,54.22 -6.04,54.03 -6.34,54.12 -6.63,54.04 -7.03,54.42 -7.28,54.12 -7.56,54.13 -8.17,54.46 -7.75,54.59 -7.93,54.7 -7.55,54.76 -7.33,55.05 | -6.28,55.26 -6.17,55.26 -6.17,55.31 -6.28,55.31 | -5.1,55.44 -5.34,55.47 -5.38,55.67 -5.16,55.68 | -5.21,55.72 -5.01,55.72 -5.01,55.92 -5.21,55.92 | -6.12,55.88 -6.08,55.65 -6.33,55.59 -6.27,55.78 -6.51,55.68 -6.44,55.85 | -6.26,56.03 -6.13,56.03 -6.13,56.12 -6.26,56.12 | -5.95,55.83 -6.08,55.91 -5.69,56.15 | -5.75,56.16 -5.67,56.16 -5.67,56.2 -5.75,56.2 | -5.67,56.19 -5.61,56.19 -5.61,56.26 -5.67,56.26 | -5.65,56.27 -5.58,56.27 -5.58,56.32 -5.65,56.32 | -6.44,56.3 -6.38,56.3 -6.38,56.34 -6.44,56.34 | -5.59,56.38 -5.51,56.38 -5.51,56.41 -5.59,56.41 | -6.26,56.46 -6.16,56.46 -6.16,56.5 -6.26,56.5 | -6.99,56.44 -6.73,56.44 -6.73,56.55 -6.99,56.55 | -5.78,56.51 -5.65,56.44 -5.81,56.32 -6.37,56.31 -6.02,56.37 -6.19,56.36 -6,56.49 -6.32,56.6 -6.13,56.65 | -6.7,56.56 -6.45,56.56 -6.45,56.69 -6.7,56.69 | -6.21,56.87 -6.11,56.87 -6.11,56.95 -6.21,56.95 | -6.32,56.93 -6.45,57.01 -6.26,57.04 | -7.56,56.94 -7.38,56.94 -7.38,57.06 -7.56,57.06 | -6.6,57.04 -6.49,57.04 -6.49,57.07 -6.6,57.07 | -6.02,57.28 -5.92,57.28 -5.92,57.32 -6.02,57.32 | -7.22,57.34 -7.22,57.11 -7.38,57.11 -7.42,57.38 | -7.41,57.4 -7.2,57.4 -7.2,57.49 -7.41,57.49 | -6.08,57.32 -5.98,57.32 -5.98,57.51 -6.08,57.51 | -5.99,57.52 -5.95,57.52 -5.95,57.58 -5.99,57.58 | -6.14,57.57 -6.13,57.31 -5.65,57.26 -5.98,57.03 -6.03,57.18 -6.31,57.16 -6.48,57.3 -6.31,57.3 -6.79,57.45 -6.64,57.61 -6.38,57.52 -6.35,57.68 | -7.19,57.69 -7.15,57.51 -7.54,57.59 | -7.22,57.7 -7.14,57.7 -7.14,57.73 -7.22,57.73 | -8.62,57.8 -8.55,57.8 -8.55,57.83 -8.62,57.83 | -7.08,57.88 -6.99,57.88 -6.99,57.92 -7.08,57.92 | -6.89,58.2 -6.79,58.2 -6.79,58.25 -6.89,58.25 | -6.2,58.36 -6.33,58.24 -6.17,58.21 -6.62,58.08 -6.4,58.1 -6.47,57.94 -6.66,57.92 -6.68,58.06 -6.74,57.83 -6.97,57.72 -7.12,57.82 -6.83,57.9 -7.11,57.98 -7.04,58.23 -6.86,58.1 -6.8,58.3 -6.27,58.51 | -4.15,53.23 -3.34,53.35 -3.1,53.25 -3.19,53.39 -3.06,53.41 -2.88,53.29 -2.7,53.35 -2.95,53.36 -3.11,53.55 -2.9,53.72 -3.05,53.91 -2.81,54.22 -3.23,54.1 -3.63,54.51 -3.38,54.88 -3.02,54.97 -3.57,54.99 -3.96,54.77 -4.39,54.91 -4.39,54.68 -4.85,54.87 -4.94,54.65 -5.17,55 -4.61,55.49 -4.92,55.7 -4.88,55.94 -4.48,55.92 -4.85,55.99 -4.83,56.11 -4.98,55.87 -5.17,55.93 -5.3,55.85 -5.03,56.23 -5.43,56.01 -5.51,55.36 -5.78,55.3 -5.57,56.32 -5.11,56.51 -5.4,56.48 -5.12,56.82 -5.68,56.49 -6.01,56.64 -5.55,56.69 -6.24,56.72 -5.66,56.86 -5.92,56.89 -5.81,57.01 -5.52,57 -5.72,57.11 -5.4,57.11 -5.65,57.16 -5.41,57.23 -5.6,57.33 -5.45,57.42 -5.82,57.36 -5.84,57.57 -5.51,57.53 -5.81,57.64 -5.82,57.82 -5.6,57.77 -5.61,57.92 -5.1,57.85 -5.46,58.08 -5.28,58.08 -5.39,58.26 -5.07,58.26 -5,58.62 -4.7,58.56 -4.76,58.44 -4.57,58.58 -3.03,58.65 -3.21,58.3 -4.01,57.87 -4.39,57.91 -3.77,57.85 -4.44,57.58 -4.08,57.67 -4.2,57.49 -3.49,57.71 -2.08,57.7 -1.77,57.46 -2.53,56.58 -3.28,56.36 -2.88,56.45 -2.58,56.27 -3.39,56.01 -3.73,56.03 -3.05,55.94 -2.63,56.05 -1.63,55.58 -1.3,54.76 -0.56,54.48 -0.07,54.11 -0.21,54.01 0.12,53.56 -0.27,53.74 -0.72,53.7 -0.3,53.71 0.24,53.4 0.34,53.1 0,52.88 0.36,52.78 0.55,52.97 1.28,52.93 1.68,52.75 1.75,52.46 1.58,52.08 1.33,51.93 1.16,52.02 1.22,51.81 0.7,51.72 0.93,51.74 0.95,51.61 0.38,51.45 0.7,51.47 0.58,51.39 0.91,51.34 1.39,51.39 1.39,51.15 0.98,50.93 0.24,50.74 -0.26,50.83 -0.8,50.73 -1.15,50.84 -2.04,50.73 -1.96,50.6 -2.39,50.64 -2.43,50.54 -2.92,50.73 -3.46,50.59 -3.67,50.22 -4.17,50.38 -4.76,50.31 -5.2,49.96 -5.47,50.12 -5.69,50.04 -5.7,50.15 -5.43,50.19 -4.78,50.59 -4.52,51.02 -4.3,51 -4.12,51.21 -3.03,51.21 -2.38,51.76 -3.35,51.38 -3.84,51.62 -4.24,51.54 -4.07,51.68 -4.57,51.73 -4.94,51.59 -5.05,51.62 -4.88,51.75 -5.25,51.73 -5.1,51.78 -5.24,51.92 -4.13,52.33 -4.13,52.91 -4.76,52.79 | -2.92,58.73 -3.04,58.82 -2.89,58.83 | -3.43,58.78 -3.13,58.78 -3.13,58.93 -3.43,58.93 | -2.79,58.95 -3.19,58.91 -3.35,59.11 -3.08,59.12 | -2.69,59.18 -2.39,59.18 -2.39,59.31 -2.69,59.31 | -3.08,59.23 -2.85,59.23 -2.85,59.33 -3.08,59.33 | -1.3,60.49 -1.04,60.44 -1.27,59.85 -1.29,60.24 -1.45,60.15 -1.69,60.28 -1.32,60.36 -1.55,60.54 -1.3,60.64 | -1.18,60.49 -0.98,60.49 -0.98,60.73 -1.18,60.73 | -0.82,60.69 -0.97,60.69 -0.88,60.84
+GD -61.75,12 -61.61,12.23 -61.63,12.05 | -61.59,12.29 -61.57,12.29 -61.57,12.32 -61.59,12.32 | -61.5,12.43 -61.42,12.43 -61.42,12.53 -61.5,12.53
+GE 41.55,42.41 41.43,42.74 40,43.38 40.18,43.58 40.7,43.54 41.61,43.22 42.86,43.18 43.2,42.94 43.83,42.75 43.78,42.6 44.55,42.76 44.81,42.67 44.93,42.76 45.35,42.53 45.72,42.51 45.65,42.2 46.43,41.92 46.22,41.62 46.71,41.26 46.51,41.05 45.33,41.46 44.86,41.21 43.46,41.11 42.83,41.58 42.6,41.58 42.47,41.43 41.97,41.52 41.83,41.43 41.53,41.52 41.78,41.84
+GF -53.49,5.57 -52.94,5.46 -52.29,4.94 -52,4.64 -51.95,4.42 -52.04,4.33 -51.86,4.66 -51.66,4.09 -52.34,3.16 -52.68,2.37 -52.96,2.17 -53.24,2.21 -53.33,2.35 -53.53,2.25 -53.75,2.37 -54.12,2.11 -54.6,2.33 -54.2,2.78 -54.21,3.15 -53.98,3.59 -54.36,4.04 -54.46,5 -54.07,5.42 -53.94,5.74
+GG -2.67,49.42 -2.5,49.42 -2.5,49.51 -2.67,49.51
+GH 0.64,5.85 0.66,5.75 0.26,5.76 -0.8,5.21 -1.61,5.02 -2.06,4.73 -2.33,4.91 -3.1,5.09 -2.73,5.11 -2.74,5.45 -2.8,5.62 -3.01,5.71 -3.22,6.82 -3.02,7.07 -2.77,7.95 -2.49,8.2 -2.62,8.91 -2.77,9.06 -2.67,9.38 -2.92,10.6 -2.83,11 -0.99,11.01 -0.62,10.91 -0.29,11.17 0.03,11.08 -0.08,10.65 0.29,10.41 0.4,10.05 0.22,9.46 0.44,9.49 0.55,9.39 0.45,9.03 0.51,8.84 0.39,8.74 0.73,8.31 0.61,8.22 0.51,7.46 0.65,7.28 0.53,6.95 0.76,6.45 1.2,6.16 0.97,5.79 0.69,5.75 0.51,6.06 0.22,6.1 0.57,5.99
+GI -5.36,36.11 -5.33,36.11 -5.33,36.16 -5.36,36.16
+GL -43.65,59.85 -44.12,59.83 -43.96,59.98 | -43.37,59.91 -43.2,59.91 -43.2,60 -43.37,60 | -44.31,59.87 -44.24,60.01 -43.99,60.01 | -43.51,59.9 -43.34,59.9 -43.34,60.04 -43.51,60.04 | -44.41,59.95 -44.43,60.14 -44.2,60.05 | -43.35,60.08 -43.16,60 -43.58,60.08 -43.57,59.91 -44.13,60.14 | -45.3,60.13 -45.22,60.13 -45.22,60.19 -45.3,60.19 | -45.37,60.19 -45.35,60.38 -45.15,60.38 | -46,60.61 -45.78,60.61 -45.78,60.68 -46,60.68 | -46.2,60.63 -45.89,60.63 -45.89,60.71 -46.2,60.71 | -46.35,60.67 -46.5,60.7 -46.31,60.78 | -47.36,60.77 -47.22,60.77 -47.22,60.81 -47.36,60.81 | -47.05,60.77 -46.98,60.77 -46.98,60.81 -47.05,60.81 | -47.23,60.8 -47.14,60.8 -47.14,60.82 -47.23,60.82 | -47.75,60.8 -47.9,60.68 -48.24,60.8 | -47.19,60.82 -47.08,60.82 -47.08,60.87 -47.19,60.87 | -47.26,60.84 -47.18,60.84 -47.18,60.88 -47.26,60.88 | -47.17,60.88 -47.07,60.88 -47.07,60.93 -47.17,60.93 | -47.05,60.9 -46.96,60.9 -46.96,60.93 -47.05,60.93 | -46.85,60.75 -46.16,60.75 -46.16,60.95 -46.85,60.95 | -46.53,60.92 -46.42,60.92 -46.42,60.99 -46.53,60.99 | -48.37,61.05 -48.05,61.05 -48.05,61.1 -48.37,61.1 | -48.96,61.25 -48.72,61.25 -48.72,61.3 -48.96,61.3 | -48.83,61.31 -48.51,61.31 -48.51,61.37 -48.83,61.37 | -42.5,61.44 -42.39,61.44 -42.39,61.49 -42.5,61.49 | -49.19,61.63 -49.08,61.63 -49.08,61.7 -49.19,61.7 | -49.49,61.7 -49.35,61.7 -49.35,61.77 -49.49,61.77 | -42.29,61.75 -42.08,61.75 -42.08,61.88 -42.29,61.88 | -49.64,61.87 -49.41,61.87 -49.41,61.94 -49.64,61.94 | -49.8,62.18 -49.63,62.18 -49.63,62.24 -49.8,62.24 | -42.3,62.48 -42.13,62.48 -42.13,62.58 -42.3,62.58 | -42,62.77 -42.2,62.73 -42.07,62.68 -42.45,62.75 | -41.61,62.87 -41.45,62.87 -41.45,63.02 -41.61,63.02 | -50.76,63.03 -50.63,63.03 -50.63,63.1 -50.76,63.1 | -41.53,63.04 -41.3,63.04 -41.3,63.11 -41.53,63.11 | -50.8,63.08 -50.79,63.19 -50.68,63.12 | -50.62,63.11 -50.61,63.2 -50.47,63.15 | -41.47,63.12 -41.18,63.12 -41.18,63.21 -41.47,63.21 | -41.1,63.22 -41.43,63.23 -41.87,63.47 -41.67,63.49 | -51.36,63.47 -51.2,63.47 -51.2,63.53 -51.36,63.53 | -52.06,64.13 -51.9,64.13 -51.9,64.19 -52.06,64.19 | -40.67,64.29 -40.68,64.21 -41.05,64.23 | -41.37,64.26 -41.13,64.26 -41.13,64.32 -41.37,64.32 | -51.6,64.26 -51.32,64.26 -51.32,64.36 -51.6,64.36 | -51.24,64.21 -51.02,64.55 -50.82,64.54 | -51.42,64.37 -51.09,64.37 -51.09,64.57 -51.42,64.57 | -52.15,64.59 -52.08,64.59 -52.08,64.63 -52.15,64.63 | -40.18,64.43 -40.49,64.49 -40.86,64.91 -40.54,64.84 | -40.63,65.01 -40.48,65.01 -40.48,65.08 -40.63,65.08 | -52.41,65.11 -52.25,65.11 -52.25,65.2 -52.41,65.2 | -39.8,65.27 -39.49,65.27 -39.49,65.37 -39.8,65.37 | -39.39,65.45 -39.24,65.45 -39.24,65.52 -39.39,65.52 | -52.93,65.43 -53.09,65.49 -52.87,65.51 | -37.22,65.53 -37.02,65.53 -37.02,65.59 -37.22,65.59 | -38.85,65.52 -38.96,65.52 -38.81,65.59 | -53,65.55 -53.23,65.6 -52.86,65.65 | -37,65.58 -37.21,65.68 -36.99,65.7 | -36.8,65.75 -36.94,65.82 -36.78,65.86 | -37.39,65.81 -37.49,65.61 -37.87,65.57 -37.99,65.7 -37.69,65.9 | -36.38,65.82 -36.18,65.82 -36.18,65.92 -36.38,65.92 | -36.62,65.8 -36.75,65.91 -36.51,65.96 | -53.68,66.04 -53.42,66.04 -53.42,66.1 -53.68,66.1 | -35.56,66.17 -35.38,66.17 -35.38,66.24 -35.56,66.24 | -33.97,66.79 -33.84,66.79 -33.84,66.87 -33.97,66.87 | -53.46,66.8 -52.87,66.8 -52.87,66.9 -53.46,66.9 | -33.48,67.13 -33.34,67.13 -33.34,67.21 -33.48,67.21 | -33.33,67.29 -33.24,67.29 -33.24,67.38 -33.33,67.38 | -53.77,67.67 -53.58,67.67 -53.58,67.78 -53.77,67.78 | -53.35,68.01 -53.47,68.07 -53.27,68.09 | -52.01,68.06 -51.21,68.06 -51.21,68.15 -52.01,68.15 | -31.96,68.15 -31.69,68.15 -31.69,68.23 -31.96,68.23 | -29.84,68.14 -30.01,68.21 -29.71,68.22 | -52.07,68.12 -52.29,68.18 -51.45,68.26 | -52.99,68.36 -53.21,68.4 -52.98,68.49 | -52.88,68.48 -52.73,68.48 -52.73,68.57 -52.88,68.57 | -52.69,68.53 -52.44,68.53 -52.44,68.59 -52.69,68.59 | -52.42,68.56 -51.8,68.56 -51.8,68.64 -52.42,68.64 | -51.23,68.64 -51.03,68.64 -51.03,68.68 -51.23,68.68 | -52.13,68.7 -53.12,68.56 -52.63,68.71 | -23.29,69.64 -23.59,69.71 -23.29,69.74 | -50.61,69.81 -50.41,69.81 -50.41,69.87 -50.61,69.87 | -50.92,69.89 -50.65,69.84 -50.96,69.55 -51.24,69.53 -51.39,69.71 -51.01,69.88 -51.35,69.85 -51.22,69.91 | -52.69,69.92 -52,69.8 -51.83,69.63 -53.57,69.23 -54.26,69.41 -53.39,69.44 -53.35,69.58 -53.79,69.45 -53.95,69.61 -54.66,69.57 -54.99,69.69 -54.39,69.68 -54.94,69.85 -54.75,69.96 -54.23,69.91 -54.83,70.08 -54.43,70.31 -53.27,70.19 | -55.03,70.37 -54.65,70.37 -54.65,70.48 -55.03,70.48 | -51.86,70.65 -51.51,70.65 -51.51,70.74 -51.86,70.74 | -27.69,70.73 -27.74,70.88 -27.28,70.87 | -51.57,70.86 -52.16,70.89 -52.02,70.98 | -25.39,70.91 -25.29,70.66 -26.03,70.52 -28.14,70.45 -27.15,70.87 -25.71,71.08 | -25.58,71.01 -25.3,71.01 -25.3,71.11 -25.58,71.11 | -25.47,71.13 -25.25,71.13 -25.25,71.21 -25.47,71.21 | -53.65,71.02 -53.99,71.13 -53.6,71.31 -53.38,71.11 | -52.57,71.35 -52.34,71.28 -52.94,71.15 -53.18,71.32 | -53.13,71.66 -52.76,71.66 -53.22,71.53 -53.47,71.66 | -55.56,71.82 -55.81,71.88 -55.52,71.93 | -55.94,72.07 -55.72,72.07 -55.72,72.13 -55.94,72.13 | -55.37,72.16 -55.68,72.21 -55.02,72.38 | -55.38,72.52 -55.03,72.52 -55.03,72.59 -55.38,72.59 | -55.99,72.55 -55.65,72.55 -55.65,72.6 -55.99,72.6 | -55.26,72.6 -54.95,72.6 -54.95,72.69 -55.26,72.69 | -55.06,72.69 -54.8,72.69 -54.8,72.76 -55.06,72.76 | -56.23,72.65 -55.64,72.65 -55.64,72.78 -56.23,72.78 | -55.99,72.78 -55.8,72.78 -55.8,72.82 -55.99,72.82 | -55.29,72.68 -55.53,72.55 -55.85,72.61 -55.2,72.85 -54.97,72.8 | -23.61,72.83 -23.14,72.84 -21.93,72.4 -22.76,72.44 -22.13,72.27 -22.33,72.11 -24,72.47 -24.48,72.83 | -55.61,72.82 -55.35,72.82 -55.35,72.89 -55.61,72.89 | -24.9,72.78 -25.21,72.85 -24.77,72.91 | -55.69,72.92 -55.07,72.92 -55.07,73.05 -55.69,73.05 | -55.89,73.01 -55.69,73.01 -55.69,73.05 -55.89,73.05 | -22.55,73.01 -21.91,72.92 -22.19,72.81 -21.92,72.68 -24.59,72.96 -23.27,73.06 | -21.46,73.09 -21.17,73.09 -21.17,73.14 -21.46,73.14 | -56.33,73.15 -56.17,73.15 -56.17,73.22 -56.33,73.22 | -56.13,73.08 -55.81,73.08 -55.81,73.26 -56.13,73.26 | -55.87,73.27 -55.63,73.27 -55.63,73.36 -55.87,73.36 | -55.95,73.3 -56.15,73.3 -55.99,73.41 | -55.59,73.31 -55.33,73.31 -55.33,73.42 -55.59,73.42 | -24.36,73.41 -23.23,73.22 -24.99,73.3 -22.94,73.13 -24.39,73.02 -25.49,73.13 -25.71,73.2 -25.26,73.4 | -56.06,73.42 -55.78,73.42 -55.78,73.48 -56.06,73.48 | -56.12,73.38 -55.47,73.38 -55.47,73.58 -56.12,73.58 | -56.56,73.54 -56.19,73.54 -56.19,73.66 -56.56,73.66 | -56.97,73.61 -56.34,73.61 -56.34,73.71 -56.97,73.71 | -56.44,73.7 -56.21,73.7 -56.21,73.77 -56.44,73.77 | -56.78,73.78 -55.95,73.78 -55.95,73.92 -56.78,73.92 | -20.23,73.88 -20,73.88 -20,73.94 -20.23,73.94 | -20.93,74.42 -20.53,74.4 -20.19,74.16 -21.29,74.09 -21.99,74.23 -21.56,74.41 | -57.56,74.48 -56.46,74.48 -56.46,74.56 -57.56,74.56 | -57.1,74.55 -56.84,74.55 -56.84,74.61 -57.1,74.61 | -57.28,74.57 -57.08,74.57 -57.08,74.63 -57.28,74.63 | -18.84,74.54 -19.22,74.58 -18.82,74.67 | -18.53,74.71 -18.3,74.71 -18.38,74.62 | -57.73,74.7 -57.43,74.7 -57.43,74.74 -57.73,74.74 | -20.17,74.9 -19.73,74.86 -20.07,74.7 -20.69,74.81 -20.42,75.05 -19.97,75 | -17.81,75.31 -18.22,75.23 -17.76,75.08 -17.33,75.14 -17.54,74.95 -18.92,75 -18.84,75.33 -18.24,75.3 -18.08,75.42 | -65.22,76.01 -64.96,76.01 -64.96,76.09 -65.22,76.09 | -64.15,76.06 -64.01,76.06 -64.01,76.13 -64.15,76.13 | -61.97,76.13 -61.85,76.13 -61.85,76.2 -61.97,76.2 | -20.34,76.26 -20.66,76.34 -20.17,76.35 | -70.19,76.39 -69.89,76.39 -69.89,76.46 -70.19,76.46 | -20.5,76.45 -20.27,76.45 -20.27,76.51 -20.5,76.51 | -21.49,76.47 -21.25,76.47 -21.25,76.52 -21.49,76.52 | -20.79,76.39 -21.14,76.45 -20.76,76.52 | -20.94,76.52 -20.63,76.52 -20.63,76.59 -20.94,76.59 | -69.67,76.53 -70.04,76.56 -69.56,76.61 | -21.08,76.57 -21.55,76.62 -21.05,76.64 | -19.86,76.7 -19.6,76.7 -19.6,76.76 -19.86,76.76 | -18.65,76.6 -18.64,75.89 -19.14,76.53 -18.76,76.59 -19.02,76.76 | -19.69,76.78 -19.81,76.79 -19.7,76.85 | -20.39,76.82 -20.17,76.82 -20.17,76.87 -20.39,76.87 | -71.94,77.3 -72.57,77.41 -71.35,77.39 | -70.67,77.46 -70.07,77.39 -70.98,77.37 -71.3,77.45 | -66.73,77.49 -66.19,77.49 -66.19,77.52 -66.73,77.52 | -20.04,77.5 -19.82,77.5 -19.82,77.58 -20.04,77.58 | -66.97,77.59 -66.63,77.59 -66.63,77.64 -66.97,77.64 | -20.44,77.58 -20.01,77.58 -20.01,77.69 -20.44,77.69 | -18.04,77.67 -17.93,77.88 -17.58,77.84 | -19.7,77.91 -19.54,77.91 -19.54,77.98 -19.7,77.98 | -19.94,77.97 -19.23,77.83 -20.36,77.92 | -21.43,77.88 -21.11,77.88 -21.11,78.02 -21.43,78.02 | -20.63,78.02 -20.36,78.02 -20.36,78.07 -20.63,78.07 | -19.38,78.12 -19.24,78.12 -19.24,78.18 -19.38,78.18 | -19.19,78.07 -18.83,78.07 -18.83,78.19 -19.19,78.19 | -21.04,78.15 -20.86,78.15 -20.86,78.19 -21.04,78.19 | -20.78,78.16 -20.3,78.16 -20.3,78.23 -20.78,78.23 | -19.59,78.24 -19.42,78.24 -19.42,78.29 -19.59,78.29 | -19.35,78.23 -18.89,78.23 -18.89,78.33 -19.35,78.33 | -19.72,78.27 -19.49,78.27 -19.49,78.39 -19.72,78.39 | -19.29,78.31 -19.37,78.41 -19.08,78.36 | -19.1,78.39 -18.88,78.39 -18.88,78.44 -19.1,78.44 | -19.25,78.44 -18.96,78.44 -18.96,78.49 -19.25,78.49 | -18.74,78.57 -18.31,78.57 -18.31,78.69 -18.74,78.69 | -18.33,78.74 -18.08,78.74 -18.08,78.87 -18.33,78.87 | -19.35,78.81 -19.42,78.72 -19.76,78.8 -19.24,78.95 | -18.04,78.99 -17.85,79.22 -17.56,79.16 | -19.5,79.13 -19.31,79.13 -19.31,79.24 -19.5,79.24 | -19.91,80.06 -19.76,80.24 -19.02,80.16 | -66.9,80.61 -66.53,80.61 -66.53,80.69 -66.9,80.69 | -20.97,81.61 -20.16,81.61 -20.16,81.73 -20.97,81.73 | -18.59,81.65 -19.25,81.78 -18.76,81.8 | -20.78,81.87 -19.74,81.87 -19.74,82.18 -20.78,82.18 | -19.41,81.97 -18.79,81.97 -18.79,82.21 -19.41,82.21 | -52.29,82.21 -51.8,82.21 -51.8,82.29 -52.29,82.29 | -51.47,81.97 -53.36,82.22 -52.75,82.31 | -48.86,82.4 -48.03,82.4 -48.03,82.56 -48.86,82.56 | -46,82.64 -44.44,82.4 -45.04,82.05 -47.75,82.62 | -40.47,82.66 -40.16,82.66 -40.16,82.7 -40.47,82.7 | -50.07,82.77 -49.72,82.77 -49.72,82.8 -50.07,82.8 | -48.42,82.78 -47.44,82.78 -47.44,82.89 -48.42,82.89 | -47.26,82.83 -46.41,82.83 -46.41,82.93 -47.26,82.93 | -39.57,83 -40.55,83.15 -39.3,83.09 | -41.48,82.98 -39.86,82.98 -39.86,83.17 -41.48,83.17 | -38.66,83.13 -38.01,83.13 -38.01,83.17 -38.66,83.17 | -40.58,83.2 -40.09,83.2 -40.09,83.23 -40.58,83.23 | -41.61,83.21 -41,83.21 -41,83.24 -41.61,83.24 | -42.42,83.24 -41.96,83.24 -41.96,83.27 -42.42,83.27 | -41.68,83.29 -41.23,83.29 -41.23,83.33 -41.68,83.33 | -39.65,83.26 -38.9,83.11 -40.67,83.28 -40.51,83.36 | -38.9,83.29 -39.62,83.34 -39.22,83.4 | -32.3,83.57 -30.21,83.6 -25.67,83.28 -26.96,83.14 -30.05,83.17 -31.93,83.05 -33.47,83.15 -32.49,83.04 -35.61,82.91 -35.49,82.74 -34.89,82.91 -33.92,82.9 -33.88,82.79 -33.54,82.95 -31.64,82.93 -30.06,83.13 -28.18,83.04 -25.19,83.16 -24.77,82.99 -25.9,82.77 -23.99,82.91 -24.02,82.76 -23.38,82.85 -21.32,82.61 -22.48,82.33 -25.07,82.15 -31.62,82.21 -29.92,82.09 -33.06,81.81 -33.02,81.66 -29,81.99 -25.24,82 -25.43,81.75 -27.6,81.5 -27.33,81.38 -24.21,81.71 -24,82.01 -22.3,82.08 -22.2,81.48 -24.51,80.54 -19.94,81.68 -20.25,81.42 -19.23,81.55 -18.25,81.44 -17.5,81.86 -15.1,81.93 -12.16,81.6 -14.03,81.14 -14.98,81.13 -14.68,80.92 -16.01,80.73 -17.96,80.81 -18.58,80.63 -20.09,80.69 -21.25,80.58 -20.81,80.5 -20.07,80.65 -18.51,80.55 -17.44,80.63 -16.11,80.5 -17.14,80.23 -19.85,80.28 -20.76,79.86 -20.23,79.77 -19.29,80.1 -17.45,80.06 -18.22,79.75 -19.23,79.79 -19.63,79.66 -19.87,79.15 -19.57,79.33 -19.08,79.2 -19.38,79.27 -20.09,79.06 -20.02,78.88 -21.18,78.81 -20.93,78.69 -21.43,78.64 -20.91,78.62 -22.04,77.69 -21.43,77.68 -21.58,77.56 -20.87,78.02 -19.24,77.76 -18.96,77.63 -19.3,77.58 -20.26,77.73 -20.91,77.67 -20.4,77.51 -21.05,77.54 -20.01,77.45 -20.77,77.41 -19.71,77.39 -19.42,77.24 -19.01,77.23 -18.97,77.37 -18.4,77.34 -18.31,76.81 -18.46,76.74 -20.72,76.99 -20.78,76.87 -21.73,76.88 -20.94,76.84 -21.61,76.64 -22.24,76.86 -22.74,76.7 -22.33,76.51 -22.18,76.64 -21.81,76.59 -21.75,76.44 -22.51,76.45 -21.59,76.44 -21.68,76.24 -21.11,76.28 -20.56,76.13 -21.07,76.31 -19.81,76.23 -19.72,76.06 -20.36,75.98 -21.98,75.99 -19.82,75.91 -19.34,75.4 -19.88,75.15 -20.14,75.33 -20.69,75.29 -22.25,75.66 -21.41,75.45 -22.48,75.51 -21.41,75.42 -20.52,75.14 -21.74,74.98 -22.44,75.16 -21.74,74.95 -20.64,75.06 -20.61,74.74 -21.11,74.66 -19.8,74.58 -19.39,74.68 -18.98,74.48 -19.68,74.24 -20.37,74.44 -21.66,74.45 -22.11,74.59 -21.77,74.42 -22.48,74.31 -22.04,74.26 -22.49,74.07 -21.98,74 -21.82,73.65 -21.75,74.06 -20.28,73.88 -20.5,73.45 -21.56,73.48 -22.38,73.25 -23.51,73.44 -24.03,73.7 -22.69,73.54 -22.19,73.63 -22.75,73.56 -24.04,73.81 -24.46,73.54 -25.69,73.95 -24.7,73.49 -26.13,73.24 -27.34,73.49 -26.39,73.24 -26.71,73.13 -27.73,73.13 -27.41,73.11 -27.5,72.92 -27.27,73.12 -26.66,73.1 -26.45,73.19 -25.05,73.08 -25.16,72.93 -26.03,72.79 -27.38,72.83 -26.4,72.77 -26.78,72.71 -26.32,72.73 -26.46,72.57 -25.57,72.83 -24.84,72.72 -24.61,72.52 -25.91,72.42 -25.29,72.38 -25.53,72.12 -25.19,72.36 -24.59,72.42 -22.5,71.9 -23.13,71.63 -22.43,71.8 -22.62,71.57 -22.23,71.75 -21.9,71.74 -22.51,71.55 -22.47,71.26 -21.81,71.51 -21.6,71.32 -21.96,71.26 -21.69,71.15 -22.33,71.05 -21.68,71.07 -21.93,70.8 -21.64,70.79 -21.78,70.58 -21.47,70.54 -21.96,70.39 -22.04,70.5 -22.38,70.44 -22.51,70.85 -22.62,70.45 -23.35,70.44 -24.02,70.65 -24.74,71.33 -25.1,71.3 -25.62,71.54 -26.95,71.58 -27.69,71.93 -28.64,72.12 -28.46,71.94 -27.85,71.9 -27.32,71.71 -28.47,71.55 -27.39,71.6 -27.23,71.48 -25.88,71.5 -25.41,71.35 -25.52,71.21 -25.78,71.25 -25.6,71.17 -26.48,70.96 -27.51,70.94 -27.8,71.15 -27.63,70.94 -28.41,70.98 -27.92,70.87 -28.03,70.71 -29.2,70.39 -28.3,70.51 -28.23,70.37 -26.72,70.48 -26.32,70.37 -28.54,70.04 -27.55,70.05 -27.34,69.96 -26.9,70.25 -26.31,70.2 -25.23,70.41 -25.33,70.27 -25.03,70.36 -23.56,70.11 -22.1,70.11 -22.38,69.97 -22.91,69.95 -22.78,69.88 -23.26,69.87 -23,69.76 -23.36,69.86 -23.25,69.75 -23.93,69.76 -23.66,69.55 -24.34,69.6 -24.17,69.42 -24.65,69.39 -24.66,69.25 -25.21,69.27 -25.04,69.12 -25.31,69.02 -25.61,69.1 -25.44,68.97 -26.36,68.67 -27.56,68.58 -27.62,68.48 -28.02,68.56 -28.01,68.45 -28.85,68.32 -29.19,68.39 -29.38,68.2 -29.86,68.41 -30.2,68.24 -30.03,68.11 -30.35,68.09 -30.71,68.26 -30.43,68.06 -31.02,68.04 -31.39,68.15 -31.57,68.07 -31.75,68.21 -31.54,68.24 -32.01,68.26 -32.49,68.62 -32.14,68.24 -32.4,68.2 -32,68.1 -32.12,67.86 -33.2,67.69 -33.28,67.4 -33.6,67.37 -33.37,67.25 -33.73,66.99 -33.97,66.99 -34.27,66.58 -34.43,66.74 -34.72,66.34 -34.98,66.28 -35.12,66.42 -35.2,66.24 -35.85,66.43 -35.59,66.11 -36.33,65.91 -36.34,66.08 -36.57,66.08 -36.98,65.84 -37.08,66.06 -37.19,65.77 -37.81,66.03 -37.18,66.34 -38.11,66.39 -37.69,66.26 -38,66.24 -38.05,65.91 -38.48,66.01 -38.1,65.8 -38.24,65.63 -38.75,65.69 -38.61,65.57 -39.06,65.56 -39.32,65.72 -39.33,65.54 -39.66,65.68 -39.83,65.5 -40.1,65.57 -40.21,65.48 -39.79,65.42 -39.76,65.24 -40.26,65.02 -40.6,65.13 -41.16,64.96 -40.59,64.68 -40.64,64.47 -40.36,64.35 -41.57,64.27 -40.57,64.11 -40.84,63.95 -40.62,63.92 -40.52,63.7 -41.62,63.79 -40.89,63.66 -40.76,63.5 -41.17,63.51 -41.11,63.39 -41.39,63.55 -41.24,63.4 -41.58,63.49 -41.11,63.31 -41.69,63.52 -41.91,63.46 -41.43,63.13 -42.02,63.25 -41.54,63.04 -41.73,63.03 -42.17,63.2 -42,63.03 -41.62,62.99 -41.76,62.84 -42.32,62.81 -42.3,62.94 -42.53,62.72 -43.15,62.76 -42.37,62.57 -42.33,62.48 -42.55,62.47 -42.16,62.38 -42.98,62.52 -42.26,62.24 -42.54,61.94 -42.12,62.01 -42.42,61.92 -42.19,61.86 -42.33,61.76 -42.87,61.77 -42.32,61.64 -42.43,61.56 -43.08,61.59 -42.53,61.53 -42.51,61.36 -43.25,61.34 -42.66,61.26 -42.58,61.19 -43.09,61.2 -42.63,61.1 -43.61,61.13 -42.7,61.06 -43.01,60.88 -43.48,60.93 -42.79,60.8 -43.53,60.84 -42.79,60.74 -43.08,60.65 -42.75,60.68 -43.07,60.5 -43.31,60.55 -43.21,60.46 -43.55,60.54 -43.69,60.72 -43.63,60.55 -44.2,60.59 -43.33,60.45 -43.6,60.31 -43.17,60.4 -43.09,60.26 -43.33,60.22 -43.13,60.21 -43.14,60.08 -44.11,60.18 -44.1,60.38 -44.6,59.98 -45.15,60.07 -44.47,60.56 -45.19,60.13 -44.63,60.74 -45.2,60.44 -45.1,60.65 -45.49,60.49 -45.31,60.7 -45.57,60.47 -45.68,60.64 -45.98,60.57 -45.25,60.9 -45.4,61.01 -45.69,60.77 -45.88,60.75 -45.83,60.85 -46.22,60.75 -45.25,61.11 -45.21,61.2 -45.37,61.09 -45.5,61.23 -45.62,61.02 -46.05,60.92 -45.65,61.14 -45.87,61.22 -45.77,61.33 -46.01,61.22 -45.92,61.09 -46.23,60.97 -46.41,61.08 -46.58,60.91 -46.84,60.93 -46.86,60.8 -47.02,60.98 -47.76,60.91 -47.36,60.88 -47.45,60.82 -48.24,60.82 -47.69,61.01 -48.41,60.99 -47.83,61.04 -48.22,61.18 -47.92,61.32 -48.41,61.13 -48.32,61.21 -48.64,61.24 -48.38,61.36 -49.07,61.4 -48.24,61.53 -48.34,61.6 -48.95,61.47 -49.3,61.56 -48.6,61.64 -48.98,61.6 -49.15,61.72 -48.76,61.98 -49.23,61.71 -49.21,61.88 -49.44,61.84 -48.84,62.08 -49.1,62.08 -49.03,62.21 -49.16,62.02 -49.67,62 -49.69,62.12 -49.29,62.13 -49.64,62.15 -49.4,62.26 -49.84,62.24 -50.32,62.5 -49.95,62.83 -50.28,62.7 -50.15,62.93 -49.7,63.06 -50.38,62.78 -50.15,63.02 -50.59,62.97 -50.61,63.09 -50.06,63.23 -50.91,63.14 -50.78,63.25 -51.01,63.16 -51.11,63.34 -50.28,63.4 -51.22,63.44 -50.74,63.55 -51.1,63.52 -51.13,63.62 -50.5,63.67 -51.08,63.67 -51.17,63.5 -51.56,63.71 -50.92,63.93 -51.44,63.8 -51.36,63.97 -51.6,64.03 -50.05,64.19 -50.55,64.18 -50.48,64.29 -51.06,64.12 -51.64,64.11 -51.39,64.15 -51.75,64.2 -50.85,64.25 -51.04,64.28 -50.86,64.42 -50.18,64.44 -50.57,64.45 -50.44,64.55 -50.86,64.63 -50.32,64.68 -50.14,64.48 -49.58,64.34 -50.07,64.53 -49.99,64.7 -50.21,64.73 -50,64.87 -50.56,64.77 -50.98,65.22 -50.64,64.75 -51.14,64.61 -51.02,64.75 -51.22,64.76 -51.67,64.31 -52.01,64.2 -52.12,64.72 -51.25,65.02 -51.68,64.89 -51.7,65.02 -51.88,64.83 -52.1,64.79 -52.03,64.9 -52.21,64.81 -52.1,65.24 -52.31,65.2 -52.21,65.33 -52.52,65.19 -52.56,65.33 -51.72,65.58 -51.9,65.62 -51.69,65.7 -50.55,65.71 -51.48,65.76 -52.5,65.39 -52.47,65.64 -52.8,65.54 -52.69,65.81 -52.81,65.67 -53.24,65.68 -52.88,65.8 -53.27,65.75 -52.7,65.94 -52.32,65.87 -51.81,65.96 -51.83,66.06 -52.32,65.9 -52.62,65.98 -53.15,65.86 -52.88,66.03 -53.35,65.93 -53.13,66.02 -53.46,66.03 -51.27,66.84 -50.33,66.83 -50.96,66.93 -50,66.98 -50.63,67.01 -50.33,67.07 -51.19,66.92 -53.48,66.1 -53.58,66.21 -53.12,66.29 -53.62,66.24 -53.63,66.5 -52.42,66.55 -53.45,66.64 -52.58,66.7 -53.2,66.74 -52.87,66.77 -53.12,66.76 -52.98,66.85 -52.23,66.84 -53.65,66.91 -53.81,66.99 -53.22,67 -53.84,67.06 -53.39,67.11 -53.97,67.07 -53.51,67.23 -52.15,67.37 -51.52,67.32 -51.19,67.12 -50.35,67.18 -51.17,67.14 -51.53,67.35 -51.15,67.42 -53.88,67.26 -53.72,67.45 -52.5,67.77 -51.81,67.63 -51.33,67.68 -50.7,67.49 -50.07,67.51 -50.85,67.59 -50.09,67.73 -50.94,67.62 -51.23,67.7 -50.43,67.82 -50.78,67.91 -50.71,67.82 -51.2,67.76 -51.33,67.87 -50.98,67.88 -51.06,67.97 -51.57,67.93 -51.32,67.81 -51.71,67.69 -51.66,67.79 -52.34,67.82 -51.61,67.97 -52.97,67.76 -53.6,67.51 -53.75,67.6 -53.63,67.81 -53.3,67.81 -53.46,67.89 -53.06,67.88 -53.26,67.89 -52.95,67.98 -53.19,68.04 -52.06,67.98 -52.69,67.97 -53.32,68.18 -50.15,67.93 -51.43,68.2 -50.96,68.18 -51.18,68.4 -50.82,68.5 -51.64,68.41 -51.24,68.29 -52.42,68.18 -52.9,68.23 -52.74,68.32 -53.39,68.33 -52.46,68.54 -50.87,68.61 -50.99,68.73 -50.67,68.83 -51.29,68.75 -50.96,68.93 -51.07,69.13 -50.38,68.9 -50.48,69.02 -50.26,69.05 -50.21,68.96 -50.24,69.08 -50.69,69.12 -50.16,69.16 -50.47,69.2 -50.38,69.34 -51.12,69.2 -50.86,69.46 -50.2,69.52 -50.88,69.49 -50.8,69.64 -50.41,69.59 -50.81,69.71 -50.19,69.76 -50.59,69.92 -50.21,70.02 -51.26,69.96 -50.86,70.02 -51.24,70.07 -51.46,69.96 -52.31,70.05 -54.63,70.65 -54.06,70.83 -52.72,70.74 -50.68,70.32 -50.49,70.51 -51.04,70.43 -51.33,70.58 -50.89,70.51 -50.93,70.65 -50.62,70.63 -51.43,70.75 -50.63,70.74 -50.86,70.88 -51.95,71.02 -50.95,70.97 -51.48,71.06 -51.23,71.14 -52.24,71.12 -51.54,71.26 -51.65,71.36 -52.55,71.16 -52.27,71.36 -51.35,71.49 -52.98,71.42 -51.64,71.71 -52.17,71.61 -53.25,71.7 -52.68,72 -53.32,71.82 -53.86,72.32 -53.56,72.36 -53.95,72.32 -53.4,71.85 -53.91,71.74 -53.77,71.63 -54.1,71.71 -53.92,71.44 -54.83,71.35 -55.26,71.49 -55.32,71.39 -55.91,71.68 -54.83,71.92 -54.38,72.22 -54.86,71.94 -55.3,71.93 -55.56,72.02 -54.68,72.37 -55.63,72.46 -54.3,72.48 -55.02,72.52 -54.63,72.62 -54.85,73.01 -55.7,73.07 -55.15,73.18 -55.46,73.26 -55.09,73.36 -56.08,73.65 -55.96,73.76 -55.61,73.72 -55.97,74.03 -56.41,74.07 -56.13,74.28 -57.32,74.1 -56.31,74.29 -56.71,74.34 -56.16,74.4 -56.8,74.45 -56.19,74.55 -57.02,74.67 -57.03,74.91 -58.14,75.05 -58.3,75.39 -58.7,75.35 -58.21,75.44 -58.41,75.72 -59.06,75.7 -59.22,75.87 -59.78,75.8 -59.69,75.96 -60.51,76.07 -60.74,75.99 -60.88,76.15 -62.24,76.29 -62.78,76.19 -63.44,76.37 -63.79,76.16 -64.12,76.15 -64.34,76.35 -64.6,76.13 -65.35,76.17 -65.48,76.02 -65.89,76.1 -65.66,76.26 -66.19,76.28 -66.46,76.08 -67.03,76.26 -67.3,76.16 -66.46,75.91 -68.5,76.09 -69.62,76.42 -68.03,76.58 -67.98,76.68 -70.01,76.76 -69.67,77.01 -70.7,76.81 -71.37,77.06 -70.15,77.24 -66.45,77.13 -66.19,77.19 -69.1,77.27 -67.62,77.39 -66.22,77.25 -66.66,77.41 -66.1,77.44 -66.16,77.57 -67.04,77.68 -67.53,77.53 -68.37,77.5 -68.74,77.66 -68.61,77.52 -69.25,77.45 -70.29,77.56 -69.48,77.75 -70.6,77.68 -69.98,77.84 -71.32,77.76 -71.23,77.88 -71.94,77.89 -73.05,78.16 -72.46,78.29 -72.85,78.31 -72.55,78.52 -70.87,78.61 -69.14,78.88 -68.79,78.83 -69.13,78.95 -68.34,79.06 -65.98,79.1 -64.82,79.53 -65.07,80.01 -63.78,80.15 -64.2,80.25 -64.9,80.06 -67.05,80.06 -67.48,80.33 -63.68,81.14 -62.79,80.75 -63.29,81.18 -61.06,81.12 -60.77,81.5 -61.45,81.75 -60.81,81.88 -60.06,81.94 -58.9,81.86 -58.64,81.68 -56.48,81.33 -59.47,82 -55.9,82.27 -55.11,82.16 -55.6,82.28 -54.51,82.37 -53.56,82.12 -53.63,81.51 -52.9,82.03 -49.87,81.61 -51.07,81.93 -49.43,81.93 -50.71,82.19 -51.12,82.49 -50.32,82.52 -46.39,82.1 -44.64,81.75 -44.62,82.28 -42.3,82.22 -43.83,82.34 -45.75,82.77 -42.09,82.76 -41.68,82.48 -41.55,82.74 -39.85,82.36 -39.91,82.67 -42.19,82.85 -46.05,82.85 -46.89,82.96 -45.98,82.91 -46.47,83.05 -43.39,82.91 -45.52,83.13 -42.87,83.09 -43.98,83.2 -42.7,83.27 -38.57,82.74 -39.12,82.99 -37.27,83.01 -38.79,83.06 -36.88,83.15 -38.68,83.21 -38.84,83.43 -37.8,83.36 -37.63,83.5 -36.44,83.36 -36.67,83.54 -34.36,83.6 -33.88,83.45 -33.9,83.59
+GM -16.73,13.45 -16.59,13.46 -16.55,13.29 -16.22,13.25 -16.16,13.43 -15.54,13.51 -15.33,13.44 -15.56,13.53 -16.39,13.33 -16.51,13.37 -16.57,13.59 -15.49,13.59 -15.36,13.78 -15.07,13.83 -14.86,13.78 -14.72,13.61 -14.54,13.65 -14.34,13.45 -13.97,13.58 -13.8,13.41 -14.35,13.24 -15.11,13.6 -15.29,13.37 -15.8,13.35 -15.81,13.16 -16.69,13.16 -16.75,13.06 -16.82,13.32
+GN -13.6,9.73 -13.65,9.84 -13.75,9.76 -13.69,9.95 -13.83,9.85 -14.46,10.29 -14.54,10.51 -14.66,10.48 -14.51,10.83 -14.7,10.64 -14.82,10.91 -14.69,11.04 -14.88,10.97 -14.96,10.77 -15.08,10.88 -14.69,11.51 -14.28,11.68 -13.71,11.72 -13.71,12.01 -13.97,12.15 -13.67,12.32 -13.71,12.68 -13.06,12.64 -13.04,12.47 -12.9,12.55 -12.35,12.3 -11.43,12.43 -11.49,12.17 -11.32,12.02 -10.93,12.22 -10.65,11.89 -10.32,12.22 -9.7,12.03 -9.63,12.17 -9.31,12.27 -9.4,12.46 -9.16,12.49 -8.94,12.35 -8.98,12.22 -8.8,12.01 -8.83,11.66 -8.36,11.37 -8.68,10.97 -8.29,11.01 -8.27,10.5 -7.94,10.24 -8.16,9.94 -8.14,9.53 -7.88,9.36 -7.92,9.19 -7.73,9.09 -7.91,9.01 -7.96,8.81 -7.68,8.62 -7.65,8.38 -7.82,8.49 -8.2,8.5 -8.23,8.24 -8.02,8.18 -7.95,8.02 -8.05,8.03 -8.19,7.57 -8.47,7.56 -8.66,7.7 -8.84,7.27 -9.11,7.2 -9.33,7.43 -9.49,7.36 -9.35,7.74 -9.48,8.35 -9.66,8.49 -10.33,8.51 -10.7,8.3 -10.5,8.71 -10.57,9.06 -10.74,9.08 -10.66,9.31 -11.18,9.99 -12.46,9.89 -12.68,9.42 -12.95,9.28 -13.11,9.04 -13.33,9.06 -13.27,9.2 -13.52,9.46 -13.49,9.56 -13.67,9.56
+GP -61.25,15.87 -61.33,15.93 -61.27,16.02 | -61.09,16.3 -60.99,16.3 -60.99,16.35 -61.09,16.35 | -61.35,16.33 -61.21,16.27 -61.57,16.23 -61.56,16.03 -61.7,15.95 -61.78,16.33 -61.54,16.29 -61.46,16.51
+GQ 5.62,-1.48 5.65,-1.48 5.65,-1.42 5.62,-1.42 | 10.03,2.17 11.34,2.17 11.35,1 9.99,1 9.94,0.93 9.8,1 9.84,1.08 9.39,1.11 9.46,1.39 9.81,1.92 9.77,2.32 | 8.86,3.5 8.69,3.2 8.45,3.27 8.45,3.44 8.58,3.47 8.69,3.74 8.96,3.7
+GR 24.04,34.81 24.13,34.81 24.13,34.87 24.04,34.87 | 26.85,35.34 27.02,35.34 27.02,35.43 26.85,35.43 | 23.86,35.52 24.17,35.59 24.1,35.49 24.32,35.35 25.77,35.33 25.81,35.11 26.3,35.28 26.29,35.13 26.12,34.99 24.75,34.94 24.72,35.09 24.39,35.19 23.59,35.24 23.61,35.61 23.72,35.51 23.75,35.69 | 27.16,35.45 27.07,35.6 27.23,35.83 | 23.27,35.82 23.33,35.82 23.33,35.9 23.27,35.9 | 23.05,36.14 22.91,36.2 22.93,36.38 23.11,36.24 | 25.73,36.35 25.86,36.35 25.86,36.4 25.73,36.4 | 25.39,36.39 25.41,36.39 25.41,36.41 25.39,36.41 | 27.79,35.89 27.72,36.17 28.23,36.45 28.12,36.19 | 27.29,36.37 27.45,36.37 27.45,36.48 27.29,36.48 | 25.37,36.33 25.49,36.33 25.49,36.48 25.37,36.48 | 26.34,36.51 26.27,36.59 26.46,36.6 | 27.85,36.53 27.76,36.57 27.86,36.65 | 24.84,36.59 24.96,36.59 24.96,36.66 24.84,36.66 | 25.06,36.63 25.19,36.63 25.19,36.72 25.06,36.72 | 21.75,36.7 21.79,36.7 21.79,36.75 21.75,36.75 | 24.41,36.66 24.35,36.75 24.55,36.76 | 25.26,36.64 25.41,36.64 25.41,36.79 25.26,36.79 | 24.61,36.75 24.67,36.75 24.67,36.79 24.61,36.79 | 21.69,36.74 21.73,36.74 21.73,36.8 21.69,36.8 | 24.52,36.77 24.6,36.77 24.6,36.85 24.52,36.85 | 25.42,36.82 25.48,36.82 25.48,36.87 25.42,36.87 | 25.74,36.76 25.98,36.76 25.98,36.89 25.74,36.89 | 26.97,36.68 27.06,36.84 27.35,36.87 | 25.61,36.88 25.68,36.88 25.68,36.91 25.61,36.91 | 25.02,36.94 25.09,36.94 25.09,37.04 25.02,37.04 | 24.64,36.9 24.77,36.9 24.77,37.04 24.64,37.04 | 26.98,36.92 26.89,37.08 27.05,36.99 | 25.78,37.09 25.84,37.09 25.84,37.13 25.78,37.13 | 25.25,37.01 25.1,37.03 25.27,37.14 | 26.77,37.1 26.89,37.1 26.89,37.19 26.77,37.19 | 25.46,36.92 25.34,37.08 25.54,37.2 | 24.41,37.11 24.54,37.11 24.54,37.2 24.41,37.2 | 26.76,37.19 26.79,37.19 26.79,37.21 26.76,37.21 | 23.1,37.24 23.17,37.24 23.17,37.28 23.1,37.28 | 23.37,37.3 23.58,37.3 23.58,37.37 23.37,37.37 | 24.37,37.31 24.48,37.31 24.48,37.48 24.37,37.48 | 25.36,37.41 25.31,37.49 25.46,37.47 | 24.88,37.36 24.97,37.36 24.97,37.51 24.88,37.51 | 23.43,37.5 23.52,37.5 23.52,37.54 23.43,37.54 | 25.23,37.53 24.98,37.68 25.24,37.62 | 24.27,37.52 24.41,37.52 24.41,37.68 24.27,37.68 | 26.02,37.51 26.07,37.63 26.36,37.69 | 23.51,37.69 23.43,37.76 23.56,37.76 | 27.07,37.71 26.82,37.64 26.57,37.73 26.75,37.81 | 20.9,37.81 20.99,37.7 20.83,37.65 20.62,37.86 20.7,37.93 | 24.79,38 24.96,37.87 24.96,37.69 24.71,37.87 | 23.4,37.88 23.55,37.88 23.55,38 23.4,38 | 20.61,38.39 20.79,38.06 20.34,38.18 20.54,38.47 | 20.61,38.31 20.76,38.31 20.76,38.5 20.61,38.5 | 26.03,38.18 25.86,38.24 25.99,38.34 25.86,38.58 26.16,38.54 | 20.9,38.54 20.94,38.54 20.94,38.61 20.9,38.61 | 25.53,38.53 25.62,38.53 25.62,38.61 25.53,38.61 | 20.64,38.58 20.54,38.56 20.56,38.68 20.7,38.83 | 24.68,38.8 24.55,38.77 24.46,38.96 | 23.46,38.85 24.15,38.65 24.25,38.23 24.57,38.15 24.56,37.99 24.39,37.99 24.05,38.39 23.64,38.42 23.6,38.57 23.2,38.83 22.83,38.82 23.29,39.04 | 23.59,39.07 23.79,39.07 23.79,39.21 23.59,39.21 | 23.39,39.13 23.51,39.13 23.51,39.21 23.39,39.21 | 20.12,39.17 20.2,39.17 20.2,39.24 20.12,39.24 | 23.83,39.13 23.98,39.13 23.98,39.29 23.83,39.29 | 26.38,39.27 26.61,39.04 26.52,38.97 26.09,39.07 26.26,39.2 26.07,39.08 25.83,39.18 26.22,39.38 | 24.97,39.46 25.05,39.46 25.05,39.56 24.97,39.56 | 19.93,39.79 19.85,39.65 20.11,39.36 19.88,39.45 19.64,39.74 | 19.38,39.84 19.43,39.84 19.43,39.87 19.38,39.87 | 25.44,40 25.36,39.79 25.26,39.91 25.22,39.8 25.05,39.86 25.05,39.99 | 25.6,40.4 25.44,40.48 25.66,40.49 | 24.77,40.63 24.64,40.57 24.51,40.66 24.65,40.8 | 26.29,41.71 26.57,41.61 26.64,41.36 26.32,41.23 26.36,40.96 26.11,40.74 25.14,41.01 24.8,40.85 24.4,40.94 24.08,40.72 23.72,40.75 23.87,40.41 24.18,40.35 24.4,40.16 23.73,40.35 23.77,40.2 23.99,40.11 23.99,39.95 23.41,40.28 23.37,40.14 23.75,39.93 23.38,39.99 23.31,40.23 22.9,40.4 22.91,40.64 22.59,40.48 22.59,40.01 23.34,39.18 23.06,39.09 23.22,39.18 22.94,39.36 22.82,39.21 23.07,39.04 22.52,38.86 23.32,38.65 23.34,38.54 24.07,38.2 24.07,37.69 23.95,37.67 23.52,38.04 22.99,37.88 23.16,37.62 23.41,37.59 23.51,37.43 23.18,37.29 23.13,37.45 22.73,37.57 23.2,36.43 22.97,36.52 22.79,36.8 22.63,36.8 22.49,36.39 22.15,37.02 21.94,36.99 21.88,36.72 21.7,36.82 21.56,37.15 21.65,37.44 21.11,37.85 21.38,38.21 21.61,38.15 21.96,38.33 22.87,37.94 22.98,37.98 22.85,38.03 23.23,38.15 22.78,38.23 22.4,38.45 22.38,38.33 21.95,38.41 21.53,38.31 21.35,38.43 21.15,38.3 20.99,38.67 20.73,38.8 20.78,38.93 21.09,38.86 21.14,39.02 20.82,39.11 20.74,38.95 20.48,39.27 20.29,39.33 20.19,39.62 20.01,39.69 20.22,39.65 20.41,39.82 20.32,39.99 20.67,40.1 20.79,40.43 21.04,40.56 20.98,40.86 21.6,40.87 21.98,41.13 22.72,41.14 22.8,41.35 23.64,41.38 24.25,41.57 25.28,41.24 25.98,41.32 26.2,41.44 26.07,41.71
+GS -27.41,-59.47 -27.3,-59.47 -27.3,-59.42 -27.41,-59.42 | -26.67,-59.07 -26.5,-59.07 -26.5,-59 -26.67,-59 | -26.25,-58.41 -26.25,-58.5 -26.46,-58.43 | -26.51,-57.82 -26.39,-57.82 -26.39,-57.74 -26.51,-57.74 | -26.73,-57.09 -26.65,-57.09 -26.65,-57.05 -26.73,-57.05 | -27.21,-56.73 -27.09,-56.73 -27.09,-56.68 -27.21,-56.68 | -27.61,-56.32 -27.54,-56.32 -27.54,-56.27 -27.61,-56.27 | -37.11,-54.52 -37.02,-54.52 -37.02,-54.47 -37.11,-54.47 | -37.5,-54.01 -36.66,-54.11 -36.67,-54.27 -36.49,-54.24 -36.35,-54.36 -36.29,-54.27 -35.78,-54.77 -36.1,-54.76 -35.92,-54.86 -36.12,-54.89 -36.52,-54.5 -37.41,-54.27 -37.24,-54.15 -37.66,-54.18 -37.62,-54.04 -38.02,-54.06
+GT -90.63,13.93 -91.38,13.98 -92.22,14.52 -92.07,15.08 -92.21,15.26 -91.73,16.07 -90.44,16.09 -90.41,16.42 -91.44,17.24 -90.98,17.26 -90.98,17.82 -89.14,17.82 -89.22,15.89 -88.81,15.87 -88.61,15.7 -88.49,15.84 -88.55,15.94 -88.21,15.72 -89.15,15.07 -89.19,14.58 -89.35,14.43 -89.57,14.41 -89.52,14.23 -90.02,13.94 -90.1,13.75
+GU 144.71,13.23 144.66,13.43 144.88,13.65 144.95,13.58
+GW -15.89,11.05 -15.98,11.05 -15.95,11.2 | -16.01,11.07 -16.06,11.16 -15.98,11.2 | -16.09,11.03 -16.24,11.1 -16.08,11.21 | -15.91,11.2 -15.82,11.2 -15.82,11.3 -15.91,11.3 | -15.78,11.16 -15.66,11.16 -15.66,11.31 -15.78,11.31 | -16.28,11.21 -16.14,11.21 -16.14,11.31 -16.28,11.31 | -15.74,11.43 -15.65,11.43 -15.65,11.5 -15.74,11.5 | -16.21,11.44 -16.3,11.45 -16.16,11.52 | -16.42,11.48 -16.24,11.48 -16.24,11.58 -16.42,11.58 | -15.95,11.42 -16.07,11.45 -15.96,11.59 | -15.55,11.52 -15.63,11.54 -15.47,11.63 | -16.03,11.76 -16.16,11.87 -15.98,11.91 | -16.32,11.83 -16.18,11.83 -16.18,11.97 -16.32,11.97 | -14.52,12.68 -13.71,12.68 -13.67,12.32 -13.97,12.15 -13.71,12.01 -13.71,11.72 -14.28,11.68 -14.69,11.51 -15.09,10.92 -15.02,11.2 -15.23,10.99 -15.2,11.23 -15.23,11.13 -15.35,11.14 -15.43,11.29 -15.27,11.43 -15.51,11.35 -15.28,11.62 -15.03,11.59 -15.34,11.68 -15.44,11.55 -15.42,11.68 -15.56,11.72 -15.38,11.88 -15.13,11.89 -14.93,11.75 -15.06,11.84 -15,11.97 -15.43,11.96 -15.96,11.73 -15.86,11.97 -15.7,12 -16.25,11.93 -16.33,12.15 -16.11,12.33 -16.46,12.17 -16.72,12.32 -16.21,12.46 -15.69,12.43 -15.22,12.68
+GY -58.47,6.88 -58.33,6.88 -58.33,6.97 -58.47,6.97 | -59.79,8.34 -59.75,8.41 -59.12,8.03 -58.47,7.35 -58.65,6.43 -58.46,6.82 -58.31,6.89 -57.99,6.79 -57.52,6.27 -57.46,6.34 -57.19,6.13 -57.18,5.63 -57.32,5.3 -57.19,5.17 -57.29,5.17 -57.33,5.03 -57.69,5.01 -57.9,4.86 -57.84,4.65 -58.05,4.01 -57.65,3.52 -57.64,3.36 -57.3,3.38 -57.2,2.82 -56.69,2.03 -56.47,1.94 -56.78,1.87 -57.09,2.02 -57.32,1.98 -57.55,1.7 -57.76,1.72 -58.01,1.51 -58.3,1.58 -58.5,1.45 -58.51,1.27 -58.81,1.19 -59.24,1.38 -59.75,1.87 -59.73,2.28 -59.9,2.38 -59.98,2.86 -59.83,3.52 -59.57,3.9 -59.73,4.21 -59.68,4.39 -60.15,4.52 -60.03,4.71 -60.01,5.11 -60.2,5.27 -60.73,5.2 -61.39,5.94 -61.16,6.18 -61.13,6.71 -60.71,6.76 -60.29,7.06 -60.37,7.18 -60.62,7.19 -60.72,7.55 -60.52,7.81 -59.83,8.24 -59.99,8.54
+HK 114.12,22.2 114.25,22.2 114.25,22.29 114.12,22.29 | 113.9,22.2 113.83,22.24 114.05,22.34 | 114.29,22.34 114.32,22.34 114.32,22.37 114.29,22.37 | 114.22,22.47 114.39,22.43 114.26,22.36 114.3,22.26 113.9,22.37 114.03,22.51 114.22,22.55
+HM 73.77,-53.13 73.47,-53.19 73.23,-52.99
+HN -87.67,13.25 -87.61,13.25 -87.61,13.3 -87.67,13.3 | -87.66,13.3 -87.57,13.3 -87.57,13.37 -87.66,13.37 | -85.84,16.01 -85.49,15.89 -84.92,15.98 -84.59,15.77 -84.26,15.83 -83.86,15.46 -84.21,15.55 -84.08,15.35 -83.83,15.26 -83.96,15.4 -83.76,15.2 -83.53,15.27 -83.57,15.16 -83.5,15.23 -83.61,15.35 -83.13,14.99 -83.49,15.01 -83.84,14.79 -84.48,14.62 -84.91,14.81 -85.16,14.33 -85.73,13.96 -85.73,13.83 -86.02,14.07 -86.33,13.76 -86.76,13.75 -86.7,13.3 -86.91,13.25 -87.02,12.99 -87.3,12.99 -87.51,13.27 -87.4,13.41 -87.82,13.41 -87.71,13.47 -87.78,13.53 -87.69,13.82 -87.8,13.9 -88.2,13.99 -88.47,13.86 -88.5,13.98 -88.82,14.09 -89.03,14.33 -89.35,14.43 -89.14,14.68 -89.22,14.86 -89.15,15.07 -87.92,15.86 -87.7,15.92 -87.47,15.78 -86.39,15.77 -85.94,15.92 -85.91,16 -86.01,16.03 | -86.99,16.07 -86.87,16.07 -86.87,16.12 -86.99,16.12 | -86.64,16.27 -86.26,16.27 -86.26,16.44 -86.64,16.44 | -85.96,16.41 -85.83,16.41 -85.83,16.51 -85.96,16.51 | -83.96,17.41 -83.94,17.41 -83.94,17.42 -83.96,17.42 | -83.93,17.41 -83.91,17.41 -83.91,17.42 -83.93,17.42
+HR 16.81,42.72 16.94,42.72 16.94,42.78 16.81,42.78 | 17.32,42.69 17.75,42.69 17.75,42.8 17.32,42.8 | 16.63,42.9 17.18,42.9 17.18,42.99 16.63,42.99 | 17.3,43.01 18.4,42.61 18.53,42.4 17.88,42.77 17.01,43.01 | 16.05,43.01 16.25,43.01 16.25,43.08 16.05,43.08 | 16.56,43.23 17.19,43.13 16.65,43.12 16.37,43.19 | 16.85,43.27 16.4,43.33 16.75,43.36 | 16.2,43.33 16.39,43.33 16.39,43.41 16.2,43.41 | 15.61,43.63 15.7,43.63 15.7,43.68 15.61,43.68 | 15.22,43.78 15.38,43.78 15.38,43.88 15.22,43.88 | 15.26,43.89 15.45,43.89 15.45,44.01 15.26,44.01 | 15.06,44.01 15.26,44.01 15.26,44.16 15.06,44.16 | 14.82,43.87 15.23,43.87 15.23,44.18 14.82,44.18 | 14.84,44.61 15.25,44.33 15.13,44.31 | 14.34,44.47 14.53,44.47 14.53,44.71 14.34,44.71 | 14.66,44.7 14.87,44.7 14.87,44.85 14.66,44.85 | 14.46,44.91 14.49,44.61 14.29,44.91 14.4,44.92 14.32,45.18 | 14.76,44.94 14.43,45.08 14.54,45.24 | 16.57,46.48 17.67,45.84 18.42,45.75 18.82,45.91 18.96,45.78 18.9,45.57 19.1,45.52 18.98,45.38 19.42,45.23 19.16,45.21 18.96,44.85 18.63,45.08 18.25,45.14 17.85,45.05 16.91,45.27 16.53,45.22 16.29,45 16.02,45.22 15.79,45.17 15.74,44.81 16.13,44.5 16.14,44.2 17.26,43.46 17.67,42.96 16.47,43.54 15.99,43.5 15.94,43.68 15.15,44.2 15.27,44.33 15.53,44.26 14.9,44.69 14.84,45.11 14.32,45.35 13.91,44.77 13.5,45.49 14.4,45.49 14.6,45.68 14.82,45.47 15.17,45.43 15.31,45.75 15.7,45.84 15.65,46.22 16.27,46.42 16.29,46.53
+HT -73.71,18.06 -73.58,18.06 -73.58,18.1 -73.71,18.1 | -73.8,18.58 -73.71,18.58 -73.71,18.64 -73.8,18.64 | -72.82,18.7 -73.3,18.93 -72.86,18.84 | -72.67,19.92 -71.73,19.68 -71.74,19.29 -71.63,19.21 -71.78,18.96 -71.72,18.75 -72,18.6 -71.69,18.32 -71.77,18.04 -72.07,18.24 -72.82,18.14 -73.39,18.26 -73.79,18.17 -73.79,18.03 -73.88,18.02 -74.1,18.24 -74.45,18.34 -74.42,18.61 -74.27,18.67 -73.79,18.53 -73.59,18.58 -73.71,18.54 -73.65,18.5 -72.74,18.42 -72.62,18.56 -72.35,18.53 -72.33,18.68 -72.8,19.03 -72.72,19.45 -73.47,19.69 -73.41,19.83 -73.15,19.92 | -72.96,19.99 -72.62,19.99 -72.62,20.09 -72.96,20.09
+HU 18.82,45.91 18.42,45.75 17.67,45.83 16.53,46.51 16.35,46.85 16.11,46.87 16.51,47.01 16.45,47.42 16.71,47.54 16.43,47.67 16.56,47.76 17.05,47.71 17.24,48.03 17.78,47.75 18.67,47.76 18.85,47.82 18.85,48.05 19.47,48.09 19.63,48.23 19.92,48.13 20.32,48.27 20.54,48.54 20.81,48.58 21.44,48.58 21.78,48.34 22.27,48.41 22.38,48.25 22.89,48.04 22.77,47.84 22.28,47.73 22.02,47.51 21.18,46.3 20.82,46.27 20.62,46.13 19.56,46.17 19.29,45.99
+ID 123.21,-10.81 122.84,-10.93 122.81,-10.79 123.39,-10.44 123.39,-10.68 | 121.86,-10.61 121.69,-10.56 122,-10.44 | 123.4,-10.34 123.31,-10.28 123.45,-10.14 | 120.03,-9.38 120.82,-9.99 120.72,-10.2 120.49,-10.26 120.16,-10.23 119.63,-9.77 119.12,-9.73 118.93,-9.56 119.28,-9.36 119.81,-9.39 119.94,-9.28 | 125.16,-9.07 124.97,-9.21 125.13,-9.44 124.45,-10.15 124.11,-10.18 123.81,-10.38 123.49,-10.32 123.76,-10.08 123.58,-10.03 123.66,-9.65 123.98,-9.36 124.34,-9.46 124.45,-9.18 124.95,-8.95 | 115.47,-8.81 115.62,-8.81 115.62,-8.67 115.47,-8.67 | 119.69,-8.8 119.61,-8.77 119.63,-8.6 | 113.27,-8.5 113.41,-8.5 113.41,-8.44 113.27,-8.44 | 122.97,-8.57 122.88,-8.58 122.99,-8.46 123.18,-8.44 | 119.46,-8.44 119.59,-8.56 119.46,-8.6 119.45,-8.75 119.37,-8.72 | 123.28,-8.41 123.02,-8.38 123.22,-8.23 123.34,-8.27 | 116.55,-8.78 116.58,-8.9 116.47,-8.92 116.48,-8.83 116.26,-8.92 116,-8.9 115.84,-8.76 116.07,-8.73 116.1,-8.41 116.39,-8.21 116.74,-8.36 | 128.08,-8.29 128.23,-8.29 128.23,-8.2 128.08,-8.2 | 123.76,-8.33 123.54,-8.57 123.22,-8.54 123.47,-8.35 123.41,-8.27 123.55,-8.25 123.59,-8.38 123.8,-8.18 123.94,-8.26 | 124.29,-8.33 124.12,-8.56 123.91,-8.45 124.26,-8.18 | 128.83,-8.27 129.03,-8.27 129.03,-8.18 128.83,-8.18 | 138.87,-8.41 138.54,-8.33 138.81,-8.15 | 127.67,-8.24 127.67,-8.16 127.77,-8.19 | 117.54,-8.39 117.48,-8.19 117.68,-8.16 | 125.58,-8.32 125.5,-8.27 125.64,-8.14 | 119.01,-8.27 119.14,-8.27 119.14,-8.13 119.01,-8.13 | 124.58,-8.14 125.09,-8.16 125.14,-8.33 124.36,-8.46 124.4,-8.22 | 127.84,-8.1 128.13,-8.17 128.03,-8.27 127.81,-8.19 127.76,-8.11 | 130.8,-8.35 131.01,-8.09 131.18,-8.13 | 118.31,-8.37 118.48,-8.25 118.65,-8.29 118.67,-8.55 118.78,-8.31 119,-8.32 119.04,-8.63 119.18,-8.72 118.7,-8.75 118.93,-8.85 118.43,-8.86 118.41,-8.58 118.15,-8.87 117.05,-9.11 116.75,-9.01 116.8,-8.59 117.12,-8.38 117.57,-8.41 117.97,-8.75 118.28,-8.59 117.83,-8.37 117.74,-8.15 118.1,-8.11 | 122.98,-8.15 123.03,-8.31 122.8,-8.43 122.83,-8.6 121.77,-8.89 121.39,-8.8 121.32,-8.92 121.02,-8.95 120.58,-8.79 119.89,-8.85 119.8,-8.72 119.91,-8.46 120.26,-8.27 120.52,-8.26 121.51,-8.61 121.64,-8.47 122.04,-8.44 122.29,-8.64 122.89,-8.29 122.94,-8.2 122.74,-8.23 122.8,-8.11 | 115.5,-8.18 115.71,-8.41 115.13,-8.85 115.16,-8.68 114.89,-8.45 114.6,-8.39 114.45,-8.1 115,-8.19 115.19,-8.06 | 127.15,-8.11 127.23,-8.11 127.23,-8.02 127.15,-8.02 | 129.76,-8.06 129.58,-7.91 129.61,-7.8 129.84,-7.84 | 130.98,-7.72 131.13,-7.72 131.13,-7.62 130.98,-7.62 | 126.72,-7.67 126.79,-7.75 126.42,-7.93 126.06,-7.89 125.77,-8.01 125.97,-7.66 126.19,-7.72 126.62,-7.57 | 127.38,-7.66 127.37,-7.51 127.48,-7.53 | 130.84,-7.56 130.98,-7.56 130.98,-7.49 130.84,-7.49 | 131.07,-7.51 131,-7.42 131.18,-7.41 | 138.97,-7.56 139.04,-7.61 138.88,-8.04 138.44,-8.38 137.64,-8.43 137.91,-7.8 138.15,-7.51 138.7,-7.36 | 121.75,-7.42 121.84,-7.42 121.84,-7.34 121.75,-7.34 | 121.07,-7.39 121.17,-7.39 121.17,-7.3 121.07,-7.3 | 131.22,-7.37 131.3,-7.37 131.3,-7.3 131.22,-7.3 | 120.79,-7.34 121.06,-7.34 121.06,-7.26 120.79,-7.26 | 131.74,-7.21 131.64,-7.25 131.63,-7.63 131.33,-8.01 131.11,-8 131.24,-7.48 131.54,-7.14 | 131.93,-7.11 131.97,-7.25 131.73,-7.16 | 128.64,-7.22 128.53,-7.14 128.62,-7.06 128.7,-7.11 | 114.29,-7.18 114.42,-7.18 114.42,-7.06 114.29,-7.06 | 120.74,-7.08 120.67,-7.15 120.63,-7.02 | 113.99,-6.88 114.12,-6.98 113.5,-7.23 112.74,-7.16 112.69,-7.05 112.92,-6.89 | 115.29,-6.84 115.57,-6.93 115.29,-7.01 115.21,-6.91 | 138.69,-6.76 138.79,-6.84 138.69,-6.86 138.61,-6.74 | 131.52,-6.8 131.63,-6.8 131.63,-6.68 131.52,-6.68 | 134.62,-6.78 134.74,-6.78 134.74,-6.59 134.62,-6.59 | 105.19,-6.68 105.11,-6.61 105.25,-6.53 | 134.63,-6.56 134.75,-6.56 134.75,-6.45 134.63,-6.45 | 134.79,-6.47 134.89,-6.47 134.89,-6.29 134.79,-6.29 | 134.59,-6.39 134.54,-6.54 134.35,-6.36 134.45,-6.28 | 134.34,-6.8 134.2,-6.92 134.07,-6.83 134.1,-6.17 134.51,-6.58 | 134.16,-6.05 134.4,-6.29 134.13,-6.15 | 134.73,-6.04 134.74,-6.24 134.6,-6.37 134.27,-6.12 134.61,-5.95 | 106.16,-6.01 106.27,-5.94 106.98,-6.08 107.03,-5.91 107.33,-5.96 107.65,-6.25 108.13,-6.34 108.31,-6.26 108.73,-6.82 110.39,-6.98 110.56,-6.85 110.73,-6.46 110.92,-6.41 111.06,-6.46 111.15,-6.7 111.49,-6.63 112.08,-6.91 112.56,-6.91 112.68,-7.17 112.61,-7.21 112.83,-7.29 112.76,-7.45 112.85,-7.6 113.3,-7.79 114.04,-7.61 114.45,-7.8 114.37,-8.52 114.62,-8.75 113.72,-8.53 113.23,-8.28 112.65,-8.43 111.79,-8.26 111.65,-8.36 110.71,-8.2 109.29,-7.7 108.88,-7.64 108.53,-7.7 108.47,-7.81 108.19,-7.79 107.47,-7.5 106.42,-7.37 106.51,-6.98 105.22,-6.78 105.48,-6.82 105.64,-6.47 105.8,-6.47 106,-5.92 106.09,-5.89 | 123.96,-6.03 124.08,-6.03 124.08,-5.88 123.96,-5.88 | 120.48,-6.48 120.48,-5.77 120.56,-6.02 | 104.77,-5.83 104.85,-5.83 104.85,-5.74 104.77,-5.74 | 112.69,-5.85 112.59,-5.84 112.63,-5.74 112.73,-5.75 | 132.74,-5.95 132.69,-5.6 132.81,-5.81 | 132.74,-5.69 132.81,-5.69 132.81,-5.53 132.74,-5.53 | 132.3,-5.58 132.38,-5.58 132.38,-5.52 132.3,-5.52 | 123.69,-5.6 123.81,-5.6 123.81,-5.47 123.69,-5.47 | 134.58,-5.43 134.69,-5.53 134.73,-5.97 134.3,-6.03 134.38,-5.8 134.21,-5.71 134.36,-5.71 | 132.84,-6 133.19,-6 133.19,-5.29 132.84,-5.29 | 102.38,-5.49 102.1,-5.33 102.38,-5.37 | 123.52,-5.38 123.64,-5.38 123.64,-5.25 123.52,-5.25 | 122.02,-5.47 121.81,-5.27 121.91,-5.06 122.06,-5.23 | 115.77,-4.83 115.85,-4.83 115.85,-4.75 115.77,-4.75 | 131.72,-4.77 131.76,-4.77 131.76,-4.69 131.72,-4.69 | 122.74,-4.65 122.78,-4.95 122.6,-5.16 122.61,-5.42 122.28,-5.38 122.37,-4.76 | 129.86,-4.57 129.95,-4.57 129.95,-4.51 129.86,-4.51 | 129.86,-4.53 129.89,-4.53 129.89,-4.51 129.86,-4.51 | 131.61,-4.54 131.68,-4.54 131.68,-4.43 131.61,-4.43 | 123.21,-4.7 123.21,-4.85 123.14,-4.71 123.05,-4.76 122.98,-5.11 123.22,-5.3 122.88,-5.46 122.82,-5.69 122.65,-5.69 122.57,-5.51 122.74,-5.25 122.9,-4.49 123.08,-4.39 | 133.31,-4.3 133.62,-4.3 133.62,-4.1 133.31,-4.1 | 131.27,-4.13 131.34,-4.13 131.34,-4.07 131.27,-4.07 | 101.02,-4.03 101.06,-4.03 101.06,-3.99 101.02,-3.99 | 131.21,-4.05 131.25,-4.05 131.25,-3.98 131.21,-3.98 | 123.09,-4.01 123.25,-4.06 123.15,-4.24 122.96,-4.1 | 131.37,-4.08 131.45,-4.08 131.45,-3.95 131.37,-3.95 | 134.07,-3.99 134.2,-3.99 134.2,-3.92 134.07,-3.92 | 127.14,-3.91 127.25,-3.91 127.25,-3.81 127.14,-3.81 | 128.75,-3.71 128.81,-3.71 128.81,-3.64 128.75,-3.64 | 123.13,-3.63 123.06,-3.58 123.15,-3.54 | 128.4,-3.64 128.43,-3.52 128.56,-3.58 | 122.28,-3.58 122.36,-3.58 122.36,-3.51 122.28,-3.51 | 128.33,-3.63 128.12,-3.78 128.2,-3.64 127.92,-3.74 128.27,-3.51 | 128.66,-3.54 128.73,-3.61 128.64,-3.63 128.55,-3.51 | 133.61,-3.45 133.63,-3.45 133.63,-3.43 133.61,-3.43 | 132.62,-3.52 132.71,-3.52 132.71,-3.41 132.62,-3.41 | 122.4,-3.49 122.47,-3.49 122.47,-3.38 122.4,-3.38 | 116.38,-3.65 116.32,-3.54 116.42,-3.38 | 127.48,-3.37 127.65,-3.37 127.65,-3.26 127.48,-3.26 | 116.12,-4.04 116.01,-3.65 116.12,-3.33 116.27,-3.22 116.31,-3.9 | 127.77,-3.25 127.64,-3.23 127.76,-3.15 | 100.49,-3.19 100.53,-3.19 100.53,-3.13 100.49,-3.13 | 126.99,-3.15 127.1,-3.21 127.09,-3.37 127.26,-3.38 127.24,-3.62 126.7,-3.83 126.24,-3.62 126.02,-3.35 126.1,-3.1 126.2,-3.18 126.74,-3.06 | 127.82,-3.04 127.99,-3.04 127.99,-2.92 127.82,-2.92 | 106.89,-3.02 106.72,-2.96 106.81,-2.89 | 107.43,-2.94 107.36,-2.87 107.48,-2.82 | 107.04,-2.91 107.11,-2.91 107.11,-2.82 107.04,-2.82 | 129.81,-2.92 130.35,-2.98 130.58,-3.13 130.65,-3.38 130.87,-3.58 130.83,-3.87 129.9,-3.34 129.51,-3.3 129.52,-3.47 128.97,-3.35 128.88,-3.21 128.46,-3.46 128.17,-3.07 127.91,-3.54 127.86,-3.19 128.17,-2.86 128.91,-2.86 129.14,-2.96 129.53,-2.78 | 100.46,-3.13 100.38,-3.15 100.43,-3.31 100.18,-2.8 100.46,-3.02 | 131.57,-2.66 131.65,-2.66 131.65,-2.62 131.57,-2.62 | 107.83,-2.54 108.27,-2.76 108.2,-3.12 108.07,-3.24 107.98,-3.25 107.87,-3.05 107.83,-3.16 107.61,-3.21 107.65,-2.59 | 100.03,-2.84 99.99,-2.49 100.21,-2.72 | 133.5,-2.53 133.62,-2.53 133.62,-2.42 133.5,-2.42 | 99.7,-2.38 99.74,-2.38 99.74,-2.34 99.7,-2.34 | 134.52,-2.45 134.58,-2.45 134.58,-2.29 134.52,-2.29 | 123.15,-2.2 123.17,-2.2 123.17,-2.18 123.15,-2.18 | 123.44,-2.13 123.46,-2.13 123.46,-2.11 123.44,-2.11 | 99.86,-2.37 99.57,-2.22 99.57,-2.03 | 123.84,-2.08 123.89,-2.08 123.89,-2.01 123.84,-2.01 | 134.32,-2.16 134.42,-2.16 134.42,-2 134.32,-2 | 123.76,-2.05 123.78,-2.05 123.78,-2 123.76,-2 | 126.06,-2.48 125.89,-2.21 125.92,-1.97 | 124.3,-2.02 124.37,-2.02 124.37,-1.96 124.3,-1.96 | 123.47,-1.95 123.49,-1.95 123.49,-1.93 123.47,-1.93 | 123.54,-1.93 123.55,-1.93 123.55,-1.91 123.54,-1.91 | 123.65,-1.96 123.66,-1.96 123.66,-1.9 123.65,-1.9 | 123.7,-1.96 123.74,-1.96 123.74,-1.9 123.7,-1.9 | 123.67,-1.92 123.69,-1.92 123.69,-1.88 123.67,-1.88 | 123.76,-2.01 123.86,-2.01 123.86,-1.88 123.76,-1.88 | 123.76,-1.88 123.77,-1.88 123.77,-1.86 123.76,-1.86 | 123.36,-1.88 123.39,-1.88 123.39,-1.86 123.36,-1.86 | 99.25,-1.83 99.29,-1.83 99.29,-1.79 99.25,-1.79 | 125.44,-1.81 126.35,-1.82 125.47,-1.94 125.34,-1.87 | 123.06,-1.91 123.16,-1.91 123.16,-1.75 123.06,-1.75 | 134.16,-1.95 134.25,-1.95 134.25,-1.74 134.16,-1.74 | 108.67,-1.72 108.78,-1.72 108.78,-1.7 108.67,-1.7 | 130.19,-2.06 129.72,-1.89 130.35,-1.68 130.44,-1.98 | 123.26,-1.79 123.38,-1.79 123.38,-1.67 123.26,-1.67 | 125.01,-1.72 125.29,-1.73 125.31,-1.89 124.41,-2.02 124.33,-1.88 124.41,-1.66 | 136.29,-1.69 136.9,-1.79 136.46,-1.9 135.42,-1.61 | 108.85,-1.67 108.8,-1.57 108.93,-1.54 | 106.09,-1.77 106.32,-2.44 106.78,-2.59 106.6,-2.91 106.75,-3.01 106.72,-3.1 106.52,-3.11 106.44,-2.98 105.98,-2.82 105.74,-2.13 105.13,-2.07 105.14,-1.95 105.4,-1.8 105.35,-1.65 105.57,-1.53 105.66,-1.74 105.81,-1.8 105.71,-1.55 105.92,-1.5 | 135.09,-1.53 135.33,-1.53 135.33,-1.47 135.09,-1.47 | 127.27,-1.45 127.37,-1.45 127.37,-1.36 127.27,-1.36 | 127.88,-1.43 128.14,-1.59 128.09,-1.71 127.54,-1.74 127.38,-1.63 127.42,-1.44 127.63,-1.33 | 109.1,-1.32 109.18,-1.32 109.18,-1.26 109.1,-1.26 | 127.61,-1.26 127.46,-1.23 127.55,-1.17 | 109.21,-1.23 109.27,-1.23 109.27,-1.17 109.21,-1.17 | 123.19,-1.3 123.23,-1.4 123.37,-1.23 123.55,-1.28 123.46,-1.5 123.29,-1.42 123.17,-1.62 123.13,-1.33 122.86,-1.58 122.8,-1.38 122.9,-1.19 123.19,-1.15 | 129.74,-1.24 129.96,-1.24 129.96,-1.14 129.74,-1.14 | 104.2,-1.04 104.24,-1.04 104.24,-1.02 104.2,-1.02 | 109.62,-0.98 109.78,-1.14 109.47,-1.3 109.45,-1.04 | 134.92,-1.14 134.8,-1.04 134.84,-0.94 134.99,-1.02 | 98.93,-0.95 99.28,-1.61 99.28,-1.74 99.2,-1.63 99.24,-1.78 98.87,-1.68 98.6,-1.22 98.66,-0.97 | 130.93,-0.94 131.07,-0.97 130.96,-1.36 130.76,-1.24 130.64,-0.98 | 117.27,-0.88 117.31,-0.88 117.31,-0.83 117.27,-0.83 | 130.4,-0.93 130.92,-0.93 130.92,-0.77 130.4,-0.77 | 135.49,-0.68 135.86,-0.71 136.19,-1.06 136.39,-1.12 135.89,-1.19 135.76,-0.83 135.48,-0.81 135.37,-0.65 | 127.28,-0.81 127.15,-0.77 127.2,-0.62 | 98.48,-0.64 98.52,-0.64 98.52,-0.6 98.48,-0.6 | 130.61,-0.54 130.46,-0.47 130.66,-0.43 | 121.91,-0.48 121.64,-0.55 121.74,-0.42 | 104.2,-0.42 104.23,-0.42 104.23,-0.39 104.2,-0.39 | 133.11,-0.54 133.4,-0.73 133.98,-0.73 134.11,-0.84 134.03,-0.97 134.28,-1.36 134.09,-1.68 134.16,-2.32 134.47,-2.86 134.48,-2.53 134.64,-2.51 134.7,-2.97 134.85,-2.9 134.81,-3.13 135,-3.34 135.49,-3.36 135.91,-2.99 136.02,-2.7 136.25,-2.58 136.36,-2.25 137.19,-2.1 137.13,-1.79 137.86,-1.47 139.78,-2.36 140.16,-2.32 140.32,-2.46 140.72,-2.49 140.72,-2.64 141,-2.61 141.01,-6.33 140.86,-6.68 141.01,-6.89 141.01,-9.13 139.99,-8.19 140.15,-7.88 139.92,-8.11 139.37,-8.21 139.22,-8.09 138.91,-8.3 138.84,-8.13 139.1,-7.56 138.66,-7.2 139.05,-7.25 139.22,-7.16 138.85,-7.15 138.56,-6.91 138.91,-6.84 139.19,-6.97 138.68,-6.72 138.41,-6.3 138.3,-5.86 138.17,-5.79 138.36,-5.68 138.08,-5.74 138.06,-5.41 137.95,-5.43 137.27,-4.99 136.82,-4.93 135.93,-4.5 135.18,-4.45 134.64,-4.12 134.69,-3.94 134.97,-3.94 134.68,-3.91 134.52,-4.03 134.41,-3.91 134.22,-3.96 134.16,-3.77 133.92,-3.75 133.83,-3.59 133.74,-3.66 133.64,-3.49 133.71,-3.19 133.86,-3.08 133.83,-2.96 133.65,-3.15 133.59,-3.57 133.39,-3.74 133.45,-3.87 133.24,-4.08 132.9,-4.09 132.75,-3.72 132.93,-3.56 132.82,-3.3 132.67,-3.33 132.55,-3.11 132.32,-2.95 132.08,-2.97 131.96,-2.78 132.32,-2.68 132.72,-2.82 133.02,-2.49 133.24,-2.42 133.65,-2.54 133.68,-2.72 133.71,-2.51 133.82,-2.66 133.78,-2.48 133.96,-2.33 133.95,-2.21 133.79,-2.26 133.94,-2.1 133.64,-2.24 132.69,-2.31 132.58,-2.19 132.3,-2.27 132.04,-2.08 131.88,-1.64 131.28,-1.38 131.33,-1.46 131.21,-1.53 130.96,-1.4 131.25,-1.1 131.26,-0.82 131.87,-0.69 132.27,-0.38 132.71,-0.37 | 104.5,-0.63 104.34,-0.58 104.29,-0.39 104.53,-0.37 104.6,-0.47 | 130.66,-0.33 130.67,-0.33 130.67,-0.32 130.66,-0.32 | 122.01,-0.41 121.85,-0.37 122.04,-0.33 | 127.57,-0.32 127.68,-0.47 127.65,-0.71 127.9,-0.78 127.82,-0.87 127.46,-0.82 127.3,-0.52 127.32,-0.34 | 104.4,-0.33 104.5,-0.33 104.5,-0.28 104.4,-0.28 | 122.06,-0.41 122.14,-0.41 122.14,-0.27 122.06,-0.27 | 127.18,-0.53 127.1,-0.3 127.23,-0.26 | 98.5,-0.54 98.33,-0.54 98.43,-0.25 | 103.62,-0.39 103.45,-0.36 103.53,-0.23 103.76,-0.31 | 122.14,-0.28 122.23,-0.28 122.23,-0.2 122.14,-0.2 | 122.22,-0.29 122.37,-0.29 122.37,-0.19 122.22,-0.19 | 103.5,-0.2 103.56,-0.2 103.56,-0.18 103.5,-0.18 | 121.56,-0.21 121.65,-0.21 121.65,-0.12 121.56,-0.12 | 97.82,-0.11 97.88,-0.11 97.88,-0.06 97.82,-0.06 | 104.83,-0.07 104.88,-0.07 104.88,-0.02 104.83,-0.02 | 130.88,-0.02 131.3,-0.16 131.25,-0.39 130.96,-0.36 130.69,-0.08 130.63,-0.14 130.94,-0.36 130.85,-0.44 130.72,-0.44 130.69,-0.31 130.54,-0.37 130.52,-0.25 130.21,-0.21 130.43,-0.2 130.29,-0.1 | 98.55,-0.37 98.29,-0.01 98.44,-0.06 | 104.74,-0.14 104.93,-0.33 104.43,-0.2 104.54,0.02 | 129.29,-0.22 129.57,-0.22 129.57,0.05 129.29,0.05 | 127.39,-0.05 127.46,-0.05 127.46,0.14 127.39,0.14 | 104.4,0.02 104.49,0.02 104.49,0.17 104.4,0.17 | 98.51,0.08 98.84,0.08 98.84,0.18 98.51,0.18 | 104.49,0.02 104.71,0.02 104.71,0.24 104.49,0.24 | 102.83,0.27 102.93,0.27 102.93,0.32 102.83,0.32 | 104.34,0.29 104.43,0.29 104.43,0.37 104.34,0.37 | 127.33,0.27 127.42,0.27 127.42,0.38 127.33,0.38 | 103.03,0.57 103.08,0.57 103.08,0.66 103.03,0.66 | 104.24,0.62 104.28,0.62 104.28,0.69 104.24,0.69 | 103.46,0.62 103.52,0.62 103.52,0.7 103.46,0.7 | 103.19,0.51 103.22,0.7 103.3,0.55 | 127.36,0.61 127.45,0.61 127.45,0.75 127.36,0.75 | 104.19,0.7 104.29,0.7 104.29,0.79 104.19,0.79 | 104.51,0.75 104.63,0.75 104.63,0.8 104.51,0.8 | 103.08,0.72 103.12,0.72 103.12,0.8 103.08,0.8 | 103.66,0.76 103.73,0.76 103.73,0.83 103.66,0.83 | 127.28,0.75 127.37,0.75 127.37,0.86 127.28,0.86 | 103.42,0.79 103.53,0.79 103.53,0.87 103.42,0.87 | 103.82,0.76 103.94,0.76 103.94,0.89 103.82,0.89 | 103.72,0.76 103.84,0.76 103.84,0.89 103.72,0.89 | 103.44,0.65 103.38,0.89 103.51,0.75 | 103.41,0.86 103.48,0.86 103.48,0.92 103.41,0.92 | 104.09,0.79 104.27,0.79 104.27,0.95 104.09,0.95 | 103.83,0.93 103.97,0.93 103.97,1.01 103.83,1.01 | 104.79,0.96 104.85,0.96 104.85,1.02 104.79,1.02 | 107.53,0.96 107.6,0.96 107.6,1.04 107.53,1.04 | 120.62,1.03 120.68,1.03 120.68,1.08 120.62,1.08 | 120.37,1.02 120.4,1.02 120.4,1.08 120.37,1.08 | 103.31,0.99 103.44,0.99 103.44,1.13 103.31,1.13 | 102.62,0.99 102.92,0.91 103.04,0.71 102.48,0.81 102.41,0.88 102.5,0.94 102.48,1.13 | 103.04,1.04 103.17,0.88 103.11,0.83 102.66,1.05 102.78,1.16 | 104.03,0.98 103.9,1.09 104.12,1.18 104.14,1.05 | 104.67,1.02 104.58,0.82 104.23,1.08 104.41,1.2 | 102.4,0.92 102.24,1.08 102.21,1.41 102.48,1.23 | 97.53,1.42 97.94,0.98 97.81,0.55 97.69,0.59 97.61,0.82 97.11,1.39 97.4,1.5 | 125.17,1.38 125.3,1.38 125.3,1.53 125.17,1.53 | 102.5,1.44 102.48,1.26 101.99,1.61 | 125.14,1.42 124.9,0.98 124.44,0.46 124.25,0.38 123.65,0.28 123.26,0.31 123.07,0.51 121.8,0.42 121.53,0.54 121.1,0.41 120.55,0.54 120.24,0.34 120.02,-0.08 120.07,-0.61 120.27,-0.91 120.51,-1 120.67,-1.4 121.08,-1.42 121.62,-0.8 121.71,-0.94 121.93,-0.96 122.12,-0.93 122.22,-0.76 122.92,-0.77 122.73,-0.65 123.07,-0.56 123.41,-0.65 123.45,-0.84 123.33,-1.06 123.15,-0.9 122.82,-0.91 122.38,-1.49 121.84,-1.69 121.67,-1.92 121.3,-1.8 121.34,-1.99 121.83,-2.3 122.01,-2.68 122.31,-2.9 122.27,-3.03 122.48,-3.16 122.3,-3.28 122.19,-3.57 122.6,-3.88 122.69,-4.14 122.86,-4.08 122.9,-4.4 122.1,-4.53 122.09,-4.84 121.55,-4.75 121.48,-4.63 121.61,-4.06 121.36,-3.98 120.88,-3.54 121.07,-3.2 121.08,-2.76 120.77,-2.61 120.2,-2.96 120.41,-3.26 120.45,-3.72 120.34,-4.11 120.42,-4.68 120.27,-5.15 120.46,-5.62 120.33,-5.51 119.92,-5.56 119.77,-5.71 119.46,-5.56 119.35,-5.34 119.63,-4.19 119.45,-3.71 119.51,-3.53 119.3,-3.43 118.92,-3.57 118.84,-3.34 118.89,-2.89 118.76,-2.77 118.82,-2.62 119.14,-2.46 119.21,-2.01 119.35,-1.94 119.31,-1.27 119.52,-0.88 119.72,-0.65 119.86,-0.84 119.75,-0.48 119.8,-0.12 119.62,-0.01 119.83,-0.09 119.88,0.07 119.78,0.23 120.04,0.53 120.03,0.71 120.22,0.81 120.29,0.99 120.34,0.86 120.57,0.78 120.8,1.07 120.82,1.32 120.95,1.34 121.38,1.25 121.57,1.06 122.46,1 122.85,0.81 123.2,0.96 123.84,0.83 124.29,1.01 124.37,1.17 124.59,1.19 124.56,1.37 124.83,1.46 124.97,1.69 125.17,1.64 125.25,1.51 | 98.43,1.62 98.61,1.62 98.61,1.71 98.43,1.71 | 97.06,2.01 97.15,2.01 97.15,2.11 97.06,2.11 | 101.6,1.71 101.45,1.77 101.4,1.99 101.65,2.12 101.78,1.95 | 96.6,2.06 96.67,2.06 96.67,2.13 96.6,2.13 | 96.59,2.15 96.65,2.15 96.65,2.2 96.59,2.2 | 127.89,1.8 128.02,1.71 127.99,1.35 127.63,0.96 127.79,0.8 127.98,1.07 128.17,1.13 128.19,1.38 128.46,1.54 128.73,1.56 128.7,1.1 128.21,0.78 128.67,0.56 128.68,0.35 128.91,0.2 128.07,0.47 127.92,0.45 127.88,0.31 128.04,-0.4 128.4,-0.89 128.04,-0.71 127.67,-0.23 127.69,0.2 127.52,0.6 127.62,0.85 127.39,1.05 127.67,1.9 128.05,2.2 127.85,1.91 | 97.33,2.03 97.1,2.22 97.29,2.22 | 127.75,2.21 127.82,2.21 127.82,2.27 127.75,2.27 | 118.55,2.18 118.65,2.18 118.65,2.32 118.55,2.32 | 125.36,2.31 125.45,2.31 125.45,2.39 125.36,2.39 | 128.12,2.28 128.19,2.28 128.19,2.4 128.12,2.4 | 108.97,2.48 109.11,2.48 109.11,2.56 108.97,2.56 | 128.5,2.05 128.28,2.02 128.23,2.31 128.56,2.63 128.69,2.43 | 125.35,2.63 125.45,2.63 125.45,2.81 125.35,2.81 | 106.2,2.73 106.25,2.73 106.25,2.81 106.2,2.81 | 96.43,2.34 95.82,2.65 95.7,2.82 95.88,2.92 96.43,2.5 | 108.83,2.85 108.77,2.89 108.88,3 | 107.74,2.97 107.81,2.97 107.81,3.03 107.74,3.03 | 105.72,2.83 105.7,3.06 105.85,2.98 | 106.29,3.16 106.21,3.12 106.2,3.23 | 117.41,3.27 117.53,3.27 117.53,3.34 117.41,3.34 | 106.23,3.23 106.29,3.23 106.29,3.37 106.23,3.37 | 117.66,3.28 117.54,3.43 117.67,3.42 | 117.43,3.48 117.63,3.48 117.63,3.56 117.43,3.56 | 117.77,3.46 117.9,3.46 117.9,3.59 117.77,3.59 | 117.39,3.56 117.48,3.45 117.22,3.55 | 125.88,3.36 125.66,3.72 125.91,3.49 | 117.79,3.74 117.83,3.74 117.83,3.76 117.79,3.76 | 126.74,3.72 126.85,3.72 126.85,3.85 126.74,3.85 | 117.73,3.8 117.85,3.8 117.85,3.87 117.73,3.87 | 126.6,3.79 126.73,3.79 126.73,4.04 126.6,4.04 | 117.69,3.97 117.65,4.14 117.75,4.07 | 117.89,4.03 117.69,4.17 117.9,4.17 | 108.18,3.65 108.09,3.69 108.2,3.8 107.99,4.02 108.18,4.2 108.41,3.88 108.32,3.68 | 116.05,4.28 116.16,4.36 117.24,4.36 117.59,4.17 117.39,4.11 117.83,3.7 117.03,3.59 117.2,3.62 117.24,3.49 117.44,3.43 117.27,3.22 117.62,3.09 117.67,2.8 118.1,2.31 117.83,2.1 117.87,1.88 119.01,0.99 118.8,0.8 118.34,0.84 118.07,0.92 117.89,1.12 118.03,0.81 117.74,0.74 117.47,0.1 117.44,-0.52 117.63,-0.42 117.62,-0.78 117.27,-0.82 116.92,-1.25 116.82,-1.27 116.74,-1.02 116.76,-1.37 116.54,-1.48 116.54,-1.62 116.22,-1.78 116.44,-1.78 116.46,-2.05 116.33,-2.15 116.6,-2.23 116.51,-2.56 116.3,-2.52 116.37,-2.83 116.29,-2.98 116.13,-2.82 116.22,-3.14 115.98,-3.6 114.64,-4.19 114.61,-3.68 114.48,-3.5 114.1,-3.36 113.67,-3.48 113.61,-3.17 113.36,-3.26 113.06,-2.99 112.65,-3.42 112.25,-3.31 111.9,-3.57 111.8,-3.54 111.75,-2.74 111.7,-2.94 111.55,-3.02 111.34,-2.92 110.91,-3.09 110.75,-3.02 110.93,-2.89 110.66,-3.08 110.55,-2.87 110.28,-3.02 110.13,-2.05 109.9,-1.83 110.03,-1.66 110.06,-1.33 109.73,-0.95 109.28,-0.87 109.26,-0.67 109.51,-0.73 109.12,-0.51 109.04,-0.25 109.19,-0.2 109.17,0.11 108.92,0.32 108.85,0.82 108.98,0.94 108.96,1.18 109.26,1.39 108.98,1.22 109.34,1.89 109.65,2.07 109.55,1.9 109.67,1.61 110.56,0.85 111.21,1.07 111.83,1 112.13,1.15 112.2,1.45 112.47,1.57 113,1.57 113.66,1.22 113.93,1.45 114.4,1.51 114.56,1.43 114.86,1.9 114.8,2.25 115.24,2.52 115.08,2.61 115.14,2.91 115.5,3.04 115.69,4.17 115.88,4.37 | 126.76,3.99 126.74,4.54 126.92,4.27 | 125.48,4.73 125.5,4.73 125.5,4.75 125.48,4.75 | 107.94,4.67 108.01,4.67 108.01,4.77 107.94,4.77 | 95.74,5.59 96.07,5.3 96.35,5.22 96.98,5.27 97.2,5.15 97.52,5.25 97.91,4.89 98.02,4.55 98.28,4.42 98.27,4.14 99.98,2.95 100,2.6 100.05,2.73 100.13,2.52 100.21,2.7 100.41,2.29 100.82,2.03 100.94,1.82 100.8,2.21 101.06,2.29 101.31,2.03 101.41,1.72 101.76,1.66 102.14,1.37 102.21,1.01 102.42,0.8 102.93,0.7 103.08,0.45 102.58,0.18 102.43,0.25 102.54,0.17 103.35,0.54 103.74,0.28 103.81,0 103.27,-0.26 103.49,-0.22 103.34,-0.36 103.6,-0.44 103.36,-0.7 103.74,-1 104.38,-1.04 104.49,-1.93 104.56,-1.87 104.88,-2.15 104.53,-2.77 104.86,-2.29 105.61,-2.39 105.61,-2.58 105.78,-2.7 105.81,-2.9 106.06,-3.03 106.08,-3.24 105.82,-3.67 105.96,-3.85 105.81,-4.24 105.9,-4.55 105.73,-5.9 105.27,-5.44 105.14,-5.8 104.54,-5.51 104.71,-5.92 104.56,-5.93 103.89,-5.11 102.33,-4.01 102.22,-3.65 101.63,-3.25 101.31,-2.72 100.91,-2.32 100.87,-1.93 100.29,-0.81 99.81,-0.31 99.64,0.08 99.14,0.26 99.1,0.58 98.7,1.56 98.82,1.62 98.77,1.75 97.95,2.27 97.75,2.27 97.6,2.87 97.38,2.97 96.88,3.68 96.49,3.76 95.53,4.68 95.28,5.12 95.23,5.57 95.43,5.65 | 95.11,5.59 95.19,5.59 95.19,5.66 95.11,5.66 | 95.01,5.67 95.13,5.67 95.13,5.76 95.01,5.76 | 95.34,5.77 95.22,5.91 95.38,5.85
+IE -9.73,53.22 -9.64,53.22 -9.64,53.28 -9.73,53.28 | -9.96,54.02 -9.96,53.88 -10.27,53.97 | -8.45,54.94 -8.44,54.94 -8.44,54.96 -8.45,54.96 | -8.56,54.96 -8.48,54.96 -8.48,55.02 -8.56,55.02 | -7.41,54.95 -7.55,54.76 -7.93,54.7 -7.75,54.59 -8.17,54.46 -7.82,54.2 -7.33,54.11 -7.03,54.42 -6.63,54.04 -6.34,54.12 -6.11,54 -6.38,53.95 -6.08,53.56 -6.22,53.35 -6.01,52.95 -6.21,52.54 -6.5,52.36 -6.36,52.18 -6.9,52.17 -6.99,52.28 -7.01,52.14 -7.58,52.1 -7.59,51.99 -8.17,51.79 -8.42,51.88 -8.34,51.72 -9.23,51.48 -9.82,51.45 -9.59,51.61 -9.84,51.55 -9.45,51.69 -9.54,51.75 -10.13,51.59 -9.58,51.87 -10.34,51.78 -10.26,51.99 -9.76,52.15 -10.44,52.09 -10.46,52.18 -10.17,52.29 -9.74,52.24 -9.84,52.38 -9.65,52.56 -8.82,52.67 -9.03,52.73 -9.17,52.62 -9.94,52.56 -9.49,52.8 -9.27,53.15 -8.94,53.14 -8.94,53.26 -9.61,53.23 -9.56,53.38 -9.79,53.29 -9.81,53.42 -10.18,53.41 -10.19,53.55 -9.7,53.6 -9.91,53.65 -9.91,53.76 -9.56,53.86 -9.94,53.87 -9.79,53.94 -10.01,54.22 -10.12,54.1 -10.11,54.23 -9.34,54.32 -9.13,54.16 -9.04,54.29 -8.47,54.27 -8.67,54.35 -8.28,54.47 -8.19,54.63 -8.8,54.7 -8.35,54.84 -8.46,55 -7.98,55.22 -7.79,55.24 -7.7,55.09 -7.79,55.21 -7.63,55.26 -7.53,55.11 -7.68,54.95 -7.46,55.04 -7.39,55.38 -6.93,55.24
+IL 35.24,31.79 35.26,31.79 35.26,31.81 35.24,31.81 | 35.62,33.25 35.55,32.39 35.21,32.55 34.98,32.15 34.97,31.83 35.21,31.75 34.99,31.63 34.89,31.38 35.48,31.45 34.9,29.49 34.27,31.22 34.56,31.53 34.49,31.6 35.1,33.09 35.43,33.07
+IM -4.78,54.06 -4.35,54.41 -4.39,54.19
+IN 93.91,7.03 93.82,6.75 93.64,7.12 93.83,7.23 | 93.65,7.41 93.66,7.41 93.66,7.42 93.65,7.42 | 93.6,7.25 93.74,7.25 93.74,7.44 93.6,7.44 | 93.5,7.92 93.57,7.92 93.57,8.02 93.5,8.02 | 93.31,7.87 93.46,7.87 93.46,8.02 93.31,8.02 | 93.44,7.99 93.54,7.99 93.54,8.23 93.44,8.23 | 73.02,8.25 73.08,8.25 73.08,8.31 73.02,8.31 | 93.06,8.2 93.18,8.2 93.18,8.35 93.06,8.35 | 93.59,8.43 93.63,8.43 93.63,8.57 93.59,8.57 | 92.71,9.12 92.81,9.12 92.81,9.26 92.71,9.26 | 73.63,10.05 73.65,10.05 73.65,10.1 73.63,10.1 | 72.62,10.55 72.65,10.55 72.65,10.58 72.62,10.58 | 73.66,10.82 73.69,10.82 73.69,10.83 73.66,10.83 | 72.17,10.81 72.2,10.81 72.2,10.87 72.17,10.87 | 92.49,10.52 92.36,10.54 92.35,10.69 92.49,10.9 92.58,10.7 | 72.29,10.94 72.3,10.94 72.3,10.95 72.29,10.95 | 72.74,11.11 72.75,11.11 72.75,11.12 72.74,11.12 | 72.1,11.2 72.11,11.2 72.11,11.22 72.1,11.22 | 72.77,11.19 72.79,11.19 72.79,11.26 72.77,11.26 | 73,11.48 73.01,11.48 73.01,11.51 73,11.51 | 92.59,11.35 92.7,11.35 92.7,11.51 92.59,11.51 | 92.22,11.52 92.29,11.52 92.29,11.6 92.22,11.6 | 72.7,11.68 72.72,11.68 72.72,11.7 72.7,11.7 | 92.94,11.89 93.06,11.89 93.06,12.04 92.94,12.04 | 93.13,12.13 93.14,12.13 93.14,12.15 93.13,12.15 | 93.06,12.09 93.1,12.09 93.1,12.21 93.06,12.21 | 92.72,12.18 92.8,11.9 92.72,11.49 92.52,11.85 | 93.85,12.26 93.87,12.26 93.87,12.28 93.85,12.28 | 92.77,12.28 92.78,12.28 92.78,12.29 92.77,12.29 | 92.83,12.32 92.9,12.27 92.75,12.07 | 92.87,12.38 92.91,12.38 92.91,12.41 92.87,12.41 | 92.93,12.91 92.99,12.51 92.85,12.43 92.89,12.32 92.76,12.3 92.74,12.81 | 92.67,12.79 92.73,12.79 92.73,12.99 92.67,12.99 | 92.87,13.39 92.88,13.39 92.88,13.4 92.87,13.4 | 94.26,13.41 94.29,13.41 94.29,13.44 94.26,13.44 | 93.06,13.24 93.03,13.04 92.93,13.07 92.81,12.9 92.94,13.54 93.06,13.55 | 92.99,13.64 93.05,13.64 93.05,13.68 92.99,13.68 | 80.87,15.73 80.99,15.73 80.99,15.85 80.87,15.85 | 86.25,20.04 86.29,20.04 86.29,20.05 86.25,20.05 | 88.83,21.52 88.91,21.52 88.91,21.61 88.83,21.61 | 72.6,21.6 72.77,21.6 72.77,21.66 72.6,21.66 | 88.13,21.62 88.04,21.66 88.13,21.88 | 88.58,21.78 88.68,21.78 88.68,21.92 88.58,21.92 | 88.07,21.85 88.14,21.85 88.14,21.95 88.07,21.95 | 78.08,35.45 78.02,35.27 78.31,34.64 78.99,34.35 78.98,34.2 78.74,34.07 78.81,33.53 79.38,33.11 79.53,32.75 79.31,32.5 78.97,32.35 78.76,32.64 78.4,32.55 78.48,32.24 78.77,31.98 78.77,31.31 79.09,31.44 79.56,30.95 79.88,30.96 80.25,30.74 80.21,30.58 81.03,30.21 80.38,29.75 80.41,29.6 80.24,29.43 80.29,29.21 80.06,28.84 81.19,28.37 81.3,28.16 81.88,27.86 82.04,27.92 82.43,27.68 82.7,27.71 82.77,27.5 83.32,27.34 83.42,27.47 83.86,27.35 84.15,27.51 84.63,27.31 84.65,27.04 85.33,26.74 85.63,26.87 85.86,26.57 86.04,26.66 86.73,26.42 87,26.53 87.27,26.38 87.89,26.47 88.01,26.36 88.19,26.75 87.99,27.11 88.19,27.79 88.13,27.94 88.63,28.12 88.88,27.88 88.76,27.54 88.92,27.31 88.75,27.15 89.12,26.83 89.37,26.86 89.76,26.7 90.39,26.9 90.69,26.77 91.31,26.78 91.42,26.88 91.71,26.8 92.1,26.88 92.01,27.1 92.12,27.29 92,27.48 91.67,27.49 91.66,27.76 91.98,27.73 92.26,27.87 92.32,27.79 92.54,27.86 92.72,27.97 92.71,28.14 93.22,28.32 93.35,28.62 93.96,28.67 94.23,29.07 94.65,29.33 95.39,29.04 96.08,29.47 96.24,29.25 96.4,29.26 96.15,29.06 96.17,28.9 96.47,29.06 96.62,28.79 96.34,28.52 96.36,28.39 96.6,28.47 96.98,28.33 97.13,28.38 97.35,28.22 97.38,27.99 96.89,27.62 97.14,27.09 96.73,27.37 96.19,27.27 95.44,26.71 95.14,26.61 95.07,26.33 95.18,26.06 94.89,25.58 94.63,25.4 94.58,25.21 94.73,25.02 94.15,23.86 93.34,24.07 93.39,23.22 93.3,23.01 93.14,23.05 93.09,22.71 93.2,22.27 92.92,22 92.71,22.16 92.6,21.98 92.27,23.72 92.03,23.65 91.95,23.73 91.96,23.5 91.77,23.27 91.82,23.09 91.61,22.94 91.43,23.26 91.35,23.09 91.16,23.64 91.37,24.1 91.89,24.15 91.92,24.33 92.12,24.39 92.25,24.9 92.49,24.88 92.41,25.03 92.04,25.19 90.44,25.15 89.85,25.29 89.85,25.91 89.74,26.16 89.6,26.23 89.55,26.02 89.32,26.02 89.13,26.16 89.07,26.39 88.94,26.45 89.05,26.27 88.86,26.24 88.4,26.63 88.34,26.47 88.53,26.36 88.18,26.15 88.11,25.84 88.28,25.8 88.56,25.5 88.8,25.51 89.01,25.29 88.94,25.17 88.45,25.19 88.34,24.87 88.14,24.92 88.04,24.68 88.13,24.51 88.75,24.21 88.74,23.92 88.6,23.86 88.56,23.65 88.79,23.49 88.72,23.25 88.99,23.21 88.86,22.97 89.1,22.15 89.01,21.9 89.09,21.63 88.71,21.57 88.77,22.01 88.71,22.06 88.63,21.95 88.67,22.2 88.57,21.56 88.48,21.55 88.5,21.95 88.45,21.61 88.31,21.6 88.26,21.8 88.25,21.55 88.14,21.95 88.2,22.16 87.91,22.42 88.17,22.09 87.8,21.7 86.96,21.38 86.83,21.15 86.97,20.8 86.89,20.76 87.03,20.67 86.76,20.49 86.72,20.37 86.8,20.38 86.49,20.18 86.42,19.98 86.2,20.07 86.36,19.96 86.28,19.91 85.45,19.66 85.58,19.84 85.43,19.89 85.12,19.54 85.25,19.65 85.38,19.61 84.73,19.12 84.11,18.29 83.58,18.02 83.23,17.59 82.36,17.1 82.25,16.92 82.37,16.85 82.3,16.58 81.73,16.31 81.31,16.36 81.02,15.78 80.89,16.03 80.83,15.75 80.68,15.9 80.28,15.7 80.05,15.05 80.32,13.44 80.15,13.72 80.05,13.62 80.35,13.33 80.16,12.47 79.87,12.03 79.76,11.65 79.86,10.29 79.32,10.28 78.91,9.48 79.01,9.33 79.45,9.15 78.97,9.27 78.4,9.09 78.19,8.9 78.06,8.36 77.54,8.07 77,8.37 76.58,8.88 76.67,9 76.53,8.96 76.44,9.14 76.24,9.95 76.35,9.52 76.5,9.53 76.36,9.91 76.22,10.13 76.2,10.04 75.69,11.44 75.19,12.01 74.81,12.86 74.41,14.48 74.09,14.8 73.78,15.4 73.95,15.4 73.79,15.45 73.45,16.06 72.85,18.66 72.86,18.8 72.99,18.73 72.91,18.92 73.06,19.01 72.97,19.08 72.77,18.94 72.78,19.31 73.05,19.22 72.75,19.37 72.66,19.87 72.93,20.77 72.81,21.13 72.62,21.1 72.72,21.2 72.56,21.38 72.75,21.46 72.59,21.42 72.81,21.63 73.13,21.75 72.54,21.66 72.73,21.99 72.55,21.91 72.5,21.98 72.58,22.2 72.92,22.27 72.15,22.28 72.33,22.16 72.27,22.02 72.03,21.94 72.16,21.84 71.99,21.85 72.29,21.61 72.11,21.2 70.82,20.7 70.06,21.14 68.94,22.29 69.07,22.48 69.24,22.27 70.17,22.55 70.51,22.99 70.49,23.12 70.39,22.94 69.85,22.86 69.71,22.74 69.27,22.83 68.67,23.14 68.43,23.43 68.41,23.61 68.74,23.84 68.33,23.58 68.14,23.61 68.29,23.94 68.75,23.97 68.78,24.33 70.01,24.17 70.12,24.31 70.56,24.44 70.58,24.28 70.76,24.24 71.11,24.42 71,24.48 71.08,24.68 70.88,25.16 70.68,25.4 70.67,25.7 70.28,25.71 70.09,25.98 70.18,26.54 69.51,26.75 69.58,27.17 70.37,28.02 70.58,28.01 70.83,27.71 71.9,27.96 72.39,28.78 72.95,29.04 73.4,29.94 73.93,30.14 73.87,30.39 74.31,30.85 74.69,31.05 74.52,31.18 74.63,31.46 74.49,31.72 74.61,31.88 75.38,32.21 75.07,32.47 74.72,32.48 74.65,32.78 74.36,32.78 74.33,33 74.02,33.19 74.18,33.51 73.99,33.74 74.3,33.98 73.91,34.07 74.02,34.22 73.8,34.39 73.94,34.65 74.39,34.78 75.66,34.5 76.17,34.59 76.47,34.77 76.87,34.66 77.05,35.1 77.82,35.5
+IO 72.49,-7.38 72.43,-7.43 72.36,-7.27 72.43,-7.43 72.45,-7.23 | 71.34,-6.66 71.37,-6.66 71.37,-6.65 71.34,-6.65 | 71.26,-6.39 71.27,-6.39 71.27,-6.37 71.26,-6.37 | 71.34,-6.21 71.36,-6.21 71.36,-6.17 71.34,-6.17 | 71.76,-5.44 71.78,-5.44 71.78,-5.43 71.76,-5.43 | 72.21,-5.36 72.22,-5.36 72.22,-5.35 72.21,-5.35 | 72.22,-5.34 72.23,-5.34 72.23,-5.31 72.22,-5.31 | 71.74,-5.29 71.75,-5.29 71.75,-5.27 71.74,-5.27 | 71.86,-5.26 71.88,-5.26 71.88,-5.25 71.86,-5.25
+IQ 45.8,34.91 45.65,34.74 45.72,34.56 45.56,34.59 45.44,34.46 45.58,34.3 45.4,33.98 45.75,33.59 45.9,33.63 45.87,33.49 46.18,33.26 46.11,32.97 46.42,32.94 47.14,32.46 47.43,32.4 47.86,31.8 47.7,31.41 47.69,31 48.04,31 48.03,30.49 48.56,29.94 47.73,30.08 47.21,30.04 46.55,29.1 44.72,29.2 42.08,31.11 40.41,31.95 39.2,32.15 39.26,32.36 39.04,32.3 38.99,32.48 39.09,32.5 38.79,33.38 41,34.42 41.23,34.79 41.22,35.22 41.38,35.63 41.29,36.36 41.4,36.53 41.84,36.6 42.79,37.38 43.62,37.23 44.12,37.32 44.26,37.24 44.19,37.1 44.32,36.97 44.64,37.19 44.78,37.16 44.91,37.02 44.85,36.8 45.06,36.69 45.09,36.43 45.28,36.38 45.41,35.99 45.63,35.97 45.77,35.81 46.35,35.82 45.98,35.58 46.17,35.11 45.93,35.1
+IR 53.9,26.48 54.05,26.48 54.05,26.56 53.9,26.56 | 53.15,26.79 53.32,26.79 53.32,26.86 53.15,26.86 | 56.32,26.82 56.41,26.82 56.41,26.89 56.32,26.89 | 55.73,26.84 55.63,26.79 55.69,26.93 | 56.25,26.93 55.99,26.73 55.28,26.56 55.28,26.66 55.77,26.79 55.75,26.95 56.22,27 | 56.43,27.04 56.51,27.04 56.51,27.11 56.43,27.11 | 50.29,29.21 50.34,29.21 50.34,29.28 50.29,29.28 | 45,39.42 45.44,39 46.18,38.84 46.54,38.88 46.84,39.16 47.98,39.72 48.36,39.39 48.12,39.26 48.31,39.01 48.02,38.84 48.62,38.4 48.89,38.44 49.1,37.64 49.42,37.49 50.19,37.39 50.33,37.13 51,36.77 51.87,36.58 54.01,36.95 53.61,36.87 54.01,36.82 53.91,37.35 54.68,37.44 54.83,37.75 55.44,38.09 56.32,38.08 56.42,38.25 56.76,38.29 57.05,38.19 57.24,38.27 57.36,37.99 58.17,37.8 58.24,37.68 58.93,37.67 59.34,37.54 59.48,37.23 60.03,37.04 60.33,36.66 61.16,36.65 61.29,35.55 61.1,35.28 60.98,34.66 60.72,34.52 60.88,34.32 60.67,34.31 60.51,34.14 60.53,33.64 60.94,33.52 60.58,33.07 60.86,32.23 60.84,31.5 61.71,31.38 61.85,31.03 61.76,30.79 60.87,29.86 61.91,28.55 62.4,28.42 62.59,28.23 62.78,28.27 62.78,27.26 63.21,27.27 63.34,27.12 63.19,26.64 62.43,26.56 62.28,26.35 61.86,26.23 61.61,25.2 61.44,25.08 60.62,25.27 60.55,25.44 60.4,25.38 60.46,25.26 59.48,25.48 59.03,25.4 58.79,25.56 58.12,25.54 57.96,25.7 57.31,25.78 57.03,26.84 56.81,27.12 56.13,27.16 55.65,26.98 55.59,26.79 55.24,26.78 54.79,26.49 54.29,26.72 53.75,26.71 53.4,27 52.6,27.35 52.44,27.64 51.43,27.94 51.06,28.73 50.8,28.92 50.93,29.06 50.64,29.14 50.64,29.48 50.15,29.93 50.05,30.21 49.55,30.01 49.48,30.16 49.01,30.3 48.93,30.39 49.27,30.43 48.98,30.51 48.86,30.35 48.92,30.04 48.47,29.98 48.41,30.21 48.03,30.49 48.04,31 47.69,31 47.7,31.41 47.86,31.8 47.43,32.4 47.14,32.46 46.42,32.94 46.11,32.97 46.18,33.26 45.87,33.49 45.9,33.63 45.75,33.59 45.4,33.98 45.58,34.3 45.44,34.46 45.56,34.59 45.72,34.56 45.65,34.74 45.93,35.1 46.17,35.11 46.02,35.68 46.35,35.81 45.77,35.81 45.63,35.97 45.41,35.99 45.28,36.38 45.09,36.43 45.06,36.69 44.84,36.81 44.91,37.02 44.77,37.11 44.82,37.31 44.59,37.44 44.62,37.73 44.22,37.9 44.48,38.35 44.31,38.39 44.3,38.83 44.03,39.38 44.42,39.43 44.61,39.78
+IS -15.07,66.14 -14.62,65.99 -14.85,65.73 -14.34,65.78 -14.56,65.49 -14.28,65.66 -13.61,65.51 -13.57,65.26 -14.03,65.19 -13.52,65.11 -13.66,64.98 -13.99,65.06 -13.7,64.92 -14.05,64.93 -13.77,64.85 -14.24,64.69 -14.51,64.8 -14.54,64.41 -14.96,64.25 -15.38,64.37 -16.49,63.9 -16.81,63.83 -16.97,63.92 -17.02,63.79 -17.87,63.73 -17.93,63.53 -18.71,63.39 -20.2,63.54 -20.54,63.71 -20.36,63.76 -20.65,63.73 -20.67,63.85 -21.18,63.88 -21.05,63.95 -21.62,63.82 -22.69,63.81 -22.7,64.08 -22.52,63.98 -22.05,64.05 -21.7,64.18 -21.76,64.34 -21.36,64.38 -22.1,64.31 -21.98,64.5 -21.51,64.65 -22.17,64.45 -22.41,64.81 -23.84,64.73 -24.06,64.89 -21.84,65.03 -21.74,65.2 -22.07,65.1 -22.56,65.17 -21.7,65.45 -22.29,65.44 -22.11,65.59 -23.88,65.4 -24.54,65.5 -24.32,65.64 -23.81,65.53 -24.11,65.81 -23.53,65.63 -23.34,65.67 -23.54,65.72 -23.23,65.74 -23.87,65.87 -23.21,65.84 -23.82,66.01 -23.37,65.99 -23.67,66.11 -23.47,66.2 -22.68,66.04 -22.65,65.83 -22.5,65.97 -22.44,65.84 -22.5,66.08 -22.97,66.22 -22.43,66.27 -23.18,66.34 -22.94,66.47 -22.42,66.43 -21.65,66.02 -21.4,66.03 -21.6,65.95 -21.29,65.93 -21.34,65.73 -21.78,65.77 -21.31,65.6 -21.08,65.16 -20.93,65.59 -20.66,65.69 -20.45,65.49 -20.26,65.72 -20.42,66.08 -20.18,66.13 -19.45,65.73 -19.45,66.06 -18.78,66.19 -18.07,65.64 -18.3,66.17 -17.61,65.99 -17.13,66.21 -16.59,66.09 -16.53,66.51 -16.02,66.54 -15.38,66.14 -14.71,66.37
+IT 12.13,47 12.44,46.69 13.72,46.53 13.38,46.29 13.67,46.18 13.48,46.01 13.92,45.64 13.72,45.6 13.55,45.79 13.39,45.67 13.13,45.77 13.09,45.64 12.28,45.47 12.16,45.26 12.54,44.96 12.25,44.72 12.42,44.2 13.62,43.55 14.02,42.67 14.74,42.09 15.17,41.92 16.14,41.91 16.19,41.78 15.9,41.62 15.93,41.48 18.01,40.64 18.51,40.14 18.35,39.79 18.04,39.93 17.86,40.28 17.39,40.33 17.2,40.41 17.32,40.5 16.91,40.45 16.49,39.77 17.15,39.39 17.17,38.96 16.59,38.8 16.57,38.43 16.06,37.92 15.63,38.01 15.63,38.23 15.81,38.3 15.92,38.52 15.83,38.64 16.18,38.74 16.22,38.91 15.67,40.03 15.36,40 14.94,40.23 14.99,40.4 14.78,40.67 14.33,40.57 14.46,40.74 14.07,40.82 13.71,41.25 13.03,41.26 11.83,42.03 11.62,42.3 11.1,42.39 11.16,42.55 10.53,43.04 10.11,44.01 8.75,44.43 8.07,43.89 7.53,43.78 7.66,44.17 7.35,44.13 6.88,44.38 7.03,44.83 6.75,44.92 6.62,45.11 7.06,45.22 7.16,45.38 6.82,45.84 7.54,45.98 7.86,45.92 8.44,46.46 8.45,46.25 8.83,46.1 9.04,45.84 9.3,46.5 9.54,46.31 9.94,46.38 10.13,46.23 10.05,46.54 10.23,46.64 10.47,46.55 10.47,46.87 11.01,46.77 11.19,46.97 12.19,47.09 | 12.32,45.34 12.43,45.34 12.43,45.43 12.32,45.43 | 9.8,43 9.85,43 9.85,43.08 9.8,43.08 | 10.44,42.84 10.42,42.71 10.1,42.77 | 10.07,42.57 10.1,42.57 10.1,42.62 10.07,42.62 | 10.86,42.32 10.93,42.32 10.93,42.39 10.86,42.39 | 10.29,42.32 10.33,42.32 10.33,42.35 10.29,42.35 | 9.51,41.15 9.63,40.99 9.5,40.92 9.61,40.92 9.83,40.53 9.62,40.26 9.71,40.04 9.57,39.15 9.02,39.27 9.04,39.04 8.86,38.88 8.65,38.89 8.51,39.06 8.41,38.96 8.37,39.37 8.56,39.87 8.39,39.9 8.37,40.49 8.14,40.59 8.19,40.91 8.6,40.85 9.18,41.25 | 8.21,40.99 8.35,40.99 8.35,41.12 8.21,41.12 | 12.94,40.88 12.99,40.88 12.99,40.93 12.94,40.93 | 13.85,40.69 13.96,40.69 13.96,40.76 13.85,40.76 | 14.2,40.54 14.26,40.54 14.26,40.56 14.2,40.56 | 8.22,39.09 8.31,39.09 8.31,39.19 8.22,39.19 | 15.19,38.77 15.24,38.77 15.24,38.81 15.19,38.81 | 13.15,38.69 13.2,38.69 13.2,38.72 13.15,38.72 | 14.79,38.53 14.87,38.53 14.87,38.58 14.79,38.58 | 14.9,38.45 14.97,38.45 14.97,38.52 14.9,38.52 | 14.94,38.36 15,38.36 15,38.43 14.94,38.43 | 15.53,38.14 15.09,37.48 15.32,37.01 15.15,36.91 15.08,36.65 14.55,36.78 14.25,37.06 13.88,37.1 13.16,37.49 12.66,37.56 12.42,37.8 12.56,38.06 12.73,38.14 12.93,38.03 13.32,38.22 13.77,37.97 14.87,38.17 15.09,38.12 15.54,38.3 15.65,38.27 | 12.03,37.94 12.08,37.94 12.08,37.99 12.03,37.99 | 12.27,37.91 12.37,37.91 12.37,37.94 12.27,37.94 | 11.92,36.74 12.06,36.74 12.06,36.84 11.92,36.84
+JE -2.25,49.17 -2.02,49.17 -2.02,49.26 -2.25,49.26
+JM -77.13,17.88 -77.17,17.7 -77.41,17.86 -77.73,17.85 -78.06,18.2 -78.36,18.23 -78.34,18.36 -77.86,18.52 -76.95,18.39 -76.34,18.15 -76.22,17.9 -76.6,17.86 -76.83,17.99 -76.95,17.83
+JO 34.96,29.36 35.16,30.44 35.46,31.12 35.57,32.65 35.93,32.72 36.4,32.38 36.84,32.31 38.79,33.38 39.09,32.5 38.99,32.48 39.04,32.3 39.26,32.36 39.3,32.24 39,32.01 37.01,31.51 38,30.5 37.67,30.34 37.5,30 36.74,29.86 36.5,29.5 36.07,29.19
+JP 153.94,24.29 153.97,24.29 153.97,24.32 153.94,24.32 | 123.87,24.25 123.68,24.32 123.77,24.42 123.92,24.37 | 122.94,24.43 123.02,24.43 123.02,24.47 122.94,24.47 | 131.24,24.45 131.28,24.45 131.28,24.49 131.24,24.49 | 124.26,24.46 124.22,24.34 124.08,24.42 124.32,24.59 | 141.28,24.73 141.36,24.73 141.36,24.79 141.28,24.79 | 125.36,24.78 125.44,24.73 125.26,24.73 125.26,24.88 | 141.27,25.42 141.3,25.42 141.3,25.45 141.27,25.45 | 131.21,25.81 131.27,25.81 131.27,25.87 131.21,25.87 | 126.69,26.3 126.81,26.3 126.81,26.39 126.69,26.39 | 142.11,26.61 142.18,26.61 142.18,26.72 142.11,26.72 | 128.25,26.64 127.84,26.43 127.81,26.16 127.65,26.08 127.72,26.43 127.96,26.54 127.88,26.67 128.07,26.64 128.29,26.85 | 142.18,27.03 142.24,27.03 142.24,27.1 142.18,27.1 | 142.18,27.15 142.2,27.15 142.2,27.19 142.18,27.19 | 140.86,27.22 140.88,27.22 140.88,27.24 140.86,27.24 | 128.61,27.36 128.52,27.41 128.7,27.45 | 142.17,27.6 142.2,27.6 142.2,27.63 142.17,27.63 | 142.07,27.72 142.09,27.72 142.09,27.73 142.07,27.73 | 128.95,27.68 128.95,27.91 129.03,27.77 | 129.18,28.08 129.35,28.08 129.35,28.19 129.18,28.19 | 129.91,28.28 130.03,28.28 130.03,28.37 129.91,28.37 | 129.72,28.45 129.38,28.12 129.14,28.25 | 129.71,29.61 129.75,29.61 129.75,29.66 129.71,29.66 | 129.85,29.82 129.92,29.82 129.92,29.88 129.85,29.88 | 129.92,29.96 129.97,29.96 129.97,30 129.92,30 | 130.56,30.24 130.38,30.39 130.49,30.46 130.67,30.38 | 140.3,30.46 140.34,30.46 140.34,30.48 140.3,30.48 | 130.86,30.35 131.09,30.35 131.09,30.84 130.86,30.84 | 129.67,31.63 129.8,31.63 129.8,31.79 129.67,31.79 | 140,31.93 140.03,31.93 140.03,31.95 140,31.95 | 130.11,32.11 130.2,32.11 130.2,32.22 130.11,32.22 | 130.37,32.37 130.21,32.44 130.45,32.51 | 130.03,32.19 129.99,32.41 130.16,32.54 130.21,32.33 | 128.9,32.64 128.6,32.62 128.66,32.78 128.81,32.79 | 129.01,32.82 129.18,32.82 129.18,33.15 129.01,33.15 | 139.74,33.03 139.87,33.03 139.87,33.15 139.74,33.15 | 129.36,33.16 129.57,33.16 129.57,33.39 129.36,33.39 | 129.81,33.34 129.86,33.34 129.86,33.4 129.81,33.4 | 132.19,33.75 132.28,33.75 132.28,33.8 132.19,33.8 | 129.66,33.7 129.79,33.7 129.79,33.86 129.66,33.86 | 139.58,33.83 139.63,33.83 139.63,33.89 139.58,33.89 | 131.21,33.6 131.67,33.65 131.73,33.46 131.52,33.27 131.9,33.26 131.81,33.12 131.99,32.83 131.69,32.54 131.34,31.37 131.07,31.45 131,31.36 131.13,31.27 130.67,31 130.8,31.31 130.6,31.58 130.75,31.55 130.81,31.68 130.64,31.71 130.53,31.53 130.64,31.18 130.23,31.25 130.34,31.61 130.18,31.77 130.16,32.01 130.57,32.44 130.59,32.63 130.45,32.62 130.61,32.79 130.42,33.09 130.21,33.17 130.22,32.95 130.09,32.86 130.33,32.85 130.35,32.66 130.17,32.59 130.2,32.73 130.09,32.79 129.75,32.56 129.86,32.71 129.69,32.84 129.68,33.07 129.85,32.82 129.97,32.86 129.94,32.99 129.56,33.21 129.58,33.35 129.83,33.29 129.86,33.52 130.01,33.44 130.21,33.65 130.39,33.6 130.45,33.81 130.69,33.94 130.98,33.88 131.09,33.62 | 132.18,33.85 132.45,33.85 132.45,33.95 132.18,33.95 | 139.48,34.03 139.57,34.03 139.57,34.11 139.48,34.11 | 132.55,34.11 132.46,34.09 132.53,34.18 | 132.45,34.12 132.39,34.24 132.48,34.28 | 132.95,34.18 133.06,34.18 133.06,34.29 132.95,34.29 | 129.24,34.08 129.22,34.32 129.35,34.28 | 134.22,34.34 134.58,34.22 134.75,33.83 134.38,33.62 134.19,33.24 133.92,33.48 133.6,33.5 133.28,33.36 133.01,32.99 133.01,32.77 132.8,32.74 132.64,32.75 132.71,32.91 132.48,32.9 132.53,33.24 132.38,33.31 132.37,33.47 132.02,33.34 132.64,33.68 132.9,34.11 133.14,33.91 133.52,33.96 133.89,34.36 | 139.25,34.32 139.3,34.32 139.3,34.42 139.25,34.42 | 134.35,34.43 134.19,34.51 134.37,34.55 | 134.79,34.19 134.67,34.3 135.02,34.59 134.95,34.26 | 129.34,34.29 129.3,34.56 129.46,34.69 | 139.36,34.67 139.46,34.67 139.46,34.79 139.36,34.79 | 133.01,35.99 133.08,35.99 133.08,36.02 133.01,36.02 | 133.07,36.02 133.13,36.02 133.13,36.1 133.07,36.1 | 132.95,36.03 133.09,36.03 133.09,36.13 132.95,36.13 | 133.29,36.32 133.38,36.2 133.25,36.15 133.19,36.27 | 136.91,37.09 137.06,37.09 137.06,37.15 136.91,37.15 | 138.44,38.05 138.58,38.07 138.51,37.91 138.22,37.8 138.31,38.17 138.52,38.32 | 141.27,41.34 141.46,41.34 141.46,40.59 141.82,40.27 142.07,39.55 141.85,39.02 141.63,38.99 141.53,38.78 141.53,38.27 141.36,38.4 141.1,38.36 140.95,38.15 140.98,36.99 140.75,36.78 140.57,36.25 140.84,35.74 140.45,35.5 140.33,35.13 139.94,34.9 139.77,34.95 139.85,35.28 140.11,35.55 139.97,35.66 139.78,35.63 139.65,35.46 139.68,35.14 139.55,35.29 139.17,35.24 139.14,34.87 138.85,34.59 138.77,34.95 138.91,35.03 138.74,35.12 138.56,35.09 138.21,34.6 137.59,34.67 137.04,34.56 137.35,34.72 137.28,34.8 137.02,34.76 136.98,34.92 136.97,34.68 136.88,34.72 136.85,35.08 136.66,34.98 136.52,34.69 136.92,34.43 136.9,34.27 136.34,34.19 136.27,33.97 135.77,33.45 135.46,33.54 135.4,33.71 135.06,33.88 135.2,34.14 135.13,34.32 135.46,34.56 135.33,34.72 135.06,34.62 134.67,34.78 134.25,34.72 134.12,34.58 133.93,34.58 134.04,34.58 133.93,34.45 133.7,34.52 133.34,34.35 133.25,34.42 133.08,34.25 132.82,34.31 132.56,34.19 132.37,34.36 132.05,33.77 132.05,33.9 131.75,34.05 131.26,33.92 131.03,34.04 130.89,33.92 130.95,34.42 131.41,34.42 131.6,34.65 131.84,34.7 132.64,35.29 132.63,35.42 133.09,35.58 133.4,35.45 134.91,35.63 135.22,35.76 135.31,35.68 135.19,35.53 135.39,35.47 135.46,35.59 135.51,35.49 135.74,35.48 136.02,35.74 136.07,35.65 135.96,35.97 136.71,36.75 136.79,37.36 137.36,37.5 136.86,37.09 137.04,37.06 137.01,36.83 137.3,36.75 137.45,36.93 138.24,37.17 138.58,37.4 138.84,37.81 139.42,38.15 140.02,39.38 140.04,39.8 139.7,39.93 139.9,39.99 140.02,40.23 139.85,40.6 140.27,40.81 140.35,41.25 140.64,41.18 140.72,40.83 140.89,40.99 141.15,40.86 141.23,41.23 140.76,41.17 140.92,41.53 | 139.41,42.05 139.56,42.05 139.56,42.24 139.41,42.24 | 145.22,43.54 145.36,43.54 145.36,43.6 145.22,43.6 | 143.81,44.14 143.97,44.14 143.97,44.17 143.81,44.17 | 141.26,45.1 141.13,45.21 141.31,45.19 | 140.97,45.26 141.07,45.26 141.07,45.47 140.97,45.47 | 142.05,45.4 142.82,44.71 143.77,44.09 144.16,44.11 144.37,43.95 144.78,43.91 145.34,44.34 145.07,43.77 145.26,43.31 145.47,43.25 145.82,43.37 144.98,42.98 144.8,43.04 144.66,42.94 144.32,43 143.99,42.91 143.43,42.44 143.24,41.92 141.79,42.61 141.43,42.57 140.99,42.29 140.75,42.56 140.46,42.57 140.28,42.25 140.73,42.12 141.2,41.8 140.98,41.7 140.66,41.82 140.42,41.52 140.07,41.42 139.98,41.58 140.14,41.98 139.78,42.25 139.84,42.62 140.53,43 140.32,43.24 140.47,43.37 141.16,43.14 141.41,43.29 141.34,43.71 141.65,43.94 141.8,44.62 141.58,45.23 141.69,45.4 141.97,45.49
+KE 41.14,-2.12 40.95,-2.17 41.06,-2.04 | 35.94,4.62 36.05,4.45 37.04,4.38 38.12,3.61 38.52,3.63 39.52,3.41 39.87,3.87 40.78,4.29 41.17,3.94 41.91,3.98 40.99,2.83 41,-0.87 41.56,-1.67 41.32,-1.96 40.89,-2.02 40.96,-2.3 40.85,-2.24 40.64,-2.55 40.24,-2.66 40.12,-3.27 39.97,-3.38 39.4,-4.64 39.2,-4.67 37.61,-3.5 37.72,-3.31 37.6,-3 33.92,-1 33.91,0.1 34.53,1.11 34.82,1.24 34.79,1.39 35,1.67 35.01,1.9 34.91,2.52 34.4,3.38 34.46,3.67 34.22,3.78 34,4.22 34.39,4.61
+KG 80.23,42.2 80.24,42.04 79.88,42.02 79.78,41.89 78.4,41.4 78.08,41.04 76.87,41.01 76.35,40.35 75.7,40.3 75.58,40.65 75.23,40.45 74.86,40.52 74.88,40.33 73.99,40.05 73.85,39.47 73.15,39.35 72.65,39.4 72.34,39.34 72.25,39.19 72.08,39.37 71.77,39.28 71.76,39.46 71.54,39.46 71.48,39.62 70.99,39.4 70.72,39.43 70.49,39.61 69.33,39.52 69.25,39.75 69.33,39.99 69.53,39.93 69.54,40.13 70.02,40.22 70.54,40.05 70.5,39.91 71,40.27 71.39,40.3 71.71,40.15 72.04,40.27 72.17,40.46 72.42,40.39 72.39,40.61 72.64,40.51 73.17,40.82 72.63,40.89 72.4,41.04 72.2,41.01 72.18,41.19 71.89,41.19 71.69,41.56 71.6,41.32 71.44,41.35 71.42,41.12 70.81,41.25 70.71,41.47 70.48,41.41 70.19,41.53 70.87,42.04 71.26,42.17 70.87,42.31 71.03,42.57 71.42,42.8 72.3,42.77 73.51,42.4 73.43,42.62 73.58,43.04 74.29,43.22 74.75,42.99 75.66,42.81 75.8,42.94 76.62,42.9 76.98,43 79.19,42.8 79.44,42.47 79.95,42.43
+KH 103.75,10.44 103.8,10.44 103.8,10.51 103.75,10.51 | 103.19,10.67 103.32,10.67 103.32,10.78 103.19,10.78 | 102.98,11.25 103.05,11.25 103.05,11.42 102.98,11.42 | 103,11.42 103.05,11.42 103.05,11.53 103,11.53 | 107.49,14.45 107.34,14.11 107.63,13.54 107.48,13.02 107.56,12.37 107.43,12.25 107.35,12.33 107.17,12.28 106.72,11.97 106.42,11.97 106.46,11.67 106.05,11.78 105.96,11.64 105.85,11.66 105.87,11.3 106.19,11.05 106.2,10.77 105.78,11.02 105.36,10.87 105.1,10.96 105.1,10.72 104.88,10.53 104.6,10.53 104.45,10.42 104.25,10.57 103.62,10.5 103.52,10.64 103.72,10.87 103.56,11.16 103.35,10.88 103.13,10.88 103.1,11.35 102.96,11.55 103.08,11.72 102.89,11.83 102.93,11.59 102.72,12.17 102.78,12.45 102.51,12.67 102.35,13.28 102.38,13.57 102.6,13.61 102.96,14.2 103.66,14.45 103.92,14.34 104.81,14.45 105,14.38 105.07,14.22 105.21,14.35 105.36,14.11 105.56,14.17 106.06,13.93 106.18,14.06 106,14.37 106.41,14.46 106.52,14.6 106.85,14.3 107.55,14.71
+KI -151.82,-11.47 -151.78,-11.47 -151.78,-11.39 -151.82,-11.39 | -152.41,-10.11 -152.39,-10.11 -152.39,-10.09 -152.41,-10.09 | -150.23,-9.95 -150.22,-9.95 -150.22,-9.92 -150.23,-9.92 | -150.23,-9.92 -150.22,-9.92 -150.22,-9.89 -150.23,-9.89 | -155.93,-5.64 -155.85,-5.64 -155.85,-5.61 -155.93,-5.61 | -172.23,-4.54 -172.17,-4.54 -172.17,-4.49 -172.23,-4.49 | -171.27,-4.46 -171.23,-4.46 -171.23,-4.44 -171.27,-4.44 | -155.02,-4.1 -154.94,-4.1 -154.94,-4.03 -155.02,-4.03 | -171.09,-3.14 -171.08,-3.14 -171.08,-3.11 -171.09,-3.11 | -171.73,-2.87 -171.62,-2.87 -171.62,-2.76 -171.73,-2.76 | 176.77,-2.67 176.85,-2.67 176.85,-2.61 176.77,-2.61 | 175.96,-2.51 175.97,-2.51 175.97,-2.48 175.96,-2.48 | 175.55,-1.92 175.59,-1.92 175.59,-1.82 175.55,-1.82 | 175.49,-1.81 175.53,-1.81 175.53,-1.77 175.49,-1.77 | 175,-1.55 175.07,-1.55 175.07,-1.43 175,-1.43 | 174.85,-1.41 174.87,-1.41 174.87,-1.4 174.85,-1.4 | 176.39,-1.44 176.46,-1.44 176.46,-1.32 176.39,-1.32 | 175.93,-1.39 176.03,-1.39 176.03,-1.28 175.93,-1.28 | 174.72,-1.27 174.77,-1.27 174.77,-1.14 174.72,-1.14 | 174.46,-0.82 174.5,-0.82 174.5,-0.65 174.46,-0.65 | 174.38,-0.65 174.46,-0.65 174.46,-0.59 174.38,-0.59 | 173.6,0.13 173.64,0.13 173.64,0.22 173.6,0.22 | 173.4,0.2 173.43,0.2 173.43,0.23 173.4,0.23 | 173.37,0.24 173.38,0.24 173.38,0.27 173.37,0.27 | 173.92,0.29 173.94,0.29 173.94,0.32 173.92,0.32 | 173.8,0.38 173.92,0.38 173.92,0.45 173.8,0.45 | 173.02,1.01 173.08,0.95 172.98,0.82 | 172.91,1.34 172.95,1.34 172.95,1.35 172.91,1.35 | 173.1,1.34 173.13,1.34 173.13,1.37 173.1,1.37 | 173.03,1.41 173.06,1.41 173.06,1.44 173.03,1.44 | 173,1.47 173.02,1.47 173.02,1.5 173,1.5 | 172.96,1.53 172.98,1.53 172.98,1.62 172.96,1.62 | 172.83,1.84 172.89,1.84 172.89,1.86 172.83,1.86 | 172.93,1.7 173.04,1.7 173.04,1.94 172.93,1.94 | 172.88,1.93 172.9,1.93 172.9,1.94 172.88,1.94 | 173.31,1.94 173.35,1.94 173.35,1.97 173.31,1.97 | 173.31,1.97 173.34,1.97 173.34,2.02 173.31,2.02 | -157.43,2.02 -157.18,1.71 -157.57,1.86 -157.52,1.94 -157.43,1.83 -157.35,1.94 | 172.75,3 172.88,3 172.88,3.06 172.75,3.06 | 172.96,3.24 172.98,3.24 172.98,3.3 172.96,3.3 | -159.34,3.92 -159.27,3.79 -159.4,3.86 | -160.42,4.68 -160.38,4.68 -160.38,4.73 -160.42,4.73
+KM 43.86,-12.36 43.67,-12.36 43.62,-12.26 | 44.49,-12.09 44.51,-12.38 44.21,-12.16 | 43.46,-11.94 43.22,-11.76 43.28,-11.38 43.4,-11.41
+KN -62.63,17.09 -62.53,17.09 -62.53,17.2 -62.63,17.2 | -62.7,17.34 -62.65,17.21 -62.86,17.37
+KP 124.83,39.5 124.94,39.5 124.94,39.61 124.83,39.61 | 130.64,42.41 130.69,42.28 130.42,42.31 129.7,41.65 129.67,41.48 129.81,41.37 129.71,40.83 129.23,40.69 129.11,40.47 128.6,40.17 128,40.04 127.51,39.72 127.56,39.31 127.46,39.42 127.38,39.22 127.78,39.09 128.36,38.68 128.22,38.38 127.13,38.3 126.59,37.77 126.38,37.89 126.11,37.74 125.98,37.91 125.92,37.84 125.59,38.03 125.72,37.91 125.34,37.67 125.51,37.89 124.98,37.92 125.27,38.07 124.66,38.12 124.86,38.23 124.99,38.59 125.45,38.7 125.65,38.63 125.14,38.8 125.45,39.58 125.12,39.56 124.74,39.78 124.62,39.59 124.56,39.8 124.32,39.91 124.55,40.24 125.7,40.86 126.02,40.9 126.49,41.37 126.57,41.62 126.91,41.8 127.27,41.47 128.16,41.38 128.3,41.58 128.06,42 128.93,42.02 129.34,42.45 129.71,42.44 129.91,43.01 130.25,42.89 130.24,42.72
+KR 126.62,33.24 126.27,33.19 126.16,33.31 126.37,33.47 126.81,33.55 126.92,33.39 | 126.65,34.28 126.77,34.28 126.77,34.39 126.65,34.39 | 127.11,34.41 127.25,34.41 127.25,34.49 127.11,34.49 | 127.71,34.47 127.8,34.47 127.8,34.54 127.71,34.54 | 126.19,34.35 126.1,34.42 126.24,34.57 126.38,34.49 | 127.73,34.57 127.81,34.57 127.81,34.66 127.73,34.66 | 125.91,34.65 126.01,34.65 126.01,34.72 125.91,34.72 | 125.89,34.72 126.01,34.72 126.01,34.79 125.89,34.79 | 127.97,34.83 128.09,34.83 128.09,34.91 127.97,34.91 | 126.06,34.85 125.98,34.86 126.06,34.93 | 127.96,34.8 128.07,34.8 128.06,34.7 127.86,34.72 127.88,34.93 | 128.75,34.88 128.59,34.7 128.49,34.86 128.71,34.98 | 126.06,35.05 126.16,35.05 126.16,35.15 126.06,35.15 | 126.32,36.4 126.43,36.4 126.43,36.59 126.32,36.59 | 126.16,36.82 126.17,36.82 126.17,36.84 126.16,36.84 | 130.89,37.45 130.81,37.52 130.92,37.55 | 126.5,37.59 126.37,37.62 126.4,37.82 | 124.61,37.91 124.75,37.91 124.75,37.98 124.61,37.98 | 128.53,38.33 129.43,37.06 129.39,36.04 129.59,36.02 129.44,35.48 129.14,35.11 128.57,35.17 128.38,35.04 128.5,35.01 128.43,34.83 128.33,34.95 127.59,34.94 127.64,34.81 127.77,34.84 127.64,34.62 127.49,34.85 127.36,34.75 127.51,34.59 127.39,34.47 127.12,34.54 127.33,34.74 127.01,34.6 126.89,34.41 126.77,34.58 126.56,34.3 126.27,34.68 126.3,34.75 126.45,34.58 126.62,34.62 126.48,34.72 126.66,34.81 126.54,34.87 126.38,34.79 126.43,34.96 126.32,34.93 126.25,35.12 126.34,35.15 126.43,35.02 126.42,35.41 126.69,35.53 126.47,35.64 126.8,35.86 126.63,35.97 126.87,36.05 126.69,36 126.54,36.14 126.5,36.72 126.35,36.74 126.29,36.58 126.27,36.72 126.13,36.75 126.29,36.96 126.29,36.79 126.4,36.85 126.36,37 126.48,36.84 126.5,37.05 126.78,36.96 126.84,36.75 127,36.93 126.75,37.05 126.87,37.18 126.66,37.16 126.66,37.25 126.87,37.27 126.66,37.41 126.53,37.76 126.68,37.68 126.73,37.95 127.13,38.3 128.08,38.31 128.36,38.63
+KW 48.27,29.39 48.4,29.39 48.4,29.47 48.27,29.47 | 48.22,29.59 48.08,29.77 48.15,29.99 48.36,29.74 | 48.01,29.96 48.11,29.96 48.11,30.03 48.01,30.03 | 47.93,30.02 48.17,29.55 47.96,29.63 47.71,29.38 48.03,29.34 48.42,28.55 47.69,28.54 47.46,29 46.55,29.1 47.17,30.02
+KY -81.4,19.26 -81.09,19.26 -81.09,19.35 -81.4,19.35 | -80.11,19.65 -79.97,19.65 -79.97,19.71 -80.11,19.71 | -79.89,19.69 -79.73,19.69 -79.73,19.76 -79.89,19.76
+KZ 50.12,44.84 49.98,44.96 50.11,45.08 | 50.26,44.94 50.35,44.94 50.35,45.08 50.26,45.08 | 52.96,46.22 53.1,46.22 53.1,46.37 52.96,46.37 | 69.19,55.34 69.67,55.35 70.24,55.14 70.47,55.3 70.84,55.3 71.01,54.8 71.28,54.69 71.21,54.33 71,54.34 71.19,54.1 71.34,54.21 71.65,54.11 71.77,54.26 72.19,54.14 72.05,54.39 72.51,54.14 72.47,53.91 72.73,53.96 72.53,54.05 72.61,54.15 72.98,54.13 73.29,53.95 73.76,54.07 73.71,53.87 73.44,53.88 73.24,53.64 73.44,53.44 73.92,53.65 74.43,53.48 74.47,53.69 74.79,53.84 75.03,53.81 75.5,54.12 76.81,54.45 76.72,54.15 76.39,54.16 76.52,53.99 77.91,53.27 80.08,50.76 80.47,50.97 80.44,51.2 80.69,51.31 81.18,51.2 81.07,50.95 81.42,50.97 81.47,50.74 82.5,50.72 82.76,50.91 83.46,51 83.97,50.8 84.36,50.21 85.01,50.08 84.98,49.91 85.26,49.59 86.19,49.47 86.62,49.8 86.77,49.79 86.62,49.59 87.3,49.21 87.35,49.09 86.88,49.11 86.77,49.02 86.78,48.73 86.6,48.54 85.76,48.39 85.54,47.96 85.71,47.36 85.53,47.06 84.76,46.83 84.68,46.99 83.92,46.97 83.04,47.21 82.32,45.57 82.65,45.43 82.56,45.13 82.3,45.24 81.95,45.16 81.69,45.35 79.87,44.9 80.52,44.73 80.38,44.64 80.36,44.13 80.82,43.16 80.38,43.03 80.58,42.89 80.26,42.82 80.17,42.66 80.23,42.2 79.95,42.43 79.44,42.47 79.19,42.8 76.98,43 76.62,42.9 75.8,42.94 75.66,42.81 75.18,42.87 74.24,43.22 73.58,43.04 73.43,42.62 73.51,42.4 72.3,42.77 71.28,42.76 70.87,42.31 70.97,42.25 70.75,42.2 70.63,42.02 70.4,42.07 69.93,41.71 69.06,41.38 69.06,41.22 68.59,40.92 68.65,40.62 68.46,40.6 68.05,40.81 68.15,41.04 67.94,41.18 66.72,41.17 66.53,42 66.03,42 66.12,43 65.82,42.88 65.53,43.32 64.93,43.74 64.46,43.55 63.21,43.64 62.03,43.48 61.15,44.21 58.57,45.57 56,45 56,41.33 55.46,41.29 54.96,41.91 54.17,42.34 53.01,42.14 52.44,41.74 52.41,42.09 52.74,42.71 52.18,42.88 51.9,42.84 51.66,43.18 51.27,43.15 51.32,43.45 50.84,44.19 50.28,44.33 50.24,44.58 50.32,44.66 50.87,44.63 51.14,44.48 51.57,44.51 50.95,44.86 51.41,45.37 53.23,45.34 52.73,45.55 53.16,46.27 53,46.48 53.21,46.65 53.06,46.88 52.45,47 52.1,46.81 51.19,47.11 50.43,46.9 49.81,46.53 49.32,46.56 49.37,46.39 49.22,46.35 48.56,46.56 48.54,46.75 48.77,46.69 49.03,46.78 48.2,47.7 47.44,47.84 47.38,47.69 47.14,47.82 47.12,48.27 46.5,48.42 46.78,48.94 47.06,49.12 46.8,49.34 46.93,49.86 47.35,50.08 47.32,50.3 47.62,50.46 48.25,49.87 48.45,49.82 48.8,49.94 48.92,50.03 48.7,50.59 49.43,50.85 49.46,51.12 49.8,51.11 50.36,51.32 50.6,51.64 50.81,51.59 50.77,51.77 51.39,51.64 51.3,51.48 51.69,51.46 51.87,51.67 52.34,51.78 52.6,51.46 53.43,51.49 53.68,51.23 53.96,51.19 54.51,50.86 54.4,50.63 54.52,50.53 54.7,50.61 54.55,50.92 54.65,51.04 55.69,50.53 56.51,51.08 56.73,50.98 56.77,51.09 57.13,51.09 57.48,50.86 57.74,50.91 57.79,51.12 58.17,51.05 58.34,51.16 58.61,51.04 58.67,50.8 59.49,50.63 59.54,50.48 59.82,50.55 60.04,50.86 60.31,50.69 60.7,50.66 61.4,50.79 61.69,51.27 61.49,51.42 60.98,51.5 60.94,51.62 60.39,51.67 60.5,51.8 60,51.96 61.06,52.34 60.69,52.68 61.1,52.98 62.12,53 62.1,53.12 61.18,53.31 61.24,53.51 61.58,53.51 61.54,53.59 60.91,53.62 61.23,53.81 61.01,53.95 61.42,54.07 62.03,53.94 62.02,54.02 62.36,54.02 62.55,53.88 62.59,54.05 63.11,54.1 63.17,54.19 63.9,54.2 63.99,54.31 64.92,54.41 65.22,54.32 65.22,54.53 65.48,54.64 65.76,54.6 65.97,54.71 65.99,54.62 68.21,54.97 68.22,55.19 68.63,55.2 68.73,55.37 69,55.29 68.95,55.44
+LA 107.55,14.71 106.85,14.3 106.54,14.6 106.41,14.46 106,14.37 106.18,14.06 106.06,13.93 105.56,14.17 105.28,14.18 105.21,14.35 105.54,14.56 105.59,15 105.47,15.12 105.63,15.68 105.4,15.81 105.42,16.01 105.08,16.1 104.75,16.52 104.81,17.38 104.28,17.85 103.97,18.33 103.31,18.42 103.04,17.99 102.68,17.82 102.09,18.21 101.91,18.03 101.78,18.06 101.16,17.46 100.91,17.58 101.17,18.09 101.06,18.45 101.27,18.68 101.35,19.04 101.2,19.35 101.28,19.56 100.91,19.62 100.78,19.48 100.5,19.53 100.4,19.75 100.58,20.16 100.33,20.39 100.16,20.29 100.09,20.35 100.25,20.75 100.65,20.87 100.52,20.95 100.72,21.31 101.15,21.57 101.28,21.18 101.85,21.22 101.74,21.32 101.77,21.83 101.57,22.21 101.69,22.47 102.12,22.43 102.61,21.93 102.68,21.66 102.97,21.74 102.88,21.25 103.17,20.85 103.69,20.66 104.11,20.98 104.64,20.66 104.38,20.44 104.62,20.42 104.94,20.18 104.98,20 104.64,19.61 104.04,19.69 104.1,19.48 103.88,19.29 105.19,18.64 105.1,18.47 105.18,18.33 105.5,18.17 105.75,17.67 106.44,16.99 106.56,17 106.69,16.46 106.88,16.54 106.99,16.3 107.33,16.06 107.46,16.08 107.18,15.78 107.7,15.27 107.62,15.06 107.47,15.03
+LB 35.62,33.25 35.43,33.07 35.1,33.09 35.47,33.9 35.63,34.01 35.65,34.28 35.98,34.53 35.97,34.65 36.46,34.64 36.35,34.5 36.53,34.43 36.62,34.2 36.28,33.92 36.38,33.83 36.07,33.83 35.93,33.65 36.06,33.58
+LC -60.95,13.71 -61.08,13.88 -60.93,14.11
+LI 9.53,47.27 9.63,47.09 9.47,47.06
+LK 81.7,7.67 81.72,7.67 81.72,7.71 81.7,7.71 | 81.72,7.48 81.83,7.48 81.83,7.74 81.72,7.74 | 79.69,8.99 79.91,8.99 79.91,9.1 79.69,9.1 | 79.65,9.48 79.73,9.48 79.73,9.56 79.65,9.56 | 79.85,9.61 79.98,9.61 79.98,9.76 79.85,9.76 | 80.27,9.78 80.82,9.26 80.91,8.94 81.23,8.65 81.25,8.54 81.13,8.5 81.36,8.49 81.39,8.15 81.71,7.74 81.88,7.29 81.83,6.77 81.66,6.44 80.59,5.92 80.18,6.03 80.05,6.24 79.86,6.8 79.7,8.08 79.75,8.27 79.73,8.01 79.83,8 79.92,8.94 80.05,9.03 80.09,9.41 80.19,9.47 80.05,9.59 80.61,9.44 79.95,9.69 79.97,9.81 80.11,9.8 80.44,9.57 80.14,9.79
+LR -10.81,6.4 -11.36,6.7 -11.49,6.93 -11.31,7.22 -10.61,7.77 -10.6,8.04 -10.3,8.19 -10.27,8.49 -9.66,8.49 -9.48,8.35 -9.35,7.74 -9.49,7.36 -9.33,7.43 -9.11,7.2 -8.85,7.27 -8.71,7.65 -8.55,7.69 -8.29,7.02 -8.37,6.73 -8.61,6.51 -8.17,6.28 -7.9,6.26 -7.76,5.95 -7.43,5.85 -7.37,5.32 -7.59,4.91 -7.53,4.35 -8.25,4.57 -9.14,5.06 -10.38,6.17 -10.76,6.27
+LS 27.56,-30.4 27.38,-30.32 27.01,-29.63 27.3,-29.53 27.8,-28.92 28.65,-28.57 29.33,-29.09 29.46,-29.35 29.17,-29.67 29.17,-29.92 28.38,-30.16 28.08,-30.65 27.74,-30.6
+LT 20.94,55.28 21.13,55.28 21.13,55.72 20.94,55.72 | 25,56.3 25.7,56.12 26.61,55.67 26.46,55.34 26.82,55.28 25.79,54.87 25.55,54.33 25.72,54.33 25.79,54.16 25.53,54.15 25.47,54.31 24.39,53.89 23.5,53.95 23.35,54.24 22.79,54.36 22.72,54.69 22.87,54.82 22.6,55.05 22.06,55.03 21.26,55.25 21.04,55.88 21.05,56.08 21.35,56.24 22.07,56.42 24.16,56.26 24.9,56.45
+LU 6.03,50.18 6.25,49.88 6.52,49.81 6.36,49.46 5.81,49.54 5.9,49.66 5.75,49.91
+LV 21.07,56.44 21.05,56.84 21.39,57.02 21.73,57.58 22.61,57.76 23.26,57.1 23.79,56.97 24.41,57.26 24.31,57.87 25.12,58.08 25.25,57.99 25.29,58.08 26.52,57.52 26.9,57.63 27.55,57.54 27.86,57.3 27.7,56.91 27.94,56.82 28.24,56.27 27.6,55.79 26.99,55.83 26.59,55.67 25.7,56.12 25.1,56.2 24.9,56.45 24.16,56.26 22.07,56.42 21.05,56.08
+LY 9.95,27.82 9.79,28.26 9.87,28.86 9.77,29.43 9.3,30.12 9.88,30.35 10.21,30.73 10.29,30.91 10.12,31.42 10.29,31.69 10.5,31.74 10.88,32.14 11.57,32.44 11.47,32.64 11.53,33.17 12.31,32.83 12.81,32.8 13.26,32.92 15.17,32.4 15.37,32.17 15.49,31.66 15.76,31.39 17.37,31.08 18.19,30.78 19,30.27 19.62,30.42 20.06,30.86 20.16,31.15 19.92,31.76 20.08,32.18 20.57,32.56 21.62,32.93 22.36,32.88 23.11,32.63 23.08,32.33 23.25,32.22 23.73,32.17 24.09,32 24.99,31.96 25.15,31.67 24.86,31.36 25.02,30.79 24.71,30.17 25,29.25 25,20 24,20 24,19.5 16,23.45 14.23,22.61 13.54,23.17 11.99,23.52 11.56,24.3 10.72,24.57 10.42,24.48 10.25,24.61 10.05,24.84 10.04,25.32 9.4,26.15 9.5,26.36 9.87,26.51 9.93,26.86 9.73,27.32
+MA -9.05,32.73 -8.54,33.25 -6.84,34.02 -6.32,34.83 -5.92,35.79 -5.41,35.92 -5.25,35.58 -4.72,35.22 -4.35,35.15 -3.66,35.27 -3.33,35.19 -2.99,35.42 -2.87,35.14 -2.77,35.12 -2.89,35.24 -2.63,35.1 -2.21,35.09 -1.75,34.75 -1.86,34.61 -1.69,34.49 -1.79,34.38 -1.65,34.08 -1.67,33.26 -1.38,32.72 -1.01,32.51 -1.25,32.33 -1.21,32.09 -2.85,32.09 -3,31.83 -3.51,31.67 -3.81,31.7 -3.83,31.16 -3.6,31.1 -3.63,30.97 -4.02,30.91 -4.4,30.65 -4.92,30.51 -5.54,29.9 -6.4,29.8 -6.59,29.57 -7.11,29.64 -7.43,29.4 -7.64,29.38 -8.67,28.71 -8.67,27.67 -13.17,27.67 -12.9,27.95 -12.07,28.08 -11.46,28.33 -10.14,29.43 -9.64,30.17 -9.61,30.4 -9.85,30.73 -9.81,31.45 -9.28,32.18 -9.28,32.56
+MC 7.39,43.73 7.44,43.73 7.44,43.77 7.39,43.77
+MD 28.12,46.85 27.3,47.66 27,48.16 26.63,48.26 26.7,48.34 27.76,48.45 28.09,48.23 28.8,48.13 28.99,47.93 29.15,47.98 29.18,47.44 29.42,47.29 29.58,47.33 29.57,46.95 29.95,46.81 29.9,46.53 30.13,46.41 29.63,46.37 29.48,46.49 29.22,46.37 29.2,46.54 28.99,46.48 28.97,46.01 28.52,45.71 28.52,45.52 28.21,45.45 28.07,45.58 28.25,46.44
+ME 18.46,42.57 18.58,42.65 18.48,42.96 18.7,43.26 18.91,43.36 19.07,43.24 19.01,43.56 20.38,42.84 20.01,42.75 20.07,42.56 19.82,42.47 19.75,42.64 19.65,42.62 19.28,42.19 19.4,42.11 19.37,41.85
+MF -63.15,18.06 -63.01,18.06 -63.01,18.12 -63.15,18.12
+MG 49.82,-17.1 50.01,-17.1 50.01,-16.73 49.82,-16.73 | 47.2,-15.44 47.23,-15.44 47.23,-15.42 47.2,-15.42 | 48.34,-13.42 48.21,-13.39 48.28,-13.2 | 49.59,-12.63 49.61,-12.63 49.61,-12.61 49.59,-12.61 | 49.36,-12.09 49.37,-12.21 49.26,-12.14 49.23,-12.22 49.52,-12.35 49.57,-12.65 49.94,-13.04 50.15,-13.82 50.2,-14.57 50.5,-15.25 50.43,-15.58 50.17,-15.98 49.87,-15.43 49.63,-15.56 49.68,-16.06 49.85,-16.23 49.85,-16.57 49.72,-16.72 49.79,-16.83 49.6,-16.91 49.42,-17.32 49.51,-17.71 49.37,-18.35 47.13,-24.93 46.72,-25.17 46.29,-25.19 45.55,-25.56 45.21,-25.59 44.78,-25.32 44.36,-25.26 44.29,-25.16 44.4,-25.19 44.02,-24.99 43.91,-24.6 43.66,-24.31 43.64,-23.66 43.76,-23.46 43.36,-22.85 43.24,-22.28 43.5,-21.33 43.81,-21.23 43.91,-20.85 44.48,-19.97 44.37,-19.77 44.47,-19.44 44.23,-19.08 44.26,-18.82 44.04,-18.41 43.94,-17.48 44.44,-16.69 44.46,-16.18 44.87,-16.21 45.26,-15.93 45.3,-16.12 45.39,-15.97 45.57,-15.95 45.62,-16.06 45.72,-15.79 46.06,-15.87 46.01,-15.8 46.15,-15.7 46.3,-15.96 46.48,-15.97 46.34,-15.62 46.95,-15.2 47.08,-15.33 46.96,-15.56 47.22,-15.45 47.06,-15.19 47.45,-14.67 47.43,-15.11 47.81,-14.6 47.98,-14.63 48,-14.77 48.01,-14.62 47.75,-14.6 47.7,-14.42 47.78,-14.26 47.93,-14.25 47.9,-14.09 48.02,-14.15 47.98,-14.32 48.05,-14.16 47.88,-13.83 47.91,-13.6 48.06,-13.52 48.29,-13.81 48.34,-13.55 48.74,-13.43 48.96,-12.82 48.73,-12.43 48.95,-12.48 49.26,-11.95
+MH 168.09,5.6 168.13,5.6 168.13,5.64 168.09,5.64 | 168.07,5.63 168.09,5.63 168.09,5.65 168.07,5.65 | 171.73,6.08 171.76,6.08 171.76,6.1 171.73,6.1 | 172.07,6.22 172.09,6.22 172.09,6.23 172.07,6.23 | 171.89,7.09 171.93,7.09 171.93,7.13 171.89,7.13 | 168.67,7.29 168.79,7.29 168.79,7.33 168.67,7.33 | 168.55,7.4 168.57,7.4 168.57,7.47 168.55,7.47 | 168.94,7.57 168.98,7.57 168.98,7.62 168.94,7.62 | 168.22,7.75 168.25,7.75 168.25,7.77 168.22,7.77 | 167.72,8.72 167.75,8.72 167.75,8.75 167.72,8.75 | 170.83,8.88 170.86,8.88 170.86,8.92 170.83,8.92 | 165.52,9.2 165.54,9.2 165.54,9.22 165.52,9.22 | 166.81,9.32 166.84,9.32 166.84,9.34 166.81,9.34 | 170.23,9.53 170.25,9.53 170.25,9.56 170.23,9.56 | 170.14,9.63 170.16,9.63 170.16,9.65 170.14,9.65 | 169.94,10.43 169.97,10.43 169.97,10.45 169.94,10.45 | 166.84,11.14 166.9,11.14 166.9,11.17 166.84,11.17 | 169.86,11.23 169.87,11.23 169.87,11.24 169.86,11.24 | 162.32,11.35 162.35,11.35 162.35,11.36 162.32,11.36 | 167.51,11.38 167.53,11.38 167.53,11.39 167.51,11.39 | 165.51,11.61 165.56,11.61 165.56,11.64 165.51,11.64 | 165.27,11.7 165.29,11.7 165.29,11.71 165.27,11.71 | 168.97,14.58 169,14.58 169,14.6 168.97,14.6
+MK 20.82,40.91 20.6,41.09 20.46,41.52 20.57,41.87 20.73,41.86 20.81,42.09 22.32,42.36 22.83,42.03 23.03,41.73 22.96,41.36 22.77,41.32 22.73,41.14 21.98,41.13 21.6,40.87
+ML -8.53,11.49 -8.83,11.66 -8.8,12.01 -8.98,12.22 -8.94,12.35 -9.16,12.49 -9.4,12.46 -9.31,12.27 -9.63,12.17 -9.7,12.03 -10.32,12.22 -10.65,11.89 -10.93,12.22 -11.24,11.99 -11.46,12.14 -11.37,12.97 -11.63,13.39 -11.82,13.31 -12.03,13.61 -11.98,14.16 -12.21,14.4 -12.24,14.76 -12.06,14.73 -11.84,14.86 -11.71,15.54 -11.49,15.65 -10.9,15.11 -10.72,15.44 -10.03,15.37 -9.41,15.44 -9.34,15.7 -9.33,15.5 -5.5,15.5 -5.33,16.33 -5.6,16.51 -6.58,25 -4.81,25 1.17,21.1 1.17,20.74 1.63,20.57 1.8,20.31 2.08,20.22 2.21,20.28 2.41,20.06 3.23,19.82 3.28,19.39 3.11,19.16 3.33,18.98 4.25,19.15 4.2,16.39 4.07,16.29 3.88,15.71 3.57,15.51 3.52,15.36 3.03,15.43 3.02,15.34 1.31,15.29 0.97,14.98 0.69,14.94 0.23,15 0.24,14.92 -0.25,15.08 -0.39,15.01 -0.73,15.08 -1.07,14.78 -1.68,14.5 -1.98,14.47 -2.01,14.19 -2.47,14.29 -2.6,14.21 -2.84,14.01 -2.88,13.66 -3.26,13.7 -3.23,13.29 -3.44,13.27 -3.44,13.17 -3.96,13.5 -4.34,13.12 -4.19,12.83 -4.26,12.72 -4.47,12.72 -4.37,12.54 -4.42,12.3 -4.63,12.07 -5.27,11.84 -5.21,11.46 -5.3,11.14 -5.49,11.08 -5.41,10.85 -5.52,10.44 -5.8,10.42 -6,10.19 -6.2,10.24 -6.24,10.74 -6.41,10.69 -6.42,10.55 -6.65,10.67 -6.65,10.36 -6.94,10.35 -6.99,10.15 -7.64,10.45 -7.97,10.16 -7.98,10.33 -8.27,10.5 -8.29,11.01 -8.68,10.97 -8.48,11.28 -8.36,11.31
+MM 98.01,9.79 98.06,9.79 98.06,9.84 98.01,9.84 | 98.29,10.01 98.12,9.85 98.18,10.02 | 98.17,10.04 98.24,10.04 98.24,10.19 98.17,10.19 | 97.89,10.4 97.94,10.4 97.94,10.49 97.89,10.49 | 98.18,10.48 98.24,10.48 98.24,10.53 98.18,10.53 | 98.49,10.78 98.55,10.78 98.55,10.89 98.49,10.89 | 97.89,10.84 97.95,10.84 97.95,10.93 97.89,10.93 | 98.21,10.95 98.26,10.69 98.21,10.86 98.08,10.89 | 98.43,10.96 98.46,10.96 98.46,11.01 98.43,11.01 | 98.47,10.94 98.55,10.94 98.55,11.09 98.47,11.09 | 98.23,11.21 98.3,11.21 98.3,11.28 98.23,11.28 | 98.17,11.44 98.32,11.44 98.32,11.8 98.17,11.8 | 98.5,11.57 98.37,11.79 98.55,11.79 | 97.44,11.77 97.49,11.77 97.49,11.81 97.44,11.81 | 98,11.63 98.09,11.63 98.09,11.86 98,11.86 | 97.63,11.84 97.68,11.84 97.68,11.9 97.63,11.9 | 98.25,11.85 98.29,11.85 98.29,11.91 98.25,11.91 | 98.23,11.92 98.27,11.92 98.27,11.98 98.23,11.98 | 98.5,11.88 98.44,12.11 98.66,11.94 | 98.03,12.14 98.14,12.14 98.14,12.28 98.03,12.28 | 98.62,12.37 98.64,12.37 98.64,12.38 98.62,12.38 | 98.54,12.32 98.68,12.32 98.68,12.41 98.54,12.41 | 97.94,12.28 98.11,12.28 98.11,12.42 97.94,12.42 | 98.47,12.4 98.52,12.4 98.52,12.51 98.47,12.51 | 98.22,12.49 98.29,12.49 98.29,12.56 98.22,12.56 | 97.82,12.54 97.87,12.54 97.87,12.6 97.82,12.6 | 98.35,12.32 98.32,12.67 98.47,12.57 | 97.83,12.76 97.87,12.76 97.87,12.82 97.83,12.82 | 98.24,12.94 98.3,12.94 98.3,13.22 98.24,13.22 | 97.91,13.78 97.93,13.78 97.93,13.86 97.91,13.86 | 97.91,13.89 97.92,13.89 97.92,13.94 97.91,13.94 | 93.37,14.06 93.4,14.06 93.4,14.15 93.37,14.15 | 97.79,14.13 97.83,14.13 97.83,14.18 97.79,14.18 | 93.68,14.85 93.72,14.85 93.72,14.91 93.68,14.91 | 97.65,15.5 97.67,15.5 97.67,15.58 97.65,15.58 | 94.73,15.79 94.84,15.79 94.84,15.95 94.73,15.95 | 94.58,16.01 94.42,15.87 94.38,15.99 94.65,16.25 | 97.57,16.23 97.47,16.32 97.52,16.51 97.62,16.47 | 93.67,18.87 93.75,18.87 93.7,18.67 93.48,18.87 | 93.79,19.23 93.9,19.2 93.94,18.86 93.48,19.34 93.55,19.43 | 93.8,19.27 93.68,19.56 93.97,19.42 | 93.39,19.74 93.52,19.74 93.52,19.96 93.39,19.96 | 92.91,19.82 93.03,19.82 93.03,20.09 92.91,20.09 | 97.81,28.34 97.91,28.38 98.15,28.15 98.32,27.54 98.46,27.67 98.7,27.54 98.78,26.64 98.73,26.18 98.57,26.12 98.71,25.86 98.53,25.85 98.33,25.55 98.19,25.62 98.07,25.31 97.83,25.26 97.74,24.92 97.55,24.74 97.54,24.48 97.76,24.26 97.54,23.94 97.65,23.85 98.06,24.09 98.89,24.16 98.68,23.97 98.93,23.19 99.5,23.09 99.57,22.94 99.34,22.72 99.38,22.5 99.16,22.16 99.96,22.05 99.97,21.73 100.21,21.43 100.38,21.54 100.59,21.46 101.11,21.77 101.17,21.6 101.01,21.4 100.72,21.31 100.52,20.95 100.65,20.87 100.25,20.75 100.09,20.35 99.96,20.46 99.8,20.33 99.52,20.35 99.46,20.1 99.07,20.09 99,19.78 98.24,19.69 98.05,19.81 98.03,19.64 97.79,19.4 97.84,19.1 97.68,18.93 97.77,18.57 97.46,18.49 97.35,18.56 97.5,18.28 97.64,18.29 97.78,17.7 98.51,16.94 98.48,16.73 98.69,16.28 98.93,16.39 98.86,16.14 98.63,16.05 98.58,15.35 98.21,15.23 98.2,15.07 98.32,14.72 98.62,14.32 98.97,14.08 99.17,13.73 99.21,13.22 99.11,13.06 99.25,12.72 99.44,12.57 99.66,11.83 99.17,11.05 98.79,10.68 98.82,10.52 98.55,9.98 98.46,10.73 98.54,10.7 98.71,10.92 98.74,11.67 98.89,11.7 98.6,11.75 98.72,11.98 98.71,12.22 98.53,12.25 98.7,12.34 98.6,12.42 98.68,12.69 98.58,13.17 98.19,14.06 98.14,13.54 98.09,14.18 97.8,14.88 97.73,15.84 97.57,16.07 97.63,16.49 97.74,16.56 97.38,16.49 97.15,17.12 96.88,17.45 96.91,17.03 96.78,16.7 96.38,16.5 96.24,16.8 96.27,16.39 96.01,16.38 96.07,16.3 95.75,16.14 95.43,15.73 95.29,15.73 95.36,16.14 95.22,15.78 95.12,15.82 95.11,16.06 95.23,16.12 95.14,16.14 95.04,15.81 94.85,15.78 94.86,16.13 94.99,16.25 94.65,15.85 94.79,16.15 94.56,15.94 94.68,16.12 94.63,16.34 94.25,15.96 94.23,16.35 94.61,17.55 94.24,18.74 94.03,18.86 94.05,19.24 93.98,19.14 93.87,19.26 93.99,19.46 93.6,19.72 93.73,19.93 93.58,19.88 93.13,20.09 93.25,19.83 93.14,19.98 93.13,19.84 92.97,20.12 93.12,20.18 92.99,20.16 93.08,20.55 92.86,20.12 92.77,20.21 92.89,20.32 92.8,20.49 92.63,20.69 92.71,20.28 92.37,20.7 92.21,21.14 92.22,21.36 92.36,21.47 92.6,21.25 92.67,21.3 92.6,21.98 92.7,22.16 92.92,22 93.2,22.26 93.09,22.71 93.14,23.05 93.3,23.01 93.39,23.22 93.34,24.08 93.48,23.96 93.75,24.01 94.15,23.86 94.73,25.02 94.58,25.21 94.63,25.4 94.89,25.58 95.18,26.06 95.07,26.33 95.14,26.61 95.44,26.71 96.19,27.27 96.73,27.37 97.14,27.09 96.89,27.62 97.36,27.94 97.35,28.23 97.56,28.55 97.71,28.52
+MN 91.02,46.6 90.92,46.95 90.71,47.04 90.07,47.89 89.78,47.83 89.56,48.04 89.08,48 88.62,48.21 88.52,48.4 87.97,48.58 88.09,48.71 87.76,48.89 87.9,49 87.84,49.17 88.16,49.27 88.2,49.45 89.18,49.51 89.23,49.64 89.37,49.58 89.72,49.72 89.64,49.9 90.05,50.08 92.32,50.81 92.66,50.68 92.97,50.79 93.11,50.6 94.27,50.57 94.39,50.21 94.64,50.02 94.98,50.06 95.53,49.89 96.07,50.01 96.59,49.86 97,49.89 97.34,49.73 98.11,50.05 98.29,50.29 98.32,50.53 98.06,50.63 97.83,51 98.05,51.46 98.23,51.46 98.32,51.7 98.71,51.83 98.93,52.14 99.95,51.75 100.55,51.74 101.38,51.45 102.22,51.33 102.33,50.57 102.92,50.32 103.7,50.14 105.34,50.48 106.25,50.3 106.66,50.34 107.18,50.02 107.98,49.94 107.95,49.68 108.57,49.33 109.21,49.36 109.54,49.23 110.79,49.15 111.33,49.34 113.09,49.6 113.22,49.82 114.31,50.28 114.85,50.23 115.41,49.9 116.25,50.03 116.71,49.83 115.81,48.52 115.84,48.25 115.54,48.14 115.59,47.92 115.94,47.69 116.26,47.88 116.87,47.89 117.37,47.65 117.8,48.01 118.54,47.99 119.72,47.17 119.93,46.72 119.69,46.6 118.87,46.77 118.77,46.68 118.31,46.74 117.72,46.51 117.42,46.58 117.37,46.36 116.84,46.39 116.59,46.3 116.21,45.72 115.7,45.46 114.55,45.39 114.46,45.21 113.64,44.75 112.85,44.85 112.43,45.08 111.98,45.09 111.78,45 111.42,44.38 111.88,43.94 111.96,43.69 110.99,43.32 110.44,42.78 109.31,42.43 107.47,42.47 105.86,41.99 105.01,41.58 104.52,41.66 104.53,41.88 103.85,41.8 103.42,41.89 102.71,42.16 102.08,42.23 101.81,42.51 100.84,42.68 99.5,42.57 97.17,42.8 96.38,42.73 96.36,42.91 95.88,43.28 95.54,43.99 95.34,44.02 95.42,44.29 94.72,44.35 93.55,44.96 91.57,45.07 90.9,45.25 90.68,45.58 91.03,46.02 90.92,46.3
+MO 113.53,22.18 113.56,22.18 113.56,22.21 113.53,22.21
+MP 145.12,14.11 145.29,14.11 145.29,14.2 145.12,14.2 | 145.52,14.83 145.57,14.83 145.57,14.85 145.52,14.85 | 145.57,14.91 145.66,14.91 145.66,15.08 145.57,15.08 | 145.68,15.09 145.82,15.09 145.82,15.27 145.68,15.27 | 145.63,16.33 145.72,16.33 145.72,16.38 145.63,16.38 | 145.77,16.68 145.8,16.68 145.8,16.71 145.77,16.71 | 145.84,17.29 145.87,17.29 145.87,17.32 145.84,17.32 | 145.82,17.57 145.87,17.57 145.87,17.61 145.82,17.61 | 145.72,18.04 145.84,18.04 145.84,18.18 145.72,18.18 | 145.64,18.72 145.71,18.72 145.71,18.81 145.64,18.81 | 145.38,19.65 145.42,19.65 145.42,19.69 145.38,19.69 | 145.23,20.01 145.27,20.01 145.27,20.05 145.23,20.05 | 144.9,20.52 144.93,20.52 144.93,20.56 144.9,20.56
+MQ -60.86,14.4 -61.03,14.47 -61.23,14.81 -61.17,14.88 -60.94,14.74
+MR -16.46,19.6 -16.34,19.6 -16.34,19.87 -16.46,19.87 | -6.66,26.13 -4.81,25 -6.58,25 -5.6,16.51 -5.33,16.33 -5.5,15.5 -9.33,15.5 -9.34,15.7 -9.41,15.44 -10.03,15.37 -10.72,15.44 -10.9,15.11 -11.49,15.65 -11.71,15.54 -11.84,14.86 -12.06,14.73 -12.85,15.21 -12.96,15.5 -13.07,15.48 -13.25,15.68 -13.4,16.06 -13.7,16.18 -13.82,16.13 -14.35,16.64 -14.98,16.69 -15.67,16.48 -16.28,16.52 -16.53,16.06 -16.47,16.62 -16.04,17.73 -16.18,18.91 -16.51,19.35 -16.28,19.53 -16.47,19.45 -16.23,19.79 -16.2,20.22 -16.49,20.72 -16.54,20.56 -16.65,20.66 -16.92,21.16 -17.05,20.76 -16.95,21.34 -13,21.34 -13.11,22.89 -12.57,23.29 -12,23.45 -12,26 -8.67,26 -8.67,27.29
+MS -62.24,16.67 -62.14,16.67 -62.14,16.81 -62.24,16.81
+MT 14.56,35.82 14.37,35.85 14.33,35.98 | 14.18,36.01 14.34,36.01 14.34,36.07 14.18,36.07
+MU 57.57,-20.51 57.3,-20.45 57.62,-19.99 57.79,-20.27 | 63.33,-19.77 63.5,-19.77 63.5,-19.67 63.33,-19.67 | 56.51,-10.4 56.57,-10.4 56.57,-10.32 56.51,-10.32
+MV 73.16,-0.69 73.18,-0.69 73.18,-0.68 73.16,-0.68 | 73.19,-0.69 73.21,-0.69 73.21,-0.67 73.19,-0.67 | 73.12,-0.67 73.13,-0.67 73.13,-0.65 73.12,-0.65 | 73.22,-0.65 73.24,-0.65 73.24,-0.62 73.22,-0.62 | 73.09,-0.64 73.12,-0.64 73.12,-0.58 73.09,-0.58 | 73.24,-0.61 73.25,-0.61 73.25,-0.58 73.24,-0.58 | 73.43,-0.31 73.45,-0.31 73.45,-0.28 73.43,-0.28 | 73.09,0.21 73.11,0.21 73.11,0.23 73.09,0.23 | 73.21,0.23 73.22,0.23 73.22,0.24 73.21,0.24 | 73.03,0.26 73.04,0.26 73.04,0.27 73.03,0.27 | 73.37,0.28 73.38,0.28 73.38,0.29 73.37,0.29 | 73.5,0.38 73.51,0.38 73.51,0.39 73.5,0.39 | 73.49,0.5 73.5,0.5 73.5,0.51 73.49,0.51 | 73.36,1.78 73.38,1.78 73.38,1.8 73.36,1.8 | 73.39,1.79 73.41,1.79 73.41,1.81 73.39,1.81 | 73.28,1.82 73.3,1.82 73.3,1.83 73.28,1.83 | 73.49,1.82 73.52,1.82 73.52,1.85 73.49,1.85 | 73.24,1.89 73.25,1.89 73.25,1.9 73.24,1.9 | 73.54,1.89 73.55,1.89 73.55,1.94 73.54,1.94 | 73.31,1.98 73.33,1.98 73.33,2 73.31,2 | 73.56,2.09 73.59,2.09 73.59,2.11 73.56,2.11 | 73.11,2.19 73.12,2.19 73.12,2.2 73.11,2.2 | 72.92,2.31 72.93,2.31 72.93,2.33 72.92,2.33 | 73.35,2.38 73.37,2.38 73.37,2.44 73.35,2.44 | 73.31,2.49 73.32,2.49 73.32,2.51 73.31,2.51 | 72.86,2.68 72.88,2.68 72.88,2.7 72.86,2.7 | 73.02,2.73 73.03,2.73 73.03,2.75 73.02,2.75 | 73.35,2.77 73.36,2.77 73.36,2.78 73.35,2.78 | 73.01,2.94 73.02,2.94 73.02,2.95 73.01,2.95 | 73.57,2.95 73.59,2.95 73.59,2.97 73.57,2.97 | 72.97,3.1 72.98,3.1 72.98,3.11 72.97,3.11 | 73.58,3.37 73.59,3.37 73.59,3.38 73.58,3.38 | 72.79,3.51 72.8,3.51 72.8,3.52 72.79,3.52 | 72.91,3.54 72.93,3.54 72.93,3.56 72.91,3.56 | 72.69,3.71 72.7,3.71 72.7,3.73 72.69,3.73 | 73.47,3.93 73.48,3.93 73.48,3.94 73.47,3.94 | 72.7,3.99 72.71,3.99 72.71,4 72.7,4 | 73.5,4.09 73.51,4.09 73.51,4.11 73.5,4.11 | 73.49,4.16 73.51,4.16 73.51,4.18 73.49,4.18 | 73.51,4.18 73.52,4.18 73.52,4.2 73.51,4.2 | 72.96,4.26 72.98,4.26 72.98,4.27 72.96,4.27 | 72.97,4.88 72.98,4.88 72.98,4.9 72.97,4.9 | 73.57,5.27 73.59,5.27 73.59,5.29 73.57,5.29 | 73.31,5.36 73.33,5.36 73.33,5.37 73.31,5.37 | 73.62,5.38 73.64,5.38 73.64,5.42 73.62,5.42 | 73.38,5.71 73.39,5.71 73.39,5.74 73.38,5.74 | 72.98,5.76 72.99,5.76 72.99,5.77 72.98,5.77 | 73.43,5.83 73.45,5.83 73.45,5.85 73.43,5.85 | 72.96,5.85 72.97,5.85 72.97,5.87 72.96,5.87 | 73.42,5.9 73.43,5.9 73.43,5.91 73.42,5.91 | 73.38,5.95 73.4,5.95 73.4,5.97 73.38,5.97 | 72.92,5.95 72.93,5.95 72.93,5.97 72.92,5.97 | 73.26,6.18 73.27,6.18 73.27,6.19 73.26,6.19 | 73.23,6.23 73.25,6.23 73.25,6.24 73.23,6.24 | 73.19,6.31 73.2,6.31 73.2,6.33 73.19,6.33 | 73.04,6.43 73.05,6.43 73.05,6.45 73.04,6.45 | 73.06,6.66 73.07,6.66 73.07,6.67 73.06,6.67 | 73.09,6.7 73.11,6.7 73.11,6.72 73.09,6.72 | 73.13,6.73 73.16,6.73 73.16,6.78 73.13,6.78 | 73.18,6.82 73.2,6.82 73.2,6.83 73.18,6.83 | 73.2,6.88 73.21,6.88 73.21,6.93 73.2,6.93 | 73.19,6.95 73.2,6.95 73.2,6.98 73.19,6.98 | 72.97,7.01 72.99,7.01 72.99,7.03 72.97,7.03 | 72.9,7.08 72.92,7.08 72.92,7.1 72.9,7.1
+MW 34.7,-12.1 34.75,-12.1 34.75,-12.03 34.7,-12.03 | 34.6,-12.04 34.63,-12.04 34.63,-12 34.6,-12 | 33.13,-9.49 33.31,-9.49 33.44,-9.62 33.76,-9.58 33.92,-9.71 34.04,-9.48 34.5,-9.97 34.66,-10.67 34.61,-11.11 34.97,-11.57 34.63,-11.58 34.38,-12.16 34.57,-13.34 34.66,-13.5 34.87,-13.51 35.1,-13.69 35.88,-14.66 35.81,-16.02 35.4,-16.13 35.14,-16.55 35.28,-16.7 35.29,-17.13 35.08,-17.13 35.14,-16.83 34.45,-16.28 34.42,-16.05 34.26,-15.9 34.59,-15.28 34.52,-14.57 34.36,-14.39 33.63,-14.54 33.17,-13.93 32.99,-13.93 32.68,-13.62 32.98,-13.23 33.05,-12.6 33.37,-12.54 33.55,-12.35 33.37,-12.33 33.27,-12.14 33.33,-11.74 33.24,-11.41 33.41,-11.16 33.25,-10.89 33.7,-10.56 33.55,-10.22 33.32,-10.07 33.21,-9.6 33,-9.62 32.95,-9.4
+MX -114.8,18.32 -114.72,18.32 -114.72,18.35 -114.8,18.35 | -87.38,18.4 -87.32,18.4 -87.32,18.5 -87.38,18.5 | -87.27,18.63 -87.25,18.63 -87.25,18.73 -87.27,18.73 | -91.85,18.64 -91.52,18.64 -91.52,18.79 -91.85,18.79 | -110.93,18.72 -111.07,18.77 -111,18.86 | -110.84,19.27 -110.79,19.27 -110.79,19.34 -110.84,19.34 | -86.73,20.59 -87,20.26 -86.94,20.54 | -86.75,21.19 -86.7,21.19 -86.7,21.29 -86.75,21.29 | -106.28,21.25 -106.19,21.25 -106.19,21.34 -106.28,21.34 | -106.39,21.42 -106.51,21.45 -106.35,21.5 | -106.52,21.51 -106.65,21.69 -106.53,21.69 | -106.68,21.74 -106.64,21.74 -106.64,21.82 -106.68,21.82 | -97.69,21.74 -97.6,21.74 -97.6,21.86 -97.69,21.86 | -97.83,22.68 -97.78,22.68 -97.78,22.77 -97.83,22.77 | -97.78,22.79 -97.76,22.79 -97.76,22.83 -97.78,22.83 | -109.93,24.13 -109.78,24.13 -109.78,24.37 -109.93,24.37 | -111.67,24.35 -111.49,24.35 -111.49,24.39 -111.67,24.39 | -111.71,24.33 -112.02,24.53 -111.84,24.54 | -110.4,24.4 -110.3,24.4 -110.3,24.59 -110.4,24.59 | -110.71,24.88 -110.53,24.88 -110.53,25.09 -110.71,25.09 | -112.05,24.52 -112.25,24.81 -112.13,25.28 -112.2,24.84 | -109.01,25.37 -108.79,25.37 -108.79,25.45 -109.01,25.45 | -110.83,25.59 -110.79,25.59 -110.79,25.7 -110.83,25.7 | -111.2,25.84 -111.19,26.04 -111.09,26.07 | -110.03,27.02 -109.95,27.02 -109.95,27.09 -110.03,27.09 | -110.6,27.3 -110.53,27.3 -110.53,27.42 -110.6,27.42 | -114.32,27.73 -114.22,27.73 -114.22,27.84 -114.32,27.84 | -115.17,28.03 -115.33,28.14 -115.24,28.37 | -112.89,28.59 -112.75,28.59 -112.75,28.68 -112.89,28.68 | -112.6,28.67 -112.54,28.67 -112.54,28.74 -112.6,28.74 | -118.29,28.88 -118.4,29.15 -118.31,29.2 | -112.26,28.77 -112.56,28.88 -112.35,29.23 -112.2,29.03 | -113.14,29.02 -113.59,29.43 -113.59,29.58 -113.2,29.23 | -114.79,31.69 -114.65,31.69 -114.65,31.8 -114.79,31.8 | -113.05,31.97 -111.05,31.33 -108.21,31.33 -108.21,31.78 -106.4,31.75 -106.21,31.48 -104.9,30.57 -104.54,29.67 -103.29,29 -103.15,28.98 -102.96,29.18 -102.67,29.74 -102.31,29.89 -101.41,29.77 -100.67,29.11 -100.28,28.28 -99.5,27.57 -99.46,27.05 -99.1,26.43 -98.2,26.06 -97.65,26.03 -97.42,25.84 -97.14,25.97 -97.65,24.52 -97.74,22.91 -97.89,22.6 -97.7,21.98 -97.32,21.56 -97.42,21.27 -97.48,21.43 -97.37,21.54 -97.74,22.01 -97.18,20.68 -96.45,19.86 -96.29,19.34 -95.91,18.83 -95.19,18.7 -94.8,18.52 -94.48,18.15 -93.79,18.26 -93.58,18.42 -93.18,18.44 -93.13,18.34 -92.59,18.62 -92,18.73 -91.86,18.61 -92.04,18.55 -91.89,18.55 -91.81,18.38 -91.48,18.44 -91.18,18.65 -91.38,18.77 -91.33,18.89 -91.43,18.86 -90.76,19.32 -90.68,19.76 -90.45,19.98 -90.48,20.55 -90.33,21.03 -89.83,21.27 -88.45,21.57 -87.99,21.6 -87.25,21.44 -87.15,21.57 -87.41,21.53 -87.08,21.61 -86.83,21.43 -86.77,21.15 -86.91,20.8 -87.43,20.21 -87.47,19.84 -87.48,19.96 -87.74,19.67 -87.67,19.51 -87.41,19.58 -87.68,19.32 -87.65,19.21 -87.49,19.29 -87.85,18.19 -88.08,18.52 -88.04,18.87 -88.29,18.49 -88.49,18.47 -88.84,17.9 -89.03,18.01 -89.14,17.96 -89.14,17.82 -90.98,17.82 -90.98,17.26 -91.44,17.24 -90.41,16.42 -90.44,16.09 -91.73,16.07 -92.21,15.26 -92.07,15.08 -92.25,14.55 -92.77,15.17 -93.93,16.09 -94.37,16.29 -94.43,16.21 -94.06,16.04 -94.72,16.2 -94.58,16.32 -94.79,16.26 -94.86,16.43 -95.07,16.27 -94.86,16.22 -95.21,16.16 -96.18,15.69 -96.56,15.66 -97.2,15.91 -97.78,15.97 -98.13,16.21 -98.55,16.31 -98.78,16.55 -99.69,16.71 -99.88,16.87 -100.91,17.22 -101.95,17.98 -102.17,17.92 -103.47,18.33 -103.97,18.88 -105.02,19.37 -105.53,20.04 -105.68,20.42 -105.24,20.57 -105.32,20.77 -105.54,20.79 -105.24,21.06 -105.19,21.44 -105.44,21.61 -105.65,21.99 -105.65,22.34 -105.82,22.66 -107.02,23.96 -107.73,24.46 -107.6,24.42 -107.62,24.52 -108,24.65 -107.99,24.96 -108.1,24.82 -108.23,25.03 -108,25 -108.04,25.07 -108.39,25.14 -108.77,25.54 -108.9,25.56 -108.92,25.46 -109.11,25.53 -108.83,25.8 -109.14,25.58 -109.39,25.76 -109.42,26.03 -109.21,26.34 -109.1,26.28 -109.44,26.71 -109.75,26.7 -109.95,27.1 -110.3,27.16 -110.53,27.37 -110.64,27.66 -110.51,27.87 -111.11,27.94 -112.16,28.97 -112.21,29.3 -112.4,29.41 -113.08,30.7 -113.09,31.23 -113.59,31.33 -113.65,31.51 -113.97,31.66 -114.02,31.5 -114.2,31.52 -115.03,31.97 -114.78,31.64 -114.88,31.15 -114.71,30.92 -114.66,30.2 -114.38,29.8 -113.66,29.28 -113.51,28.9 -113.41,28.96 -113.19,28.81 -113.11,28.48 -112.86,28.43 -112.75,27.83 -112.32,27.51 -111.86,26.66 -111.69,26.6 -111.84,26.9 -111.56,26.72 -111.3,25.78 -111.02,25.53 -110.69,24.9 -110.69,24.38 -110.3,24.19 -110.35,24.12 -110.21,24.35 -109.8,24.01 -109.69,23.66 -109.4,23.45 -109.44,23.22 -110,22.89 -110.32,23.57 -111.79,24.56 -111.96,24.79 -112.09,24.76 -112.1,25.03 -112.18,24.89 -112.07,25.61 -112.11,25.52 -112.11,25.77 -112.38,26.25 -112.67,26.33 -113.22,26.71 -113.13,26.96 -113.28,26.78 -113.45,26.84 -113.6,26.74 -113.85,26.98 -114.47,27.23 -114.51,27.41 -115.02,27.77 -115.02,27.85 -114.43,27.81 -114,27.69 -114.31,27.87 -114.13,28.02 -114.06,28.53 -114.95,29.38 -115.69,29.77 -115.83,30.33 -115.98,30.5 -115.99,30.37 -116.04,30.44 -116.05,30.8 -116.68,31.56 -116.6,31.84 -116.85,32 -117.12,32.54 -114.72,32.72 -114.81,32.51
+MY 104.09,2.28 104.16,2.28 104.16,2.32 104.09,2.32 | 111.29,2.36 111.41,2.36 111.41,2.78 111.29,2.78 | 104.12,2.71 104.22,2.71 104.22,2.9 104.12,2.9 | 117.73,4.17 117.69,4.26 117.9,4.17 | 118.64,4.44 118.76,4.44 118.76,4.5 118.64,4.5 | 118.49,4.53 118.52,4.53 118.52,4.55 118.49,4.55 | 118.34,4.6 118.6,4.6 118.6,4.69 118.34,4.69 | 115.23,5.26 115.16,5.26 115.24,5.38 | 100.29,5.26 100.18,5.46 100.32,5.43 | 115.63,5.71 115.67,5.71 115.67,5.74 115.63,5.74 | 118.16,5.81 118.23,5.81 118.23,5.86 118.16,5.86 | 116.01,6 116.07,6 116.07,6.04 116.01,6.04 | 115.59,6.19 115.62,6.19 115.62,6.22 115.59,6.22 | 99.87,6.42 99.81,6.16 99.83,6.27 99.74,6.25 99.64,6.42 | 100.65,6.45 100.82,6.44 100.86,6.23 101.12,6.25 101.12,5.98 100.99,5.79 101.14,5.63 101.57,5.92 101.83,5.74 102.1,6.24 102.34,6.17 102.5,5.88 103.13,5.37 103.44,4.77 103.49,4.3 103.33,3.74 103.48,3.51 103.44,2.92 103.82,2.58 104.23,1.71 104.28,1.37 104.1,1.37 103.96,1.65 104,1.43 103.69,1.45 103.51,1.27 103.37,1.54 102.7,1.85 102.55,2.05 101.28,2.84 101.37,3 101.29,3.27 100.7,3.9 100.87,4.02 100.61,4.18 100.61,4.8 100.36,5.09 100.43,5.19 100.36,5.96 100.13,6.41 100.21,6.71 | 117.49,6.74 117.47,6.64 117.34,6.65 | 116.79,6.58 117.05,6.83 117.07,6.98 117.18,6.99 117.29,6.64 117.74,6.39 117.6,6.19 117.67,5.98 117.5,5.9 118.01,6.06 118.12,5.86 117.91,5.8 117.96,5.68 118.37,5.81 118.93,5.43 119.2,5.44 119.27,5.22 118.7,4.94 118.35,5.04 118.14,4.89 118.28,4.68 118.6,4.52 118.55,4.35 117.99,4.22 117.69,4.37 117.59,4.17 117.24,4.36 116.16,4.36 116.05,4.28 115.87,4.36 115.66,4.11 115.63,3.43 115.5,3.04 115.14,2.91 115.08,2.61 115.24,2.52 114.8,2.25 114.86,1.9 114.58,1.44 113.93,1.45 113.66,1.22 113,1.57 112.47,1.57 112.2,1.45 112.13,1.15 111.83,1 111.21,1.07 110.57,0.85 109.67,1.61 109.55,1.9 109.65,2.07 109.67,1.9 109.93,1.69 110.25,1.71 110.33,1.8 110.73,1.54 110.67,1.45 110.82,1.57 111.38,1.34 111,1.58 111.21,2.07 111.37,2.15 111.17,2.14 111.18,2.26 111.24,2.43 111.45,2.37 111.44,2.69 111.67,2.85 113.01,3.16 113.93,4.24 113.99,4.6 114.24,4.53 114.64,4.02 114.87,4.36 114.78,4.74 115.02,4.9 115.1,4.38 115.35,4.31 115.15,4.9 115.37,4.9 115.56,5.07 115.38,5.4 115.85,5.56 116.11,6.13 116.5,6.49 116.75,7.02 116.86,6.8 | 117.28,7.31 117.25,7.18 117.07,7.1 117.07,7.29 | 116.87,7.22 117,7.35 117.02,7.27
+MZ 32.9,-26.06 32.98,-26.06 32.98,-25.97 32.9,-25.97 | 35.42,-21.79 35.5,-21.79 35.5,-21.52 35.42,-21.52 | 39.81,-16.42 39.91,-16.42 39.91,-16.27 39.81,-16.27 | 40.5,-11.03 40.39,-11.32 40.48,-11.42 40.47,-12.51 40.65,-12.76 40.41,-12.96 40.6,-12.97 40.53,-13.52 40.65,-14.02 40.53,-14.17 40.73,-14.21 40.64,-14.48 40.81,-14.41 40.85,-14.7 40.71,-15.08 40.53,-15.13 40.68,-15.25 40.58,-15.5 40.13,-15.94 39.98,-16.23 39.78,-16.3 39.7,-16.54 39.13,-16.87 39.09,-16.99 37.87,-17.38 37.21,-17.75 36.98,-18 36.84,-17.88 36.94,-18.11 36.25,-18.89 36.11,-18.81 34.9,-19.86 34.62,-19.62 34.78,-19.83 34.66,-20.39 35.12,-20.94 35.08,-21.32 35.27,-21.65 35.3,-22.4 35.4,-22.46 35.48,-22.09 35.55,-22.23 35.5,-22.83 35.61,-22.92 35.34,-23.91 35.53,-23.8 35.5,-24.11 35.01,-24.65 33.71,-25.11 32.89,-25.54 32.58,-25.98 32.84,-26.29 32.95,-26.08 32.89,-26.85 32.13,-26.84 32.1,-26.15 31.92,-25.81 32.02,-24.46 31.88,-23.95 31.55,-23.48 31.56,-23.19 31.3,-22.41 32.42,-21.31 32.49,-21.34 32.36,-21.13 32.52,-20.91 32.5,-20.6 32.67,-20.56 33.02,-19.94 33.06,-19.78 32.78,-19.47 32.88,-19.1 32.7,-18.94 32.71,-18.83 32.92,-18.77 32.89,-18.53 33.07,-18.35 32.95,-17.98 33.04,-17.34 32.86,-16.92 32.98,-16.71 32.77,-16.72 32.38,-16.47 31.91,-16.42 31.72,-16.21 31.43,-16.16 31.28,-16.02 30.42,-16.01 30.36,-15.34 30.21,-14.98 33.22,-14.01 33.63,-14.54 34.38,-14.39 34.54,-14.62 34.59,-15.25 34.26,-15.9 34.42,-16.05 34.45,-16.28 35.14,-16.83 35.08,-17.13 35.29,-17.13 35.28,-16.7 35.14,-16.55 35.4,-16.13 35.81,-16.02 35.8,-15.18 35.92,-14.89 35.88,-14.66 35.1,-13.69 34.87,-13.51 34.66,-13.5 34.57,-13.34 34.37,-12.22 34.63,-11.58 35.57,-11.61 35.84,-11.41 36.16,-11.58 36.19,-11.71 36.56,-11.74 36.83,-11.57 37.46,-11.73 37.79,-11.56 37.94,-11.29 38.49,-11.42 38.9,-11.17 39.27,-11.17 40.45,-10.47 40.58,-10.65 40.5,-10.79 40.62,-10.84
+NA 23.28,-17.66 24.37,-17.47 24.97,-17.56 25.26,-17.8 24.83,-17.84 24.56,-18.06 24.36,-17.95 23.62,-18.49 23.3,-18 20.99,-18.32 20.99,-22 20,-22.01 20,-28.42 19.57,-28.53 19.12,-28.96 18.72,-28.84 18.18,-28.91 17.58,-28.68 17.4,-28.71 17.35,-28.24 17.22,-28.24 17.06,-28.03 16.88,-28.1 16.73,-28.5 16.39,-28.59 15.53,-27.73 15.08,-26.7 15.13,-26.48 14.96,-26.33 14.83,-25.75 14.86,-25.05 14.46,-24.11 14.41,-23.01 14.43,-22.88 14.46,-23 14.53,-22.89 14.51,-22.55 13.4,-20.86 13.17,-20.18 12.46,-18.93 11.8,-18.08 11.75,-17.25 12.08,-17.14 12.56,-17.24 13.16,-16.95 13.47,-17.01 13.99,-17.42 18.45,-17.39 18.92,-17.82 20.34,-17.86 20.85,-18.02 21.16,-17.93 21.38,-18.01
+NC 167.51,-22.69 167.56,-22.69 167.56,-22.65 167.51,-22.65 | 167.42,-22.67 167.56,-22.67 167.56,-22.54 167.42,-22.54 | 166.77,-22.47 166.84,-22.47 166.84,-22.39 166.77,-22.39 | 171.3,-22.34 171.31,-22.34 171.31,-22.33 171.3,-22.33 | 166.03,-22.08 166.05,-22.08 166.05,-22.03 166.03,-22.03 | 166.42,-21.71 166.45,-21.71 166.45,-21.69 166.42,-21.69 | 168,-21.45 168.1,-21.46 168.12,-21.63 167.88,-21.57 167.81,-21.38 | 167.8,-21.15 167.84,-21.15 167.84,-21.1 167.8,-21.1 | 166.39,-20.74 166.46,-20.74 166.46,-20.72 166.39,-20.72 | 167.29,-20.76 167.28,-20.91 167.47,-21.06 167.4,-21.18 167.06,-20.99 167.19,-20.81 167.05,-20.72 | 166.62,-20.41 166.63,-20.6 166.5,-20.72 | 164.27,-20.26 164.29,-20.26 164.29,-20.22 164.27,-20.22 | 163.91,-20.18 163.94,-20.18 163.94,-20.14 163.91,-20.14 | 164.32,-20.33 164.3,-20.24 164.51,-20.31 164.86,-20.62 165.22,-20.77 165.63,-21.28 166.95,-22.09 167.01,-22.32 166.73,-22.37 166.52,-22.23 166.45,-22.32 166.12,-21.95 165.26,-21.56 164.38,-20.78 163.98,-20.11 | 164.16,-20.17 164.23,-20.17 164.23,-20.06 164.16,-20.06 | 163.79,-20.09 163.82,-20.09 163.82,-20.04 163.79,-20.04 | 163.94,-20.08 163.98,-20.08 163.98,-20 163.94,-20 | 163.62,-19.79 163.7,-19.79 163.7,-19.63 163.62,-19.63 | 163.57,-19.6 163.61,-19.6 163.61,-19.55 163.57,-19.55 | 159.92,-19.35 159.98,-19.35 159.98,-19.11 159.92,-19.11
+NE 4.25,18.65 4.25,19.15 5.81,19.45 7.45,20.85 11.99,23.52 13.54,23.17 14.23,22.61 15,23 15.2,21.5 15.63,20.96 15.58,20.77 16,20.35 15.75,19.93 15.49,16.9 14.37,15.73 13.86,15.04 13.67,14.55 13.47,14.46 13.63,13.72 13.35,13.72 13.2,13.53 12.88,13.47 12.46,13.07 11.46,13.37 10.72,13.39 10.13,13.25 9.63,12.8 8.66,12.94 8.12,13.3 7.82,13.35 7.38,13.1 6.93,13 6.29,13.68 5.55,13.89 5.29,13.75 4.89,13.78 4.14,13.48 4.11,13 3.66,12.53 3.69,11.75 3.6,11.69 2.84,12.4 2.38,12.24 2.4,11.9 2.06,12.36 2.24,12.42 2.14,12.69 1.58,12.63 1.01,13.02 0.99,13.37 1.29,13.35 0.6,13.7 0.35,14.12 0.41,14.25 0.17,14.52 0.19,14.84 0.23,15 0.97,14.98 1.31,15.29 3.02,15.34 3.03,15.43 3.52,15.36 3.57,15.51 3.88,15.71 4.07,16.29 4.2,16.39
+NF 167.91,-29.08 168,-29.08 168,-29 167.91,-29
+NG 7.34,4.43 7.48,4.43 7.48,4.49 7.34,4.49 | 7.2,4.38 7.13,4.39 7.23,4.52 7.32,4.47 | 5.87,13.75 6.42,13.61 6.93,13 7.38,13.1 7.82,13.35 8.12,13.3 8.66,12.94 9.63,12.8 10.13,13.25 10.72,13.39 11.46,13.37 12.46,13.07 12.88,13.47 13.2,13.53 13.35,13.72 13.63,13.72 14.07,13.08 14.17,12.4 14.49,12.34 14.65,12.19 14.62,11.51 14.16,11.23 14,11.28 13.81,11.06 13.56,10.64 13.46,10.17 13.25,10.08 13.24,9.58 12.9,9.35 12.79,8.77 12.4,8.59 12.42,8.49 12.25,8.41 12.04,7.58 11.75,7.27 11.86,7.08 11.59,6.89 11.52,6.61 11.38,6.45 11.12,6.44 11.04,6.75 10.62,7.07 10.51,6.88 10.24,6.88 10.16,7.02 9.8,6.8 9.71,6.52 8.87,5.84 8.92,5.6 8.82,5.16 8.53,4.7 8.27,4.86 8.36,4.64 8.29,4.54 7.67,4.5 7.54,4.54 7.55,4.71 7.5,4.57 7.24,4.56 7.07,4.75 7.18,4.5 7.04,4.44 6.96,4.73 6.96,4.37 6.87,4.4 6.77,4.77 6.85,4.35 6.71,4.36 6.73,4.61 6.69,4.33 6.25,4.29 6.33,4.43 6.26,4.46 6.1,4.27 5.74,4.49 5.45,4.92 5.38,5.12 5.49,5.15 5.37,5.16 5.35,5.33 5.64,5.54 5.48,5.4 5.26,5.44 5.21,5.58 5.5,5.62 5.18,5.58 4.53,6.3 3.41,6.41 3.81,6.61 3.52,6.52 3.47,6.59 3.32,6.39 2.72,6.37 2.79,9.04 3.1,9.09 3.14,9.44 3.36,9.68 3.35,9.81 3.61,9.95 3.68,10.17 3.58,10.28 3.68,10.45 3.79,10.41 3.85,10.58 3.74,11.12 3.48,11.43 3.69,11.75 3.66,12.53 4.11,13 4.14,13.48 4.47,13.69 5.29,13.75 5.55,13.89
+NI -83.73,11.87 -83.71,11.87 -83.71,11.99 -83.73,11.99 | -83.06,12.14 -83.02,12.14 -83.02,12.19 -83.06,12.19 | -82.99,12.29 -82.96,12.29 -82.96,12.32 -82.99,12.32 | -82.79,14.35 -82.72,14.35 -82.72,14.42 -82.79,14.42 | -83.24,14.98 -83.42,14.81 -83.19,14.32 -83.44,13.92 -83.56,13.35 -83.48,12.41 -83.63,12.48 -83.54,12.78 -83.65,12.8 -83.59,12.62 -83.74,12.48 -83.68,12.05 -83.83,11.87 -83.7,11.85 -83.65,11.62 -83.87,11.34 -83.67,10.79 -83.92,10.71 -84.19,10.78 -84.67,11.08 -84.9,10.94 -85.56,11.21 -85.78,11.11 -86.5,11.76 -86.78,12.2 -87.69,12.91 -87.58,13.05 -87.37,12.91 -86.95,13.04 -86.91,13.25 -86.7,13.3 -86.75,13.76 -86.33,13.76 -86.02,14.07 -85.73,13.83 -85.73,13.96 -85.16,14.33 -84.91,14.81 -84.48,14.62 -83.84,14.79 -83.49,15.01
+NL 3.76,51.35 4.24,51.35 3.9,51.21 3.38,51.27 3.52,51.41 | 5.76,52.42 5.43,52.26 5.14,52.38 5.64,52.6 5.86,52.54 | 5.42,52.64 5.45,52.51 5.05,52.39 5.04,52.63 | 4.71,52.99 4.91,52.99 4.91,53.19 4.71,53.19 | 4.88,53.21 5.11,53.21 5.11,53.31 4.88,53.31 | 5.17,53.35 5.58,53.35 5.58,53.45 5.17,53.45 | 6.87,53.42 7.21,53.24 7.21,53 7.05,52.64 6.77,52.65 6.69,52.55 6.99,52.46 7.05,52.24 6.76,52.11 6.75,51.91 5.96,51.81 6.22,51.47 6.1,51.13 5.86,51.05 6.08,50.92 6.01,50.76 5.64,50.84 5.85,51.16 5.51,51.29 5.24,51.26 5.04,51.49 4.93,51.4 4.79,51.5 4.49,51.48 4.39,51.36 3.44,51.53 3.84,51.61 4.29,51.45 3.99,51.58 4.19,51.62 3.69,51.71 4.17,51.69 3.87,51.81 4.06,51.86 4.01,51.98 4.58,52.46 5.42,52.25 5.85,52.46 5.86,52.61 5.6,52.66 5.72,52.84 5.37,52.87 5.38,53.07 5.1,52.95 5.3,52.71 5.03,52.63 5.03,52.38 4.58,52.47 4.74,52.96 5.09,52.96 5.89,53.38 | 5.63,53.43 5.96,53.43 5.96,53.47 5.63,53.47 | 6.12,53.45 6.34,53.45 6.34,53.51 6.12,53.51
+NO 8.73,58.41 8.76,58.41 8.76,58.44 8.73,58.44 | 5.75,58.95 5.78,58.95 5.78,58.96 5.75,58.96 | 5.94,58.97 5.96,58.97 5.96,58.98 5.94,58.98 | 5.55,59.08 5.74,59.08 5.74,59.14 5.55,59.14 | 5.9,59.23 6.06,59.23 6.06,59.29 5.9,59.29 | 5.29,59.22 5.16,59.15 5.18,59.41 | 5.26,59.8 5.15,59.58 5.11,59.86 | 5.25,59.75 5.5,59.75 5.5,59.97 5.25,59.97 | 5.53,59.89 5.36,59.99 5.66,60.08 | 5.16,60 5.27,60 5.27,60.12 5.16,60.12 | 5.91,60.07 6.03,60.07 6.03,60.16 5.91,60.16 | 5.2,60.24 5.23,60.24 5.23,60.26 5.2,60.26 | 4.93,60.18 5.11,60.18 5.11,60.44 4.93,60.44 | 5,60.4 5.21,60.4 5.21,60.53 5,60.53 | 4.93,60.51 5.2,60.51 5.2,60.61 4.93,60.61 | 5.55,60.43 5.36,60.52 5.68,60.68 | 4.85,60.58 5.16,60.58 5.16,60.74 4.85,60.74 | 4.62,60.99 4.72,60.99 4.72,61.07 4.62,61.07 | 4.99,61.1 4.8,61.04 4.79,61.15 | 4.93,61.77 4.88,61.89 5.22,61.85 | 5.01,61.92 5.13,61.92 5.13,62.02 5.01,62.02 | 5.65,62.19 5.55,62.28 5.81,62.27 | 5.8,62.24 6.03,62.24 6.03,62.43 5.8,62.43 | 6.02,62.39 6.33,62.39 6.33,62.44 6.02,62.44 | 6.65,62.65 6.92,62.65 6.92,62.74 6.65,62.74 | 6.78,62.78 6.95,62.78 6.95,62.85 6.78,62.85 | 7.55,62.95 7.37,63 7.65,63.08 | 7.81,63.02 7.68,63.06 7.9,63.09 | 8.18,63.16 8.31,63.16 8.31,63.23 8.18,63.23 | 8.06,63.14 7.93,63.17 8.12,63.23 | 8.39,63.16 8.27,63.27 8.58,63.19 | 8.43,63.32 8.68,63.32 8.68,63.39 8.43,63.39 | 8.16,63.36 7.99,63.31 7.78,63.41 8.09,63.47 | 8.49,63.43 8.29,63.49 8.61,63.61 8.96,63.65 9.18,63.56 | 8.81,63.81 8.79,63.7 8.27,63.68 | 11.01,63.74 11.23,63.74 11.23,63.81 11.01,63.81 | 11.45,64.51 11.18,64.51 11.04,64.63 | 11.18,64.6 11.35,64.6 11.35,64.68 11.18,64.68 | 11.26,64.88 10.82,64.84 11.11,64.95 | 10.73,64.85 11.12,64.85 11.12,64.99 10.73,64.99 | 11.53,65.04 11.77,65.04 11.77,65.12 11.53,65.12 | 12.16,65.05 11.98,65.08 12.18,65.21 | 12.08,65.21 12.26,65.58 12.5,65.39 | 11.97,65.63 11.76,65.62 11.89,65.7 | 12.54,65.9 12.53,66 12.9,66.01 | 12.35,66.02 12.56,66.22 12.66,66.1 | 12.93,66.23 13.16,66.23 13.16,66.28 12.93,66.28 | 12.72,66.21 12.88,66.21 12.88,66.29 12.72,66.29 | 14.26,67.13 14.19,67 13.99,67.08 | 14.22,67.36 14.38,67.36 14.38,67.43 14.22,67.43 | 14.93,67.9 15.3,67.9 15.3,67.96 14.93,67.96 | 15.5,67.98 15.92,67.98 15.92,68.02 15.5,68.02 | 12.79,67.81 13.16,67.81 13.16,68.1 12.79,68.1 | 13.16,67.99 13.44,67.99 13.44,68.15 13.16,68.15 | 14.82,68.21 14.94,68.21 14.94,68.28 14.82,68.28 | 13.97,68.24 13.45,68.07 13.57,68.26 | 13.88,68.25 14,68.25 14,68.32 13.88,68.32 | 14.05,68.24 14.25,68.24 14.25,68.32 14.05,68.32 | 15.03,68.35 14.2,68.15 14.63,68.42 14.75,68.35 15.16,68.45 | 16.41,68.41 16.09,68.4 16.33,68.53 | 17.12,68.75 16.81,68.73 17,68.85 | 17.24,68.79 17.09,68.92 17.44,68.87 | 14.84,68.87 14.98,68.87 14.98,68.93 14.84,68.93 | 15.99,68.75 15.74,68.53 16.2,68.86 16.54,68.76 16.5,68.55 15.59,68.3 15.32,68.34 15.54,68.51 14.99,68.25 15.45,68.73 15.71,68.7 15.45,68.76 15.64,68.95 15.91,68.96 | 16.54,68.88 16.26,68.97 16.56,68.97 | 15.38,68.85 15.4,68.68 15.06,68.57 14.8,68.62 15.14,68.75 14.5,68.6 14.37,68.68 14.63,68.83 15.15,68.81 15.09,69.01 | 17.35,68.98 17.56,68.98 17.56,69.09 17.35,69.09 | 15.52,68.91 15.56,69.09 16.15,69.29 | 17.64,69.52 17.84,69.59 18.07,69.43 18,69.19 17.52,69.19 17.09,69 17.13,69.08 16.78,69.06 17.17,69.2 16.88,69.22 17.14,69.25 16.93,69.39 17.49,69.42 17.32,69.53 17.59,69.46 17.47,69.6 | 30.11,69.78 30.16,69.78 30.16,69.8 30.11,69.8 | 18.89,69.69 18.74,69.56 18,69.59 18.2,69.71 18.63,69.69 18.39,69.79 18.75,69.68 18.69,69.88 19.04,69.8 | 20.68,69.81 20.56,69.85 20.73,69.91 | 29.83,69.76 29.84,69.91 30.05,69.83 | 21.67,69.93 21.74,69.93 21.74,69.95 21.67,69.95 | 19.46,69.84 19.9,69.84 19.9,70 19.46,70 | 19.9,70 20,70 20,70.02 19.9,70.02 | 20.89,70.03 21.1,70 20.82,69.94 | 20.95,70.02 21.05,70.02 21.05,70.06 20.95,70.06 | 19.3,70.03 19.69,69.99 19.29,69.8 18.72,69.93 19.22,70.1 | 18.79,70.11 19,70.08 18.71,69.99 | 20.81,70.08 20.94,70.08 20.94,70.15 20.81,70.15 | 19.35,70.1 19.62,70.1 19.62,70.18 19.35,70.18 | 20.83,70.19 20.78,70.06 20.39,70.1 20.58,70.23 | 19.19,70.12 19.03,70.16 19.23,70.25 | 20.11,70.1 19.77,70.07 19.54,70.25 | 21.68,70.26 21.84,70.26 21.84,70.39 21.68,70.39 | 22.83,70.33 22.98,70.25 22.37,70.33 | 23.6,70.58 23.23,70.28 22.85,70.41 23.39,70.62 | 23.87,70.51 23.63,70.7 23.83,70.74 24.12,70.62 | 23.45,70.78 22.78,70.52 22.15,70.46 22.27,70.6 21.95,70.65 22.82,70.64 22.78,70.76 22.98,70.66 23.33,70.86 | 24.06,70.91 23.88,70.99 24.22,70.99 | 24.64,71.02 24.85,71.02 24.85,71.1 24.64,71.1 | 5.34,61.59 4.94,61.68 5.36,61.91 6.47,61.8 6.76,61.87 5.15,61.89 5.4,62.02 5.09,62.11 5.15,62.21 5.46,62.01 5.46,62.18 6.36,62.06 5.95,62.25 6.32,62.37 6.54,62.1 6.39,62.37 6.71,62.44 7.04,62.09 7.03,62.27 7.36,62.28 6.98,62.31 6.78,62.48 6.26,62.45 6.65,62.5 6.26,62.59 7.09,62.65 7.54,62.5 7.78,62.57 7.42,62.6 7.6,62.69 8.15,62.69 8,62.76 7.39,62.68 7.63,62.8 6.96,62.72 7.04,62.97 7.99,62.97 8.55,62.65 7.88,63 8.09,63.11 8.54,62.84 8.42,62.95 8.66,62.98 8.37,62.97 8.16,63.12 8.94,63.21 8.48,63.29 8.76,63.34 8.65,63.41 9,63.47 9.41,63.37 9.16,63.5 9.72,63.63 10.26,63.26 10.1,63.43 10.91,63.45 10.92,63.6 10.72,63.6 11.46,63.79 11.1,63.86 11.5,64.01 11.36,64.11 10.57,63.8 11.01,63.88 10.94,63.74 10.09,63.5 9.79,63.66 10.1,63.76 9.56,63.66 9.55,63.77 10.19,63.93 10.02,64.07 10.65,64.35 10.5,64.42 10.85,64.37 10.66,64.45 10.96,64.6 11.27,64.45 11.22,64.32 11.73,64.58 11.42,64.7 12.22,64.94 11.24,64.73 11.27,64.84 11.7,64.9 11.3,64.88 12.62,65.13 12.94,65.31 12.48,65.13 12.65,65.26 12.25,65.23 12.64,65.42 12.36,65.65 12.51,65.73 12.79,65.64 12.55,65.75 12.67,65.92 13.17,65.85 12.67,66.07 13.55,66.24 13.55,66.1 14.15,66.32 13.03,66.19 13.54,66.3 13.02,66.32 12.97,66.52 13.73,66.6 13.23,66.55 13.2,66.66 13.54,66.63 13.23,66.71 13.99,66.78 13.55,66.93 14.56,67.01 14.27,67.08 14.75,67.12 14.57,67.19 14.93,67.21 14.99,67.09 15.02,67.2 15.25,67.19 15.5,67.07 15.38,67.2 15.74,67.17 15.15,67.31 14.36,67.23 15.04,67.57 14.94,67.47 15.44,67.47 15.64,67.27 15.54,67.48 15.9,67.56 15.25,67.52 15.3,67.72 15.78,67.73 15.38,67.8 14.81,67.64 15.03,67.78 14.76,67.81 15.87,67.92 15.85,68.04 15.28,68.04 15.49,68.13 15.85,68.09 15.97,68.25 16.5,67.79 16.21,68 16.52,67.95 16.4,68.06 16.72,68.07 16.34,68.07 16.49,68.19 16.1,68.28 16.81,68.13 16.32,68.37 17.14,68.37 17.35,68.17 17.2,68.37 17.57,68.36 17.37,68.41 17.54,68.53 17.06,68.43 16.46,68.51 16.96,68.7 17.68,68.65 17.24,68.75 17.79,68.76 17.47,68.83 17.84,68.88 17.43,68.9 17.64,69.11 18.15,69.15 18.26,69.49 18.68,69.26 19.01,69.28 18.45,69.45 18.86,69.55 19.44,69.23 18.96,69.62 19.76,69.81 19.68,69.43 20.28,69.97 20.28,69.48 19.93,69.26 20.47,69.58 20.85,69.49 20.49,69.63 20.57,69.76 21.07,69.95 21.04,69.79 21.31,70.02 22.09,69.74 21.8,70.03 22.1,70.11 21.73,70.06 21.2,70.2 21.52,70.3 22.3,70.28 22.55,70.12 22.38,70.25 22.96,70.2 22.29,70.04 22.88,70.1 23.31,69.94 23.53,70.02 23.18,70.09 23.66,70.42 23.98,70.51 24.36,70.45 24.36,70.69 24.73,70.62 24.25,70.78 24.38,70.87 24.63,70.78 24.66,70.97 25.02,70.97 25.28,70.8 25.36,70.97 25.93,70.86 25.08,70.51 25.27,70.4 25,70.06 26.57,70.94 26.5,70.36 27.03,70.47 27.13,70.74 27.57,70.8 27.14,70.96 27.65,71.11 28.55,70.97 28.25,70.79 27.77,70.79 28.13,70.73 27.65,70.61 28.29,70.71 27.85,70.48 28.34,70.51 28.04,70.06 28.85,70.88 29.25,70.84 29.35,70.66 29.78,70.73 29.69,70.61 30.1,70.71 30.35,70.6 30,70.54 30.58,70.54 31.08,70.29 30.09,70.07 28.59,70.16 29.67,69.97 29.37,69.86 29.74,69.91 29.49,69.66 29.95,69.75 30.19,69.69 30.29,69.88 30.34,69.67 30.47,69.81 30.94,69.69 30.8,69.53 30.08,69.66 30.1,69.5 29.31,69.32 29.06,69.03 28.78,69.15 29.3,69.48 29.11,69.7 28.38,69.83 27.93,70.09 27.6,70.07 27.07,69.91 26.47,69.94 25.98,69.7 25.76,68.99 24.93,68.58 23.98,68.83 23.2,68.63 22.4,68.71 21.68,69.28 21.32,69.33 21.06,69.03 20.1,69.04 20.35,68.79 19.94,68.34 18.09,68.51 17.88,67.95 17.27,68.09 16.73,67.9 16.09,67.41 16.35,67.02 15.36,66.48 15.47,66.28 14.51,66.13 14.49,65.31 13.66,64.58 14.12,64.47 13.99,64.02 13.23,64.09 12.68,63.97 11.94,63.27 12.3,62.26 12.12,61.73 12.86,61.36 12.64,61.06 12.21,61 12.6,60.44 12.46,60.06 11.82,59.85 11.62,58.9 11.43,58.89 11.36,59.11 10.76,59.22 10.56,59.73 10.68,59.9 10.47,59.84 10.51,59.52 10.22,59.73 10.52,59.31 10.23,59.04 9.88,58.95 9.54,59.11 9.69,58.98 8.21,58.12 7.01,57.99 6.78,58.11 6.6,58.07 6.75,58.25 6.01,58.38 5.46,58.74 5.55,59.03 6.17,58.83 6.12,58.96 6.62,59.05 6.04,58.9 5.87,59.07 6.47,59.32 6,59.33 6.47,59.56 6.26,59.58 5.93,59.35 5.89,59.44 6.15,59.48 5.81,59.47 5.66,59.4 5.86,59.35 5.57,59.38 5.51,59.27 5.18,59.51 5.48,59.73 5.46,59.52 5.56,59.68 6.31,59.84 5.99,59.75 5.7,59.83 6.2,60.3 6.64,60.41 6.52,60.08 6.65,60.38 7.11,60.49 7,60.59 6.66,60.43 6.22,60.41 5.75,59.99 5.54,60.15 5.73,60.39 5.41,60.13 5.14,60.35 5.29,60.52 5.7,60.45 5.7,60.69 5.26,60.55 4.93,60.8 5.43,60.63 5.24,60.77 5.53,60.87 5.06,60.83 5.02,61.05 6.37,61.06 6.59,61.15 6.95,61.08 7.11,60.86 7,61.1 7.43,61.18 7.3,61.29 7.57,61.48 7.28,61.16 6.96,61.11 6.57,61.21 6.7,61.4 6.5,61.13 5.4,61.07 4.95,61.26 5.63,61.36 5.04,61.32 4.95,61.41 5.8,61.45 5.19,61.5 5.15,61.59 | 25.83,71.1 25.96,71 26.22,71.04 26.07,70.97 25.55,70.92 25.29,71.02
+NP 82.07,27.91 81.88,27.86 81.3,28.16 81.19,28.37 80.54,28.69 80.39,28.62 80.05,28.9 80.29,29.21 80.24,29.43 80.41,29.6 80.37,29.74 80.6,29.96 81.03,30.2 81.12,30.02 81.24,30.01 81.42,30.39 82.1,30.34 82.18,30.06 82.42,30.01 82.86,29.67 83.2,29.63 83.55,29.19 84.12,29.26 84.24,28.92 84.48,28.74 84.85,28.54 85.19,28.6 85.11,28.31 85.72,28.28 86,27.89 86.14,27.93 86.18,28.16 86.23,28.01 86.44,27.91 86.69,28.11 87.19,27.82 87.72,27.8 87.87,27.92 88.19,27.85 87.99,27.11 88.19,26.72 88.01,26.36 87.89,26.47 87.27,26.38 87,26.53 86.73,26.42 86.04,26.66 85.86,26.57 85.63,26.87 85.33,26.74 84.65,27.04 84.63,27.31 84.15,27.51 83.86,27.35 83.42,27.47 83.29,27.34 83.18,27.45 82.77,27.5 82.7,27.71 82.43,27.68
+NR 166.9,-0.55 166.96,-0.55 166.96,-0.49 166.9,-0.49
+NU -169.89,-19.15 -169.93,-19.02 -169.82,-18.97
+NZ 169.19,-52.58 169,-52.51 169.21,-52.44 | 166.1,-50.92 165.92,-50.86 166.22,-50.88 | 165.97,-50.61 166,-50.61 166,-50.59 165.97,-50.59 | 166.25,-50.83 165.89,-50.8 166.2,-50.53 | 166.28,-50.51 166.33,-50.51 166.33,-50.49 166.28,-50.49 | 178.72,-49.73 178.84,-49.73 178.84,-49.61 178.72,-49.61 | 166.56,-48.06 166.63,-48.06 166.63,-48 166.56,-48 | 179.05,-47.69 179.08,-47.69 179.08,-47.66 179.05,-47.66 | 167.42,-47.25 167.49,-47.25 167.49,-47.21 167.42,-47.21 | 167.66,-46.8 167.72,-46.8 167.72,-46.76 167.66,-46.76 | 168.19,-46.91 168.05,-46.94 168.26,-47 168.16,-47.12 167.52,-47.27 167.81,-46.92 167.78,-46.7 168,-46.72 | 166.72,-45.74 166.5,-45.72 166.71,-45.62 | 166.89,-45.31 167.03,-45.31 167.03,-45.15 166.89,-45.15 | -176.24,-44.34 -176.11,-44.34 -176.11,-44.22 -176.24,-44.22 | -176.45,-43.74 -176.27,-43.76 -176.54,-43.77 -176.35,-44.01 -176.61,-44.12 -176.53,-43.87 -176.85,-43.81 | 174.19,-41.24 174.4,-41.24 174.4,-41.11 174.19,-41.11 | 173.78,-40.93 173.97,-40.93 173.97,-40.71 173.78,-40.71 | 172.86,-40.51 172.99,-40.53 172.73,-40.52 172.66,-40.65 172.86,-40.85 173.01,-40.8 173.11,-41.31 173.98,-40.9 173.78,-41.02 173.78,-41.11 173.95,-41.06 173.78,-41.29 174.13,-41.19 173.89,-41.19 174.03,-41 174.32,-41 174.21,-41.2 174.03,-41.24 174.33,-41.22 174.04,-41.44 174.29,-41.75 173.56,-42.49 173.29,-42.96 172.76,-43.24 172.78,-43.61 173.06,-43.65 173.09,-43.86 172.94,-43.76 172.87,-43.9 172.42,-43.73 172.39,-43.86 171.29,-44.34 171.2,-44.93 170.55,-45.89 170.77,-45.78 170.78,-45.88 170.34,-45.97 169.7,-46.56 169.01,-46.68 168.84,-46.56 168.35,-46.6 168.37,-46.42 167.83,-46.4 167.55,-46.15 167.28,-46.27 166.73,-46.21 166.95,-45.95 166.67,-46.09 166.63,-45.97 166.48,-46.01 166.48,-45.81 166.99,-45.71 166.78,-45.66 167.04,-45.5 166.7,-45.57 166.82,-45.32 167.21,-45.48 167.05,-45.33 167.31,-45.32 167,-45.15 167.32,-44.87 167.51,-45 167.45,-44.79 168.37,-44.04 168.86,-43.98 169.72,-43.57 170.29,-43.11 170.79,-42.9 171.15,-42.56 171.51,-41.76 171.79,-41.7 172.06,-41.4 172.11,-40.89 172.63,-40.51 | 176.96,-37.88 177.01,-37.88 177.01,-37.85 176.96,-37.85 | 176.43,-37.65 176.46,-37.65 176.46,-37.6 176.43,-37.6 | 175.17,-36.83 175,-36.79 175.19,-36.73 | 175.77,-36.63 175.84,-36.63 175.84,-36.57 175.77,-36.57 | 174.84,-36.46 174.91,-36.46 174.91,-36.39 174.84,-36.39 | 175.08,-36.23 175.15,-36.23 175.15,-36.17 175.08,-36.17 | 175.54,-36.35 175.36,-36.23 175.37,-36.07 | 173.04,-34.44 172.91,-34.54 173.27,-35.02 173.45,-34.81 173.47,-34.99 173.59,-34.93 174.1,-35.12 174.01,-35.22 174.14,-35.33 174.32,-35.23 174.6,-35.84 174.36,-35.72 174.35,-35.83 174.53,-35.85 174.5,-35.99 174.78,-36.27 174.71,-36.54 174.85,-36.85 175.28,-36.97 175.37,-37.22 175.58,-37.24 175.35,-36.48 175.84,-36.75 175.71,-36.87 175.85,-36.84 175.89,-37.24 176.17,-37.62 175.96,-37.52 175.99,-37.64 177.16,-38.01 177.47,-37.96 178.02,-37.55 178.57,-37.71 178.35,-38.01 178.3,-38.54 177.93,-38.72 177.91,-39.26 177.82,-39.1 177.63,-39.07 177.05,-39.2 176.9,-39.44 176.95,-39.66 177.12,-39.68 176.83,-40.18 175.98,-41.23 175.32,-41.61 175.19,-41.42 174.87,-41.42 174.89,-41.22 174.81,-41.34 174.59,-41.28 175.13,-40.71 175.24,-40.33 175.16,-40.1 174.94,-39.9 173.96,-39.54 173.75,-39.29 173.83,-39.15 174.59,-38.82 174.72,-38.19 174.94,-38.1 174.79,-37.85 174.97,-37.75 174.85,-37.77 174.72,-37.42 174.84,-37.29 174.72,-37.37 174.55,-37.07 174.7,-37.2 174.89,-37.06 174.77,-36.94 174.5,-37.04 174.19,-36.5 174.25,-36.44 174.45,-36.65 174.42,-36.37 174.27,-36.34 174.51,-36.23 174.34,-36.3 174.4,-36.14 174.34,-36.23 174.2,-36.13 174.26,-36.27 174.07,-36.17 173.91,-35.87 174.18,-36.28 174.08,-36.41 173.4,-35.57 173.66,-35.31 173.41,-35.39 173.38,-35.53 173.09,-35.21 173.19,-35.01 172.72,-34.5 | 172.13,-34.18 172.19,-34.18 172.19,-34.15 172.13,-34.15 | -178.61,-30.59 -178.6,-30.59 -178.6,-30.57 -178.61,-30.57 | -177.95,-29.29 -177.85,-29.29 -177.85,-29.22 -177.95,-29.22
+OM 55.83,17.49 55.89,17.49 55.89,17.52 55.83,17.52 | 55.96,17.48 56.09,17.48 56.09,17.55 55.96,17.55 | 58.84,20.44 58.65,20.17 58.65,20.37 58.89,20.69 58.95,20.51 | 56.04,24.94 55.98,24.87 56.1,24.73 56.37,24.98 56.62,24.48 57.17,23.93 58.3,23.62 58.61,23.63 59.4,22.68 59.81,22.53 59.81,22.23 59.35,21.44 58.84,21.04 58.52,20.41 58.21,20.4 58.21,20.61 57.83,20.22 57.69,19.71 57.8,18.97 56.81,18.75 56.65,18.58 56.56,18.14 56.35,17.93 55.44,17.83 55.23,17.54 55.3,17.36 55.04,17.02 54.8,16.94 54.1,17.02 53.6,16.74 53.11,16.64 52,19 55,20 55.67,22 55.2,22.7 55.21,23.02 55.56,23.76 55.51,23.97 56.02,24.08 55.95,24.23 55.78,24.24 55.78,24.56 55.81,24.88 | 56.37,26.38 56.51,26.32 56.4,26.29 56.47,26.14 56.32,26.17 56.47,26.09 56.24,25.63 56.15,25.67 56.19,26.01 56.08,26.07 56.2,26.27 56.4,26.22 56.31,26.22
+PA -81.82,7.23 -81.78,7.23 -81.78,7.29 -81.82,7.29 | -81.25,7.48 -81.03,7.48 -81.03,7.58 -81.25,7.58 | -81.65,7.38 -81.59,7.33 -81.74,7.35 -81.87,7.49 -81.76,7.63 | -81.15,7.71 -81.1,7.71 -81.1,7.76 -81.15,7.76 | -81.17,7.82 -81.16,7.82 -81.16,7.84 -81.17,7.84 | -82.37,8.09 -82.32,8.09 -82.32,8.14 -82.37,8.14 | -82.31,8.19 -82.21,8.19 -82.21,8.23 -82.31,8.23 | -78,8.24 -77.99,8.24 -77.99,8.25 -78,8.25 | -82.4,8.21 -82.31,8.21 -82.31,8.29 -82.4,8.29 | -79.12,8.2 -79.06,8.2 -79.06,8.31 -79.12,8.31 | -79.12,8.37 -79.07,8.37 -79.07,8.42 -79.12,8.42 | -78.85,8.29 -78.96,8.3 -78.96,8.45 -78.85,8.43 | -82.05,9.12 -82,9.12 -82,9.18 -82.05,9.18 | -82.23,9.33 -82.22,9.33 -82.22,9.35 -82.23,9.35 | -82.21,9.27 -82.08,9.27 -82.08,9.35 -82.21,9.35 | -82.33,9.33 -82.23,9.33 -82.23,9.44 -82.33,9.44 | -79.46,9.57 -78.96,9.54 -79.05,9.43 -78.55,9.43 -78.04,9.23 -77.52,8.7 -77.37,8.67 -77.48,8.48 -77.22,7.94 -77.57,7.53 -77.75,7.72 -77.72,7.52 -77.89,7.23 -78.16,7.51 -78.43,8.05 -78.26,8.1 -78.3,8.25 -78.14,8.4 -77.78,8.15 -78.02,8.28 -78.11,8.46 -78.41,8.34 -78.51,8.62 -79.05,8.97 -78.98,9.14 -79.7,8.87 -79.95,8.45 -80.47,8.21 -80.45,8.03 -79.99,7.52 -80.31,7.42 -80.43,7.24 -80.93,7.25 -81.06,7.87 -81.18,7.85 -81.22,7.61 -81.5,7.7 -81.74,8.16 -82.72,8.32 -82.87,8.23 -82.87,8.02 -83.03,8.31 -82.83,8.47 -82.91,8.76 -82.71,8.92 -82.93,9.06 -82.93,9.47 -82.83,9.61 -82.36,9.41 -82.24,9 -81.82,8.95 -81.88,9.17 -81.51,8.79 -81.2,8.78 -80.1,9.22 -79.63,9.59
+PE -78.71,-4.58 -78.34,-3.42 -78.23,-3.52 -78.21,-3.34 -77.86,-2.98 -76.66,-2.57 -76.07,-2.13 -75.56,-1.53 -75.4,-0.92 -75.22,-0.97 -75.25,-0.55 -75.62,-0.11 -75.42,-0.17 -75.19,-0.03 -74.77,-0.21 -74.71,-0.37 -74.38,-0.57 -74.23,-1.03 -73.56,-1.37 -73.44,-1.61 -73.49,-1.77 -73.13,-1.85 -73.11,-2.34 -72.88,-2.51 -72.6,-2.41 -72.23,-2.5 -71.89,-2.38 -71.7,-2.15 -71.36,-2.35 -70.86,-2.22 -70.58,-2.49 -70.3,-2.5 -70.09,-2.69 -70.72,-3.78 -70.52,-3.86 -70.32,-3.8 -69.97,-4.31 -70.2,-4.33 -70.32,-4.14 -70.77,-4.15 -70.95,-4.38 -71.9,-4.52 -72.85,-5.12 -72.96,-5.65 -73.23,-6.09 -73.12,-6.45 -73.74,-6.88 -73.8,-7.08 -73.7,-7.31 -73.93,-7.36 -74.01,-7.54 -73.7,-7.78 -73.77,-7.95 -73.65,-8.02 -73.53,-8.36 -72.96,-8.98 -72.97,-9.14 -73.21,-9.41 -72.31,-9.53 -72.19,-10 -71.3,-10 -70.51,-9.43 -70.63,-9.84 -70.63,-11.01 -70.53,-10.93 -70.33,-11.07 -69.93,-10.91 -69.57,-10.95 -68.67,-12.5 -68.97,-12.87 -68.96,-13.5 -69.06,-13.71 -68.85,-14.2 -69,-14.24 -68.98,-14.38 -69.37,-14.8 -69.38,-14.97 -69.14,-15.25 -69.42,-15.62 -69.21,-16.16 -68.82,-16.34 -69.03,-16.47 -69.01,-16.66 -69.62,-17.21 -69.5,-17.51 -69.83,-17.68 -69.77,-17.97 -69.97,-18.26 -70.41,-18.35 -71.3,-17.71 -71.5,-17.3 -71.83,-17.19 -72.46,-16.71 -73.84,-16.16 -75.05,-15.47 -75.52,-14.91 -75.93,-14.66 -76.29,-13.91 -76.39,-13.9 -76.36,-13.8 -76.27,-13.86 -76.2,-13.42 -76.8,-12.39 -77.12,-12.08 -77.2,-11.66 -77.65,-11.29 -77.68,-10.93 -78.07,-10.32 -78.99,-8.23 -79.34,-7.89 -79.98,-6.76 -81.17,-6.09 -81.16,-5.86 -80.93,-5.85 -80.87,-5.65 -81.21,-5.19 -81.08,-5.02 -81.35,-4.69 -81.29,-4.31 -80.82,-3.75 -80.34,-3.38 -80.15,-3.88 -80.32,-4.01 -80.47,-3.99 -80.47,-4.2 -80.34,-4.2 -80.47,-4.44 -80.36,-4.47 -80.13,-4.28 -79.81,-4.48 -79.65,-4.43 -79.29,-4.96 -79.05,-5.01 -78.88,-4.68
+PF -143.51,-27.92 -143.48,-27.92 -143.48,-27.89 -143.51,-27.89 | -144.35,-27.64 -144.29,-27.64 -144.29,-27.55 -144.35,-27.55 | -147.72,-23.88 -147.65,-23.88 -147.65,-23.85 -147.72,-23.85 | -149.53,-23.4 -149.45,-23.4 -149.45,-23.36 -149.53,-23.36 | -135.06,-23.16 -135.03,-23.16 -135.03,-23.14 -135.06,-23.14 | -135.02,-23.14 -134.94,-23.14 -134.94,-23.09 -135.02,-23.09 | -152.88,-22.66 -152.83,-22.66 -152.83,-22.6 -152.88,-22.6 | -151.4,-22.52 -151.35,-22.52 -151.35,-22.43 -151.4,-22.43 | -138.8,-22.29 -138.71,-22.29 -138.71,-22.2 -138.8,-22.2 | -140.68,-21.72 -140.6,-21.72 -140.6,-21.65 -140.68,-21.65 | -144.97,-19.93 -144.95,-19.93 -144.95,-19.9 -144.97,-19.9 | -150.67,-17.66 -150.64,-17.66 -150.64,-17.64 -150.67,-17.64 | -149.21,-17.73 -149.18,-17.87 -149.49,-17.77 -149.63,-17.55 -149.37,-17.53 | -149.85,-17.57 -149.94,-17.48 -149.79,-17.47 | -149.55,-16.98 -149.53,-16.98 -149.53,-16.96 -149.55,-16.96 | -149.59,-16.98 -149.57,-16.98 -149.57,-16.95 -149.59,-16.95 | -151.04,-16.83 -150.97,-16.83 -150.97,-16.76 -151.04,-16.76 | -151.5,-16.9 -151.35,-16.9 -151.35,-16.74 -151.5,-16.74 | -151.05,-16.77 -151.01,-16.77 -151.01,-16.69 -151.05,-16.69 | -151.54,-16.68 -151.44,-16.68 -151.44,-16.58 -151.54,-16.58 | -151.79,-16.54 -151.74,-16.54 -151.74,-16.47 -151.79,-16.47 | -146.4,-16.17 -146.33,-16.17 -146.33,-16.1 -146.4,-16.1 | -148.29,-15.85 -148.23,-15.85 -148.23,-15.8 -148.29,-15.8 | -144.65,-15.75 -144.62,-15.75 -144.62,-15.71 -144.65,-15.71 | -138.7,-10.55 -138.61,-10.55 -138.61,-10.43 -138.7,-10.43 | -139.15,-10.02 -139.05,-10.02 -139.05,-9.89 -139.15,-9.89 | -138.96,-9.74 -138.81,-9.76 -139.05,-9.86 -139.17,-9.78 | -140.15,-9.45 -140.04,-9.45 -140.04,-9.32 -140.15,-9.32 | -139.58,-8.87 -139.5,-8.92 -139.61,-8.96 | -140.03,-8.9 -140.19,-8.95 -140.25,-8.8 | -140.72,-8.04 -140.64,-8.04 -140.64,-7.95 -140.72,-7.95 | -140.61,-7.92 -140.56,-7.92 -140.56,-7.89 -140.61,-7.89
+PG 153.77,-11.62 153.38,-11.57 153.2,-11.32 | 154.3,-11.39 154,-11.38 154.15,-11.31 | 153.09,-11.29 153.25,-11.29 153.25,-11.18 153.09,-11.18 | 152.54,-10.72 152.87,-10.72 152.87,-10.62 152.54,-10.62 | 150.91,-10.68 151.07,-10.68 151.07,-10.59 150.91,-10.59 | 150.89,-10.65 150.79,-10.54 150.9,-10.55 | 151.12,-10.05 151.28,-9.92 151.23,-10.2 150.96,-10.11 150.76,-9.71 | 150.67,-9.44 150.8,-9.43 150.92,-9.67 150.51,-9.62 150.44,-9.36 | 150.34,-9.52 150.11,-9.37 150.19,-9.21 150.33,-9.27 | 152.81,-8.97 153.02,-9.12 152.84,-9.24 152.5,-9.02 | 151.12,-8.43 151.14,-8.83 151,-8.53 | 143.64,-8.73 143.18,-8.42 143.47,-8.53 | 143.57,-8.49 143.31,-8.38 143.58,-8.37 | 143.58,-8.44 143.7,-8.44 143.7,-8.33 143.58,-8.33 | 143.65,-8.25 143.76,-8.25 143.76,-8.17 143.65,-8.17 | 143.6,-8.18 143.72,-8.18 143.72,-8.09 143.6,-8.09 | 143.57,-8.1 143.74,-8.1 143.74,-8.01 143.57,-8.01 | 145.18,-7.87 145.2,-7.87 145.2,-7.83 145.18,-7.83 | 143.88,-7.83 144.01,-7.83 144.01,-7.71 143.88,-7.71 | 149.04,-6.1 149.06,-6.1 149.06,-6.08 149.04,-6.08 | 148.06,-5.78 147.99,-5.86 147.87,-5.75 147.78,-5.49 148.04,-5.6 | 154.88,-5.54 155.07,-5.56 155.43,-6.12 155.81,-6.37 155.92,-6.81 155.56,-6.85 155.24,-6.62 155.21,-6.32 154.74,-5.94 154.75,-5.52 | 148.07,-5.47 148.15,-5.47 148.15,-5.38 148.07,-5.38 | 147.56,-5.36 147.64,-5.36 147.64,-5.29 147.56,-5.29 | 147.15,-5.45 147.01,-5.35 147.12,-5.19 147.23,-5.36 | 154.68,-5.44 154.53,-5.13 154.64,-5.02 154.73,-5.2 | 149.12,-4.92 149.18,-4.92 149.18,-4.87 149.12,-4.87 | 146.2,-4.86 146.26,-4.86 146.26,-4.79 146.2,-4.79 | 149.45,-4.72 149.56,-4.72 149.56,-4.65 149.45,-4.65 | 159.51,-4.58 159.52,-4.58 159.52,-4.54 159.51,-4.54 | 145.95,-4.76 145.87,-4.67 145.98,-4.53 146.05,-4.66 | 154.13,-4.44 154.16,-4.44 154.16,-4.37 154.13,-4.37 | 152.24,-4.21 152.17,-4.29 152.36,-4.34 152.41,-4.69 152.24,-4.98 151.97,-4.99 151.97,-5.16 152.14,-5.34 152.1,-5.46 151.83,-5.6 151.46,-5.54 151.38,-5.81 150.47,-6.28 149.63,-6.31 149.31,-6.06 149.06,-6.16 149.06,-6.04 148.32,-5.68 148.43,-5.45 148.99,-5.47 149.22,-5.61 149.88,-5.54 150.09,-5.01 150.2,-5.07 150.04,-5.31 150.16,-5.55 150.49,-5.45 150.62,-5.56 150.92,-5.49 151.26,-4.99 151.68,-4.91 151.51,-4.2 151.78,-4.21 151.97,-4.34 152.17,-4.15 | 145.02,-4.14 145.11,-4.14 145.11,-4.04 145.02,-4.04 | 153.58,-4.14 153.67,-4.14 153.67,-4.02 153.58,-4.02 | 153.19,-3.5 153.26,-3.5 153.26,-3.45 153.19,-3.45 | 154.79,-3.53 154.83,-3.53 154.83,-3.42 154.79,-3.42 | 153.26,-3.42 153.35,-3.42 153.35,-3.37 153.26,-3.37 | 152.65,-3.23 152.54,-3.11 152.6,-3.05 | 150.94,-2.92 151,-2.98 150.77,-2.98 | 151.96,-3 152.09,-3 152.09,-2.85 151.96,-2.85 | 151.92,-2.85 152.01,-2.85 152.01,-2.71 151.92,-2.71 | 151.95,-2.67 152.04,-2.67 152.04,-2.6 151.95,-2.6 | 141.89,-2.97 143.52,-3.43 144.02,-3.81 144.51,-3.82 144.57,-3.99 144.86,-4.1 145.09,-4.37 145.34,-4.39 145.74,-4.8 145.77,-5.49 146.47,-5.6 147.05,-5.94 147.57,-6.06 147.83,-6.34 147.87,-6.66 146.96,-6.75 146.95,-6.96 147.18,-7.46 147.46,-7.6 147.72,-7.93 148.14,-8.07 148.23,-8.56 148.44,-8.68 148.6,-9.08 149.31,-9.02 149.22,-9.47 149.45,-9.6 150.01,-9.63 150.05,-9.72 149.72,-9.83 149.91,-10.05 150.64,-10.28 150.88,-10.23 150.64,-10.35 150.36,-10.33 150.68,-10.58 150.21,-10.7 149.85,-10.55 150.08,-10.46 149.75,-10.34 148.93,-10.27 148.68,-10.15 148.4,-10.2 148.16,-10.07 147.95,-10.15 147.62,-9.99 147.3,-9.53 147.09,-9.49 146.89,-9.28 146.97,-9.03 146.92,-9.11 146.59,-9 146.57,-8.81 146.09,-8.09 144.88,-7.78 144.86,-7.61 144.82,-7.69 144.59,-7.66 144.52,-7.5 144.51,-7.62 144.41,-7.52 144.47,-7.74 144.31,-7.62 144.21,-7.8 143.66,-7.47 143.96,-7.98 143.76,-8.04 143.36,-7.9 143.61,-8.24 142.97,-8.34 142.7,-8.27 142.44,-8.33 142.33,-8.16 142.14,-8.23 142.31,-8.18 142.44,-8.37 142.73,-8.32 143.11,-8.47 143.39,-8.77 143.36,-9.01 142.64,-9.33 142.21,-9.17 141.09,-9.21 141.01,-9.13 141.01,-6.89 140.86,-6.73 141.01,-6.33 141,-2.61 | 150.91,-2.64 152.06,-3.25 152.57,-3.82 152.99,-4.08 153.13,-4.38 152.97,-4.77 152.89,-4.82 152.74,-4.66 152.69,-4.18 152.29,-3.58 151.93,-3.45 151,-2.79 150.75,-2.77 150.9,-2.7 150.81,-2.56 | 150.46,-2.65 150.18,-2.69 149.95,-2.47 150.22,-2.38 150.44,-2.48 | 147.76,-2.35 147.88,-2.35 147.88,-2.24 147.76,-2.24 | 147.3,-2.03 147.42,-2.05 147.39,-1.96 147.44,-2.07 147.2,-2.19 146.52,-2.19 146.64,-1.98 | 142.81,-1.73 142.87,-1.73 142.87,-1.69 142.81,-1.69 | 144.5,-1.4 144.52,-1.4 144.52,-1.38 144.5,-1.38 | 149.72,-1.43 149.73,-1.6 149.53,-1.45 149.58,-1.36 | 144.51,-1.12 144.52,-1.12 144.52,-1.1 144.51,-1.1
+PH 119.45,4.64 119.51,4.64 119.51,4.91 119.45,4.91 | 119.93,5.07 119.95,5.07 119.95,5.08 119.93,5.08 | 120.23,5.3 120.24,5.3 120.24,5.33 120.23,5.33 | 120.25,5.23 120.22,5.12 120.05,5.18 119.83,5.06 119.83,5.15 120.18,5.34 | 125.33,5.36 125.42,5.36 125.42,5.43 125.33,5.43 | 125.45,5.39 125.5,5.39 125.5,5.49 125.45,5.49 | 120.81,5.49 120.91,5.49 120.91,5.58 120.81,5.58 | 121.13,5.78 121.21,5.78 121.21,5.85 121.13,5.85 | 121.19,6.04 121.42,5.98 121.29,5.85 121.2,5.95 120.88,5.92 121.02,6.08 | 121.86,6.02 121.95,6.06 121.86,5.99 121.76,6.09 | 120.57,6.24 120.48,6.26 120.6,6.4 | 122.23,6.66 122.16,6.46 122.03,6.41 121.79,6.59 122.02,6.75 | 118.53,7.03 118.54,6.97 118.42,7.02 | 125.66,6.89 125.8,6.89 125.8,7.19 125.66,7.19 | 117.02,7.81 116.95,8.03 117.07,8.08 | 117.26,8.18 117.35,8.18 117.35,8.33 117.26,8.33 | 126.23,9 126.24,9 126.24,9.01 126.23,9.01 | 126.25,9 126.26,9 126.26,9.01 126.25,9.01 | 124.78,9.08 124.64,9.16 124.67,9.25 | 123.67,9.23 123.61,9.09 123.46,9.19 123.6,9.3 | 123.73,9.54 123.87,9.54 123.87,9.64 123.73,9.64 | 125.9,9.56 125.99,9.56 125.99,9.76 125.9,9.76 | 126.05,9.23 126.19,9.24 126.17,9.1 126.33,8.92 126.08,8.61 126.39,8.51 126.33,8.24 126.47,8.23 126.36,7.9 126.55,7.69 126.59,7.28 126.28,6.92 126.35,6.8 126.26,6.93 126.17,6.88 126.26,6.75 126.19,6.27 125.86,7.35 125.65,7.24 125.38,6.72 125.39,6.6 125.59,6.48 125.7,6.03 125.41,5.56 125.19,5.77 125.26,6.09 125.15,6.1 125.09,5.87 124.96,5.85 124.19,6.21 123.95,6.82 124.27,7.37 123.68,7.81 123.46,7.81 123.47,7.64 123.33,7.56 123.45,7.37 123.3,7.52 123.12,7.5 123.2,7.59 123.12,7.73 122.99,7.46 122.84,7.43 122.98,7.36 122.83,7.28 122.82,7.73 122.62,7.77 122.36,7.47 122.15,6.91 121.92,6.99 122.22,7.96 122.92,8.15 123.03,8.49 123.3,8.52 123.38,8.73 123.69,8.63 123.82,8.48 123.87,8.16 123.67,7.95 123.96,8.17 124.22,8.21 124.43,8.62 124.73,8.49 124.8,9 125.09,8.83 125.28,8.99 125.51,9.01 125.44,9.81 125.92,9.49 | 124.56,9.85 124.57,9.85 124.57,9.86 124.56,9.86 | 123.37,9.87 123.38,9.87 123.38,9.89 123.37,9.89 | 126.11,9.74 125.95,9.83 126.06,10.05 126.18,9.8 | 125.12,9.91 125.3,9.91 125.3,10.16 125.12,10.16 | 124.48,10.05 124.6,9.77 124.37,9.63 123.96,9.6 123.79,9.73 123.79,9.84 124.15,10.15 | 125.66,9.82 125.48,10.13 125.65,10.47 | 119.83,10.44 119.76,10.56 120,10.59 | 124.37,10.61 124.28,10.59 124.32,10.71 | 124.44,10.62 124.45,10.71 124.52,10.66 | 122.64,10.44 122.48,10.49 122.66,10.75 122.73,10.62 | 125.66,10.69 125.82,10.69 125.82,10.82 125.66,10.82 | 121,10.79 121.09,10.79 121.09,10.91 121,10.91 | 123.56,10.79 123.14,9.84 123.11,9.63 123.3,9.23 123.01,9.03 122.86,9.33 122.6,9.42 122.41,9.66 122.45,9.97 122.86,10.1 122.83,10.54 122.95,10.89 123.22,11 123.5,10.94 | 125.66,11.09 125.68,11.09 125.68,11.1 125.66,11.1 | 124.02,11.12 124.03,10.38 123.64,10.08 123.47,9.57 123.31,9.41 123.37,9.99 123.86,10.81 123.95,11.19 124.05,11.28 | 123.69,11.13 123.79,11.13 123.79,11.3 123.69,11.3 | 119.52,11.36 119.54,11.36 119.54,11.37 119.52,11.37 | 119.51,11.34 119.48,10.88 119.71,10.5 119.33,10.31 119.2,10.05 118.75,9.93 118.75,9.65 118.35,9.19 118.14,9.15 118,8.88 117.19,8.33 117.26,8.61 117.66,9.08 118.03,9.26 118.75,10.13 118.8,10.03 118.8,10.19 118.93,10.21 119.01,10.44 119.14,10.38 119.31,10.58 119.22,10.96 119.46,10.72 119.3,11 119.33,11.1 119.42,11.03 119.43,11.34 119.47,11.42 | 119.83,11.38 119.71,11.48 119.87,11.51 | 124.64,11.29 124.95,11.42 125.03,11.2 125.01,10.75 125.27,10.3 125.12,10.18 124.98,10.38 125.01,10.03 124.76,10.2 124.76,10.82 124.6,11.01 124.49,10.86 124.4,10.97 124.29,11.54 | 124.58,11.47 124.46,11.47 124.34,11.68 124.53,11.68 | 124.72,11.53 124.84,11.53 124.84,11.73 124.72,11.73 | 120.04,11.82 120.05,11.82 120.05,11.83 120.04,11.83 | 122.23,11.8 122.59,11.52 122.83,11.61 122.88,11.43 123.15,11.6 123.13,11.17 122.73,10.95 122.73,10.8 122.21,10.63 121.94,10.42 122.1,11.7 121.85,11.76 121.95,11.93 | 119.97,11.66 119.88,11.98 120.07,11.86 | 120.2,11.81 120.28,11.81 120.28,11.98 120.2,11.98 | 120.06,11.96 120.08,11.96 120.08,11.99 120.06,11.99 | 119.95,12.02 119.96,12.02 119.96,12.04 119.95,12.04 | 121.04,12.16 121.14,12.16 121.14,12.3 121.04,12.3 | 120.17,12.12 120.24,12.18 120.34,11.99 120.02,11.99 119.87,12.31 | 122.68,12.31 122.43,12.46 122.67,12.48 | 124.46,12.52 125.14,12.58 125.3,12.46 125.3,12.29 125.52,12.17 125.45,11.61 125.64,11.34 125.53,11.19 125.66,11.2 125.76,11.01 125.66,11.13 125.27,11.13 124.84,11.47 125.04,11.75 124.39,12.19 124.26,12.56 | 123.67,12.35 123.91,12.19 124.08,11.72 123.53,12.21 123.16,11.91 123.3,12.24 123.24,12.61 | 122.25,12.48 122.33,12.48 122.33,12.63 122.25,12.63 | 123.79,12.34 123.59,12.66 123.73,12.6 | 122.05,12.18 122.02,12.09 121.92,12.3 122,12.6 122.12,12.68 | 123.38,12.69 122.93,13.11 123.05,13.13 | 124.08,13.17 124.22,13.17 124.22,13.24 124.08,13.24 | 123.91,13.22 124.1,13.22 124.1,13.29 123.91,13.29 | 123.84,13.23 123.93,13.23 123.93,13.35 123.84,13.35 | 122.13,13.4 122.15,13.4 122.15,13.42 122.13,13.42 | 120.72,13.48 120.99,13.52 121.5,13.15 121.56,12.6 121.44,12.35 121.22,12.23 120.8,12.72 120.65,13.19 120.31,13.42 120.4,13.52 | 122.12,13.4 122,13.2 121.81,13.45 122.01,13.55 | 122.73,13.77 122.75,13.77 122.75,13.78 122.73,13.78 | 120.28,13.75 120.27,13.67 120.08,13.85 | 124.29,13.95 124.31,13.95 124.31,13.96 124.29,13.96 | 124.31,13.94 124.35,13.94 124.35,13.98 124.31,13.98 | 124.29,13.95 124.42,13.79 124.33,13.55 124.21,13.52 124.03,13.66 124.13,14.06 124.21,14.1 | 121.92,14 122.19,14 122.19,14.22 121.92,14.22 | 122.1,14.72 122.26,14.72 122.26,14.84 122.1,14.84 | 122.05,15 121.93,14.63 121.82,14.99 | 119.92,16.23 120.02,16.23 120.02,16.35 119.92,16.35 | 121.26,18.57 121.94,18.27 122.24,18.51 122.34,18.31 122.17,18.08 122.17,17.61 122.53,17.1 122.21,16.23 122,16.03 122.1,16.26 121.56,15.9 121.64,15.71 121.38,15.33 121.7,14.7 121.61,14.66 121.73,14.17 122.23,13.9 122.31,14.02 122.17,14.16 122.27,14.24 122.33,14.11 122.47,14.34 122.71,14.34 123.04,14.07 123.1,13.67 123.32,13.79 123.23,14 123.34,14.09 123.92,13.79 123.97,13.71 123.58,13.72 123.53,13.58 123.87,13.23 123.78,13.22 123.76,13.06 123.9,13.14 124.08,13.01 124.2,13.06 124.08,12.54 123.85,12.73 123.86,12.87 124.02,12.87 124.03,12.96 123.73,12.85 123.32,13.01 123.2,13.42 122.89,13.57 122.56,13.94 122.48,13.7 122.7,13.23 122.61,13.16 122.4,13.52 121.75,13.96 121.28,13.59 121.06,13.66 120.88,13.9 120.72,13.93 120.66,13.77 120.59,14.23 120.98,14.49 120.96,14.64 120.55,14.83 120.61,14.49 120.49,14.43 120.25,14.69 120.29,14.81 120.09,14.79 119.9,15.43 119.91,15.84 119.75,15.96 119.79,16.32 119.93,16.38 119.94,16.24 120.16,16.04 120.42,16.16 120.32,16.63 120.46,17.41 120.34,17.57 120.57,18.49 120.87,18.61 | 121.28,18.84 121.49,18.84 121.49,18.91 121.28,18.91 | 121.83,18.82 122,18.82 122,19.01 121.83,19.01 | 121.2,19.01 121.26,19.01 121.26,19.17 121.2,19.17 | 121.54,19.27 121.37,19.36 121.53,19.39 | 121.97,19.48 121.9,19.55 121.99,19.57 | 121.84,20.26 121.89,20.26 121.89,20.35 121.84,20.35 | 121.92,20.34 122.04,20.34 122.04,20.49 121.92,20.49 | 121.79,20.69 121.89,20.69 121.89,20.83 121.79,20.83 | 121.95,21.1 121.96,21.1 121.96,21.12 121.95,21.12
+PK 67.38,24 67.48,24 67.48,24.06 67.38,24.06 | 74.82,37.02 75.38,36.92 75.45,36.73 75.86,36.66 76.04,36.24 75.93,36.08 76.17,35.82 76.55,35.91 76.59,35.76 76.9,35.61 77.41,35.47 77.82,35.5 77.04,35.1 76.87,34.66 76.47,34.77 76.17,34.59 75.66,34.5 74.37,34.78 73.94,34.64 73.8,34.39 74.02,34.22 73.91,34.07 74.3,33.98 73.99,33.74 74.18,33.51 74.02,33.19 74.33,33 74.36,32.78 74.65,32.78 74.72,32.48 75.07,32.47 75.38,32.21 74.61,31.88 74.49,31.72 74.63,31.46 74.52,31.18 74.69,31.05 74.31,30.85 73.87,30.39 73.93,30.14 73.4,29.94 72.95,29.04 72.39,28.78 71.9,27.96 70.83,27.71 70.58,28.01 70.37,28.02 69.51,27 69.51,26.75 70.18,26.54 70.09,25.98 70.28,25.71 70.67,25.7 70.68,25.4 70.88,25.16 71.08,24.68 71,24.48 71.1,24.41 70.66,24.24 70.56,24.44 70.12,24.31 70.01,24.17 68.78,24.33 68.75,23.97 68.29,23.94 68.17,23.75 68.16,23.9 68.15,23.69 68.02,23.94 68.02,23.77 67.86,23.91 67.72,23.79 67.49,23.89 67.15,24.61 67.25,24.75 66.65,24.83 66.73,25.2 66.36,25.61 66.14,25.5 66.34,25.55 66.5,25.4 64.77,25.32 64.65,25.16 64.54,25.27 64.1,25.33 64.11,25.45 63.98,25.42 64.07,25.34 63.66,25.38 63.43,25.21 62.55,25.26 61.72,25.05 61.78,25.19 61.61,25.2 61.86,26.23 62.28,26.35 62.43,26.56 63.18,26.63 63.34,27.12 63.21,27.27 62.78,27.26 62.78,28.27 62.59,28.23 62.4,28.42 61.91,28.55 60.87,29.86 62.48,29.41 63.59,29.5 64.06,29.41 64.38,29.55 65.03,29.54 66.26,29.85 66.36,29.96 66.24,30.07 66.4,30.94 66.57,30.98 66.72,31.21 66.97,31.32 67.28,31.21 67.78,31.33 67.58,31.53 67.98,31.64 68.17,31.83 68.54,31.73 68.44,31.79 68.57,31.83 68.83,31.6 69.33,31.94 69.25,32.44 69.46,32.67 69.51,33.03 70.03,33.14 70.33,33.33 70.14,33.73 69.87,33.93 69.91,34.04 70.49,33.94 71.08,34.06 71.16,34.35 70.99,34.55 71.5,34.96 71.65,35.42 71.45,35.86 71.19,36.05 71.63,36.47 71.75,36.42 72.18,36.71 72.58,36.83 73.67,36.91 74.04,36.81 74.42,37
+PL 18.85,49.52 18.58,49.91 18.05,50.06 17.88,49.98 17.66,50.11 17.72,50.32 17.43,50.27 16.89,50.44 17,50.22 16.64,50.11 16.21,50.42 16.45,50.57 16.34,50.66 15.38,50.78 15.18,51.01 14.83,50.87 15.04,51.27 14.6,51.82 14.76,52.07 14.53,52.39 14.64,52.57 14.15,52.86 14.39,53.14 14.28,53.7 14.53,53.66 14.61,53.82 14.34,53.8 14.23,53.93 16.17,54.26 16.54,54.54 18.05,54.83 18.77,54.67 18.41,54.74 18.76,54.37 19.65,54.46 19.26,54.28 19.8,54.44 21.41,54.33 22.86,54.41 23.46,54.18 23.94,52.73 23.4,52.51 23.17,52.28 23.64,52.08 23.54,51.59 24.14,50.85 23.96,50.81 24.11,50.63 24,50.41 23.7,50.38 22.68,49.57 22.7,49.17 22.89,49 22.04,49.21 21.62,49.44 21.08,49.42 20.92,49.3 20.36,49.39 20.07,49.18 19.77,49.21 19.79,49.41 19.48,49.6 19.16,49.4
+PM -56.24,46.75 -56.14,46.75 -56.14,46.81 -56.24,46.81 | -56.27,46.99 -56.37,46.78 -56.4,47.11
+PN -130.11,-25.08 -130.06,-25.08 -130.06,-25.06 -130.11,-25.06 | -124.8,-24.68 -124.77,-24.68 -124.77,-24.66 -124.8,-24.66 | -128.35,-24.41 -128.29,-24.41 -128.29,-24.32 -128.35,-24.32
+PR -67.94,18.05 -67.84,18.05 -67.84,18.11 -67.94,18.11 | -65.44,18.09 -65.58,18.12 -65.3,18.15 | -65.34,18.28 -65.24,18.28 -65.24,18.35 -65.34,18.35 | -67,18.5 -65.89,18.45 -65.63,18.36 -65.6,18.23 -65.94,17.97 -67.19,17.93 -67.16,18.21 -67.27,18.37 -67.15,18.51
+PS 34.33,31.26 34.22,31.32 34.49,31.6 34.56,31.53 | 35.28,32.52 35.56,32.38 35.48,31.5 34.92,31.35 34.95,31.59 35.21,31.75 34.97,31.83 35.06,32.43
+PT -17.1,32.82 -16.72,32.76 -16.94,32.64 -17.21,32.74 -17.19,32.87 | -16.4,33.03 -16.29,33.03 -16.29,33.11 -16.4,33.11 | -25.2,36.93 -25.01,36.93 -25.01,37.02 -25.2,37.02 | -25.59,37.83 -25.13,37.81 -25.46,37.71 -25.86,37.84 -25.78,37.91 | -28.14,38.45 -28.46,38.41 -28.55,38.53 | -27.09,38.63 -27.39,38.76 -27.07,38.76 | -31.22,39.35 -31.21,39.52 -31.12,39.45 | -8.2,41.87 -7.43,41.82 -7.14,41.99 -6.59,41.95 -6.54,41.68 -6.19,41.58 -6.93,41.02 -6.8,40.52 -6.86,40.27 -7.03,40.19 -6.87,40.02 -7.02,39.67 -7.53,39.67 -7.24,39.21 -6.95,39.03 -7.27,38.7 -7.32,38.45 -7.09,38.17 -6.93,38.21 -7.01,38.03 -7.25,37.99 -7.52,37.55 -7.41,37.19 -7.9,37.01 -8.66,37.11 -8.98,37.02 -8.8,37.44 -8.8,38.37 -8.67,38.41 -8.77,38.52 -9.18,38.42 -9.28,38.67 -9.07,38.63 -8.92,38.77 -8.98,38.95 -9.12,38.71 -9.43,38.69 -9.49,38.79 -9.36,39.36 -9.09,39.62 -8.66,40.69 -8.88,41.84 -8.64,42.05 -8.2,42.15 -8.08,42.05
+PW 132.21,5.29 132.23,5.29 132.23,5.32 132.21,5.32 | 134.13,6.88 134.18,6.88 134.18,6.94 134.13,6.94 | 134.23,6.98 134.28,6.98 134.28,7.07 134.23,7.07 | 134.35,7.14 134.4,7.14 134.4,7.19 134.35,7.19 | 134.34,7.22 134.45,7.22 134.45,7.28 134.34,7.28 | 134.44,7.31 134.52,7.31 134.52,7.36 134.44,7.36 | 134.56,7.37 134.49,7.44 134.63,7.73
+PY -54.33,-24.68 -54.42,-25.14 -54.62,-25.44 -54.69,-26.43 -54.97,-26.79 -55.42,-26.99 -55.74,-27.44 -56.14,-27.31 -56.38,-27.59 -56.55,-27.45 -57.13,-27.49 -57.79,-27.29 -58.6,-27.32 -58.65,-27.16 -58.18,-26.66 -58.14,-26.21 -57.86,-26 -57.81,-25.77 -57.58,-25.55 -57.76,-25.18 -58.8,-24.78 -60.04,-24.01 -60.29,-24.04 -61.01,-23.81 -61.12,-23.6 -61.99,-23.01 -62.25,-22.53 -62.64,-22.24 -62.26,-21.06 -62.27,-20.56 -61.74,-19.64 -59.97,-19.3 -59.1,-19.35 -58.15,-19.83 -58.16,-20.23 -57.81,-20.97 -57.99,-22.09 -56.88,-22.27 -56.63,-22.25 -56.4,-22.07 -56.21,-22.27 -55.85,-22.29 -55.61,-22.63 -55.41,-23.96 -55.03,-23.99 -54.63,-23.8 -54.41,-23.92 -54.24,-24.05 -54.34,-24.14 -54.25,-24.35
+QA 51.52,25.38 51.61,25.01 51.44,24.66 51.34,24.57 51.27,24.66 50.97,24.58 50.83,24.75 50.75,25.49 50.84,25.46 50.83,25.59 50.98,25.64 50.89,25.71 51.04,26.05 51.25,26.15 51.57,25.91
+RE 55.71,-21 55.85,-21.17 55.82,-21.33 55.67,-21.37 55.34,-21.27 55.22,-21.03 55.45,-20.86
+RO 20.73,46.18 21.18,46.3 22.27,47.72 22.65,47.78 23.15,48.1 23.48,47.98 24.56,47.95 24.92,47.71 25.33,47.92 26.15,47.98 26.31,48.19 26.7,48.26 27,48.16 27.3,47.66 28.08,46.98 28.25,46.44 28.07,45.58 28.34,45.32 28.69,45.22 29.23,45.43 29.52,45.41 29.66,45.11 29.55,44.82 29.07,44.82 29.05,45 28.87,44.94 28.95,44.82 28.78,44.66 29,44.68 28.76,44.62 28.76,44.52 28.93,44.62 28.63,44.31 28.58,43.75 28.05,43.83 27.92,44.01 27.74,43.96 27.04,44.15 26.14,43.99 25.77,43.71 25.42,43.62 24.51,43.76 24.18,43.68 23.42,43.86 23.06,43.8 22.84,43.89 23.04,44.08 22.46,44.45 22.71,44.6 22.44,44.71 22.13,44.48 21.99,44.64 21.39,44.79 21.37,44.86 21.56,44.9 21.37,45.01 21.51,45.15 20.81,45.48 20.8,45.76 20.26,46.11
+RS 20.07,42.56 19.98,42.72 20.35,42.89 19.65,43.18 19.23,43.51 19.48,43.57 19.51,43.68 19.24,44.01 19.52,43.96 19.62,44.05 19.1,44.36 19.37,44.89 19,44.9 19.16,45.21 19.42,45.23 18.98,45.38 19.1,45.52 18.9,45.57 18.96,45.78 18.82,45.91 19.29,45.99 19.57,46.17 20.2,46.15 20.8,45.77 20.81,45.48 21.51,45.15 21.37,45.01 21.56,44.9 21.36,44.82 21.64,44.66 21.99,44.64 22.15,44.48 22.44,44.71 22.72,44.6 22.46,44.48 22.69,44.26 22.37,43.83 22.54,43.47 23,43.19 22.75,42.89 22.44,42.82 22.56,42.49 22.46,42.36 21.47,42.27 21.3,42.15 21.12,42.2 20.79,42.08 20.71,41.86 20.59,41.88 20.52,42.21
+RU 131.75,42.95 131.92,42.95 131.92,43.06 131.75,43.06 | 146.14,43.46 146.08,43.52 146.23,43.53 | 146.67,43.7 146.6,43.8 146.9,43.84 | 47.62,43.93 47.79,43.93 47.79,43.99 47.62,43.99 | 146.15,44.51 146.54,44.38 145.94,44.13 145.6,43.86 145.55,43.65 145.44,43.72 145.41,43.84 | 148.83,45.33 147.62,44.97 147.21,44.55 146.84,44.42 147.15,44.67 147.11,44.79 147.89,45.22 147.93,45.42 148.03,45.26 148.31,45.27 148.77,45.52 | 47.93,45.5 47.99,45.5 47.99,45.65 47.93,45.65 | 48.33,45.67 48.47,45.67 48.47,45.8 48.33,45.8 | 48.49,45.7 48.73,45.7 48.73,45.89 48.49,45.89 | 150.07,45.85 149.44,45.58 149.67,45.85 150.34,46.21 150.47,46.16 | 150.8,46.44 150.88,46.44 150.88,46.47 150.8,46.47 | 150.73,46.7 150.77,46.7 150.77,46.73 150.73,46.73 | 152.23,47.17 152.01,46.89 151.71,46.8 | 152.39,47.3 152.54,47.3 152.54,47.38 152.39,47.38 | 152.98,47.69 153.1,47.69 153.1,47.81 152.98,47.81 | 153.14,48.04 153.29,48.04 153.29,48.14 153.14,48.14 | 153.97,48.72 154.23,48.72 154.23,48.91 153.97,48.91 | 153.9,48.92 154.01,48.92 154.01,48.98 153.9,48.98 | 154.44,49.07 154.6,49.07 154.6,49.17 154.44,49.17 | 154.72,49.26 154.6,49.37 154.9,49.62 | 154.35,49.73 154.46,49.73 154.46,49.83 154.35,49.83 | 155.79,50.18 155.23,50.05 155.25,50.3 155.66,50.39 156.1,50.76 156.15,50.52 | 156.4,50.65 156.16,50.73 156.46,50.87 | 155.62,50.81 155.45,50.9 155.64,50.92 | 143.66,49.31 143.28,49.4 143.32,49.31 143.67,49.31 143.02,49.14 142.53,48 142.62,47.59 143.02,47.25 143.09,46.8 143.34,46.68 143.49,46.81 143.6,46.38 143.43,46.02 143.38,46.55 142.78,46.6 142.72,46.74 142.42,46.58 142.09,45.89 141.83,46.44 142.06,47.09 141.96,47.61 142.19,47.95 141.85,48.75 142.14,49.55 142.04,50.53 142.27,51.11 141.65,51.89 141.64,52.32 141.93,53.02 141.77,53.37 142.21,53.52 142.25,53.38 142.46,53.38 142.68,53.52 142.49,53.66 142.8,53.7 142.76,53.84 142.61,53.69 142.72,53.93 142.39,54.24 142.64,54.26 142.7,54.42 143.01,54.13 142.88,53.81 143.29,53.13 143.12,51.96 143.31,51.73 143.22,51.52 143.37,51.64 143.45,51.5 143.38,51.34 143.53,51.26 143.8,50.29 144.4,49.03 144.69,48.86 144.75,48.64 144.14,49.2 | 137.71,54.36 137.93,54.36 137.93,54.51 137.71,54.51 | 137.55,54.39 137.65,54.39 137.65,54.57 137.55,54.57 | 19.63,54.46 19.9,54.46 19.9,54.64 19.63,54.64 | 167.43,54.5 168.12,54.5 168.12,54.87 167.43,54.87 | 137.19,55.1 137.05,54.92 136.67,54.91 | 137.99,54.89 137.71,54.62 137.49,54.87 137.22,54.77 137.58,55.19 138.2,55.05 | 21.43,55.25 22.06,55.03 22.6,55.05 22.84,54.9 22.79,54.36 21.41,54.33 19.8,54.44 20.4,54.68 19.87,54.64 19.97,54.96 20.42,54.95 20.94,55.29 20.53,54.97 21.09,54.9 21.25,54.95 21.26,55.25 | 166.12,55.33 166.66,54.67 165.84,55.26 165.93,55.36 | 150.45,59 150.75,59 150.75,59.16 150.45,59.16 | 148.94,59.12 149.12,59.12 149.12,59.21 148.94,59.21 | 164.66,59.08 164.65,58.88 164.11,58.8 163.46,58.47 163.39,58.56 163.69,58.74 163.84,58.99 163.7,59.01 164.55,59.24 | 155.48,59.31 155.58,59.31 155.58,59.36 155.48,59.36 | 28.55,60.27 28.72,60.27 28.72,60.35 28.55,60.35 | 35.85,64.32 36.05,64.32 36.05,64.42 35.85,64.42 | -172.76,64.61 -172.49,64.61 -172.49,64.67 -172.76,64.67 | 40.41,64.65 40.46,64.56 39.97,64.68 40.27,64.64 40.14,64.75 40.33,64.76 | -172.59,64.7 -172.53,64.84 -172.17,64.8 | 40.2,64.87 40.29,64.87 40.29,64.99 40.2,64.99 | 35.79,64.97 35.52,65.16 35.83,65.17 | 35.94,65.16 36.3,65.16 36.3,65.21 35.94,65.21 | -169.1,65.75 -168.99,65.75 -168.99,65.83 -169.1,65.83 | 69.24,66.65 69.35,66.65 69.35,66.72 69.24,66.72 | 69.79,66.72 70.05,66.72 70.05,66.78 69.79,66.78 | 42.43,66.68 42.72,66.68 42.72,66.79 42.43,66.79 | 69.25,66.79 70.06,66.7 70.1,66.53 69.84,66.48 | 54.2,68.25 54.34,68.25 54.34,68.34 54.2,68.34 | 53.86,68.29 54.01,68.29 54.01,68.37 53.86,68.37 | 50.79,68.37 51.46,68.37 51.46,68.5 50.79,68.5 | 57.2,68.72 57.92,68.72 57.92,68.81 57.2,68.81 | 67.15,68.78 67.39,68.78 67.39,68.83 67.15,68.83 | 55.22,68.91 55.51,68.91 55.51,68.94 55.22,68.94 | -179.63,68.91 -178.87,68.75 -178.49,68.59 -178.72,68.66 -178.74,68.54 -178.04,68.43 -177.95,68.29 -177.71,68.34 -178.38,68.55 -177.63,68.32 -177.68,68.22 -177.37,68.25 -175.46,67.71 -175.19,67.51 -175.38,67.34 -175.04,67.44 -174.83,67.38 -174.74,66.77 -175,66.67 -174.49,66.54 -174.46,66.3 -174.03,66.48 -174.02,66.21 -173.76,66.45 -174.3,66.58 -174,66.69 -174.13,66.99 -174.65,67.06 -173.67,67.13 -173.18,67.06 -173.35,66.84 -173.14,67 -172.43,66.93 -173.01,67.06 -171.73,66.96 -170.46,66.32 -170.64,66.24 -170.34,66.29 -170.33,66.18 -169.69,66.07 -170.59,65.86 -170.64,65.61 -171.54,65.84 -171.02,65.59 -171.12,65.48 -172.08,65.48 -171.83,65.53 -172.8,65.68 -172.43,65.59 -172.42,65.42 -172.19,65.45 -172.24,65.25 -172.69,65.23 -172.31,65.22 -172.13,65.09 -173.2,64.79 -172.78,64.79 -173.09,64.66 -172.36,64.46 -172.63,64.39 -173.02,64.5 -172.9,64.34 -173.19,64.25 -173.44,64.32 -173.41,64.62 -173.37,64.46 -173.68,64.35 -174.85,64.78 -175.45,64.78 -175.92,65.01 -175.78,65.16 -176.08,65.47 -177.07,65.61 -177.5,65.49 -178.56,65.52 -178.46,65.74 -178.91,65.99 -178.54,66.16 -178.52,66.4 -178.9,66.17 -179.18,66.42 -179.18,66.28 -179.42,66.34 -179.29,66.16 -179.7,66.18 -179.8,65.87 -179.32,65.54 -180,65.07 -180,68.98 | 54.57,68.95 54.7,68.95 54.7,69.01 54.57,69.01 | 65.95,68.94 66.54,68.94 66.54,69.1 65.95,69.1 | 58.76,69.14 59.25,69.14 59.25,69.34 58.76,69.34 | 33.97,69.34 34.41,69.34 34.41,69.4 33.97,69.4 | 66.94,69.36 67.22,69.36 67.22,69.46 66.94,69.46 | 50.31,69.16 50.14,68.99 50.19,69.15 49.68,68.87 48.91,68.74 48.22,68.89 48.31,69.28 48.94,69.51 | 161.44,68.89 161.1,69.47 161.38,69.53 | 67.25,69.44 67.02,69.49 67.32,69.59 | 161.44,69.41 161.39,69.59 161.62,69.59 | 169.98,69.72 170.2,69.72 170.2,69.79 169.98,69.79 | 169.45,69.81 169.21,69.57 168.87,69.57 167.75,69.83 168.27,70.02 | 83.1,70.12 82.77,70.21 83.08,70.22 | 59.46,70.28 60.55,69.8 59.91,69.67 59.4,69.89 58.96,69.94 59.02,69.85 58.41,70.26 58.82,70.21 58.63,70.33 59.03,70.48 | 83.38,70.36 83.63,70.36 83.63,70.53 83.38,70.53 | 56.84,70.49 57.22,70.49 57.22,70.6 56.84,70.6 | 162.24,70.64 162.48,70.64 162.48,70.68 162.24,70.68 | 161.46,70.75 161.69,70.75 161.69,70.84 161.46,70.84 | 83.37,70.69 83.07,70.4 83.21,70.81 | 160.41,70.81 160.72,70.81 160.72,70.93 160.41,70.93 | 53.43,71.11 53.62,71.11 53.62,71.18 53.43,71.18 | 53.13,71.29 53.36,71.29 53.36,71.36 53.13,71.36 | 52.86,71.38 53.21,71.25 53.04,70.96 52.21,71.31 | -175.92,71.38 -175.62,71.38 -175.62,71.43 -175.92,71.43 | 180,71.54 180,71 178.79,70.8 178.62,71.04 | 137.96,71.5 137.68,71.41 136.99,71.52 137.75,71.59 | -178.57,71.56 -177.5,71.28 -177.62,71.12 -179.27,70.91 -180,71 -180,71.54 | 138.27,71.83 138.52,71.83 138.52,71.89 138.27,71.89 | 77.76,72.3 76.85,72.33 77.64,72.63 78.39,72.49 | 128.14,72.58 129.26,72.46 129.56,72.23 129.35,72.09 128.69,72.09 127.5,72.44 126.65,72.44 127.28,72.61 | 128.84,72.58 128.1,72.63 128.69,72.67 | 72.84,72.6 73,72.6 73,72.69 72.84,72.69 | 129.36,72.7 127.31,72.65 128.3,72.79 | 128.29,72.78 129.3,72.78 129.3,72.9 128.29,72.9 | 122.3,72.76 123.61,72.76 123.61,72.95 122.3,72.95 | 79.57,72.73 78.58,72.85 79.19,73.1 | 74.86,73.09 74.65,72.86 74.09,73.02 74.28,73.12 | 120.21,73.04 119.63,73.11 120.09,73.15 | 76.12,73.13 76.74,73.13 76.74,73.22 76.12,73.22 | 71.34,73.32 71.14,73.29 71.26,73.41 | 55.33,73.33 56.59,73.14 55.81,73.06 56.43,73.06 56.33,72.99 55.62,72.96 56.23,72.98 56.24,72.89 56.13,72.78 55.43,72.78 55.95,72.67 55.61,72.54 55.27,72.58 55.54,72.47 55.12,72.45 55.46,72.43 55.58,72.2 55.22,71.93 56.23,71.19 57.64,70.73 57.45,70.6 56.77,70.7 57.34,70.57 56.64,70.63 56.52,70.75 56.22,70.66 56.55,70.54 56.07,70.66 56.17,70.59 55.85,70.68 55.88,70.58 55.41,70.75 55.16,70.55 54.57,70.78 54.68,70.65 53.46,70.81 53.74,70.94 53.51,71.09 54.24,71.12 53.46,71.25 53.94,71.46 53.48,71.29 53.36,71.57 52.92,71.41 52.55,71.59 52.38,71.49 52.22,71.56 51.8,71.47 51.42,71.74 51.57,72.07 51.86,72.16 52.4,72.08 53.1,72.59 52.74,72.55 52.75,72.63 53.22,72.65 52.38,72.72 52.97,72.92 53.38,72.88 53.15,73.16 54.91,73.42 | 71.05,73.5 71,73.29 71.45,73.35 71.68,73.18 69.87,73.03 69.97,73.41 | 127.3,73.52 127.98,73.47 128.26,73.26 128.97,73.18 128.79,73.06 129.12,73.09 126.59,72.54 126.5,72.4 126.63,73.38 126.83,73.52 | 127.39,73.48 128.06,73.48 128.06,73.54 127.39,73.54 | 76.07,73.42 76.77,73.42 76.77,73.56 76.07,73.56 | 75.31,73.4 76.08,73.4 76.08,73.57 75.31,73.57 | 80.06,73.5 80.4,73.5 80.4,73.57 80.06,73.57 | 86.39,73.59 86.9,73.59 86.9,73.7 86.39,73.7 | 124.6,73.73 125.62,73.53 125.56,73.4 126.4,73.51 126.16,73.37 126.53,73.36 126.71,73.08 126.28,72.88 126.17,72.3 124.76,72.67 122.43,72.98 123.19,72.92 123.38,73.17 123.66,73.17 123.22,73.4 123.38,73.66 123.96,73.62 123.88,73.77 124.06,73.68 124.36,73.8 | 142.15,73.89 143.43,73.52 143.51,73.23 142.39,73.24 140.75,73.45 139.65,73.4 140.42,73.48 141.09,73.87 | 124.55,73.85 124.29,73.88 124.58,73.95 | 86.22,73.91 86.5,73.91 86.5,73.98 86.22,73.98 | 84.42,74.03 84.39,73.96 83.88,74.01 | 82.82,74.04 83.62,74.04 83.62,74.15 82.82,74.15 | 82.61,74.05 82.31,74.11 82.56,74.16 | 85.53,74.13 85.41,74.19 85.73,74.17 | 135.65,74.2 136.27,73.94 135.44,74.15 135.37,74.26 | 141.02,73.99 140.45,73.9 140.07,74.1 140.27,74.26 140.87,74.27 | 115.88,74.28 116.13,74.28 116.13,74.37 115.88,74.37 | 58.93,74.34 59.08,74.34 59.08,74.41 58.93,74.41 | 84.95,74.48 84.54,74.46 84.74,74.4 84.37,74.45 | 112.71,74.5 113.43,74.39 112.82,74.09 111.46,74.32 111.88,74.35 112.08,74.55 | 86.21,74.52 85.66,74.47 85.82,74.57 | 85.44,74.45 85.14,74.54 85.55,74.57 | 79.39,74.62 79.53,74.52 79.15,74.6 | 85.66,74.79 85.66,74.71 85.1,74.75 | 87.05,74.98 86.84,74.83 86.21,74.9 | 82.03,75.09 82.15,75.09 82.15,75.16 82.03,75.16 | 82.11,75.41 82.01,75.17 81.49,75.36 82.05,75.51 | 147.02,75.33 147.41,75.44 148.39,75.42 148.58,75.21 149.33,75.28 150.47,75.09 150.95,75.14 150.6,74.88 148.68,74.76 146.14,75.2 146.41,75.59 | 140.52,75.65 140.77,75.65 140.77,75.71 140.52,75.71 | 135.65,75.36 135.71,75.85 136.18,75.62 | 58.99,75.88 59.28,75.88 59.28,75.93 58.99,75.93 | 81.55,75.86 82.26,75.86 82.26,75.94 81.55,75.94 | 58.69,75.9 59.27,75.9 59.27,75.99 58.69,75.99 | 82.26,75.91 83.3,75.91 83.3,76 82.26,76 | 96.69,75.97 97.34,75.97 97.34,76.1 96.69,76.1 | 140.85,76.06 141.08,76.06 141.08,76.14 140.85,76.14 | 59.87,76.1 60.5,76.1 60.5,76.19 59.87,76.19 | 152.74,76.11 152.46,76.16 152.76,76.21 | 139.19,76.07 140.5,75.79 140.48,75.64 141.06,75.65 140.96,76.03 141.62,76.01 141.36,76.18 142.56,75.86 143.9,75.84 145.39,75.52 144.75,75.44 144.94,75.27 143.95,75.03 142.9,75.13 142.51,75.45 143.04,75.67 142.45,75.71 142.21,75.33 142.63,75.09 143.69,74.93 142.44,74.81 141.97,74.93 142.35,74.92 142.17,75 140.07,74.82 139.65,74.98 139.05,74.65 137.89,74.85 136.86,75.35 137.4,75.35 137.29,75.6 136.96,75.6 137.18,75.78 137.74,75.75 137.45,75.95 138.34,76.15 138.44,76.06 138.73,76.22 | 95,76.15 95.2,76.15 95.2,76.22 95,76.22 | 94.41,76.18 95,76.18 95,76.29 94.41,76.29 | 96.37,76.3 96.35,76.1 95.26,76.21 | 96.38,76.29 96.77,76.29 96.77,76.34 96.38,76.34 | 97,76.28 96.71,76.21 96.83,76.35 | 113.12,76.36 113.44,76.36 113.44,76.44 113.12,76.44 | 93.87,76.57 94.36,76.57 94.36,76.61 93.87,76.61 | 112.52,76.62 112.57,76.44 111.96,76.6 | 95.89,76.61 96.47,76.61 96.47,76.71 95.89,76.71 | 94.81,76.63 95.33,76.63 95.33,76.71 94.81,76.71 | 95.41,76.65 95.83,76.65 95.83,76.71 95.41,76.71 | 97.55,76.58 97.32,76.61 97.44,76.71 | 149.31,76.75 149.17,76.65 148.39,76.64 | 97.73,76.77 97.93,76.77 97.93,76.84 97.73,76.84 | 68.27,76.96 68.93,76.78 68.31,76.28 65.14,75.81 63.56,75.71 61.7,75.37 61.5,75.22 61.29,75.33 60.74,75.02 60.49,75.11 60.45,75.01 59.93,75 60.68,74.92 60.2,74.86 60.24,74.74 59.51,74.79 59.77,74.59 59.17,74.72 59.15,74.44 58.18,74.57 58.72,74.24 58.27,74.22 58.11,73.98 57.42,74.18 57.26,74.08 57.91,73.92 57.72,73.71 57.4,73.84 56.56,73.88 57.32,73.83 57.61,73.66 57.33,73.55 56.72,73.67 57.25,73.49 56.76,73.25 56.13,73.29 55.91,73.44 55.93,73.3 54.97,73.44 54.22,73.32 54.34,73.56 55.17,73.72 54.06,73.61 53.63,73.76 54.8,73.97 55.03,74.17 55.87,74.1 55.08,74.26 55.73,74.27 55.37,74.44 56.29,74.48 55.52,74.64 56.98,74.69 55.83,74.8 56.68,74.95 55.86,74.99 55.8,75.15 56.35,75.19 56.48,75.06 56.87,75.36 57.74,75.32 57.5,75.49 58.17,75.57 58,75.67 60.32,75.99 60.3,76.11 60.84,76.12 60.75,76.01 61.07,76.27 61.68,76.31 62.5,76.18 64.11,76.31 65.55,76.58 66.01,76.54 65.76,76.68 66.68,76.9 67.57,77.01 | 89.83,77.11 90.18,77.11 90.18,77.14 89.83,77.14 | 156.43,77.1 156.73,77.1 156.73,77.15 156.43,77.15 | 88.66,77.1 88.78,77 88.96,77.13 | 96.58,77.13 96.17,76.99 95.23,76.99 96.46,77.21 | 105.78,77.25 106.01,77.25 106.01,77.3 105.78,77.3 | 89.14,77.16 89.69,77.16 89.69,77.31 89.14,77.31 | 106.33,77.3 106.46,77.3 106.46,77.32 106.33,77.32 | 107.56,77.25 107.2,77.23 107.41,77.36 | 106.5,77.37 106.9,77.37 106.9,77.47 106.5,77.47 | 82.12,77.46 82.58,77.46 82.58,77.52 82.12,77.52 | 91.74,77.6 92.04,77.6 92.04,77.67 91.74,77.67 | 104.27,77.68 105.87,77.56 106.29,77.36 104.12,77.09 105.91,77.14 105.45,76.97 106.81,77.05 107.5,76.93 106.4,76.51 107.88,76.54 107.94,76.73 111.1,76.76 112.19,76.48 111.91,76.36 112.27,76.45 112.74,76.33 112.57,76.04 113.26,76.13 112.93,76.25 113.24,76.26 113.55,75.87 113.78,75.94 113.89,75.85 113.51,75.53 113.6,75.66 112.34,75.85 112.83,75.55 113.25,75.65 113.66,75.51 113.58,75.27 111.78,74.66 111.41,74.69 109.61,74.32 109.98,74.3 109.89,74.19 108.19,73.67 107.14,73.61 106.8,73.34 106.06,73.27 105.21,72.76 106.29,72.96 106.35,73.19 108.35,73.22 108.23,73.29 109.21,73.47 109.42,73.41 109.19,73.55 109.75,73.45 110.86,73.68 110.67,73.79 109.65,73.68 109.52,73.82 110.2,74.02 111,73.9 111.54,74.04 111.2,73.98 111.32,73.84 112.25,73.71 112.87,73.76 112.89,73.96 113.42,73.64 113.13,73.45 113.5,73.33 113.18,72.72 114.04,72.6 113.15,72.83 113.53,72.96 113.55,73.24 114.03,73.34 113.48,73.5 115.46,73.7 118.63,73.57 118.99,73.49 118.48,73.48 118.39,73.24 119.82,72.94 120.57,72.89 119.81,73.02 121.87,72.97 124.73,72.63 126.12,72.27 126.37,72.35 127.13,71.85 127.22,71.39 127.33,71.9 126.72,72.39 127.66,72.35 128.71,71.77 129.18,71.8 129.07,72 129.54,71.72 128.93,71.71 128.85,71.6 129.18,71.59 129.74,71.12 130.58,70.87 130.79,70.97 131.13,70.73 131.85,71.2 132.18,71.21 131.94,71.26 132.09,71.49 132.73,71.94 132.72,71.77 133.68,71.43 134.45,71.37 135.86,71.64 137.45,71.34 137.85,71.11 138.07,71.14 137.79,71.25 138.22,71.26 137.82,71.38 138.07,71.57 138.48,71.61 138.47,71.53 138.74,71.64 139.21,71.41 139.93,71.48 139.75,71.84 139.34,71.95 140.2,72.2 139.57,72.23 139.33,72.13 139.09,72.23 139.54,72.49 141,72.57 140.75,72.89 141.99,72.72 145.47,72.55 146.85,72.35 144.97,72.43 144.54,72.23 144.14,72.27 144.53,72.17 146.93,72.31 145.96,71.85 146.34,72.13 146.06,72.16 145.99,72.06 145.61,72.24 145.79,71.92 145.35,71.87 144.96,71.96 145.22,71.83 144.91,71.7 145.32,71.66 146.09,71.79 147.14,72.32 149.19,72.22 150.07,71.88 149.68,71.76 149.36,71.91 149.15,71.77 148.83,71.81 148.82,71.67 149.96,71.66 149.87,71.46 150.64,71.5 150.02,71.21 150.72,71.39 150.6,71.28 150.99,71.39 151.45,71.34 152.14,71 151.66,70.98 152.54,70.84 155.94,71.09 157.9,71.05 159.05,70.87 160.04,70.41 159.73,69.83 161,69.59 160.96,69.1 161.41,68.98 160.85,68.52 161.58,68.91 161.45,69.39 162.32,69.66 164.01,69.77 164.53,69.6 166.86,69.49 167.79,69.78 168.25,69.55 168.28,69.24 169.37,69.08 169.58,68.78 170.61,68.76 170.45,68.86 170.66,68.91 170.7,68.8 171.03,69.04 170.61,69.58 170.12,69.61 170.57,69.78 170.47,70.13 172.65,69.97 173.19,69.78 173.46,69.95 173.93,69.84 176.11,69.89 176.74,69.67 178.77,69.41 179.07,69.33 178.74,69.37 178.69,69.28 179.29,69.27 180,68.98 180,65.07 178.52,64.59 178.74,64.69 177.61,64.72 177.43,64.92 176.9,65.08 176.3,65.05 176.96,65.04 177.3,64.84 177.15,64.78 176.63,64.87 176.43,64.8 176.06,64.95 175.73,64.78 174.44,64.69 175.7,64.76 176.06,64.9 176.42,64.71 176.11,64.53 176.46,64.69 176.73,64.56 177.49,64.76 177.36,64.54 177.63,64.32 178.09,64.2 178.29,64.35 178.37,64.27 178.38,63.97 178.67,63.94 178.76,63.64 178.26,63.56 178.71,63.57 178.69,63.38 178.77,63.59 179,63.32 178.82,63.34 179.41,63.14 179.24,62.99 179.54,62.84 179.56,62.62 179.12,62.47 179.06,62.28 178.03,62.54 177.34,62.58 177.45,62.82 177.2,62.7 176.98,62.87 176.93,62.66 177.27,62.57 176.68,62.54 176.28,62.31 174.76,61.92 174.6,61.98 174.59,61.83 174.07,61.84 173.81,61.67 173.56,61.75 173.14,61.4 172.71,61.43 172.96,61.3 172.67,61.33 172.63,61.19 172.35,61.23 172.45,61.04 172.01,61.1 172.2,60.96 172.02,60.84 171.95,60.95 171.95,60.84 170.64,60.42 170.25,59.91 169.7,60.41 169.21,60.62 168.19,60.58 167.05,60.32 166.14,59.82 166.35,60.49 165.24,60.1 165,60.13 165.18,59.98 164.83,59.78 164.47,60.11 164.16,59.85 164.05,60.03 163.64,60.05 163.7,59.9 163.36,59.82 163.39,59.62 163.17,59.56 163.33,59.38 163.29,59.25 163.06,59.24 163.19,59.05 162.88,59.13 163.03,58.99 162.4,58.67 161.94,58.07 162.35,57.68 162.57,57.95 163.21,57.84 163.08,57.51 162.74,57.36 162.79,56.79 163.21,56.74 163.35,56.2 163.03,56.02 162.65,56.19 163.09,56.53 162.39,56.4 162.57,56.27 162.04,56.06 161.71,55.5 162.11,54.76 161.73,54.51 160.73,54.53 160.01,54.14 159.82,53.66 159.95,53.48 159.79,53.51 160.06,53.09 159.61,53.26 158.72,52.89 158.6,53.05 158.43,53.02 158.45,52.9 158.64,52.89 158.55,52.63 158.42,52.65 158.55,52.31 158.28,51.94 156.67,50.88 156.74,51.08 156.52,51.32 156.28,52.52 156.39,52.45 156.44,52.52 156.1,52.85 155.54,55.3 155.95,56.67 156.98,57.41 156.75,57.73 156.98,57.85 157.43,57.79 157.64,58 158.23,58.02 159.7,58.85 159.79,59.08 160.48,59.54 160.86,59.62 161.84,60.19 161.91,60.42 162.88,60.77 163.66,60.87 163.51,61.05 164.02,61.34 163.75,61.46 164.04,61.72 164.13,62.28 164.61,62.47 165.29,62.32 165.1,62.46 165.64,62.45 164.36,62.71 163.26,62.54 163.35,62.36 163.12,62.28 162.95,61.81 163.29,61.66 163.01,61.52 162.84,61.72 162.63,61.68 162.75,61.6 162.4,61.67 160.8,60.74 160.4,60.74 160.14,60.58 160.39,61.03 159.78,60.94 159.83,61.26 160.35,61.95 159.53,61.66 159.25,61.92 158.03,61.73 157.49,61.8 156.7,61.54 156.66,61.21 156.08,61.01 155.9,60.76 154.97,60.37 154.47,59.92 154.23,59.88 154.11,59.46 154.49,59.42 154.43,59.55 155.19,59.37 155.14,59.2 154.74,59.13 154.44,59.22 154.03,59.05 153.37,59.24 152.88,58.92 152.36,59.02 152.06,58.9 151.31,58.84 151.07,59.11 152.29,59.23 151.75,59.3 151.39,59.57 150.9,59.57 150.93,59.47 150.68,59.44 150.44,59.48 150.73,59.57 149.48,59.77 149.03,59.64 149.21,59.46 148.9,59.46 148.86,59.55 148.71,59.47 148.72,59.37 148.96,59.38 148.9,59.24 148.41,59.26 148.21,59.42 147.49,59.24 146.54,59.46 146.32,59.39 146.34,59.19 145.99,59.15 145.8,59.26 145.9,59.42 143.21,59.38 142.3,59.14 141.62,58.65 140.9,58.38 140.5,57.82 140.05,57.72 138.64,56.98 137.73,56.17 135.16,54.87 135.74,54.57 136.82,54.65 136.76,53.77 137.17,53.83 137.29,54.03 137.06,54.14 137.19,54.21 137.74,54.32 137.31,54.11 137.59,53.95 137.86,53.96 137.21,53.59 137.35,53.53 137.9,53.57 138.55,53.99 138.57,53.81 138.24,53.56 138.47,53.52 138.78,54.02 138.64,54.3 139.34,54.18 139.81,54.3 140.24,54.05 140.26,53.86 140.56,53.65 141.42,53.29 141.2,52.99 140.71,53.11 141.21,52.84 141.31,52.66 141.13,52.4 141.51,52.21 141.3,52.02 141.42,51.92 140.91,51.62 140.87,51.36 140.69,51.32 140.68,50.95 140.46,50.71 140.52,50.16 140.7,50.09 140.41,49.87 140.56,49.56 140.34,49.27 140.39,48.97 140.18,48.45 139.29,47.82 139.04,47.4 138.57,47.04 138.06,46.18 136.36,44.79 136.18,44.51 135.84,44.36 135.42,43.76 133.91,42.87 133.03,42.68 133,42.82 132.84,42.74 132.77,42.87 132.46,42.93 132.31,42.84 132.34,43.3 131.94,43.06 131.84,43.09 132.06,43.31 131.81,43.33 131.22,42.56 131.11,42.66 130.7,42.68 130.87,42.52 130.7,42.29 130.61,42.62 130.4,42.71 131.12,42.91 131.31,43.39 131.19,43.55 131.3,44.05 130.95,44.85 131.47,44.97 131.86,45.35 132.92,45.02 133.12,45.13 133.15,45.45 133.47,45.62 133.48,45.83 133.9,46.25 133.85,46.48 134.22,47.11 134.18,47.32 134.55,47.47 134.77,47.71 134.56,47.99 134.74,48.27 134.42,48.39 133.75,48.25 133.51,48.07 133.09,48.1 132.52,47.71 130.99,47.69 130.66,48.1 130.83,48.32 130.52,48.61 130.67,48.86 130.22,48.86 129.48,49.42 129.1,49.35 128.77,49.58 127.84,49.59 127.53,49.79 127.59,50.21 127.33,50.32 127.29,50.74 126.93,51.06 126.97,51.32 126.82,51.27 126.92,51.38 126.44,51.99 126.56,52.13 126.32,52.19 126.33,52.4 125.99,52.58 126.1,52.76 125.65,52.88 125.62,53.05 125.13,53.2 124.49,53.19 123.62,53.54 120.86,53.28 120.03,52.77 120.07,52.59 120.44,52.64 120.72,52.54 120.71,51.98 120.1,51.66 119.14,50.39 119.36,50.34 119.31,50.09 118.58,49.93 117.87,49.52 116.98,49.71 116.25,50.03 115.41,49.9 114.85,50.23 114.31,50.28 113.22,49.82 113.09,49.6 111.33,49.34 110.79,49.15 109.54,49.23 109.21,49.36 108.57,49.33 107.95,49.68 107.98,49.94 107.18,50.02 106.66,50.34 106.25,50.3 105.34,50.48 103.7,50.14 102.92,50.32 102.33,50.57 102.22,51.33 101.38,51.45 100.55,51.74 99.95,51.75 98.93,52.14 98.71,51.83 98.32,51.7 98.23,51.46 98.05,51.46 97.83,51 98.06,50.63 98.32,50.53 98.29,50.29 98.11,50.05 97.34,49.73 97,49.89 96.59,49.86 96.07,50.01 95.53,49.89 94.98,50.06 94.64,50.02 94.39,50.21 94.27,50.57 93.11,50.6 92.97,50.79 92.66,50.68 92.32,50.81 90.05,50.08 89.64,49.9 89.72,49.72 89.37,49.58 89.23,49.64 89.18,49.51 88.22,49.46 87.99,49.18 87.41,49.08 86.62,49.59 86.77,49.79 86.62,49.8 86.19,49.47 85.26,49.59 84.98,49.91 85.01,50.08 84.36,50.21 83.97,50.8 83.46,51 82.76,50.91 82.5,50.72 81.47,50.74 81.42,50.97 81.07,50.95 81.18,51.2 80.69,51.31 80.44,51.2 80.47,50.97 80.08,50.76 77.91,53.27 76.52,53.99 76.39,54.16 76.72,54.15 76.81,54.45 75.5,54.12 75.03,53.81 74.79,53.84 74.47,53.69 74.43,53.48 73.92,53.65 73.44,53.44 73.24,53.64 73.44,53.88 73.71,53.87 73.76,54.07 73.29,53.95 72.98,54.13 72.61,54.15 72.53,54.05 72.73,53.96 72.47,53.91 72.51,54.14 72.05,54.39 72.19,54.14 71.77,54.26 71.65,54.11 71.34,54.21 71.19,54.1 71,54.34 71.21,54.33 71.28,54.69 71.01,54.8 70.84,55.3 70.47,55.3 70.24,55.14 69.67,55.35 69.23,55.33 68.95,55.44 69,55.29 68.73,55.37 68.63,55.2 68.2,55.18 68.33,55.08 68.21,54.97 65.99,54.62 65.97,54.71 65.76,54.6 65.48,54.64 65.22,54.53 65.22,54.32 64.92,54.41 63.99,54.31 63.9,54.2 63.17,54.19 63.11,54.1 62.59,54.05 62.55,53.88 62.36,54.02 62.02,54.02 62.03,53.94 61.42,54.07 61.01,53.95 61.23,53.81 60.91,53.62 61.54,53.59 61.58,53.51 61.24,53.51 61.18,53.31 62.1,53.12 62.12,53 61.1,52.98 60.69,52.68 61.06,52.34 60,51.96 60.5,51.8 60.39,51.67 60.94,51.62 60.98,51.5 61.49,51.42 61.69,51.27 61.38,50.78 60.7,50.66 60.31,50.69 60.04,50.86 59.82,50.55 59.54,50.48 59.49,50.63 58.67,50.8 58.61,51.04 58.34,51.16 58.17,51.05 57.79,51.12 57.74,50.91 57.48,50.86 57.13,51.09 56.77,51.09 56.73,50.98 56.51,51.08 55.69,50.53 54.65,51.04 54.55,50.92 54.7,50.61 54.52,50.53 54.4,50.63 54.51,50.86 53.96,51.19 53.68,51.23 53.43,51.49 52.6,51.46 52.34,51.78 51.87,51.67 51.69,51.46 51.3,51.48 51.39,51.64 50.77,51.77 50.81,51.59 50.6,51.64 50.36,51.32 49.8,51.11 49.46,51.12 49.43,50.85 48.7,50.59 48.92,50.03 48.8,49.94 48.45,49.82 48.25,49.87 47.95,50.25 47.63,50.45 47.49,50.42 47.3,50.03 46.93,49.86 46.8,49.34 47.06,49.14 46.78,48.94 46.5,48.42 47.12,48.27 47.14,47.82 47.38,47.69 47.44,47.84 48.2,47.7 49.03,46.78 48.77,46.69 48.54,46.75 48.56,46.56 49.31,46.26 48.67,46.12 48.71,45.83 48.57,45.97 47.83,45.66 47.55,45.77 47.64,45.55 47.38,45.74 47.57,45.56 47.08,44.78 46.77,44.69 46.68,44.52 47.35,44.03 47.5,43.77 47.41,43.5 47.54,43.86 47.7,43.87 47.46,43.02 48.58,41.84 47.91,41.22 47.57,41.21 47.28,41.32 46.76,41.86 46.64,41.82 45.65,42.2 45.7,42.52 45.35,42.53 44.93,42.76 44.81,42.67 44.55,42.76 43.78,42.6 43.83,42.75 43.2,42.94 42.86,43.18 41.59,43.22 40.68,43.55 40.13,43.57 40,43.38 38.76,44.27 38.18,44.4 37.79,44.72 37.8,44.63 37.49,44.67 37.2,44.98 36.62,45.13 36.58,45.2 36.96,45.27 36.78,45.38 36.67,45.33 36.83,45.44 37.09,45.34 37.08,45.24 37.52,45.36 37.73,45.3 37.59,45.63 37.84,45.77 37.94,46.03 38.09,46.05 38.1,45.94 38.23,46.14 38.56,46.03 38.09,46.39 37.9,46.4 37.73,46.67 38.02,46.62 38.27,46.73 38.58,46.65 38.37,46.72 38.46,46.86 39.28,47.01 39.25,47.26 38.56,47.11 38.56,47.21 38.77,47.25 38.6,47.24 38.24,47.11 38.22,47.34 38.34,47.6 38.75,47.69 38.85,47.86 39.8,47.86 40,48.3 39.85,48.56 39.66,48.62 39.8,48.82 40.08,48.87 39.78,48.9 39.7,49.01 40.17,49.25 40.14,49.6 39.8,49.55 39.19,49.88 38.95,49.81 38.31,50.07 38.02,49.9 37.46,50.44 36.64,50.21 36.14,50.43 35.61,50.37 35.39,50.63 35.37,51.04 35.17,51.05 35.07,51.22 34.38,51.26 34.1,51.65 34.42,51.8 33.83,52.36 33.2,52.38 32.92,52.25 32.39,52.34 32.22,52.08 31.78,52.11 31.59,52.32 31.58,52.8 31.27,53.02 31.44,53.21 32.22,53.11 32.74,53.46 32.44,53.57 32.45,53.73 31.76,53.8 31.84,54.06 31.33,54.24 31.1,54.65 30.78,54.79 31.03,55.04 30.81,55.29 30.92,55.61 30.25,55.85 29.49,55.69 29.41,55.96 29.06,56.03 28.83,55.94 28.65,56.09 28.31,56.05 28.19,56.14 27.94,56.82 27.7,56.91 27.86,57.3 27.35,57.59 27.55,57.82 27.82,57.87 27.47,58.21 27.42,58.79 27.91,59.27 28.17,59.31 28.01,59.76 28.37,59.66 28.5,59.86 28.84,59.78 29.19,60.01 30.16,59.86 30.25,59.97 29.82,60.17 29.03,60.18 28.6,60.38 28.44,60.56 28.7,60.45 28.69,60.74 28.15,60.53 27.81,60.55 31.26,62.51 31.59,62.91 31.22,63.22 30,63.74 30.6,64.05 30.58,64.22 30.05,64.4 30.14,64.77 29.64,64.93 29.87,65.12 29.6,65.25 29.82,65.65 30.13,65.72 29.07,66.9 30.03,67.69 29.36,68.08 28.7,68.19 28.46,68.53 28.82,68.84 28.45,68.91 29.13,69.05 29.31,69.32 30.1,69.5 30.1,69.66 30.86,69.54 30.85,69.79 31.79,69.68 31.71,69.83 32.05,69.77 32.06,69.96 33.13,69.73 32.87,69.58 32.11,69.68 32.5,69.51 32.2,69.42 33.03,69.47 32.81,69.3 33.52,69.42 33.24,69.27 33.53,69.19 33.02,68.95 33.64,69.33 35.84,69.2 37.77,68.68 38.43,68.34 38.64,68.38 39.57,68.06 39.85,68.04 39.79,68.16 40.48,67.75 40.99,67.72 41.11,67.25 41.39,67.12 41.22,66.84 40.07,66.28 38.61,66.05 35.52,66.39 34.85,66.6 34.47,66.53 34.44,66.65 33.19,66.81 32.67,67.12 31.85,67.15 32.25,67.13 32.81,66.72 33.32,66.65 32.87,66.58 33.53,66.54 32.95,66.52 33.73,66.43 33.31,66.32 34.1,66.25 34.85,65.9 34.96,65.72 34.69,65.8 34.68,65.45 34.38,65.38 34.94,64.84 34.79,64.55 35.32,64.33 35.57,64.41 35.8,64.34 36.28,64.14 36.28,64.01 37.41,63.8 38.08,64.07 37.8,64.43 37.33,64.35 36.55,64.74 36.44,64.94 36.83,64.99 36.87,65.18 38.41,64.86 38.04,64.77 38.05,64.64 38.54,64.8 39.55,64.56 39.92,64.6 39.83,64.67 40.51,64.54 39.75,65.55 40.7,65.97 41.42,66.09 42.17,66.52 42.67,66.4 43.3,66.42 43.7,66.24 43.35,66.04 43.51,65.97 43.39,66.08 43.86,66.18 44.17,65.87 44.08,66.2 44.5,66.91 43.75,67.32 44.27,67.92 44.25,68.27 43.31,68.68 44.12,68.54 45.26,68.57 45.9,68.48 46.52,68.14 46.71,67.81 45.38,67.74 44.91,67.37 45.6,67.17 46.03,66.83 46.58,66.86 46.39,66.74 47.7,66.99 47.99,67.65 48.68,67.71 49.1,67.63 48.59,67.93 49.23,67.87 50.78,68.37 52.07,68.54 52.35,68.48 52.27,68.31 52.73,68.47 52.65,68.65 52.29,68.61 53.78,68.97 54.56,68.99 53.6,68.91 54.02,68.86 53.72,68.65 53.95,68.4 53.33,68.35 53.33,68.24 54.24,68.2 54.5,68.31 54.79,68.16 55.32,68.55 55.97,68.66 57.28,68.56 58.18,68.88 58.42,68.74 58.28,68.9 58.9,69 59.23,68.99 58.89,68.93 59.43,68.75 59.07,68.62 59.07,68.42 59.84,68.37 59.81,68.68 60.49,68.72 60.91,68.9 60.89,69.13 60.6,69.13 60.14,69.57 60.67,69.67 60.87,69.86 64.15,69.54 64.99,69.31 64.79,69.14 65.07,69.27 67.12,68.84 67.19,68.7 68.16,68.41 68.26,68.19 68.44,68.22 69.1,68.83 68.94,68.9 69.22,68.96 68.46,68.98 68.05,69.28 68.1,69.55 67.95,69.49 67,69.7 66.8,69.57 66.87,70 67.33,70.1 67.09,70.22 67.34,70.75 67.11,70.84 66.69,70.76 66.89,71.08 66.62,71.05 66.92,71.29 67.97,71.54 68.47,71.82 69.33,72.95 71.56,72.91 72.83,72.71 72.88,72.28 71.8,71.47 72.84,70.87 72.78,70.42 72.42,70.27 72.69,69.85 72.55,68.98 73.65,68.46 73.1,68.22 73.04,67.72 72.56,67.6 72.4,67.32 72.04,67.3 72.23,67.16 71.77,66.95 71.41,66.97 71.56,66.65 70.69,66.51 70.29,66.62 70.73,66.76 70.32,66.68 69.89,66.83 68.97,66.8 69.39,66.51 72,66.22 72.35,66.3 72.47,66.6 73.85,66.98 73.91,67.3 74.74,67.69 74.73,68.14 74.33,68.38 74.64,68.77 76.59,68.97 76.64,68.77 77.32,68.52 77.09,67.78 77.79,67.56 79.04,67.57 77.46,67.76 77.56,68.14 78.17,68.26 77.63,68.91 76.04,69.24 75.48,69.25 74.75,69.08 73.93,69.07 73.75,69.17 73.89,69.43 73.52,69.76 74.31,70.67 73.02,71.42 73.53,71.82 74.96,72.11 74.83,72.83 75.36,72.81 75.72,72.56 75.24,71.38 76.84,71.19 76.92,71.07 76.99,71.18 77.67,71.16 78.42,70.89 79.06,70.95 79.08,71.02 78.55,70.96 77.99,71.37 77.51,71.3 76.27,71.57 76.06,71.88 76.9,72.05 77.56,71.83 78.12,71.88 78.02,72.1 77.37,72.1 78.33,72.39 79.5,72.36 80.83,72.09 80.63,72.04 81.65,71.71 83.26,71.72 82.99,71.45 82.26,71.26 82.41,70.77 82.08,70.57 82.35,70.2 82.16,70.58 82.44,70.61 82.66,70.95 83.12,70.89 82.64,70.17 83.11,70.07 82.95,70.32 83.53,70.34 83.75,70.46 83.15,71.24 83.63,71.62 83.38,71.83 82.18,72.09 82.19,72.28 81.21,72.35 80.72,72.53 80.82,72.97 80.23,73.17 80.57,73.22 80.25,73.31 80.51,73.57 84.75,73.76 85.22,73.7 86.79,73.9 87.03,73.78 85.78,73.46 86.78,72.99 85.85,73.48 87.18,73.62 87.66,73.89 87.31,73.83 86.97,74.03 87.36,74.05 85.95,74.28 86.46,74.45 86.88,74.39 86.71,74.3 87.13,74.37 86.62,74.56 85.79,74.63 86.03,74.81 86.91,74.61 87.18,74.99 87.79,75.02 86.92,75.07 86.99,75.15 87.99,75.1 89.25,75.5 89.44,75.44 90.1,75.59 91.62,75.64 91.71,75.74 94.07,75.91 93.41,75.87 93.29,75.98 92.91,75.89 93.16,76.1 93.41,76.01 93.99,76.05 93.66,76.12 94.47,76.05 94.57,76.15 95.72,76.14 96.2,76.09 95.74,75.85 96.51,76.01 96.45,75.87 97.29,76.04 97.18,75.93 97.82,75.98 97.55,76.05 98.75,76.26 99.28,76.21 99.77,76.03 99.09,75.55 100.19,75.17 99.82,75.47 99.17,75.57 99.88,76.09 98.81,76.49 100.84,76.53 102.23,76.38 100.88,76.55 101.23,76.75 100.91,76.97 103.2,77.65 | 107.64,78.17 107.44,78.05 106.49,78.12 | 93.52,78.15 93.75,78.15 93.75,78.22 93.52,78.22 | 105.99,78.19 106.76,78.19 106.76,78.34 105.99,78.34 | 92.18,79.07 92.73,79.07 92.73,79.13 92.18,79.13 | 102.97,79.33 102.39,78.83 102.91,79.05 103.95,79.13 104.6,78.77 105.17,78.81 105.37,78.51 104.76,78.33 102.72,78.16 101.28,78.19 99.91,77.95 99.34,78.02 100.38,78.75 101.16,78.75 100.89,78.98 101.62,78.98 100.99,79.06 101.55,79.35 102.21,79.24 102.28,79.42 | 92.58,79.38 92.99,79.38 92.99,79.44 92.58,79.44 | 91.8,79.38 92.47,79.38 92.47,79.45 91.8,79.45 | 99.85,79.4 100.02,79.4 100.02,79.46 99.85,79.46 | 90.78,79.45 91.47,79.45 91.47,79.55 90.78,79.55 | 76.23,79.6 77.62,79.51 76.78,79.48 | 99.9,79.58 100.31,79.58 100.31,79.7 99.9,79.7 | 91.12,79.65 91.86,79.65 91.86,79.73 91.12,79.73 | 58.69,79.94 58.87,79.87 58.28,79.93 | 93.93,79.96 94.33,79.96 94.33,80.04 93.93,80.04 | 49.19,79.99 49.44,79.99 49.44,80.04 49.19,80.04 | 91.18,80.05 92.91,80.02 93.81,79.89 93.01,79.7 91.92,79.67 92.34,79.74 91.07,79.85 | 49.33,80.02 49.68,80.02 49.68,80.09 49.33,80.09 | 51.2,80.04 51.44,79.92 50.04,79.97 50.97,80.1 | 59.42,79.92 58.76,80.02 59.79,80.09 | 97.61,80.17 98.03,80.07 97.21,79.7 97.94,79.9 98.38,79.87 98.53,80.05 99.22,80.04 100.02,79.82 99.66,79.3 99.04,79.29 99.86,79.08 99.48,78.83 98.3,78.78 96.69,78.99 95.67,79 95.53,79.11 95.01,79.04 94.33,79.47 93.7,79.46 93.88,79.6 93.22,79.44 92.85,79.55 94.62,79.81 94.23,79.9 94.91,80.1 95.27,80.02 95.58,80.11 | 59.9,80.16 60.29,80.16 60.29,80.2 59.9,80.2 | 50.25,80.15 49.97,80.05 49.53,80.15 50.02,80.24 | 54.15,80.2 54.45,80.2 54.45,80.33 54.15,80.33 | 54.86,80.22 55.54,80.22 55.54,80.34 54.86,80.34 | 52.17,80.32 52.52,80.32 52.52,80.36 52.17,80.36 | 57.1,80.34 57.05,80.07 55.71,80.1 56.01,80.34 | 53.62,80.29 53.43,80.17 52.18,80.27 52.93,80.41 | 55.79,80.37 56.33,80.37 56.33,80.44 55.79,80.44 | 54.98,80.37 55.37,80.37 55.37,80.45 54.98,80.45 | 54.64,80.39 54.37,80.41 54.67,80.49 | 57.97,80.49 59.28,80.33 58.18,80.29 57.99,80.1 57.4,80.13 56.95,80.47 | 55.02,80.56 55.05,80.47 54.64,80.53 | 54.3,80.42 53.78,80.47 54.21,80.59 | 58.01,80.64 57.87,80.55 57.21,80.6 | 58.54,80.58 58.86,80.58 58.86,80.65 58.54,80.65 | 53.11,80.48 53.55,80.48 53.55,80.66 53.11,80.66 | 56.78,80.74 56.44,80.62 55.43,80.71 | 47.9,80.8 48.62,80.77 48.75,80.61 47.75,80.77 46.15,80.44 46.04,80.57 45.49,80.52 44.86,80.62 47.2,80.84 | 62.22,80.81 61.07,80.4 60.25,80.49 59.63,80.42 59.22,80.64 59.88,80.84 | 55.45,80.85 55.98,80.8 54.88,80.72 53.98,80.82 | 58.99,80.79 57.82,80.81 58.76,80.9 | 50.13,80.85 50.85,80.92 50.32,80.72 51.27,80.79 51.73,80.68 49.69,80.48 49.6,80.36 48.81,80.38 48.99,80.15 48.5,80.2 47.65,80.07 47.96,80.24 47.11,80.16 46.62,80.29 48.18,80.33 47.62,80.4 48.12,80.47 47.39,80.46 48.39,80.57 49.19,80.52 49.68,80.72 48.97,80.74 | 79.98,80.95 80.27,80.85 78.97,80.84 79.22,80.95 | 58.53,80.95 57.83,81.05 58.37,81.09 | 58.52,81.07 58.81,81.07 58.81,81.11 58.52,81.11 | 56.24,81.1 58.28,80.92 57.61,80.86 | 54.75,81.11 57.72,80.79 57.02,80.69 54.43,81 | 60.99,80.92 60.02,80.99 61.54,81.12 | 58.15,81.11 58.65,81.11 58.65,81.15 58.15,81.15 | 50.6,81.05 50.52,81.16 50.98,81.1 | 65.45,81.03 64.3,80.73 63.14,80.68 62.5,80.82 64.09,80.99 64.48,81.19 | 59.01,81.17 59.84,81.17 59.84,81.22 59.01,81.22 | 91.25,81.06 89.89,81.17 91.27,81.21 | 57.56,81.13 56.99,81.17 57.95,81.24 | 95.96,81.22 97.97,80.72 97.13,80.66 97.16,80.23 93.68,79.99 92.06,80.17 92.89,80.17 92.11,80.28 93.25,80.31 91.42,80.31 92.62,80.38 91.89,80.46 92.78,80.52 93.33,80.81 92.49,80.77 93.07,80.99 95.55,81.22 95.12,81.27 | 59.72,81.24 60.64,81.24 60.64,81.31 59.72,81.31 | 54.11,81.27 54.42,81.27 54.42,81.35 54.11,81.35 | 57.46,81.31 56.48,81.16 55.43,81.27 56.6,81.26 56.44,81.39 | 59.05,81.28 58.46,81.34 59.09,81.4 | 57.8,81.53 58.26,81.37 56.74,81.45 | 61.65,81.54 62.2,81.54 62.2,81.61 61.65,81.61 | 58.23,81.56 58.72,81.56 58.72,81.61 58.23,81.61 | 62.79,81.71 63.8,81.65 63.03,81.59 62.1,81.67 | 59.29,81.74 57.89,81.71 58.7,81.84
+RW 29.95,-2.31 29.88,-2.74 29.53,-2.83 29.36,-2.82 29.33,-2.65 29.14,-2.59 29.02,-2.74 28.93,-2.68 28.87,-2.39 29.11,-2.25 29.13,-1.85 29.36,-1.51 29.83,-1.32 29.97,-1.46 30.36,-1.06 30.48,-1.06 30.83,-1.65 30.84,-2.33 30.57,-2.4 30.39,-2.3 30.15,-2.43
+SA 41.96,16.71 42.07,16.71 42.08,16.81 42.17,16.56 41.84,16.72 41.75,16.88 | 41.99,16.75 41.84,16.87 41.93,16.95 41.85,17.01 | 37.03,24.96 37.08,24.96 37.08,25 37.03,25 | 35.73,27.08 35.76,27.08 35.76,27.13 35.73,27.13 | 49.54,27.36 49.64,27.32 49.45,27.29 | 34.49,27.91 34.62,27.91 34.62,28.01 34.49,28.01 | 44.72,29.2 47.46,29 47.69,28.54 48.5,28.5 48.65,28.04 48.88,27.84 48.84,27.62 49.25,27.54 49.31,27.44 49.12,27.44 49.41,27.13 49.52,27.19 50.16,26.66 49.99,26.73 50.22,26.3 50.16,26.1 50.02,26.19 49.99,26.02 50.25,25.67 50.15,25.7 50.48,25.41 50.77,24.72 50.98,24.58 51.31,24.6 51.3,24.51 51.48,24.59 51.28,24.31 51.58,24.26 51.58,24.12 52.58,22.94 55.14,22.63 55.2,22.7 55.67,22 55,20 52,19 48.77,18.27 46.33,15.62 46.33,16.67 44.47,17.41 43.94,17.31 43.51,17.52 43.31,17.46 43.12,16.93 43.21,16.67 42.79,16.38 42.55,17 42.41,17.12 42.37,17.04 42.31,17.45 41.68,17.95 41.44,18.47 41.21,18.69 41.17,19.07 40.77,19.6 40.76,19.76 40.1,20.27 39.66,20.44 39.18,21.1 39.16,21.5 38.99,21.84 39.06,22.58 38.45,23.78 37.44,24.37 37.15,24.83 37.26,24.87 37.24,25.18 36.93,25.64 36.72,25.75 36.7,26.02 36.5,26.12 35.16,28.06 34.57,28.1 34.81,28.54 34.96,29.36 36.07,29.19 36.5,29.5 36.74,29.86 37.5,30 37.67,30.34 38,30.5 37.01,31.51 39,32.01 39.2,32.15 40.41,31.95 42.09,31.11
+SB 166.85,-11.7 166.76,-11.58 166.92,-11.65 | 160.08,-11.5 160.53,-11.81 160.02,-11.6 159.97,-11.5 | 159.78,-11.33 159.85,-11.33 159.85,-11.28 159.78,-11.28 | 166.49,-11.37 166.58,-11.37 166.58,-11.27 166.49,-11.27 | 162.46,-10.86 162.5,-10.86 162.5,-10.81 162.46,-10.81 | 166.14,-10.76 165.88,-10.87 165.78,-10.8 165.9,-10.67 166.15,-10.68 | 161.71,-10.29 161.77,-10.29 161.77,-10.21 161.71,-10.21 | 161.55,-10.28 161.84,-10.45 162.11,-10.45 162.39,-10.84 161.78,-10.72 161.54,-10.54 161.5,-10.37 161.28,-10.33 161.3,-10.21 | 167.19,-9.96 167.21,-9.96 167.21,-9.94 167.19,-9.94 | 167.11,-9.88 167.13,-9.88 167.13,-9.87 167.11,-9.87 | 167.09,-9.85 167.11,-9.85 167.11,-9.84 167.09,-9.84 | 161.93,-9.85 161.98,-9.85 161.98,-9.69 161.93,-9.69 | 161.38,-9.47 161.39,-9.47 161.39,-9.45 161.38,-9.45 | 161.57,-9.72 161.56,-9.8 161.4,-9.67 161.35,-9.34 | 159.94,-9.43 160.39,-9.43 160.83,-9.86 160.65,-9.93 159.83,-9.8 159.62,-9.54 159.6,-9.32 159.73,-9.26 | 159.8,-9.17 159.85,-9.17 159.85,-9.11 159.8,-9.11 | 160.41,-9.14 160.21,-9.17 160.32,-9.06 | 159.17,-9.14 159.24,-9.14 159.24,-9.03 159.17,-9.03 | 160.3,-9.06 160.26,-9.13 160.08,-9.05 | 159.15,-9.11 159.03,-9.06 159.14,-8.99 | 160.06,-9.02 160.11,-9.02 160.11,-8.94 160.06,-8.94 | 160.01,-8.92 160.05,-8.92 160.05,-8.88 160.01,-8.88 | 161.01,-8.77 161.06,-8.77 161.06,-8.74 161.01,-8.74 | 157.44,-8.8 157.65,-8.8 157.65,-8.69 157.44,-8.69 | 158.15,-8.84 158.25,-8.84 158.25,-8.68 158.15,-8.68 | 158,-8.77 157.88,-8.61 158.12,-8.53 | 157.41,-8.5 157.38,-8.73 157.2,-8.57 157.35,-8.41 | 159.68,-8.55 159.54,-8.47 159.57,-8.38 | 162.73,-8.39 162.76,-8.39 162.76,-8.37 162.73,-8.37 | 160.97,-8.85 161.17,-8.97 161.38,-9.63 160.81,-9.07 160.58,-8.33 160.75,-8.31 160.98,-8.58 | 157.02,-8.34 157.15,-8.34 157.15,-8.19 157.02,-8.19 | 157.09,-8.29 157.21,-8.29 157.21,-8.16 157.09,-8.16 | 156.78,-8.12 156.85,-8.12 156.85,-8.06 156.78,-8.06 | 157.63,-8.24 157.78,-8.25 157.91,-8.48 157.81,-8.62 157.58,-8.44 157.53,-8.26 157.23,-8.29 157.5,-7.97 | 156.52,-8.21 156.62,-8.21 156.62,-7.94 156.52,-7.94 | 157.16,-8.15 156.97,-8.05 157.03,-7.87 157.18,-7.93 | 158.53,-7.71 158.58,-7.71 158.58,-7.66 158.53,-7.66 | 156.71,-7.9 156.5,-7.71 156.55,-7.58 156.81,-7.73 | 158.31,-7.66 158.53,-7.66 158.53,-7.57 158.31,-7.57 | 159.85,-8.33 159.88,-8.57 159.01,-8.09 158.49,-7.55 158.76,-7.63 | 158.26,-7.56 158.43,-7.56 158.43,-7.47 158.26,-7.47 | 157.68,-7.48 157.79,-7.48 157.79,-7.39 157.68,-7.39 | 155.51,-7.39 155.61,-7.39 155.61,-7.32 155.51,-7.32 | 155.86,-7.1 155.67,-7.09 155.74,-6.97 | 156.04,-6.99 156.11,-6.99 156.11,-6.82 156.04,-6.82 | 156,-6.83 156.05,-6.83 156.05,-6.79 156,-6.79 | 157.43,-7.32 157.53,-7.32 157.44,-7.43 156.94,-7.22 156.44,-6.64 156.65,-6.66 157.04,-6.9 157.19,-7.18 | 159.7,-5.52 159.72,-5.52 159.72,-5.48 159.7,-5.48 | 159.5,-5.5 159.53,-5.5 159.53,-5.46 159.5,-5.46 | 159.35,-5.45 159.41,-5.45 159.41,-5.41 159.35,-5.41 | 159.24,-5.32 159.25,-5.32 159.25,-5.29 159.24,-5.29
+SC 46.48,-9.76 46.51,-9.76 46.51,-9.72 46.48,-9.72 | 46.51,-9.4 46.27,-9.46 46.2,-9.39 | 46.28,-9.36 46.43,-9.36 46.43,-9.33 46.28,-9.33 | 56.25,-7.19 56.29,-7.19 56.29,-7.11 56.25,-7.11 | 55.54,-4.76 55.38,-4.63 55.46,-4.55 | 55.22,-4.51 55.27,-4.51 55.27,-4.45 55.22,-4.45 | 55.69,-4.35 55.78,-4.35 55.78,-4.28 55.69,-4.28
+SD 22.86,10.92 23.64,9.86 23.63,9.28 23.44,9.02 23.57,8.97 23.49,8.73 24.11,8.68 24.56,8.89 24.8,9.82 24.98,9.97 25.08,10.29 25.83,10.42 25.91,10.18 26.63,9.48 27.08,9.61 27.9,9.6 28.05,9.33 28.84,9.32 28.91,9.53 29.48,9.76 29.62,10.06 30.01,10.27 30.77,9.72 31.16,9.76 32.43,11.08 32.35,11.7 32.08,12 32.75,12 32.73,12.22 33.21,12.21 33.08,11.6 33.14,10.74 33.92,10.17 33.97,9.85 33.88,9.5 34.07,9.45 34.33,10.22 34.28,10.57 34.57,10.88 34.75,10.68 34.84,10.73 34.96,10.9 35.07,11.82 35.32,12.02 35.69,12.66 36.12,12.72 36.53,14.26 36.43,15.13 36.95,16.28 36.88,16.51 36.97,17.06 37.4,17.03 37.5,17.31 38.04,17.55 38.23,17.53 38.6,18.01 38.39,18.22 38.22,18.22 38.31,18.31 38.15,18.25 37.93,18.59 37.54,18.72 37.43,18.86 37.24,19.58 37.23,20.57 37.09,21.04 37.12,21.22 37.23,21.02 37.31,21.06 36.89,21.65 36.88,22 31.44,22 31.42,22.23 31.25,21.99 24.98,22 24.98,20 23.98,20 23.98,15.72 23.09,15.7 22.91,15.54 22.96,15.2 22.66,14.86 22.68,14.69 22.36,14.54 22.55,14.14 22.07,13.78 22.27,13.33 21.96,13.1 21.81,12.79 21.94,12.64 22.2,12.74 22.45,12.61 22.37,12.46 22.46,12.03 22.61,12.07 22.54,11.63 22.77,11.4 22.91,11.4 22.95,11.25 | 37.24,20.75 37.28,20.75 37.28,20.86 37.24,20.86
+SE 16.84,56.83 16.42,56.21 16.54,56.78 17.06,57.36 | 18.21,56.91 18.12,57.53 18.68,57.91 19,57.91 18.71,57.24 | 19.33,57.96 19.13,57.84 19.03,57.9 | 11.59,57.93 11.5,58.04 11.74,58.04 | 16.78,58.1 16.82,58.1 16.82,58.12 16.78,58.12 | 11.81,58.12 11.4,58.13 11.68,58.29 | 19.18,58.34 19.33,58.34 19.33,58.39 19.18,58.39 | 17.64,58.9 17.72,58.9 17.72,59.05 17.64,59.05 | 18.36,59.02 18.49,59.02 18.49,59.12 18.36,59.12 | 18.39,59.22 18.61,59.22 18.61,59.29 18.39,59.29 | 17.61,59.31 17.79,59.31 17.79,59.43 17.61,59.43 | 17.52,59.28 17.82,59.28 17.82,59.43 17.52,59.43 | 17.07,59.37 17.32,59.37 17.32,59.46 17.07,59.46 | 18.52,59.45 18.75,59.45 18.75,59.56 18.52,59.56 | 18.37,60.31 18.57,60.31 18.57,60.51 18.37,60.51 | 17.37,62.36 17.54,62.36 17.54,62.47 17.37,62.47 | 18.02,62.67 18.16,62.67 18.16,62.75 18.02,62.75 | 20.84,63.75 20.93,63.75 20.93,63.8 20.84,63.8 | 21.81,68.57 22.82,68.39 23.67,67.94 23.43,67.47 23.77,67.42 23.57,67.16 24.01,66.8 23.66,66.31 24.17,65.81 23.25,65.8 23.08,65.7 22.64,65.91 22.66,65.75 22.33,65.83 22.41,65.54 21.77,65.72 22.2,65.55 21.85,65.53 21.93,65.4 21.47,65.39 21.65,65.24 21.26,65.34 21.62,65.14 21.04,64.82 21.59,64.44 20.96,64.14 20.78,63.87 19.9,63.61 19.7,63.43 19.43,63.55 19.07,63.18 18.89,63.27 18.29,63 18.58,62.96 18.21,62.78 17.7,62.99 18.05,62.6 17.67,62.44 17.33,62.49 17.65,62.23 17.35,61.95 17.5,61.64 17.14,61.72 17.15,60.95 17.38,60.62 17.61,60.63 17.73,60.49 17.95,60.6 18.23,60.33 18.61,60.24 18.32,60.31 18.4,60.21 18.82,60.1 19.07,59.89 18.86,59.8 19.08,59.74 18.27,59.47 18.33,59.39 18.12,59.45 18.09,59.33 17.76,59.4 17.59,59.81 17.44,59.68 17.54,59.57 17.62,59.73 17.73,59.44 17.38,59.65 17.41,59.47 16.55,59.61 16.47,59.5 16.02,59.49 16.87,59.38 16.69,59.47 16.84,59.49 17.38,59.25 17.35,59.32 18.47,59.33 18.43,59.43 18.65,59.31 18.28,59.31 18.31,59.13 17.89,58.86 17.66,59.17 17.63,58.9 17.35,58.75 17.03,58.75 17.14,58.69 16.92,58.62 16.19,58.63 16.65,58.62 16.94,58.48 16.41,58.47 16.77,58.37 16.82,58.2 16.61,57.99 16.77,57.88 16.5,57.99 16.7,57.74 16.42,57.89 16.71,57.71 16.69,57.47 16.47,57.28 16.58,57.04 15.87,56.09 15.6,56.19 14.7,56.16 14.77,56.03 14.55,56.06 14.22,55.83 14.37,55.54 14.19,55.39 12.98,55.4 13.06,55.69 12.45,56.3 12.81,56.23 12.62,56.41 12.9,56.46 12.89,56.64 12.35,56.91 12.09,57.43 11.92,57.4 11.67,57.85 11.89,58.21 11.8,58.32 11.53,58.23 11.24,58.35 11.11,58.95 11.31,59.1 11.43,58.89 11.62,58.9 11.82,59.85 12.48,60.08 12.61,60.48 12.21,61 12.64,61.06 12.86,61.36 12.12,61.73 12.3,62.26 11.94,63.27 12.14,63.58 12.94,64.05 13.99,64.02 14.12,64.47 13.66,64.58 14.49,65.31 14.51,66.13 15.47,66.28 15.36,66.48 16.35,67.02 16.09,67.41 16.73,67.9 17.27,68.09 17.88,67.95 18.09,68.51 19.95,68.34 20.35,68.79 20.1,69.04 20.85,69.01
+SG 103.99,1.38 103.84,1.26 103.64,1.32 103.71,1.43
+SH -10.04,-40.4 -9.89,-40.4 -9.89,-40.3 -10.04,-40.3 | -12.33,-37.16 -12.19,-37.16 -12.19,-37.05 -12.33,-37.05 | -5.66,-15.99 -5.79,-15.99 -5.7,-15.9 | -14.36,-7.98 -14.38,-7.88 -14.29,-7.95
+SI 13.72,46.53 14.54,46.41 14.87,46.62 15.87,46.72 16.23,46.88 16.61,46.48 16.29,46.53 16.27,46.42 15.65,46.22 15.7,45.84 15.31,45.75 15.17,45.43 14.82,45.47 14.6,45.68 14.41,45.49 13.7,45.44 13.59,45.52 13.92,45.64 13.48,46.01 13.67,46.18 13.38,46.3
+SJ -8.29,70.97 -9.12,70.86 -8.13,71.17 -7.99,71.04 | 19.18,74.36 18.79,74.48 19.28,74.48 | 24.94,76.44 25.58,76.44 25.58,76.71 24.94,76.71 | 23.04,77.24 23.3,77.24 23.3,77.28 23.04,77.28 | 23.34,78.2 23.08,78 24.89,77.74 22.64,77.25 22.76,77.55 20.86,77.46 21.64,77.91 20.9,78.11 | 21.5,78.57 22.23,78.49 22.16,78.24 20.67,78.19 20.66,78.39 20.12,78.47 21.18,78.62 | 26.85,78.71 26.74,78.62 26.4,78.77 | 11.27,78.61 12.16,78.2 11.07,78.46 10.49,78.9 | 29.03,78.92 29.7,78.91 29.32,78.84 28.02,78.87 | 30.07,78.96 30.34,78.96 30.34,79.01 30.07,79.01 | 20.92,79.01 21.23,79.01 21.23,79.05 20.92,79.05 | 20.83,79.05 20.05,79.04 20.2,79.12 | 19.95,79.22 20.17,79.22 20.17,79.32 19.95,79.32 | 19.63,79.33 20.18,79.33 20.18,79.4 19.63,79.4 | 10.71,79.65 11.08,79.65 11.08,79.72 10.71,79.72 | 10.64,79.73 11.01,79.73 11.01,79.78 10.64,79.78 | 16.82,79.87 17.28,79.94 18.09,79.73 17.64,79.37 18.36,79.63 18.92,79.16 19.72,79.15 21.55,78.77 21.39,78.65 19.71,78.61 18.97,78.46 19.09,78.1 18.41,78.02 18.29,77.51 17.66,77.42 16.8,76.57 15.5,76.87 16.52,77 16.02,77.08 15.35,77 14.47,77.17 13.91,77.53 15.74,77.53 16.22,77.43 14.74,77.66 16.8,77.81 17.01,77.93 13.94,77.72 13.59,78.05 13.97,78.09 14.36,77.96 14.23,78.09 15.01,78.11 15.77,78.34 17.29,78.42 16.33,78.45 16.83,78.67 16.52,78.72 15.46,78.45 15.38,78.84 15.02,78.6 14.81,78.73 14.53,78.68 14.73,78.38 13.82,78.2 13.01,78.2 12.36,78.48 13.2,78.54 11.93,78.63 11.33,78.96 12.5,78.9 11.76,79.08 12.11,79.3 11.84,79.22 11.64,79.32 11.24,79.09 10.68,79.54 11.7,79.83 12.31,79.66 12.2,79.83 12.6,79.76 13.82,79.88 13.88,79.73 12.45,79.57 13.48,79.58 13.26,79.47 14.06,79.26 13.89,79.54 14.59,79.8 16.45,78.9 15.64,79.83 16.31,80.06 | 36.59,80.14 36.85,80.14 36.85,80.16 36.59,80.16 | 27.67,80.11 28.07,80.11 28.07,80.18 27.67,80.18 | 32.37,80.09 31.49,80.11 33.64,80.21 | 18.55,80.25 18.12,80.28 18.35,80.36 | 24.13,80.38 24.38,80.38 24.38,80.45 24.13,80.45 | 19.93,80.48 20.83,80.21 21.86,80.27 21.6,80.12 22.23,79.98 22.89,80.49 23.36,80.43 23.1,80.12 24.19,80.36 24.53,80.25 24.84,80.35 24.78,80.25 27.22,80.1 27.24,79.9 25.8,79.61 25.71,79.41 24.28,79.3 24.06,79.19 22.93,79.22 22.84,79.41 20.79,79.37 19.64,79.61 21.12,79.56 20.49,79.68 22.33,79.79 18.77,79.72 18.15,79.91 18.81,79.99 17.78,80.13 18.76,80.2 19.34,80.09 18.98,80.34 19.84,80.21 19.46,80.45 | 23.97,80.47 24.29,80.47 24.29,80.51 23.97,80.51 | 19.84,80.48 20.13,80.48 20.13,80.54 19.84,80.54 | 20.5,80.62 20.79,80.62 20.79,80.67 20.5,80.67 | 21.03,80.65 21.36,80.65 21.36,80.71 21.03,80.71 | 20.52,80.67 21.01,80.67 21.01,80.76 20.52,80.76
+SK 17.25,48.02 16.84,48.37 17.04,48.77 17.19,48.87 17.76,48.88 18.57,49.5 19.16,49.4 19.48,49.6 19.79,49.41 19.77,49.21 20.07,49.18 20.36,49.39 20.92,49.3 21.08,49.42 21.62,49.44 22.56,49.08 22.1,48.38 21.73,48.35 21.44,48.58 20.66,48.56 19.94,48.14 19.63,48.23 19.47,48.09 18.85,48.05 18.85,47.82 18.66,47.76 17.78,47.75
+SL -12.53,7.43 -12.95,7.57 -12.59,7.63 -12.5,7.57 | -11.21,10 -10.66,9.31 -10.74,9.08 -10.57,9.06 -10.5,8.71 -10.7,8.3 -10.39,8.49 -10.26,8.45 -10.3,8.19 -10.6,8.04 -10.61,7.77 -11.31,7.22 -11.47,6.92 -12.5,7.39 -12.43,7.53 -12.18,7.6 -12.46,7.56 -12.96,7.9 -12.88,7.94 -12.97,8.25 -13.13,8.2 -13.29,8.5 -13.05,8.37 -13.12,8.46 -12.9,8.57 -13.17,8.52 -13.24,8.8 -13.13,8.86 -13.3,9.03 -13.09,9.05 -12.95,9.28 -12.68,9.42 -12.46,9.89
+SM 12.42,43.96 12.51,43.99 12.47,43.9
+SN -17.15,14.61 -17.54,14.76 -17.17,14.9 -16.88,15.22 -16.54,15.78 -16.53,16.06 -16.29,16.51 -15.67,16.48 -14.98,16.69 -14.35,16.64 -13.82,16.13 -13.7,16.18 -13.4,16.06 -13.25,15.68 -13.07,15.48 -12.96,15.5 -12.89,15.25 -12.24,14.76 -12.21,14.4 -11.98,14.16 -11.94,13.86 -12.06,13.66 -11.82,13.31 -11.63,13.39 -11.38,12.99 -11.37,12.41 -12.35,12.3 -12.9,12.55 -13.04,12.47 -13.06,12.64 -15.22,12.68 -15.69,12.43 -16.21,12.46 -16.72,12.32 -16.8,12.49 -16.59,12.63 -15.63,12.53 -15.51,12.63 -15.53,12.78 -15.39,12.83 -15.54,12.79 -15.65,12.56 -15.91,12.6 -16.02,12.72 -16.38,12.56 -16.6,12.79 -16.76,12.56 -16.7,13.16 -15.81,13.16 -15.8,13.35 -15.29,13.37 -15.11,13.6 -14.35,13.24 -13.87,13.32 -13.8,13.44 -13.97,13.58 -14.34,13.45 -14.54,13.65 -14.72,13.61 -14.86,13.78 -15.07,13.83 -15.36,13.78 -15.49,13.59 -16.57,13.59 -16.64,13.75 -16.49,13.96 -16.7,13.77 -16.75,13.95 -16.36,14.17 -16.78,14.01
+SO 42.94,11 43.25,11.47 44.28,10.45 44.94,10.42 45.76,10.88 46.45,10.69 47.4,11.18 48.13,11.14 48.52,11.32 48.99,11.25 50.09,11.51 50.77,11.98 51.28,11.84 51.08,11.33 51.17,11.15 51.15,10.63 51.01,10.44 51.19,10.54 51.41,10.45 50.9,10.32 50.84,9.43 50.11,8.19 49.83,7.94 49.73,7.57 49.22,6.76 49.04,6.15 47.95,4.46 46.01,2.43 44.55,1.55 43.49,0.65 42.07,-0.9 41.56,-1.67 41,-0.87 40.99,2.83 42.07,4.18 42.85,4.3 43.16,4.67 43.69,4.89 44.95,4.9 47.99,8 47.01,8 44.01,9.01 43.43,9.43 43.22,9.88 42.85,10.22 42.66,10.63
+SR -55.13,5.82 -54.86,5.85 -55.14,5.93 -55.04,6 -54.2,5.88 -53.99,5.75 -54.48,4.87 -54.36,4.03 -53.98,3.59 -54.21,3.15 -54.2,2.79 -54.42,2.43 -54.63,2.32 -54.69,2.45 -54.87,2.44 -54.97,2.55 -55.71,2.4 -55.97,2.53 -56.12,2.25 -55.9,2.05 -55.9,1.89 -56.47,1.94 -56.69,2.03 -57.2,2.82 -57.3,3.38 -57.64,3.36 -57.65,3.52 -58.05,4.01 -57.84,4.65 -57.92,4.82 -57.19,5.17 -57.32,5.3 -56.97,6 -56.02,5.82 -55.9,5.67 -55.93,5.88 -55.84,5.96 -55.38,5.96
+SS 35.92,4.62 35.75,4.85 35.8,5.32 35.47,5.43 35.29,5.37 34.97,5.86 34.7,6.68 34.28,6.98 33.72,7.66 33.06,7.8 32.99,7.92 33.19,8.14 33.24,8.46 33.75,8.37 34.11,8.63 34.07,9.45 33.88,9.5 33.97,9.85 33.92,10.17 33.14,10.74 33.08,11.6 33.21,12.21 32.73,12.22 32.75,12 32.08,12 32.35,11.7 32.43,11.08 31.16,9.76 30.77,9.72 30.01,10.27 29.62,10.06 29.48,9.76 28.91,9.53 28.84,9.32 28.05,9.33 27.9,9.6 27.08,9.61 26.63,9.48 25.91,10.18 25.83,10.42 25.08,10.29 24.98,9.97 24.8,9.82 24.56,8.89 24.18,8.71 24.25,8.58 24.15,8.32 24.8,8.18 25.22,7.86 25.28,7.66 25.19,7.5 26.03,7 26.09,6.83 26.38,6.65 26.27,6.47 26.51,6.21 26.42,6.07 27.12,5.77 27.26,5.58 27.26,5.26 27.75,4.78 27.77,4.6 28.01,4.55 28.05,4.42 28.36,4.28 28.76,4.55 29.22,4.34 29.54,4.66 29.8,4.56 29.79,4.37 30.19,3.96 30.53,3.87 30.55,3.6 30.75,3.67 30.84,3.49 31.14,3.79 31.52,3.66 31.78,3.82 31.93,3.6 32.17,3.51 32.37,3.73 33,3.89 33.16,3.76 33.49,3.75 34.38,4.62 35.25,4.98 35.41,5.03 35.4,4.93 35.57,4.9 35.61,4.62
+ST 6.52,0.02 6.47,0.26 6.69,0.4 6.75,0.23 | 7.42,1.56 7.33,1.61 7.41,1.7
+SV -87.73,13.16 -87.68,13.16 -87.68,13.22 -87.73,13.22 | -89.34,14.42 -89.03,14.33 -88.82,14.09 -88.5,13.98 -88.47,13.86 -88.12,13.99 -88.01,13.88 -87.75,13.86 -87.71,13.47 -87.87,13.39 -87.8,13.26 -88.22,13.16 -88.62,13.28 -88.72,13.27 -88.5,13.19 -89.3,13.48 -89.82,13.53 -90.1,13.75 -90.09,13.86 -89.52,14.23 -89.57,14.41
+SX -63.14,18.02 -63.01,18.02 -63.01,18.07 -63.14,18.07
+SY 42.36,37.11 41.84,36.6 41.4,36.53 41.29,36.36 41.38,35.63 41.22,35.22 41.23,34.79 41,34.42 36.84,32.31 36.4,32.38 35.93,32.72 35.65,32.69 35.62,33.27 36.06,33.58 35.93,33.65 36.07,33.83 36.39,33.84 36.28,33.92 36.62,34.2 36.53,34.43 36.35,34.5 36.46,34.64 35.97,34.65 35.92,35.42 35.73,35.58 35.92,35.93 36.17,35.82 36.38,36 36.39,36.21 36.69,36.24 36.55,36.48 36.66,36.83 37.38,36.65 38.24,36.91 38.73,36.7 39.23,36.67 39.83,36.76 40.77,37.12 41.54,37.08 42.18,37.29 42.35,37.23
+SZ 30.9,-26.31 31.13,-25.91 31.42,-25.73 32.07,-26.04 32.13,-26.84 32.01,-26.81 31.99,-27.32 31.16,-27.2 30.9,-26.77 30.82,-26.81
+TC -71.15,21.43 -71.13,21.43 -71.13,21.51 -71.15,21.51 | -72.47,21.63 -72.43,21.63 -72.43,21.71 -72.47,21.71 | -71.53,21.65 -71.46,21.65 -71.46,21.73 -71.53,21.73 | -71.66,21.82 -71.66,21.74 -71.85,21.85 | -72.33,21.74 -72.24,21.74 -72.24,21.86 -72.33,21.86 | -72.04,21.82 -71.88,21.82 -71.88,21.96 -72.04,21.96
+TD 14.5,13 14.44,13.08 14.07,13.08 13.63,13.72 13.46,14.45 13.67,14.55 13.86,15.04 14.37,15.73 15.49,16.9 15.75,19.93 16,20.35 15.58,20.77 15.63,20.96 15.2,21.5 15,23 16,23.45 24,19.5 24,15.7 23.12,15.71 22.94,15.56 22.94,15.12 22.67,14.86 22.7,14.69 22.38,14.55 22.55,14.13 22.08,13.78 22.29,13.36 21.94,13.05 21.83,12.8 21.95,12.64 22.22,12.75 22.47,12.62 22.41,12.48 22.61,11.99 22.56,11.64 22.93,11.42 22.97,11.2 22.87,10.92 22.46,11 21.72,10.64 21.72,10.29 20.42,9.14 18.99,8.96 18.87,8.85 19.13,8.67 18.59,8.04 17.64,7.99 16.83,7.55 16.57,7.87 15.97,7.5 15.5,7.53 15.58,7.76 15.2,8.49 13.96,9.64 14.19,9.98 15.68,9.99 15.37,10.25 15.06,10.79 15.04,12.08 14.89,12.15 14.83,12.63 14.55,12.77
+TF 69.76,-49.68 69.82,-49.68 69.82,-49.65 69.76,-49.65 | 69.84,-49.58 70.02,-49.58 70.02,-49.5 69.84,-49.5 | 69.83,-49.48 69.9,-49.48 69.9,-49.42 69.83,-49.42 | 68.64,-49.36 68.8,-49.36 68.8,-49.32 68.64,-49.32 | 69.53,-49.21 69.68,-49.21 69.68,-49.15 69.53,-49.15 | 69.2,-49.1 69.41,-49.1 69.41,-48.88 69.2,-48.88 | 69.14,-48.99 69.25,-48.99 69.25,-48.86 69.14,-48.86 | 69.4,-48.89 69.52,-48.89 69.52,-48.83 69.4,-48.83 | 69,-48.8 69.19,-48.77 69.06,-49.12 69.1,-49 69.22,-49.13 69.62,-48.98 69.64,-49.12 69.28,-49.19 69.47,-49.17 69.58,-49.3 70.32,-49.05 70.53,-49.09 70.57,-49.25 70.31,-49.38 70.46,-49.44 70.18,-49.34 69.77,-49.39 69.84,-49.55 70.33,-49.54 70.25,-49.69 69.88,-49.7 69.64,-49.5 69.69,-49.67 69.25,-49.51 69.08,-49.54 69.08,-49.69 68.8,-49.72 68.88,-49.4 68.74,-49.07 68.95,-48.67 69.08,-48.66 | 68.61,-48.66 68.68,-48.66 68.68,-48.63 68.61,-48.63 | 68.77,-48.62 68.83,-48.62 68.83,-48.57 68.77,-48.57 | 52.25,-46.46 52.09,-46.41 52.26,-46.38 | 51.82,-46.45 51.65,-46.37 51.78,-46.34 | 50.17,-46.13 50.3,-46.13 50.3,-46.05 50.17,-46.05 | 77.5,-38.74 77.54,-38.74 77.54,-38.7 77.5,-38.7 | 77.48,-37.91 77.59,-37.91 77.59,-37.82 77.48,-37.82 | 42.72,-17.08 42.76,-17.08 42.76,-17.05 42.72,-17.05
+TG 1.4,9.43 1.62,9.03 1.58,6.68 1.8,6.28 1.2,6.1 0.76,6.45 0.53,6.95 0.65,7.37 0.51,7.56 0.61,8.22 0.73,8.32 0.38,8.76 0.51,8.84 0.45,9.03 0.55,9.41 0.22,9.46 0.4,10.03 0.37,10.26 -0.08,10.65 0.03,11.07 -0.15,11.14 0.5,10.94 0.92,11 0.78,10.38 1.35,10
+TH 99.16,6.53 99.26,6.53 99.26,6.58 99.16,6.58 | 99.67,6.5 99.59,6.59 99.66,6.7 | 100.52,7.15 100.54,7.15 100.54,7.17 100.52,7.17 | 99.37,7.19 99.42,7.19 99.42,7.27 99.37,7.27 | 99.02,7.46 99.11,7.46 99.11,7.64 99.02,7.64 | 99.04,7.59 99.13,7.59 99.13,7.67 99.04,7.67 | 98.42,7.93 98.44,7.93 98.44,7.94 98.42,7.94 | 98.53,7.9 98.61,7.9 98.61,8.12 98.53,8.12 | 98.4,7.94 98.29,7.78 98.28,8.19 | 98.57,8.08 98.64,8.08 98.64,8.19 98.57,8.19 | 98.24,9.03 98.32,9.03 98.32,9.16 98.24,9.16 | 97.83,9.38 97.88,9.38 97.88,9.43 97.83,9.43 | 97.85,9.43 97.91,9.43 97.91,9.48 97.85,9.48 | 99.66,9.51 99.71,9.51 99.71,9.54 99.66,9.54 | 98.46,9.57 98.47,9.57 98.47,9.59 98.46,9.59 | 99.98,9.41 99.93,9.55 100.08,9.59 | 99.67,9.6 99.69,9.6 99.69,9.63 99.67,9.63 | 98.38,9.71 98.42,9.71 98.42,9.77 98.38,9.77 | 99.97,9.68 100.08,9.68 100.08,9.8 99.97,9.8 | 102.53,11.56 102.61,11.56 102.61,11.75 102.53,11.75 | 102.44,11.95 102.29,11.97 102.25,12.15 | 100.67,12.92 100.69,12.92 100.69,12.95 100.67,12.95 | 100.8,13.13 100.82,13.13 100.82,13.18 100.8,13.18 | 100.08,20.35 100.16,20.29 100.33,20.39 100.58,20.16 100.4,19.75 100.5,19.53 100.78,19.48 100.91,19.62 101.28,19.56 101.2,19.35 101.35,19.04 101.27,18.68 101.06,18.45 101.17,18.09 100.92,17.57 101.16,17.46 101.78,18.06 101.91,18.03 102.09,18.21 102.68,17.82 103.04,17.99 103.31,18.42 103.97,18.33 104.28,17.85 104.81,17.38 104.75,16.52 105.08,16.1 105.42,16.01 105.4,15.81 105.64,15.65 105.47,15.12 105.59,15 105.54,14.56 105.14,14.24 104.81,14.45 103.92,14.34 103.66,14.45 102.96,14.2 102.6,13.61 102.38,13.57 102.35,13.28 102.5,12.68 102.78,12.45 102.72,12.17 102.92,11.64 102.64,12.17 102.34,12.2 102.36,12.35 102.24,12.31 102.06,12.57 101.95,12.53 101.75,12.71 101.39,12.61 100.85,12.68 100.98,13.46 100.22,13.47 99.96,13.29 100.1,13.04 99.96,12.67 100.02,12.19 99.64,11.51 99.5,10.92 99.15,10.37 99.15,9.76 99.3,9.41 99.27,9.22 99.85,9.3 99.96,8.63 100.11,8.41 100.19,8.4 100.14,8.52 100.22,8.44 100.58,7.22 100.44,7.29 100.3,7.78 100.21,7.78 100.18,7.52 100.42,7.16 100.61,7.18 101.03,6.84 101.36,6.87 101.29,6.94 101.54,6.85 102.1,6.24 101.83,5.74 101.57,5.92 101.15,5.63 100.99,5.79 101.12,5.98 101.12,6.25 100.86,6.23 100.75,6.5 100.39,6.54 100.29,6.7 100.2,6.7 100.13,6.42 99.68,6.88 99.75,7.12 99.39,7.3 99.26,7.66 99.04,7.7 99.04,7.89 98.77,8.02 98.66,8.38 98.44,8.3 98.39,8.13 98.23,8.42 98.33,9.21 98.82,10.52 98.78,10.67 99.17,11.05 99.66,11.83 99.44,12.57 99.25,12.72 99.11,13.06 99.21,13.22 99.17,13.73 98.97,14.08 98.62,14.32 98.32,14.72 98.2,15.07 98.21,15.23 98.58,15.35 98.63,16.05 98.86,16.14 98.93,16.39 98.69,16.28 98.48,16.73 98.51,16.94 97.78,17.7 97.64,18.29 97.5,18.28 97.35,18.55 97.77,18.57 97.68,18.93 97.84,19.1 97.79,19.4 98.03,19.64 98.05,19.81 98.24,19.69 99,19.78 99.07,20.09 99.46,20.1 99.52,20.35 99.8,20.33 99.96,20.46
+TJ 74.92,37.24 74.68,37.4 74.25,37.41 73.74,37.22 73.62,37.26 73.78,37.43 73.31,37.46 72.79,37.23 72.66,37.02 72.31,36.98 71.68,36.68 71.43,37.08 71.59,37.9 71.25,37.92 71.36,38.25 70.95,38.47 70.71,38.41 70.16,37.93 70.29,37.7 70.16,37.54 69.52,37.58 69.32,37.12 68.89,37.34 68,36.94 67.78,37.11 67.83,37.48 68.38,38.2 68.07,38.54 68.2,38.85 68.11,39 67.71,39 67.69,39.13 67.37,39.29 67.44,39.48 67.71,39.63 68.54,39.55 68.64,39.86 68.91,39.89 68.79,40.07 69.01,40.09 68.6,40.18 69.32,40.21 69.36,40.77 69.73,40.64 70.45,41.05 70.8,40.73 70.35,40.46 70.38,40.38 70.63,40.21 70.99,40.19 70.66,40.1 70.5,39.91 70.54,40.05 70.02,40.22 69.54,40.13 69.53,39.93 69.34,40 69.28,39.89 69.31,39.53 70.51,39.61 70.72,39.43 71,39.4 71.47,39.62 71.54,39.46 71.76,39.46 71.77,39.28 72.08,39.37 72.25,39.19 72.42,39.36 73.65,39.46 73.62,39.23 73.85,38.97 73.7,38.88 73.82,38.61 74.07,38.54 74.13,38.67 74.35,38.67 74.86,38.47 74.81,38.08 74.99,37.78 74.9,37.65 75.19,37.41
+TK -171.23,-9.38 -171.21,-9.38 -171.21,-9.35 -171.23,-9.35 | -171.86,-9.22 -171.84,-9.22 -171.84,-9.17 -171.86,-9.17 | -172.5,-8.59 -172.48,-8.59 -172.48,-8.55 -172.5,-8.55
+TL 124.45,-9.18 124.34,-9.46 124.05,-9.34 | 127.25,-8.48 126.47,-8.95 125.4,-9.27 125.2,-9.43 124.97,-9.21 125.16,-9.07 124.95,-8.95 125.15,-8.63 126.36,-8.43 126.56,-8.49 127,-8.32 127.3,-8.39
+TM 53.02,38.75 53.1,38.75 53.1,39.09 53.02,39.09 | 58.78,42.66 59.16,42.54 59.28,42.35 60.01,42.22 60.28,41.79 60.07,41.76 60.14,41.38 60.49,41.22 61.27,41.16 61.44,41.3 61.87,41.13 62.14,40.56 62.36,40.42 62.44,40.03 63.71,39.21 64.17,38.95 64.34,38.99 65.6,38.25 65.9,38.28 66.64,38 66.54,37.37 66.29,37.32 65.71,37.54 65.55,37.26 64.82,37.14 64.47,36.26 63.52,35.9 63.12,35.86 63.09,35.43 62.64,35.23 62.46,35.29 62.31,35.14 62.03,35.45 61.6,35.44 61.25,35.63 61.16,36.65 60.33,36.66 60.03,37.04 59.48,37.23 59.34,37.54 58.93,37.67 58.25,37.67 58.17,37.8 57.45,37.94 57.21,38.28 57.06,38.19 56.44,38.26 56.22,38.07 55.44,38.09 54.83,37.75 54.68,37.44 53.91,37.35 53.82,38.52 53.98,38.92 53.64,39.12 53.54,39.34 53.16,39.35 53.16,39.18 53.12,39.43 53.26,39.66 53.21,39.52 53.73,39.52 53.41,39.67 53.58,39.97 52.93,39.99 53,39.76 52.74,40.05 52.72,40.45 52.92,41.08 53.11,40.77 53.47,40.73 53.6,40.89 53.75,40.62 54.42,40.7 54.24,40.88 54.48,40.8 54.7,40.87 54.73,41.1 54.07,41.48 53.8,42.12 53.14,42.09 52.95,41.97 52.82,41.7 52.92,41.67 52.88,41.05 52.44,41.74 53.01,42.14 54.17,42.34 54.96,41.91 55.46,41.28 57.04,41.26 57.13,41.35 56.99,41.89 57.39,42.16 57.84,42.19 58.03,42.5 58.51,42.3 58.16,42.65 58.56,42.66 58.61,42.8
+TN 10.99,33.75 10.87,33.64 10.73,33.71 10.73,33.88 10.97,33.86 | 10.96,34.62 11.06,34.62 11.06,34.67 10.96,34.67 | 11.11,34.67 11.3,34.67 11.3,34.82 11.11,34.82 | 10.79,37.12 10.81,37.12 10.81,37.13 10.79,37.13 | 9.85,37.14 10.04,37.26 10.25,37.19 10.13,37.14 10.35,36.87 10.19,36.79 10.38,36.72 11.07,37.05 11.1,36.9 10.8,36.47 10.52,36.36 10.46,36.12 10.69,35.79 11.03,35.64 11.13,35.24 10.73,34.67 10.01,34.17 10.33,33.7 10.71,33.71 10.75,33.47 11.05,33.62 11.17,33.21 11.53,33.17 11.47,32.64 11.58,32.48 10.29,31.69 10.12,31.42 10.29,30.91 10.21,30.73 9.88,30.35 9.54,30.23 9.06,32.1 8.35,32.53 8.31,32.83 8.09,33.11 7.74,33.23 7.49,33.91 7.53,34.11 8.29,34.76 8.4,35.19 8.26,35.86 8.38,36.43 8.19,36.54 8.64,36.83 8.62,36.94 9.07,37.16 9.73,37.34 9.86,37.32 | 8.89,37.51 8.95,37.51 8.95,37.54 8.89,37.54
+TO -174.97,-21.45 -174.91,-21.45 -174.91,-21.31 -174.97,-21.31 | -175.15,-21.18 -175.05,-21.15 -175.15,-21.27 -175.36,-21.1 | -174.8,-20.28 -174.76,-20.28 -174.76,-20.23 -174.8,-20.23 | -174.42,-19.93 -174.39,-19.93 -174.39,-19.88 -174.42,-19.88 | -174.35,-19.83 -174.31,-19.83 -174.31,-19.76 -174.35,-19.76 | -175.1,-19.8 -175.04,-19.8 -175.04,-19.71 -175.1,-19.71 | -174.31,-19.75 -174.25,-19.75 -174.25,-19.69 -174.31,-19.69 | -175.04,-19.69 -175,-19.69 -175,-19.65 -175.04,-19.65 | -174.29,-19.66 -174.24,-19.66 -174.24,-19.59 -174.29,-19.59 | -174.68,-18.83 -174.62,-18.83 -174.62,-18.78 -174.68,-18.78 | -174.1,-18.71 -174.06,-18.71 -174.06,-18.68 -174.1,-18.68 | -174.05,-18.72 -174.02,-18.72 -174.02,-18.68 -174.05,-18.68 | -174.13,-18.7 -174.09,-18.7 -174.09,-18.66 -174.13,-18.66 | -174.07,-18.68 -173.91,-18.68 -173.91,-18.57 -174.07,-18.57 | -175.68,-15.63 -175.61,-15.63 -175.61,-15.56 -175.68,-15.56
+TR 25.97,39.78 26.09,39.78 26.09,39.84 25.97,39.84 | 25.82,40.1 25.66,40.12 25.78,40.21 26.01,40.16 | 27.61,40.57 27.53,40.65 27.74,40.63 | 35.1,41.96 35.27,41.73 35.51,41.64 36.05,41.69 36.13,41.46 36.43,41.24 36.81,41.36 37.53,41.03 37.69,41.14 37.89,40.98 38.36,40.91 39.42,41.11 40.13,40.92 41.39,41.37 41.53,41.52 42.47,41.43 42.6,41.58 42.84,41.58 43.67,40.93 43.66,40.11 44.35,40.02 44.8,39.68 44.61,39.78 44.42,39.43 44.03,39.38 44.3,38.83 44.31,38.39 44.48,38.35 44.22,37.9 44.62,37.73 44.59,37.44 44.82,37.31 44.79,37.15 44.64,37.19 44.32,36.97 44.19,37.1 44.26,37.24 44.12,37.32 43.62,37.23 42.79,37.38 42.58,37.15 42.36,37.11 42.35,37.23 42.18,37.29 41.54,37.08 40.77,37.12 39.83,36.76 39.23,36.67 38.73,36.7 38.24,36.91 37.38,36.65 36.66,36.83 36.55,36.48 36.69,36.24 36.39,36.21 36.38,36 36.17,35.82 35.92,35.93 35.78,36.3 36.22,36.65 36.02,36.93 35.57,36.71 35.62,36.6 35.34,36.54 34.66,36.81 33.99,36.28 32.81,36.03 32.37,36.17 32.02,36.55 31.05,36.85 30.62,36.85 30.41,36.2 30.2,36.3 29.68,36.12 29.14,36.35 29.05,36.68 28.66,36.71 28.45,36.88 28.4,36.78 28.26,36.84 28.28,36.73 27.98,36.55 28.11,36.8 27.38,36.68 28.03,36.82 28.33,37.04 27.26,36.96 27.32,37.15 27.55,37.13 27.6,37.23 27.4,37.31 27.41,37.41 27.19,37.35 27.27,37.96 26.76,38.21 26.59,38.1 26.28,38.26 26.29,38.37 26.37,38.31 26.51,38.42 26.38,38.45 26.37,38.66 26.56,38.6 26.68,38.31 27.16,38.45 26.95,38.44 26.73,38.65 27.06,38.87 26.8,38.95 26.88,39.07 26.64,39.26 26.94,39.57 26.07,39.48 26.17,39.98 26.71,40.38 27.26,40.46 27.43,40.32 27.77,40.31 27.88,40.38 27.76,40.53 28.03,40.49 27.95,40.36 29.05,40.37 29.08,40.48 28.78,40.52 28.97,40.64 29.94,40.73 29.41,40.77 29.13,40.91 29.03,41.03 29.17,41.23 31.23,41.09 32.28,41.72 33.33,42.02 34.72,41.94 34.96,42.09 | 27.39,42.01 27.57,41.91 28.01,41.98 27.97,41.82 28.19,41.54 29.09,41.24 29.06,41.08 28.83,40.96 28.6,40.96 28.53,41.08 28.54,40.99 28.21,41.08 27.94,40.97 27.51,40.98 27.3,40.7 26.68,40.45 26.16,40.05 26.21,40.33 26.83,40.59 26.77,40.66 26.07,40.62 26.04,40.74 26.36,40.96 26.32,41.23 26.64,41.36 26.57,41.61 26.35,41.79 27.04,42.09
+TT -60.92,10.8 -61.04,10.68 -61.01,10.14 -61.92,10.04 -61.46,10.28 -61.47,10.6 -61.66,10.71 | -60.64,11.2 -60.85,11.16 -60.53,11.34
+TV 179.2,-8.56 179.23,-8.56 179.23,-8.46 179.2,-8.46 | 178.36,-8.07 178.37,-8.07 178.37,-8.03 178.36,-8.03 | 178.39,-8.02 178.41,-8.02 178.41,-7.99 178.39,-7.99 | 178.69,-7.48 178.7,-7.48 178.7,-7.46 178.69,-7.46 | 177.14,-7.19 177.16,-7.19 177.16,-7.17 177.14,-7.17 | 176.3,-6.29 176.31,-6.29 176.31,-6.26 176.3,-6.26 | 177.28,-6.11 177.31,-6.11 177.31,-6.09 177.28,-6.09 | 176.13,-5.69 176.14,-5.69 176.14,-5.67 176.13,-5.67 | 176.07,-5.67 176.08,-5.67 176.08,-5.66 176.07,-5.66
+TW 121.49,22 121.58,22 121.58,22.08 121.49,22.08 | 119.53,23.51 119.67,23.51 119.67,23.61 119.53,23.61 | 118.21,24.4 118.25,24.4 118.25,24.45 118.21,24.45 | 118.42,24.4 118.28,24.4 118.4,24.52 | 121.73,25.14 122,25.01 121.82,24.85 121.84,24.48 121.6,24.08 121.36,23.09 120.97,22.57 120.82,21.93 120.72,21.93 120.61,22.31 120.31,22.54 120.05,23.04 120.11,23.62 121.01,25.01 121.44,25.13 121.52,25.28 | 119.91,26.13 119.95,26.13 119.95,26.16 119.91,26.16 | 119.95,26.19 120.01,26.19 120.01,26.23 119.95,26.23
+TZ 39.68,-7.99 39.59,-7.95 39.9,-7.64 39.85,-7.88 | 39.45,-6.21 39.51,-6.13 39.57,-6.38 39.5,-6.47 39.2,-6.23 39.19,-5.92 39.3,-5.72 | 39.74,-5.46 39.64,-5.41 39.74,-5.19 39.68,-4.94 39.86,-4.91 | 31.68,-1 34.02,-1 37.6,-3 37.72,-3.31 37.61,-3.5 39.2,-4.67 38.78,-6.05 38.91,-6.44 39.55,-6.99 39.27,-7.58 39.3,-7.76 39.45,-7.81 39.3,-8.27 39.36,-8.72 39.53,-8.91 39.39,-8.9 39.64,-9.19 39.83,-9.99 39.99,-10.22 40,-10.13 40.22,-10.3 40.25,-10.21 40.42,-10.5 39.27,-11.17 38.9,-11.17 38.49,-11.42 37.94,-11.29 37.79,-11.56 37.46,-11.73 36.83,-11.57 36.56,-11.74 36.19,-11.71 36.16,-11.58 35.84,-11.41 35.58,-11.61 34.97,-11.57 34.61,-11.11 34.66,-10.67 34.53,-10.02 34.07,-9.51 33.96,-9.53 33.92,-9.71 33.76,-9.58 33.44,-9.62 33.31,-9.49 32.55,-9.27 32.43,-9.13 31.98,-9.07 31.96,-8.93 31.68,-8.91 31.41,-8.63 30.96,-8.54 30.31,-7.14 29.73,-6.63 29.55,-6.3 29.5,-5.98 29.63,-5.72 29.34,-4.8 29.42,-4.45 29.77,-4.44 30.03,-4.27 30.4,-3.79 30.45,-3.55 30.83,-3.26 30.84,-2.98 30.48,-2.95 30.41,-2.85 30.52,-2.46 30.83,-2.36 30.89,-2.08 30.74,-1.44 30.46,-1.09 30.75,-1
+UA 32.76,46.01 33.06,46.01 33.06,46.06 32.76,46.06 | 34.16,46.06 34.26,46.06 34.26,46.19 34.16,46.19 | 32.17,46.15 31.58,46.25 31.5,46.37 | 33.42,52.36 33.84,52.36 34.42,51.81 34.1,51.65 34.38,51.26 35.07,51.22 35.17,51.05 35.37,51.04 35.39,50.63 35.61,50.37 36.14,50.43 36.64,50.21 37.46,50.44 38.02,49.9 38.31,50.07 38.95,49.81 39.19,49.88 39.8,49.55 40.15,49.59 40.17,49.25 39.7,49.02 39.77,48.9 40.08,48.87 39.8,48.82 39.66,48.62 39.85,48.56 40,48.3 39.76,47.83 38.85,47.86 38.75,47.69 38.34,47.6 38.14,47.06 37.56,47.09 37.32,46.9 36.24,46.63 35.91,46.65 35.01,46.07 35.35,46.34 35.2,46.44 34.56,45.98 34.4,46.01 34.54,46.19 34.16,46.28 34.13,46.12 33.67,46.22 34.14,45.94 34.18,46.04 34.36,46.02 34.36,45.88 34.63,45.94 34.46,45.77 34.99,45.63 35.13,45.33 35.34,45.33 34.73,46.11 35.48,45.29 36.14,45.46 36.6,45.42 36.44,45.07 35.86,44.99 35.52,45.12 35.09,44.79 34.72,44.81 34.12,44.43 33.71,44.39 33.37,44.58 33.55,44.62 33.55,45.1 32.48,45.4 33.77,45.93 33.6,46.16 33.44,46.04 33.19,46.16 32.51,46.07 31.79,46.29 32.05,46.41 31.51,46.58 32.36,46.46 32.65,46.64 32.33,46.56 32.02,46.63 31.98,47.01 31.75,47.25 31.97,46.92 31.91,46.65 31.48,46.63 31.59,46.8 31.42,46.62 30.83,46.55 30.25,45.88 29.97,45.84 29.75,45.62 29.63,45.82 29.73,45.22 29.32,45.44 28.57,45.24 28.21,45.46 28.52,45.52 28.52,45.71 28.97,46.01 28.97,46.46 29.2,46.54 29.22,46.37 29.48,46.49 29.63,46.37 30.13,46.41 29.9,46.53 29.95,46.81 29.57,46.95 29.58,47.33 29.42,47.29 29.18,47.44 29.14,47.99 28.99,47.93 28.8,48.13 28.09,48.23 27.55,48.47 26.7,48.34 26.15,47.98 25.33,47.92 24.92,47.71 24.56,47.95 23.48,47.98 23.17,48.11 22.9,47.95 22.8,48.11 22.62,48.1 22.15,48.41 22.56,49.08 22.89,49 22.7,49.17 22.68,49.57 24.11,50.57 23.95,50.8 24.14,50.86 23.68,51.29 23.65,51.64 23.99,51.59 24.4,51.89 25.78,51.94 27.2,51.76 27.28,51.6 27.71,51.6 27.75,51.47 27.85,51.62 28.09,51.56 28.26,51.66 28.63,51.57 28.75,51.41 29.12,51.64 29.34,51.37 29.67,51.5 30.18,51.49 30.55,51.25 30.56,51.64 30.96,52.08 32.12,52.04 32.39,52.34 32.92,52.25
+UG 34,4.22 34.22,3.78 34.46,3.67 34.4,3.38 34.91,2.52 35.01,1.9 35,1.67 34.79,1.39 34.82,1.24 34.53,1.11 33.91,0.1 33.92,-1 30.75,-1 30.36,-1.06 29.97,-1.46 29.84,-1.32 29.6,-1.39 29.72,0.07 29.96,0.49 29.96,0.83 30.15,0.9 30.24,1.13 30.46,1.21 31.3,2.12 30.99,2.41 30.89,2.33 30.73,2.45 30.88,2.85 30.76,3.07 30.95,3.67 31.29,3.8 31.54,3.65 31.79,3.82 31.95,3.59 32.19,3.51 32.4,3.74 33.02,3.89 33.18,3.77 33.52,3.75
+UM -160.05,-0.4 -160.01,-0.4 -160.01,-0.37 -160.05,-0.37 | -176.47,0.22 -176.45,0.22 -176.45,0.23 -176.47,0.23 | -176.65,0.79 -176.63,0.79 -176.63,0.81 -176.65,0.81 | -169.54,16.72 -169.52,16.72 -169.52,16.73 -169.54,16.73 | 166.61,19.28 166.66,19.28 166.66,19.32 166.61,19.32 | -177.34,28.19 -177.32,28.19 -177.32,28.21 -177.34,28.21 | -177.4,28.18 -177.36,28.18 -177.36,28.22 -177.4,28.22
+US -75.23,19.9 -75.16,19.9 -75.16,19.96 -75.23,19.96 | -75.16,19.89 -75.09,19.89 -75.09,19.97 -75.16,19.97 | -155.01,19.33 -155.29,19.27 -155.66,18.92 -155.86,19.03 -156.05,19.74 -155.81,20 -155.86,20.27 -155.16,19.96 -154.79,19.54 | -156.55,20.53 -156.7,20.53 -156.59,20.61 | -156.89,20.74 -157.05,20.92 -156.81,20.84 | -156.47,20.9 -156.24,20.94 -155.99,20.75 -156.42,20.59 -156.47,20.79 -156.7,20.92 -156.6,21.05 | -156.89,21.16 -156.7,21.16 -156.87,21.05 -157.3,21.1 -157.19,21.21 | -160.54,21.63 -160.53,21.63 -160.53,21.65 -160.54,21.65 | -157.73,21.41 -157.71,21.27 -158.1,21.3 -158.27,21.58 -157.97,21.7 | -160.11,21.89 -160.25,21.81 -160.09,22.02 | -159.43,21.88 -159.79,22.06 -159.58,22.23 -159.35,22.22 -159.29,22.13 | -161.95,23.04 -161.94,23.04 -161.94,23.05 -161.95,23.05 | -164.71,23.56 -164.7,23.56 -164.7,23.58 -164.71,23.58 | -81.81,24.54 -81.73,24.54 -81.73,24.57 -81.81,24.57 | -82.14,24.55 -82.1,24.55 -82.1,24.59 -82.14,24.59 | -81.72,24.55 -81.65,24.55 -81.65,24.6 -81.72,24.6 | -81.63,24.58 -81.51,24.58 -81.51,24.69 -81.63,24.69 | -81.52,24.64 -81.47,24.64 -81.47,24.69 -81.52,24.69 | -81.14,24.7 -81.05,24.7 -81.05,24.72 -81.14,24.72 | -81.43,24.63 -81.33,24.63 -81.33,24.75 -81.43,24.75 | -81.03,24.72 -80.92,24.72 -80.92,24.77 -81.03,24.77 | -80.85,24.8 -80.79,24.8 -80.79,24.83 -80.85,24.83 | -80.75,24.84 -80.69,24.84 -80.69,24.88 -80.75,24.88 | -80.66,24.89 -80.62,24.89 -80.62,24.93 -80.66,24.93 | -168.01,25 -167.99,25 -167.99,25.02 -168.01,25.02 | -80.6,24.94 -80.25,24.94 -80.25,25.35 -80.6,25.35 | -80.23,25.4 -80.18,25.4 -80.18,25.49 -80.23,25.49 | -80.19,25.67 -80.15,25.67 -80.15,25.73 -80.19,25.73 | -171.73,25.76 -171.72,25.76 -171.72,25.79 -171.73,25.79 | -81.72,25.84 -81.66,25.84 -81.66,25.89 -81.72,25.89 | -173.96,26.06 -173.94,26.06 -173.94,26.08 -173.96,26.08 | -82.21,26.42 -82.03,26.42 -82.03,26.55 -82.21,26.55 | -82.26,26.61 -82.22,26.61 -82.22,26.7 -82.26,26.7 | -82.18,26.49 -82.08,26.49 -82.08,26.7 -82.18,26.7 | -82.28,26.71 -82.25,26.71 -82.25,26.81 -82.28,26.81 | -97.4,26.08 -97.17,26.08 -97.17,27.21 -97.4,27.21 | -82.68,27.32 -82.59,27.32 -82.59,27.43 -82.68,27.43 | -97.39,27.22 -97.04,27.22 -97.04,27.84 -97.39,27.84 | -80.45,27.18 -80.17,27.18 -80.17,27.85 -80.45,27.85 | -97.04,27.87 -96.84,27.87 -96.84,28.13 -97.04,28.13 | -96.82,28.09 -96.4,28.09 -96.4,28.4 -96.82,28.4 | -96.37,28.4 -96.23,28.4 -96.23,28.49 -96.37,28.49 | -80.66,28.26 -80.74,28.48 -80.64,28.6 | -90.95,29.05 -90.87,29.05 -90.87,29.06 -90.95,29.06 | -90.76,29.04 -90.64,29.04 -90.64,29.08 -90.76,29.08 | -90.34,29.06 -90.28,29.06 -90.28,29.08 -90.34,29.08 | -90.03,29.21 -89.95,29.21 -89.95,29.27 -90.03,29.27 | -89.94,29.28 -89.91,29.28 -89.91,29.3 -89.94,29.3 | -89.89,29.3 -89.85,29.3 -89.85,29.34 -89.89,29.34 | -95.11,29.1 -94.78,29.1 -94.78,29.34 -95.11,29.34 | -89.22,29.46 -89.16,29.46 -89.16,29.49 -89.22,29.49 | -89.62,29.51 -89.56,29.51 -89.56,29.56 -89.62,29.56 | -89.09,29.52 -89.04,29.52 -89.04,29.57 -89.09,29.57 | -91.79,29.49 -92.03,29.59 -91.86,29.63 -91.72,29.56 | -85.2,29.63 -85.08,29.63 -85.08,29.69 -85.2,29.69 | -89.47,29.69 -89.42,29.69 -89.42,29.73 -89.47,29.73 | -84.97,29.61 -85.09,29.63 -84.69,29.76 | -89.5,29.74 -89.42,29.74 -89.42,29.8 -89.5,29.8 | -89.34,29.77 -89.27,29.77 -89.27,29.81 -89.34,29.81 | -84.67,29.78 -84.57,29.78 -84.57,29.82 -84.67,29.82 | -88.87,29.76 -88.81,29.76 -88.81,30.06 -88.87,30.06 | -89.35,30.04 -89.18,30.04 -89.18,30.17 -89.35,30.17 | -88.5,30.2 -88.43,30.2 -88.43,30.22 -88.5,30.22 | -89.1,30.19 -89.06,30.19 -89.06,30.25 -89.1,30.25 | -88.75,30.21 -88.53,30.21 -88.53,30.26 -88.75,30.26 | -88.31,30.23 -88.07,30.23 -88.07,30.27 -88.31,30.27 | -87.29,30.32 -86.52,30.32 -86.52,30.41 -87.29,30.41 | -81.49,30.72 -81.42,30.72 -81.42,30.94 -81.49,30.94 | -118.6,32.82 -118.37,32.82 -118.37,33.05 -118.6,33.05 | -79.37,33 -79.34,33 -79.34,33.07 -79.37,33.07 | -119.57,33.21 -119.42,33.21 -119.42,33.28 -119.57,33.28 | -118.59,33.31 -118.29,33.31 -118.29,33.49 -118.59,33.49 | -78.02,33.85 -77.94,33.85 -77.94,33.91 -78.02,33.91 | -120.04,34.02 -119.97,33.96 -120.11,33.91 -120.23,34.01 | -120.44,34.02 -120.29,34.02 -120.29,34.07 -120.44,34.07 | -119.87,34.08 -119.51,34.04 -119.79,33.97 | -77.86,34.1 -77.82,34.1 -77.82,34.18 -77.86,34.18 | -76.65,34.63 -76.54,34.63 -76.54,34.69 -76.65,34.69 | -77.1,34.64 -76.68,34.64 -76.68,34.71 -77.1,34.71 | -76.55,34.59 -76.2,34.59 -76.2,34.94 -76.55,34.94 | -76.13,35 -76.04,35 -76.04,35.07 -76.13,35.07 | -76.02,35.07 -75.77,35.07 -75.77,35.19 -76.02,35.19 | -75.53,35.24 -75.65,35.23 -75.51,35.31 -75.51,35.78 | -75.73,35.82 -75.61,35.82 -75.61,35.94 -75.73,35.94 | -75.91,37.11 -75.87,37.11 -75.87,37.15 -75.91,37.15 | -75.84,37.22 -75.78,37.22 -75.78,37.3 -75.84,37.3 | -75.71,37.39 -75.67,37.39 -75.67,37.46 -75.71,37.46 | -121.82,38.05 -121.79,38.05 -121.79,38.07 -121.82,38.07 | -122.02,38.08 -121.98,38.08 -121.98,38.1 -122.02,38.1 | -75.38,37.86 -75.11,37.86 -75.11,38.26 -75.38,38.26 | -74.45,39.38 -74.3,39.38 -74.3,39.47 -74.45,39.47 | -74.26,39.52 -74.1,39.52 -74.1,39.75 -74.26,39.75 | -74.24,40.51 -74.05,40.51 -74.05,40.65 -74.24,40.65 | -73.29,40.63 -72.77,40.63 -72.77,40.77 -73.29,40.77 | -72.26,41.13 -72.61,40.91 -71.86,41.06 -72.54,40.83 -73.58,40.6 -74.03,40.63 -73.59,40.92 -72.65,40.98 | -69.99,41.33 -69.99,41.25 -70.23,41.28 | -70.51,41.36 -70.84,41.36 -70.62,41.47 | -71.36,41.45 -71.22,41.45 -71.22,41.65 -71.36,41.65 | -68.9,44.04 -68.76,44.04 -68.76,44.13 -68.9,44.13 | -68.72,44.17 -68.6,44.17 -68.6,44.29 -68.72,44.29 | -68.32,44.24 -68.43,44.32 -68.26,44.45 -68.17,44.35 | -123.95,45.53 -123.92,45.53 -123.92,45.57 -123.95,45.57 | -123.98,46.43 -123.93,46.43 -123.93,46.52 -123.98,46.52 | -122.91,47.19 -122.83,47.19 -122.83,47.31 -122.91,47.31 | -122.52,47.34 -122.38,47.34 -122.38,47.52 -122.52,47.52 | -122.58,47.59 -122.49,47.59 -122.49,47.73 -122.58,47.73 | -122.73,48.02 -122.66,48.02 -122.66,48.12 -122.73,48.12 | -122.5,48.31 -122.66,48.24 -122.37,47.92 -122.76,48.23 -122.6,48.41 | -122.94,48.42 -122.81,48.42 -122.81,48.56 -122.94,48.56 | -123.18,48.45 -122.96,48.45 -122.96,48.62 -123.18,48.62 | -122.92,48.71 -122.75,48.65 -123,48.6 | -123.09,48.97 -123.03,48.97 -123.03,49 -123.09,49 | -95.08,49.36 -94.82,49.31 -94.61,48.72 -93.85,48.63 -93.78,48.52 -92.95,48.62 -92.46,48.39 -92.36,48.23 -92.05,48.35 -91.42,48.04 -90.87,48.24 -90.74,48.09 -90.16,48.12 -89.9,47.99 -89.36,47.98 -88.37,48.31 -84.86,46.9 -84.57,46.47 -84.13,46.53 -83.96,46.07 -83.58,46.11 -83.45,46.01 -83.6,45.83 -82.54,45.36 -82.13,43.59 -82.52,42.62 -83.09,42.3 -83.17,42.05 -83.07,41.86 -82.7,41.68 -82.43,41.68 -81.25,42.22 -80.1,42.4 -78.99,42.82 -78.92,42.93 -79.18,43.47 -78.72,43.63 -76.8,43.63 -76.43,44.1 -74.99,44.99 -71.49,45.02 -71.31,45.3 -70.88,45.24 -70.69,45.57 -70.25,45.91 -70.29,46.2 -70.01,46.7 -69.23,47.47 -69.05,47.44 -68.9,47.19 -68.31,47.36 -67.79,47.07 -67.8,45.7 -67.41,45.59 -67.46,45.26 -67.16,45.17 -67.03,44.98 -67.2,44.92 -66.97,44.82 -67.19,44.66 -67.55,44.67 -67.57,44.55 -67.78,44.55 -68.05,44.35 -68.11,44.46 -68.32,44.47 -68.56,44.42 -68.55,44.32 -68.81,44.33 -68.8,44.58 -69.25,43.94 -69.37,44.05 -69.5,43.85 -69.53,44.03 -69.65,43.9 -69.62,44.04 -69.72,43.79 -69.77,44.08 -69.82,43.71 -69.93,43.87 -70.17,43.78 -70.19,43.58 -70.73,43.12 -70.81,42.71 -70.59,42.64 -70.87,42.54 -71.05,42.31 -70.72,42.22 -70.68,42 -70.32,41.71 -70.01,41.8 -69.99,41.92 -70.25,42.06 -70.08,42.06 -69.94,41.67 -70.64,41.53 -70.73,41.73 -71.19,41.47 -71.11,41.79 -71.27,41.65 -71.39,41.81 -71.51,41.37 -72.91,41.29 -73.65,41.01 -74,40.71 -73.87,41.07 -73.95,41.31 -73.9,40.96 -74.27,40.47 -73.99,40.46 -73.95,40.3 -74.08,39.78 -74.07,40.05 -74.42,39.36 -74.65,39.3 -74.71,39.09 -74.95,38.92 -74.89,39.17 -75.41,39.38 -75.56,39.62 -75.03,40.01 -75.59,39.65 -75.04,38.42 -75.96,37.15 -75.93,37.58 -75.64,37.96 -75.88,37.95 -75.84,38.4 -76.04,38.23 -76.24,38.37 -76.33,38.49 -76.17,38.57 -76.27,38.62 -75.96,38.65 -76.34,38.68 -76.27,38.84 -76.1,38.79 -76.22,38.97 -76.36,38.86 -76.31,39.03 -76.18,38.99 -76.06,39.14 -76.22,39.06 -76.17,39.32 -75.83,39.58 -76.07,39.56 -76.2,39.37 -76.36,39.4 -76.42,39.21 -76.62,39.25 -76.39,39.02 -76.54,38.73 -76.38,38.37 -76.63,38.48 -76.68,38.68 -76.67,38.48 -76.37,38.29 -76.31,38.05 -77.04,38.44 -77.24,38.4 -77.02,38.7 -77.06,38.91 -77.04,38.73 -77.25,38.6 -77.32,38.35 -77.06,38.38 -76.93,38.2 -76.24,37.9 -76.35,37.62 -77.13,38.17 -76.54,37.63 -76.29,37.57 -76.24,37.37 -76.37,37.38 -76.38,37.27 -76.68,37.43 -76.27,37.09 -76.39,36.97 -76.64,37.22 -77.23,37.3 -76.72,37.15 -76.29,36.84 -76.31,36.95 -75.99,36.91 -75.53,35.8 -75.94,36.72 -75.9,36.49 -76.05,36.59 -76.03,36.5 -75.79,36.07 -75.97,36.31 -75.95,36.17 -76.2,36.32 -76.06,36.15 -76.66,36.03 -76.71,36.26 -76.73,35.94 -76.07,35.99 -76.04,35.69 -76.14,35.69 -76.04,35.65 -75.85,35.97 -75.72,35.81 -75.74,35.61 -76.15,35.34 -76.5,35.39 -76.58,35.55 -76.65,35.41 -77.05,35.53 -76.47,35.27 -76.76,34.99 -77.08,35.15 -76.75,34.91 -76.46,35.07 -76.46,34.93 -76.31,35.02 -76.5,34.74 -76.69,34.8 -77.31,34.56 -77.43,34.74 -77.35,34.52 -77.68,34.37 -77.93,33.93 -77.96,34.16 -78.01,33.89 -78.58,33.88 -78.83,33.73 -79.2,33.28 -79.19,33.44 -79.27,33.37 -79.21,33.17 -79.38,33.01 -79.56,33.02 -79.82,32.77 -79.94,32.85 -79.88,32.69 -80.32,32.48 -80.67,32.52 -80.48,32.47 -80.47,32.32 -80.63,32.26 -80.67,32.45 -80.71,32.32 -80.84,32.52 -80.67,32.21 -80.83,32.16 -81.16,31.57 -81.34,31.55 -81.2,31.47 -81.28,31.22 -81.5,31.13 -81.4,31.08 -81.53,30.85 -81.19,29.62 -80.55,28.52 -80.59,28.19 -80.45,27.86 -80.62,28.21 -80.6,28.61 -80.76,28.61 -80.84,28.79 -80.76,28.43 -80.03,26.79 -80.14,25.91 -80.4,25.18 -80.54,25.25 -81.09,25.12 -81.16,25.31 -80.92,25.25 -81.13,25.38 -81.34,25.8 -81.74,25.96 -81.97,26.48 -81.78,26.71 -82.06,26.54 -82.02,26.96 -82.19,26.94 -82.16,26.78 -82.3,26.84 -82.66,27.46 -82.4,27.79 -82.42,27.92 -82.69,28.03 -82.59,27.81 -82.72,27.66 -82.85,27.86 -82.63,28.88 -82.8,29.15 -83.07,29.22 -83.64,29.88 -84.02,30.1 -84.45,30.01 -84.35,29.89 -85.35,29.68 -85.41,29.86 -85.35,29.69 -85.31,29.82 -85.63,30.1 -85.39,30.05 -85.75,30.3 -85.85,30.25 -85.73,30.13 -86.33,30.38 -86.1,30.38 -86.26,30.5 -87.19,30.35 -86.94,30.45 -87.16,30.52 -87.31,30.32 -87.53,30.28 -87.34,30.43 -87.42,30.48 -87.57,30.28 -88.02,30.22 -87.76,30.29 -88.02,30.7 -88.13,30.31 -88.98,30.42 -89.58,30.15 -90.21,30.39 -90.43,30.19 -90.35,30.06 -90.04,30.03 -89.67,30.17 -89.84,30.01 -89.64,29.87 -89.4,30.05 -89.4,29.76 -89.48,29.83 -89.75,29.63 -89.01,29.18 -89.41,28.93 -89.27,29.16 -89.4,29.09 -89.78,29.42 -90.18,29.57 -90.03,29.43 -90.07,29.18 -90.21,29.09 -90.44,29.33 -90.7,29.11 -91.25,29.24 -91.34,29.34 -91.15,29.25 -91.13,29.35 -91.84,29.83 -92.15,29.77 -92.1,29.62 -92.31,29.54 -93.24,29.79 -93.84,29.7 -93.9,29.81 -93.76,29.97 -93.85,29.99 -93.96,29.81 -93.86,29.68 -94.77,29.36 -94.48,29.56 -94.77,29.57 -94.75,29.79 -95.06,29.72 -94.89,29.38 -95.14,29.06 -96.21,28.49 -95.99,28.65 -96.22,28.58 -96.19,28.69 -96.44,28.76 -96.44,28.6 -96.64,28.72 -96.4,28.44 -96.66,28.31 -96.8,28.47 -96.88,28.14 -97.17,28.16 -97.21,28.06 -97.02,28.03 -97.18,27.83 -97.52,27.87 -97.28,27.66 -97.41,27.33 -97.77,27.46 -97.64,27.25 -97.42,27.27 -97.56,26.84 -97.25,25.98 -97.17,26.08 -97.14,25.97 -97.41,25.84 -97.65,26.03 -98.2,26.06 -99.1,26.43 -99.46,27.05 -99.5,27.57 -100.28,28.28 -100.67,29.11 -101.41,29.77 -102.31,29.89 -102.67,29.74 -103.15,28.98 -103.38,29.02 -104.54,29.67 -104.9,30.57 -106.21,31.48 -106.4,31.75 -108.21,31.78 -108.21,31.33 -111.05,31.33 -114.79,32.5 -114.72,32.72 -117.12,32.54 -117.48,33.33 -118.12,33.76 -118.4,33.75 -118.53,34.05 -119.13,34.11 -119.54,34.41 -120.45,34.45 -120.62,34.57 -120.61,35.14 -120.85,35.22 -120.92,35.45 -121.87,36.31 -121.95,36.59 -121.8,36.66 -121.8,36.88 -122.38,37.2 -122.49,37.52 -122.39,37.82 -122.36,37.61 -122.01,37.47 -122.39,37.96 -122.24,38.06 -121.69,38.02 -121.59,38.11 -121.42,38.01 -121.58,38.12 -121.74,38.04 -122.02,38.15 -122.11,38.06 -122.37,38.16 -122.48,38.12 -122.49,37.83 -122.92,38.07 -123,38.01 -122.96,38.24 -122.8,38.09 -123.7,38.93 -123.78,39.72 -124.33,40.27 -124.04,41.43 -124.52,42.87 -124.38,43.32 -124.14,43.37 -124.2,43.46 -124.3,43.4 -124.12,43.73 -123.87,45.53 -123.95,46.18 -123.16,46.2 -124,46.32 -124.04,46.66 -123.94,46.39 -123.94,46.64 -123.75,46.69 -124.07,46.74 -124.1,46.86 -123.8,46.98 -124.08,47.07 -124.16,46.94 -124.71,48.4 -123.93,48.18 -122.75,48.16 -122.63,47.92 -122.75,47.76 -122.85,47.84 -123.15,47.37 -122.84,47.44 -123.08,47.44 -122.57,47.94 -122.45,47.77 -122.6,47.6 -122.68,47.65 -122.67,47.54 -122.53,47.6 -122.55,47.28 -122.67,47.31 -122.62,47.42 -122.76,47.19 -122.8,47.4 -123.07,47.15 -122.88,47.06 -122.88,47.16 -122.71,47.12 -122.31,47.4 -122.42,47.67 -122.32,48.07 -122.38,48.22 -122.45,48.11 -122.53,48.2 -122.38,48.29 -122.7,48.49 -122.48,48.45 -122.44,48.6 -122.76,49 -95.15,49 | -179.14,51.21 -179.06,51.21 -179.06,51.29 -179.14,51.29 | -178.99,51.3 -178.9,51.3 -178.9,51.4 -178.99,51.4 | 178.99,51.57 179.47,51.37 179.25,51.35 178.64,51.63 | 178.22,51.76 178.39,51.76 178.39,51.83 178.22,51.83 | -178.86,51.74 -178.73,51.74 -178.73,51.83 -178.86,51.83 | -176.34,51.72 -176.41,51.85 -176.28,51.86 | -176.22,51.77 -176.01,51.77 -176.01,51.88 -176.22,51.88 | -176.09,51.85 -175.95,51.85 -175.95,51.91 -176.09,51.91 | -177.81,51.72 -177.95,51.61 -178.1,51.66 -177.96,51.76 -178.22,51.87 -177.94,51.92 | -177.12,51.78 -177.26,51.67 -177.7,51.7 -177.24,51.79 -177.16,51.94 | -175.75,51.93 -175.66,51.93 -175.66,51.97 -175.75,51.97 | -176.55,51.91 -176.64,51.86 -176.43,51.84 -176.43,51.73 -176.98,51.6 -176.78,51.94 -176.56,51.99 | 178.45,51.89 178.61,51.89 178.61,51.99 178.45,51.99 | -175.95,51.96 -175.8,51.96 -175.8,51.99 -175.95,51.99 | 179.74,51.9 179.49,51.97 179.66,52.02 | -176.04,51.96 -176.19,52.06 -176.05,52.1 | 177.68,52.08 177.6,51.92 177.24,51.88 | -173.52,52.11 -172.96,52.09 -173.5,52.01 -174.06,52.12 | 175.88,52.33 175.99,52.33 175.99,52.37 175.88,52.37 | -172.39,52.29 -172.63,52.26 -172.44,52.39 | -174,52.29 -174.44,52.04 -175.34,52.01 -174.28,52.21 -174.45,52.31 -174.18,52.42 | 173.79,52.5 173.74,52.35 173.38,52.4 | -171.32,52.45 -171.2,52.45 -171.2,52.52 -171.32,52.52 | -170.61,52.59 -170.84,52.55 -170.68,52.69 | 174.07,52.7 174.18,52.7 174.18,52.74 174.07,52.74 | -170.19,52.72 -170.05,52.72 -170.05,52.79 -170.19,52.79 | -170.01,52.77 -169.68,52.77 -169.68,52.89 -170.01,52.89 | -170.13,52.85 -169.99,52.85 -169.99,52.92 -170.13,52.92 | 173.3,52.88 173.43,52.83 172.93,52.74 172.48,52.92 172.79,53.01 | -169.76,52.94 -169.67,52.94 -169.67,53.04 -169.76,53.04 | -168.24,53.25 -169.09,52.83 -168.62,53.27 -168.36,53.26 -168.35,53.48 -168.01,53.56 -167.8,53.5 | -166.21,53.71 -166.29,53.79 -166.09,53.84 | -166.61,53.83 -166.37,54 -166.22,53.9 -166.53,53.78 -166.55,53.69 -166.34,53.78 -166.27,53.68 -166.66,53.48 -167.5,53.28 -167.85,53.31 -167.16,53.47 -167.03,53.7 -166.8,53.65 -166.77,53.73 -167.15,53.83 -167.02,53.96 -166.64,54 | -165.48,54.04 -165.24,54.04 -165.24,54.09 -165.48,54.09 | -165.22,54.07 -164.93,54.07 -164.93,54.13 -165.22,54.13 | -165.7,54.08 -166.04,54.04 -166.12,54.12 -165.94,54.22 | -165.56,54.11 -165.68,54.24 -165.49,54.29 | -162.49,54.37 -162.37,54.37 -162.37,54.42 -162.49,54.42 | -162.84,54.37 -162.54,54.37 -162.54,54.5 -162.84,54.5 | -132.79,54.75 -132.61,54.75 -132.61,54.94 -132.79,54.94 | -159.34,54.87 -159.2,54.87 -159.2,54.95 -159.34,54.95 | -162.29,54.83 -162.43,54.93 -162.23,54.97 | -131.33,54.86 -131.48,54.93 -131.24,55 | -163.41,54.89 -163.06,54.66 -164.08,54.62 -164.66,54.39 -164.95,54.58 -164.43,54.93 -163.55,55.05 | -159.48,54.94 -159.34,54.94 -159.34,55.06 -159.48,55.06 | -161.74,55.06 -161.91,55.15 -161.66,55.13 | -132.67,55.03 -132.86,55.03 -132.85,55.16 | -159.52,55.06 -159.66,55.05 -159.54,55.25 | -132.84,54.89 -132.67,54.68 -132.83,54.69 -133.12,54.94 -133.2,55.23 | -161.71,55.19 -161.53,55.19 -161.53,55.25 -161.71,55.25 | -131.43,55.21 -131.37,55.01 -131.62,55.01 -131.58,55.26 | -159.84,55.13 -160.24,54.9 -160.19,55.12 -160.01,55.11 -159.88,55.29 | -133.25,55.21 -133.43,55.2 -133.44,55.3 -133.3,55.33 | -160.33,55.25 -160.53,55.32 -160.35,55.37 | -160.7,55.4 -160.46,55.19 -160.82,55.12 | -133.6,55.23 -133.65,55.37 -133.45,55.41 | -131.73,55.13 -131.85,55.42 -131.62,55.28 | -163.19,55.39 -163.13,55.39 -163.13,55.44 -163.19,55.44 | -160.34,55.39 -160.15,55.39 -160.15,55.46 -160.34,55.46 | -133.6,55.43 -133.42,55.43 -133.42,55.52 -133.6,55.52 | -133.76,55.44 -133.57,55.44 -133.57,55.55 -133.76,55.55 | -133.44,55.45 -133.27,55.45 -133.27,55.56 -133.44,55.56 | -133.51,55.69 -133.62,55.83 -133.3,55.79 | -158.86,55.8 -158.83,55.89 -158.71,55.83 | -133.33,55.77 -133.21,55.77 -133.21,55.9 -133.33,55.9 | -155.58,55.77 -155.74,55.83 -155.56,55.92 | -134.25,55.82 -134.34,55.92 -134.1,55.92 | -133.93,55.84 -133.83,55.84 -133.83,55.94 -133.93,55.94 | -131.05,55.8 -130.94,55.56 -131.14,55.2 -131.28,55.23 -131.23,55.41 -131.29,55.27 -131.46,55.29 -131.27,55.44 -131.35,55.64 -131.32,55.44 -131.46,55.33 -131.5,55.5 -131.52,55.29 -131.82,55.45 -131.68,55.83 -131.27,55.96 | -131.58,55.91 -131.4,55.91 -131.4,55.98 -131.58,55.98 | -133.7,55.9 -133.68,56.07 -133.28,56.14 | -133.95,56.29 -133.93,56.29 -133.93,56.31 -133.95,56.31 | -133.49,56.34 -133.17,56.32 -133.08,56.05 -132.63,55.93 -132.14,55.48 -132.56,55.57 -132.09,55.28 -132.24,55.19 -131.99,55.26 -132.22,54.99 -131.96,55.03 -132,54.69 -132.28,54.71 -132.22,54.81 -132.59,54.96 -132.64,55.25 -132.67,55.14 -132.81,55.25 -133.03,55.21 -132.9,55.28 -133.22,55.28 -133.19,55.38 -132.87,55.35 -133.13,55.49 -132.91,55.63 -133.37,55.62 -133.14,55.88 -133.26,56.15 -133.62,56.21 | -132.09,56.09 -132.12,55.93 -132.32,55.91 -132.72,56.15 -132.42,56.35 | -132.54,56.35 -132.39,56.35 -132.39,56.44 -132.54,56.44 | -132.82,56.23 -133.05,56.35 -132.92,56.45 -132.64,56.43 | -132.13,56.35 -132.01,56.13 -132.27,56.21 -132.37,56.48 | -154.13,56.5 -153.87,56.5 -153.87,56.56 -154.13,56.56 | -157.33,56.52 -156.97,56.52 -156.97,56.58 -157.33,56.58 | -132.43,56.57 -132.38,56.57 -132.38,56.6 -132.43,56.6 | -154.48,56.6 -154.41,56.54 -154.5,56.6 -154.79,56.41 | -154.21,56.5 -154.32,56.58 -154.08,56.61 | -169.79,56.54 -169.47,56.54 -169.47,56.62 -169.79,56.62 | -132.77,56.49 -132.94,56.51 -132.87,56.8 -132.53,56.6 | -133.99,56.87 -134.02,56.65 -133.83,56.8 -133.69,56.6 -133.92,56.61 -133.85,56.29 -133.97,56.36 -133.97,56.08 -134.07,56.31 -134.12,56 -134.28,56.35 -134.18,56.44 -134.04,56.36 -134.07,56.55 -134.3,56.56 -134.41,56.83 -134.11,56.84 -134.26,56.94 | -133.32,56.99 -132.98,56.93 -132.93,56.64 -133.35,56.84 -133.08,56.52 -133.58,56.43 -133.7,56.83 -133.89,56.89 -133.74,56.89 -134.02,57.01 -133.84,57.08 | -153.25,57 -153.41,57.07 -153.27,57.2 -152.88,57.15 | -170.41,57.1 -170.14,57.1 -170.14,57.23 -170.41,57.23 | -135.8,56.99 -135.85,57.32 -135.71,57.32 -135.55,57.13 | -134.98,57.3 -134.79,57.3 -134.79,57.43 -134.98,57.43 | -134.94,57.36 -134.62,56.72 -134.65,56.16 -135.05,56.53 -134.85,56.69 -135.12,56.6 -135.12,56.83 -135.37,56.83 -135.33,57.24 -135.67,57.35 -135.48,57.36 -135.4,57.55 | -153.54,57.81 -153.21,57.81 -153.21,57.97 -153.54,57.97 | -152.5,57.89 -152.33,57.89 -152.33,57.98 -152.5,57.98 | -153.12,57.95 -152.82,57.92 -152.88,57.73 -152.84,57.84 -152.48,57.9 -152.33,57.81 -152.55,57.7 -152.15,57.6 -152.35,57.42 -153.02,57.47 -152.63,57.32 -153.17,57.35 -152.96,57.25 -153.73,57.06 -153.55,56.98 -153.95,56.75 -154.15,56.75 -153.74,57.13 -154.1,56.96 -154.01,57.12 -154.47,57.12 -154.38,57.05 -154.1,57.12 -154.3,56.85 -154.61,57.26 -154.8,57.29 -154.64,57.5 -154.21,57.67 -154.01,57.64 -153.63,57.27 -153.88,57.64 -153.58,57.61 -153.93,57.81 -153.73,57.9 -153.5,57.63 -153.32,57.73 -153.48,57.84 -153.05,57.83 -153.29,58 | -136.44,57.85 -136.48,58.09 -136.33,58.01 | -153.19,58.09 -152.89,57.99 -153.37,58.04 -153.31,58.14 | -151.9,58.16 -151.79,58.16 -151.79,58.27 -151.9,58.27 | -135.74,58.26 -135.48,58.16 -135.71,57.98 -135.4,58.14 -134.93,58.03 -134.97,57.89 -135.2,57.94 -135.01,57.78 -135.89,57.99 -135.3,57.73 -134.92,57.76 -134.84,57.46 -135.8,57.76 -135.54,57.47 -135.83,57.39 -135.95,57.62 -136.41,57.82 -136.33,57.99 -136.03,57.85 -136.42,58.09 -136.35,58.22 -136.17,58.1 -136.13,58.22 | -134.45,58.31 -134.28,58.19 -134.68,58.3 | -135.73,58.33 -135.52,58.33 -135.52,58.38 -135.73,58.38 | -134.67,58.16 -134.17,58.16 -133.88,57.67 -134.29,58.08 -133.86,57.36 -134.17,57.38 -134.08,57.26 -134.49,57.03 -134.61,57.22 -134.5,57.37 -134.31,57.34 -134.57,57.49 -134.35,57.54 -134.57,57.51 -134.65,57.6 -134.97,58.36 | -152.41,58.37 -151.99,58.35 -152.1,58.15 -152.27,58.26 -152.27,58.13 -152.59,58.13 -152.85,57.99 -153.23,58.17 -152.9,58.17 -153.11,58.26 -152.79,58.28 -152.66,58.48 | -152.49,58.47 -152.66,58.54 -152.35,58.63 | -160.96,58.56 -161.11,58.66 -160.69,58.82 | -152.36,58.91 -152.16,58.91 -152.16,58.95 -152.36,58.95 | -150.78,59.31 -150.61,59.31 -150.61,59.41 -150.78,59.41 | -153.41,59.33 -153.55,59.36 -153.4,59.41 | -150.44,59.4 -150.29,59.4 -150.29,59.46 -150.44,59.46 | -144.6,59.81 -144.21,59.81 -144.21,60.01 -144.6,60.01 | -148.25,59.94 -147.99,59.94 -147.99,60.04 -148.25,60.04 | -148.05,59.95 -147.82,59.95 -147.82,60.08 -148.05,60.08 | -148.14,59.99 -147.88,59.99 -147.88,60.15 -148.14,60.15 | -148.31,60.02 -148.03,60.02 -148.03,60.19 -148.31,60.19 | -147.85,59.78 -147.19,60.35 -146.92,60.31 -147.53,59.85 | -148.14,60.28 -147.98,60.28 -147.98,60.39 -148.14,60.39 | -145.12,60.31 -145.28,60.33 -145.09,60.42 | -166.11,60.4 -165.68,60.29 -165.54,59.98 -166.21,59.86 -166.1,59.76 -167.13,60 -167.42,60.19 -166.84,60.2 -166.5,60.38 | -146.35,60.41 -146.08,60.4 -146.6,60.24 -146.49,60.37 -146.72,60.37 -146.58,60.48 | -147.71,60.38 -147.76,60.17 -147.91,60.23 -147.78,60.48 -147.62,60.47 | -151.98,60.41 -151.85,60.41 -151.85,60.51 -151.98,60.51 | -172.52,60.39 -172.21,60.31 -172.6,60.32 -173.05,60.5 -172.92,60.6 | -146.33,60.45 -145.75,60.45 -145.75,60.62 -146.33,60.62 | -147.48,60.63 -147.31,60.63 -147.31,60.7 -147.48,60.7 | -148.01,60.66 -147.85,60.66 -147.85,60.75 -148.01,60.75 | -148.23,60.64 -148.09,60.64 -148.09,60.76 -148.23,60.76 | -165.03,60.82 -164.9,60.82 -164.9,60.88 -165.03,60.88 | -146.83,60.81 -146.7,60.81 -146.7,60.88 -146.83,60.88 | -147.32,60.86 -147.08,60.86 -147.08,60.92 -147.32,60.92 | -147.93,60.81 -148.13,60.8 -148.11,60.91 | -170.32,63.24 -170.3,63.24 -170.3,63.25 -170.32,63.25 | -170.36,63.25 -170.32,63.25 -170.32,63.28 -170.36,63.28 | -170.49,63.3 -170.4,63.3 -170.4,63.34 -170.49,63.34 | -170.55,63.34 -170.49,63.34 -170.49,63.36 -170.55,63.36 | -170.86,63.37 -170.58,63.37 -170.58,63.42 -170.86,63.42 | -162.38,63.54 -162.7,63.57 -162.42,63.64 | -171.47,63.61 -170.91,63.57 -170.3,63.69 -169.54,63.36 -168.7,63.29 -168.85,63.16 -169.32,63.19 -169.67,62.94 -169.81,63.13 -170.84,63.46 -171.45,63.31 -171.74,63.38 -171.74,63.79 | -166.67,66.1 -166.17,66.1 -166.17,66.22 -166.67,66.22 | -165.47,66.41 -164.76,66.41 -164.76,66.54 -165.47,66.54 | -156.45,71.26 -155.59,71.16 -156.18,70.92 -155.97,70.76 -155.09,71.15 -155.08,71.01 -154.82,71.09 -154.63,70.83 -154.24,70.78 -153.24,70.93 -152.25,70.84 -152.5,70.65 -152.08,70.57 -152.63,70.56 -151.74,70.56 -151.97,70.44 -151.22,70.37 -150.78,70.5 -150.4,70.43 -149.17,70.49 -147.69,70.21 -145.8,70.15 -144.95,69.97 -143.28,70.12 -141.38,69.64 -141,69.64 -141,60.31 -139.98,60.19 -139.68,60.34 -139.07,60.35 -139.19,60.09 -137.59,59.24 -137.48,58.91 -136.58,59.16 -136.46,59.47 -136.23,59.53 -136.34,59.6 -135.47,59.8 -135.01,59.57 -134.95,59.28 -134.46,59.13 -134.25,58.86 -133.43,58.46 -132.23,57.2 -132.34,57.09 -132.03,57.04 -132.1,56.87 -131.86,56.8 -131.82,56.6 -131.56,56.6 -130.37,56.12 -130.09,56.12 -130.17,55.75 -129.99,55.28 -130.5,54.83 -130.71,54.77 -130.74,54.97 -130.91,54.79 -130.98,55.05 -130.46,55.32 -130.73,55.13 -131.06,55.12 -130.94,55.28 -130.61,55.3 -130.86,55.31 -130.89,55.71 -131.17,55.94 -131.01,56.11 -131.9,55.86 -131.75,55.81 -131.95,55.5 -132.18,55.59 -131.96,56.17 -131.77,56.2 -132.34,56.52 -132.31,56.63 -132.55,56.63 -132.36,56.82 -132.5,56.75 -132.77,56.84 -132.79,57.09 -133.51,57.19 -133.06,57.35 -133.43,57.35 -133.51,57.49 -133.31,57.59 -133.58,57.57 -133.64,57.7 -133,57.51 -133.54,57.76 -133.56,57.9 -133.12,57.86 -133.57,57.92 -133.69,57.79 -133.81,57.97 -133.67,58.15 -133.91,57.98 -134.05,58.07 -134.01,58.4 -133.77,58.52 -133.98,58.49 -134.15,58.2 -134.76,58.38 -134.95,58.81 -135.03,58.74 -135.15,58.84 -135.34,59.47 -135.46,59.28 -135.3,59.08 -135.55,59.23 -135.09,58.23 -135.33,58.25 -135.48,58.48 -135.92,58.38 -136.07,58.82 -135.77,58.9 -136.05,58.89 -136.16,59.03 -136.23,58.75 -137.05,59.07 -137.13,58.82 -136.57,58.84 -136.34,58.68 -136.52,58.61 -136.28,58.66 -136.08,58.51 -136.08,58.34 -136.48,58.42 -136.36,58.3 -136.65,58.34 -136.65,58.22 -137.59,58.59 -137.44,58.66 -137.67,58.65 -138.2,59.03 -138.6,59.12 -138.44,59.19 -138.65,59.16 -139.71,59.5 -139.49,59.98 -139.29,59.57 -139.27,59.8 -138.89,59.81 -139.5,60.03 -140.4,59.7 -141.38,59.87 -141.39,60.14 -141.39,60.02 -141.72,59.95 -142.72,60.11 -143.92,59.99 -144.25,60.19 -144.94,60.3 -144.61,60.72 -145.29,60.35 -145.86,60.49 -145.63,60.67 -146.25,60.64 -146.04,60.8 -146.64,60.69 -146.12,60.84 -146.53,60.82 -146.75,60.95 -146.3,61.13 -147.37,60.89 -147.55,61.15 -147.6,60.89 -147.87,60.83 -148.05,60.95 -147.72,61.28 -148.07,61.02 -148.4,61.05 -148.42,60.98 -148.16,61.06 -148.34,60.81 -148.7,60.79 -148.45,60.8 -148.67,60.67 -148.23,60.77 -148.2,60.63 -148.68,60.45 -148.09,60.6 -147.94,60.46 -148.43,60.19 -148.1,60.21 -148.32,60.17 -148.44,59.95 -149.07,59.96 -149.08,60.06 -149.29,59.87 -149.42,60.12 -149.53,59.72 -149.72,59.96 -149.74,59.66 -150.03,59.8 -150.01,59.63 -150.35,59.47 -150.21,59.72 -150.47,59.46 -150.54,59.59 -150.89,59.25 -151.75,59.16 -151.98,59.28 -151.9,59.41 -151.45,59.47 -150.99,59.78 -151.48,59.63 -151.88,59.75 -151.3,60.39 -151.41,60.72 -150.4,61.04 -150.21,60.93 -149.03,60.85 -150.06,61.15 -149.25,61.49 -149.42,61.51 -149.98,61.26 -150.63,61.29 -151.58,60.98 -151.8,60.86 -151.71,60.72 -152.23,60.55 -152.43,60.29 -153.1,60.29 -152.58,60.08 -152.71,59.92 -153.23,59.86 -153,59.83 -153.04,59.71 -153.35,59.63 -153.42,59.77 -153.74,59.44 -154.14,59.38 -154,59.35 -154.26,59.14 -154.17,59.02 -153.7,59.07 -153.27,58.85 -154.1,58.48 -154,58.38 -154.36,58.28 -154.12,58.29 -154.23,58.13 -155.03,58.02 -155.31,57.73 -155.6,57.79 -155.74,57.55 -156.49,57.33 -156.34,57.17 -156.55,56.98 -156.94,56.97 -157.19,56.77 -157.44,56.85 -157.59,56.71 -157.47,56.62 -157.79,56.68 -158.12,56.56 -157.85,56.56 -157.88,56.47 -158.42,56.44 -158.65,56.26 -158.45,56.34 -158.21,56.28 -158.34,56.17 -158.12,56.23 -158.41,56.17 -158.51,55.99 -158.6,56.19 -158.67,55.95 -158.85,56.01 -159.37,55.87 -159.67,55.58 -159.62,55.81 -159.84,55.85 -160.42,55.63 -160.51,55.48 -160.75,55.55 -160.68,55.46 -160.92,55.52 -161.25,55.35 -161.51,55.36 -161.49,55.48 -161.37,55.58 -161.14,55.54 -161.56,55.62 -162.04,55.23 -161.97,55.1 -162.1,55.17 -162.22,55.02 -162.45,55.04 -162.63,55.3 -162.56,54.96 -162.88,54.93 -163.18,55.14 -163.04,54.94 -163.36,54.81 -163.32,55.12 -162.55,55.34 -162.26,55.67 -161.8,55.89 -161.07,55.93 -160.68,55.69 -160.8,55.88 -160.25,55.77 -160.57,55.99 -160.35,56.29 -159.04,56.8 -158.64,56.76 -158.65,57.05 -157.94,57.49 -157.69,57.57 -157.4,57.49 -157.71,57.64 -157.61,58.09 -157.41,58.2 -157.14,58.16 -157.54,58.26 -157.55,58.38 -156.78,59.15 -157.11,58.87 -158.19,58.61 -158.56,58.81 -158.49,59 -157.99,58.9 -158.54,59.18 -158.62,58.92 -158.82,58.97 -158.91,58.72 -158.7,58.49 -158.9,58.4 -159.63,58.95 -159.92,58.77 -160.33,59.06 -161.63,58.6 -162.17,58.65 -161.69,58.77 -161.79,59.02 -161.57,59.1 -161.99,59.14 -161.96,59.38 -161.71,59.5 -162.24,60.06 -162.15,60.25 -162.37,60.18 -162.22,60.58 -161.88,60.7 -162.26,60.62 -162.57,60.32 -162.52,59.99 -163.36,59.82 -164.07,59.82 -164.09,59.98 -165.14,60.44 -164.98,60.54 -165.43,60.56 -164.67,60.91 -164.68,60.83 -164.26,60.78 -164.43,60.55 -163.96,60.78 -163.67,60.59 -163.41,60.76 -163.9,60.86 -163.55,60.9 -163.74,60.99 -164.05,60.86 -165.15,60.93 -164.82,61.11 -165.12,61.08 -165.14,61.26 -165.16,61.17 -165.37,61.2 -164.72,61.63 -165.29,61.33 -165.39,61.07 -165.88,61.34 -165.81,61.53 -166.11,61.49 -166.2,61.59 -166.16,61.72 -166.14,61.63 -165.82,61.69 -166.1,61.82 -165.63,61.85 -165.7,62.11 -165.25,62.45 -165,62.54 -164.64,62.42 -164.85,62.57 -164.48,62.75 -164.78,62.65 -164.88,62.84 -164.69,63.02 -164.32,63.01 -164.59,63.13 -164.41,63.21 -163.99,63.25 -163.11,63.05 -162.31,63.54 -162.03,63.49 -162.14,63.43 -161.15,63.51 -160.78,63.87 -161.18,64.41 -161.53,64.42 -161.39,64.54 -161.01,64.51 -160.78,64.72 -161.18,64.94 -161.43,64.77 -162.11,64.72 -162.79,64.34 -163.17,64.66 -163.36,64.58 -163.04,64.52 -163.18,64.41 -163.82,64.59 -164.93,64.53 -164.77,64.47 -165.03,64.44 -166.12,64.57 -166.96,65.19 -166.86,65.28 -166.92,65.15 -166.61,65.12 -166.37,65.27 -166.06,65.26 -167.46,65.42 -168.13,65.67 -167.52,65.73 -167.51,65.83 -166.27,66.18 -165.5,66.14 -165.88,66.22 -165.77,66.32 -164.35,66.59 -163.63,66.57 -163.94,66.58 -163.85,66.28 -164.19,66.2 -163.66,66.07 -162.05,66.07 -161.82,65.97 -161.49,66.27 -161.09,66.24 -161.09,66.12 -161.16,66.35 -161.72,66.4 -161.92,66.28 -161.91,66.54 -162.64,66.87 -162.34,66.96 -161.6,66.45 -161.2,66.54 -160.79,66.37 -160.23,66.4 -160.26,66.65 -161.14,66.65 -161.51,66.53 -161.9,66.73 -161.5,66.98 -162.45,66.99 -162.35,67.16 -162.57,67.01 -163.73,67.11 -164.12,67.61 -165.39,68.05 -166.83,68.35 -166.37,68.42 -166.22,68.88 -164.32,68.93 -163.65,69.11 -163.12,69.38 -163,69.75 -161.94,70.31 -161.77,70.25 -162.12,70.15 -161.86,70.16 -159.94,70.59 -160.2,70.47 -159.84,70.27 -159.82,70.48 -159.29,70.53 -159.73,70.49 -160.12,70.6 -159.67,70.8 -159.16,70.88 -159.45,70.78 -159.22,70.7 -157.98,70.84 -156.76,71.32
+UY -57.81,-30.75 -57.89,-30.52 -57.61,-30.18 -57.22,-30.29 -57.07,-30.11 -56.81,-30.11 -56,-30.8 -56.01,-31.08 -55.84,-31.07 -55.58,-30.85 -55.24,-31.25 -54.59,-31.46 -54.29,-31.8 -53.88,-31.97 -53.55,-32.45 -53.09,-32.73 -53.52,-33.14 -53.53,-33.66 -53.37,-33.74 -53.78,-34.35 -54.15,-34.67 -54.33,-34.56 -54.28,-34.7 -54.95,-34.95 -55.69,-34.77 -56.32,-34.91 -56.37,-34.8 -56.89,-34.67 -57.12,-34.46 -57.84,-34.49 -58.41,-33.93 -58.44,-33.55 -58.36,-33.13 -58.15,-33.1 -58.05,-32.93 -58.2,-31.89 -58.03,-31.78 -57.98,-31.58 -58.08,-31.46 -57.92,-31.26
+UZ 64.38,38.95 64.13,38.98 62.55,39.93 61.87,41.13 61.44,41.3 61.27,41.16 60.49,41.22 60.14,41.38 60.07,41.76 60.28,41.79 60.01,42.22 59.28,42.35 59.16,42.54 58.95,42.54 58.62,42.8 58.56,42.66 58.14,42.63 58.51,42.3 58.03,42.5 57.84,42.19 57.39,42.16 56.98,41.88 57.05,41.27 56,41.33 56,45 58.57,45.57 61.15,44.21 62.03,43.48 63.21,43.64 64.46,43.55 64.93,43.74 65.53,43.32 65.82,42.88 66.12,43 66.03,42 66.53,42 66.72,41.17 67.94,41.18 68.15,41.04 68.05,40.81 68.46,40.6 68.65,40.62 68.59,40.92 69.06,41.22 69.06,41.38 69.93,41.71 70.4,42.07 70.63,42.02 70.75,42.2 71.05,42.31 71.28,42.2 70.19,41.52 70.48,41.41 70.71,41.47 70.81,41.25 71.42,41.12 71.44,41.35 71.6,41.32 71.69,41.56 71.89,41.19 72.18,41.19 72.2,41.01 72.4,41.04 72.63,40.89 73.17,40.82 72.64,40.51 72.39,40.61 72.42,40.39 72.17,40.46 72.04,40.27 71.71,40.15 71.3,40.31 70.65,40.21 70.34,40.45 70.8,40.73 70.41,41.05 70.32,40.89 69.73,40.64 69.36,40.77 69.31,40.2 68.6,40.18 69.01,40.09 68.79,40.07 68.91,39.89 68.64,39.86 68.54,39.55 67.76,39.63 67.5,39.53 67.37,39.22 67.69,39.14 67.71,39 68.11,39 68.2,38.85 68.07,38.54 68.38,38.2 67.84,37.51 67.78,37.19 67.53,37.27 67.24,37.19 67,37.38 66.54,37.37 66.64,38 65.9,38.28 65.6,38.25
+VA 12.45,41.9 12.46,41.9 12.46,41.91 12.45,41.91
+VC -61.45,12.58 -61.4,12.58 -61.4,12.61 -61.45,12.61 | -61.35,12.69 -61.3,12.69 -61.3,12.74 -61.35,12.74 | -61.25,12.97 -61.2,12.97 -61.2,13.04 -61.25,13.04 | -61.17,13.13 -61.28,13.21 -61.18,13.38
+VE -61.55,8.47 -61.18,8.47 -61.18,8.58 -61.55,8.58 | -61,8.55 -61.27,8.51 -61.08,8.61 | -61.18,8.57 -61.05,8.57 -61.05,8.65 -61.18,8.65 | -61.04,8.64 -61.18,8.68 -60.94,8.72 | -60.83,8.65 -60.99,8.64 -60.84,8.73 | -60.98,8.73 -61.17,8.7 -61.01,8.83 -60.86,8.85 | -61.05,8.84 -60.84,8.84 -60.84,9.03 -61.05,9.03 | -61.1,8.89 -60.85,8.89 -60.85,9.1 -61.1,9.1 | -60.87,9.11 -60.96,9.07 -60.94,9.17 -60.85,9.19 | -60.84,9.11 -60.73,9.11 -60.73,9.23 -60.84,9.23 | -61.41,9.58 -61.21,9.58 -61.21,9.73 -61.41,9.73 | -62.31,9.75 -62.25,9.75 -62.25,9.93 -62.31,9.93 | -62.79,10.3 -62.64,10.3 -62.64,10.48 -62.79,10.48 | -64,10.73 -63.89,10.73 -63.89,10.81 -64,10.81 | -65.27,10.88 -65.42,10.92 -65.22,10.96 | -63.8,11.02 -64.06,10.86 -64.41,10.97 -64.22,11.09 -64.04,10.99 -63.88,11.18 | -66.67,11.76 -66.59,11.76 -66.59,11.82 -66.67,11.82 | -66.19,11.77 -66.1,11.77 -66.1,11.83 -66.19,11.83 | -64.64,11.8 -64.55,11.8 -64.55,11.9 -64.64,11.9 | -69.77,11.7 -69.61,11.46 -69.28,11.53 -68.84,11.45 -68.42,11.18 -68.16,10.5 -66.24,10.64 -65.82,10.23 -65.08,10.06 -64.76,10.1 -64.2,10.45 -63.72,10.47 -63.96,10.58 -64.24,10.51 -64.26,10.66 -61.88,10.73 -62.34,10.53 -62.92,10.53 -63.01,10.45 -62.85,10.52 -62.83,10.4 -63,10.4 -63,10.27 -62.95,10.4 -62.78,10.4 -62.62,10.12 -63.01,10.09 -62.81,10.01 -62.62,10.09 -62.58,10.23 -62.32,9.71 -62.21,9.92 -62.21,9.63 -62.02,9.87 -62.23,9.96 -62.17,10.01 -61.96,9.91 -61.74,9.6 -61.8,9.81 -61.59,9.78 -61.62,9.91 -61.26,9.59 -60.85,9.44 -60.78,9.3 -61.08,9.1 -60.95,9.17 -61.21,8.6 -61.6,8.55 -61.33,8.43 -61.08,8.49 -61.07,8.4 -60.98,8.57 -60.47,8.53 -60.24,8.63 -59.99,8.54 -59.8,8.29 -60.02,8.04 -60.53,7.81 -60.72,7.55 -60.62,7.19 -60.37,7.18 -60.29,7.06 -60.71,6.76 -61.13,6.71 -61.2,6.58 -61.16,6.18 -61.39,5.94 -60.65,5.18 -60.58,4.96 -60.98,4.52 -61.31,4.51 -61.55,4.25 -61.85,4.16 -62.15,4.09 -62.44,4.18 -62.75,4.03 -62.73,3.68 -62.88,3.56 -63.34,3.96 -63.48,3.86 -63.84,3.96 -64.02,3.89 -64.13,4.11 -64.58,4.12 -64.8,4.28 -64.64,3.98 -64.19,3.59 -64.21,3.19 -63.99,2.72 -64.04,2.47 -63.37,2.42 -63.36,2.27 -63.4,2.15 -64,1.95 -64.08,1.64 -64.26,1.48 -64.4,1.51 -64.72,1.25 -65.12,1.13 -65.19,0.93 -65.32,0.92 -65.49,0.66 -65.58,0.72 -65.51,0.86 -65.59,0.99 -66.12,0.73 -66.31,0.75 -66.87,1.22 -67.19,2.39 -67.61,2.8 -67.83,2.83 -67.29,3.4 -67.62,3.76 -67.86,4.56 -67.85,5.31 -67.61,5.54 -67.62,5.79 -67.41,5.99 -67.45,6.19 -67.82,6.31 -68.64,6.13 -69.06,6.22 -69.25,6.08 -69.43,6.12 -70.12,6.98 -70.3,6.94 -70.72,7.1 -71.19,6.96 -72,7.02 -72.15,7.33 -72.47,7.49 -72.46,7.92 -72.33,8.1 -72.38,8.36 -72.66,8.64 -72.78,9.08 -73.01,9.3 -73.38,9.17 -73,9.77 -72.91,10.44 -72.49,11.12 -72.21,11.25 -71.98,11.66 -71.32,11.85 -71.45,11.72 -71.96,11.58 -71.58,10.71 -71.65,10.44 -72.13,9.81 -71.73,9.38 -71.71,9.08 -71.25,9.15 -71.06,9.34 -71.07,9.84 -71.55,10.57 -71.5,10.96 -70.51,11.25 -70.04,11.44 -70.05,11.52 -69.8,11.43 -69.81,11.69 -70.24,11.63 -70.29,11.91 -70.03,12.2 -69.86,12.07
+VG -64.7,18.38 -64.56,18.38 -64.56,18.46 -64.7,18.46 | -64.44,18.43 -64.32,18.43 -64.32,18.51 -64.44,18.51 | -64.41,18.69 -64.27,18.69 -64.27,18.75 -64.41,18.75
+VI -64.76,17.77 -64.56,17.75 -64.9,17.68 | -64.79,18.31 -64.66,18.31 -64.66,18.37 -64.79,18.37 | -65.03,18.31 -64.83,18.31 -64.83,18.38 -65.03,18.38
+VN 106.56,8.65 106.67,8.65 106.67,8.76 106.56,8.76 | 103.46,9.28 103.5,9.28 103.5,9.31 103.46,9.31 | 106.09,9.53 106.29,9.53 106.29,9.75 106.09,9.75 | 106.42,9.82 106.55,9.82 106.55,9.94 106.42,9.94 | 106.59,10.24 106.66,10.24 106.66,10.26 106.59,10.26 | 106.51,10.22 106.75,10.22 106.75,10.3 106.51,10.3 | 104.08,10.36 104.03,10.08 103.84,10.37 104.01,10.44 | 107.06,10.32 107.21,10.32 107.21,10.46 107.06,10.46 | 106.9,10.37 106.93,10.52 106.98,10.41 | 108.93,10.5 108.97,10.5 108.97,10.55 108.93,10.55 | 106.85,10.52 106.93,10.52 106.93,10.64 106.85,10.64 | 106.85,10.4 106.75,10.66 106.86,10.6 | 109.24,12.18 109.34,12.18 109.34,12.23 109.24,12.23 | 109.38,12.35 109.4,12.35 109.4,12.37 109.38,12.37 | 107.66,16.35 107.92,16.35 107.92,16.57 107.66,16.57 | 107.71,20.13 107.74,20.13 107.74,20.14 107.71,20.14 | 107.33,20.8 107.38,20.8 107.38,20.85 107.33,20.85 | 107.07,20.73 106.91,20.83 107.03,20.86 | 106.72,20.85 106.75,20.85 106.75,20.87 106.72,20.87 | 106.76,20.79 106.89,20.79 106.89,20.92 106.76,20.92 | 106.93,20.93 106.95,20.93 106.95,20.95 106.93,20.95 | 107.46,20.82 107.56,20.82 107.56,20.97 107.46,20.97 | 106.89,20.95 106.92,20.95 106.92,20.97 106.89,20.97 | 107.45,20.94 107.48,20.94 107.48,20.97 107.45,20.97 | 106.68,20.95 106.75,20.95 106.75,20.98 106.68,20.98 | 107.74,20.93 107.79,20.93 107.79,21.02 107.74,21.02 | 107.39,20.89 107.56,20.89 107.56,21.04 107.39,21.04 | 107.81,20.98 107.86,20.98 107.86,21.04 107.81,21.04 | 107.56,20.97 107.62,20.97 107.62,21.12 107.56,21.12 | 107.51,21.13 107.53,21.13 107.53,21.15 107.51,21.15 | 107.38,21.05 107.47,21.27 107.6,21.22 | 107.71,21.3 107.82,21.3 107.82,21.36 107.71,21.36 | 107.83,21.36 108,21.36 108,21.4 107.83,21.4 | 105.58,23.06 105.87,22.91 106.13,22.99 106.28,22.86 106.52,22.94 106.71,22.86 106.79,22.76 106.55,22.46 106.69,22.03 107.03,21.94 107.02,21.82 107.3,21.73 107.36,21.61 107.78,21.67 108.07,21.49 107.93,21.44 107.86,21.53 107.59,21.29 107.41,21.33 107.37,21.02 107.15,20.92 107.07,20.96 107.14,21.04 106.87,20.99 106.94,20.9 106.86,20.87 106.79,21.03 106.64,21.02 106.78,20.7 106.6,20.63 106.56,20.27 105.95,19.92 105.81,19.27 105.61,18.98 105.88,18.5 106.51,17.96 106.42,17.74 106.7,17.4 107.82,16.3 108.03,16.32 108.19,16.2 108.2,16 108.24,16.15 108.33,16.15 108.31,15.95 108.62,15.48 108.83,15.42 109.3,13.86 109.3,13.75 109.25,13.89 109.22,13.82 109.23,13.41 109.47,12.89 109.2,12.63 109.35,12.39 109.15,12.44 109.27,11.89 109.17,12.12 109.12,11.85 109.22,11.76 109.14,11.57 109.05,11.6 109.02,11.35 108.11,10.91 108,10.7 107.27,10.38 107.05,10.5 107,10.66 106.96,10.47 106.9,10.63 106.74,10.67 106.74,10.51 106.59,10.43 106.74,10.47 106.78,10.28 106.42,10.31 106.79,10.16 106.78,10.08 106.59,9.98 106.29,10.25 106.67,9.84 106.11,10.23 106.57,9.74 106.54,9.58 106.39,9.53 105.82,10 106.19,9.56 106.19,9.37 105.53,9.13 105.3,8.77 104.85,8.56 104.74,8.6 104.92,8.75 104.8,8.8 104.86,9.69 105.11,9.95 104.8,10.21 104.61,10.17 104.45,10.42 104.6,10.53 104.88,10.53 105.1,10.72 105.1,10.96 105.36,10.87 105.78,11.02 106.2,10.77 106.19,11.05 105.87,11.3 105.85,11.66 105.96,11.64 106.05,11.78 106.46,11.67 106.42,11.97 106.72,11.97 107.17,12.28 107.35,12.33 107.43,12.25 107.55,12.35 107.48,13.02 107.63,13.54 107.34,14.12 107.56,14.65 107.47,15.03 107.62,15.06 107.7,15.27 107.18,15.78 107.46,16.08 107.33,16.06 106.99,16.3 106.88,16.54 106.69,16.46 106.56,17 106.44,16.99 105.75,17.67 105.5,18.17 105.18,18.33 105.1,18.47 105.19,18.64 103.88,19.29 104.1,19.48 104.04,19.69 104.64,19.61 104.98,20 104.94,20.18 104.62,20.42 104.38,20.44 104.64,20.66 104.11,20.98 103.69,20.66 103.17,20.85 102.88,21.25 102.98,21.74 102.68,21.66 102.61,21.93 102.14,22.4 102.48,22.77 103.03,22.44 103.34,22.8 103.53,22.58 103.66,22.78 103.96,22.5 104.11,22.8 104.27,22.83 104.37,22.69 104.73,22.82 104.91,23.18 105.35,23.33
+VU 169.85,-20.25 169.75,-20.15 169.89,-20.17 | 170.2,-19.56 170.24,-19.56 170.24,-19.52 170.2,-19.52 | 169.5,-19.55 169.35,-19.64 169.23,-19.35 169.35,-19.33 | 169.58,-19.28 169.6,-19.28 169.6,-19.23 169.58,-19.23 | 169.31,-18.98 168.99,-18.88 169.02,-18.64 169.15,-18.64 | 168.57,-17.69 168.38,-17.83 168.15,-17.72 168.31,-17.53 | 168.4,-16.78 168.47,-16.85 168.17,-16.81 168.15,-16.58 | 168.2,-16.52 168.26,-16.52 168.26,-16.43 168.2,-16.43 | 168.22,-16.17 168.28,-16.35 167.92,-16.26 168.14,-16.09 | 167.42,-16.11 167.75,-16.34 167.77,-16.54 167.42,-16.53 167.38,-16.19 167.14,-16.06 167.25,-15.88 | 167.21,-15.76 167.08,-15.64 167.23,-15.64 | 167.24,-15.59 167.29,-15.59 167.29,-15.54 167.24,-15.54 | 167.2,-15.61 167.11,-15.59 167.19,-15.53 | 168.11,-16 168.27,-16 168.27,-15.49 168.11,-15.49 | 167.86,-15.49 167.67,-15.44 168,-15.29 | 167.16,-15.27 167.18,-15.27 167.18,-15.25 167.16,-15.25 | 167.1,-14.97 167.15,-14.97 167.15,-14.93 167.1,-14.93 | 168.09,-15.4 168.19,-15.4 168.19,-14.92 168.09,-14.92 | 166.8,-15.16 166.92,-15.16 167,-14.92 167.14,-15.13 167.24,-15.52 166.77,-15.65 166.52,-14.85 166.59,-14.62 | 167.53,-14.33 167.39,-14.31 167.41,-14.18 167.59,-14.17 | 167.48,-13.95 167.39,-13.83 167.48,-13.71 167.58,-13.85 | 167.62,-13.7 167.72,-13.7 167.72,-13.62 167.62,-13.62 | 167.29,-13.56 167.37,-13.56 167.37,-13.49 167.29,-13.49 | 166.65,-13.46 166.7,-13.46 166.7,-13.4 166.65,-13.4 | 166.6,-13.38 166.64,-13.38 166.64,-13.33 166.6,-13.33 | 166.58,-13.27 166.64,-13.27 166.64,-13.22 166.58,-13.22 | 166.52,-13.19 166.57,-13.19 166.57,-13.07 166.52,-13.07
+WF -178.19,-14.32 -178.04,-14.32 -178.04,-14.23 -178.19,-14.23 | -176.19,-13.35 -176.12,-13.35 -176.12,-13.21 -176.19,-13.21
+WS -171.43,-14.02 -171.91,-14.01 -172.06,-13.87 -171.82,-13.81 | -172.29,-13.49 -172.17,-13.68 -172.23,-13.81 -172.53,-13.8 -172.78,-13.53
+XK 20.35,42.83 20.8,43.26 21.39,42.75 21.75,42.65 21.56,42.25 21.29,42.1 21.06,42.17 20.78,42.07 20.72,41.87 20.58,41.87 20.49,42.22 20.06,42.55 20.05,42.76
+YE 53.26,12.11 53.34,12.11 53.34,12.13 53.26,12.13 | 53.01,12.13 53.11,12.13 53.11,12.18 53.01,12.18 | 52.08,12.14 52.4,12.14 52.4,12.25 52.08,12.25 | 43.39,12.63 43.45,12.63 43.45,12.67 43.39,12.67 | 53.77,12.62 54.09,12.7 54.48,12.56 54.14,12.35 53.74,12.31 53.33,12.55 53.5,12.72 | 42.68,13.66 42.8,13.66 42.8,13.78 42.68,13.78 | 42.79,13.91 42.69,14.01 42.77,14.07 | 42.56,15.27 42.66,15.27 42.66,15.46 42.56,15.46 | 52.23,15.67 51.25,15.19 49.1,14.52 48.7,14.04 48,14.05 47.4,13.65 46.69,13.43 45.67,13.34 45.41,13.06 45.13,12.97 45.06,12.75 45.02,12.86 44.9,12.73 44.6,12.82 44.3,12.64 43.96,12.59 43.61,12.75 43.46,12.68 43.48,12.83 43.23,13.28 43.28,13.72 43.09,13.99 42.94,14.96 42.86,15.14 42.68,15.21 42.81,15.26 42.69,15.7 42.84,15.89 42.79,16.38 43.21,16.67 43.12,16.93 43.19,17.34 43.41,17.51 43.94,17.31 44.47,17.41 46.33,16.67 46.33,15.62 48.77,18.27 52,19 53.11,16.64 52.3,16.27 52.16,15.98
+YT 45.26,-12.8 45.29,-12.8 45.29,-12.75 45.26,-12.75 | 45.2,-12.85 45.18,-12.97 45.07,-12.96 45.08,-12.66 45.22,-12.74
+ZA 37.85,-46.96 37.58,-46.91 37.78,-46.83 | 37.86,-46.66 37.98,-46.66 37.98,-46.6 37.86,-46.6 | 29.89,-22.19 30.31,-22.35 30.9,-22.29 31.27,-22.37 31.56,-23.19 31.55,-23.48 31.88,-23.95 32.02,-24.46 31.97,-25.96 31.32,-25.76 30.83,-26.39 30.82,-26.81 30.9,-26.77 31.16,-27.2 31.52,-27.31 31.99,-27.32 32.01,-26.81 32.89,-26.85 32.4,-28.52 31.33,-29.39 30.02,-31.28 27.9,-33.04 26.53,-33.75 25.72,-33.77 25.61,-33.93 25.7,-34.03 25.02,-33.97 24.82,-34.2 23.65,-33.98 23.37,-34.1 22.55,-34.01 22.15,-34.09 21.8,-34.38 20.94,-34.36 20.5,-34.46 20,-34.82 19.32,-34.6 19.28,-34.41 18.82,-34.38 18.79,-34.09 18.49,-34.1 18.42,-34.32 18.31,-34.03 18.44,-33.71 17.85,-32.83 18.29,-32.62 18.28,-31.89 17.28,-30.35 16.82,-29.09 16.48,-28.61 16.73,-28.5 16.88,-28.1 17.06,-28.03 17.22,-28.24 17.35,-28.24 17.4,-28.71 17.58,-28.68 18.18,-28.91 18.72,-28.84 19.12,-28.96 19.57,-28.53 20,-28.42 20,-24.77 20.39,-25.04 20.81,-25.88 20.86,-26.15 20.61,-26.45 20.64,-26.83 21.67,-26.86 21.77,-26.68 22.04,-26.63 22.25,-26.34 22.62,-26.11 23.01,-25.3 23.45,-25.28 23.91,-25.63 24.19,-25.62 24.66,-25.82 25.42,-25.73 25.67,-25.47 25.87,-24.74 26.41,-24.63 26.85,-24.26 27,-23.64 27.53,-23.38 28.18,-22.69 28.92,-22.45 29.02,-22.23
+ZM 24.97,-17.56 24.37,-17.47 23.45,-17.62 22.14,-16.49 22,-16.17 22,-13 24.02,-13.01 23.89,-12.77 24.05,-12.39 23.97,-11.66 24.08,-11.4 23.99,-10.87 24.4,-11.11 24.45,-11.46 25.33,-11.19 25.36,-11.64 26,-11.9 26.87,-11.97 27.03,-11.6 27.2,-11.57 27.23,-11.78 27.48,-11.97 27.66,-12.3 27.87,-12.26 28.44,-12.52 28.56,-12.88 28.73,-12.9 29.02,-13.4 29.2,-13.44 29.59,-13.22 29.69,-13.27 29.64,-13.42 29.8,-13.45 29.81,-12.16 29.48,-12.24 29.49,-12.46 29.03,-12.38 28.5,-11.87 28.36,-11.53 28.7,-10.65 28.59,-10.25 28.7,-9.79 28.52,-9.35 28.37,-9.26 28.93,-8.74 28.9,-8.48 30.77,-8.19 31.04,-8.59 31.49,-8.67 31.68,-8.91 31.96,-8.93 31.98,-9.07 32.43,-9.13 32.94,-9.41 33.01,-9.63 33.21,-9.6 33.32,-10.07 33.55,-10.22 33.7,-10.56 33.25,-10.89 33.41,-11.16 33.24,-11.41 33.33,-11.74 33.27,-12.14 33.37,-12.33 33.55,-12.35 33.37,-12.54 33.05,-12.6 32.92,-13.38 32.68,-13.61 32.99,-13.93 33.22,-14.01 30.21,-14.98 30.42,-15.63 29.56,-15.66 28.93,-15.97 28.76,-16.55 27.83,-16.96 27.04,-17.96 26.7,-18.08 26.23,-17.9 25.96,-18.01 25.69,-17.81 25.33,-17.84
+ZW 32.99,-17.27 33.04,-17.62 32.95,-17.98 33.07,-18.35 32.89,-18.53 32.92,-18.77 32.71,-18.83 32.7,-18.94 32.88,-19.1 32.78,-19.47 33.06,-19.78 33.02,-19.94 32.67,-20.56 32.5,-20.6 32.52,-20.91 32.36,-21.13 32.49,-21.34 32.42,-21.31 31.3,-22.41 30.91,-22.29 30.31,-22.35 29.73,-22.14 29.37,-22.19 29.07,-22.04 29.06,-21.8 28.02,-21.57 27.69,-21.07 27.71,-20.51 27.29,-20.49 27.22,-20.09 26.73,-19.93 26.17,-19.53 25.96,-18.91 25.24,-17.89 25.26,-17.8 25.69,-17.81 25.95,-18 26.23,-17.9 26.7,-18.08 27.04,-17.96 27.83,-16.96 28.76,-16.55 28.93,-15.97 29.83,-15.62 30.42,-15.63 30.42,-16.01 31.28,-16.02 31.43,-16.16 31.72,-16.21 31.91,-16.42 32.38,-16.47 32.77,-16.72 32.98,-16.71 32.86,-16.92
+`;
@@ -0,0 +1,235 @@
+import proj4 from "proj4";
+
+/**
+ * Code du système de référence utilisé par l'application (WGS84 géographique)
+ */
+export const WGS84_CODE = "EPSG:4326";
+
+// Systèmes de référence courants (définitions proj4)
+const COMMON_CRS = [
+  {
+    code: WGS84_CODE,
+    name: "WGS 84 (lat/lng)",
+    definition: "+proj=longlat +datum=WGS84 +no_defs",
+  },
+  {
+    code: "EPSG:3857",
+    name: "Web Mercator",
+    definition:
+      "+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +wktext +no_defs",
+  },
+  {
+    code: "EPSG:2154",
+    name: "RGF93 / Lambert-93",
+    definition:
+      "+proj=lcc +lat_0=46.5 +lon_0=3 +lat_1=49 +lat_2=44 +x_0=700000 +y_0=6600000 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+  },
+];
+
+// Registre des systèmes de référence disponibles, indexé par code
+const registry = new Map();
+
+/**
+ * Enregistre un système de référence à partir d'une définition proj4
+ * @param {String} code - Code du système (ex : "EPSG:2154")
+ * @param {String} definition - Définition proj4
+ * @param {Object} options - Options
+ * @param {String} options.name - Nom affiché
+ * @param {String} options.group - Groupe d'affichage
+ * @returns {Object} - Système enregistré { code, name, group, units }
+ */
+export const registerCrs = (code, definition, { name = code, group } = {}) => {
+  proj4.defs(code, definition);
+
+  const crs = {
+    code,
+    name,
+    group: group || "Custom",
+    units: proj4.defs(code).units || "degrees",
+  };
+  registry.set(code, crs);
+  return crs;
+};
+
+COMMON_CRS.forEach(({ code, name, definition }) =>
+  registerCrs(code, definition, { name, group: "Common" })
+);
+
+// Zones UTM WGS84 nord (EPSG:326xx) et sud (EPSG:327xx)
+for (let zone = 1; zone <= 60; zone++) {
+  const suffix = String(zone).padStart(2, "0");
+  registerCrs(
+    `EPSG:326${suffix}`,
+    `+proj=utm +zone=${zone} +datum=WGS84 +units=m +no_defs`,
+    { name: `UTM zone ${zone}N`, group: "UTM North" }
+  );
+  registerCrs(
+    `EPSG:327${suffix}`,
+    `+proj=utm +zone=${zone} +south +datum=WGS84 +units=m +no_defs`,
+    { name: `UTM zone ${zone}S`, group: "UTM South" }
+  );
+}
+
+/**
+ * Liste les systèmes de référence enregistrés
+ * @returns {Array} - Systèmes { code, name, group, units }
+ */
+export const listCrs = () => Array.from(registry.values());
+
+/**
+ * Récupère un système de référence enregistré
+ * @param {String} code - Code du système
+ * @returns {Object} - Système { code, name, group, units }
+ */
+export const getCrs = (code) => {
+  const crs = registry.get(code);
+  if (!crs) {
+    throw new Error(`Système de référence inconnu : ${code}`);
+  }
+  return crs;
+};
+
+/**
+ * Indique si un système de référence utilise des coordonnées géographiques
+ * @param {String} code - Code du système
+ * @returns {Boolean} - True si les coordonnées sont en degrés
+ */
+export const isGeographicCrs = (code) => getCrs(code).units === "degrees";
+
+/**
+ * Détermine le code EPSG de la zone UTM contenant un point
+ * @param {Array} point - Coordonnées [lat, lng]
+ * @returns {String} - Code EPSG de la zone UTM
+ */
+export const getUtmCrsCode = ([lat, lng]) => {
+  const zone = Math.min(60, Math.floor((lng + 180) / 6) + 1);
+  return `EPSG:${lat >= 0 ? 326 : 327}${String(zone).padStart(2, "0")}`;
+};
+
+/**
+ * Projette un point WGS84 dans un système de référence
+ * @param {Array} point - Coordonnées [lat, lng]
+ * @param {String} code - Code du système cible
+ * @returns {Array} - Coordonnées [x, y] (ou [lng, lat] pour un système géographique)
+ */
+export const toCrs = ([lat, lng], code) => {
+  getCrs(code);
+  return proj4(WGS84_CODE, code, [lng, lat]);
+};
+
+/**
+ * Convertit un point d'un système de référence vers WGS84
+ * @param {Array} point - Coordonnées [x, y] (ou [lng, lat] pour un système géographique)
+ * @param {String} code - Code du système source
+ * @returns {Array} - Coordonnées [lat, lng]
+ */
+export const fromCrs = (point, code) => {
+  getCrs(code);
+  const [lng, lat] = proj4(code, WGS84_CODE, [point[0], point[1]]);
+  return [lat, lng];
+};
+
+/**
+ * Reprojette toutes les positions d'un objet GeoJSON
+ * @param {Object} geojson - FeatureCollection, Feature ou géométrie GeoJSON
+ * @param {String} fromCode - Code du système source
+ * @param {String} toCode - Code du système cible
+ * @returns {Object} - Copie reprojetée (sans membre "crs")
+ */
+export const reprojectGeoJSON = (geojson, fromCode, toCode) => {
+  getCrs(fromCode);
+  getCrs(toCode);
+
+  const converter = proj4(fromCode, toCode);
+  const reprojectPositions = (coordinates) =>
+    typeof coordinates[0] === "number"
+      ? converter.forward([coordinates[0], coordinates[1]])
+      : coordinates.map(reprojectPositions);
+
+  const reprojectGeometry = (geometry) => {
+    if (!geometry) return geometry;
+    if (geometry.type === "GeometryCollection") {
+      return {
+        ...geometry,
+        geometries: geometry.geometries.map(reprojectGeometry),
+      };
+    }
+    return {
+      ...geometry,
+      coordinates: reprojectPositions(geometry.coordinates),
+    };
+  };
+
+  // Le membre "crs" ne décrit plus les coordonnées reprojetées
+  const rest = { ...geojson };
+  delete rest.crs;
+
+  if (rest.type === "FeatureCollection") {
+    return {
+      ...rest,
+      features: rest.features.map((feature) => ({
+        ...feature,
+        geometry: reprojectGeometry(feature.geometry),
+      })),
+    };
+  }
+
+  if (rest.type === "Feature") {
+    return { ...rest, geometry: reprojectGeometry(rest.geometry) };
+  }
+
+  return reprojectGeometry(rest);
+};
+
+/**
+ * Détecte le système de référence déclaré par le membre "crs" d'un GeoJSON
+ * (membre hérité de la spécification GeoJSON 2008, encore produit par les SIG bureautiques)
+ * Un système déclaré mais non enregistré lève une erreur nommée "UnsupportedCrsError",
+ * dont la propriété code donne le système : lire les coordonnées dans un autre les déplacerait
+ * @param {Object} geojson - Objet GeoJSON
+ * @returns {String|null} - Code du système, ou null si le fichier n'en déclare pas
+ */
+export const detectGeoJSONCrs = (geojson) => {
+  const name = geojson?.crs?.properties?.name;
+  if (!name) {
+    return null;
+  }
+
+  if (/CRS84$/i.test(name)) {
+    return WGS84_CODE;
+  }
+
+  const match = name.match(/EPSG:{1,2}(\d+)$/i);
+  const code = match ? `EPSG:${match[1]}` : name;
+  if (!registry.has(code)) {
+    const error = new Error(
+      `Système de référence non pris en charge : ${code}`
+    );
+    error.name = "UnsupportedCrsError";
+    error.code = code;
+    throw error;
+  }
+
+  return code;
+};
+
+/**
+ * Ajoute le membre "crs" hérité à un GeoJSON exprimé dans un système autre que WGS84
+ * @param {Object} geojson - Objet GeoJSON
+ * @param {String} code - Code du système des coordonnées
+ * @returns {Object} - GeoJSON annoté
+ */
+export const withCrsMember = (geojson, code) => {
+  if (code === WGS84_CODE) {
+    return geojson;
+  }
+
+  const [authority, identifier] = code.split(":");
+  return {
+    ...geojson,
+    crs: {
+      type: "name",
+      properties: { name: `urn:ogc:def:crs:${authority}::${identifier}` },
+    },
+  };
+};
@@ -1,106 +1,2266 @@
+import geodesic from "geographiclib-geodesic";
+import polygonClipping from "polygon-clipping";
+
+// Ellipsoïde WGS84 (algorithmes géodésiques de Karney, GeographicLib)
+const WGS84 = geodesic.Geodesic.WGS84;
+
 /**
- * Calcule l'aire d'un polygone en mètres carrés
- * @param {Array} polygonCoords - Tableau de coordonnées [lat, lng]
- * @returns {Number} - Aire en mètres carrés
+ * Retire le point de fermeture d'un anneau s'il est identique au premier point
+ * @param {Array} ring - Anneau de coordonnées
+ * @returns {Array} - Anneau ouvert
  */
-export const calculatePolygonArea = (polygonCoords) => {
-  // Implémentation de la formule de l'aire de Gauss (Shoelace formula)
-  if (!polygonCoords || polygonCoords.length < 3) {
-    return 0;
+const openRing = (ring) => {
+  if (ring.length > 1) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] === last[0] && first[1] === last[1]) {
+      return ring.slice(0, -1);
+    }
   }
+  return ring;
+};
 
-  // Convertir en radians
-  const toRadians = (deg) => deg * (Math.PI / 180);
+/**
+ * Ramène une longitude dans l'intervalle [-180, 180]
+ * @param {Number} lng - Longitude en degrés
+ * @returns {Number} - Longitude normalisée
+ */
+export const wrapLongitude = (lng) => {
+  if (lng >= -180 && lng <= 180) {
+    return lng;
+  }
+  return ((((lng + 180) % 360) + 360) % 360) - 180;
+};
 
-  // Rayon de la Terre en mètres
-  const earthRadius = 6371000;
+/**
+ * Calcule le déplacement en longitude d'une arête en suivant le plus court chemin
+ * Une arête longeant l'antiméridien ou reliant deux points d'un même pôle est prise telle
+ * quelle : c'est un bord de polygone découpé (RFC 7946), qui peut couvrir plus de 180°
+ * @param {Array} from - Point de départ [lat, lng]
+ * @param {Array} to - Point d'arrivée [lat, lng]
+ * @returns {Number} - Déplacement en degrés
+ */
+const longitudeStep = ([fromLat, fromLng], [toLat, toLng]) => {
+  const delta = toLng - fromLng;
+  const alongAntimeridian =
+    Math.abs(fromLng) === 180 && Math.abs(toLng) === 180;
+  const alongPole = Math.abs(fromLat) === 90 && fromLat === toLat;
+  if (alongAntimeridian || alongPole) {
+    return delta;
+  }
+  return delta - 360 * Math.round(delta / 360);
+};
 
-  let area = 0;
-  const n = polygonCoords.length;
+/**
+ * Calcule la longitude médiane de l'étendue d'un anneau
+ * @param {Array} ring - Anneau [lat, lng]
+ * @returns {Number} - Milieu des longitudes extrêmes
+ */
+const getLongitudeMiddle = (ring) => {
+  let min = Infinity;
+  let max = -Infinity;
+  ring.forEach(([, lng]) => {
+    min = Math.min(min, lng);
+    max = Math.max(max, lng);
+  });
+  return (min + max) / 2;
+};
+
+/**
+ * Rend les longitudes d'un anneau continues à travers l'antiméridien
+ * @param {Array} ring - Anneau ouvert [lat, lng]
+ * @param {Number} reference - Longitude près de laquelle placer l'anneau
+ * @returns {Object} - Anneau déroulé et tours effectués autour d'un pôle (-1, 0 ou 1)
+ */
+const unwrapRing = (ring, reference) => {
+  const unwrapped = [];
+  ring.forEach(([lat, lng], index) => {
+    const previous = unwrapped[index - 1];
+    unwrapped.push([
+      lat,
+      previous ? previous[1] + longitudeStep(ring[index - 1], [lat, lng]) : lng,
+    ]);
+  });
+
+  // Un anneau qui fait le tour d'un pôle revient à son départ décalé de 360°
+  const last = ring[ring.length - 1];
+  const travel =
+    unwrapped[unwrapped.length - 1][1] +
+    longitudeStep(last, ring[0]) -
+    unwrapped[0][1];
+  const turns = Math.round(travel / 360);
+
+  // Placer le milieu de l'anneau au plus près de la référence
+  const shift =
+    reference === undefined
+      ? 0
+      : 360 * Math.round((reference - getLongitudeMiddle(unwrapped)) / 360);
+
+  return {
+    ring: unwrapped.map(([lat, lng]) => [lat, lng + shift]),
+    turns: Math.abs(turns) === 1 ? turns : 0,
+  };
+};
+
+/**
+ * Ferme par le pôle un anneau qui en fait le tour, comme le fait la projection
+ * plate carrée : l'anneau longe le parallèle puis rejoint le pôle par deux méridiens
+ * @param {Array} ring - Anneau déroulé [lat, lng]
+ * @param {Number} turns - Sens du tour (1 vers l'est, -1 vers l'ouest)
+ * @returns {Array} - Anneau fermé par le pôle
+ */
+const closeThroughPole = (ring, turns) => {
+  const [firstLat, firstLng] = ring[0];
+  const meanLat = ring.reduce((sum, point) => sum + point[0], 0) / ring.length;
+  const poleLat = meanLat >= 0 ? 90 : -90;
+  const endLng = firstLng + 360 * turns;
+
+  return [...ring, [firstLat, endLng], [poleLat, endLng], [poleLat, firstLng]];
+};
+
+/**
+ * Lit les polygones d'une géométrie sans modifier les coordonnées
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @returns {Array} - Liste de polygones, chacun étant une liste d'anneaux ouverts [lat, lng]
+ */
+const readPolygons = (geometry) => {
+  if (!geometry) {
+    return [];
+  }
+
+  if (Array.isArray(geometry)) {
+    return geometry.length > 0 ? [[openRing(geometry)]] : [];
+  }
+
+  if (geometry.type === "Feature") {
+    return readPolygons(geometry.geometry);
+  }
+
+  // GeoJSON utilise [lng, lat]
+  const toLatLngRing = (ring) =>
+    openRing(ring.map((coord) => [coord[1], coord[0]]));
 
-  for (let i = 0; i < n; i++) {
-    const j = (i + 1) % n;
-    const lat1 = toRadians(polygonCoords[i][0]);
-    const lon1 = toRadians(polygonCoords[i][1]);
-    const lat2 = toRadians(polygonCoords[j][0]);
-    const lon2 = toRadians(polygonCoords[j][1]);
+  if (geometry.type === "Polygon") {
+    return [geometry.coordinates.map(toLatLngRing)];
+  }
 
-    area += lon1 * Math.sin(lat2) - lon2 * Math.sin(lat1);
+  if (geometry.type === "MultiPolygon") {
+    return geometry.coordinates.map((polygon) => polygon.map(toLatLngRing));
   }
 
-  area = Math.abs((area * earthRadius * earthRadius) / 2);
-  return area;
+  return [];
 };
 
 /**
- * Calcule le périmètre d'un polygone en mètres
- * @param {Array} polygonCoords - Tableau de coordonnées [lat, lng]
+ * Normalise une géométrie en liste de polygones
+ * Accepte un anneau Leaflet [lat, lng], ou un Feature / Polygon / MultiPolygon GeoJSON
+ * Les longitudes sont rendues continues à travers l'antiméridien (elles peuvent sortir
+ * de [-180, 180]) et un anneau extérieur faisant le tour d'un pôle est fermé par ce pôle
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @returns {Array} - Liste de polygones, chacun étant une liste d'anneaux ouverts [lat, lng]
+ *                    (le premier anneau est l'anneau extérieur, les suivants sont des trous)
+ */
+export const normalizePolygons = (geometry) => {
+  // Les trous et les parties suivantes sont placés près de la première partie
+  let reference;
+
+  return readPolygons(geometry).map(([outer, ...holes]) => {
+    if (!outer || outer.length === 0) {
+      return [];
+    }
+
+    const { ring, turns } = unwrapRing(outer, reference);
+    const closedOuter = turns !== 0 ? closeThroughPole(ring, turns) : ring;
+    const middle = getLongitudeMiddle(closedOuter);
+    if (reference === undefined) {
+      reference = middle;
+    }
+
+    return [
+      closedOuter,
+      ...holes
+        .filter((hole) => hole.length > 0)
+        .map((hole) => unwrapRing(hole, middle).ring),
+    ];
+  });
+};
+
+/**
+ * Indique si une arête est un artefact de découpage : elle rejoint un pôle ou longe l'antiméridien
+ * @param {Array} start - Début de l'arête [lat, lng]
+ * @param {Array} end - Fin de l'arête [lat, lng]
+ * @returns {Boolean} - True si l'arête ne fait pas partie du contour réel
+ */
+const isCutEdge = ([lat1, lng1], [lat2, lng2]) =>
+  Math.abs(lat1) === 90 ||
+  Math.abs(lat2) === 90 ||
+  (lng1 === lng2 && Math.abs(wrapLongitude(lng1)) === 180);
+
+/**
+ * Suit en plate carrée une arête de 180° ou plus, qui serait sinon ambiguë ou prise dans
+ * l'autre sens (bord de polygone découpé, fermeture par un pôle)
+ * @param {Array} start - Début de l'arête [lat, lng]
+ * @param {Array} end - Fin de l'arête [lat, lng]
+ * @returns {Array} - Points [lat, lng] de l'arête, degré par degré, fin exclue
+ */
+const followLongEdge = ([lat, lng], [nextLat, nextLng]) => {
+  const span = Math.abs(nextLng - lng);
+  const steps = span >= 180 ? Math.ceil(span) : 1;
+
+  return Array.from({ length: steps }, (_, step) => [
+    lat + ((nextLat - lat) * step) / steps,
+    lng + ((nextLng - lng) * step) / steps,
+  ]);
+};
+
+/**
+ * Mesure un anneau sur l'ellipsoïde WGS84
+ * @param {Array} ring - Anneau ouvert [lat, lng]
+ * @returns {Object} - Aire signée (m², positive dans le sens anti-horaire) et périmètre (m)
+ */
+const measureRing = (ring) => {
+  const polygon = WGS84.Polygon(false);
+  let cutLength = 0;
+
+  ring.forEach(([lat, lng], index) => {
+    const [nextLat, nextLng] = ring[(index + 1) % ring.length];
+
+    followLongEdge([lat, lng], [nextLat, nextLng]).forEach(
+      ([pointLat, pointLng]) => polygon.AddPoint(pointLat, pointLng)
+    );
+
+    if (isCutEdge([lat, lng], [nextLat, nextLng])) {
+      cutLength += WGS84.Inverse(lat, lng, nextLat, nextLng).s12;
+    }
+  });
+
+  const { area, perimeter } = polygon.Compute(false, true);
+  return { area, perimeter: perimeter - cutLength };
+};
+
+/**
+ * Calcule l'aire géodésique d'un polygone en mètres carrés sur l'ellipsoïde WGS84
+ * Les trous (anneaux intérieurs) sont soustraits de l'anneau extérieur
+ * @param {Array|Object} geometry - Tableau de coordonnées [lat, lng] ou géométrie GeoJSON (Polygon, MultiPolygon)
+ * @returns {Number} - Aire en mètres carrés
+ */
+export const calculatePolygonArea = (geometry) => {
+  return normalizePolygons(geometry).reduce((total, [outer, ...holes]) => {
+    if (!outer || outer.length < 3) {
+      return total;
+    }
+
+    const holesArea = holes
+      .filter((hole) => hole.length >= 3)
+      .reduce((sum, hole) => sum + Math.abs(measureRing(hole).area), 0);
+
+    return total + Math.max(0, Math.abs(measureRing(outer).area) - holesArea);
+  }, 0);
+};
+
+/**
+ * Calcule le périmètre géodésique d'un polygone en mètres sur l'ellipsoïde WGS84
+ * Le périmètre inclut la longueur des anneaux intérieurs
+ * @param {Array|Object} geometry - Tableau de coordonnées [lat, lng] ou géométrie GeoJSON (Polygon, MultiPolygon)
  * @returns {Number} - Périmètre en mètres
  */
-export const calculatePolygonPerimeter = (polygonCoords) => {
-  if (!polygonCoords || polygonCoords.length < 2) {
-    return 0;
+export const calculatePolygonPerimeter = (geometry) => {
+  return normalizePolygons(geometry).reduce(
+    (total, rings) =>
+      total +
+      rings
+        .filter((ring) => ring.length >= 2)
+        .reduce((sum, ring) => sum + measureRing(ring).perimeter, 0),
+    0
+  );
+};
+
+/**
+ * Indique si un anneau est parcouru dans le sens horaire
+ * @param {Array} ring - Anneau ouvert [lat, lng]
+ * @returns {Boolean} - True si l'anneau est horaire
+ */
+export const isClockwise = (ring) => {
+  return ring.length >= 3 && measureRing(ring).area < 0;
+};
+
+/**
+ * Oriente les anneaux selon la règle de la main droite (RFC 7946) :
+ * anneau extérieur anti-horaire, trous horaires
+ * @param {Array} polygons - Liste de polygones normalisés (voir normalizePolygons)
+ * @returns {Array} - Liste de polygones orientés
+ */
+export const orientPolygons = (polygons) => {
+  return polygons.map((rings) =>
+    rings.map((ring, index) => {
+      const shouldBeClockwise = index > 0;
+      return isClockwise(ring) === shouldBeClockwise
+        ? ring
+        : [...ring].reverse();
+    })
+  );
+};
+
+/**
+ * Convertit une liste de polygones normalisés en géométrie GeoJSON
+ * @param {Array} polygons - Liste de polygones normalisés (voir normalizePolygons)
+ * @returns {Object|null} - Géométrie GeoJSON Polygon ou MultiPolygon
+ */
+export const polygonsToGeoJSON = (polygons) => {
+  // GeoJSON utilise [lng, lat] contrairement à Leaflet qui utilise [lat, lng]
+  const toLngLatRing = (ring) => {
+    const coordinates = ring.map((coord) => [coord[1], coord[0]]);
+    // Fermer l'anneau en répétant le premier point
+    coordinates.push([...coordinates[0]]);
+    return coordinates;
+  };
+
+  const parts = polygons
+    .filter((rings) => rings.length > 0 && rings[0].length >= 3)
+    .map((rings) => rings.filter((ring) => ring.length >= 3).map(toLngLatRing));
+
+  if (parts.length === 0) {
+    return null;
   }
 
-  // Rayon de la Terre en mètres
-  const earthRadius = 6371000;
+  return parts.length === 1
+    ? { type: "Polygon", coordinates: parts[0] }
+    : { type: "MultiPolygon", coordinates: parts };
+};
 
-  let perimeter = 0;
-  const n = polygonCoords.length;
+/**
+ * Indique si une géométrie contient au moins un polygone exploitable
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @returns {Boolean} - True si la géométrie contient un anneau d'au moins 3 sommets
+ */
+export const hasPolygon = (geometry) => {
+  return normalizePolygons(geometry).some(
+    ([outer]) => outer && outer.length >= 3
+  );
+};
 
-  for (let i = 0; i < n; i++) {
-    const j = (i + 1) % n;
-    const lat1 = polygonCoords[i][0] * (Math.PI / 180);
-    const lng1 = polygonCoords[i][1] * (Math.PI / 180);
-    const lat2 = polygonCoords[j][0] * (Math.PI / 180);
-    const lng2 = polygonCoords[j][1] * (Math.PI / 180);
+/**
+ * Compte les sommets de tous les anneaux d'une géométrie
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @returns {Number} - Nombre de sommets
+ */
+export const countVertices = (geometry) => {
+  return normalizePolygons(geometry).reduce(
+    (total, rings) => total + rings.reduce((sum, ring) => sum + ring.length, 0),
+    0
+  );
+};
 
-    // Formule haversine pour calculer la distance
-    const dLat = lat2 - lat1;
-    const dLng = lng2 - lng1;
-    const a =
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) * Math.sin(dLng / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    const distance = earthRadius * c;
+/**
+ * Trouve le point où une arête géodésique atteint une longitude donnée
+ * @param {Array} start - Début de l'arête [lat, lng]
+ * @param {Array} end - Fin de l'arête [lat, lng]
+ * @param {Number} lng - Longitude atteinte, entre celles des extrémités
+ * @returns {Array} - Point [lat, lng] de la géodésique
+ */
+const findGeodesicCrossing = (start, end, lng) => {
+  const line = WGS84.InverseLine(start[0], start[1], end[0], end[1]);
+  const outmask = geodesic.Geodesic.STANDARD | geodesic.Geodesic.LONG_UNROLL;
+  let low = 0;
+  let high = line.s13;
+  let lat = start[0];
 
-    perimeter += distance;
+  // La longitude varie de façon monotone le long d'une géodésique : dichotomie
+  for (let i = 0; i < 60; i++) {
+    const middle = (low + high) / 2;
+    const position = line.Position(middle, outmask);
+    lat = position.lat2;
+    if ((position.lon2 - lng) * (end[1] - start[1]) < 0) {
+      low = middle;
+    } else {
+      high = middle;
+    }
   }
 
-  return perimeter;
+  return [lat, lng];
+};
+
+/**
+ * Insère dans un anneau déroulé les points où ses arêtes franchissent l'antiméridien
+ * Le découpage planaire couperait sinon les arêtes géodésiques sur leur corde
+ * @param {Array} ring - Anneau déroulé [lat, lng]
+ * @returns {Array} - Anneau [lat, lng] avec les points de passage
+ */
+const insertAntimeridianCrossings = (ring) =>
+  ring.flatMap((start, index) => {
+    const end = ring[(index + 1) % ring.length];
+    const low = Math.min(start[1], end[1]);
+    const high = Math.max(start[1], end[1]);
+    // Les bords de découpage et les arêtes de 180° ou plus sont suivis en plate carrée
+    const straight = isCutEdge(start, end) || high - low >= 180;
+    const crossings = [];
+
+    for (
+      let lng = 360 * Math.floor((low + 180) / 360) + 180;
+      lng < high;
+      lng += 360
+    ) {
+      crossings.push(
+        straight
+          ? [
+              start[0] +
+                ((end[0] - start[0]) * (lng - start[1])) / (end[1] - start[1]),
+              lng,
+            ]
+          : findGeodesicCrossing(start, end, lng)
+      );
+    }
+
+    return [start, ...(end[1] < start[1] ? crossings.reverse() : crossings)];
+  });
+
+/**
+ * Crée une fonction rendant aux anneaux découpés les sommets alignés que polygon-clipping
+ * a supprimés : relus comme des géodésiques, les bords restants changeraient l'aire
+ * @param {Array} sources - Anneaux [lng, lat] passés au découpage
+ * @returns {Function} - Fonction (anneau ouvert [lng, lat]) => anneau complété
+ */
+const createVertexRestorer = (sources) => {
+  const positions = new Map();
+  sources.forEach((ring, ringIndex) =>
+    ring.forEach((point, index) => {
+      const key = point.join();
+      if (!positions.has(key)) {
+        positions.set(key, [ringIndex, index]);
+      }
+    })
+  );
+
+  // Un sommet supprimé se trouve sur le segment qui l'a remplacé
+  const isOnSegment = ([x, y], [x1, y1], [x2, y2]) => {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    const along = (x - x1) * dx + (y - y1) * dy;
+    return (
+      Math.abs((x - x1) * dy - (y - y1) * dx) <=
+        1e-9 * Math.sqrt(lengthSquared) &&
+      along > 0 &&
+      along < lengthSquared
+    );
+  };
+
+  // Sommets de l'anneau source entre les deux extrémités d'un bord, dans un sens donné
+  const collectRun = (start, end, direction) => {
+    const [ringIndex, from] = positions.get(start.join());
+    const [endRing, to] = positions.get(end.join());
+    const ring = sources[ringIndex];
+    const run = [];
+
+    for (
+      let index = (from + direction + ring.length) % ring.length;
+      index !== to;
+      index = (index + direction + ring.length) % ring.length
+    ) {
+      if (endRing !== ringIndex || !isOnSegment(ring[index], start, end)) {
+        return null;
+      }
+      run.push(ring[index]);
+    }
+    return run;
+  };
+
+  return (ring) =>
+    ring.flatMap((start, index) => {
+      const end = ring[(index + 1) % ring.length];
+      if (!positions.has(start.join()) || !positions.has(end.join())) {
+        return [start];
+      }
+      return [
+        start,
+        ...(collectRun(start, end, 1) || collectRun(start, end, -1) || []),
+      ];
+    });
+};
+
+/**
+ * Découpe une géométrie le long de l'antiméridien (RFC 7946, section 3.1.9)
+ * Les longitudes sont ramenées dans [-180, 180] et les anneaux orientés selon la règle de la main droite
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @returns {Object|null} - Géométrie GeoJSON Polygon ou MultiPolygon
+ */
+export const splitAntimeridian = (geometry) => {
+  const parts = [];
+
+  normalizePolygons(geometry)
+    .filter(([outer]) => outer && outer.length >= 3)
+    .forEach((rings) => {
+      const lngs = rings[0].map((point) => point[1]);
+      const firstCopy = Math.floor((Math.min(...lngs) + 180) / 360);
+      const lastCopy = Math.ceil((Math.max(...lngs) + 180) / 360) - 1;
+      // polygon-clipping travaille en [lng, lat]
+      const polygon = rings.map((ring) =>
+        (firstCopy === lastCopy ? ring : insertAntimeridianCrossings(ring)).map(
+          ([lat, lng]) => [lng, lat]
+        )
+      );
+      const restoreVertices = createVertexRestorer(polygon);
+
+      // Découper le polygone dans chaque copie du monde qu'il traverse et la ramener dans [-180, 180]
+      for (let copy = firstCopy; copy <= lastCopy; copy++) {
+        const offset = copy * 360;
+        const pieces =
+          firstCopy === lastCopy
+            ? [polygon]
+            : polygonClipping.intersection(polygon, [
+                [
+                  [offset - 180, -90],
+                  [offset + 180, -90],
+                  [offset + 180, 90],
+                  [offset - 180, 90],
+                ],
+              ]);
+
+        pieces.forEach((piece) =>
+          parts.push(
+            piece.map((ring) =>
+              restoreVertices(openRing(ring)).map(([lng, lat]) => [
+                lat,
+                lng - offset,
+              ])
+            )
+          )
+        );
+      }
+    });
+
+  return polygonsToGeoJSON(orientPolygons(parts));
 };
 
 /**
  * Convertit un tableau de coordonnées en format GeoJSON
- * @param {Array} polygonCoords - Tableau de coordonnées [lat, lng]
+ * Les polygones traversant l'antiméridien sont découpés et les anneaux orientés selon
+ * la règle de la main droite (RFC 7946)
+ * @param {Array|Object} polygonCoords - Tableau de coordonnées [lat, lng] ou géométrie GeoJSON
  * @returns {Object} - Objet GeoJSON
  */
 export const coordsToGeoJSON = (polygonCoords) => {
-  if (!polygonCoords || polygonCoords.length < 3) {
+  if (!hasPolygon(polygonCoords)) {
     return null;
   }
 
-  // GeoJSON utilise [lng, lat] contrairement à Leaflet qui utilise [lat, lng]
-  const coordinates = polygonCoords.map((coord) => [coord[1], coord[0]]);
+  return {
+    type: "Feature",
+    properties: {},
+    geometry: splitAntimeridian(polygonCoords),
+  };
+};
 
-  // Fermer le polygone en ajoutant le premier point à la fin s'il n'y est pas déjà
-  if (
-    coordinates[0][0] !== coordinates[coordinates.length - 1][0] ||
-    coordinates[0][1] !== coordinates[coordinates.length - 1][1]
-  ) {
-    coordinates.push([...coordinates[0]]);
+/**
+ * Calcule la boîte englobante d'une géométrie (RFC 7946, section 5)
+ * Une boîte traversant l'antiméridien a une limite ouest supérieure à sa limite est,
+ * une géométrie faisant le tour d'un pôle couvre toutes les longitudes
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @returns {Object} - Objet contenant les limites nord, sud, est et ouest
+ */
+export const calculateBoundingBox = (geometry) => {
+  const vertices = normalizePolygons(geometry).flatMap(
+    ([outer]) => outer || []
+  );
+  if (vertices.length === 0) {
+    return { north: 0, south: 0, east: 0, west: 0 };
+  }
+
+  let north = -90;
+  let south = 90;
+  let east = -Infinity;
+  let west = Infinity;
+
+  vertices.forEach(([lat, lng]) => {
+    north = Math.max(north, lat);
+    south = Math.min(south, lat);
+    east = Math.max(east, lng);
+    west = Math.min(west, lng);
+  });
+
+  if (east - west >= 360) {
+    return { north, south, east: 180, west: -180 };
+  }
+
+  return { north, south, east: wrapLongitude(east), west: wrapLongitude(west) };
+};
+
+/**
+ * Découpe une boîte englobante traversant l'antiméridien en deux boîtes,
+ * pour les services qui n'acceptent pas une limite ouest supérieure à la limite est
+ * @param {Object} boundingBox - Limites nord, sud, est et ouest
+ * @returns {Array} - Une ou deux boîtes englobantes
+ */
+export const splitBoundingBox = (boundingBox) => {
+  if (boundingBox.west <= boundingBox.east) {
+    return [boundingBox];
+  }
+
+  return [
+    { ...boundingBox, east: 180 },
+    { ...boundingBox, west: -180 },
+  ];
+};
+
+/**
+ * Calcule l'intersection de deux segments dans le plan (lng, lat)
+ * @param {Array} a1 - Début du premier segment [lat, lng]
+ * @param {Array} a2 - Fin du premier segment [lat, lng]
+ * @param {Array} b1 - Début du second segment [lat, lng]
+ * @param {Array} b2 - Fin du second segment [lat, lng]
+ * @returns {Array|null} - Point d'intersection [lat, lng] ou null
+ */
+const segmentIntersection = (a1, a2, b1, b2) => {
+  const dax = a2[1] - a1[1];
+  const day = a2[0] - a1[0];
+  const dbx = b2[1] - b1[1];
+  const dby = b2[0] - b1[0];
+  const denominator = dax * dby - day * dbx;
+  const ox = b1[1] - a1[1];
+  const oy = b1[0] - a1[0];
+
+  if (denominator === 0) {
+    // Segments parallèles : seul un recouvrement colinéaire est une intersection
+    if (ox * day - oy * dax !== 0) {
+      return null;
+    }
+
+    const lengthSquared = dax * dax + day * day;
+    const project = (point) =>
+      ((point[1] - a1[1]) * dax + (point[0] - a1[0]) * day) / lengthSquared;
+    const candidates = [
+      [b1, project(b1)],
+      [b2, project(b2)],
+    ].filter(([, t]) => t >= 0 && t <= 1);
+
+    return candidates.length > 0 ? candidates[0][0] : null;
+  }
+
+  const t = (ox * dby - oy * dbx) / denominator;
+  const u = (ox * day - oy * dax) / denominator;
+
+  if (t < 0 || t > 1 || u < 0 || u > 1) {
+    return null;
+  }
+
+  return [a1[0] + t * day, a1[1] + t * dax];
+};
+
+/**
+ * Recherche les auto-intersections entre les arêtes des anneaux d'un polygone
+ * Les segments sont triés par longitude minimale pour limiter les comparaisons
+ * @param {Array} rings - Anneaux ouverts [lat, lng] du polygone
+ * @returns {Array} - Intersections { ringIndex, otherRingIndex, location }
+ */
+export const findSelfIntersections = (rings) => {
+  const segments = [];
+
+  rings.forEach((ring, ringIndex) => {
+    ring.forEach((start, index) => {
+      const end = ring[(index + 1) % ring.length];
+      segments.push({
+        ringIndex,
+        index,
+        ringLength: ring.length,
+        start,
+        end,
+        minX: Math.min(start[1], end[1]),
+        maxX: Math.max(start[1], end[1]),
+        minY: Math.min(start[0], end[0]),
+        maxY: Math.max(start[0], end[0]),
+      });
+    });
+  });
+
+  segments.sort((a, b) => a.minX - b.minX);
+
+  // Deux arêtes consécutives d'un même anneau partagent toujours un sommet
+  const areAdjacent = (a, b) => {
+    if (a.ringIndex !== b.ringIndex) {
+      return false;
+    }
+    const gap = Math.abs(a.index - b.index);
+    return gap === 1 || gap === a.ringLength - 1;
+  };
+
+  const intersections = [];
+
+  for (let i = 0; i < segments.length; i++) {
+    const a = segments[i];
+
+    for (
+      let j = i + 1;
+      j < segments.length && segments[j].minX <= a.maxX;
+      j++
+    ) {
+      const b = segments[j];
+
+      if (b.minY > a.maxY || b.maxY < a.minY || areAdjacent(a, b)) {
+        continue;
+      }
+
+      const location = segmentIntersection(a.start, a.end, b.start, b.end);
+      if (location) {
+        intersections.push({
+          ringIndex: a.ringIndex,
+          otherRingIndex: b.ringIndex,
+          location,
+        });
+      }
+    }
+  }
+
+  return intersections;
+};
+
+// Mètres par degré de latitude, utilisé pour les projections locales
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Crée une projection équirectangulaire locale en mètres centrée sur un point
+ * Suffisante pour les calculs planaires sur une zone d'analyse
+ * @param {Array} origin - Coordonnées [lat, lng] de l'origine
+ * @returns {Object} - Fonctions project([lat, lng]) => [x, y] et unproject([x, y]) => [lat, lng]
+ */
+const createLocalProjection = (origin) => {
+  const scaleX = METERS_PER_DEGREE * Math.cos((origin[0] * Math.PI) / 180);
+
+  return {
+    project: ([lat, lng]) => [
+      (lng - origin[1]) * scaleX,
+      (lat - origin[0]) * METERS_PER_DEGREE,
+    ],
+    unproject: ([x, y]) => [
+      origin[0] + y / METERS_PER_DEGREE,
+      wrapLongitude(origin[1] + x / scaleX),
+    ],
+  };
+};
+
+/**
+ * Crée une projection azimutale équidistante en mètres centrée sur un pôle
+ * Adaptée aux polygones qui entourent ce pôle, où les longitudes n'ont plus de sens planaire
+ * @param {Number} poleLat - Latitude du pôle (90 ou -90)
+ * @returns {Object} - Fonctions project([lat, lng]) => [x, y] et unproject([x, y]) => [lat, lng]
+ */
+const createPolarProjection = (poleLat) => {
+  const sign = Math.sign(poleLat);
+
+  return {
+    project: ([lat, lng]) => {
+      const radius = (90 - sign * lat) * METERS_PER_DEGREE;
+      const angle = (lng * Math.PI) / 180;
+      return [radius * Math.cos(angle), sign * radius * Math.sin(angle)];
+    },
+    unproject: ([x, y]) => [
+      sign * (90 - Math.hypot(x, y) / METERS_PER_DEGREE),
+      wrapLongitude((Math.atan2(sign * y, x) * 180) / Math.PI),
+    ],
+  };
+};
+
+/**
+ * Applique la règle pair-impair à un point et aux anneaux d'un polygone
+ * @param {Number} lat - Latitude du point
+ * @param {Number} lng - Longitude du point
+ * @param {Array} rings - Anneaux ouverts [lat, lng]
+ * @returns {Boolean} - True si le point est dans le polygone
+ */
+const isPointInRings = (lat, lng, rings) => {
+  let inside = false;
+
+  rings.forEach((ring) => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [latI, lngI] = ring[i];
+      const [latJ, lngJ] = ring[j];
+      if (
+        latI > lat !== latJ > lat &&
+        lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI
+      ) {
+        inside = !inside;
+      }
+    }
+  });
+
+  return inside;
+};
+
+/**
+ * Indique si un point est à l'intérieur d'un polygone (règle pair-impair)
+ * @param {Array} point - Coordonnées [lat, lng]
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @returns {Boolean} - True si le point est dans le polygone (hors trous)
+ */
+export const isPointInPolygon = (point, geometry) => {
+  const [lat, pointLng] = point;
+
+  // Les longitudes des polygones déroulés peuvent sortir de [-180, 180]
+  return normalizePolygons(geometry).some((rings) =>
+    [pointLng - 360, pointLng, pointLng + 360].some((lng) =>
+      isPointInRings(lat, lng, rings)
+    )
+  );
+};
+
+/**
+ * Calcule le centroïde pondéré par l'aire d'un polygone
+ * Les trous sont soustraits et les parties d'un MultiPolygon pondérées par leur aire
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @returns {Array|null} - Coordonnées [lat, lng] du centroïde
+ */
+export const calculateCentroid = (geometry) => {
+  const polygons = normalizePolygons(geometry).filter(
+    ([outer]) => outer && outer.length >= 3
+  );
+
+  if (polygons.length === 0) {
+    return null;
   }
 
+  // Un polygone fermé par un pôle se calcule autour de ce pôle
+  const poleVertex = polygons
+    .flatMap(([outer]) => outer)
+    .find(([lat]) => Math.abs(lat) === 90);
+  const { project, unproject } = poleVertex
+    ? createPolarProjection(poleVertex[0])
+    : createLocalProjection(polygons[0][0][0]);
+  let totalArea = 0;
+  let sumX = 0;
+  let sumY = 0;
+
+  polygons.forEach((rings) =>
+    rings.forEach((ring, ringIndex) => {
+      // Autour d'un pôle, les parallèles parcourus par l'anneau deviennent des arcs
+      const points = (
+        poleVertex
+          ? ring.flatMap((point, index) =>
+              followLongEdge(point, ring[(index + 1) % ring.length])
+            )
+          : ring
+      ).map(project);
+      let area = 0;
+      let cx = 0;
+      let cy = 0;
+
+      for (let i = 0; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        const [x2, y2] = points[(i + 1) % points.length];
+        const cross = x1 * y2 - x2 * y1;
+        area += cross;
+        cx += (x1 + x2) * cross;
+        cy += (y1 + y2) * cross;
+      }
+
+      if (area === 0) return;
+
+      // Les anneaux extérieurs ajoutent leur aire, les trous la retirent
+      const weight = (ringIndex === 0 ? 1 : -1) * Math.abs(area / 2);
+      totalArea += weight;
+      sumX += (cx / (3 * area)) * weight;
+      sumY += (cy / (3 * area)) * weight;
+    })
+  );
+
+  if (totalArea === 0) {
+    // Polygone dégénéré : moyenne des sommets extérieurs
+    const vertices = polygons.flatMap(([outer]) => outer);
+    return [
+      vertices.reduce((sum, point) => sum + point[0], 0) / vertices.length,
+      wrapLongitude(
+        vertices.reduce((sum, point) => sum + point[1], 0) / vertices.length
+      ),
+    ];
+  }
+
+  return unproject([sumX / totalArea, sumY / totalArea]);
+};
+
+/**
+ * Crée une file de priorité (tas binaire)
+ * @param {Function} compare - Comparateur (a, b) négatif si a doit sortir avant b
+ * @returns {Object} - Fonctions push(item), pop() et size()
+ */
+const createPriorityQueue = (compare) => {
+  const items = [];
+
+  const swap = (i, j) => {
+    [items[i], items[j]] = [items[j], items[i]];
+  };
+
   return {
-    type: "Feature",
-    properties: {},
-    geometry: {
-      type: "Polygon",
-      coordinates: [coordinates],
+    push: (item) => {
+      items.push(item);
+      let index = items.length - 1;
+      while (index > 0) {
+        const parent = (index - 1) >> 1;
+        if (compare(items[parent], items[index]) <= 0) break;
+        swap(parent, index);
+        index = parent;
+      }
+    },
+    pop: () => {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let index = 0;
+        for (;;) {
+          const left = 2 * index + 1;
+          const right = left + 1;
+          let first = index;
+          if (left < items.length && compare(items[left], items[first]) < 0) {
+            first = left;
+          }
+          if (right < items.length && compare(items[right], items[first]) < 0) {
+            first = right;
+          }
+          if (first === index) break;
+          swap(first, index);
+          index = first;
+        }
+      }
+      return top;
     },
+    size: () => items.length,
   };
 };
 
+/**
+ * Carré de la distance d'un point à un segment dans le plan
+ * @param {Array} point - Point [x, y]
+ * @param {Array} start - Début du segment [x, y]
+ * @param {Array} end - Fin du segment [x, y]
+ * @returns {Number} - Carré de la distance
+ */
+const segmentDistanceSquared = ([px, py], [ax, ay], [bx, by]) => {
+  let x = ax;
+  let y = ay;
+  let dx = bx - x;
+  let dy = by - y;
+
+  if (dx !== 0 || dy !== 0) {
+    const t = ((px - x) * dx + (py - y) * dy) / (dx * dx + dy * dy);
+    if (t > 1) {
+      x = bx;
+      y = by;
+    } else if (t > 0) {
+      x += dx * t;
+      y += dy * t;
+    }
+  }
+
+  dx = px - x;
+  dy = py - y;
+  return dx * dx + dy * dy;
+};
+
+/**
+ * Distance signée d'un point au contour d'un polygone projeté
+ * @param {Array} point - Point [x, y]
+ * @param {Array} rings - Anneaux projetés [x, y]
+ * @returns {Number} - Distance positive à l'intérieur, négative à l'extérieur
+ */
+const signedDistanceToRings = ([px, py], rings) => {
+  let inside = false;
+  let minDistanceSquared = Infinity;
+
+  rings.forEach((ring) => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [ax, ay] = ring[i];
+      const [bx, by] = ring[j];
+
+      if (
+        ay > py !== by > py &&
+        px < ((bx - ax) * (py - ay)) / (by - ay) + ax
+      ) {
+        inside = !inside;
+      }
+
+      minDistanceSquared = Math.min(
+        minDistanceSquared,
+        segmentDistanceSquared([px, py], ring[i], ring[j])
+      );
+    }
+  });
+
+  return (inside ? 1 : -1) * Math.sqrt(minDistanceSquared);
+};
+
+/**
+ * Calcule le pôle d'inaccessibilité d'un polygone (algorithme polylabel) :
+ * le point intérieur le plus éloigné du contour, idéal comme point d'étiquette
+ * Pour un MultiPolygon, la plus grande partie est utilisée
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @param {Number} precision - Précision en mètres (par défaut 1/1000 de l'emprise)
+ * @returns {Object|null} - { location: [lat, lng], distance } où distance est
+ *                          la distance au contour en mètres
+ */
+export const calculatePoleOfInaccessibility = (geometry, precision) => {
+  const polygons = normalizePolygons(geometry).filter(
+    ([outer]) => outer && outer.length >= 3
+  );
+
+  if (polygons.length === 0) {
+    return null;
+  }
+
+  const largest = polygons.reduce((best, rings) =>
+    calculatePolygonArea(rings[0]) > calculatePolygonArea(best[0])
+      ? rings
+      : best
+  );
+
+  const { project, unproject } = createLocalProjection(largest[0][0]);
+  const rings = largest.map((ring) => ring.map(project));
+  const xs = rings[0].map(([x]) => x);
+  const ys = rings[0].map(([, y]) => y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const width = Math.max(...xs) - minX;
+  const height = Math.max(...ys) - minY;
+  const cellSize = Math.min(width, height);
+  const tolerance = precision || Math.max(width, height) / 1000;
+
+  if (cellSize === 0) {
+    return { location: unproject([minX, minY]), distance: 0 };
+  }
+
+  // Cellule carrée : centre, demi-taille, distance du centre et distance maximale possible
+  const createCell = (x, y, half) => {
+    const distance = signedDistanceToRings([x, y], rings);
+    return { x, y, half, distance, max: distance + half * Math.SQRT2 };
+  };
+
+  // File de priorité ordonnée par distance maximale possible
+  const queue = createPriorityQueue((a, b) => b.max - a.max);
+
+  // Recouvrir le polygone de cellules initiales
+  const half = cellSize / 2;
+  for (let x = minX; x < minX + width; x += cellSize) {
+    for (let y = minY; y < minY + height; y += cellSize) {
+      queue.push(createCell(x + half, y + half, half));
+    }
+  }
+
+  // Première estimation : le centroïde, ou le centre de l'emprise
+  const centroid = calculateCentroid(largest[0]);
+  let best = createCell(...project(centroid), 0);
+  const bboxCell = createCell(minX + width / 2, minY + height / 2, 0);
+  if (bboxCell.distance > best.distance) {
+    best = bboxCell;
+  }
+
+  while (queue.size() > 0) {
+    const cell = queue.pop();
+
+    if (cell.distance > best.distance) {
+      best = cell;
+    }
+
+    // Inutile de subdiviser une cellule qui ne peut pas améliorer la solution
+    if (cell.max - best.distance <= tolerance) continue;
+
+    const childHalf = cell.half / 2;
+    queue.push(createCell(cell.x - childHalf, cell.y - childHalf, childHalf));
+    queue.push(createCell(cell.x + childHalf, cell.y - childHalf, childHalf));
+    queue.push(createCell(cell.x - childHalf, cell.y + childHalf, childHalf));
+    queue.push(createCell(cell.x + childHalf, cell.y + childHalf, childHalf));
+  }
+
+  return {
+    location: unproject([best.x, best.y]),
+    distance: Math.max(0, best.distance),
+  };
+};
+
+/**
+ * Calcule un point représentatif garanti à l'intérieur du polygone :
+ * le centroïde s'il est intérieur, sinon le pôle d'inaccessibilité
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @returns {Array|null} - Coordonnées [lat, lng]
+ */
+export const calculateInteriorPoint = (geometry) => {
+  const centroid = calculateCentroid(geometry);
+
+  if (!centroid || isPointInPolygon(centroid, geometry)) {
+    return centroid;
+  }
+
+  return calculatePoleOfInaccessibility(geometry).location;
+};
+
+/**
+ * Méthodes de simplification disponibles
+ */
+export const SIMPLIFICATION_METHODS = {
+  DOUGLAS_PEUCKER: "douglas-peucker",
+  VISVALINGAM: "visvalingam",
+};
+
+// Nombre maximal de réductions de tolérance pour préserver la topologie
+const MAX_SIMPLIFICATION_ATTEMPTS = 12;
+
+/**
+ * Simplifie un anneau fermé par l'algorithme de Douglas-Peucker
+ * @param {Array} points - Anneau ouvert projeté [x, y]
+ * @param {Number} tolerance - Écart maximal en mètres
+ * @returns {Array} - Index des sommets conservés
+ */
+const douglasPeuckerIndices = (points, tolerance) => {
+  // L'anneau est parcouru comme une polyligne dont les extrémités sont confondues
+  const path = [...points, points[0]];
+  const keep = new Array(path.length).fill(false);
+  const toleranceSquared = tolerance * tolerance;
+  const stack = [[0, path.length - 1]];
+  keep[0] = true;
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = segmentDistanceSquared(path[i], path[first], path[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (maxDistance > toleranceSquared) {
+      keep[index] = true;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.map((_, i) => i).filter((i) => keep[i]);
+};
+
+/**
+ * Simplifie un anneau fermé par l'algorithme de Visvalingam-Whyatt
+ * Les sommets dont le triangle effectif a une aire inférieure à tolerance² sont retirés
+ * @param {Array} points - Anneau ouvert projeté [x, y]
+ * @param {Number} tolerance - Tolérance en mètres
+ * @returns {Array} - Index des sommets conservés
+ */
+const visvalingamIndices = (points, tolerance) => {
+  const n = points.length;
+  const minArea = tolerance * tolerance;
+  const previous = points.map((_, i) => (i - 1 + n) % n);
+  const next = points.map((_, i) => (i + 1) % n);
+  const removed = new Array(n).fill(false);
+
+  const triangleArea = (i) => {
+    const [ax, ay] = points[previous[i]];
+    const [bx, by] = points[i];
+    const [cx, cy] = points[next[i]];
+    return Math.abs((bx - ax) * (cy - ay) - (cx - ax) * (by - ay)) / 2;
+  };
+
+  const areas = points.map((_, i) => triangleArea(i));
+  const queue = createPriorityQueue((a, b) => a.area - b.area);
+  areas.forEach((area, index) => queue.push({ index, area }));
+
+  let remaining = n;
+  while (queue.size() > 0 && remaining > 3) {
+    const { index, area } = queue.pop();
+
+    // Entrée obsolète : le sommet a été retiré ou son aire recalculée
+    if (removed[index] || area !== areas[index]) continue;
+    if (area >= minArea) break;
+
+    removed[index] = true;
+    remaining--;
+
+    const before = previous[index];
+    const after = next[index];
+    next[before] = after;
+    previous[after] = before;
+
+    // L'aire effective des voisins ne peut pas être inférieure à celle du sommet retiré
+    [before, after].forEach((neighbor) => {
+      areas[neighbor] = Math.max(triangleArea(neighbor), area);
+      queue.push({ index: neighbor, area: areas[neighbor] });
+    });
+  }
+
+  return points.map((_, i) => i).filter((i) => !removed[i]);
+};
+
+/**
+ * Simplifie un polygone en préservant sa topologie :
+ * les anneaux qui se recoupent après simplification, y compris entre parties d'un
+ * MultiPolygon, et les trous qui sortent de leur anneau extérieur sont simplifiés à
+ * nouveau avec une tolérance réduite ; les trous réduits à moins de 3 sommets sont supprimés.
+ * Les contacts déjà présents dans la géométrie d'origine sont tolérés
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON (Polygon, MultiPolygon)
+ * @param {Number} tolerance - Tolérance en mètres
+ * @param {Object} options - Options
+ * @param {String} options.method - Méthode (voir SIMPLIFICATION_METHODS)
+ * @returns {Object|null} - Géométrie GeoJSON Polygon ou MultiPolygon
+ */
+export const simplifyPolygon = (
+  geometry,
+  tolerance,
+  { method = SIMPLIFICATION_METHODS.DOUGLAS_PEUCKER } = {}
+) => {
+  const polygons = normalizePolygons(geometry).filter(
+    ([outer]) => outer && outer.length >= 3
+  );
+
+  if (polygons.length === 0 || !(tolerance > 0)) {
+    return polygonsToGeoJSON(polygons);
+  }
+
+  const { project } = createLocalProjection(polygons[0][0][0]);
+  const simplifyIndices =
+    method === SIMPLIFICATION_METHODS.VISVALINGAM
+      ? visvalingamIndices
+      : douglasPeuckerIndices;
+
+  // Les anneaux de toutes les parties sont simplifiés et contrôlés ensemble
+  const entries = polygons.flatMap((rings, part) =>
+    rings.map((ring, index) => ({
+      part,
+      isOuter: index === 0,
+      ring,
+      projected: ring.map(project),
+      tolerance,
+    }))
+  );
+  const outerIndices = entries
+    .map(({ isOuter }, index) => (isOuter ? index : -1))
+    .filter((index) => index >= 0);
+
+  const simplifyRing = (entry) => {
+    const kept = simplifyIndices(entry.projected, entry.tolerance);
+    return kept.length >= 3 ? kept.map((i) => entry.ring[i]) : null;
+  };
+
+  // Un trou est dans son anneau extérieur si tous ses sommets y sont
+  const isInsideOuter = (hole, outer) =>
+    hole.every(([lat, lng]) => isPointInRings(lat, lng, [outer]));
+
+  // Paires d'anneaux qui se touchent ou se recoupent déjà dans la géométrie d'origine
+  const pairKey = (a, b) => (a < b ? `${a}:${b}` : `${b}:${a}`);
+  const originalContacts = new Set(
+    findSelfIntersections(entries.map(({ ring }) => ring)).map(
+      ({ ringIndex, otherRingIndex }) => pairKey(ringIndex, otherRingIndex)
+    )
+  );
+  const holesOutside = new Set(
+    entries
+      .map((entry, index) => ({ entry, index }))
+      .filter(
+        ({ entry }) =>
+          !entry.isOuter &&
+          !isInsideOuter(entry.ring, entries[outerIndices[entry.part]].ring)
+      )
+      .map(({ index }) => index)
+  );
+
+  // Paires de parties dont l'une a un sommet dans l'anneau extérieur de l'autre : sans
+  // arêtes sécantes, une partie ne peut alors qu'être entièrement contenue dans l'autre
+  const findNestedParts = (outerRings) =>
+    outerRings.flatMap((ring, part) =>
+      ring
+        ? outerRings
+            .map((other, otherPart) => ({ other, otherPart }))
+            .filter(
+              ({ other, otherPart }) =>
+                other &&
+                otherPart !== part &&
+                isPointInRings(ring[0][0], ring[0][1], [other])
+            )
+            .map(({ otherPart }) => pairKey(part, otherPart))
+        : []
+    );
+  const originalNesting = new Set(
+    findNestedParts(outerIndices.map((index) => entries[index].ring))
+  );
+
+  const current = entries.map(simplifyRing);
+
+  for (let attempt = 0; attempt < MAX_SIMPLIFICATION_ATTEMPTS; attempt++) {
+    const kept = current
+      .map((ring, index) => ({ ring, index }))
+      .filter(({ ring }) => ring);
+    const conflicts = new Set();
+
+    entries.forEach((entry, index) => {
+      // L'anneau extérieur d'une partie ne peut pas disparaître
+      if (entry.isOuter) {
+        if (!current[index]) {
+          conflicts.add(index);
+        }
+        return;
+      }
+
+      const outerIndex = outerIndices[entry.part];
+      if (
+        current[index] &&
+        current[outerIndex] &&
+        !holesOutside.has(index) &&
+        !isInsideOuter(current[index], current[outerIndex])
+      ) {
+        conflicts.add(index);
+        conflicts.add(outerIndex);
+      }
+    });
+
+    findSelfIntersections(kept.map(({ ring }) => ring)).forEach(
+      ({ ringIndex, otherRingIndex }) => {
+        const a = kept[ringIndex].index;
+        const b = kept[otherRingIndex].index;
+        if (!originalContacts.has(pairKey(a, b))) {
+          conflicts.add(a);
+          conflicts.add(b);
+        }
+      }
+    );
+
+    findNestedParts(outerIndices.map((index) => current[index]))
+      .filter((key) => !originalNesting.has(key))
+      .forEach((key) =>
+        key.split(":").forEach((part) => conflicts.add(outerIndices[part]))
+      );
+
+    if (conflicts.size === 0) {
+      return polygonsToGeoJSON(
+        polygons.map((_, part) =>
+          entries
+            .map((entry, index) => ({ entry, ring: current[index] }))
+            .filter(({ entry, ring }) => entry.part === part && ring)
+            .map(({ ring }) => ring)
+        )
+      );
+    }
+
+    conflicts.forEach((index) => {
+      entries[index].tolerance /= 2;
+      current[index] = simplifyRing(entries[index]);
+    });
+  }
+
+  // Topologie impossible à préserver : conserver les anneaux d'origine
+  return polygonsToGeoJSON(polygons);
+};
+
+/**
+ * Opérations booléennes disponibles entre polygones
+ */
+export const BOOLEAN_OPERATIONS = {
+  UNION: "union",
+  INTERSECTION: "intersection",
+  DIFFERENCE: "difference",
+  SYMMETRIC_DIFFERENCE: "xor",
+};
+
+/**
+ * Combine plusieurs polygones par une opération booléenne
+ * Pour la différence, les polygones suivants sont soustraits du premier
+ * @param {String} operation - Opération (voir BOOLEAN_OPERATIONS)
+ * @param {Array} geometries - Géométries à combiner (coordonnées [lat, lng] ou GeoJSON)
+ * @returns {Object|null} - Géométrie GeoJSON Polygon ou MultiPolygon découpée sur l'antiméridien,
+ *                        ou null si le résultat est vide
+ */
+export const combinePolygons = (operation, geometries) => {
+  if (!Object.values(BOOLEAN_OPERATIONS).includes(operation)) {
+    throw new Error(`Opération booléenne inconnue : ${operation}`);
+  }
+
+  // Toutes les entrées sont placées dans la copie du monde de la première géométrie :
+  // normalisées séparément, deux polygones de part et d'autre de l'antiméridien
+  // pourraient se trouver à 360° l'un de l'autre
+  let reference;
+
+  // polygon-clipping attend des géométries MultiPolygon en [lng, lat]
+  const inputs = geometries.map((geometry) =>
+    normalizePolygons(geometry)
+      .filter(([outer]) => outer && outer.length > 0)
+      .map((rings) => {
+        const middle = getLongitudeMiddle(rings[0]);
+        if (reference === undefined) {
+          reference = middle;
+        }
+        const shift = 360 * Math.round((reference - middle) / 360);
+
+        return rings.map((ring) =>
+          ring.map((point) => [point[1] + shift, point[0]])
+        );
+      })
+  );
+
+  if (inputs.length === 0) {
+    return null;
+  }
+
+  const result = polygonClipping[operation](...inputs);
+
+  // Le résultat peut sortir de [-180, 180] : le découper sur l'antiméridien
+  return splitAntimeridian({ type: "MultiPolygon", coordinates: result });
+};
+
+/**
+ * Assemble des lignes partageant leurs extrémités en anneaux fermés
+ * (par exemple les chemins membres d'une relation multipolygone OpenStreetMap)
+ * Les lignes sont retournées si nécessaire ; les chaînes qui ne se referment pas sont ignorées
+ * @param {Array} lines - Lignes [[lat, lng], ...]
+ * @returns {Array} - Anneaux ouverts [lat, lng]
+ */
+export const assembleRings = (lines) => {
+  const samePoint = (a, b) => a[0] === b[0] && a[1] === b[1];
+  const pending = lines.filter((line) => line.length >= 2);
+  const rings = [];
+
+  while (pending.length > 0) {
+    let chain = pending.pop();
+
+    // Prolonger la chaîne par la ligne qui commence ou finit à son extrémité
+    let extended = true;
+    while (extended && !samePoint(chain[0], chain[chain.length - 1])) {
+      const end = chain[chain.length - 1];
+      const index = pending.findIndex(
+        (line) =>
+          samePoint(line[0], end) || samePoint(line[line.length - 1], end)
+      );
+
+      extended = index !== -1;
+      if (extended) {
+        const [line] = pending.splice(index, 1);
+        const oriented = samePoint(line[0], end) ? line : [...line].reverse();
+        chain = chain.concat(oriented.slice(1));
+      }
+    }
+
+    if (chain.length >= 4 && samePoint(chain[0], chain[chain.length - 1])) {
+      rings.push(chain.slice(0, -1));
+    }
+  }
+
+  return rings;
+};
+
+/**
+ * Calcule le point atteint depuis une origine selon un azimut et une distance géodésiques
+ * @param {Array} origin - Coordonnées [lat, lng] de départ
+ * @param {Number} azimuth - Azimut en degrés (sens horaire depuis le nord)
+ * @param {Number} distance - Distance en mètres
+ * @returns {Array} - Coordonnées [lat, lng] d'arrivée
+ */
+export const geodesicDestination = (origin, azimuth, distance) => {
+  const { lat2, lon2 } = WGS84.Direct(origin[0], origin[1], azimuth, distance);
+  return [lat2, lon2];
+};
+
+/**
+ * Découpe un segment géodésique en tronçons de longueur maximale donnée
+ * @param {Array} start - Coordonnées [lat, lng] de début
+ * @param {Array} end - Coordonnées [lat, lng] de fin
+ * @param {Number} maxLength - Longueur maximale d'un tronçon en mètres
+ * @returns {Array} - Points [lat, lng] du segment, extrémités comprises
+ */
+export const densifyGeodesic = (start, end, maxLength) => {
+  const line = WGS84.InverseLine(start[0], start[1], end[0], end[1]);
+  const count = Math.max(1, Math.ceil(line.s13 / maxLength));
+  const points = [start];
+
+  for (let i = 1; i < count; i++) {
+    const { lat2, lon2 } = line.Position((line.s13 * i) / count);
+    points.push([lat2, lon2]);
+  }
+
+  points.push(end);
+  return points;
+};
+
+/**
+ * Lit les sommets d'une ligne
+ * @param {Array|Object} line - Sommets [lat, lng], ou LineString / Feature GeoJSON
+ * @returns {Array} - Sommets [lat, lng]
+ */
+const readLine = (line) => {
+  if (Array.isArray(line)) {
+    return line;
+  }
+  if (line?.type === "Feature") {
+    return readLine(line.geometry);
+  }
+  if (line?.type === "LineString") {
+    return line.coordinates.map(([lng, lat]) => [lat, lng]);
+  }
+  return [];
+};
+
+/**
+ * Calcule la longueur géodésique d'une ligne sur l'ellipsoïde WGS84
+ * @param {Array|Object} line - Sommets [lat, lng], ou LineString / Feature GeoJSON
+ * @returns {Number} - Longueur en mètres
+ */
+export const calculateLineLength = (line) => {
+  const vertices = readLine(line);
+  let length = 0;
+
+  for (let i = 1; i < vertices.length; i++) {
+    const [lat1, lng1] = vertices[i - 1];
+    const [lat2, lng2] = vertices[i];
+    length += WGS84.Inverse(lat1, lng1, lat2, lng2).s12;
+  }
+
+  return length;
+};
+
+/**
+ * Échantillonne une ligne à intervalle géodésique régulier
+ * @param {Array|Object} line - Sommets [lat, lng], ou LineString / Feature GeoJSON
+ * @param {Number} interval - Distance entre deux points en mètres
+ * @returns {Array} - Points { point: [lat, lng], distance (m depuis le début) }, extrémités comprises
+ */
+export const sampleLine = (line, interval) => {
+  if (!(interval > 0)) {
+    throw new Error("L'intervalle d'échantillonnage doit être positif");
+  }
+
+  const vertices = readLine(line);
+  if (vertices.length === 0) {
+    return [];
+  }
+
+  const samples = [];
+  let travelled = 0;
+  let next = 0;
+
+  for (let i = 1; i < vertices.length; i++) {
+    const [lat1, lng1] = vertices[i - 1];
+    const [lat2, lng2] = vertices[i];
+    const segment = WGS84.InverseLine(lat1, lng1, lat2, lng2);
+
+    while (next <= travelled + segment.s13) {
+      const position = segment.Position(next - travelled);
+      samples.push({
+        point: [position.lat2, wrapLongitude(position.lon2)],
+        distance: next,
+      });
+      next += interval;
+    }
+    travelled += segment.s13;
+  }
+
+  // Le dernier sommet termine toujours le profil ; un échantillon tombé
+  // à moins d'un millimètre de la fin (arrondis) est remplacé par ce sommet
+  const [lastLat, lastLng] = vertices[vertices.length - 1];
+  const end = { point: [lastLat, wrapLongitude(lastLng)], distance: travelled };
+  if (
+    samples.length > 1 &&
+    travelled - samples[samples.length - 1].distance < 0.001
+  ) {
+    samples[samples.length - 1] = end;
+  } else if (
+    samples.length === 0 ||
+    samples[samples.length - 1].distance < travelled
+  ) {
+    samples.push(end);
+  }
+
+  return samples;
+};
+
+// Longueur maximale (m) des tronçons d'arête utilisés pour construire un tampon
+const BUFFER_EDGE_LENGTH = 50000;
+
+/**
+ * Décompose une géométrie en sommets, arêtes et surfaces pour le calcul de tampon
+ * @param {Array|Object} geometry - Anneau [lat, lng] ou géométrie GeoJSON
+ * @returns {Object} - { vertices, edges, polygons } en coordonnées [lat, lng]
+ */
+const decomposeForBuffer = (geometry) => {
+  const source =
+    geometry && geometry.type === "Feature" ? geometry.geometry : geometry;
+  const toLatLng = (coord) => [coord[1], coord[0]];
+  const paths = [];
+  const vertices = [];
+  let polygons = [];
+
+  if (source && source.type === "Point") {
+    vertices.push(toLatLng(source.coordinates));
+  } else if (source && source.type === "MultiPoint") {
+    vertices.push(...source.coordinates.map(toLatLng));
+  } else if (source && source.type === "LineString") {
+    paths.push(source.coordinates.map(toLatLng));
+  } else if (source && source.type === "MultiLineString") {
+    paths.push(...source.coordinates.map((line) => line.map(toLatLng)));
+  } else {
+    polygons = normalizePolygons(source).filter(
+      ([outer]) => outer && outer.length >= 3
+    );
+    polygons.forEach((rings) =>
+      rings.forEach((ring) => paths.push([...ring, ring[0]]))
+    );
+  }
+
+  const edges = [];
+  paths.forEach((path) => {
+    for (let i = 0; i < path.length - 1; i++) {
+      const points = densifyGeodesic(path[i], path[i + 1], BUFFER_EDGE_LENGTH);
+      for (let j = 0; j < points.length - 1; j++) {
+        edges.push([points[j], points[j + 1]]);
+      }
+    }
+    vertices.push(...path);
+  });
+
+  return { vertices, edges, polygons };
+};
+
+/**
+ * Calcule un tampon géodésique autour d'un point, d'une ligne ou d'un polygone
+ * Le tampon est l'union de cercles géodésiques autour des sommets et de bandes
+ * autour des arêtes ; un tampon négatif érode un polygone de cette même union
+ * @param {Array|Object} geometry - Anneau [lat, lng] ou géométrie GeoJSON (Point, LineString, Polygon, Multi*)
+ * @param {Number} distance - Distance du tampon en mètres (négative pour éroder un polygone)
+ * @param {Object} options - Options
+ * @param {Number} options.segments - Nombre de segments d'un cercle complet
+ * @returns {Object|null} - Géométrie GeoJSON Polygon ou MultiPolygon, ou null si le résultat est vide
+ */
+export const bufferGeometry = (geometry, distance, { segments = 32 } = {}) => {
+  if (!Number.isFinite(distance)) {
+    throw new Error(`Distance de tampon invalide : ${distance}`);
+  }
+
+  const { vertices, edges, polygons } = decomposeForBuffer(geometry);
+
+  if (distance < 0 && polygons.length === 0) {
+    throw new Error("Un tampon négatif ne s'applique qu'aux polygones");
+  }
+
+  if (distance === 0) {
+    return polygons.length > 0 ? polygonsToGeoJSON(polygons) : null;
+  }
+
+  const radius = Math.abs(distance);
+  const steps = Math.max(4, Math.round(segments));
+
+  const circles = vertices.map((vertex) =>
+    Array.from({ length: steps }, (_, i) =>
+      geodesicDestination(vertex, (360 * i) / steps, radius)
+    )
+  );
+
+  const bands = edges
+    .map(([start, end]) => {
+      const { s12, azi1, azi2 } = WGS84.Inverse(
+        start[0],
+        start[1],
+        end[0],
+        end[1]
+      );
+      if (s12 === 0) return null;
+
+      return [
+        geodesicDestination(start, azi1 - 90, radius),
+        geodesicDestination(end, azi2 - 90, radius),
+        geodesicDestination(end, azi2 + 90, radius),
+        geodesicDestination(start, azi1 + 90, radius),
+      ];
+    })
+    .filter(Boolean);
+
+  const pieces = [...circles, ...bands];
+
+  if (distance < 0) {
+    return combinePolygons(BOOLEAN_OPERATIONS.DIFFERENCE, [
+      polygonsToGeoJSON(polygons),
+      ...pieces,
+    ]);
+  }
+
+  return combinePolygons(BOOLEAN_OPERATIONS.UNION, [
+    ...(polygons.length > 0 ? [polygonsToGeoJSON(polygons)] : []),
+    ...pieces,
+  ]);
+};
+
+// Nombre maximal de sommets testés comme extrémités de la plus longue corde intérieure
+const MAX_CHORD_CANDIDATES = 200;
+
+// Positions le long d'une corde testées à l'intérieur du polygone (évitent le milieu,
+// où une corde touchant un sommet rentrant tomberait sur le contour)
+const CHORD_SAMPLES = Array.from({ length: 8 }, (_, i) => (i + 0.5) / 8);
+
+/**
+ * Projette les polygones d'une géométrie dans un plan local en mètres
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @returns {Object|null} - Anneaux projetés [x, y] par polygone, et fonction unproject
+ */
+const projectShape = (geometry) => {
+  const polygons = normalizePolygons(geometry).filter(
+    ([outer]) => outer && outer.length >= 3
+  );
+
+  if (polygons.length === 0) {
+    return null;
+  }
+
+  const { project, unproject } = createLocalProjection(polygons[0][0][0]);
+  return {
+    polygons: polygons.map((rings) => rings.map((ring) => ring.map(project))),
+    unproject,
+  };
+};
+
+/**
+ * Calcule l'enveloppe convexe d'un ensemble de points plans (chaîne monotone d'Andrew)
+ * @param {Array} points - Points [x, y]
+ * @returns {Array} - Sommets de l'enveloppe dans le sens anti-horaire
+ */
+const convexHullOfPoints = (points) => {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const cross = (o, a, b) =>
+    (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+  const buildChain = (chain, point) => {
+    while (
+      chain.length >= 2 &&
+      cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0
+    ) {
+      chain.pop();
+    }
+    chain.push(point);
+    return chain;
+  };
+
+  const lower = sorted.reduce(buildChain, []);
+  const upper = [...sorted].reverse().reduce(buildChain, []);
+
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+};
+
+/**
+ * Calcule le rectangle d'aire minimale contenant une enveloppe convexe (pieds à coulisse tournants)
+ * @param {Array} hull - Sommets [x, y] de l'enveloppe convexe
+ * @returns {Array} - Coins [x, y] du rectangle
+ */
+const minimumRectangleOfHull = (hull) => {
+  let best = null;
+
+  hull.forEach((point, index) => {
+    const next = hull[(index + 1) % hull.length];
+    const angle = Math.atan2(next[1] - point[1], next[0] - point[0]);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    // Coordonnées dans le repère aligné sur l'arête
+    let minU = Infinity;
+    let maxU = -Infinity;
+    let minV = Infinity;
+    let maxV = -Infinity;
+    hull.forEach(([x, y]) => {
+      const u = x * cos + y * sin;
+      const v = -x * sin + y * cos;
+      minU = Math.min(minU, u);
+      maxU = Math.max(maxU, u);
+      minV = Math.min(minV, v);
+      maxV = Math.max(maxV, v);
+    });
+
+    const area = (maxU - minU) * (maxV - minV);
+    if (!best || area < best.area) {
+      best = { area, cos, sin, minU, maxU, minV, maxV };
+    }
+  });
+
+  const { cos, sin, minU, maxU, minV, maxV } = best;
+  return [
+    [minU, minV],
+    [maxU, minV],
+    [maxU, maxV],
+    [minU, maxV],
+  ].map(([u, v]) => [u * cos - v * sin, u * sin + v * cos]);
+};
+
+/**
+ * Calcule le plus petit cercle contenant un ensemble de points plans (algorithme de Welzl itératif)
+ * @param {Array} points - Points [x, y]
+ * @returns {Object} - Centre { x, y } et rayon r
+ */
+const minimumEnclosingCircle = (points) => {
+  const contains = (circle, [x, y]) =>
+    Math.hypot(x - circle.x, y - circle.y) <= circle.r * (1 + 1e-9) + 1e-9;
+
+  const fromTwo = ([ax, ay], [bx, by]) => ({
+    x: (ax + bx) / 2,
+    y: (ay + by) / 2,
+    r: Math.hypot(ax - bx, ay - by) / 2,
+  });
+
+  const fromThree = ([ax, ay], [bx, by], [cx, cy]) => {
+    const d = 2 * (ax * (by - cy) + bx * (cy - ay) + cx * (ay - by));
+    if (d === 0) return null;
+
+    const a2 = ax * ax + ay * ay;
+    const b2 = bx * bx + by * by;
+    const c2 = cx * cx + cy * cy;
+    const x = (a2 * (by - cy) + b2 * (cy - ay) + c2 * (ay - by)) / d;
+    const y = (a2 * (cx - bx) + b2 * (ax - cx) + c2 * (bx - ax)) / d;
+    return { x, y, r: Math.hypot(ax - x, ay - y) };
+  };
+
+  let circle = null;
+  points.forEach((p, i) => {
+    if (circle && contains(circle, p)) return;
+
+    circle = { x: p[0], y: p[1], r: 0 };
+    for (let j = 0; j < i; j++) {
+      if (contains(circle, points[j])) continue;
+
+      circle = fromTwo(p, points[j]);
+      for (let k = 0; k < j; k++) {
+        if (!contains(circle, points[k])) {
+          circle = fromThree(p, points[j], points[k]) || circle;
+        }
+      }
+    }
+  });
+
+  return circle;
+};
+
+/**
+ * Indique si deux segments plans se croisent en un point intérieur à chacun
+ * @returns {Boolean} - True si les segments se croisent franchement
+ */
+const segmentsCross = (a, b, c, d) => {
+  const side = (o, p, q) =>
+    Math.sign((p[0] - o[0]) * (q[1] - o[1]) - (p[1] - o[1]) * (q[0] - o[0]));
+
+  return side(a, b, c) * side(a, b, d) < 0 && side(c, d, a) * side(c, d, b) < 0;
+};
+
+/**
+ * Calcule l'enveloppe convexe d'une géométrie
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @returns {Array|null} - Anneau [lat, lng] de l'enveloppe convexe
+ */
+export const calculateConvexHull = (geometry) => {
+  const shape = projectShape(geometry);
+  if (!shape) {
+    return null;
+  }
+
+  const points = shape.polygons.flatMap(([outer]) => outer);
+  return convexHullOfPoints(points).map(shape.unproject);
+};
+
+/**
+ * Calcule le rectangle orienté d'aire minimale contenant une géométrie
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @returns {Object|null} - { corners, length, width, orientation } : coins [lat, lng],
+ *                          longueur et largeur en mètres, orientation du grand côté en degrés
+ *                          depuis le nord (0 à 180)
+ */
+export const calculateMinimumRotatedRectangle = (geometry) => {
+  const shape = projectShape(geometry);
+  if (!shape) {
+    return null;
+  }
+
+  const hull = convexHullOfPoints(shape.polygons.flatMap(([outer]) => outer));
+  if (hull.length < 3) {
+    return null;
+  }
+
+  const planarCorners = minimumRectangleOfHull(hull);
+  const corners = planarCorners.map(shape.unproject);
+  const side = (from, to) => WGS84.Inverse(from[0], from[1], to[0], to[1]).s12;
+  const first = side(corners[0], corners[1]);
+  const second = side(corners[1], corners[2]);
+
+  // Orientation du grand côté dans le plan local (x vers l'est, y vers le nord)
+  const [start, end] =
+    first >= second
+      ? [planarCorners[0], planarCorners[1]]
+      : [planarCorners[1], planarCorners[2]];
+  const azimuth =
+    (Math.atan2(end[0] - start[0], end[1] - start[1]) * 180) / Math.PI;
+
+  return {
+    corners,
+    length: Math.max(first, second),
+    width: Math.min(first, second),
+    orientation: ((azimuth % 180) + 180) % 180,
+  };
+};
+
+/**
+ * Calcule la plus longue corde entièrement intérieure à une géométrie
+ * Les extrémités sont cherchées parmi les sommets : le diamètre de l'enveloppe convexe est
+ * retenu s'il reste intérieur, sinon toutes les paires de sommets sont testées (sommets
+ * échantillonnés au-delà de MAX_CHORD_CANDIDATES, le résultat étant alors approché)
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @returns {Object|null} - { start, end, length, approximate } : extrémités [lat, lng], longueur
+ *                          en mètres et indicateur d'une corde plus longue possiblement manquée
+ */
+export const calculateLongestChord = (geometry) => {
+  const shape = projectShape(geometry);
+  if (!shape) {
+    return null;
+  }
+
+  let best = null;
+  // Diamètres des parties dont les sommets ont été échantillonnés
+  const sampledDiameters = [];
+
+  shape.polygons.forEach((rings) => {
+    const vertices = rings.flat();
+    const edges = rings.flatMap((ring) =>
+      ring.map((point, index) => [point, ring[(index + 1) % ring.length]])
+    );
+    // isPointInRings attend des points [lat, lng], soit [y, x] dans le plan local
+    const ringsYX = rings.map((ring) => ring.map(([x, y]) => [y, x]));
+    const isInside = ([x, y]) => isPointInRings(y, x, ringsYX);
+    const isChord = ({ a, b, length }) =>
+      length > 0 &&
+      (!best || length > best.length) &&
+      !edges.some(([c, d]) => segmentsCross(a, b, c, d)) &&
+      CHORD_SAMPLES.every((t) =>
+        isInside([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t])
+      );
+
+    // Les deux sommets les plus éloignés sont sur l'enveloppe convexe : aucune corde
+    // ne dépasse leur segment, qui suffit s'il reste intérieur (polygone convexe)
+    const hull = convexHullOfPoints(vertices);
+    let diameter = null;
+    let farthest = -1;
+    for (let i = 0; i < hull.length; i++) {
+      for (let j = i + 1; j < hull.length; j++) {
+        const dx = hull[i][0] - hull[j][0];
+        const dy = hull[i][1] - hull[j][1];
+        if (dx * dx + dy * dy > farthest) {
+          farthest = dx * dx + dy * dy;
+          diameter = { a: hull[i], b: hull[j], length: Math.sqrt(farthest) };
+        }
+      }
+    }
+    if (!diameter || (best && diameter.length <= best.length)) {
+      return;
+    }
+    if (isChord(diameter)) {
+      best = diameter;
+      return;
+    }
+
+    // Polygone concave : les sommets de l'enveloppe sont toujours candidats
+    const onHull = new Set(hull);
+    const stride = Math.ceil(vertices.length / MAX_CHORD_CANDIDATES);
+    const candidates = vertices.filter(
+      (point, index) => onHull.has(point) || index % stride === 0
+    );
+    if (stride > 1) {
+      sampledDiameters.push(diameter.length);
+    }
+
+    const pairs = [];
+    candidates.forEach((a, i) =>
+      candidates.slice(i + 1).forEach((b) => {
+        pairs.push({ a, b, length: Math.hypot(a[0] - b[0], a[1] - b[1]) });
+      })
+    );
+    pairs.sort((p, q) => q.length - p.length);
+
+    // La première paire dont le segment reste dans le polygone est la plus longue
+    const chord = pairs.find(isChord);
+
+    if (chord) {
+      best = chord;
+    }
+  });
+
+  if (!best) {
+    return null;
+  }
+
+  const start = shape.unproject(best.a);
+  const end = shape.unproject(best.b);
+  return {
+    start,
+    end,
+    length: WGS84.Inverse(start[0], start[1], end[0], end[1]).s12,
+    approximate: sampledDiameters.some((length) => length > best.length),
+  };
+};
+
+/**
+ * Calcule les descripteurs de forme d'une géométrie
+ * - solidité : aire / aire de l'enveloppe convexe
+ * - Polsby-Popper : 4πA / P², 1 pour un disque
+ * - Reock : aire / aire du plus petit cercle englobant, 1 pour un disque
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @returns {Object|null} - { convexHull, convexHullArea, solidity, minimumRectangle,
+ *                          polsbyPopper, reock, longestChord }
+ */
+export const calculateShapeMetrics = (geometry) => {
+  const shape = projectShape(geometry);
+  if (!shape) {
+    return null;
+  }
+
+  const area = calculatePolygonArea(geometry);
+  const perimeter = calculatePolygonPerimeter(geometry);
+  const convexHull = calculateConvexHull(geometry);
+  const convexHullArea = calculatePolygonArea(convexHull);
+  const circle = minimumEnclosingCircle(
+    convexHullOfPoints(shape.polygons.flatMap(([outer]) => outer))
+  );
+  const circleArea = Math.PI * circle.r * circle.r;
+
+  return {
+    convexHull,
+    convexHullArea,
+    solidity: convexHullArea > 0 ? Math.min(1, area / convexHullArea) : 0,
+    minimumRectangle: calculateMinimumRotatedRectangle(geometry),
+    polsbyPopper:
+      perimeter > 0 ? (4 * Math.PI * area) / (perimeter * perimeter) : 0,
+    reock: circleArea > 0 ? Math.min(1, area / circleArea) : 0,
+    longestChord: calculateLongestChord(geometry),
+  };
+};
+
+/**
+ * Types de cellules disponibles pour le pavage d'une zone
+ */
+export const GRID_TYPES = {
+  SQUARE: "square",
+  HEXAGON: "hexagon",
+};
+
+// Nombre maximal de cellules couvrant l'emprise d'une zone
+const MAX_GRID_CELLS = 1000;
+
+/**
+ * Calcule l'aire d'un anneau plan (formule du lacet)
+ * @param {Array} ring - Anneau [x, y]
+ * @returns {Number} - Aire non signée
+ */
+const planarRingArea = (ring) => {
+  let area = 0;
+  ring.forEach(([x1, y1], i) => {
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    area += x1 * y2 - x2 * y1;
+  });
+  return Math.abs(area / 2);
+};
+
+/**
+ * Construit une cellule plane de la grille
+ * @param {String} type - Type de cellule (voir GRID_TYPES)
+ * @param {Number} cx - Abscisse du centre (m)
+ * @param {Number} cy - Ordonnée du centre (m)
+ * @param {Number} size - Largeur de la cellule (m)
+ * @returns {Array} - Anneau [x, y] de la cellule
+ */
+const createCell = (type, cx, cy, size) => {
+  if (type === GRID_TYPES.HEXAGON) {
+    // Hexagone à sommet pointu vers le nord, de largeur size entre côtés opposés
+    const radius = size / Math.sqrt(3);
+    return Array.from({ length: 6 }, (_, i) => {
+      const angle = ((60 * i + 30) * Math.PI) / 180;
+      return [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+    });
+  }
+
+  const half = size / 2;
+  return [
+    [cx - half, cy - half],
+    [cx + half, cy - half],
+    [cx + half, cy + half],
+    [cx - half, cy + half],
+  ];
+};
+
+/**
+ * Pave une zone de cellules carrées ou hexagonales découpées par le polygone
+ * Les cellules sont construites dans une projection locale : leur taille est approchée
+ * pour les zones très étendues. Au-delà de MAX_GRID_CELLS, l'erreur levée est nommée
+ * "GridSizeError"
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @param {Number} cellSize - Largeur des cellules en mètres
+ * @param {Object} options - Options
+ * @param {String} options.type - Type de cellule (voir GRID_TYPES)
+ * @returns {Object} - FeatureCollection GeoJSON des cellules, avec les propriétés
+ *                     id, row, col, area (m²) et coverage (part de la cellule dans la zone)
+ */
+export const createGrid = (
+  geometry,
+  cellSize,
+  { type = GRID_TYPES.SQUARE } = {}
+) => {
+  if (!Object.values(GRID_TYPES).includes(type)) {
+    throw new Error(`Type de cellule inconnu : ${type}`);
+  }
+  if (!(cellSize > 0)) {
+    throw new Error("La taille des cellules doit être positive");
+  }
+
+  const shape = projectShape(geometry);
+  if (!shape) {
+    return { type: "FeatureCollection", features: [] };
+  }
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  shape.polygons.forEach(([outer]) =>
+    outer.forEach(([x, y]) => {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    })
+  );
+
+  // Espacement des centres : les rangées d'hexagones se chevauchent et sont décalées
+  const isHexagon = type === GRID_TYPES.HEXAGON;
+  const stepX = cellSize;
+  const stepY = isHexagon ? (cellSize * Math.sqrt(3)) / 2 : cellSize;
+  const columns = Math.ceil((maxX - minX) / stepX) + (isHexagon ? 2 : 1);
+  const rows = Math.ceil((maxY - minY) / stepY) + 1;
+  const startX = isHexagon ? minX : minX + stepX / 2;
+
+  if (columns * rows > MAX_GRID_CELLS) {
+    const error = new Error(
+      `Trop de cellules (${columns * rows}) : augmentez la taille des cellules`
+    );
+    error.name = "GridSizeError";
+    throw error;
+  }
+
+  const fullCellArea = isHexagon
+    ? (Math.sqrt(3) / 2) * cellSize * cellSize
+    : cellSize * cellSize;
+  const features = [];
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      const offset = isHexagon && row % 2 === 1 ? stepX / 2 : 0;
+      const cell = createCell(
+        type,
+        startX + col * stepX + offset,
+        minY + row * stepY + stepY / 2,
+        cellSize
+      );
+
+      // Découpage dans le plan local, puis retour en coordonnées géographiques
+      const pieces = polygonClipping.intersection(shape.polygons, [cell]);
+      if (pieces.length === 0) continue;
+
+      const coveredArea = pieces.reduce(
+        (total, [outer, ...holes]) =>
+          total +
+          planarRingArea(outer) -
+          holes.reduce((sum, hole) => sum + planarRingArea(hole), 0),
+        0
+      );
+
+      const cellGeometry = splitAntimeridian(
+        polygonsToGeoJSON(
+          pieces.map((piece) =>
+            piece.map((ring) => openRing(ring).map(shape.unproject))
+          )
+        )
+      );
+      if (!cellGeometry) continue;
+
+      features.push({
+        type: "Feature",
+        properties: {
+          id: `${row}-${col}`,
+          row,
+          col,
+          area: calculatePolygonArea(cellGeometry),
+          coverage: Math.min(1, coveredArea / fullCellArea),
+        },
+        geometry: cellGeometry,
+      });
+    }
+  }
+
+  return { type: "FeatureCollection", features };
+};
+
+// Ajustements successifs de l'espacement pour approcher le nombre de points voulu
+const MAX_SAMPLING_PASSES = 6;
+
+/**
+ * Échantillonne l'intérieur d'une zone sur une grille régulière de points
+ * L'espacement s'adapte à l'aire pour obtenir entre la moitié et la totalité
+ * de maxPoints points ; chaque point représente donc une même surface
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON
+ * @param {Number} maxPoints - Nombre maximal de points
+ * @returns {Array} - Points [lat, lng] à l'intérieur de la zone (au moins un point intérieur)
+ */
+export const samplePolygonPoints = (geometry, maxPoints = 100) => {
+  const shape = projectShape(geometry);
+  if (!shape) {
+    return [];
+  }
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  let area = 0;
+  shape.polygons.forEach(([outer, ...holes]) => {
+    outer.forEach(([x, y]) => {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    });
+    area +=
+      planarRingArea(outer) -
+      holes.reduce((sum, hole) => sum + planarRingArea(hole), 0);
+  });
+
+  const sampleAt = (spacing) => {
+    const points = [];
+    for (let y = minY + spacing / 2; y < maxY; y += spacing) {
+      for (let x = minX + spacing / 2; x < maxX; x += spacing) {
+        if (shape.polygons.some((rings) => isPointInRings(x, y, rings))) {
+          points.push([x, y]);
+        }
+      }
+    }
+    return points;
+  };
+
+  let spacing = Math.sqrt(area / maxPoints);
+  let points = sampleAt(spacing);
+
+  // Les zones étroites ou découpées laissent moins de points que prévu :
+  // l'espacement est corrigé d'après le nombre obtenu
+  for (
+    let pass = 0;
+    pass < MAX_SAMPLING_PASSES &&
+    (points.length > maxPoints || points.length < maxPoints / 2);
+    pass++
+  ) {
+    spacing *=
+      points.length > 0 ? Math.sqrt(points.length / (maxPoints * 0.75)) : 0.5;
+    points = sampleAt(spacing);
+  }
+
+  if (points.length === 0) {
+    return [calculateInteriorPoint(geometry)];
+  }
+
+  // Sous-échantillonnage régulier si la dernière passe dépasse encore la limite
+  const stride = Math.max(1, points.length / maxPoints);
+  return Array.from({ length: Math.min(points.length, maxPoints) }, (_, i) =>
+    shape.unproject(points[Math.floor(i * stride)])
+  );
+};
+
 /**
  * Récupère les données d'une zone depuis un service externe
  * @param {Array} polygonCoords - Tableau de coordonnées [lat, lng]
@@ -0,0 +1,183 @@
+import {
+  BOOLEAN_OPERATIONS,
+  calculatePolygonArea,
+  calculatePolygonPerimeter,
+  combinePolygons,
+  findSelfIntersections,
+  isClockwise,
+  normalizePolygons,
+  orientPolygons,
+  polygonsToGeoJSON,
+} from "./geoUtils";
+
+// Écart (en degrés) en dessous duquel deux sommets sont considérés identiques
+const VERTEX_TOLERANCE = 1e-9;
+
+// Aire minimale (m²) d'un anneau exploitable
+const MIN_RING_AREA = 1;
+
+// Indice de Polsby-Popper en dessous duquel un anneau est considéré comme un éclat
+const MIN_RING_COMPACTNESS = 1e-4;
+
+/**
+ * Types de problèmes détectés par validatePolygon
+ */
+export const ISSUE_TYPES = {
+  TOO_FEW_VERTICES: "too-few-vertices",
+  DUPLICATE_VERTEX: "duplicate-vertex",
+  SELF_INTERSECTION: "self-intersection",
+  ZERO_AREA: "zero-area",
+  WRONG_ORIENTATION: "wrong-orientation",
+};
+
+/**
+ * Compare deux sommets avec la tolérance de VERTEX_TOLERANCE
+ * @param {Array} a - Coordonnées [lat, lng]
+ * @param {Array} b - Coordonnées [lat, lng]
+ * @returns {Boolean} - True si les sommets sont confondus
+ */
+const samePoint = (a, b) => {
+  return (
+    Math.abs(a[0] - b[0]) <= VERTEX_TOLERANCE &&
+    Math.abs(a[1] - b[1]) <= VERTEX_TOLERANCE
+  );
+};
+
+/**
+ * Supprime les sommets consécutifs confondus d'un anneau ouvert
+ * @param {Array} ring - Anneau ouvert [lat, lng]
+ * @returns {Array} - Anneau sans doublons
+ */
+const removeDuplicateVertices = (ring) => {
+  const result = ring.filter(
+    (point, index) => index === 0 || !samePoint(point, ring[index - 1])
+  );
+
+  while (result.length > 1 && samePoint(result[0], result[result.length - 1])) {
+    result.pop();
+  }
+
+  return result;
+};
+
+/**
+ * Indique si un anneau est dégénéré (aire nulle ou éclat très allongé)
+ * @param {Array} ring - Anneau ouvert [lat, lng]
+ * @returns {Boolean} - True si l'anneau n'a pas de surface exploitable
+ */
+const isSliver = (ring) => {
+  const area = calculatePolygonArea(ring);
+  const perimeter = calculatePolygonPerimeter(ring);
+
+  if (area < MIN_RING_AREA || perimeter === 0) {
+    return true;
+  }
+
+  return (4 * Math.PI * area) / (perimeter * perimeter) < MIN_RING_COMPACTNESS;
+};
+
+/**
+ * Valide un polygone dessiné ou importé
+ * Une mauvaise orientation est signalée comme avertissement : elle n'affecte pas
+ * les mesures et coordsToGeoJSON la corrige automatiquement
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON (Polygon, MultiPolygon)
+ * @returns {Object} - { valid, issues } où chaque problème contient son type, sa gravité
+ *                     (error ou warning), l'index du polygone et de l'anneau, et sa position [lat, lng]
+ */
+export const validatePolygon = (geometry) => {
+  const issues = [];
+
+  normalizePolygons(geometry).forEach((rings, polygonIndex) => {
+    const report = (type, ringIndex, location, extra = {}) =>
+      issues.push({
+        type,
+        severity: type === ISSUE_TYPES.WRONG_ORIENTATION ? "warning" : "error",
+        polygonIndex,
+        ringIndex,
+        location,
+        ...extra,
+      });
+
+    const cleanedRings = rings.map((ring, ringIndex) => {
+      ring.forEach((point, vertexIndex) => {
+        const next = ring[(vertexIndex + 1) % ring.length];
+        if (ring.length > 1 && samePoint(point, next)) {
+          report(ISSUE_TYPES.DUPLICATE_VERTEX, ringIndex, point, {
+            vertexIndex,
+          });
+        }
+      });
+
+      const cleaned = removeDuplicateVertices(ring);
+      if (cleaned.length < 3) {
+        report(ISSUE_TYPES.TOO_FEW_VERTICES, ringIndex, ring[0] || null);
+        return [];
+      }
+      return cleaned;
+    });
+
+    const intersections = findSelfIntersections(cleanedRings);
+    intersections.forEach(({ ringIndex, otherRingIndex, location }) => {
+      report(ISSUE_TYPES.SELF_INTERSECTION, ringIndex, location, {
+        otherRingIndex,
+      });
+    });
+
+    // L'aire et l'orientation n'ont pas de sens pour un anneau qui se recoupe
+    const intersectedRings = new Set(
+      intersections.flatMap(({ ringIndex, otherRingIndex }) => [
+        ringIndex,
+        otherRingIndex,
+      ])
+    );
+
+    cleanedRings.forEach((ring, ringIndex) => {
+      if (ring.length < 3 || intersectedRings.has(ringIndex)) {
+        return;
+      }
+
+      if (isSliver(ring)) {
+        report(ISSUE_TYPES.ZERO_AREA, ringIndex, ring[0]);
+      } else if (isClockwise(ring) !== ringIndex > 0) {
+        report(ISSUE_TYPES.WRONG_ORIENTATION, ringIndex, ring[0]);
+      }
+    });
+  });
+
+  return {
+    valid: issues.every((issue) => issue.severity !== "error"),
+    issues,
+  };
+};
+
+/**
+ * Répare un polygone invalide :
+ * suppression des sommets dupliqués, découpage aux auto-intersections,
+ * suppression des éclats sans surface et orientation des anneaux comme coordsToGeoJSON
+ * @param {Array|Object} geometry - Coordonnées [lat, lng] ou géométrie GeoJSON (Polygon, MultiPolygon)
+ * @returns {Object|null} - Géométrie GeoJSON Polygon ou MultiPolygon, ou null si rien n'est récupérable
+ */
+export const repairPolygon = (geometry) => {
+  const cleaned = polygonsToGeoJSON(
+    normalizePolygons(geometry).map((rings) =>
+      rings.map(removeDuplicateVertices)
+    )
+  );
+
+  if (!cleaned) {
+    return null;
+  }
+
+  // L'union découpe les anneaux à leurs auto-intersections
+  // et fusionne les parties qui se recouvrent
+  const unified = combinePolygons(BOOLEAN_OPERATIONS.UNION, [cleaned]);
+
+  const repaired = normalizePolygons(unified)
+    .filter(([outer]) => !isSliver(outer))
+    .map(([outer, ...holes]) => [
+      outer,
+      ...holes.filter((hole) => !isSliver(hole)),
+    ]);
+
+  return polygonsToGeoJSON(orientPolygons(repaired));
+};
@@ -0,0 +1,410 @@
+/**
+ * Classe regroupant les surfaces qui ne correspondent à aucune classe d'une nomenclature
+ */
+export const OTHER_CLASS = "other";
+
+// Nomenclatures enregistrées, indexées par identifiant
+const taxonomies = new Map();
+
+/**
+ * Enregistre une nomenclature d'utilisation des terres
+ *
+ * Chaque classe associe des combinaisons d'attributs OpenStreetMap à une clé, un libellé
+ * et une couleur. Une combinaison est un objet { attribut: valeur } dont tous les attributs
+ * doivent correspondre ; la valeur est une chaîne, une liste de chaînes, ou true pour
+ * accepter toute valeur. Un objet recevant plusieurs classes est rangé dans la première
+ * selon l'ordre de priorité, qui départage aussi les surfaces qui se chevauchent.
+ *
+ * @param {Object} taxonomy - Description de la nomenclature
+ * @param {String} taxonomy.id - Identifiant unique (ex : "corine")
+ * @param {String} taxonomy.name - Nom affiché
+ * @param {Array} taxonomy.groups - Groupes de premier niveau { key, label, color } (facultatif)
+ * @param {Array} taxonomy.classes - Classes { key, label, color, group, tags: [combinaisons] },
+ *                                   dans l'ordre d'affichage ; les couleurs sont au format #rrggbb
+ * @param {Array} taxonomy.priority - Clés des classes par priorité (ordre d'affichage si absent)
+ * @param {Object} taxonomy.other - Libellé et couleur des surfaces non classées
+ * @returns {Object} - Nomenclature enregistrée
+ */
+export const registerLandUseTaxonomy = (taxonomy) => {
+  if (!taxonomy.id || !Array.isArray(taxonomy.classes)) {
+    throw new Error(
+      "Une nomenclature doit avoir un identifiant et une liste de classes"
+    );
+  }
+
+  const keys = taxonomy.classes.map(({ key }) => key);
+  if (keys.includes(OTHER_CLASS) || new Set(keys).size !== keys.length) {
+    throw new Error(
+      `Clés de classe invalides dans la nomenclature ${taxonomy.id}`
+    );
+  }
+
+  const registered = {
+    name: taxonomy.id,
+    groups: [],
+    other: { label: "Others", color: "#ff9f40" },
+    ...taxonomy,
+  };
+
+  // Les classes absentes de la priorité passent après les autres
+  const priority = (taxonomy.priority || []).filter((key) =>
+    keys.includes(key)
+  );
+  registered.priority = [
+    ...priority,
+    ...keys.filter((key) => !priority.includes(key)),
+  ];
+
+  taxonomies.set(taxonomy.id, registered);
+  return registered;
+};
+
+/**
+ * Liste les nomenclatures enregistrées
+ * @returns {Array} - Nomenclatures, dans l'ordre d'enregistrement
+ */
+export const listLandUseTaxonomies = () => Array.from(taxonomies.values());
+
+/**
+ * Retrouve une nomenclature ; sans identifiant, celle configurée par
+ * VITE_LAND_USE_TAXONOMY, ou la première enregistrée
+ * @param {String} id - Identifiant de la nomenclature
+ * @returns {Object} - Nomenclature
+ */
+export const getLandUseTaxonomy = (id) => {
+  const taxonomy =
+    taxonomies.get(id || import.meta.env.VITE_LAND_USE_TAXONOMY) ||
+    listLandUseTaxonomies()[0];
+  if (id && taxonomy.id !== id) {
+    console.warn(`Nomenclature inconnue : ${id}, ${taxonomy.id} utilisée`);
+  }
+  return taxonomy;
+};
+
+/**
+ * Indique si les attributs d'un objet correspondent à une combinaison
+ * @param {Object} tags - Attributs de l'objet
+ * @param {Object} combination - Combinaison { attribut: valeur | [valeurs] | true }
+ * @returns {Boolean} - True si tous les attributs de la combinaison correspondent
+ */
+const matchesCombination = (tags, combination) =>
+  Object.entries(combination).every(([tag, expected]) => {
+    const value = tags[tag];
+    if (value === undefined) return false;
+    if (expected === true) return true;
+    return Array.isArray(expected)
+      ? expected.includes(value)
+      : value === expected;
+  });
+
+/**
+ * Classe d'un objet OpenStreetMap dans une nomenclature
+ * @param {Object} taxonomy - Nomenclature
+ * @param {Object} tags - Attributs de l'objet
+ * @returns {String|null} - Clé de la classe, ou null si l'objet n'est pas classé
+ */
+export const classifyTags = (taxonomy, tags = {}) =>
+  taxonomy.priority.find((key) =>
+    taxonomy.classes
+      .find((landUseClass) => landUseClass.key === key)
+      .tags.some((combination) => matchesCombination(tags, combination))
+  ) || null;
+
+/**
+ * Traduit les combinaisons d'une nomenclature en filtres Overpass QL
+ * @param {Object} taxonomy - Nomenclature
+ * @returns {Array} - Filtres, par exemple '["landuse"~"^(meadow|grass)$"]'
+ */
+export const toOverpassFilters = (taxonomy) => {
+  const escape = (value) => value.replace(/[\\"]/g, "\\$&");
+  const escapeRegex = (value) =>
+    escape(value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+
+  const filters = taxonomy.classes.flatMap(({ tags }) =>
+    tags.map((combination) =>
+      Object.entries(combination)
+        .map(([tag, expected]) => {
+          if (expected === true) return `["${escape(tag)}"]`;
+          if (Array.isArray(expected)) {
+            return `["${escape(tag)}"~"^(${expected
+              .map(escapeRegex)
+              .join("|")})$"]`;
+          }
+          return `["${escape(tag)}"="${escape(expected)}"]`;
+        })
+        .join("")
+    )
+  );
+
+  // Une combinaison partagée par deux classes n'est demandée qu'une fois
+  return [...new Set(filters)];
+};
+
+/**
+ * Classes d'une nomenclature suivies de la classe des surfaces non classées
+ * @param {Object} taxonomy - Nomenclature
+ * @param {Boolean} byGroup - True pour les groupes de premier niveau plutôt que les classes
+ * @returns {Array} - Entrées { key, label, color, members }, members listant les clés
+ *                    de classes regroupées
+ */
+export const getLandUseLegend = (taxonomy, byGroup = false) => {
+  const entries =
+    byGroup && taxonomy.groups.length > 0
+      ? taxonomy.groups.map((group) => ({
+          ...group,
+          members: taxonomy.classes
+            .filter((landUseClass) => landUseClass.group === group.key)
+            .map(({ key }) => key),
+        }))
+      : taxonomy.classes.map(({ key, label, color }) => ({
+          key,
+          label,
+          color,
+          members: [key],
+        }));
+
+  return [
+    ...entries,
+    { key: OTHER_CLASS, ...taxonomy.other, members: [OTHER_CLASS] },
+  ];
+};
+
+// Nomenclature simple, dans la continuité des quatre catégories historiques
+registerLandUseTaxonomy({
+  id: "simple",
+  name: "Simple",
+  classes: [
+    {
+      key: "urban",
+      label: "Urban areas",
+      color: "#ff6384",
+      tags: [{ landuse: "residential" }],
+    },
+    {
+      key: "commerce",
+      label: "Industry and commerce",
+      color: "#8c564b",
+      tags: [{ landuse: ["industrial", "commercial", "retail"] }],
+    },
+    {
+      key: "agriculture",
+      label: "Agriculture",
+      color: "#4bc0c0",
+      tags: [
+        {
+          landuse: [
+            "farmland",
+            "farmyard",
+            "orchard",
+            "vineyard",
+            "allotments",
+            "greenhouse_horticulture",
+          ],
+        },
+      ],
+    },
+    {
+      key: "grassland",
+      label: "Grassland",
+      color: "#9bd770",
+      tags: [{ landuse: ["meadow", "grass"] }, { natural: "grassland" }],
+    },
+    {
+      key: "forest",
+      label: "Forests",
+      color: "#36a2eb",
+      tags: [{ natural: "wood" }, { landuse: "forest" }],
+    },
+    {
+      key: "scrub",
+      label: "Scrub and heath",
+      color: "#c5b358",
+      tags: [{ natural: ["scrub", "heath"] }],
+    },
+    {
+      key: "wetland",
+      label: "Wetlands",
+      color: "#6a8caf",
+      tags: [{ natural: "wetland" }],
+    },
+    {
+      key: "water",
+      label: "Water",
+      color: "#9966ff",
+      tags: [
+        { natural: "water" },
+        { landuse: ["reservoir", "basin"] },
+        { waterway: "riverbank" },
+      ],
+    },
+    {
+      key: "bare",
+      label: "Bare ground",
+      color: "#b0a99f",
+      tags: [
+        { natural: ["beach", "sand", "bare_rock", "scree"] },
+        { landuse: "quarry" },
+      ],
+    },
+  ],
+  // Les objets les plus spécifiques l'emportent (un bois dans une zone résidentielle)
+  priority: [
+    "water",
+    "wetland",
+    "forest",
+    "scrub",
+    "grassland",
+    "bare",
+    "commerce",
+    "urban",
+    "agriculture",
+  ],
+});
+
+// Nomenclature inspirée de CORINE Land Cover (niveaux 1 et 2, couleurs officielles)
+registerLandUseTaxonomy({
+  id: "corine",
+  name: "CORINE Land Cover",
+  groups: [
+    { key: "artificial", label: "Artificial surfaces", color: "#e6004d" },
+    { key: "agricultural", label: "Agricultural areas", color: "#ffffa8" },
+    {
+      key: "seminatural",
+      label: "Forests and semi-natural areas",
+      color: "#80ff00",
+    },
+    { key: "wetlands", label: "Wetlands", color: "#a6a6ff" },
+    { key: "waterBodies", label: "Water bodies", color: "#00ccf2" },
+  ],
+  classes: [
+    {
+      key: "urbanFabric",
+      label: "1.1 Urban fabric",
+      color: "#e6004d",
+      group: "artificial",
+      tags: [{ landuse: "residential" }],
+    },
+    {
+      key: "industrialCommercial",
+      label: "1.2 Industrial, commercial and transport units",
+      color: "#cc4df2",
+      group: "artificial",
+      tags: [
+        { landuse: ["industrial", "commercial", "retail", "railway", "port"] },
+        { aeroway: "aerodrome" },
+      ],
+    },
+    {
+      key: "mineDumpConstruction",
+      label: "1.3 Mine, dump and construction sites",
+      color: "#a600cc",
+      group: "artificial",
+      tags: [{ landuse: ["quarry", "landfill", "construction", "brownfield"] }],
+    },
+    {
+      key: "artificialVegetated",
+      label: "1.4 Artificial, non-agricultural vegetated areas",
+      color: "#ffa6ff",
+      group: "artificial",
+      tags: [
+        { leisure: ["park", "garden", "golf_course", "pitch"] },
+        { landuse: ["recreation_ground", "cemetery", "grass"] },
+      ],
+    },
+    {
+      key: "arableLand",
+      label: "2.1 Arable land",
+      color: "#ffffa8",
+      group: "agricultural",
+      tags: [{ landuse: ["farmland", "greenhouse_horticulture"] }],
+    },
+    {
+      key: "permanentCrops",
+      label: "2.2 Permanent crops",
+      color: "#f2a64d",
+      group: "agricultural",
+      tags: [{ landuse: ["orchard", "vineyard"] }],
+    },
+    {
+      key: "pastures",
+      label: "2.3 Pastures",
+      color: "#e6e64d",
+      group: "agricultural",
+      tags: [{ landuse: ["meadow", "farmyard"] }],
+    },
+    {
+      key: "forests",
+      label: "3.1 Forests",
+      color: "#80ff00",
+      group: "seminatural",
+      tags: [{ natural: "wood" }, { landuse: "forest" }],
+    },
+    {
+      key: "shrubHerbaceous",
+      label: "3.2 Scrub and herbaceous vegetation",
+      color: "#ccf24d",
+      group: "seminatural",
+      tags: [{ natural: ["scrub", "heath", "grassland"] }],
+    },
+    {
+      key: "openSpaces",
+      label: "3.3 Open spaces with little or no vegetation",
+      color: "#e6e6e6",
+      group: "seminatural",
+      tags: [{ natural: ["beach", "sand", "bare_rock", "scree", "glacier"] }],
+    },
+    {
+      key: "inlandWetlands",
+      label: "4.1 Inland wetlands",
+      color: "#a6a6ff",
+      group: "wetlands",
+      tags: [{ natural: "wetland" }],
+    },
+    {
+      key: "coastalWetlands",
+      label: "4.2 Coastal wetlands",
+      color: "#ccccff",
+      group: "wetlands",
+      tags: [
+        { natural: "wetland", wetland: ["saltmarsh", "tidalflat", "mangrove"] },
+      ],
+    },
+    {
+      key: "inlandWaters",
+      label: "5.1 Inland waters",
+      color: "#80f2e6",
+      group: "waterBodies",
+      tags: [
+        { natural: "water" },
+        { landuse: ["reservoir", "basin"] },
+        { waterway: "riverbank" },
+      ],
+    },
+    {
+      key: "marineWaters",
+      label: "5.2 Marine waters",
+      color: "#00ccf2",
+      group: "waterBodies",
+      tags: [{ natural: "water", water: "lagoon" }],
+    },
+  ],
+  // Les combinaisons les plus précises d'abord (une lagune avant une eau intérieure),
+  // puis la végétation des parcs urbains avant les forêts
+  priority: [
+    "marineWaters",
+    "inlandWaters",
+    "coastalWetlands",
+    "inlandWetlands",
+    "artificialVegetated",
+    "forests",
+    "shrubHerbaceous",
+    "openSpaces",
+    "mineDumpConstruction",
+    "industrialCommercial",
+    "urbanFabric",
+    "permanentCrops",
+    "pastures",
+    "arableLand",
+  ],
+  other: { label: "Unclassified", color: "#bfbfbf" },
+});
@@ -0,0 +1,281 @@
+import {
+  CACHE_TTL,
+  createCacheKey,
+  getCachedResponse,
+  hashGeometry,
+  setCachedResponse,
+} from "./cache";
+import { calculateInteriorPoint, calculatePolygonArea } from "./geoUtils";
+import { createScheduledClient } from "./scheduler";
+
+/**
+ * Capacités (types de données) qu'un fournisseur peut servir
+ */
+export const CAPABILITIES = {
+  WEATHER: "weather",
+  ELEVATION: "elevation",
+  POPULATION: "population",
+  LAND_USE: "landUse",
+  CLIMATE: "climate",
+  ADMIN_BOUNDARIES: "adminBoundaries",
+  GEOCODING: "geocoding",
+};
+
+/**
+ * Niveaux de confiance d'un résultat
+ */
+export const CONFIDENCE = {
+  HIGH: "high",
+  MEDIUM: "medium",
+  LOW: "low",
+};
+
+// Fournisseurs enregistrés, indexés par identifiant (dans l'ordre d'enregistrement)
+const providers = new Map();
+
+// Ordre de priorité configuré par capacité
+const priorities = {};
+
+/**
+ * Enregistre un fournisseur de données
+ * @param {Object} provider - Description du fournisseur
+ * @param {String} provider.id - Identifiant unique (ex : "openweathermap")
+ * @param {String} provider.name - Nom affiché
+ * @param {String} provider.capability - Capacité servie (voir CAPABILITIES)
+ * @param {Array} provider.requiredKeys - Variables d'environnement nécessaires (ex : ["VITE_OPENWEATHER_API_KEY"])
+ * @param {Number} provider.dailyQuota - Appels HTTP autorisés par jour (illimité si absent)
+ * @param {Boolean} provider.simulated - True si les données sont générées localement et non mesurées
+ * @param {String} provider.resolution - Résolution spatiale des données (ex : "Grille 100 m")
+ * @param {String} provider.confidence - Niveau de confiance (voir CONFIDENCE)
+ * @param {Function} provider.accepts - Indique si le fournisseur sait servir la requête :
+ *                                      (context) => Boolean (toutes les requêtes si absent)
+ * @param {Function} provider.fetch - Récupère la réponse brute : async (context) => réponse
+ *                                    Les appels HTTP passent par context.http (voir createScheduledClient)
+ * @param {Function} provider.normalize - Convertit la réponse au format de l'application :
+ *                                        (réponse, context) => données, ou null si la réponse est inexploitable
+ * @returns {Object} - Fournisseur enregistré
+ */
+export const registerProvider = (provider) => {
+  if (!provider.id || typeof provider.fetch !== "function") {
+    throw new Error(
+      "Un fournisseur doit avoir un identifiant et une fonction fetch"
+    );
+  }
+  if (!Object.values(CAPABILITIES).includes(provider.capability)) {
+    throw new Error(`Capacité inconnue : ${provider.capability}`);
+  }
+
+  const registered = {
+    name: provider.id,
+    requiredKeys: [],
+    simulated: false,
+    resolution: null,
+    confidence: CONFIDENCE.MEDIUM,
+    normalize: (response) => response,
+    ...provider,
+  };
+  providers.set(provider.id, registered);
+  return registered;
+};
+
+/**
+ * Retire un fournisseur du registre
+ * @param {String} id - Identifiant du fournisseur
+ */
+export const unregisterProvider = (id) => {
+  providers.delete(id);
+};
+
+/**
+ * Lit les clés requises par un fournisseur dans les variables d'environnement
+ * @param {Object} provider - Fournisseur enregistré
+ * @returns {Object|null} - Clés { nom: valeur }, ou null s'il en manque une
+ */
+const resolveKeys = (provider) => {
+  const keys = {};
+  for (const name of provider.requiredKeys) {
+    const value = import.meta.env[name];
+    if (!value) {
+      return null;
+    }
+    keys[name] = value;
+  }
+  return keys;
+};
+
+/**
+ * Lit l'ordre de priorité d'une capacité dans les variables d'environnement,
+ * par exemple VITE_PROVIDERS_WEATHER="weatherapi,openweathermap,weather-simulation"
+ * @param {String} capability - Capacité
+ * @returns {Array|null} - Identifiants des fournisseurs, ou null si non configuré
+ */
+const readPriorityFromEnv = (capability) => {
+  const [name] = Object.entries(CAPABILITIES).find(
+    ([, value]) => value === capability
+  );
+  const configured = import.meta.env[`VITE_PROVIDERS_${name}`];
+
+  return configured
+    ? configured
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean)
+    : null;
+};
+
+/**
+ * Définit l'ordre dans lequel les fournisseurs d'une capacité sont essayés
+ * Seuls les fournisseurs listés sont utilisés ; null rétablit l'ordre d'enregistrement
+ * @param {String} capability - Capacité (voir CAPABILITIES)
+ * @param {Array|null} ids - Identifiants des fournisseurs par ordre de priorité
+ */
+export const setProviderPriority = (capability, ids) => {
+  if (!Object.values(CAPABILITIES).includes(capability)) {
+    throw new Error(`Capacité inconnue : ${capability}`);
+  }
+  priorities[capability] = ids ? [...ids] : null;
+};
+
+/**
+ * Liste les fournisseurs d'une capacité dans l'ordre où ils seront essayés
+ * @param {String} capability - Capacité (voir CAPABILITIES)
+ * @returns {Array} - Fournisseurs, avec available = true si leurs clés sont configurées
+ */
+export const listProviders = (capability) => {
+  const order = priorities[capability] || readPriorityFromEnv(capability);
+  const chain = order
+    ? order.map((id) => providers.get(id)).filter(Boolean)
+    : Array.from(providers.values());
+
+  return chain
+    .filter((provider) => provider.capability === capability)
+    .map((provider) => ({
+      ...provider,
+      available: resolveKeys(provider) !== null,
+    }));
+};
+
+/**
+ * Prépare le contexte commun à tous les fournisseurs d'une requête
+ * @param {Array|Object} geometry - Coordonnées [lat, lng], géométrie GeoJSON ou ligne
+ * @param {Object} params - Paramètres de la requête
+ * @param {AbortSignal} signal - Signal d'annulation de la requête
+ * @param {Function} onProgress - Rappel d'avancement de la requête
+ * @returns {Object} - { geometry, center: { lat, lng } (null pour une ligne), area (km²), params, signal, onProgress }
+ */
+const createContext = (geometry, params, signal, onProgress) => {
+  // Une ligne (profil d'élévation) n'a ni point intérieur ni aire
+  const interior = calculateInteriorPoint(geometry);
+  return {
+    geometry,
+    center: interior ? { lat: interior[0], lng: interior[1] } : null,
+    area: interior ? calculatePolygonArea(geometry) / 1000000 : 0,
+    params,
+    signal,
+    onProgress,
+  };
+};
+
+/**
+ * Indique si une erreur provient de l'annulation d'une requête
+ * @param {Error} error - Erreur levée
+ * @returns {Boolean} - True si la requête a été annulée
+ */
+export const isAbortError = (error) =>
+  error?.name === "AbortError" || error?.name === "CanceledError";
+
+/**
+ * Décrit l'origine d'un résultat
+ * @param {Object} provider - Fournisseur qui a répondu
+ * @param {Object} entry - Entrée de cache { storedAt }
+ * @param {Boolean} fromCache - True si le résultat vient du cache
+ * @returns {Object} - { provider, providerName, simulated, timestamp, resolution, confidence, fromCache }
+ */
+const describeProvenance = (provider, entry, fromCache) => ({
+  provider: provider.id,
+  providerName: provider.name,
+  simulated: provider.simulated,
+  timestamp: entry.storedAt,
+  resolution: provider.resolution,
+  confidence: provider.confidence,
+  fromCache,
+});
+
+/**
+ * Récupère les données d'une capacité en essayant les fournisseurs par ordre de priorité
+ * Un fournisseur sans ses clés ou qui décline la requête (voir accepts) est ignoré ; une erreur ou une réponse inexploitable
+ * fait passer au suivant, sauf une annulation qui interrompt la chaîne. Les réponses sont mises en cache par géométrie, fournisseur
+ * et paramètres, pour la durée prévue par CACHE_TTL
+ * @param {String} capability - Capacité (voir CAPABILITIES)
+ * @param {Array|Object} geometry - Coordonnées [lat, lng], géométrie GeoJSON ou ligne
+ * @param {Object} options - Options
+ * @param {Object} options.params - Paramètres transmis aux fournisseurs et inclus dans la clé de cache
+ * @param {Boolean} options.forceRefresh - Ignore le cache et interroge les fournisseurs
+ * @param {AbortSignal} options.signal - Signal d'annulation, transmis aux requêtes des fournisseurs
+ * @param {Function} options.onProgress - Appelé par les fournisseurs à traitement différé pour
+ *                                        signaler leur avancement (hors clé de cache)
+ * @returns {Promise} - Promise avec l'enveloppe { data, provenance } du premier fournisseur qui répond,
+ *                      data étant les données normalisées et provenance leur origine (voir describeProvenance)
+ */
+export const fetchFromProviders = async (
+  capability,
+  geometry,
+  { params = {}, forceRefresh = false, signal, onProgress } = {}
+) => {
+  const context = createContext(geometry, params, signal, onProgress);
+  const geometryHash = hashGeometry(geometry);
+
+  for (const provider of listProviders(capability)) {
+    const keys = resolveKeys(provider);
+    if (!keys) continue;
+    if (provider.accepts && !provider.accepts(context)) continue;
+
+    signal?.throwIfAborted();
+
+    const cacheKey = createCacheKey({
+      geometryHash,
+      provider: provider.id,
+      params,
+    });
+
+    if (!forceRefresh) {
+      const cached = await getCachedResponse(cacheKey);
+      if (cached) {
+        return {
+          data: cached.value,
+          provenance: describeProvenance(provider, cached, true),
+        };
+      }
+    }
+
+    try {
+      const providerContext = {
+        ...context,
+        keys,
+        http: createScheduledClient({
+          provider: provider.id,
+          dailyQuota: provider.dailyQuota,
+          signal,
+        }),
+      };
+      const response = await provider.fetch(providerContext);
+      const data = await provider.normalize(response, providerContext);
+
+      if (data) {
+        const entry = await setCachedResponse(
+          cacheKey,
+          data,
+          CACHE_TTL[capability]
+        );
+        return { data, provenance: describeProvenance(provider, entry, false) };
+      }
+
+      throw new Error("Réponse inexploitable");
+    } catch (error) {
+      signal?.throwIfAborted();
+      console.error(`Erreur avec le fournisseur ${provider.name}:`, error);
+    }
+  }
+
+  throw new Error(`Aucun fournisseur disponible pour : ${capability}`);
+};
@@ -0,0 +1,305 @@
+import axios from "axios";
+
+// Requêtes simultanées autorisées par hôte (les API publiques limitent vite)
+const HOST_CONCURRENCY = {
+  "overpass-api.de": 1,
+  "api.open-elevation.com": 2,
+  "api.worldpop.org": 2,
+  "nominatim.openstreetmap.org": 1,
+  "api.opencagedata.com": 1,
+};
+
+// Intervalle minimal entre deux départs de requête vers un hôte, en millisecondes
+const HOST_MIN_INTERVAL = {
+  "nominatim.openstreetmap.org": 1000, // Politique d'usage : une requête par seconde
+  "api.opencagedata.com": 1000, // Offre gratuite : une requête par seconde
+};
+
+const DEFAULT_CONCURRENCY = 4;
+
+// Nouvelles tentatives sur 429 et 5xx, avec un délai exponentiel et aléatoire
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+// Compteurs d'appels du jour, conservés entre les sessions
+const USAGE_STORAGE_KEY = "webgis-analyzer-api-usage";
+
+// Files d'attente par hôte : { active, queue: [{ start }], nextStart }
+const hosts = new Map();
+
+const listeners = new Set();
+
+const notify = () => {
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Abonne une fonction aux changements d'état du planificateur
+ * (files d'attente, nouvelles tentatives, compteurs d'appels)
+ * @param {Function} listener - Appelée sans argument à chaque changement
+ * @returns {Function} - Fonction de désabonnement
+ */
+export const subscribeToScheduler = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Lit les compteurs d'appels du jour
+ * @returns {Object} - { date, counts: { fournisseur: appels } }
+ */
+const readUsage = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(USAGE_STORAGE_KEY));
+    if (stored?.date === today()) {
+      return stored;
+    }
+  } catch {
+    // Stockage indisponible ou illisible : on repart de zéro
+  }
+  return { date: today(), counts: {} };
+};
+
+let usage = null;
+
+const getUsage = () => {
+  // Les compteurs repartent de zéro chaque jour (UTC)
+  if (!usage || usage.date !== today()) {
+    usage = readUsage();
+  }
+  return usage;
+};
+
+const countCall = (provider) => {
+  const current = getUsage();
+  current.counts[provider] = (current.counts[provider] || 0) + 1;
+
+  try {
+    localStorage.setItem(USAGE_STORAGE_KEY, JSON.stringify(current));
+  } catch {
+    // Le compteur reste en mémoire
+  }
+  notify();
+};
+
+/**
+ * Nombre d'appels effectués aujourd'hui par un fournisseur
+ * @param {String} provider - Identifiant du fournisseur
+ * @returns {Number} - Appels du jour
+ */
+export const getDailyUsage = (provider) => getUsage().counts[provider] || 0;
+
+const getHost = (name) => {
+  if (!hosts.has(name)) {
+    hosts.set(name, { active: 0, queue: [], nextStart: 0 });
+  }
+  return hosts.get(name);
+};
+
+/**
+ * État des files d'attente par hôte
+ * @returns {Array} - Hôtes { host, active, queued, limit }
+ */
+export const getHostStatus = () =>
+  Array.from(hosts.entries()).map(([host, { active, queue }]) => ({
+    host,
+    active,
+    queued: queue.length,
+    limit: HOST_CONCURRENCY[host] || DEFAULT_CONCURRENCY,
+  }));
+
+/**
+ * Attend une place libre pour un hôte
+ * @param {String} name - Nom d'hôte
+ * @param {AbortSignal} signal - Signal d'annulation
+ * @returns {Promise} - Promise résolue quand la requête peut partir
+ */
+const acquireSlot = (name, signal) => {
+  signal?.throwIfAborted();
+
+  const host = getHost(name);
+  if (host.active < (HOST_CONCURRENCY[name] || DEFAULT_CONCURRENCY)) {
+    host.active++;
+    notify();
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      host.queue = host.queue.filter((entry) => entry !== waiting);
+      notify();
+      reject(signal.reason);
+    };
+    const waiting = {
+      start: () => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      },
+    };
+
+    host.queue.push(waiting);
+    signal?.addEventListener("abort", onAbort, { once: true });
+    notify();
+  });
+};
+
+/**
+ * Libère la place d'un hôte et démarre la requête suivante en attente
+ * @param {String} name - Nom d'hôte
+ */
+const releaseSlot = (name) => {
+  const host = getHost(name);
+  const next = host.queue.shift();
+
+  // La place passe directement à la requête suivante
+  if (next) {
+    next.start();
+  } else {
+    host.active--;
+  }
+  notify();
+};
+
+/**
+ * Attend un délai, en s'interrompant si la requête est annulée
+ * @param {Number} delay - Délai en millisecondes
+ * @param {AbortSignal} signal - Signal d'annulation
+ * @returns {Promise} - Promise résolue après le délai
+ */
+export const wait = (delay, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Attend que l'intervalle minimal de l'hôte soit écoulé depuis la requête précédente
+ * Le créneau est réservé avant d'attendre, pour espacer aussi les requêtes simultanées
+ * @param {String} name - Nom d'hôte
+ * @param {AbortSignal} signal - Signal d'annulation
+ * @returns {Promise} - Promise résolue quand la requête peut partir
+ */
+const spaceRequests = (name, signal) => {
+  const interval = HOST_MIN_INTERVAL[name];
+  if (!interval) {
+    return Promise.resolve();
+  }
+
+  const host = getHost(name);
+  const now = Date.now();
+  const start = Math.max(now, host.nextStart);
+  host.nextStart = start + interval;
+
+  return start > now ? wait(start - now, signal) : Promise.resolve();
+};
+
+/**
+ * Lit l'en-tête Retry-After (secondes ou date HTTP)
+ * @param {String} value - Valeur de l'en-tête
+ * @returns {Number|null} - Délai demandé en millisecondes, ou null s'il est absent ou illisible
+ */
+const parseRetryAfter = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Délai avant une nouvelle tentative : Retry-After si le serveur l'indique,
+ * sinon backoff exponentiel avec gigue complète
+ * @param {Object} error - Erreur axios
+ * @param {Number} attempt - Numéro de la tentative échouée (0 pour la première)
+ * @returns {Number|null} - Délai en millisecondes, ou null si la requête ne doit pas être retentée
+ */
+const getRetryDelay = (error, attempt) => {
+  const status = error.response?.status;
+  if (attempt >= MAX_RETRIES || !(status === 429 || status >= 500)) {
+    return null;
+  }
+
+  const retryAfter = parseRetryAfter(error.response.headers?.["retry-after"]);
+  if (retryAfter !== null) {
+    return retryAfter <= MAX_RETRY_DELAY ? retryAfter : null;
+  }
+
+  const ceiling = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * 2 ** attempt);
+  return Math.random() * ceiling;
+};
+
+/**
+ * Envoie une requête HTTP en respectant la limite de l'hôte, le quota
+ * du fournisseur et la politique de nouvelles tentatives
+ * @param {Object} config - Configuration axios (url, method, data, headers...)
+ * @param {Object} options - Options
+ * @param {String} options.provider - Identifiant du fournisseur, pour le quota
+ * @param {Number} options.dailyQuota - Appels autorisés par jour (illimité si absent)
+ * @param {AbortSignal} options.signal - Signal d'annulation
+ * @returns {Promise} - Promise avec la réponse axios
+ */
+export const scheduleRequest = async (
+  config,
+  { provider, dailyQuota, signal } = {}
+) => {
+  const { host } = new URL(config.url);
+
+  await acquireSlot(host, signal);
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      if (dailyQuota && getDailyUsage(provider) >= dailyQuota) {
+        throw new Error(`Quota journalier atteint pour ${provider}`);
+      }
+
+      await spaceRequests(host, signal);
+      countCall(provider);
+
+      try {
+        return await axios.request({ ...config, signal });
+      } catch (error) {
+        const delay = getRetryDelay(error, attempt);
+        if (delay === null || signal?.aborted) {
+          throw error;
+        }
+
+        console.warn(
+          `Nouvelle tentative pour ${host} dans ${Math.round(delay)} ms (HTTP ${
+            error.response.status
+          })`
+        );
+        await wait(delay, signal);
+      }
+    }
+  } finally {
+    releaseSlot(host);
+  }
+};
+
+/**
+ * Crée un client HTTP au format axios dont les requêtes passent par le planificateur
+ * @param {Object} options - Options communes aux requêtes (voir scheduleRequest)
+ * @returns {Object} - Client { get(url, config), post(url, data, config) }
+ */
+export const createScheduledClient = (options) => ({
+  get: (url, config = {}) =>
+    scheduleRequest({ ...config, method: "get", url }, options),
+  post: (url, data, config = {}) =>
+    scheduleRequest({ ...config, method: "post", url, data }, options),
+});